@@ -4,6 +4,15 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { initializeDatabase } from './server/database.js';
+import { startEscalationEngine } from './server/jobs/escalation.js';
+import { startReachabilityPoller } from './server/jobs/reachability.js';
+import { startMaintenanceScheduler } from './server/jobs/maintenanceScheduler.js';
+import { startMaintenanceWindowScheduler } from './server/jobs/maintenanceWindows.js';
+import { startChangeScheduler } from './server/jobs/changeRequests.js';
+import { startEmailDelivery } from './server/jobs/emailDelivery.js';
+import { startWebhookDelivery } from './server/jobs/webhookDelivery.js';
+import { startEventListener } from './server/jobs/eventListener.js';
+import { emailEnabled } from './server/utils/smtp.js';
 
 // Import routes
 import authRoutes from './server/routes/auth.js';
@@ -13,12 +22,24 @@ import techniciansRoutes from './server/routes/technicians.js';
 import metricsRoutes from './server/routes/metrics.js';
 import reportsRoutes from './server/routes/reports.js';
 import maintenanceRoutes from './server/routes/maintenance.js';
+import maintenancePlansRoutes from './server/routes/maintenancePlans.js';
+import maintenanceWindowsRoutes from './server/routes/maintenanceWindows.js';
+import changeRequestsRoutes from './server/routes/changeRequests.js';
+import ipamRoutes from './server/routes/ipam.js';
+import exportRoutes from './server/routes/export.js';
 import searchRoutes from './server/routes/search.js';
+import webhooksRoutes from './server/routes/webhooks.js';
+import ingestRoutes from './server/routes/ingest.js';
+import savedViewsRoutes from './server/routes/savedViews.js';
 import auditRoutes from './server/routes/audit.js';
 import inventoryRoutes from './server/routes/inventory.js';
 import notificationsRoutes from './server/routes/notifications.js';
+import eventsRoutes from './server/routes/events.js';
 import departmentsRoutes from './server/routes/departments.js';
 import usersRoutes from './server/routes/users.js';
+import slaRoutes from './server/routes/sla.js';
+import escalationsRoutes from './server/routes/escalations.js';
+import attachmentsRoutes from './server/routes/attachments.js';
 
 dotenv.config();
 
@@ -50,17 +71,29 @@ app.use(express.static(path.join(__dirname, 'dist'), {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/events', eventsRoutes);
 app.use('/api/components', componentsRoutes);
 app.use('/api/faults', faultsRoutes);
 app.use('/api/technicians', techniciansRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/maintenance', maintenancePlansRoutes);
 app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/maintenance-windows', maintenanceWindowsRoutes);
+app.use('/api/change-requests', changeRequestsRoutes);
+app.use('/api/ipam', ipamRoutes);
+app.use('/api/export', exportRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/saved-views', savedViewsRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/departments', departmentsRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/escalations', escalationsRoutes);
+app.use('/api/attachments', attachmentsRoutes);
 
 
 // Health check
@@ -81,6 +114,63 @@ app.get('*', (req, res, next) => {
 async function startServer() {
     try {
         await initializeDatabase();
+
+        // Background escalation of unassigned and stalled faults
+        if (process.env.ESCALATION_ENGINE_ENABLED !== 'false') {
+            startEscalationEngine({
+                intervalMs: (Number(process.env.ESCALATION_INTERVAL_SECONDS) || 60) * 1000
+            });
+        }
+
+        // Reachability polling is opt-in: it marks components Faulty and opens faults
+        if (process.env.POLLER_ENABLED === 'true') {
+            startReachabilityPoller({
+                intervalMs: (Number(process.env.POLLER_INTERVAL_SECONDS) || 60) * 1000
+            });
+        }
+
+        // Work orders for preventive maintenance plans
+        if (process.env.MAINTENANCE_SCHEDULER_ENABLED !== 'false') {
+            startMaintenanceScheduler({
+                intervalMs: (Number(process.env.MAINTENANCE_SCHEDULER_INTERVAL_SECONDS) || 3600) * 1000
+            });
+        }
+
+        // Maintenance windows move components in and out of Maintenance on schedule
+        if (process.env.MAINTENANCE_WINDOWS_ENABLED !== 'false') {
+            startMaintenanceWindowScheduler({
+                intervalMs: (Number(process.env.MAINTENANCE_WINDOWS_INTERVAL_SECONDS) || 60) * 1000
+            });
+        }
+
+        // Approved change requests are applied at their scheduled time
+        if (process.env.CHANGE_SCHEDULER_ENABLED !== 'false') {
+            startChangeScheduler({
+                intervalMs: (Number(process.env.CHANGE_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000
+            });
+        }
+
+        // Notification emails and digests go out once an SMTP server is configured
+        if (emailEnabled()) {
+            startEmailDelivery({
+                intervalMs: (Number(process.env.EMAIL_DELIVERY_INTERVAL_SECONDS) || 60) * 1000
+            });
+        }
+
+        // Retries webhook deliveries that failed or never finished
+        if (process.env.WEBHOOKS_ENABLED !== 'false') {
+            startWebhookDelivery({
+                intervalMs: (Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30) * 1000
+            });
+        }
+
+        // Syslog and SNMP trap listener is opt-in: it opens faults from device events
+        if (process.env.INGEST_ENABLED === 'true') {
+            startEventListener().catch((error) => {
+                console.error('Event listener failed to start:', error.message);
+            });
+        }
+
         app.listen(PORT, () => {
             console.log(`Server running on http://localhost:${PORT}`);
             console.log(`API available at http://localhost:${PORT}/api`);
@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import bcrypt from 'bcryptjs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { openMigrationConnection, getPendingMigrations, migrateUp } from './migrate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,238 +23,29 @@ export const pool = mysql.createPool({
   queueLimit: 0
 });
 
-// Initialize database schema
+// Verify the schema is fully migrated, then seed sample data.
+// Schema changes live in server/migrations and are applied with `npm run migrate`;
+// the server refuses to start against a database with pending migrations.
 export async function initializeDatabase() {
-  // Create a connection without database selected to ensure we can create it
-  const connection = await mysql.createConnection({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    port: process.env.DB_PORT || 3306
-  });
+  const connection = await openMigrationConnection();
 
   try {
-    // Create database if not exists
-    await connection.query(`CREATE DATABASE IF NOT EXISTS ${process.env.DB_NAME || 'telecom_network_db'}`);
-    await connection.query(`USE ${process.env.DB_NAME || 'telecom_network_db'}`);
-
-    // Departments table (New)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Departments (
-        department_id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(100) NOT NULL UNIQUE,
-        location VARCHAR(100)
-      )
-    `);
-
-    // Users table
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Users (
-        user_id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(50) NOT NULL UNIQUE,
-        password_hash VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100) NOT NULL,
-        last_name VARCHAR(100) NOT NULL,
-        role ENUM('Admin', 'Manager', 'Technician', 'Staff') DEFAULT 'Technician',
-        status ENUM('Active', 'Inactive') DEFAULT 'Active',
-        department_id INT,
-        phone_number VARCHAR(15),
-        email VARCHAR(100) UNIQUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL
-      )
-    `);
-
-    // Update Users table if exists
-    try {
-      await connection.query("ALTER TABLE Users ADD COLUMN department_id INT");
-      await connection.query("ALTER TABLE Users ADD CONSTRAINT users_fk_dept FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL");
-    } catch (e) { /* Column likely exists */ }
-
-    // Network Components table
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Network_Components (
-        component_id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        type ENUM('Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point') NOT NULL,
-        department_id INT,
-        model_number VARCHAR(100),
-        ip_address VARCHAR(45),
-        mac_address VARCHAR(17),
-        location VARCHAR(100) NOT NULL,
-        status ENUM('Active', 'Inactive', 'Maintenance', 'Faulty') DEFAULT 'Active',
-        config_details TEXT,
-        install_date DATE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL
-      )
-    `);
-
-    // Update Network_Components table if exists
-    try {
-      await connection.query("ALTER TABLE Network_Components ADD COLUMN department_id INT");
-      await connection.query("ALTER TABLE Network_Components ADD CONSTRAINT comp_fk_dept FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL");
-    } catch (e) { /* Column likely exists */ }
-
-    // Inventory Items table (missing piece added)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Inventory_Items (
-        item_id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        category VARCHAR(50) NOT NULL,
-        quantity INT DEFAULT 0,
-        min_level INT DEFAULT 5,
-        unit_cost DECIMAL(10, 2) DEFAULT 0.00,
-        location VARCHAR(100),
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Add latitude/longitude columns if they don't exist
-    try {
-      await connection.query("ALTER TABLE Network_Components ADD COLUMN latitude DECIMAL(10, 8)");
-    } catch (e) { /* Column likely exists */ }
-    try {
-      await connection.query("ALTER TABLE Network_Components ADD COLUMN longitude DECIMAL(11, 8)");
-    } catch (e) { /* Column likely exists */ }
-
-    // Faults table
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Faults (
-        fault_id INT AUTO_INCREMENT PRIMARY KEY,
-        component_id INT NOT NULL,
-        reported_by INT NOT NULL,
-        assigned_to INT,
-        priority ENUM('Critical', 'High', 'Medium', 'Low') DEFAULT 'Medium',
-        status ENUM('Open', 'In Progress', 'Resolved', 'Closed', 'Pending') DEFAULT 'Open',
-        description TEXT NOT NULL,
-        title VARCHAR(255) NOT NULL,
-        category VARCHAR(50) DEFAULT 'general',
-        reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        started_at DATETIME,
-        scheduled_for DATETIME,
-        resolved_at DATETIME,
-        response_time_minutes INT,
-        resolution_notes TEXT,
-        FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE RESTRICT,
-        FOREIGN KEY (reported_by) REFERENCES Users(user_id) ON DELETE RESTRICT,
-        FOREIGN KEY (assigned_to) REFERENCES Users(user_id) ON DELETE SET NULL
-      )
-    `);
-
-    // Maintenance Logs table
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Maintenance_Logs (
-        log_id INT AUTO_INCREMENT PRIMARY KEY,
-        component_id INT NOT NULL,
-        technician_id INT NOT NULL,
-        activity_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        action_taken TEXT NOT NULL,
-        result VARCHAR(50),
-        duration_minutes INT,
-        type VARCHAR(50) DEFAULT 'scheduled',
-        FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE RESTRICT,
-        FOREIGN KEY (technician_id) REFERENCES Users(user_id) ON DELETE RESTRICT
-      )
-    `);
-
-    // Incident Reports table (Added to support reports feature)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Incident_Reports (
-        report_id INT AUTO_INCREMENT PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        summary TEXT,
-        start_time DATETIME NOT NULL,
-        end_time DATETIME,
-        affected_components_count INT DEFAULT 0,
-        total_faults INT DEFAULT 0,
-        avg_resolution_time DECIMAL(10, 2),
-        impact_level ENUM('minor', 'major', 'critical') DEFAULT 'minor',
-        details JSON,
-        generated_by INT,
-        generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (generated_by) REFERENCES Users(user_id) ON DELETE SET NULL
-      )
-    `);
-
-    // Metrics Snapshots table (Added to support dashboard metrics)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Metrics_Snapshots (
-        snapshot_id INT AUTO_INCREMENT PRIMARY KEY,
-        uptime_percentage DECIMAL(5, 2),
-        total_faults_today INT DEFAULT 0,
-        resolved_faults_today INT DEFAULT 0,
-        avg_response_time DECIMAL(10, 2),
-        active_components INT DEFAULT 0,
-        components_in_maintenance INT DEFAULT 0,
-        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Fault Comments table (For technician-admin communication)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Fault_Comments (
-        comment_id INT AUTO_INCREMENT PRIMARY KEY,
-        fault_id INT NOT NULL,
-        user_id INT NOT NULL,
-        comment TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (fault_id) REFERENCES Faults(fault_id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Maintenance Comments table (For technician-admin communication during maintenance)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Maintenance_Comments (
-        comment_id INT AUTO_INCREMENT PRIMARY KEY,
-        log_id INT NOT NULL,
-        user_id INT NOT NULL,
-        comment TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (log_id) REFERENCES Maintenance_Logs(log_id) ON DELETE CASCADE,
-        FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
-      )
-    `);
-
-    // Audit Logs table (For tracking user actions)
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Audit_Logs (
-        log_id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT,
-        action VARCHAR(50) NOT NULL,
-        entity_type VARCHAR(50),
-        entity_id INT,
-        details TEXT,
-        ip_address VARCHAR(45),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE SET NULL
-      )
-    `);
-
-    // Notifications table
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS Notifications (
-        notification_id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT NOT NULL,
-        type ENUM('fault_assigned', 'status_change', 'low_stock', 'system') NOT NULL,
-        message TEXT NOT NULL,
-        link VARCHAR(255),
-        is_read BOOLEAN DEFAULT FALSE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
-      )
-    `);
-
-    console.log('✅ Database schema initialized successfully');
+    const pending = await getPendingMigrations(connection);
+    if (pending.length > 0) {
+      throw new Error(
+        `${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}. ` +
+        'Run "npm run migrate" before starting the server.'
+      );
+    }
+
+    console.log('✅ Database schema is up to date');
 
     // Seed sample data
     await seedSampleData(connection);
     await seedInventory(connection); // Call separately to ensure it runs even if users exist
 
   } catch (error) {
-    console.error('❌ Database initialization error:', error);
+    console.error('❌ Database initialization error:', error.message);
     throw error;
   } finally {
     await connection.end();
@@ -437,9 +229,17 @@ async function seedInventory(connection) {
   }
 }
 
-// Auto-initialize when run directly
+// Auto-initialize when run directly: apply migrations, then seed
 if (import.meta.url === `file://${process.argv[1]}`) {
-  initializeDatabase()
+  openMigrationConnection()
+    .then(async (connection) => {
+      try {
+        await migrateUp(connection);
+      } finally {
+        await connection.end();
+      }
+    })
+    .then(() => initializeDatabase())
     .then(() => {
       console.log('🎉 Database setup complete! Pool exported and ready.');
       process.exit(0);
@@ -0,0 +1,160 @@
+import pool from '../database.js';
+import { logAction } from '../utils/auditLogger.js';
+import { applyComponentChanges, diffComponent } from '../utils/componentChanges.js';
+import { checkComponentIp } from '../utils/ipam.js';
+import { findActiveFreeze } from '../utils/maintenanceWindows.js';
+import { notifyUser } from '../utils/notify.js';
+
+let timer = null;
+let running = false;
+
+export const changeRef = (id) => `CHG-${String(id).padStart(3, '0')}`;
+
+const parseJson = (value) => {
+    try {
+        return JSON.parse(value || '{}');
+    } catch {
+        return {};
+    }
+};
+
+async function fail(change, error) {
+    await pool.query(
+        "UPDATE Change_Requests SET status = 'Failed', apply_result = ? WHERE change_id = ?",
+        [JSON.stringify({ error }), change.change_id]
+    );
+    await logAction({
+        userId: change.reviewed_by,
+        action: 'CHANGE_REQUEST_FAILED',
+        entityType: 'Change_Request',
+        entityId: change.change_id,
+        details: { component_id: change.component_id, error }
+    });
+    if (change.requested_by) {
+        await notifyUser(change.requested_by, 'system',
+            `❌ ${changeRef(change.change_id)} "${change.title}" could not be applied: ${error}`, '/changes');
+    }
+}
+
+/**
+ * Applies an approved change request. The RFC fails instead if any of the
+ * fields it changes were modified after it was submitted or its new IP address
+ * is already taken, and waits while a change freeze covers the component.
+ *
+ * @param {Object} change - Change_Requests row.
+ * @returns {Promise<'applied'|'failed'|'deferred'|null>} null if the RFC was no longer Approved.
+ */
+export async function applyChangeRequest(change) {
+    if (await findActiveFreeze(change.component_id)) return 'deferred';
+
+    const [claim] = await pool.query(
+        "UPDATE Change_Requests SET status = 'Applied', applied_at = NOW() WHERE change_id = ? AND status = 'Approved'",
+        [change.change_id]
+    );
+    if (claim.affectedRows === 0) return null;
+
+    try {
+        const [rows] = await pool.query('SELECT * FROM Network_Components WHERE component_id = ?', [change.component_id]);
+        if (rows.length === 0) {
+            await fail(change, 'Component no longer exists');
+            return 'failed';
+        }
+
+        const conflicts = Object.keys(diffComponent(rows[0], parseJson(change.original_values)));
+        if (conflicts.length > 0) {
+            await fail(change, `Changed since the request was submitted: ${conflicts.join(', ')}`);
+            return 'failed';
+        }
+
+        // The address may have been given to another component while the RFC waited
+        const proposed = parseJson(change.proposed_changes);
+        if (proposed.ip_address) {
+            const ipCheck = await checkComponentIp(proposed.ip_address, change.component_id);
+            if (ipCheck.error) {
+                await fail(change, ipCheck.error);
+                return 'failed';
+            }
+        }
+
+        const diff = await applyComponentChanges(change.component_id, proposed, {
+            userId: change.reviewed_by,
+            action: 'APPLY_CHANGE_REQUEST',
+            source: 'change_request',
+            referenceId: change.change_id,
+            reason: `${changeRef(change.change_id)}: ${change.title}`.slice(0, 255),
+            auditDetails: {
+                change_id: change.change_id,
+                title: change.title,
+                risk_level: change.risk_level,
+                requested_by: change.requested_by,
+                approved_by: change.reviewed_by
+            }
+        });
+
+        await pool.query('UPDATE Change_Requests SET apply_result = ? WHERE change_id = ?', [JSON.stringify({ changes: diff }), change.change_id]);
+        if (change.requested_by) {
+            await notifyUser(change.requested_by, 'system',
+                `✅ ${changeRef(change.change_id)} "${change.title}" has been applied`, '/changes');
+        }
+        return 'applied';
+    } catch (error) {
+        console.error(`Applying change request ${change.change_id} failed:`, error);
+        await fail(change, error.message);
+        return 'failed';
+    }
+}
+
+/**
+ * Applies every approved change request whose scheduled time has passed.
+ *
+ * @returns {Promise<{ applied: number, failed: number, deferred: number }>}
+ */
+export async function runChangeScheduler() {
+    const [due] = await pool.query(`
+        SELECT * FROM Change_Requests
+        WHERE status = 'Approved' AND (scheduled_for IS NULL OR scheduled_for <= NOW())
+        ORDER BY scheduled_for ASC, change_id ASC
+    `);
+
+    const summary = { applied: 0, failed: 0, deferred: 0 };
+    for (const change of due) {
+        const outcome = await applyChangeRequest(change);
+        if (outcome) summary[outcome]++;
+    }
+    return summary;
+}
+
+/**
+ * Applies scheduled change requests on an interval inside the server process.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - Time between checks.
+ */
+export function startChangeScheduler({ intervalMs = 60000 } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runChangeScheduler();
+            if (summary.applied > 0 || summary.failed > 0) {
+                console.log(`📝 Change requests: ${summary.applied} applied, ${summary.failed} failed`);
+            }
+        } catch (error) {
+            console.error('Change scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`📝 Change scheduler running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopChangeScheduler() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
@@ -0,0 +1,88 @@
+import pool from '../database.js';
+import { deliverEmail, getPreferences, queueDigest } from '../utils/email.js';
+
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+// Queues today's digest for every digest user whose digest hour has passed
+async function queueDueDigests(now) {
+    const [users] = await pool.query(`
+        SELECT u.user_id, u.email, np.digest_hour, np.last_digest_at
+        FROM Notification_Preferences np
+        JOIN Users u ON np.user_id = u.user_id
+        WHERE np.delivery = 'digest' AND np.email_enabled = TRUE
+          AND u.status = 'Active' AND u.email IS NOT NULL AND u.email != ''
+    `);
+
+    let queued = 0;
+    for (const user of users) {
+        const due = new Date(now);
+        due.setHours(user.digest_hour, 0, 0, 0);
+        if (now < due || (user.last_digest_at && new Date(user.last_digest_at) >= due)) continue;
+
+        try {
+            if (await queueDigest(user, await getPreferences(user.user_id), now) > 0) queued++;
+        } catch (error) {
+            console.error(`Email digest for user ${user.user_id} failed:`, error);
+        }
+    }
+    return queued;
+}
+
+/**
+ * Queues due digests, then sends queued emails whose time has come.
+ *
+ * @returns {Promise<{ digests: number, sent: number, failed: number }>} failed counts
+ *   attempts that failed this cycle, including ones that will be retried.
+ */
+export async function runEmailDeliveryCycle() {
+    const now = new Date();
+    const summary = { digests: await queueDueDigests(now), sent: 0, failed: 0 };
+
+    const [due] = await pool.query(
+        "SELECT * FROM Email_Deliveries WHERE status = 'pending' AND next_attempt_at <= NOW() ORDER BY next_attempt_at LIMIT ?",
+        [BATCH_SIZE]
+    );
+    for (const delivery of due) {
+        if (await deliverEmail(delivery)) summary.sent++;
+        else summary.failed++;
+    }
+    return summary;
+}
+
+/**
+ * Sends notification emails on an interval inside the server process.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - Time between cycles.
+ */
+export function startEmailDelivery({ intervalMs = 60000 } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runEmailDeliveryCycle();
+            if (summary.sent > 0 || summary.failed > 0 || summary.digests > 0) {
+                console.log(`📧 Email: ${summary.sent} sent, ${summary.failed} failed, ${summary.digests} digests queued`);
+            }
+        } catch (error) {
+            console.error('Email delivery error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`📧 Email delivery running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopEmailDelivery() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
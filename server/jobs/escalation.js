@@ -0,0 +1,172 @@
+import pool from '../database.js';
+import { logAction } from '../utils/auditLogger.js';
+import { changeFaultPriority } from '../utils/faults.js';
+import { activeWindowCondition } from '../utils/maintenanceWindows.js';
+import { notifyRoles, notifyUser } from '../utils/notify.js';
+
+const PRIORITY_ORDER = ['Low', 'Medium', 'High', 'Critical'];
+
+// Which faults each trigger watches, and the column its timer counts from
+const TRIGGERS = {
+    unassigned: {
+        where: "f.status = 'Open' AND f.assigned_to IS NULL",
+        since: 'f.reported_at',
+        describe: (minutes) => `has been unassigned for ${minutes} min`
+    },
+    stalled: {
+        where: "f.status = 'In Progress'",
+        since: 'COALESCE(f.started_at, f.reported_at)',
+        describe: (minutes) => `has been In Progress for ${minutes} min`
+    }
+};
+
+let timer = null;
+let running = false;
+
+const faultRef = (faultId) => `FLT-${String(faultId).padStart(3, '0')}`;
+
+// Faults matching a rule that have not yet been escalated by it
+async function findCandidates(rule) {
+    const trigger = TRIGGERS[rule.trigger_condition];
+    if (!trigger) return [];
+
+    const [faults] = await pool.query(`
+        SELECT f.fault_id, f.title, f.priority, f.status, f.assigned_to, f.component_id,
+               TIMESTAMPDIFF(MINUTE, ${trigger.since}, NOW()) as elapsed_minutes
+        FROM Faults f
+        LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
+        WHERE ${trigger.where}
+          AND NOT ${activeWindowCondition('nc')}
+          AND FIND_IN_SET(f.priority, ?)
+          AND ${trigger.since} <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+          AND NOT EXISTS (
+              SELECT 1 FROM Fault_Escalations fe
+              WHERE fe.fault_id = f.fault_id AND fe.rule_id = ?
+          )
+        ORDER BY f.fault_id ASC
+    `, [rule.priorities, rule.after_minutes, rule.rule_id]);
+
+    return faults;
+}
+
+// Performs a rule's action on one fault and returns what was done, for the history
+async function performAction(rule, fault) {
+    const link = `/faults?highlight=${fault.fault_id}`;
+    const reason = TRIGGERS[rule.trigger_condition].describe(fault.elapsed_minutes);
+    const message = `⚠️ Escalation L${rule.level}: ${faultRef(fault.fault_id)} "${fault.title}" (${fault.priority}) ${reason}`;
+
+    if (rule.action === 'notify_role') {
+        const notified = await notifyRoles([rule.target_role], 'escalation', message, link);
+        return { notified_role: rule.target_role, notified_users: notified };
+    }
+
+    if (rule.action === 'notify_assignee') {
+        if (!fault.assigned_to) return { skipped: 'no assignee' };
+        await notifyUser(fault.assigned_to, 'escalation', message, link);
+        return { notified_users: [fault.assigned_to] };
+    }
+
+    if (rule.action === 'bump_priority') {
+        const index = PRIORITY_ORDER.indexOf(fault.priority);
+        if (index === -1 || index === PRIORITY_ORDER.length - 1) {
+            return { skipped: `already ${fault.priority}` };
+        }
+        const newPriority = PRIORITY_ORDER[index + 1];
+        // Same handling as any priority change: new SLA targets, Critical marks the component Faulty
+        await changeFaultPriority(fault, newPriority, { eventDetails: { escalation_rule: rule.name } });
+        await notifyRoles(['Admin', 'Manager'], 'escalation',
+            `⚠️ ${faultRef(fault.fault_id)} priority raised from ${fault.priority} to ${newPriority}: it ${reason}`, link);
+        if (fault.assigned_to) {
+            await notifyUser(fault.assigned_to, 'escalation',
+                `⚠️ ${faultRef(fault.fault_id)} priority raised to ${newPriority}`, link);
+        }
+        return { previous_priority: fault.priority, new_priority: newPriority };
+    }
+
+    return { skipped: `unknown action ${rule.action}` };
+}
+
+async function escalate(rule, fault) {
+    // Claim the (fault, rule) pair first so a concurrent cycle cannot double-fire it
+    const [claim] = await pool.query(
+        'INSERT IGNORE INTO Fault_Escalations (fault_id, rule_id, level, action) VALUES (?, ?, ?, ?)',
+        [fault.fault_id, rule.rule_id, rule.level, rule.action]
+    );
+    if (claim.affectedRows === 0) return false;
+
+    const outcome = await performAction(rule, fault);
+    const details = { rule: rule.name, elapsed_minutes: fault.elapsed_minutes, ...outcome };
+
+    await pool.query(
+        'UPDATE Fault_Escalations SET details = ? WHERE escalation_id = ?',
+        [JSON.stringify(details), claim.insertId]
+    );
+
+    await logAction({
+        userId: null,
+        action: 'ESCALATE_FAULT',
+        entityType: 'Fault',
+        entityId: fault.fault_id,
+        details: { level: rule.level, action: rule.action, ...details }
+    });
+
+    return true;
+}
+
+/**
+ * Runs every active escalation rule once, lowest level first.
+ *
+ * @returns {Promise<number>} How many escalation steps were taken.
+ */
+export async function runEscalationCycle() {
+    const [rules] = await pool.query(
+        'SELECT * FROM Escalation_Rules WHERE is_active = TRUE ORDER BY level ASC, after_minutes ASC, rule_id ASC'
+    );
+
+    let escalated = 0;
+    for (const rule of rules) {
+        const candidates = await findCandidates(rule);
+        for (const fault of candidates) {
+            try {
+                if (await escalate(rule, fault)) escalated++;
+            } catch (error) {
+                console.error(`Escalation of ${faultRef(fault.fault_id)} by rule ${rule.rule_id} failed:`, error);
+            }
+        }
+    }
+    return escalated;
+}
+
+/**
+ * Starts running escalation cycles on an interval inside the server process.
+ * Cycles never overlap; a slow cycle simply delays the next one.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - Time between cycles.
+ */
+export function startEscalationEngine({ intervalMs = 60000 } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const escalated = await runEscalationCycle();
+            if (escalated > 0) console.log(`⚠️  Escalation engine: ${escalated} escalation step(s) taken`);
+        } catch (error) {
+            console.error('Escalation cycle error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`⏱️  Escalation engine running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopEscalationEngine() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
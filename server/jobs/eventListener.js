@@ -0,0 +1,204 @@
+import dgram from 'dgram';
+import os from 'os';
+import { parseSyslog } from '../utils/syslog.js';
+import { encodeInformResponse, encodeTrap, parseTrap } from '../utils/snmpTrap.js';
+import { ingestEvent, pruneInboundEvents, syslogEvent, trapEvent } from '../utils/eventIngest.js';
+
+const DEFAULTS = {
+    host: process.env.INGEST_BIND_ADDRESS || '0.0.0.0',
+    syslogPort: Number(process.env.SYSLOG_PORT) || 5514,
+    trapPort: Number(process.env.SNMP_TRAP_PORT) || 5162,
+    communities: (process.env.SNMP_TRAP_COMMUNITY || 'public').split(',').map(c => c.trim()).filter(Boolean),
+    retentionDays: Number(process.env.INGEST_RETENTION_DAYS) || 30
+};
+
+// Events wait here while earlier ones are ingested; beyond this they are dropped
+const MAX_BACKLOG = 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const TRAPS = {
+    coldStart: '1.3.6.1.6.3.1.1.5.1',
+    warmStart: '1.3.6.1.6.3.1.1.5.2',
+    linkDown: '1.3.6.1.6.3.1.1.5.3',
+    linkUp: '1.3.6.1.6.3.1.1.5.4',
+    authenticationFailure: '1.3.6.1.6.3.1.1.5.5'
+};
+
+let sockets = [];
+let pruneTimer = null;
+let queue = Promise.resolve();
+let backlog = 0;
+let stats = null;
+
+const emptyStats = (ports) => ({
+    started_at: new Date(),
+    ports,
+    received: { syslog: 0, snmp: 0 },
+    malformed: 0,
+    rejected: 0,
+    dropped: 0,
+    failed: 0,
+    outcomes: { created: 0, updated: 0, deduplicated: 0, suppressed: 0, ignored: 0, unmatched: 0 }
+});
+
+// Events are ingested one at a time so a burst cannot open the same fault twice
+function enqueue(event) {
+    if (backlog >= MAX_BACKLOG) {
+        stats.dropped++;
+        return;
+    }
+    backlog++;
+    queue = queue
+        .then(() => ingestEvent(event))
+        .then((result) => {
+            stats.outcomes[result.outcome]++;
+        })
+        .catch((error) => {
+            stats.failed++;
+            console.error(`Ingesting ${event.source} event from ${event.sender_ip} failed:`, error);
+        })
+        .finally(() => {
+            backlog--;
+        });
+}
+
+const senderAddress = (rinfo) => rinfo.address.replace(/^::ffff:/, '');
+
+function handleSyslog(packet, rinfo) {
+    stats.received.syslog++;
+    const message = parseSyslog(packet);
+    if (!message) {
+        stats.malformed++;
+        return;
+    }
+    enqueue(syslogEvent(message, senderAddress(rinfo)));
+}
+
+function handleTrap(socket, packet, rinfo) {
+    stats.received.snmp++;
+    let trap;
+    try {
+        trap = parseTrap(packet);
+    } catch {
+        trap = null;
+    }
+    if (!trap) {
+        stats.malformed++;
+        return;
+    }
+    if (!DEFAULTS.communities.includes(trap.community)) {
+        stats.rejected++;
+        return;
+    }
+    if (trap.pdu === 'inform') socket.send(encodeInformResponse(trap), rinfo.port, rinfo.address);
+    enqueue(trapEvent(trap, senderAddress(rinfo)));
+}
+
+function bind(port, host, onMessage) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+        socket.once('error', reject);
+        socket.on('message', (packet, rinfo) => onMessage(socket, packet, rinfo));
+        socket.bind(port, host, () => {
+            socket.off('error', reject);
+            socket.on('error', error => console.error(`Event listener on UDP ${port} error:`, error));
+            resolve(socket);
+        });
+    });
+}
+
+/**
+ * Listens for syslog messages and SNMPv2c traps on UDP and turns them into
+ * faults through the event rules. A port of 0 turns that listener off.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.host] - Bind address, INGEST_BIND_ADDRESS or 0.0.0.0.
+ * @param {number} [options.syslogPort] - SYSLOG_PORT or 5514.
+ * @param {number} [options.trapPort] - SNMP_TRAP_PORT or 5162.
+ * @returns {Promise<void>} Rejects if a port cannot be bound.
+ */
+export async function startEventListener({ host = DEFAULTS.host, syslogPort = DEFAULTS.syslogPort, trapPort = DEFAULTS.trapPort } = {}) {
+    if (sockets.length > 0) return;
+
+    stats = emptyStats({ syslog: syslogPort || null, snmp: trapPort || null });
+    try {
+        if (syslogPort) sockets.push(await bind(syslogPort, host, (socket, packet, rinfo) => handleSyslog(packet, rinfo)));
+        if (trapPort) sockets.push(await bind(trapPort, host, handleTrap));
+    } catch (error) {
+        stopEventListener();
+        throw error;
+    }
+
+    pruneTimer = setInterval(() => {
+        pruneInboundEvents(DEFAULTS.retentionDays).catch(error => console.error('Inbound event pruning error:', error));
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+
+    const listening = [syslogPort && `syslog on UDP ${syslogPort}`, trapPort && `SNMP traps on UDP ${trapPort}`].filter(Boolean);
+    console.log(`📨 Event listener: ${listening.join(', ')}`);
+}
+
+export function stopEventListener() {
+    for (const socket of sockets) socket.close();
+    sockets = [];
+    if (pruneTimer) clearInterval(pruneTimer);
+    pruneTimer = null;
+}
+
+/**
+ * Counters since the listener started, or null when it is not running.
+ *
+ * @returns {Object|null}
+ */
+export const getEventListenerStats = () => (sockets.length > 0 ? { ...stats, backlog } : null);
+
+// Send test packets to a running listener:
+//   node server/jobs/eventListener.js syslog "%LINK-3-UPDOWN: Interface Gi0/1, changed state to down" [--as 10.0.0.1]
+//   node server/jobs/eventListener.js trap linkDown [ifIndex] [--as 10.0.0.1]
+// --as puts a component's address in the packet (syslog HOSTNAME / snmpTrapAddress.0),
+// the way a relay would, since the UDP source of a local test is always 127.0.0.1.
+// The listener only uses it when 127.0.0.1 is in its INGEST_TRUSTED_RELAYS.
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    const asIndex = args.indexOf('--as');
+    const reportedIp = asIndex >= 0 ? args.splice(asIndex, 2)[1] : null;
+    const [kind, first, second] = args;
+    const target = process.env.INGEST_TEST_HOST || '127.0.0.1';
+
+    let packet;
+    let port;
+    if (kind === 'syslog' && first) {
+        // Raw lines starting with <PRI> are sent as they are; anything else becomes an RFC 5424 Error
+        packet = Buffer.from(first.startsWith('<')
+            ? first
+            : `<11>1 ${new Date().toISOString()} ${reportedIp || os.hostname()} mnettywise-test - - - ${first}`);
+        port = DEFAULTS.syslogPort;
+    } else if (kind === 'trap' && first) {
+        const ifIndex = Number(second) || 1;
+        packet = encodeTrap({
+            trapOid: TRAPS[first] || first,
+            community: DEFAULTS.communities[0],
+            uptime: Math.round(process.uptime() * 100),
+            varbinds: [
+                { oid: `1.3.6.1.2.1.2.2.1.1.${ifIndex}`, type: 'integer', value: ifIndex },
+                { oid: `1.3.6.1.2.1.2.2.1.2.${ifIndex}`, type: 'string', value: `GigabitEthernet0/${ifIndex}` },
+                ...(reportedIp ? [{ oid: '1.3.6.1.6.3.18.1.3.0', type: 'ip', value: reportedIp }] : [])
+            ]
+        });
+        port = DEFAULTS.trapPort;
+    } else {
+        console.log('Usage: node server/jobs/eventListener.js syslog "<message>" [--as <ip>]');
+        console.log(`       node server/jobs/eventListener.js trap <${Object.keys(TRAPS).join('|')}|oid> [ifIndex] [--as <ip>]`);
+        process.exit(1);
+    }
+
+    const socket = dgram.createSocket('udp4');
+    socket.send(packet, port, target, (error) => {
+        console.log(error ? `Send failed: ${error.message}` : `Sent ${packet.length} bytes to ${target}:${port}`);
+        if (!error && reportedIp) {
+            console.log(`The listener matches this to ${reportedIp} only if INGEST_TRUSTED_RELAYS includes this machine's address (127.0.0.1 locally)`);
+        }
+        socket.close();
+        process.exit(error ? 2 : 0);
+    });
+}
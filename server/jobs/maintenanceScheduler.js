@@ -0,0 +1,186 @@
+import pool from '../database.js';
+import { logAction } from '../utils/auditLogger.js';
+import { notifyRoles, notifyUser } from '../utils/notify.js';
+import { nextOccurrence } from '../utils/recurrence.js';
+
+let timer = null;
+let running = false;
+
+export const workOrderRef = (id) => `WO-${String(id).padStart(3, '0')}`;
+
+const formatDate = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const addDays = (dateString, days) => {
+    const [y, m, d] = dateString.split('-').map(Number);
+    return formatDate(new Date(y, m - 1, d + days));
+};
+
+// Active technician with the fewest unfinished work orders
+async function pickTechnician() {
+    const [technicians] = await pool.query(`
+        SELECT u.user_id, COUNT(wo.work_order_id) as open_orders
+        FROM Users u
+        LEFT JOIN Work_Orders wo ON wo.assigned_to = u.user_id AND wo.status IN ('Open', 'In Progress')
+        WHERE u.role = 'Technician' AND u.status = 'Active'
+        GROUP BY u.user_id
+        ORDER BY open_orders ASC, u.user_id ASC
+        LIMIT 1
+    `);
+    return technicians.length ? technicians[0].user_id : null;
+}
+
+// Components a plan applies to: its single component, or every in-service component of its type
+async function planComponents(plan) {
+    if (plan.component_id) {
+        const [rows] = await pool.query(
+            'SELECT component_id, name FROM Network_Components WHERE component_id = ?',
+            [plan.component_id]
+        );
+        return rows;
+    }
+    const [rows] = await pool.query(
+        "SELECT component_id, name FROM Network_Components WHERE type = ? AND status != 'Inactive' ORDER BY component_id",
+        [plan.component_type]
+    );
+    return rows;
+}
+
+/**
+ * Creates work orders for one plan's due occurrence and moves the plan on to
+ * its next due date. If several occurrences were missed (e.g. the server was
+ * down), only the latest one gets a work order.
+ *
+ * @returns {Promise<number>} Work orders created.
+ */
+export async function generateWorkOrders(plan, today = formatDate(new Date())) {
+    const horizon = addDays(today, plan.lead_days || 0);
+
+    let due = plan.next_due;
+    let next = nextOccurrence(plan, due);
+    while (next <= horizon) {
+        due = next;
+        next = nextOccurrence(plan, due);
+    }
+
+    const checklist = JSON.stringify((JSON.parse(plan.checklist || '[]')).map(item => ({ item, done: false })));
+    const assignee = plan.assigned_technician_id || await pickTechnician();
+
+    let created = 0;
+    for (const component of await planComponents(plan)) {
+        const [result] = await pool.query(
+            `INSERT IGNORE INTO Work_Orders (plan_id, component_id, assigned_to, due_date, checklist)
+             VALUES (?, ?, ?, ?, ?)`,
+            [plan.plan_id, component.component_id, assignee, due, checklist]
+        );
+        if (result.affectedRows === 0) continue;
+        created++;
+
+        if (assignee) {
+            await notifyUser(assignee, 'maintenance_due',
+                `🔧 ${workOrderRef(result.insertId)}: ${plan.name} on ${component.name} is due ${due}`,
+                '/maintenance?tab=work-orders');
+        }
+    }
+
+    await pool.query('UPDATE Maintenance_Plans SET next_due_date = ? WHERE plan_id = ?', [next, plan.plan_id]);
+
+    if (created > 0) {
+        await logAction({
+            userId: null,
+            action: 'GENERATE_WORK_ORDERS',
+            entityType: 'Maintenance_Plan',
+            entityId: plan.plan_id,
+            details: { due_date: due, work_orders: created, assigned_to: assignee, next_due_date: next }
+        });
+    }
+    return created;
+}
+
+// Tells assignees (or Managers, for unassigned orders) once when a work order passes its due date
+async function notifyOverdue() {
+    const [overdue] = await pool.query(`
+        SELECT wo.work_order_id, wo.assigned_to, DATE_FORMAT(wo.due_date, '%Y-%m-%d') as due_date,
+               mp.name as plan_name, nc.name as component_name
+        FROM Work_Orders wo
+        JOIN Maintenance_Plans mp ON wo.plan_id = mp.plan_id
+        JOIN Network_Components nc ON wo.component_id = nc.component_id
+        WHERE wo.status IN ('Open', 'In Progress')
+          AND wo.due_date < CURDATE()
+          AND wo.overdue_notified_at IS NULL
+    `);
+
+    for (const order of overdue) {
+        const message = `⏰ ${workOrderRef(order.work_order_id)} is overdue: ${order.plan_name} on ${order.component_name} was due ${order.due_date}`;
+        if (order.assigned_to) {
+            await notifyUser(order.assigned_to, 'maintenance_due', message, '/maintenance?tab=work-orders');
+        } else {
+            await notifyRoles(['Manager'], 'maintenance_due', message, '/maintenance?tab=work-orders');
+        }
+        await pool.query('UPDATE Work_Orders SET overdue_notified_at = NOW() WHERE work_order_id = ?', [order.work_order_id]);
+    }
+    return overdue.length;
+}
+
+/**
+ * Generates work orders for every plan that has come due (allowing for its
+ * lead time) and sends overdue reminders.
+ *
+ * @returns {Promise<{ generated: number, overdue_notified: number }>}
+ */
+export async function runMaintenanceScheduler() {
+    const [plans] = await pool.query(`
+        SELECT *, DATE_FORMAT(next_due_date, '%Y-%m-%d') as next_due
+        FROM Maintenance_Plans
+        WHERE is_active = TRUE AND DATE_SUB(next_due_date, INTERVAL lead_days DAY) <= CURDATE()
+    `);
+
+    let generated = 0;
+    for (const plan of plans) {
+        try {
+            generated += await generateWorkOrders(plan);
+        } catch (error) {
+            console.error(`Work order generation for plan ${plan.plan_id} failed:`, error);
+        }
+    }
+
+    const overdueNotified = await notifyOverdue();
+    return { generated, overdue_notified: overdueNotified };
+}
+
+/**
+ * Runs the maintenance scheduler on an interval inside the server process.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=3600000] - Time between runs.
+ */
+export function startMaintenanceScheduler({ intervalMs = 3600000 } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runMaintenanceScheduler();
+            if (summary.generated > 0 || summary.overdue_notified > 0) {
+                console.log(`🔧 Maintenance scheduler: ${summary.generated} work order(s) created, ${summary.overdue_notified} overdue reminder(s)`);
+            }
+        } catch (error) {
+            console.error('Maintenance scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`🔧 Maintenance scheduler running every ${Math.round(intervalMs / 60000)} min`);
+}
+
+export function stopMaintenanceScheduler() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
@@ -0,0 +1,179 @@
+import pool from '../database.js';
+import { logAction } from '../utils/auditLogger.js';
+import { setComponentStatus } from '../utils/componentStatus.js';
+import { windowComponents } from '../utils/maintenanceWindows.js';
+import { notifyUser } from '../utils/notify.js';
+
+let timer = null;
+let running = false;
+
+// Moves a starting window's components to Maintenance, remembering what they were
+async function openWindow(window) {
+    const [claim] = await pool.query(
+        "UPDATE Maintenance_Windows SET status = 'Active', activated_at = NOW() WHERE window_id = ? AND status = 'Approved'",
+        [window.window_id]
+    );
+    if (claim.affectedRows === 0) return 0;
+
+    let moved = 0;
+    if (window.window_type === 'Maintenance') {
+        for (const component of await windowComponents(window)) {
+            const { changed, oldStatus } = await setComponentStatus(component.component_id, 'Maintenance', {
+                source: 'maintenance_window', referenceId: window.window_id, onlyFrom: ['Active', 'Faulty']
+            });
+            if (!changed) continue;
+            moved++;
+            await pool.query(
+                'INSERT IGNORE INTO Maintenance_Window_Components (window_id, component_id, previous_status) VALUES (?, ?, ?)',
+                [window.window_id, component.component_id, oldStatus]
+            );
+        }
+    }
+
+    await logAction({
+        userId: null,
+        action: 'START_MAINTENANCE_WINDOW',
+        entityType: 'Maintenance_Window',
+        entityId: window.window_id,
+        details: { title: window.title, window_type: window.window_type, components_moved: moved }
+    });
+    if (window.requested_by) {
+        await notifyUser(window.requested_by, 'system',
+            `🛠️ ${window.window_type} window "${window.title}" has started`, '/maintenance?tab=windows');
+    }
+    return moved;
+}
+
+/**
+ * Ends a window and puts its components back in the status they had before it
+ * started. Components still covered by another running window are handed over
+ * to that window; components whose status someone changed during the window
+ * are left alone.
+ *
+ * @param {Object} window - Maintenance_Windows row.
+ * @param {'Completed'|'Cancelled'} [status='Completed']
+ * @param {number} [userId] - User ending the window early, if any.
+ * @returns {Promise<number>} Components restored.
+ */
+export async function closeWindow(window, status = 'Completed', userId = null) {
+    const [claim] = await pool.query(
+        "UPDATE Maintenance_Windows SET status = ?, completed_at = NOW() WHERE window_id = ? AND status = 'Active'",
+        [status, window.window_id]
+    );
+    if (claim.affectedRows === 0) return 0;
+
+    const [components] = await pool.query(`
+        SELECT mwc.component_id, mwc.previous_status,
+               (SELECT mw.window_id FROM Maintenance_Windows mw
+                WHERE mw.status = 'Active' AND mw.window_type = 'Maintenance' AND mw.window_id != mwc.window_id
+                  AND (mw.component_id = nc.component_id OR mw.department_id = nc.department_id)
+                ORDER BY mw.end_time DESC LIMIT 1) as covering_window_id
+        FROM Maintenance_Window_Components mwc
+        JOIN Network_Components nc ON mwc.component_id = nc.component_id
+        WHERE mwc.window_id = ? AND mwc.restored_at IS NULL
+    `, [window.window_id]);
+
+    let restored = 0;
+    for (const component of components) {
+        if (component.covering_window_id) {
+            // An overlapping window is still running: it restores the component when it ends
+            await pool.query(
+                'INSERT IGNORE INTO Maintenance_Window_Components (window_id, component_id, previous_status) VALUES (?, ?, ?)',
+                [component.covering_window_id, component.component_id, component.previous_status]
+            );
+        } else {
+            const { changed } = await setComponentStatus(component.component_id, component.previous_status, {
+                source: 'maintenance_window', referenceId: window.window_id, userId, onlyFrom: ['Maintenance']
+            });
+            if (changed) restored++;
+        }
+        await pool.query(
+            'UPDATE Maintenance_Window_Components SET restored_at = NOW() WHERE window_id = ? AND component_id = ?',
+            [window.window_id, component.component_id]
+        );
+    }
+
+    await logAction({
+        userId,
+        action: status === 'Cancelled' ? 'CANCEL_MAINTENANCE_WINDOW' : 'END_MAINTENANCE_WINDOW',
+        entityType: 'Maintenance_Window',
+        entityId: window.window_id,
+        details: { title: window.title, components_restored: restored }
+    });
+    return restored;
+}
+
+/**
+ * Starts approved windows whose time has come and ends running windows that
+ * are over. Approved windows that ended before the scheduler saw them are
+ * marked Completed without touching any component.
+ *
+ * @returns {Promise<{ started: number, ended: number }>}
+ */
+export async function runMaintenanceWindowCycle() {
+    const summary = { started: 0, ended: 0 };
+
+    await pool.query(
+        "UPDATE Maintenance_Windows SET status = 'Completed', completed_at = NOW() WHERE status = 'Approved' AND end_time <= NOW()"
+    );
+
+    const [starting] = await pool.query(
+        "SELECT * FROM Maintenance_Windows WHERE status = 'Approved' AND start_time <= NOW() AND end_time > NOW() ORDER BY start_time"
+    );
+    for (const window of starting) {
+        try {
+            await openWindow(window);
+            summary.started++;
+        } catch (error) {
+            console.error(`Starting maintenance window ${window.window_id} failed:`, error);
+        }
+    }
+
+    const [ending] = await pool.query(
+        "SELECT * FROM Maintenance_Windows WHERE status = 'Active' AND end_time <= NOW() ORDER BY end_time"
+    );
+    for (const window of ending) {
+        try {
+            await closeWindow(window);
+            summary.ended++;
+        } catch (error) {
+            console.error(`Ending maintenance window ${window.window_id} failed:`, error);
+        }
+    }
+    return summary;
+}
+
+/**
+ * Checks maintenance windows on an interval inside the server process.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - Time between checks.
+ */
+export function startMaintenanceWindowScheduler({ intervalMs = 60000 } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runMaintenanceWindowCycle();
+            if (summary.started > 0 || summary.ended > 0) {
+                console.log(`🛠️ Maintenance windows: ${summary.started} started, ${summary.ended} ended`);
+            }
+        } catch (error) {
+            console.error('Maintenance window scheduler error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`🛠️ Maintenance window scheduler running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopMaintenanceWindowScheduler() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
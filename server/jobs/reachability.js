@@ -0,0 +1,281 @@
+import net from 'net';
+import { execFile } from 'child_process';
+import pool from '../database.js';
+import { logAction } from '../utils/auditLogger.js';
+import { createFault, getSystemReporter } from '../utils/faults.js';
+import { setComponentStatus } from '../utils/componentStatus.js';
+import { activeWindowCondition } from '../utils/maintenanceWindows.js';
+import { findDownUpstream } from '../utils/topology.js';
+
+const DEFAULTS = {
+    failureThreshold: Number(process.env.POLLER_FAILURE_THRESHOLD) || 3,
+    timeoutMs: Number(process.env.POLLER_TIMEOUT_MS) || 2000,
+    concurrency: Number(process.env.POLLER_CONCURRENCY) || 10,
+    faultPriority: process.env.POLLER_FAULT_PRIORITY || 'High'
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Opens a TCP connection to host:port and closes it straight away.
+ *
+ * @returns {Promise<{ reachable: boolean, latencyMs: number|null, error: string|null }>}
+ */
+export function probeTcp(host, port, timeoutMs = DEFAULTS.timeoutMs) {
+    return new Promise((resolve) => {
+        const started = Date.now();
+        const socket = new net.Socket();
+
+        const finish = (reachable, error = null) => {
+            socket.destroy();
+            resolve({ reachable, latencyMs: reachable ? Date.now() - started : null, error });
+        };
+
+        socket.setTimeout(timeoutMs);
+        socket.once('connect', () => finish(true));
+        socket.once('timeout', () => finish(false, `TCP connect timed out after ${timeoutMs}ms`));
+        socket.once('error', (error) => finish(false, error.code || error.message));
+        socket.connect(port, host);
+    });
+}
+
+/**
+ * Sends a single ICMP echo using the system ping binary, which already has the
+ * privileges raw sockets need.
+ *
+ * @returns {Promise<{ reachable: boolean, latencyMs: number|null, error: string|null }>}
+ */
+export function probeIcmp(host, timeoutMs = DEFAULTS.timeoutMs) {
+    const args = process.platform === 'win32'
+        ? ['-n', '1', '-w', String(timeoutMs), host]
+        : ['-c', '1', '-W', String(Math.max(1, Math.ceil(timeoutMs / 1000))), host];
+
+    return new Promise((resolve) => {
+        const started = Date.now();
+        execFile('ping', args, { timeout: timeoutMs + 1000 }, (error, stdout) => {
+            if (error) {
+                const reason = error.code === 'ENOENT' ? 'ping binary not available' : 'no echo reply';
+                return resolve({ reachable: false, latencyMs: null, error: reason });
+            }
+            const match = /time[=<]([\d.]+)\s*ms/i.exec(stdout);
+            resolve({ reachable: true, latencyMs: match ? Math.round(Number(match[1])) : Date.now() - started, error: null });
+        });
+    });
+}
+
+// Probes one component using its configured method
+export async function probeComponent(component, { timeoutMs = DEFAULTS.timeoutMs } = {}) {
+    const host = component.ip_address;
+    if (!net.isIP(host || '')) {
+        return { method: component.poll_method, target: String(host || ''), reachable: false, latencyMs: null, error: 'Invalid IP address' };
+    }
+
+    if (component.poll_method === 'tcp') {
+        if (!component.poll_port) {
+            return { method: 'tcp', target: host, reachable: false, latencyMs: null, error: 'No TCP port configured' };
+        }
+        const result = await probeTcp(host, component.poll_port, timeoutMs);
+        return { method: 'tcp', target: `${host}:${component.poll_port}`, ...result };
+    }
+
+    const result = await probeIcmp(host, timeoutMs);
+    return { method: 'icmp', target: host, ...result };
+}
+
+// Marks the component Faulty and opens a fault, unless one is already being worked on.
+// Components cut off by an upstream outage are left alone; that outage's fault covers them.
+// Runs on every failed poll past the threshold (crossed is true on the first), so
+// a component still down when the outage covering it is closed gets its own fault.
+async function handleUnreachable(component, probe, failures, crossed) {
+    const [openFaults] = await pool.query(
+        "SELECT fault_id FROM Faults WHERE component_id = ? AND status IN ('Open', 'In Progress', 'Pending') LIMIT 1",
+        [component.component_id]
+    );
+    if (!crossed && openFaults.length > 0) return null;
+
+    const upstream = await findDownUpstream(component.component_id);
+
+    if (crossed) {
+        await logAction({
+            userId: null,
+            action: 'COMPONENT_UNREACHABLE',
+            entityType: 'Component',
+            entityId: component.component_id,
+            details: {
+                target: probe.target, method: probe.method, consecutive_failures: failures, error: probe.error,
+                upstream_fault_id: upstream ? upstream.fault_id : null
+            }
+        });
+    }
+    if (upstream) return null;
+
+    await setComponentStatus(component.component_id, 'Faulty', { source: 'poller' });
+    if (openFaults.length > 0) return null;
+
+    const reporter = await getSystemReporter(process.env.POLLER_REPORTER_USER_ID);
+    if (!reporter) {
+        console.error(`Reachability poller: no active Admin to report fault for component ${component.component_id}`);
+        return null;
+    }
+
+    const { faultId } = await createFault({
+        componentId: component.component_id,
+        reportedBy: reporter,
+        title: `${component.name} unreachable`,
+        description: `Automatic reachability check failed ${failures} times in a row (${probe.method.toUpperCase()} ${probe.target}). Last error: ${probe.error || 'unknown'}.`,
+        category: 'Connectivity',
+        priority: DEFAULTS.faultPriority,
+        auditDetails: { source: 'reachability_poller' }
+    });
+    return faultId;
+}
+
+// Sets the component back to Active when the poller itself marked it Faulty; a
+// Faulty status from anything else (a fault report, a technician) is left alone.
+async function handleRecovered(component) {
+    const [[last]] = await pool.query(
+        'SELECT new_status, source FROM Component_Status_History WHERE component_id = ? ORDER BY changed_at DESC, history_id DESC LIMIT 1',
+        [component.component_id]
+    );
+    if (!last || last.new_status !== 'Faulty' || last.source !== 'poller') return false;
+
+    const { changed } = await setComponentStatus(component.component_id, 'Active', { onlyFrom: ['Faulty'], source: 'poller' });
+    if (changed) {
+        await logAction({
+            userId: null,
+            action: 'COMPONENT_REACHABLE',
+            entityType: 'Component',
+            entityId: component.component_id,
+            details: { previous_failures: component.consecutive_failures }
+        });
+    }
+    return changed;
+}
+
+/**
+ * Probes one component, records the result and applies the failure threshold.
+ *
+ * @param {Object} component - Network_Components row.
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold] - Consecutive failures before the component is marked Faulty.
+ * @param {number} [options.timeoutMs] - Probe timeout.
+ * @returns {Promise<Object>} The probe result plus consecutive_failures, any fault_id opened and
+ *   whether a component the poller had marked Faulty was set back to Active (recovered).
+ */
+export async function pollComponent(component, { failureThreshold = DEFAULTS.failureThreshold, timeoutMs = DEFAULTS.timeoutMs } = {}) {
+    const probe = await probeComponent(component, { timeoutMs });
+
+    await pool.query(
+        'INSERT INTO Reachability_Checks (component_id, method, target, reachable, latency_ms, error) VALUES (?, ?, ?, ?, ?, ?)',
+        [component.component_id, probe.method || 'icmp', probe.target, probe.reachable, probe.latencyMs, probe.error]
+    );
+
+    if (probe.reachable) {
+        await pool.query(
+            'UPDATE Network_Components SET consecutive_failures = 0, last_polled_at = NOW(), last_reachable_at = NOW() WHERE component_id = ?',
+            [component.component_id]
+        );
+        // First answer after an outage the poller raised
+        const recovered = (component.consecutive_failures || 0) >= failureThreshold && await handleRecovered(component);
+        return { ...probe, consecutive_failures: 0, fault_id: null, recovered };
+    }
+
+    await pool.query(
+        'UPDATE Network_Components SET consecutive_failures = consecutive_failures + 1, last_polled_at = NOW() WHERE component_id = ?',
+        [component.component_id]
+    );
+    const failures = (component.consecutive_failures || 0) + 1;
+
+    const faultId = failures >= failureThreshold
+        ? await handleUnreachable(component, probe, failures, failures === failureThreshold)
+        : null;
+    return { ...probe, consecutive_failures: failures, fault_id: faultId };
+}
+
+/**
+ * Probes every pollable component once. Components that are Inactive, under
+ * Maintenance or inside a maintenance window, or have no IP address, are skipped.
+ *
+ * @returns {Promise<{ checked: number, unreachable: number, faults_opened: number, recovered: number }>}
+ */
+export async function runPollCycle(options = {}) {
+    const [components] = await pool.query(`
+        SELECT component_id, name, ip_address, poll_method, poll_port, consecutive_failures
+        FROM Network_Components
+        WHERE poll_enabled = TRUE
+          AND ip_address IS NOT NULL AND ip_address != ''
+          AND status NOT IN ('Inactive', 'Maintenance')
+          AND NOT ${activeWindowCondition('Network_Components')}
+    `);
+
+    const summary = { checked: 0, unreachable: 0, faults_opened: 0, recovered: 0 };
+    const concurrency = options.concurrency || DEFAULTS.concurrency;
+
+    for (let i = 0; i < components.length; i += concurrency) {
+        const batch = components.slice(i, i + concurrency);
+        const results = await Promise.all(batch.map(component =>
+            pollComponent(component, options).catch((error) => {
+                console.error(`Reachability check of component ${component.component_id} failed:`, error);
+                return null;
+            })
+        ));
+        for (const result of results.filter(Boolean)) {
+            summary.checked++;
+            if (!result.reachable) summary.unreachable++;
+            if (result.fault_id) summary.faults_opened++;
+            if (result.recovered) summary.recovered++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Starts polling on an interval inside the server process. Cycles never overlap.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=60000] - Time between cycles.
+ */
+export function startReachabilityPoller({ intervalMs = 60000, ...options } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runPollCycle(options);
+            if (summary.faults_opened > 0 || summary.recovered > 0) {
+                console.log(`📡 Reachability poller: ${summary.unreachable}/${summary.checked} unreachable, ${summary.faults_opened} fault(s) opened, ${summary.recovered} recovered`);
+            }
+        } catch (error) {
+            console.error('Reachability cycle error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`📡 Reachability poller running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopReachabilityPoller() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+// Probe a single address without touching the database:
+//   node server/jobs/reachability.js 127.0.0.1 [port]
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const [host, port] = process.argv.slice(2);
+    if (!host) {
+        console.log('Usage: node server/jobs/reachability.js <ip> [tcp-port]');
+        process.exit(1);
+    }
+    probeComponent({ ip_address: host, poll_method: port ? 'tcp' : 'icmp', poll_port: port ? Number(port) : null })
+        .then((result) => {
+            console.log(result);
+            process.exit(result.reachable ? 0 : 2);
+        });
+}
@@ -0,0 +1,68 @@
+import pool from '../database.js';
+import { deliverWebhook } from '../utils/webhooks.js';
+
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+/**
+ * Retries webhook deliveries whose next attempt is due. Deliveries for
+ * webhooks that were switched off wait until the webhook is active again.
+ *
+ * @returns {Promise<{ delivered: number, failed: number }>} failed counts attempts
+ *   that failed this cycle, including ones that will be retried.
+ */
+export async function runWebhookDeliveryCycle() {
+    const [due] = await pool.query(`
+        SELECT wd.*, w.url, w.secret
+        FROM Webhook_Deliveries wd
+        JOIN Webhooks w ON wd.webhook_id = w.webhook_id
+        WHERE wd.status = 'pending' AND wd.next_attempt_at <= NOW() AND w.is_active = TRUE
+        ORDER BY wd.next_attempt_at
+        LIMIT ?
+    `, [BATCH_SIZE]);
+
+    const summary = { delivered: 0, failed: 0 };
+    for (const delivery of due) {
+        const { delivered } = await deliverWebhook(delivery, { url: delivery.url, secret: delivery.secret });
+        if (delivered) summary.delivered++;
+        else summary.failed++;
+    }
+    return summary;
+}
+
+/**
+ * Works through the webhook retry queue on an interval inside the server process.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=30000] - Time between cycles.
+ */
+export function startWebhookDelivery({ intervalMs = 30000 } = {}) {
+    if (timer) return;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await runWebhookDeliveryCycle();
+            if (summary.delivered > 0 || summary.failed > 0) {
+                console.log(`🔗 Webhook retries: ${summary.delivered} delivered, ${summary.failed} failed`);
+            }
+        } catch (error) {
+            console.error('Webhook delivery error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    console.log(`🔗 Webhook retry queue running every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function stopWebhookDelivery() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
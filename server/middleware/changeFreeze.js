@@ -0,0 +1,21 @@
+import { findActiveFreeze } from '../utils/maintenanceWindows.js';
+
+// Rejects changes to the component in req.params.id while a change freeze
+// covers it. Admins may still make emergency changes.
+export async function enforceChangeFreeze(req, res, next) {
+    if (req.user?.role === 'Admin') return next();
+
+    try {
+        const freeze = await findActiveFreeze(req.params.id);
+        if (freeze) {
+            return res.status(423).json({
+                success: false,
+                message: `Component is under change freeze "${freeze.title}" until ${new Date(freeze.end_time).toLocaleString()}`
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Change freeze check error:', error);
+        res.status(500).json({ success: false, message: 'Failed to check change freeze' });
+    }
+}
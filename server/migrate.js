@@ -0,0 +1,220 @@
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import { readdir } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from project root (parent directory)
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'telecom_schema_migrations';
+
+// Open a connection to the application database, creating the database first if needed
+export async function openMigrationConnection() {
+  const dbName = process.env.DB_NAME || 'telecom_network_db';
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    port: process.env.DB_PORT || 3306
+  });
+
+  await connection.query(`CREATE DATABASE IF NOT EXISTS ${dbName}`);
+  await connection.query(`USE ${dbName}`);
+  return connection;
+}
+
+// Read migration modules from server/migrations, ordered by version number
+export async function loadMigrations() {
+  const files = (await readdir(MIGRATIONS_DIR)).filter(file => MIGRATION_FILE.test(file));
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const module = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({ version, name, file, up: module.up, down: module.down });
+  }
+
+  migrations.sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new Error(`Duplicate migration version ${migrations[i].version} (${migrations[i - 1].file}, ${migrations[i].file})`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Schema_Migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(connection) {
+  await ensureMigrationsTable(connection);
+  const [rows] = await connection.query('SELECT version, name, applied_at FROM Schema_Migrations');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Serialise migration runs so two processes never apply the same file twice
+async function withLock(connection, fn) {
+  const [[lock]] = await connection.query('SELECT GET_LOCK(?, 30) as acquired', [LOCK_NAME]);
+  if (!lock.acquired) {
+    throw new Error('Another migration run is in progress');
+  }
+  try {
+    return await fn();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+/**
+ * Lists every known migration with whether it has been applied.
+ * Applied versions with no matching file are reported as missing.
+ */
+export async function getMigrationStatus(connection) {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(connection);
+
+  const status = migrations.map(m => {
+    const row = applied.get(m.version);
+    return {
+      version: m.version,
+      name: m.name,
+      applied: Boolean(row),
+      applied_at: row ? row.applied_at : null
+    };
+  });
+
+  const known = new Set(migrations.map(m => m.version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) {
+      status.push({ version: row.version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
+    }
+  }
+
+  return status;
+}
+
+export async function getPendingMigrations(connection) {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(connection);
+  return migrations.filter(m => !applied.has(m.version));
+}
+
+/**
+ * Applies pending migrations in order. MySQL commits DDL implicitly, so each
+ * migration is recorded as soon as it succeeds; a failure stops the run and
+ * leaves later migrations pending.
+ *
+ * @param {Object} [options]
+ * @param {string|number} [options.to] - Stop after this version.
+ * @returns {Promise<Array>} The migrations that were applied.
+ */
+export async function migrateUp(connection, { to } = {}) {
+  return withLock(connection, async () => {
+    let pending = await getPendingMigrations(connection);
+    if (to !== undefined) {
+      pending = pending.filter(m => Number(m.version) <= Number(to));
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.file}`);
+      await migration.up(connection);
+      await connection.query(
+        'INSERT INTO Schema_Migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Rolls back the most recently applied migrations.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to roll back.
+ * @returns {Promise<Array>} The migrations that were rolled back.
+ */
+export async function migrateDown(connection, { steps = 1 } = {}) {
+  return withLock(connection, async () => {
+    const migrations = await loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+
+    const targets = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of targets) {
+      console.log(`⬇️  Reverting ${migration.file}`);
+      await migration.down(connection);
+      await connection.query('DELETE FROM Schema_Migrations WHERE version = ?', [migration.version]);
+    }
+
+    return targets;
+  });
+}
+
+// CLI: node server/migrate.js <up|down|status> [steps|version]
+async function runCli(command = 'status', arg) {
+  const connection = await openMigrationConnection();
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(connection, { to: arg });
+      console.log(applied.length === 0
+        ? '✅ Database schema is already up to date'
+        : `✅ Applied ${applied.length} migration(s)`);
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const reverted = await migrateDown(connection, { steps });
+      console.log(reverted.length === 0
+        ? 'ℹ️  No applied migrations to roll back'
+        : `✅ Rolled back ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(connection);
+      for (const m of status) {
+        const state = m.missing ? 'MISSING' : m.applied ? 'applied' : 'pending';
+        const when = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+        console.log(`${m.version.padEnd(6)} ${state.padEnd(8)} ${m.name.padEnd(40)} ${when}`);
+      }
+      const pending = status.filter(m => !m.applied).length;
+      console.log(`\n${pending} pending migration(s)`);
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCli(process.argv[2], process.argv[3])
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Migration failed:', error.message);
+      process.exit(1);
+    });
+}
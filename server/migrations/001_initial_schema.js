@@ -0,0 +1,211 @@
+import { addColumnIfMissing, addForeignKeyIfMissing } from '../utils/schema.js';
+
+// Baseline schema. Every table uses IF NOT EXISTS so databases created by the
+// old initializeDatabase() can adopt the migration history without data loss.
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Departments (
+      department_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      location VARCHAR(100)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Users (
+      user_id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(50) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      role ENUM('Admin', 'Manager', 'Technician', 'Staff') DEFAULT 'Technician',
+      status ENUM('Active', 'Inactive') DEFAULT 'Active',
+      department_id INT,
+      phone_number VARCHAR(15),
+      email VARCHAR(100) UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL
+    )
+  `);
+
+  // Older databases created Users before departments existed
+  await addColumnIfMissing(connection, 'Users', 'department_id', 'INT');
+  await addForeignKeyIfMissing(connection, 'Users', 'department_id', 'users_fk_dept',
+    'Departments(department_id) ON DELETE SET NULL');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Network_Components (
+      component_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      type ENUM('Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point') NOT NULL,
+      department_id INT,
+      model_number VARCHAR(100),
+      ip_address VARCHAR(45),
+      mac_address VARCHAR(17),
+      location VARCHAR(100) NOT NULL,
+      status ENUM('Active', 'Inactive', 'Maintenance', 'Faulty') DEFAULT 'Active',
+      config_details TEXT,
+      install_date DATE,
+      latitude DECIMAL(10, 8),
+      longitude DECIMAL(11, 8),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL
+    )
+  `);
+
+  await addColumnIfMissing(connection, 'Network_Components', 'department_id', 'INT');
+  await addForeignKeyIfMissing(connection, 'Network_Components', 'department_id', 'comp_fk_dept',
+    'Departments(department_id) ON DELETE SET NULL');
+  await addColumnIfMissing(connection, 'Network_Components', 'latitude', 'DECIMAL(10, 8)');
+  await addColumnIfMissing(connection, 'Network_Components', 'longitude', 'DECIMAL(11, 8)');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Inventory_Items (
+      item_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      quantity INT DEFAULT 0,
+      min_level INT DEFAULT 5,
+      unit_cost DECIMAL(10, 2) DEFAULT 0.00,
+      location VARCHAR(100),
+      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Faults (
+      fault_id INT AUTO_INCREMENT PRIMARY KEY,
+      component_id INT NOT NULL,
+      reported_by INT NOT NULL,
+      assigned_to INT,
+      priority ENUM('Critical', 'High', 'Medium', 'Low') DEFAULT 'Medium',
+      status ENUM('Open', 'In Progress', 'Resolved', 'Closed', 'Pending') DEFAULT 'Open',
+      description TEXT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      category VARCHAR(50) DEFAULT 'general',
+      reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      scheduled_for DATETIME,
+      resolved_at DATETIME,
+      response_time_minutes INT,
+      resolution_notes TEXT,
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE RESTRICT,
+      FOREIGN KEY (reported_by) REFERENCES Users(user_id) ON DELETE RESTRICT,
+      FOREIGN KEY (assigned_to) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Maintenance_Logs (
+      log_id INT AUTO_INCREMENT PRIMARY KEY,
+      component_id INT NOT NULL,
+      technician_id INT NOT NULL,
+      activity_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      action_taken TEXT NOT NULL,
+      result VARCHAR(50),
+      duration_minutes INT,
+      type VARCHAR(50) DEFAULT 'scheduled',
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE RESTRICT,
+      FOREIGN KEY (technician_id) REFERENCES Users(user_id) ON DELETE RESTRICT
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Incident_Reports (
+      report_id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      summary TEXT,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME,
+      affected_components_count INT DEFAULT 0,
+      total_faults INT DEFAULT 0,
+      avg_resolution_time DECIMAL(10, 2),
+      impact_level ENUM('minor', 'major', 'critical') DEFAULT 'minor',
+      details JSON,
+      generated_by INT,
+      generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (generated_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Metrics_Snapshots (
+      snapshot_id INT AUTO_INCREMENT PRIMARY KEY,
+      uptime_percentage DECIMAL(5, 2),
+      total_faults_today INT DEFAULT 0,
+      resolved_faults_today INT DEFAULT 0,
+      avg_response_time DECIMAL(10, 2),
+      active_components INT DEFAULT 0,
+      components_in_maintenance INT DEFAULT 0,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Fault_Comments (
+      comment_id INT AUTO_INCREMENT PRIMARY KEY,
+      fault_id INT NOT NULL,
+      user_id INT NOT NULL,
+      comment TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (fault_id) REFERENCES Faults(fault_id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Maintenance_Comments (
+      comment_id INT AUTO_INCREMENT PRIMARY KEY,
+      log_id INT NOT NULL,
+      user_id INT NOT NULL,
+      comment TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (log_id) REFERENCES Maintenance_Logs(log_id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Audit_Logs (
+      log_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT,
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50),
+      entity_id INT,
+      details TEXT,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Notifications (
+      notification_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      type ENUM('fault_assigned', 'status_change', 'low_stock', 'system') NOT NULL,
+      message TEXT NOT NULL,
+      link VARCHAR(255),
+      is_read BOOLEAN DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(connection) {
+  // Reverse dependency order so foreign keys never block a drop
+  await connection.query('DROP TABLE IF EXISTS Notifications');
+  await connection.query('DROP TABLE IF EXISTS Audit_Logs');
+  await connection.query('DROP TABLE IF EXISTS Maintenance_Comments');
+  await connection.query('DROP TABLE IF EXISTS Fault_Comments');
+  await connection.query('DROP TABLE IF EXISTS Metrics_Snapshots');
+  await connection.query('DROP TABLE IF EXISTS Incident_Reports');
+  await connection.query('DROP TABLE IF EXISTS Maintenance_Logs');
+  await connection.query('DROP TABLE IF EXISTS Faults');
+  await connection.query('DROP TABLE IF EXISTS Inventory_Items');
+  await connection.query('DROP TABLE IF EXISTS Network_Components');
+  await connection.query('DROP TABLE IF EXISTS Users');
+  await connection.query('DROP TABLE IF EXISTS Departments');
+}
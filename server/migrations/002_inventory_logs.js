@@ -0,0 +1,36 @@
+// Previously only created by the standalone add_inventory_logs_table.js and
+// create_issuance_table.js scripts, so fresh installs were missing them.
+export async function up(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Inventory_Usage_Logs (
+      log_id INT AUTO_INCREMENT PRIMARY KEY,
+      item_id INT NOT NULL,
+      user_id INT NOT NULL,
+      quantity_used INT NOT NULL,
+      reason VARCHAR(255),
+      used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (item_id) REFERENCES Inventory_Items(item_id),
+      FOREIGN KEY (user_id) REFERENCES Users(user_id)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Inventory_Issuance_Logs (
+      issuance_id INT AUTO_INCREMENT PRIMARY KEY,
+      item_id INT NOT NULL,
+      technician_id INT NOT NULL,
+      issued_by INT NOT NULL,
+      quantity INT NOT NULL,
+      notes TEXT,
+      issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT issuance_fk_item FOREIGN KEY (item_id) REFERENCES Inventory_Items(item_id),
+      CONSTRAINT issuance_fk_tech FOREIGN KEY (technician_id) REFERENCES Users(user_id),
+      CONSTRAINT issuance_fk_issuer FOREIGN KEY (issued_by) REFERENCES Users(user_id)
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Inventory_Issuance_Logs');
+  await connection.query('DROP TABLE IF EXISTS Inventory_Usage_Logs');
+}
@@ -0,0 +1,10 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../utils/schema.js';
+
+// Written by PUT /api/technicians/:id/status when a user is deactivated
+export async function up(connection) {
+  await addColumnIfMissing(connection, 'Users', 'status_reason', 'VARCHAR(255) NULL AFTER status');
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'Users', 'status_reason');
+}
@@ -0,0 +1,55 @@
+import { addColumnIfMissing, addForeignKeyIfMissing, dropColumnIfExists } from '../utils/schema.js';
+
+export async function up(connection) {
+  // A policy applies to a priority and optionally narrows to a department
+  // and/or component type; the most specific active match wins.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS SLA_Policies (
+      policy_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      priority ENUM('Critical', 'High', 'Medium', 'Low') NOT NULL,
+      department_id INT NULL,
+      component_type ENUM('Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point') NULL,
+      response_minutes INT NOT NULL,
+      resolution_minutes INT NOT NULL,
+      at_risk_percent INT NOT NULL DEFAULT 80,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE CASCADE
+    )
+  `);
+
+  await addColumnIfMissing(connection, 'Faults', 'sla_policy_id', 'INT NULL');
+  await addForeignKeyIfMissing(connection, 'Faults', 'sla_policy_id', 'faults_fk_sla_policy',
+    'SLA_Policies(policy_id) ON DELETE SET NULL');
+  await addColumnIfMissing(connection, 'Faults', 'response_due_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'Faults', 'resolution_due_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'Faults', 'first_response_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'Faults', 'sla_paused_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'Faults', 'sla_paused_minutes', 'INT NOT NULL DEFAULT 0');
+
+  const [[existing]] = await connection.query('SELECT COUNT(*) as count FROM SLA_Policies');
+  if (existing.count === 0) {
+    await connection.query(
+      'INSERT INTO SLA_Policies (name, priority, response_minutes, resolution_minutes) VALUES ?',
+      [[
+        ['Default Critical', 'Critical', 15, 240],
+        ['Default High', 'High', 30, 480],
+        ['Default Medium', 'Medium', 120, 1440],
+        ['Default Low', 'Low', 480, 4320]
+      ]]
+    );
+  }
+}
+
+export async function down(connection) {
+  await connection.query('ALTER TABLE Faults DROP FOREIGN KEY faults_fk_sla_policy');
+  await dropColumnIfExists(connection, 'Faults', 'sla_policy_id');
+  await dropColumnIfExists(connection, 'Faults', 'response_due_at');
+  await dropColumnIfExists(connection, 'Faults', 'resolution_due_at');
+  await dropColumnIfExists(connection, 'Faults', 'first_response_at');
+  await dropColumnIfExists(connection, 'Faults', 'sla_paused_at');
+  await dropColumnIfExists(connection, 'Faults', 'sla_paused_minutes');
+  await connection.query('DROP TABLE IF EXISTS SLA_Policies');
+}
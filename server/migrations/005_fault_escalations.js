@@ -0,0 +1,64 @@
+export async function up(connection) {
+  // Rules fire once per fault, in level order, when the trigger condition has
+  // held for after_minutes: 'unassigned' counts from reported_at while the
+  // fault is Open with nobody assigned, 'stalled' from started_at while it
+  // stays In Progress.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Escalation_Rules (
+      rule_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      trigger_condition ENUM('unassigned', 'stalled') NOT NULL,
+      priorities SET('Critical', 'High', 'Medium', 'Low') NOT NULL,
+      level INT NOT NULL DEFAULT 1,
+      after_minutes INT NOT NULL,
+      action ENUM('notify_role', 'notify_assignee', 'bump_priority') NOT NULL,
+      target_role ENUM('Admin', 'Manager', 'Technician') NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Fault_Escalations (
+      escalation_id INT AUTO_INCREMENT PRIMARY KEY,
+      fault_id INT NOT NULL,
+      rule_id INT NULL,
+      level INT NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      details TEXT,
+      escalated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_fault_rule (fault_id, rule_id),
+      FOREIGN KEY (fault_id) REFERENCES Faults(fault_id) ON DELETE CASCADE,
+      FOREIGN KEY (rule_id) REFERENCES Escalation_Rules(rule_id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    ALTER TABLE Notifications
+    MODIFY type ENUM('fault_assigned', 'status_change', 'low_stock', 'system', 'escalation') NOT NULL
+  `);
+
+  const [[existing]] = await connection.query('SELECT COUNT(*) as count FROM Escalation_Rules');
+  if (existing.count === 0) {
+    await connection.query(
+      'INSERT INTO Escalation_Rules (name, trigger_condition, priorities, level, after_minutes, action, target_role) VALUES ?',
+      [[
+        ['Unassigned: notify Manager', 'unassigned', 'Critical,High', 1, 30, 'notify_role', 'Manager'],
+        ['Unassigned: notify Admin', 'unassigned', 'Critical,High', 2, 120, 'notify_role', 'Admin'],
+        ['Unassigned: bump priority', 'unassigned', 'Critical,High', 3, 240, 'bump_priority', null],
+        ['Stalled: remind assignee', 'stalled', 'Critical,High', 1, 240, 'notify_assignee', null],
+        ['Stalled: notify Manager', 'stalled', 'Critical,High', 2, 480, 'notify_role', 'Manager']
+      ]]
+    );
+  }
+}
+
+export async function down(connection) {
+  await connection.query("UPDATE Notifications SET type = 'system' WHERE type = 'escalation'");
+  await connection.query(`
+    ALTER TABLE Notifications
+    MODIFY type ENUM('fault_assigned', 'status_change', 'low_stock', 'system') NOT NULL
+  `);
+  await connection.query('DROP TABLE IF EXISTS Fault_Escalations');
+  await connection.query('DROP TABLE IF EXISTS Escalation_Rules');
+}
@@ -0,0 +1,33 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../utils/schema.js';
+
+export async function up(connection) {
+  // Per-component probe settings. poll_port is only used by 'tcp'.
+  await addColumnIfMissing(connection, 'Network_Components', 'poll_enabled', 'BOOLEAN DEFAULT TRUE');
+  await addColumnIfMissing(connection, 'Network_Components', 'poll_method', "ENUM('icmp', 'tcp') DEFAULT 'icmp'");
+  await addColumnIfMissing(connection, 'Network_Components', 'poll_port', 'INT NULL');
+  await addColumnIfMissing(connection, 'Network_Components', 'consecutive_failures', 'INT DEFAULT 0');
+  await addColumnIfMissing(connection, 'Network_Components', 'last_polled_at', 'DATETIME NULL');
+  await addColumnIfMissing(connection, 'Network_Components', 'last_reachable_at', 'DATETIME NULL');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Reachability_Checks (
+      check_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      component_id INT NOT NULL,
+      checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      method ENUM('icmp', 'tcp') NOT NULL,
+      target VARCHAR(60) NOT NULL,
+      reachable BOOLEAN NOT NULL,
+      latency_ms INT NULL,
+      error VARCHAR(255) NULL,
+      INDEX idx_reachability_component_time (component_id, checked_at),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Reachability_Checks');
+  for (const column of ['last_reachable_at', 'last_polled_at', 'consecutive_failures', 'poll_port', 'poll_method', 'poll_enabled']) {
+    await dropColumnIfExists(connection, 'Network_Components', column);
+  }
+}
@@ -0,0 +1,34 @@
+export async function up(connection) {
+  // One row per status transition. old_status is NULL for the row that starts
+  // a component's timeline (creation, or the baseline written below).
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Component_Status_History (
+      history_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      component_id INT NOT NULL,
+      old_status ENUM('Active', 'Inactive', 'Maintenance', 'Faulty') NULL,
+      new_status ENUM('Active', 'Inactive', 'Maintenance', 'Faulty') NOT NULL,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      source VARCHAR(30) NOT NULL DEFAULT 'manual',
+      reference_id INT NULL,
+      changed_by INT NULL,
+      INDEX idx_status_history_component_time (component_id, changed_at),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // Start each existing component's timeline from its current status; nothing
+  // earlier can be reconstructed.
+  await connection.query(`
+    INSERT INTO Component_Status_History (component_id, old_status, new_status, changed_at, source)
+    SELECT nc.component_id, NULL, nc.status, NOW(), 'baseline'
+    FROM Network_Components nc
+    WHERE NOT EXISTS (
+      SELECT 1 FROM Component_Status_History h WHERE h.component_id = nc.component_id
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Component_Status_History');
+}
@@ -0,0 +1,25 @@
+export async function up(connection) {
+  // Directed links: the upstream component feeds the downstream one
+  // (e.g. Core Router -> Admin Block switch -> Boardroom access point).
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Component_Links (
+      link_id INT AUTO_INCREMENT PRIMARY KEY,
+      upstream_component_id INT NOT NULL,
+      downstream_component_id INT NOT NULL,
+      upstream_port VARCHAR(50),
+      downstream_port VARCHAR(50),
+      medium ENUM('Fiber', 'Copper', 'Wireless', 'Virtual') DEFAULT 'Copper',
+      capacity_mbps INT NULL,
+      notes VARCHAR(255),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_component_link (upstream_component_id, downstream_component_id),
+      INDEX idx_links_downstream (downstream_component_id),
+      FOREIGN KEY (upstream_component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (downstream_component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Component_Links');
+}
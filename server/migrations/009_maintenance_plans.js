@@ -0,0 +1,73 @@
+export async function up(connection) {
+  // A plan targets one component or every component of a type. Recurrence
+  // columns are interpreted by server/utils/recurrence.js.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Maintenance_Plans (
+      plan_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      component_id INT NULL,
+      component_type ENUM('Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point') NULL,
+      recurrence_type ENUM('days', 'weekly', 'monthly_day', 'monthly_weekday') NOT NULL,
+      recurrence_interval INT NOT NULL DEFAULT 1,
+      weekday TINYINT NULL,
+      week_of_month TINYINT NULL,
+      day_of_month TINYINT NULL,
+      start_date DATE NOT NULL,
+      next_due_date DATE NOT NULL,
+      lead_days INT NOT NULL DEFAULT 0,
+      checklist TEXT,
+      estimated_minutes INT NULL,
+      assigned_technician_id INT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_plans_next_due (is_active, next_due_date),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (assigned_technician_id) REFERENCES Users(user_id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // checklist holds the plan's items copied at generation time as [{ item, done }]
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Work_Orders (
+      work_order_id INT AUTO_INCREMENT PRIMARY KEY,
+      plan_id INT NOT NULL,
+      component_id INT NOT NULL,
+      assigned_to INT NULL,
+      due_date DATE NOT NULL,
+      status ENUM('Open', 'In Progress', 'Completed', 'Skipped') DEFAULT 'Open',
+      checklist TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME NULL,
+      completed_by INT NULL,
+      maintenance_log_id INT NULL,
+      overdue_notified_at DATETIME NULL,
+      UNIQUE KEY uniq_work_order_occurrence (plan_id, component_id, due_date),
+      INDEX idx_work_orders_status_due (status, due_date),
+      FOREIGN KEY (plan_id) REFERENCES Maintenance_Plans(plan_id) ON DELETE CASCADE,
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (assigned_to) REFERENCES Users(user_id) ON DELETE SET NULL,
+      FOREIGN KEY (completed_by) REFERENCES Users(user_id) ON DELETE SET NULL,
+      FOREIGN KEY (maintenance_log_id) REFERENCES Maintenance_Logs(log_id) ON DELETE SET NULL
+    )
+  `);
+
+  await connection.query(`
+    ALTER TABLE Notifications
+    MODIFY type ENUM('fault_assigned', 'status_change', 'low_stock', 'system', 'escalation', 'maintenance_due') NOT NULL
+  `);
+}
+
+export async function down(connection) {
+  await connection.query("UPDATE Notifications SET type = 'system' WHERE type = 'maintenance_due'");
+  await connection.query(`
+    ALTER TABLE Notifications
+    MODIFY type ENUM('fault_assigned', 'status_change', 'low_stock', 'system', 'escalation') NOT NULL
+  `);
+  await connection.query('DROP TABLE IF EXISTS Work_Orders');
+  await connection.query('DROP TABLE IF EXISTS Maintenance_Plans');
+}
@@ -0,0 +1,48 @@
+export async function up(connection) {
+  // A window covers one component or every component in a department.
+  // 'Maintenance' windows take components out of service and silence alerts;
+  // 'Change Freeze' windows block edits to the covered components.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Maintenance_Windows (
+      window_id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(150) NOT NULL,
+      description TEXT,
+      window_type ENUM('Maintenance', 'Change Freeze') NOT NULL DEFAULT 'Maintenance',
+      component_id INT NULL,
+      department_id INT NULL,
+      start_time DATETIME NOT NULL,
+      end_time DATETIME NOT NULL,
+      status ENUM('Pending', 'Approved', 'Rejected', 'Active', 'Completed', 'Cancelled') NOT NULL DEFAULT 'Pending',
+      requested_by INT NULL,
+      approved_by INT NULL,
+      approved_at DATETIME NULL,
+      review_note TEXT,
+      activated_at DATETIME NULL,
+      completed_at DATETIME NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_windows_status_time (status, start_time, end_time),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE CASCADE,
+      FOREIGN KEY (requested_by) REFERENCES Users(user_id) ON DELETE SET NULL,
+      FOREIGN KEY (approved_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // Components a window actually moved to Maintenance, and what to put back afterwards
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Maintenance_Window_Components (
+      window_id INT NOT NULL,
+      component_id INT NOT NULL,
+      previous_status ENUM('Active', 'Inactive', 'Maintenance', 'Faulty') NOT NULL,
+      restored_at DATETIME NULL,
+      PRIMARY KEY (window_id, component_id),
+      FOREIGN KEY (window_id) REFERENCES Maintenance_Windows(window_id) ON DELETE CASCADE,
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Maintenance_Window_Components');
+  await connection.query('DROP TABLE IF EXISTS Maintenance_Windows');
+}
@@ -0,0 +1,34 @@
+export async function up(connection) {
+  // proposed_changes holds { field: new value }; original_values the same
+  // fields as they were when the RFC was submitted, so a change made in the
+  // meantime is caught before the RFC is applied.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Change_Requests (
+      change_id INT AUTO_INCREMENT PRIMARY KEY,
+      component_id INT NOT NULL,
+      title VARCHAR(150) NOT NULL,
+      reason TEXT,
+      proposed_changes TEXT NOT NULL,
+      original_values TEXT NOT NULL,
+      risk_level ENUM('Low', 'Medium', 'High', 'Critical') NOT NULL DEFAULT 'Medium',
+      rollback_plan TEXT NOT NULL,
+      scheduled_for DATETIME NULL,
+      status ENUM('Pending', 'Approved', 'Rejected', 'Applied', 'Failed', 'Cancelled') NOT NULL DEFAULT 'Pending',
+      requested_by INT NULL,
+      reviewed_by INT NULL,
+      reviewed_at DATETIME NULL,
+      review_note TEXT,
+      applied_at DATETIME NULL,
+      apply_result TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_change_requests_status (status, scheduled_for),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (requested_by) REFERENCES Users(user_id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Change_Requests');
+}
@@ -0,0 +1,32 @@
+export async function up(connection) {
+  // Every version of Network_Components.config_details, numbered per component
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Config_Revisions (
+      revision_id INT AUTO_INCREMENT PRIMARY KEY,
+      component_id INT NOT NULL,
+      revision_number INT NOT NULL,
+      config_details MEDIUMTEXT,
+      author_id INT NULL,
+      reason VARCHAR(255),
+      source VARCHAR(30) NOT NULL DEFAULT 'manual',
+      reference_id INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_config_revision (component_id, revision_number),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // The current config of each component becomes its first revision
+  await connection.query(`
+    INSERT INTO Config_Revisions (component_id, revision_number, config_details, reason, source)
+    SELECT nc.component_id, 1, nc.config_details, 'Configuration at the time history was enabled', 'baseline'
+    FROM Network_Components nc
+    WHERE nc.config_details IS NOT NULL AND nc.config_details != ''
+      AND NOT EXISTS (SELECT 1 FROM Config_Revisions cr WHERE cr.component_id = nc.component_id)
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Config_Revisions');
+}
@@ -0,0 +1,40 @@
+export async function up(connection) {
+  // IP subnets (and their VLAN), optionally owned by a department
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Subnets (
+      subnet_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      cidr VARCHAR(50) NOT NULL UNIQUE,
+      ip_version TINYINT NOT NULL,
+      prefix_length TINYINT UNSIGNED NOT NULL,
+      vlan_id SMALLINT UNSIGNED NULL,
+      department_id INT NULL,
+      gateway VARCHAR(45),
+      description TEXT,
+      created_by INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // Address ranges held back from allocation (DHCP pools, future use, ...)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS IP_Reservations (
+      reservation_id INT AUTO_INCREMENT PRIMARY KEY,
+      subnet_id INT NOT NULL,
+      start_address VARCHAR(45) NOT NULL,
+      end_address VARCHAR(45) NOT NULL,
+      description VARCHAR(255),
+      reserved_by INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (subnet_id) REFERENCES Subnets(subnet_id) ON DELETE CASCADE,
+      FOREIGN KEY (reserved_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS IP_Reservations');
+  await connection.query('DROP TABLE IF EXISTS Subnets');
+}
@@ -0,0 +1,26 @@
+export async function up(connection) {
+  // Named filter presets for list pages, kept private or shared with a role or department
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Saved_Views (
+      view_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      resource VARCHAR(30) NOT NULL DEFAULT 'faults',
+      filters JSON NOT NULL,
+      sort VARCHAR(100),
+      owner_id INT NOT NULL,
+      visibility ENUM('private', 'role', 'department') NOT NULL DEFAULT 'private',
+      shared_role ENUM('Admin', 'Manager', 'Technician', 'Staff') NULL,
+      department_id INT NULL,
+      pinned BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_saved_views_resource (resource, visibility),
+      FOREIGN KEY (owner_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+      FOREIGN KEY (department_id) REFERENCES Departments(department_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Saved_Views');
+}
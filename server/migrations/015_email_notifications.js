@@ -0,0 +1,45 @@
+export async function up(connection) {
+  // How each user wants notifications emailed; users without a row get the defaults
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Notification_Preferences (
+      user_id INT PRIMARY KEY,
+      email_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      email_types JSON NULL,
+      delivery ENUM('immediate', 'digest') NOT NULL DEFAULT 'immediate',
+      digest_hour TINYINT UNSIGNED NOT NULL DEFAULT 8,
+      quiet_start TIME NULL,
+      quiet_end TIME NULL,
+      last_digest_at DATETIME NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Outgoing email queue and delivery log
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Email_Deliveries (
+      delivery_id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      notification_id INT NULL,
+      kind ENUM('immediate', 'digest', 'test') NOT NULL DEFAULT 'immediate',
+      to_address VARCHAR(100) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      body_text MEDIUMTEXT NOT NULL,
+      body_html MEDIUMTEXT NOT NULL,
+      status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      last_error VARCHAR(500),
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME NULL,
+      INDEX idx_email_deliveries_due (status, next_attempt_at),
+      FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+      FOREIGN KEY (notification_id) REFERENCES Notifications(notification_id) ON DELETE SET NULL
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Email_Deliveries');
+  await connection.query('DROP TABLE IF EXISTS Notification_Preferences');
+}
@@ -0,0 +1,45 @@
+export async function up(connection) {
+  // Outside endpoints that receive signed event payloads
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Webhooks (
+      webhook_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      url VARCHAR(500) NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      event_types JSON NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // One row per event per webhook: the retry queue and the delivery log
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Webhook_Deliveries (
+      delivery_id INT AUTO_INCREMENT PRIMARY KEY,
+      webhook_id INT NOT NULL,
+      event_id CHAR(36) NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      payload MEDIUMTEXT NOT NULL,
+      status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      response_status SMALLINT NULL,
+      response_body VARCHAR(1000),
+      last_error VARCHAR(500),
+      duration_ms INT NULL,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME NULL,
+      INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+      INDEX idx_webhook_deliveries_webhook (webhook_id, created_at),
+      FOREIGN KEY (webhook_id) REFERENCES Webhooks(webhook_id) ON DELETE CASCADE
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Webhook_Deliveries');
+  await connection.query('DROP TABLE IF EXISTS Webhooks');
+}
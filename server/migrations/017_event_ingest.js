@@ -0,0 +1,65 @@
+export async function up(connection) {
+  // Rules turning inbound syslog messages and SNMP traps into faults; the first
+  // active match by position wins. Severities are syslog's 0 (Emergency) to 7 (Debug).
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Event_Rules (
+      rule_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      source ENUM('any', 'syslog', 'snmp') NOT NULL DEFAULT 'any',
+      max_severity TINYINT NOT NULL DEFAULT 3,
+      pattern VARCHAR(500) NULL,
+      category VARCHAR(50) NOT NULL,
+      priority ENUM('Critical', 'High', 'Medium', 'Low') NOT NULL DEFAULT 'Medium',
+      dedup_minutes INT NOT NULL DEFAULT 30,
+      position INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES Users(user_id) ON DELETE SET NULL
+    )
+  `);
+
+  // Received events and what was done with them; also the dedup lookup
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Inbound_Events (
+      event_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      source ENUM('syslog', 'snmp') NOT NULL,
+      sender_ip VARCHAR(45) NOT NULL,
+      component_id INT NULL,
+      severity TINYINT NULL,
+      hostname VARCHAR(255) NULL,
+      app_name VARCHAR(100) NULL,
+      message TEXT NOT NULL,
+      details JSON NULL,
+      rule_id INT NULL,
+      fault_id INT NULL,
+      outcome ENUM('created', 'updated', 'deduplicated', 'suppressed', 'ignored', 'unmatched') NOT NULL,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_inbound_events_received (received_at),
+      INDEX idx_inbound_events_dedup (rule_id, component_id, received_at),
+      INDEX idx_inbound_events_fault (fault_id, received_at),
+      FOREIGN KEY (component_id) REFERENCES Network_Components(component_id) ON DELETE SET NULL,
+      FOREIGN KEY (rule_id) REFERENCES Event_Rules(rule_id) ON DELETE SET NULL,
+      FOREIGN KEY (fault_id) REFERENCES Faults(fault_id) ON DELETE SET NULL
+    )
+  `);
+
+  const [[existing]] = await connection.query('SELECT COUNT(*) as count FROM Event_Rules');
+  if (existing.count === 0) {
+    await connection.query(
+      'INSERT INTO Event_Rules (name, source, max_severity, pattern, category, priority, dedup_minutes, position) VALUES ?',
+      [[
+        ['Interface down (trap)', 'snmp', 7, '^linkDown\\b', 'Connectivity', 'High', 30, 10],
+        ['Interface down (syslog)', 'syslog', 5, 'LINK-\\d-UPDOWN.*down|Interface .* changed state to down', 'Connectivity', 'High', 30, 20],
+        ['Power or fan failure', 'any', 4, 'power ?supply|PSU|fan (fail|failure)', 'Power', 'Critical', 60, 30],
+        ['Syslog errors', 'syslog', 3, null, 'Hardware', 'Medium', 60, 100]
+      ]]
+    );
+  }
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Inbound_Events');
+  await connection.query('DROP TABLE IF EXISTS Event_Rules');
+}
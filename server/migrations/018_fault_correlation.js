@@ -0,0 +1,42 @@
+import { addColumnIfMissing, addForeignKeyIfMissing, dropColumnIfExists } from '../utils/schema.js';
+
+export async function up(connection) {
+  // A parent incident groups related faults one level deep; resolving or
+  // closing it cascades to its children. A merged fault is Closed and points
+  // at the fault that absorbed its comments and reports.
+  await addColumnIfMissing(connection, 'Faults', 'parent_fault_id', 'INT NULL');
+  await addForeignKeyIfMissing(connection, 'Faults', 'parent_fault_id', 'faults_fk_parent',
+    'Faults(fault_id) ON DELETE SET NULL');
+  await addColumnIfMissing(connection, 'Faults', 'merged_into_fault_id', 'INT NULL');
+  await addForeignKeyIfMissing(connection, 'Faults', 'merged_into_fault_id', 'faults_fk_merged_into',
+    'Faults(fault_id) ON DELETE SET NULL');
+
+  // Where a comment was written before its fault was merged away
+  await addColumnIfMissing(connection, 'Fault_Comments', 'merged_from_fault_id', 'INT NULL');
+
+  // Extra reporters of the same fault: people who attached their report to an
+  // existing fault instead of opening a duplicate, and reporters of merged faults
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Fault_Reports (
+      report_id INT AUTO_INCREMENT PRIMARY KEY,
+      fault_id INT NOT NULL,
+      reported_by INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      source ENUM('duplicate', 'merge') NOT NULL DEFAULT 'duplicate',
+      reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_fault_reports_fault (fault_id),
+      FOREIGN KEY (fault_id) REFERENCES Faults(fault_id) ON DELETE CASCADE,
+      FOREIGN KEY (reported_by) REFERENCES Users(user_id)
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Fault_Reports');
+  await dropColumnIfExists(connection, 'Fault_Comments', 'merged_from_fault_id');
+  await connection.query('ALTER TABLE Faults DROP FOREIGN KEY faults_fk_merged_into');
+  await dropColumnIfExists(connection, 'Faults', 'merged_into_fault_id');
+  await connection.query('ALTER TABLE Faults DROP FOREIGN KEY faults_fk_parent');
+  await dropColumnIfExists(connection, 'Faults', 'parent_fault_id');
+}
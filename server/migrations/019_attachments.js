@@ -0,0 +1,34 @@
+export async function up(connection) {
+  // Files attached to a fault or maintenance log, or to one of their comments.
+  // fault_id / log_id is always set, so a fault's or log's files (comments
+  // included) are one lookup; the content lives in attachment storage under
+  // storage_key, with an optional smaller preview for images under thumbnail_key.
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS Attachments (
+      attachment_id INT AUTO_INCREMENT PRIMARY KEY,
+      fault_id INT NULL,
+      fault_comment_id INT NULL,
+      log_id INT NULL,
+      maintenance_comment_id INT NULL,
+      uploaded_by INT NOT NULL,
+      original_name VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size_bytes INT NOT NULL,
+      storage_key VARCHAR(255) NOT NULL,
+      thumbnail_key VARCHAR(255) NULL,
+      sha256 CHAR(64) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_attachments_fault (fault_id),
+      INDEX idx_attachments_log (log_id),
+      FOREIGN KEY (fault_id) REFERENCES Faults(fault_id) ON DELETE CASCADE,
+      FOREIGN KEY (fault_comment_id) REFERENCES Fault_Comments(comment_id) ON DELETE CASCADE,
+      FOREIGN KEY (log_id) REFERENCES Maintenance_Logs(log_id) ON DELETE CASCADE,
+      FOREIGN KEY (maintenance_comment_id) REFERENCES Maintenance_Comments(comment_id) ON DELETE CASCADE,
+      FOREIGN KEY (uploaded_by) REFERENCES Users(user_id)
+    )
+  `);
+}
+
+export async function down(connection) {
+  await connection.query('DROP TABLE IF EXISTS Attachments');
+}
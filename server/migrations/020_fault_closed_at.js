@@ -0,0 +1,14 @@
+import { addColumnIfMissing, dropColumnIfExists } from '../utils/schema.js';
+
+export async function up(connection) {
+  // When a fault was Closed. resolved_at only records a fix, so faults closed
+  // without one (dismissed or merged) need this to stop their SLA clock.
+  await addColumnIfMissing(connection, 'Faults', 'closed_at', 'DATETIME NULL');
+
+  // The real close time of older faults is unknown; their SLA state stops here
+  await connection.query("UPDATE Faults SET closed_at = COALESCE(resolved_at, NOW()) WHERE status = 'Closed' AND closed_at IS NULL");
+}
+
+export async function down(connection) {
+  await dropColumnIfExists(connection, 'Faults', 'closed_at');
+}
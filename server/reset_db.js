@@ -22,7 +22,7 @@ async function resetDatabase() {
         console.log(`🗑️  Dropping database: ${dbName}...`);
         await connection.query(`DROP DATABASE IF EXISTS ${dbName}`);
         console.log('✅ Database dropped successfully.');
-        console.log('🔄 Please restart your server (npm run dev) to re-initialize and seed the database.');
+        console.log('🔄 Run "npm run migrate" to recreate the schema, then restart your server (npm run dev) to seed it.');
     } catch (error) {
         console.error('❌ Failed to drop database:', error);
     } finally {
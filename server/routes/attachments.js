@@ -0,0 +1,96 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import {
+    attachmentLimits, canView, findAttachment, previewOf, removeStoredFiles, sendStoredFile
+} from '../utils/attachments.js';
+import { publish } from '../utils/events.js';
+
+const router = express.Router();
+
+// Files are uploaded with their fault, maintenance log or comment:
+// POST /api/faults/:id/attachments, /api/faults/:id/comments,
+// /api/maintenance/:id/attachments and /api/maintenance/:id/comments
+
+// Size and type limits for uploads
+router.get('/limits', authenticateToken, (req, res) => {
+    res.json({ success: true, data: attachmentLimits() });
+});
+
+// Looks up the attachment and checks the user may see it; answers 404 otherwise
+async function visibleAttachment(req, res) {
+    const attachment = await findAttachment(req.params.id);
+    if (!attachment || !canView(req.user, attachment)) {
+        res.status(404).json({ success: false, message: 'Attachment not found' });
+        return null;
+    }
+    return attachment;
+}
+
+// Download an attachment
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const attachment = await visibleAttachment(req, res);
+        if (!attachment) return;
+
+        await sendStoredFile(res, attachment.storage_key, {
+            'Content-Type': attachment.content_type,
+            'Content-Length': attachment.size_bytes,
+            'Content-Disposition': `attachment; filename="${attachment.original_name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`
+        });
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to download attachment' });
+    }
+});
+
+// Preview of an image attachment; small images are their own preview
+router.get('/:id/thumbnail', authenticateToken, async (req, res) => {
+    try {
+        const attachment = await visibleAttachment(req, res);
+        if (!attachment) return;
+
+        const preview = previewOf(attachment);
+        if (!preview) return res.status(404).json({ success: false, message: 'Attachment has no preview' });
+        await sendStoredFile(res, preview.key, { 'Content-Type': preview.contentType });
+    } catch (error) {
+        console.error('Attachment thumbnail error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load preview' });
+    }
+});
+
+// Delete an attachment (its uploader or an Admin)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const attachment = await visibleAttachment(req, res);
+        if (!attachment) return;
+        if (attachment.uploaded_by !== req.user.id && req.user.role !== 'Admin') {
+            return res.status(403).json({ success: false, message: 'Only the uploader or an Admin can delete this attachment' });
+        }
+
+        await pool.query('DELETE FROM Attachments WHERE attachment_id = ?', [attachment.attachment_id]);
+        await removeStoredFiles([attachment]);
+
+        // Open comment threads reload their files
+        publish('comment', attachment.log_id
+            ? { entity: 'maintenance', log_id: attachment.log_id }
+            : { entity: 'fault', fault_id: attachment.fault_id });
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_ATTACHMENT',
+            entityType: attachment.log_id ? 'Maintenance_Log' : 'Fault',
+            entityId: attachment.log_id || attachment.fault_id,
+            details: { attachment_id: attachment.attachment_id, name: attachment.original_name, sha256: attachment.sha256 },
+            req
+        });
+
+        res.json({ success: true, message: 'Attachment deleted successfully' });
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete attachment' });
+    }
+});
+
+export default router;
@@ -0,0 +1,273 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { notifyRoles, notifyUser } from '../utils/notify.js';
+import { COMPONENT_FIELDS, COMPONENT_STATUSES, diffComponent } from '../utils/componentChanges.js';
+import { checkComponentIp } from '../utils/ipam.js';
+import { checkComponentMac } from '../utils/mac.js';
+import { applyChangeRequest, changeRef } from '../jobs/changeRequests.js';
+
+const router = express.Router();
+
+const RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+const parseJson = (value) => {
+    try {
+        return JSON.parse(value || '{}');
+    } catch {
+        return {};
+    }
+};
+
+const withParsedJson = (change) => ({
+    ...change,
+    proposed_changes: parseJson(change.proposed_changes),
+    original_values: parseJson(change.original_values),
+    apply_result: change.apply_result ? parseJson(change.apply_result) : null
+});
+
+const CHANGE_SELECT = `
+    SELECT cr.*, nc.name as component_name, nc.type as component_type,
+           CONCAT(r.first_name, ' ', r.last_name) as requested_by_name,
+           CONCAT(v.first_name, ' ', v.last_name) as reviewed_by_name
+    FROM Change_Requests cr
+    JOIN Network_Components nc ON cr.component_id = nc.component_id
+    LEFT JOIN Users r ON cr.requested_by = r.user_id
+    LEFT JOIN Users v ON cr.reviewed_by = v.user_id
+`;
+
+async function loadChange(id) {
+    const [rows] = await pool.query(`${CHANGE_SELECT} WHERE cr.change_id = ?`, [id]);
+    return rows[0] || null;
+}
+
+// Get change requests
+router.get('/', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const { status, component_id, mine } = req.query;
+        let query = `${CHANGE_SELECT} WHERE 1=1`;
+        const params = [];
+
+        if (status) {
+            query += ' AND cr.status = ?';
+            params.push(status);
+        }
+        if (component_id) {
+            query += ' AND cr.component_id = ?';
+            params.push(component_id);
+        }
+        if (mine === 'true') {
+            query += ' AND cr.requested_by = ?';
+            params.push(req.user.id);
+        }
+
+        query += " ORDER BY FIELD(cr.status, 'Pending', 'Approved', 'Failed', 'Applied', 'Rejected', 'Cancelled'), cr.created_at DESC";
+
+        const [changes] = await pool.query(query, params);
+        res.json({ success: true, data: changes.map(withParsedJson), count: changes.length });
+    } catch (error) {
+        console.error('Get change requests error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch change requests' });
+    }
+});
+
+// Get single change request
+router.get('/:id', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const change = await loadChange(req.params.id);
+        if (!change) {
+            return res.status(404).json({ success: false, message: 'Change request not found' });
+        }
+        res.json({ success: true, data: withParsedJson(change) });
+    } catch (error) {
+        console.error('Get change request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch change request' });
+    }
+});
+
+// Submit a change request (RFC)
+router.post('/', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const { component_id, title, reason, proposed_changes, risk_level = 'Medium', rollback_plan, scheduled_for } = req.body;
+
+        if (!component_id || !title || !rollback_plan) {
+            return res.status(400).json({ success: false, message: 'Component, title and rollback plan are required' });
+        }
+        if (!RISK_LEVELS.includes(risk_level)) {
+            return res.status(400).json({ success: false, message: `risk_level must be one of ${RISK_LEVELS.join(', ')}` });
+        }
+        if (!proposed_changes || typeof proposed_changes !== 'object' || Array.isArray(proposed_changes)) {
+            return res.status(400).json({ success: false, message: 'proposed_changes must be an object of field values' });
+        }
+        const unknown = Object.keys(proposed_changes).filter(field => !COMPONENT_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown fields: ${unknown.join(', ')}` });
+        }
+        if (proposed_changes.status && !COMPONENT_STATUSES.includes(proposed_changes.status)) {
+            return res.status(400).json({ success: false, message: 'Invalid component status' });
+        }
+        if (proposed_changes.poll_method && !['icmp', 'tcp'].includes(proposed_changes.poll_method)) {
+            return res.status(400).json({ success: false, message: 'poll_method must be icmp or tcp' });
+        }
+        if (scheduled_for && isNaN(new Date(scheduled_for))) {
+            return res.status(400).json({ success: false, message: 'scheduled_for must be a valid date' });
+        }
+
+        const [components] = await pool.query('SELECT * FROM Network_Components WHERE component_id = ?', [component_id]);
+        if (components.length === 0) {
+            return res.status(404).json({ success: false, message: 'Component not found' });
+        }
+
+        if (proposed_changes.ip_address) {
+            const ipCheck = await checkComponentIp(proposed_changes.ip_address, component_id);
+            if (ipCheck.error) {
+                return res.status(ipCheck.status).json({ success: false, message: ipCheck.error });
+            }
+            proposed_changes.ip_address = ipCheck.address;
+        }
+        if (proposed_changes.mac_address) {
+            const macCheck = await checkComponentMac(proposed_changes.mac_address, component_id);
+            if (macCheck.error) {
+                return res.status(macCheck.status).json({ success: false, message: macCheck.error });
+            }
+            proposed_changes.mac_address = macCheck.mac;
+        }
+
+        // Keep only the fields that actually change, with their current values for conflict checks
+        const diff = diffComponent(components[0], proposed_changes);
+        if (Object.keys(diff).length === 0) {
+            return res.status(400).json({ success: false, message: 'The proposed values match the current configuration' });
+        }
+        const proposed = Object.fromEntries(Object.entries(diff).map(([field, { to }]) => [field, to]));
+        const original = Object.fromEntries(Object.entries(diff).map(([field, { from }]) => [field, from]));
+
+        const [result] = await pool.query(
+            `INSERT INTO Change_Requests
+             (component_id, title, reason, proposed_changes, original_values, risk_level, rollback_plan, scheduled_for, requested_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [component_id, title, reason || null, JSON.stringify(proposed), JSON.stringify(original),
+                risk_level, rollback_plan, scheduled_for || null, req.user.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'SUBMIT_CHANGE_REQUEST',
+            entityType: 'Change_Request',
+            entityId: result.insertId,
+            details: { component_id, title, risk_level, scheduled_for, changes: diff },
+            req
+        });
+
+        await notifyRoles(['Admin', 'Manager'], 'system',
+            `📝 ${changeRef(result.insertId)} (${risk_level} risk) "${title}" on ${components[0].name} needs review`,
+            '/changes', req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Change request submitted for approval',
+            data: { id: result.insertId, changes: diff }
+        });
+    } catch (error) {
+        console.error('Create change request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit change request' });
+    }
+});
+
+// Approve or reject a pending change request
+router.post('/:id/:decision(approve|reject)', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const approve = req.params.decision === 'approve';
+        const change = await loadChange(req.params.id);
+        if (!change) {
+            return res.status(404).json({ success: false, message: 'Change request not found' });
+        }
+        if (change.status !== 'Pending') {
+            return res.status(400).json({ success: false, message: 'Only pending change requests can be reviewed' });
+        }
+        if (change.requested_by === req.user.id) {
+            return res.status(403).json({ success: false, message: 'A change request must be reviewed by someone other than the requester' });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE Change_Requests SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+             WHERE change_id = ? AND status = 'Pending'`,
+            [approve ? 'Approved' : 'Rejected', req.user.id, req.body.note || null, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'Change request was reviewed by someone else' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: approve ? 'APPROVE_CHANGE_REQUEST' : 'REJECT_CHANGE_REQUEST',
+            entityType: 'Change_Request',
+            entityId: change.change_id,
+            details: { component_id: change.component_id, title: change.title, note: req.body.note },
+            req
+        });
+
+        if (change.requested_by) {
+            await notifyUser(change.requested_by, 'system',
+                `📝 ${changeRef(change.change_id)} "${change.title}" was ${approve ? 'approved' : 'rejected'}${req.body.note ? `: ${req.body.note}` : ''}`,
+                '/changes');
+        }
+
+        // Unscheduled (or overdue) changes go in as soon as they are approved
+        let outcome = null;
+        if (approve && (!change.scheduled_for || new Date(change.scheduled_for) <= new Date())) {
+            outcome = await applyChangeRequest({ ...change, status: 'Approved', reviewed_by: req.user.id });
+        }
+
+        const messages = {
+            applied: 'Change request approved and applied',
+            failed: 'Change request approved but could not be applied',
+            deferred: 'Change request approved; it will be applied when the change freeze ends'
+        };
+        res.json({
+            success: true,
+            message: approve ? messages[outcome] || 'Change request approved; it will be applied at the scheduled time' : 'Change request rejected',
+            data: { outcome }
+        });
+    } catch (error) {
+        console.error('Review change request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to review change request' });
+    }
+});
+
+// Cancel a change request that has not been applied
+router.post('/:id/cancel', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const change = await loadChange(req.params.id);
+        if (!change) {
+            return res.status(404).json({ success: false, message: 'Change request not found' });
+        }
+        if (req.user.role === 'Technician' && change.requested_by !== req.user.id) {
+            return res.status(403).json({ success: false, message: 'Only the requester, Admins and Managers can cancel this change request' });
+        }
+
+        const [result] = await pool.query(
+            "UPDATE Change_Requests SET status = 'Cancelled' WHERE change_id = ? AND status IN ('Pending', 'Approved')",
+            [req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ success: false, message: `A ${change.status.toLowerCase()} change request cannot be cancelled` });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CANCEL_CHANGE_REQUEST',
+            entityType: 'Change_Request',
+            entityId: change.change_id,
+            details: { previous_status: change.status },
+            req
+        });
+
+        res.json({ success: true, message: 'Change request cancelled' });
+    } catch (error) {
+        console.error('Cancel change request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel change request' });
+    }
+});
+
+export default router;
@@ -1,51 +1,96 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { enforceChangeFreeze } from '../middleware/changeFreeze.js';
 import { logAction } from '../utils/auditLogger.js';
+import { pollComponent } from '../jobs/reachability.js';
+import { recordInitialStatus } from '../utils/componentStatus.js';
+import { diffJson, diffLines, recordConfigRevision } from '../utils/configHistory.js';
+import {
+    applyComponentChanges, COMPONENT_FIELDS, COMPONENT_STATUSES, CONTROLLED_FIELDS, diffComponent, validatePolling
+} from '../utils/componentChanges.js';
+import { checkComponentIp } from '../utils/ipam.js';
+import { checkComponentMac, findDuplicateMacs, lookupVendor, withVendor } from '../utils/mac.js';
+import { COMPONENT_LIST, componentListQuery } from '../utils/listQueries.js';
+import { invalidateSearchIndex } from '../utils/searchIndex.js';
+import { fetchPage, parseListOptions, sendPage } from '../utils/pagination.js';
+import { importComponents, MAX_IMPORT_ROWS, parseCsv, validateImportRows } from '../utils/componentImport.js';
+import { getDownstreamImpact, loadTopology, wouldCreateCycle } from '../utils/topology.js';
+import { emitWebhookEvent } from '../utils/webhooks.js';
 
 const router = express.Router();
 
-// Get all network components
+// Import uploads can be sent as raw CSV
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+const LINK_MEDIUMS = ['Fiber', 'Copper', 'Wireless', 'Virtual'];
+
+// Returns an error message for invalid link attributes, or null
+function validateLink({ medium, capacity_mbps, upstream_port, downstream_port }) {
+    if (medium !== undefined && !LINK_MEDIUMS.includes(medium)) {
+        return `medium must be one of ${LINK_MEDIUMS.join(', ')}`;
+    }
+    if (capacity_mbps !== undefined && capacity_mbps !== null && capacity_mbps !== '' &&
+        (!Number.isInteger(Number(capacity_mbps)) || Number(capacity_mbps) <= 0)) {
+        return 'capacity_mbps must be a positive whole number';
+    }
+    if ((upstream_port && String(upstream_port).length > 50) || (downstream_port && String(downstream_port).length > 50)) {
+        return 'Port names cannot be longer than 50 characters';
+    }
+    return null;
+}
+
+// Get network components with filtering, sorting and optional paging
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const { type, status, search } = req.query;
-        let query = `
-            SELECT nc.*, d.name as department_name 
-            FROM Network_Components nc
-            LEFT JOIN Departments d ON nc.department_id = d.department_id
-            WHERE 1=1
-        `;
-        const params = [];
-
-        if (type) {
-            query += ' AND nc.type = ?';
-            params.push(type);
+        const options = parseListOptions(req.query, COMPONENT_LIST);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
 
-        if (status) {
-            query += ' AND nc.status = ?';
-            params.push(status);
-        }
+        const [macs] = await pool.query(
+            "SELECT component_id, name, mac_address FROM Network_Components WHERE mac_address IS NOT NULL AND mac_address != ''"
+        );
+        const duplicated = new Set(findDuplicateMacs(macs).flatMap(d => d.components.map(c => c.component_id)));
 
-        if (search) {
-            query += ' AND (nc.name LIKE ? OR nc.location LIKE ? OR d.name LIKE ?)';
-            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
-        }
+        const page = await fetchPage(await componentListQuery(req.query), options, {
+            map: c => ({ ...withVendor(c), mac_duplicate: duplicated.has(c.component_id) })
+        });
 
-        query += ' ORDER BY nc.type ASC, nc.name ASC';
+        sendPage(req, res, page, options);
+    } catch (error) {
+        console.error('Get components error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch components'
+        });
+    }
+});
 
-        const [components] = await pool.query(query, params);
+// Get the whole topology: every component as a node and every link as an edge
+router.get('/topology/graph', authenticateToken, async (req, res) => {
+    try {
+        const [nodes] = await pool.query(`
+            SELECT nc.component_id, nc.name, nc.type, nc.status, nc.location, nc.ip_address,
+                   nc.latitude, nc.longitude, d.name as department_name,
+                   (SELECT COUNT(*) FROM Faults f
+                    WHERE f.component_id = nc.component_id AND f.status IN ('Open', 'In Progress', 'Pending')) as open_faults
+            FROM Network_Components nc
+            LEFT JOIN Departments d ON nc.department_id = d.department_id
+            ORDER BY nc.name ASC
+        `);
+
+        const [links] = await pool.query('SELECT * FROM Component_Links ORDER BY link_id ASC');
 
         res.json({
             success: true,
-            data: components,
-            count: components.length
+            data: { nodes, links }
         });
     } catch (error) {
-        console.error('Get components error:', error);
+        console.error('Get topology error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch components'
+            message: 'Failed to fetch topology'
         });
     }
 });
@@ -67,7 +112,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
         // Get maintenance history - using Maintenance_Logs
         const [maintenance] = await pool.query(
-            `SELECT mh.*, t.full_name as technician_name 
+            `SELECT mh.*, CONCAT(t.first_name, ' ', t.last_name) as technician_name 
        FROM Maintenance_Logs mh 
        LEFT JOIN Users t ON mh.technician_id = t.user_id 
        WHERE mh.component_id = ? 
@@ -84,7 +129,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         res.json({
             success: true,
             data: {
-                ...components[0],
+                ...withVendor(components[0]),
                 maintenance_history: maintenance,
                 active_faults: faults
             }
@@ -104,7 +149,8 @@ router.post('/', authenticateToken, requireRole('Admin', 'Technician'), async (r
         const {
             name, type, model_number,
             ip_address, mac_address, location, status = 'Active',
-            config_details, install_date, latitude, longitude, department_id
+            config_details, install_date, latitude, longitude, department_id,
+            poll_enabled = true, poll_method = 'icmp', poll_port
         } = req.body;
 
         if (!name || !type) {
@@ -114,24 +160,56 @@ router.post('/', authenticateToken, requireRole('Admin', 'Technician'), async (r
             });
         }
 
+        const pollError = validatePolling({ poll_method, poll_port });
+        if (pollError) {
+            return res.status(400).json({ success: false, message: pollError });
+        }
+
+        // Addresses are stored in canonical form so duplicates can't hide behind formatting
+        let address = null;
+        if (ip_address) {
+            const ipCheck = await checkComponentIp(ip_address);
+            if (ipCheck.error) {
+                return res.status(ipCheck.status).json({ success: false, message: ipCheck.error });
+            }
+            address = ipCheck.address;
+        }
+
+        let mac = null;
+        if (mac_address) {
+            const macCheck = await checkComponentMac(mac_address);
+            if (macCheck.error) {
+                return res.status(macCheck.status).json({ success: false, message: macCheck.error });
+            }
+            mac = macCheck.mac;
+        }
+
         // If department_id is provided but location is missing, we could auto-fill location from department?
         // But for now, let's keep location as required or passed from frontend.
 
         const [result] = await pool.query(
             `INSERT INTO Network_Components 
-       (name, type, model_number, ip_address, mac_address, location, status, config_details, install_date, latitude, longitude, department_id) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [name, type, model_number, ip_address, mac_address, location, status,
+       (name, type, model_number, ip_address, mac_address, location, status, config_details, install_date, latitude, longitude, department_id,
+        poll_enabled, poll_method, poll_port) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, type, model_number, address, mac, location, status,
                 config_details, install_date,
                 latitude === '' || latitude === undefined ? null : latitude,
                 longitude === '' || longitude === undefined ? null : longitude,
-                department_id || null]
+                department_id || null,
+                poll_enabled, poll_method, poll_port || null]
         );
 
+        await recordInitialStatus(result.insertId, status, { userId: req.user.id });
+        if (config_details) {
+            await recordConfigRevision(result.insertId, config_details, { authorId: req.user.id, reason: 'Initial configuration', source: 'create' });
+        }
+        invalidateSearchIndex();
+
         res.status(201).json({
             success: true,
             message: 'Component created successfully',
-            data: { id: result.insertId, name, type, status }
+            data: { id: result.insertId, name, type, status, mac_vendor: lookupVendor(mac) }
         });
 
         // Log component creation
@@ -143,6 +221,11 @@ router.post('/', authenticateToken, requireRole('Admin', 'Technician'), async (r
             details: { name, type, location },
             req
         });
+
+        await emitWebhookEvent('component.created', {
+            component_id: result.insertId, name, type, model_number, ip_address: address, location, status,
+            department_id: department_id || null, created_by: req.user.id
+        });
     } catch (error) {
         console.error('Create component error:', error);
         res.status(500).json({
@@ -152,54 +235,153 @@ router.post('/', authenticateToken, requireRole('Admin', 'Technician'), async (r
     }
 });
 
+// Bulk import components from CSV or JSON. Nothing is created unless every row is valid.
+// Body: raw text/csv, or JSON { rows: [...] } / { csv: '...' }; ?dry_run=true only validates.
+router.post('/import', authenticateToken, requireRole('Admin', 'Technician'), csvBody, async (req, res) => {
+    try {
+        let input;
+        if (typeof req.body === 'string') {
+            input = parseCsv(req.body);
+        } else if (typeof req.body.csv === 'string') {
+            input = parseCsv(req.body.csv);
+        } else if (Array.isArray(req.body.rows)) {
+            input = req.body.rows;
+        } else if (Array.isArray(req.body)) {
+            input = req.body;
+        } else {
+            return res.status(400).json({ success: false, message: 'Send CSV text or a JSON array of rows' });
+        }
+
+        if (input.length === 0) {
+            return res.status(400).json({ success: false, message: 'No rows to import' });
+        }
+        if (input.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+        }
+
+        const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === true;
+        const { rows, ignored_columns } = await validateImportRows(input);
+        const invalid = rows.filter(r => r.errors.length > 0);
+        const report = {
+            dry_run: dryRun,
+            total: rows.length,
+            valid: rows.length - invalid.length,
+            invalid: invalid.length,
+            ignored_columns,
+            rows: rows.map(({ row, name, errors }) => ({ row, name, errors }))
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: invalid.length > 0 ? `${invalid.length} of ${rows.length} rows have errors` : `All ${rows.length} rows are valid`,
+                data: report
+            });
+        }
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${invalid.length} of ${rows.length} rows have errors; nothing was imported`,
+                data: report
+            });
+        }
+
+        const ids = await importComponents(rows, req.user.id);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'IMPORT_COMPONENTS',
+            entityType: 'Component',
+            entityId: null,
+            details: { count: ids.length, components: rows.map((r, i) => ({ id: ids[i], name: r.name })) },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${ids.length} components imported`,
+            data: { ...report, created: ids }
+        });
+    } catch (error) {
+        console.error('Import components error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import components'
+        });
+    }
+});
+
 // Update component
-router.put('/:id', authenticateToken, requireRole('Admin', 'Technician'), async (req, res) => {
+router.put('/:id', authenticateToken, requireRole('Admin', 'Technician'), enforceChangeFreeze, async (req, res) => {
     try {
-        const {
-            name, type, model_number,
-            ip_address, mac_address, location, status, config_details, install_date, latitude, longitude, department_id
-        } = req.body;
+        const { poll_method, poll_port, status } = req.body;
 
-        const [result] = await pool.query(
-            `UPDATE Network_Components SET 
-       name = COALESCE(?, name),
-       type = COALESCE(?, type),
-       model_number = COALESCE(?, model_number),
-       ip_address = COALESCE(?, ip_address),
-       mac_address = COALESCE(?, mac_address),
-       location = COALESCE(?, location),
-       status = COALESCE(?, status),
-       config_details = COALESCE(?, config_details),
-       install_date = COALESCE(?, install_date),
-       latitude = COALESCE(?, latitude),
-       longitude = COALESCE(?, longitude),
-       department_id = COALESCE(?, department_id)
-       WHERE component_id = ?`,
-            [name, type, model_number, ip_address, mac_address, location, status,
-                config_details, install_date, latitude, longitude, department_id, req.params.id]
-        );
+        const pollError = validatePolling({ poll_method, poll_port });
+        if (pollError) {
+            return res.status(400).json({ success: false, message: pollError });
+        }
+        if (status && !COMPONENT_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid component status' });
+        }
 
-        if (result.affectedRows === 0) {
+        // Omitted or null fields keep their current value; poll_port may be cleared
+        const changes = {};
+        for (const field of COMPONENT_FIELDS) {
+            if (field === 'poll_port' ? field in req.body : req.body[field] !== undefined && req.body[field] !== null) {
+                changes[field] = req.body[field];
+            }
+        }
+
+        const [current] = await pool.query('SELECT * FROM Network_Components WHERE component_id = ?', [req.params.id]);
+        if (current.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Component not found'
             });
         }
 
-        res.json({
-            success: true,
-            message: 'Component updated successfully'
-        });
+        if (changes.ip_address) {
+            const ipCheck = await checkComponentIp(changes.ip_address, req.params.id);
+            if (ipCheck.error) {
+                return res.status(ipCheck.status).json({ success: false, message: ipCheck.error });
+            }
+            changes.ip_address = ipCheck.address;
+        }
+        if (changes.mac_address) {
+            const macCheck = await checkComponentMac(changes.mac_address, req.params.id);
+            if (macCheck.error) {
+                return res.status(macCheck.status).json({ success: false, message: macCheck.error });
+            }
+            changes.mac_address = macCheck.mac;
+        }
 
-        // Log component update
-        await logAction({
+        if (req.user.role !== 'Admin') {
+            const controlled = Object.keys(diffComponent(current[0], changes)).filter(field => CONTROLLED_FIELDS.includes(field));
+            if (controlled.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Changing ${controlled.join(', ')} needs an approved change request`
+                });
+            }
+        }
+
+        const diff = await applyComponentChanges(req.params.id, changes, {
             userId: req.user.id,
-            action: 'UPDATE_COMPONENT',
-            entityType: 'Component',
-            entityId: req.params.id,
-            details: { name, status }, // Logging minimal details, could expand
+            reason: req.body.config_reason || null,
             req
         });
+
+        if (Object.keys(diff).length > 0) {
+            await emitWebhookEvent('component.updated', {
+                component_id: current[0].component_id, name: changes.name || current[0].name, changes: diff, updated_by: req.user.id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Component updated successfully',
+            data: { changes: diff }
+        });
     } catch (error) {
         console.error('Update component error:', error);
         res.status(500).json({
@@ -212,6 +394,10 @@ router.put('/:id', authenticateToken, requireRole('Admin', 'Technician'), async
 // Delete component
 router.delete('/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
     try {
+        const [components] = await pool.query(
+            'SELECT component_id, name, type, ip_address, location FROM Network_Components WHERE component_id = ?',
+            [req.params.id]
+        );
         const [result] = await pool.query(
             'DELETE FROM Network_Components WHERE component_id = ?',
             [req.params.id]
@@ -224,6 +410,8 @@ router.delete('/:id', authenticateToken, requireRole('Admin'), async (req, res)
             });
         }
 
+        invalidateSearchIndex();
+
         res.json({
             success: true,
             message: 'Component deleted successfully'
@@ -238,6 +426,8 @@ router.delete('/:id', authenticateToken, requireRole('Admin'), async (req, res)
             details: 'Component deleted',
             req
         });
+
+        await emitWebhookEvent('component.deleted', { ...components[0], deleted_by: req.user.id });
     } catch (error) {
         console.error('Delete component error:', error);
         res.status(500).json({
@@ -247,6 +437,320 @@ router.delete('/:id', authenticateToken, requireRole('Admin'), async (req, res)
     }
 });
 
+// Get reachability history for a component
+router.get('/:id/reachability', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+        const [checks] = await pool.query(
+            'SELECT * FROM Reachability_Checks WHERE component_id = ? ORDER BY checked_at DESC, check_id DESC LIMIT ?',
+            [req.params.id, limit]
+        );
+
+        const [[summary]] = await pool.query(`
+      SELECT COUNT(*) as checks_24h,
+             SUM(reachable) as reachable_24h,
+             ROUND(AVG(CASE WHEN reachable THEN latency_ms END)) as avg_latency_ms_24h
+      FROM Reachability_Checks
+      WHERE component_id = ? AND checked_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
+    `, [req.params.id]);
+
+        res.json({
+            success: true,
+            data: {
+                checks,
+                summary: {
+                    ...summary,
+                    reachable_24h: Number(summary.reachable_24h || 0),
+                    reachability_percent_24h: summary.checks_24h > 0
+                        ? Math.round((summary.reachable_24h / summary.checks_24h) * 1000) / 10
+                        : null
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get reachability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch reachability history'
+        });
+    }
+});
+
+// Probe a component now and record the result like a scheduled check
+router.post('/:id/probe', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const [components] = await pool.query(
+            'SELECT component_id, name, ip_address, poll_method, poll_port, consecutive_failures FROM Network_Components WHERE component_id = ?',
+            [req.params.id]
+        );
+
+        if (components.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found'
+            });
+        }
+
+        if (!components[0].ip_address) {
+            return res.status(400).json({
+                success: false,
+                message: 'Component has no IP address to probe'
+            });
+        }
+
+        const result = await pollComponent(components[0]);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Probe component error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to probe component'
+        });
+    }
+});
+
+// Get links to and from a component
+router.get('/:id/links', authenticateToken, async (req, res) => {
+    try {
+        const [links] = await pool.query(`
+      SELECT cl.*,
+             up.name as upstream_name, up.type as upstream_type, up.status as upstream_status,
+             down.name as downstream_name, down.type as downstream_type, down.status as downstream_status,
+             CASE WHEN cl.upstream_component_id = ? THEN 'downstream' ELSE 'upstream' END as direction
+      FROM Component_Links cl
+      JOIN Network_Components up ON cl.upstream_component_id = up.component_id
+      JOIN Network_Components down ON cl.downstream_component_id = down.component_id
+      WHERE cl.upstream_component_id = ? OR cl.downstream_component_id = ?
+      ORDER BY direction, cl.link_id
+    `, [req.params.id, req.params.id, req.params.id]);
+
+        res.json({
+            success: true,
+            data: links,
+            count: links.length
+        });
+    } catch (error) {
+        console.error('Get links error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch links'
+        });
+    }
+});
+
+// Link a component to another. Send downstream_component_id if this component feeds it,
+// or upstream_component_id if it is fed by it.
+router.post('/:id/links', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), enforceChangeFreeze, async (req, res) => {
+    try {
+        const {
+            upstream_component_id, downstream_component_id,
+            upstream_port, downstream_port, medium = 'Copper', capacity_mbps, notes
+        } = req.body;
+
+        if (Boolean(upstream_component_id) === Boolean(downstream_component_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide either upstream_component_id or downstream_component_id'
+            });
+        }
+
+        const validationError = validateLink(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const upstreamId = Number(upstream_component_id || req.params.id);
+        const downstreamId = Number(downstream_component_id || req.params.id);
+
+        const [components] = await pool.query(
+            'SELECT component_id FROM Network_Components WHERE component_id IN (?, ?)',
+            [upstreamId, downstreamId]
+        );
+        if (components.length < 2) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found'
+            });
+        }
+
+        const topology = await loadTopology();
+        if (wouldCreateCycle(topology, upstreamId, downstreamId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This link would create a loop in the topology'
+            });
+        }
+
+        const [existing] = await pool.query(
+            'SELECT link_id FROM Component_Links WHERE upstream_component_id = ? AND downstream_component_id = ?',
+            [upstreamId, downstreamId]
+        );
+        if (existing.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'These components are already linked'
+            });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO Component_Links
+       (upstream_component_id, downstream_component_id, upstream_port, downstream_port, medium, capacity_mbps, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [upstreamId, downstreamId, upstream_port || null, downstream_port || null, medium, capacity_mbps || null, notes || null]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_COMPONENT_LINK',
+            entityType: 'Component',
+            entityId: req.params.id,
+            details: { link_id: result.insertId, upstream_component_id: upstreamId, downstream_component_id: downstreamId, medium },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Link created successfully',
+            data: { id: result.insertId }
+        });
+    } catch (error) {
+        console.error('Create link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create link'
+        });
+    }
+});
+
+// Update link attributes (the endpoints of a link cannot change; delete and recreate it instead)
+router.put('/:id/links/:linkId', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), enforceChangeFreeze, async (req, res) => {
+    try {
+        const { upstream_port, downstream_port, medium, capacity_mbps, notes } = req.body;
+
+        const validationError = validateLink(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE Component_Links SET
+       upstream_port = COALESCE(?, upstream_port),
+       downstream_port = COALESCE(?, downstream_port),
+       medium = COALESCE(?, medium),
+       capacity_mbps = IF(?, ?, capacity_mbps),
+       notes = COALESCE(?, notes)
+       WHERE link_id = ? AND (upstream_component_id = ? OR downstream_component_id = ?)`,
+            [upstream_port, downstream_port, medium,
+                'capacity_mbps' in req.body, capacity_mbps || null,
+                notes, req.params.linkId, req.params.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Link not found'
+            });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_COMPONENT_LINK',
+            entityType: 'Component',
+            entityId: req.params.id,
+            details: { link_id: Number(req.params.linkId), ...req.body },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'Link updated successfully'
+        });
+    } catch (error) {
+        console.error('Update link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update link'
+        });
+    }
+});
+
+// Delete link
+router.delete('/:id/links/:linkId', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), enforceChangeFreeze, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM Component_Links WHERE link_id = ? AND (upstream_component_id = ? OR downstream_component_id = ?)',
+            [req.params.linkId, req.params.id, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Link not found'
+            });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_COMPONENT_LINK',
+            entityType: 'Component',
+            entityId: req.params.id,
+            details: { link_id: Number(req.params.linkId) },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'Link deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete link'
+        });
+    }
+});
+
+// Impact analysis: everything downstream that is affected if this component goes Faulty
+router.get('/:id/impact', authenticateToken, async (req, res) => {
+    try {
+        const [components] = await pool.query(
+            'SELECT component_id, name, status FROM Network_Components WHERE component_id = ?',
+            [req.params.id]
+        );
+
+        if (components.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Component not found'
+            });
+        }
+
+        const downstream = await getDownstreamImpact(req.params.id);
+
+        res.json({
+            success: true,
+            data: {
+                component: components[0],
+                isolated_count: downstream.filter(c => c.impact === 'isolated').length,
+                degraded_count: downstream.filter(c => c.impact === 'degraded').length,
+                downstream
+            }
+        });
+    } catch (error) {
+        console.error('Get impact error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to analyse impact'
+        });
+    }
+});
+
 // Get component statistics
 router.get('/stats/summary', authenticateToken, async (req, res) => {
     try {
@@ -261,11 +765,26 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
       SELECT status, COUNT(*) as count FROM Network_Components GROUP BY status
     `);
 
+        const [macs] = await pool.query(`
+      SELECT component_id, name, mac_address FROM Network_Components
+      WHERE mac_address IS NOT NULL AND mac_address != ''
+    `);
+        const vendorCounts = {};
+        for (const c of macs) {
+            const vendor = lookupVendor(c.mac_address) || 'Unknown';
+            vendorCounts[vendor] = (vendorCounts[vendor] || 0) + 1;
+        }
+        const vendorStats = Object.entries(vendorCounts)
+            .map(([vendor, count]) => ({ vendor, count }))
+            .sort((a, b) => b.count - a.count || a.vendor.localeCompare(b.vendor));
+
         res.json({
             success: true,
             data: {
                 by_type: typeStats,
-                by_status: statusStats
+                by_status: statusStats,
+                by_vendor: vendorStats,
+                duplicate_macs: findDuplicateMacs(macs)
             }
         });
     } catch (error) {
@@ -277,4 +796,121 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
     }
 });
 
+// List config revisions, newest first
+router.get('/:id/config/revisions', authenticateToken, async (req, res) => {
+    try {
+        const [revisions] = await pool.query(`
+            SELECT cr.revision_id, cr.revision_number, cr.reason, cr.source, cr.reference_id, cr.created_at,
+                   CHAR_LENGTH(cr.config_details) as size,
+                   CONCAT(u.first_name, ' ', u.last_name) as author_name
+            FROM Config_Revisions cr
+            LEFT JOIN Users u ON cr.author_id = u.user_id
+            WHERE cr.component_id = ?
+            ORDER BY cr.revision_number DESC
+        `, [req.params.id]);
+
+        res.json({ success: true, data: revisions, count: revisions.length });
+    } catch (error) {
+        console.error('Get config revisions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch config revisions' });
+    }
+});
+
+// Get one revision with its full config
+router.get('/:id/config/revisions/:revision', authenticateToken, async (req, res) => {
+    try {
+        const [revisions] = await pool.query(`
+            SELECT cr.*, CONCAT(u.first_name, ' ', u.last_name) as author_name
+            FROM Config_Revisions cr
+            LEFT JOIN Users u ON cr.author_id = u.user_id
+            WHERE cr.component_id = ? AND cr.revision_number = ?
+        `, [req.params.id, req.params.revision]);
+
+        if (revisions.length === 0) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+        res.json({ success: true, data: revisions[0] });
+    } catch (error) {
+        console.error('Get config revision error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch config revision' });
+    }
+});
+
+// Diff two revisions: ?from=2&to=5&format=line|json
+router.get('/:id/config/diff', authenticateToken, async (req, res) => {
+    try {
+        const { from, to, format = 'line' } = req.query;
+        if (!from || !to) {
+            return res.status(400).json({ success: false, message: 'from and to revision numbers are required' });
+        }
+        if (!['line', 'json'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'format must be line or json' });
+        }
+
+        const [revisions] = await pool.query(
+            'SELECT revision_number, config_details FROM Config_Revisions WHERE component_id = ? AND revision_number IN (?, ?)',
+            [req.params.id, from, to]
+        );
+        const before = revisions.find(r => String(r.revision_number) === String(from));
+        const after = revisions.find(r => String(r.revision_number) === String(to));
+        if (!before || !after) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        if (format === 'json') {
+            const changes = diffJson(before.config_details, after.config_details);
+            if (!changes) {
+                return res.status(400).json({ success: false, message: 'Both revisions must be valid JSON for a JSON diff' });
+            }
+            return res.json({ success: true, data: { format, from: Number(from), to: Number(to), changes } });
+        }
+
+        res.json({
+            success: true,
+            data: { format, from: Number(from), to: Number(to), ...diffLines(before.config_details, after.config_details) }
+        });
+    } catch (error) {
+        console.error('Diff config revisions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to diff config revisions' });
+    }
+});
+
+// Restore an earlier revision. The rollback is itself saved as a new revision.
+router.post('/:id/config/rollback', authenticateToken, requireRole('Admin'), enforceChangeFreeze, async (req, res) => {
+    try {
+        const { revision, reason } = req.body;
+        const [revisions] = await pool.query(
+            'SELECT config_details FROM Config_Revisions WHERE component_id = ? AND revision_number = ?',
+            [req.params.id, revision]
+        );
+        if (revisions.length === 0) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        const diff = await applyComponentChanges(req.params.id, { config_details: revisions[0].config_details }, {
+            userId: req.user.id,
+            action: 'ROLLBACK_CONFIG',
+            source: 'rollback',
+            reason: reason || `Rolled back to revision ${revision}`,
+            auditDetails: { restored_revision: Number(revision) },
+            req
+        });
+        if (!diff) {
+            return res.status(404).json({ success: false, message: 'Component not found' });
+        }
+        if (!diff.config_details) {
+            return res.status(400).json({ success: false, message: `The current config already matches revision ${revision}` });
+        }
+
+        res.json({
+            success: true,
+            message: `Config rolled back to revision ${revision}`,
+            data: { revision: diff.config_details.revision }
+        });
+    } catch (error) {
+        console.error('Rollback config error:', error);
+        res.status(500).json({ success: false, message: 'Failed to roll back config' });
+    }
+});
+
 export default router;
@@ -0,0 +1,176 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { runEscalationCycle } from '../jobs/escalation.js';
+
+const router = express.Router();
+
+const TRIGGERS = ['unassigned', 'stalled'];
+const ACTIONS = ['notify_role', 'notify_assignee', 'bump_priority'];
+const ROLES = ['Admin', 'Manager', 'Technician'];
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Accepts priorities as an array or comma-separated string; returns the SET value or null if invalid
+function normalizePriorities(priorities) {
+    const list = Array.isArray(priorities) ? priorities : String(priorities || '').split(',');
+    const cleaned = [...new Set(list.map(p => p.trim()).filter(Boolean))];
+    if (cleaned.length === 0 || cleaned.some(p => !PRIORITIES.includes(p))) return null;
+    return cleaned.join(',');
+}
+
+function validateRule({ trigger_condition, action, target_role, after_minutes, level }) {
+    if (!TRIGGERS.includes(trigger_condition)) {
+        return `trigger_condition must be one of ${TRIGGERS.join(', ')}`;
+    }
+    if (!ACTIONS.includes(action)) {
+        return `action must be one of ${ACTIONS.join(', ')}`;
+    }
+    if (action === 'notify_role' && !ROLES.includes(target_role)) {
+        return `target_role must be one of ${ROLES.join(', ')} for notify_role`;
+    }
+    if (!Number.isInteger(Number(after_minutes)) || Number(after_minutes) <= 0) {
+        return 'after_minutes must be a positive whole number';
+    }
+    if (level !== undefined && (!Number.isInteger(Number(level)) || Number(level) < 1)) {
+        return 'level must be 1 or higher';
+    }
+    return null;
+}
+
+// Get all escalation rules
+router.get('/rules', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const [rules] = await pool.query(
+            'SELECT * FROM Escalation_Rules ORDER BY trigger_condition, level ASC, after_minutes ASC'
+        );
+        res.json({ success: true, data: rules, count: rules.length });
+    } catch (error) {
+        console.error('Get escalation rules error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch escalation rules' });
+    }
+});
+
+// Create escalation rule
+router.post('/rules', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const { name, trigger_condition, priorities, level = 1, after_minutes, action, target_role, is_active = true } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Rule name is required' });
+        }
+
+        const validationError = validateRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const prioritySet = normalizePriorities(priorities);
+        if (!prioritySet) {
+            return res.status(400).json({ success: false, message: `priorities must list one or more of ${PRIORITIES.join(', ')}` });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO Escalation_Rules (name, trigger_condition, priorities, level, after_minutes, action, target_role, is_active)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, trigger_condition, prioritySet, level, after_minutes, action,
+                action === 'notify_role' ? target_role : null, is_active]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_ESCALATION_RULE',
+            entityType: 'Escalation_Rule',
+            entityId: result.insertId,
+            details: { name, trigger_condition, priorities: prioritySet, level, after_minutes, action },
+            req
+        });
+
+        res.status(201).json({ success: true, message: 'Escalation rule created successfully', data: { id: result.insertId } });
+    } catch (error) {
+        console.error('Create escalation rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create escalation rule' });
+    }
+});
+
+// Update escalation rule (full replacement of the rule definition)
+router.put('/rules/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const { name, trigger_condition, priorities, level = 1, after_minutes, action, target_role, is_active = true } = req.body;
+
+        const validationError = validateRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const prioritySet = normalizePriorities(priorities);
+        if (!prioritySet) {
+            return res.status(400).json({ success: false, message: `priorities must list one or more of ${PRIORITIES.join(', ')}` });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE Escalation_Rules SET
+             name = COALESCE(?, name), trigger_condition = ?, priorities = ?, level = ?,
+             after_minutes = ?, action = ?, target_role = ?, is_active = ?
+             WHERE rule_id = ?`,
+            [name, trigger_condition, prioritySet, level, after_minutes, action,
+                action === 'notify_role' ? target_role : null, is_active, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Escalation rule not found' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_ESCALATION_RULE',
+            entityType: 'Escalation_Rule',
+            entityId: req.params.id,
+            details: { name, trigger_condition, priorities: prioritySet, level, after_minutes, action, is_active },
+            req
+        });
+
+        res.json({ success: true, message: 'Escalation rule updated successfully' });
+    } catch (error) {
+        console.error('Update escalation rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update escalation rule' });
+    }
+});
+
+// Delete escalation rule (history entries keep their level and action)
+router.delete('/rules/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM Escalation_Rules WHERE rule_id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Escalation rule not found' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_ESCALATION_RULE',
+            entityType: 'Escalation_Rule',
+            entityId: req.params.id,
+            details: {},
+            req
+        });
+
+        res.json({ success: true, message: 'Escalation rule deleted successfully' });
+    } catch (error) {
+        console.error('Delete escalation rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete escalation rule' });
+    }
+});
+
+// Run one escalation cycle now instead of waiting for the next tick
+router.post('/run', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const escalated = await runEscalationCycle();
+        res.json({ success: true, message: `${escalated} escalation step(s) taken`, data: { escalated } });
+    } catch (error) {
+        console.error('Run escalation cycle error:', error);
+        res.status(500).json({ success: false, message: 'Failed to run escalation cycle' });
+    }
+});
+
+export default router;
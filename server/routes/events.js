@@ -0,0 +1,26 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { addClient } from '../utils/events.js';
+
+const router = express.Router();
+
+// Server-Sent Events stream of notifications and fault, component, comment and
+// maintenance changes. Send the JWT in the Authorization header as for any other call.
+router.get('/', authenticateToken, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    res.write(`event: ready\ndata: ${JSON.stringify({ user_id: req.user.id })}\n\n`);
+
+    // The stream outlives the request, so it is closed when the token expires
+    const removeClient = addClient(res, req.user, req.user.exp ? req.user.exp * 1000 : null);
+    req.on('close', removeClient);
+});
+
+export default router;
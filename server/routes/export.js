@@ -0,0 +1,187 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { EXPORT_FORMATS, streamExport } from '../utils/export.js';
+import {
+    AUDIT_LIST, auditLogQuery, COMPONENT_LIST, componentListQuery, FAULT_LIST, faultListQuery,
+    INVENTORY_LIST, inventoryQuery, MAINTENANCE_LIST, maintenanceLogQuery, TEAM_LIST, teamQuery
+} from '../utils/listQueries.js';
+import { parseListOptions } from '../utils/pagination.js';
+import { lookupVendor } from '../utils/mac.js';
+import { getSlaState } from '../utils/sla.js';
+
+const router = express.Router();
+
+const ref = (prefix, id) => `${prefix}-${String(id).padStart(3, '0')}`;
+
+// What each resource exports: who may export it, the filtered query and sort
+// keys (same as its list endpoint) and the columns, which are the same in every format
+const RESOURCES = {
+    faults: {
+        query: faultListQuery,
+        list: FAULT_LIST,
+        map: (f) => ({ ...f, sla: getSlaState(f) }),
+        filter: (query) => query.sla_state ? (f) => f.sla && f.sla.state === query.sla_state : null,
+        columns: [
+            { key: 'reference', header: 'ID', value: f => ref('FLT', f.fault_id) },
+            { key: 'title', header: 'Title' },
+            { key: 'category', header: 'Category' },
+            { key: 'priority', header: 'Priority' },
+            { key: 'status', header: 'Status' },
+            { key: 'component_name', header: 'Component' },
+            { key: 'component_type', header: 'Component Type' },
+            { key: 'department_name', header: 'Department' },
+            { key: 'technician_name', header: 'Assigned To' },
+            { key: 'reported_by_name', header: 'Reported By' },
+            { key: 'reported_at', header: 'Reported At', type: 'datetime' },
+            { key: 'resolved_at', header: 'Resolved At', type: 'datetime' },
+            { key: 'sla_state', header: 'SLA', value: f => f.sla?.state },
+            { key: 'description', header: 'Description' },
+            { key: 'resolution_notes', header: 'Resolution Notes' }
+        ]
+    },
+    components: {
+        query: componentListQuery,
+        list: COMPONENT_LIST,
+        columns: [
+            { key: 'component_id', header: 'ID', type: 'number' },
+            { key: 'name', header: 'Name' },
+            { key: 'type', header: 'Type' },
+            { key: 'model_number', header: 'Model' },
+            { key: 'ip_address', header: 'IP Address' },
+            { key: 'mac_address', header: 'MAC Address' },
+            { key: 'mac_vendor', header: 'Vendor', value: c => lookupVendor(c.mac_address) },
+            { key: 'department_name', header: 'Department' },
+            { key: 'location', header: 'Location' },
+            { key: 'latitude', header: 'Latitude', type: 'number' },
+            { key: 'longitude', header: 'Longitude', type: 'number' },
+            { key: 'status', header: 'Status' },
+            { key: 'install_date', header: 'Install Date', type: 'date' }
+        ]
+    },
+    maintenance: {
+        roles: ['Admin', 'Manager', 'Technician'],
+        query: maintenanceLogQuery,
+        list: MAINTENANCE_LIST,
+        columns: [
+            { key: 'reference', header: 'ID', value: l => ref('ML', l.log_id) },
+            { key: 'activity_date', header: 'Date', type: 'datetime' },
+            { key: 'component_name', header: 'Component' },
+            { key: 'technician_name', header: 'Technician' },
+            { key: 'type', header: 'Type' },
+            { key: 'action_taken', header: 'Action' },
+            { key: 'result', header: 'Result' },
+            { key: 'duration_minutes', header: 'Duration (min)', type: 'number' }
+        ]
+    },
+    inventory: {
+        roles: ['Admin', 'Manager', 'Technician'],
+        query: inventoryQuery,
+        list: INVENTORY_LIST,
+        columns: [
+            { key: 'code', header: 'Code', value: i => ref('INV', i.item_id) },
+            { key: 'name', header: 'Item' },
+            { key: 'category', header: 'Category' },
+            { key: 'quantity', header: 'Stock', type: 'number' },
+            { key: 'min_level', header: 'Min Level', type: 'number' },
+            { key: 'unit_cost', header: 'Unit Cost', type: 'number' },
+            { key: 'location', header: 'Location' },
+            { key: 'low_stock', header: 'Low Stock', type: 'boolean', value: i => i.quantity <= i.min_level }
+        ]
+    },
+    audit: {
+        roles: ['Admin'],
+        query: auditLogQuery,
+        list: AUDIT_LIST,
+        columns: [
+            { key: 'created_at', header: 'Timestamp', type: 'datetime' },
+            { key: 'user_name', header: 'User' },
+            { key: 'user_email', header: 'Email' },
+            { key: 'action', header: 'Action' },
+            { key: 'entity_type', header: 'Entity Type' },
+            { key: 'entity_id', header: 'Entity ID', type: 'number' },
+            { key: 'details', header: 'Details' },
+            { key: 'ip_address', header: 'IP Address' }
+        ]
+    },
+    team: {
+        roles: ['Admin', 'Manager'],
+        query: teamQuery,
+        list: TEAM_LIST,
+        columns: [
+            { key: 'id', header: 'ID', type: 'number' },
+            { key: 'name', header: 'Name' },
+            { key: 'email', header: 'Email' },
+            { key: 'role', header: 'Role' },
+            { key: 'status', header: 'Status' },
+            { key: 'phone', header: 'Phone' },
+            { key: 'department_name', header: 'Department' },
+            { key: 'active_faults', header: 'Open Faults', type: 'number' },
+            { key: 'created_at', header: 'Created At', type: 'datetime' }
+        ]
+    }
+};
+
+// Column definitions, so clients can label NDJSON fields
+router.get('/', authenticateToken, (req, res) => {
+    const data = Object.entries(RESOURCES)
+        .filter(([, resource]) => !resource.roles || resource.roles.includes(req.user.role))
+        .map(([name, resource]) => ({
+            resource: name,
+            formats: Object.keys(EXPORT_FORMATS),
+            columns: resource.columns.map(({ key, header, type = 'string' }) => ({ key, header, type }))
+        }));
+    res.json({ success: true, data });
+});
+
+// Export the full filtered list of a resource: GET /api/export/faults?format=xlsx&status=Open
+router.get('/:resource', authenticateToken, async (req, res) => {
+    try {
+        // Own keys only, so names like "constructor" are unknown rather than Object's
+        const resource = Object.hasOwn(RESOURCES, req.params.resource) ? RESOURCES[req.params.resource] : null;
+        if (!resource) {
+            return res.status(404).json({ success: false, message: `Unknown export "${req.params.resource}"` });
+        }
+        if (resource.roles && !resource.roles.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+
+        const { format = 'csv', ...filters } = req.query;
+        if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+            return res.status(400).json({ success: false, message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        // Exports ignore paging and fields but keep the list's sort order
+        const { orderBy, error } = parseListOptions({ sort: filters.sort }, { ...resource.list, defaultLimit: null });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { sql, params } = await resource.query(filters, req.user.id);
+        const count = await streamExport(res, {
+            name: req.params.resource,
+            format,
+            columns: resource.columns,
+            sql: `${sql} ORDER BY ${orderBy}`,
+            params,
+            map: resource.map,
+            filter: resource.filter ? resource.filter(filters) : null
+        });
+
+        await logAction({
+            userId: req.user.id,
+            action: 'EXPORT_DATA',
+            entityType: 'Export',
+            details: { resource: req.params.resource, format, filters, rows: count },
+            req
+        });
+    } catch (error) {
+        console.error('Export error:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ success: false, message: 'Failed to export data' });
+        }
+    }
+});
+
+export default router;
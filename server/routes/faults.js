@@ -1,82 +1,42 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { FAULT_LIST, faultListQuery } from '../utils/listQueries.js';
+import { fetchPage, parseListOptions, sendPage } from '../utils/pagination.js';
 import { logAction } from '../utils/auditLogger.js';
+import { getSlaState, pauseSla, recordFirstResponse, resumeSla } from '../utils/sla.js';
+import { createFault } from '../utils/faults.js';
+import { availableTransitions, checkTransition, findTransition, getWorkflow, TRANSITION_FIELDS } from '../utils/faultWorkflow.js';
+import {
+    attachReport, cascadeParentStatus, createIncident, findDuplicateFaults, groupFaults, mergeFaults, ungroupFault
+} from '../utils/faultCorrelation.js';
+import { setComponentStatus } from '../utils/componentStatus.js';
+import { notifyRoles, notifyUser } from '../utils/notify.js';
+import { publish } from '../utils/events.js';
+import { invalidateSearchIndex } from '../utils/searchIndex.js';
+import { emitWebhookEvent } from '../utils/webhooks.js';
+import {
+    canUpload, listAttachments, readUpload, removeStoredFiles, storeAttachments, uploadBody, withCommentAttachments
+} from '../utils/attachments.js';
 
 const router = express.Router();
 
-// Get all faults with filtering
+// Get faults with filtering, sorting and optional paging
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const { status, priority, category, component_id, technician_id, from_date, to_date, reported_by } = req.query;
-        const currentUserId = req.user.id;
-        let query = `
-      SELECT f.*,
-            nc.name as component_name, nc.type as component_type,
-            d.name as department_name,
-            CONCAT(t.first_name, ' ', t.last_name) as technician_name,
-            u.username as reported_by_name,
-            (SELECT COUNT(*) FROM Fault_Comments fc WHERE fc.fault_id = f.fault_id) as comment_count,
-    (SELECT user_id FROM Fault_Comments fc WHERE fc.fault_id = f.fault_id ORDER BY created_at DESC LIMIT 1) as last_comment_user_id
-      FROM Faults f
-      LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
-      LEFT JOIN Departments d ON nc.department_id = d.department_id
-      LEFT JOIN Users t ON f.assigned_to = t.user_id
-      LEFT JOIN Users u ON f.reported_by = u.user_id
-      WHERE 1 = 1
-    `;
-        const params = [];
-
-        if (status) {
-            query += ' AND f.status = ?';
-            params.push(status);
-        }
-
-        if (priority) {
-            query += ' AND f.priority = ?';
-            params.push(priority);
-        }
-
-        if (category) {
-            query += ' AND f.category = ?';
-            params.push(category);
-        }
-
-        if (component_id) {
-            query += ' AND f.component_id = ?';
-            params.push(component_id);
+        const options = parseListOptions(req.query, FAULT_LIST);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
 
-        if (technician_id) {
-            query += ' AND f.assigned_to = ?';
-            params.push(technician_id);
-        }
-
-        if (reported_by) {
-            query += ' AND f.reported_by = ?';
-            params.push(reported_by);
-        }
-
-        if (from_date) {
-            query += ' AND DATE(f.reported_at) >= ?';
-            params.push(from_date);
-        }
-
-        if (to_date) {
-            query += ' AND DATE(f.reported_at) <= ?';
-            params.push(to_date);
-        }
-
-        // Sort by ID ascending (starting from FLT-001)
-        query += ' ORDER BY f.fault_id ASC';
-
-        const [faults] = await pool.query(query, params);
-
-        res.json({
-            success: true,
-            data: faults,
-            count: faults.length
+        // SLA state depends on the current time, so it is computed per request
+        const now = new Date();
+        const page = await fetchPage(faultListQuery(req.query, req.user.id), options, {
+            map: f => ({ ...f, sla: getSlaState(f, now), next_actions: availableTransitions(f, req.user) }),
+            filter: req.query.sla_state ? f => f.sla && f.sla.state === req.query.sla_state : null
         });
+
+        sendPage(req, res, page, options);
     } catch (error) {
         console.error('Get faults error:', error);
         res.status(500).json({
@@ -86,6 +46,27 @@ router.get('/', authenticateToken, async (req, res) => {
     }
 });
 
+// Statuses and allowed transitions, with who may take each and what it requires
+router.get('/workflow', authenticateToken, (req, res) => {
+    res.json({ success: true, data: { ...getWorkflow(), fields: TRANSITION_FIELDS } });
+});
+
+// Open faults a report about to be filed probably duplicates
+router.get('/similar', authenticateToken, async (req, res) => {
+    try {
+        const { component_id, title, description, exclude_id } = req.query;
+        if (!component_id || !title) {
+            return res.status(400).json({ success: false, message: 'component_id and title are required' });
+        }
+
+        const duplicates = await findDuplicateFaults({ componentId: component_id, title, description, excludeId: exclude_id });
+        res.json({ success: true, data: duplicates, count: duplicates.length });
+    } catch (error) {
+        console.error('Find similar faults error:', error);
+        res.status(500).json({ success: false, message: 'Failed to find similar faults' });
+    }
+});
+
 // Get single fault
 router.get('/:id', authenticateToken, async (req, res) => {
     try {
@@ -93,11 +74,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
       SELECT f.*,
     nc.name as component_name, nc.type as component_type, nc.location as component_location,
     CONCAT(t.first_name, ' ', t.last_name) as technician_name, t.email as technician_email, t.phone_number as technician_phone,
-    u.username as reported_by_name
+    u.username as reported_by_name,
+    sp.name as sla_policy_name, sp.response_minutes, sp.resolution_minutes, sp.at_risk_percent
       FROM Faults f
       LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
       LEFT JOIN Users t ON f.assigned_to = t.user_id
       LEFT JOIN Users u ON f.reported_by = u.user_id
+      LEFT JOIN SLA_Policies sp ON f.sla_policy_id = sp.policy_id
       WHERE f.fault_id = ?
     `, [req.params.id]);
 
@@ -108,9 +91,44 @@ router.get('/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        const [escalations] = await pool.query(`
+      SELECT fe.escalation_id, fe.level, fe.action, fe.details, fe.escalated_at, er.name as rule_name
+      FROM Fault_Escalations fe
+      LEFT JOIN Escalation_Rules er ON fe.rule_id = er.rule_id
+      WHERE fe.fault_id = ?
+      ORDER BY fe.escalated_at ASC
+    `, [req.params.id]);
+
+        // Incident grouping and merges, in both directions
+        const [related] = await pool.query(`
+      SELECT fault_id, title, status, priority, component_id, parent_fault_id, merged_into_fault_id
+      FROM Faults
+      WHERE fault_id IN (?, ?) OR parent_fault_id = ? OR merged_into_fault_id = ?
+      ORDER BY fault_id ASC
+    `, [faults[0].parent_fault_id || 0, faults[0].merged_into_fault_id || 0, req.params.id, req.params.id]);
+
+        const [reports] = await pool.query(`
+      SELECT fr.*, u.username as reported_by_name
+      FROM Fault_Reports fr
+      JOIN Users u ON fr.reported_by = u.user_id
+      WHERE fr.fault_id = ?
+      ORDER BY fr.reported_at ASC
+    `, [req.params.id]);
+
+        const id = Number(req.params.id);
         res.json({
             success: true,
-            data: faults[0]
+            data: {
+                ...faults[0],
+                sla: getSlaState(faults[0]),
+                next_actions: availableTransitions(faults[0], req.user),
+                escalations: escalations.map(e => ({ ...e, details: e.details ? JSON.parse(e.details) : null })),
+                parent: related.find(f => f.fault_id === faults[0].parent_fault_id) || null,
+                merged_into: related.find(f => f.fault_id === faults[0].merged_into_fault_id) || null,
+                children: related.filter(f => f.parent_fault_id === id),
+                merged_from: related.filter(f => f.merged_into_fault_id === id),
+                reports
+            }
         });
     } catch (error) {
         console.error('Get fault error:', error);
@@ -125,7 +143,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
     try {
         const {
-            component_id, title, description, category, priority = 'Medium'
+            component_id, title, description, category, priority = 'Medium', force = false, check_duplicates = false
         } = req.body;
 
         if (!title || !category) {
@@ -135,40 +153,40 @@ router.post('/', authenticateToken, async (req, res) => {
             });
         }
 
-        // New schema uses user_id for reported_by (which is req.user.id in our updated auth middleware logic, 
-        // assuming we update the token generation to use user_id too, or mapped it).
-        // Let's assume req.user.id holds the user_id.
-
-        const [result] = await pool.query(
-            `INSERT INTO Faults(component_id, reported_by, title, description, category, priority)
-VALUES(?, ?, ?, ?, ?, ?)`,
-            [component_id, req.user.id, title, description, category, priority]
-        );
-
-        // Update component status if it's a critical fault
-        if (priority === 'Critical' && component_id) {
-            await pool.query(
-                "UPDATE Network_Components SET status = ? WHERE component_id = ?",
-                ['Faulty', component_id]
-            );
+        // check_duplicates=true asks first whether this is already reported; the
+        // client then attaches to one of them (POST /:id/reports) or resends without it
+        if (check_duplicates) {
+            const duplicates = await findDuplicateFaults({ componentId: component_id, title, description });
+            if (duplicates.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This looks like a fault that is already open',
+                    data: { duplicates }
+                });
+            }
         }
 
-
-
-        // Log fault creation
-        await logAction({
-            userId: req.user.id,
-            action: 'CREATE_FAULT',
-            entityType: 'Fault',
-            entityId: result.insertId,
-            details: { title, priority, status: 'Open' },
+        // force=true opens the fault even when an upstream outage already covers it
+        const { faultId, slaPolicy, suppressed } = await createFault({
+            componentId: component_id,
+            reportedBy: req.user.id,
+            title, description, category, priority,
+            suppressIfUpstreamDown: !force,
             req
         });
 
+        if (suppressed) {
+            return res.json({
+                success: true,
+                message: `${suppressed.name} upstream is already down. Your report was added to FLT-${String(suppressed.fault_id).padStart(3, '0')}.`,
+                data: { id: suppressed.fault_id, suppressed: true, upstream_component_id: suppressed.component_id }
+            });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Fault reported successfully',
-            data: { id: result.insertId, title, priority, status: 'Open' }
+            data: { id: faultId, title, priority, status: 'Open', sla_policy_id: slaPolicy ? slaPolicy.policy_id : null }
         });
     } catch (error) {
         console.error('Create fault error:', error);
@@ -213,9 +231,10 @@ router.put('/:id/assign', authenticateToken, requireRole('Admin', 'Technician'),
         let updateQuery = 'UPDATE Faults SET assigned_to = ?';
         const params = [technician_id]; // This handles null correctly
 
-        if (technician_id) {
+        // Assigning starts the work and unassigning hands it back, where the workflow has those steps
+        if (technician_id && findTransition('Open', 'In Progress')) {
             updateQuery += ", status = CASE WHEN status = 'Open' THEN 'In Progress' ELSE status END";
-        } else {
+        } else if (!technician_id && findTransition('In Progress', 'Open')) {
             // Revert to Open only if it was In Progress
             updateQuery += ", status = CASE WHEN status = 'In Progress' THEN 'Open' ELSE status END";
         }
@@ -232,15 +251,25 @@ router.put('/:id/assign', authenticateToken, requireRole('Admin', 'Technician'),
             });
         }
 
+        // Assignment counts as the first response
+        if (technician_id) {
+            await recordFirstResponse(req.params.id);
+        }
+
         // Notify Technician only if assigning
         if (technician_id) {
-            await pool.query(
-                `INSERT INTO Notifications(user_id, type, message, link)
-            VALUES(?, 'fault_assigned', ?, ?)`,
-                [technician_id, `You have been assigned fault FLT-${String(req.params.id).padStart(3, '0')}`, `/faults?highlight=${req.params.id}`]
-            );
+            await notifyUser(technician_id, 'fault_assigned', `You have been assigned fault FLT-${String(req.params.id).padStart(3, '0')}`, `/faults?highlight=${req.params.id}`);
         }
 
+        publish('fault', { action: 'assigned', fault_id: Number(req.params.id), assigned_to: technician_id || null });
+        await emitWebhookEvent('fault.assigned', async () => {
+            const [rows] = await pool.query(
+                'SELECT fault_id, title, priority, status, component_id, assigned_to FROM Faults WHERE fault_id = ?',
+                [req.params.id]
+            );
+            return { ...rows[0], assigned_by: req.user.id };
+        });
+
         res.json({
             success: true,
             message: technician_id ? 'Technician assigned successfully' : 'Fault unassigned successfully'
@@ -257,10 +286,9 @@ router.put('/:id/assign', authenticateToken, requireRole('Admin', 'Technician'),
 // Update fault status
 router.put('/:id/status', authenticateToken, async (req, res) => {
     try {
-        const { status, resolution_notes } = req.body;
-        const validStatuses = ['Open', 'In Progress', 'Resolved', 'Closed', 'Pending'];
+        const { status, resolution_notes, reason } = req.body;
 
-        if (!status || !validStatuses.includes(status)) {
+        if (!status) {
             return res.status(400).json({
                 success: false,
                 message: 'Valid status is required'
@@ -277,6 +305,24 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
         }
 
         const fault = faults[0];
+        if (fault.merged_into_fault_id) {
+            return res.status(409).json({
+                success: false,
+                message: `This fault was merged into FLT-${String(fault.merged_into_fault_id).padStart(3, '0')}; update that fault instead`
+            });
+        }
+
+        // The workflow decides which moves exist, who may make them and what they need
+        const check = checkTransition(fault, status, req.user, req.body);
+        if (check.error) {
+            return res.status(check.status).json({
+                success: false,
+                message: check.error,
+                data: { next_actions: availableTransitions(fault, req.user) }
+            });
+        }
+        const { transition } = check;
+
         let responseTime = null;
 
         // Calculate response time when resolving
@@ -286,55 +332,77 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
             responseTime = Math.round((now - reportedAt) / (1000 * 60)); // minutes
         }
 
+        // Pending stops the SLA clock; leaving it starts the clock again
+        // (before resolved_at is set, so paused time still extends the resolution target)
+        if (status === 'Pending' && fault.status !== 'Pending') {
+            await pauseSla(fault.fault_id);
+        } else if (fault.status === 'Pending' && status !== 'Pending') {
+            await resumeSla(fault.fault_id);
+        }
+
+        // A fault that is worked on again loses its resolve and close times, so
+        // the SLA and resolution time count from the next resolve
+        const reopened = ['Resolved', 'Closed'].includes(fault.status) && !['Resolved', 'Closed'].includes(status);
+
         await pool.query(
             `UPDATE Faults SET
 status = ?,
     resolution_notes = COALESCE(?, resolution_notes),
-    resolved_at = CASE WHEN ? = 'Resolved' AND resolved_at IS NULL THEN NOW() ELSE resolved_at END,
+    resolved_at = CASE WHEN ? THEN NULL WHEN ? = 'Resolved' AND resolved_at IS NULL THEN NOW() ELSE resolved_at END,
+    closed_at = CASE WHEN ? THEN NULL WHEN ? = 'Closed' THEN NOW() ELSE closed_at END,
         started_at = CASE WHEN ? = 'In Progress' AND started_at IS NULL THEN NOW() ELSE started_at END,
-            response_time_minutes = COALESCE(?, response_time_minutes)
+            response_time_minutes = CASE WHEN ? THEN NULL ELSE COALESCE(?, response_time_minutes) END
        WHERE fault_id = ? `,
-            [status, resolution_notes, status, status, responseTime, req.params.id]
+            [status, resolution_notes, reopened, status, reopened, status, status, reopened, responseTime, req.params.id]
         );
 
+        if (req.user.id !== fault.reported_by) {
+            await recordFirstResponse(fault.fault_id);
+        }
+
+        // Reasons (why it was reopened, put on hold...) stay on the fault's thread
+        if (reason && String(reason).trim()) {
+            await pool.query(
+                'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+                [fault.fault_id, req.user.id, `${transition.label}: ${String(reason).trim()}`]
+            );
+            publish('comment', { entity: 'fault', fault_id: fault.fault_id });
+        }
+
         // Update component status
         if (status === 'Resolved' || status === 'Closed') {
             if (fault.component_id) {
                 // Check if component was Faulty, set to Active
-                await pool.query("UPDATE Network_Components SET status = ? WHERE component_id = ? AND status = 'Faulty'", ['Active', fault.component_id]);
+                await setComponentStatus(fault.component_id, 'Active', {
+                    source: 'fault_resolution', referenceId: fault.fault_id, userId: req.user.id, onlyFrom: ['Faulty']
+                });
             }
         }
 
         // Notify Reporter
         if (fault.reported_by && fault.reported_by !== req.user.id) {
-            await pool.query(
-                `INSERT INTO Notifications(user_id, type, message, link)
-        VALUES(?, 'status_change', ?, ?)`,
-                [fault.reported_by, `Fault FLT-${String(req.params.id).padStart(3, '0')} is now ${status}`, `/faults?highlight=${req.params.id}`]
-            );
+            await notifyUser(fault.reported_by, 'status_change', `Fault FLT-${String(req.params.id).padStart(3, '0')} is now ${status}`, `/faults?highlight=${req.params.id}`);
         }
 
+        const because = reason ? ` Reason: ${String(reason).trim()}` : '';
+
         // Notify Admins and Managers
         if (['Resolved', 'Closed', 'Open'].includes(status)) {
             let msg = '';
             if (status === 'Resolved') {
                 msg = `Fault FLT-${String(req.params.id).padStart(3, '0')} is marked as Resolved.`;
             } else if (status === 'Closed') {
-                msg = `Fault FLT-${String(req.params.id).padStart(3, '0')} is Confirmed and Closed.`;
+                msg = fault.status === 'Resolved'
+                    ? `Fault FLT-${String(req.params.id).padStart(3, '0')} is Confirmed and Closed.`
+                    : `Fault FLT-${String(req.params.id).padStart(3, '0')} was Closed without a fix.`;
             } else if (status === 'Open' && fault.status === 'Resolved') {
-                msg = `Fault FLT-${String(req.params.id).padStart(3, '0')} resolution was Rejected and Reopened.`;
+                msg = `Fault FLT-${String(req.params.id).padStart(3, '0')} resolution was Rejected and Reopened.${because}`;
+            } else if (status === 'Open' && fault.status === 'Closed') {
+                msg = `Fault FLT-${String(req.params.id).padStart(3, '0')} was Reopened.${because}`;
             }
 
             if (msg) {
-                const [adminsAndManagers] = await pool.query("SELECT user_id FROM Users WHERE role IN ('Admin', 'Manager')");
-                for (const recipient of adminsAndManagers) {
-                    if (recipient.user_id !== req.user.id) {
-                        await pool.query(
-                            `INSERT INTO Notifications(user_id, type, message, link) VALUES(?, 'status_change', ?, ?)`,
-                            [recipient.user_id, msg, `/faults?highlight=${req.params.id}`]
-                        );
-                    }
-                }
+                await notifyRoles(['Admin', 'Manager'], 'status_change', msg, `/faults?highlight=${req.params.id}`, req.user.id);
             }
         }
 
@@ -344,30 +412,39 @@ status = ?,
             if (status === 'Closed' && fault.status === 'Resolved') {
                 techMsg = `✅ Your fix for FLT-${String(req.params.id).padStart(3, '0')} was confirmed by the reporter.`;
             } else if (status === 'Open' && fault.status === 'Resolved') {
-                techMsg = `❌ FLT-${String(req.params.id).padStart(3, '0')} was reopened - reporter says issue persists. Please recheck.`;
+                techMsg = `❌ FLT-${String(req.params.id).padStart(3, '0')} was reopened - reporter says issue persists. Please recheck.${because}`;
             }
             if (techMsg) {
-                await pool.query(
-                    `INSERT INTO Notifications(user_id, type, message, link) VALUES(?, 'status_change', ?, ?)`,
-                    [fault.assigned_to, techMsg, `/faults?highlight=${req.params.id}`]
-                );
+                await notifyUser(fault.assigned_to, 'status_change', techMsg, `/faults?highlight=${req.params.id}`);
             }
         }
 
+        publish('fault', { action: 'status', fault_id: fault.fault_id, status, old_status: fault.status });
+        await emitWebhookEvent('fault.status_changed', {
+            fault_id: fault.fault_id, title: fault.title, priority: fault.priority, component_id: fault.component_id,
+            status, old_status: fault.status, resolution_notes: resolution_notes || fault.resolution_notes,
+            response_time_minutes: responseTime, changed_by: req.user.id, transition: transition.id, reason: reason || null
+        });
+
         // Log status update
         await logAction({
             userId: req.user.id,
             action: 'UPDATE_FAULT_STATUS',
             entityType: 'Fault',
             entityId: req.params.id,
-            details: { status, resolution_notes },
+            details: { status, old_status: fault.status, transition: transition.id, resolution_notes, reason },
             req
         });
 
+        // Resolving or closing an incident does the same to the faults grouped under it
+        const cascaded = await cascadeParentStatus({ parent: fault, status, resolutionNotes: resolution_notes, user: req.user, req });
+
         res.json({
             success: true,
-            message: 'Fault status updated successfully',
-            data: { status, response_time_minutes: responseTime }
+            message: cascaded.length
+                ? `Fault status updated successfully (${cascaded.length} grouped fault${cascaded.length === 1 ? '' : 's'} also ${status})`
+                : 'Fault status updated successfully',
+            data: { status, response_time_minutes: responseTime, cascaded_fault_ids: cascaded }
         });
     } catch (error) {
         console.error('Update fault status error:', error);
@@ -378,6 +455,116 @@ status = ?,
     }
 });
 
+// Add the caller's report to an existing open fault instead of opening a duplicate
+router.post('/:id/reports', authenticateToken, async (req, res) => {
+    try {
+        const { title, description } = req.body;
+        if (!title || !String(title).trim()) {
+            return res.status(400).json({ success: false, message: 'Title is required' });
+        }
+
+        const result = await attachReport({ faultId: req.params.id, user: req.user, title: String(title).trim(), description, req });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Your report was added to FLT-${String(result.faultId).padStart(3, '0')}`,
+            data: { id: result.faultId, report_id: result.reportId }
+        });
+    } catch (error) {
+        console.error('Attach fault report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add report' });
+    }
+});
+
+// Merge duplicate faults into this one
+router.post('/:id/merge', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const result = await mergeFaults({ targetId: req.params.id, sourceIds: req.body.fault_ids, user: req.user, req });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: `Merged ${result.merged.length} fault${result.merged.length === 1 ? '' : 's'} into FLT-${String(result.faultId).padStart(3, '0')}`,
+            data: { id: result.faultId, merged_fault_ids: result.merged, comments_moved: result.comments }
+        });
+    } catch (error) {
+        console.error('Merge faults error:', error);
+        res.status(500).json({ success: false, message: 'Failed to merge faults' });
+    }
+});
+
+// Group this fault under a parent incident, or take it out with parent_fault_id: null
+router.put('/:id/parent', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { parent_fault_id } = req.body;
+        if (typeof parent_fault_id === 'undefined') {
+            return res.status(400).json({ success: false, message: 'parent_fault_id is required (null to ungroup)' });
+        }
+
+        const result = parent_fault_id === null
+            ? await ungroupFault({ faultId: req.params.id, user: req.user, req })
+            : await groupFaults({ parentId: parent_fault_id, childIds: [req.params.id], user: req.user, req });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: parent_fault_id === null ? 'Fault removed from its incident' : 'Fault grouped under the incident',
+            data: { parent_fault_id }
+        });
+    } catch (error) {
+        console.error('Set fault parent error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update fault grouping' });
+    }
+});
+
+// Group several faults under this one as their parent incident
+router.post('/:id/children', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const result = await groupFaults({ parentId: req.params.id, childIds: req.body.fault_ids, user: req.user, req });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: `${result.grouped.length} fault${result.grouped.length === 1 ? '' : 's'} grouped under FLT-${String(result.parentId).padStart(3, '0')}`,
+            data: { parent_fault_id: result.parentId, grouped_fault_ids: result.grouped }
+        });
+    } catch (error) {
+        console.error('Group faults error:', error);
+        res.status(500).json({ success: false, message: 'Failed to group faults' });
+    }
+});
+
+// Open a new parent incident over existing faults
+router.post('/incidents', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { title, description, category, priority, component_id, fault_ids } = req.body;
+        const result = await createIncident({
+            title, description, category, priority, componentId: component_id, childIds: fault_ids, user: req.user, req
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Incident FLT-${String(result.faultId).padStart(3, '0')} opened over ${result.grouped.length} faults`,
+            data: { id: result.faultId, grouped_fault_ids: result.grouped }
+        });
+    } catch (error) {
+        console.error('Create incident error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create incident' });
+    }
+});
+
 // Schedule fault
 router.put('/:id/schedule', authenticateToken, async (req, res) => {
     try {
@@ -402,6 +589,8 @@ router.put('/:id/schedule', authenticateToken, async (req, res) => {
             });
         }
 
+        publish('fault', { action: 'scheduled', fault_id: Number(req.params.id), scheduled_for });
+
         res.json({
             success: true,
             message: 'Fault scheduled successfully',
@@ -454,7 +643,7 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
     }
 });
 
-// Get comments for a fault
+// Get comments for a fault, each with its attachments
 router.get('/:id/comments', authenticateToken, async (req, res) => {
     try {
         const [comments] = await pool.query(`
@@ -464,10 +653,11 @@ router.get('/:id/comments', authenticateToken, async (req, res) => {
             WHERE fc.fault_id = ?
     ORDER BY fc.created_at ASC
         `, [req.params.id]);
+        const attachments = await listAttachments({ faultId: req.params.id }, req.user);
 
         res.json({
             success: true,
-            data: comments,
+            data: withCommentAttachments(comments, attachments, 'fault_comment_id'),
             count: comments.length
         });
     } catch (error) {
@@ -479,14 +669,19 @@ router.get('/:id/comments', authenticateToken, async (req, res) => {
     }
 });
 
-// Add comment to a fault
-router.post('/:id/comments', authenticateToken, async (req, res) => {
+// Add comment to a fault; sent as multipart/form-data it can carry attachments
+router.post('/:id/comments', authenticateToken, uploadBody, async (req, res) => {
+    let connection;
     try {
-        const { comment } = req.body;
+        const upload = readUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ success: false, message: upload.error });
+        }
+        const comment = String(upload.fields.comment || '').trim();
         const faultId = req.params.id;
         const userId = req.user.id;
 
-        if (!comment || comment.trim() === '') {
+        if (!comment && upload.uploads.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Comment text is required'
@@ -494,18 +689,40 @@ router.post('/:id/comments', authenticateToken, async (req, res) => {
         }
 
         // Verify fault exists
-        const [fault] = await pool.query('SELECT fault_id FROM Faults WHERE fault_id = ?', [faultId]);
+        const [fault] = await pool.query('SELECT fault_id, reported_by FROM Faults WHERE fault_id = ?', [faultId]);
         if (fault.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Fault not found'
             });
         }
+        if (upload.uploads.length && !canUpload(req.user, { fault: fault[0] })) {
+            return res.status(403).json({
+                success: false,
+                message: 'Staff can only attach files to faults they reported'
+            });
+        }
 
-        const [result] = await pool.query(
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [result] = await connection.query(
             'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
-            [faultId, userId, comment.trim()]
+            [faultId, userId, comment]
         );
+        const { ids: attachmentIds, stored } = await storeAttachments(upload.uploads,
+            { fault_id: Number(faultId), fault_comment_id: result.insertId }, userId, connection);
+        try {
+            await connection.commit();
+        } catch (error) {
+            await removeStoredFiles(stored);
+            throw error;
+        }
+        invalidateSearchIndex();
+
+        // A reply from anyone but the reporter counts as the first response
+        if (userId !== fault[0].reported_by) {
+            await recordFirstResponse(faultId);
+        }
 
         // Get the inserted comment with user info
         const [newComment] = await pool.query(`
@@ -515,17 +732,91 @@ router.post('/:id/comments', authenticateToken, async (req, res) => {
             WHERE fc.comment_id = ?
     `, [result.insertId]);
 
+        if (attachmentIds.length) {
+            // Listeners see what everyone may see; each client reloads for its own view
+            publish('comment', { entity: 'fault', fault_id: Number(faultId) });
+            await logAction({
+                userId,
+                action: 'UPLOAD_ATTACHMENT',
+                entityType: 'Fault',
+                entityId: Number(faultId),
+                details: {
+                    comment_id: result.insertId,
+                    attachment_ids: attachmentIds,
+                    files: upload.uploads.map(u => ({ name: u.name, sha256: u.sha256 }))
+                },
+                req
+            });
+        } else {
+            publish('comment', { entity: 'fault', fault_id: Number(faultId), comment: { ...newComment[0], attachments: [] } });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Comment added successfully',
-            data: newComment[0]
+            data: { ...newComment[0], attachments: await listAttachments({ ids: attachmentIds }, req.user) }
         });
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error('Add comment error:', error);
         res.status(500).json({
             success: false,
             message: 'Failed to add comment'
         });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Files attached to a fault and its comments
+router.get('/:id/attachments', authenticateToken, async (req, res) => {
+    try {
+        const attachments = await listAttachments({ faultId: req.params.id }, req.user);
+        res.json({ success: true, data: attachments, count: attachments.length });
+    } catch (error) {
+        console.error('Get fault attachments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch attachments' });
+    }
+});
+
+// Attach files to a fault (multipart/form-data `file` parts)
+router.post('/:id/attachments', authenticateToken, uploadBody, async (req, res) => {
+    try {
+        const upload = readUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ success: false, message: upload.error });
+        }
+        if (upload.uploads.length === 0) {
+            return res.status(400).json({ success: false, message: 'Choose at least one file to attach' });
+        }
+
+        const [[fault]] = await pool.query('SELECT fault_id, reported_by FROM Faults WHERE fault_id = ?', [req.params.id]);
+        if (!fault) {
+            return res.status(404).json({ success: false, message: 'Fault not found' });
+        }
+        if (!canUpload(req.user, { fault })) {
+            return res.status(403).json({ success: false, message: 'Staff can only attach files to faults they reported' });
+        }
+
+        const { ids } = await storeAttachments(upload.uploads, { fault_id: fault.fault_id }, req.user.id);
+        publish('comment', { entity: 'fault', fault_id: fault.fault_id });
+        await logAction({
+            userId: req.user.id,
+            action: 'UPLOAD_ATTACHMENT',
+            entityType: 'Fault',
+            entityId: fault.fault_id,
+            details: { attachment_ids: ids, files: upload.uploads.map(u => ({ name: u.name, sha256: u.sha256 })) },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${ids.length} file${ids.length === 1 ? '' : 's'} attached`,
+            data: await listAttachments({ ids }, req.user)
+        });
+    } catch (error) {
+        console.error('Upload fault attachments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to attach files' });
     }
 });
 
@@ -0,0 +1,248 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { evaluateEvent, invalidateEventRules, syslogEvent, trapEvent } from '../utils/eventIngest.js';
+import { parseSyslog } from '../utils/syslog.js';
+import { oidName, trapSeverity } from '../utils/snmpTrap.js';
+import { getEventListenerStats } from '../jobs/eventListener.js';
+
+const router = express.Router();
+
+const SOURCES = ['any', 'syslog', 'snmp'];
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+const OUTCOMES = ['created', 'updated', 'deduplicated', 'suppressed', 'ignored', 'unmatched'];
+const RULE_FIELDS = ['name', 'source', 'max_severity', 'pattern', 'category', 'priority', 'dedup_minutes', 'position', 'is_active'];
+
+// Returns the error message, or null when the rule is valid
+function validateRule({ name, source, max_severity, pattern, category, priority, dedup_minutes, position }) {
+    if (!name || !String(name).trim()) return 'Rule name is required';
+    if (!SOURCES.includes(source)) return `source must be one of ${SOURCES.join(', ')}`;
+    if (!Number.isInteger(Number(max_severity)) || Number(max_severity) < 0 || Number(max_severity) > 7) {
+        return 'max_severity must be a syslog severity from 0 (Emergency) to 7 (Debug)';
+    }
+    if (pattern) {
+        if (String(pattern).length > 500) return 'pattern cannot be longer than 500 characters';
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            return `pattern is not a valid regular expression: ${error.message}`;
+        }
+    }
+    if (!category || !String(category).trim()) return 'category is required';
+    if (!PRIORITIES.includes(priority)) return `priority must be one of ${PRIORITIES.join(', ')}`;
+    if (!Number.isInteger(Number(dedup_minutes)) || Number(dedup_minutes) < 0 || Number(dedup_minutes) > 10080) {
+        return 'dedup_minutes must be between 0 and 10080 (one week)';
+    }
+    if (!Number.isInteger(Number(position))) return 'position must be a whole number';
+    return null;
+}
+
+const ruleValues = (rule) => [
+    String(rule.name).trim(), rule.source, Number(rule.max_severity), rule.pattern || null, String(rule.category).trim(),
+    rule.priority, Number(rule.dedup_minutes), Number(rule.position), Boolean(rule.is_active)
+];
+
+// Listener ports and counters since it started
+router.get('/status', authenticateToken, requireRole('Admin', 'Manager'), (req, res) => {
+    const stats = getEventListenerStats();
+    res.json({ success: true, data: { running: Boolean(stats), ...stats } });
+});
+
+// Rules in the order they are tried
+router.get('/rules', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const [rules] = await pool.query(`
+            SELECT er.*, COUNT(ie.event_id) as matched_last_day
+            FROM Event_Rules er
+            LEFT JOIN Inbound_Events ie ON ie.rule_id = er.rule_id AND ie.received_at >= NOW() - INTERVAL 1 DAY
+            GROUP BY er.rule_id
+            ORDER BY er.position ASC, er.rule_id ASC
+        `);
+        res.json({ success: true, data: rules, count: rules.length });
+    } catch (error) {
+        console.error('Get event rules error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch event rules' });
+    }
+});
+
+router.post('/rules', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const rule = {
+            source: 'any', max_severity: 3, priority: 'Medium', dedup_minutes: 30, position: 0, is_active: true,
+            ...req.body
+        };
+        const validationError = validateRule(rule);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO Event_Rules (${RULE_FIELDS.join(', ')}, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [...ruleValues(rule), req.user.id]
+        );
+        invalidateEventRules();
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_EVENT_RULE',
+            entityType: 'Event_Rule',
+            entityId: result.insertId,
+            details: { name: rule.name, source: rule.source, pattern: rule.pattern || null, category: rule.category, priority: rule.priority },
+            req
+        });
+
+        res.status(201).json({ success: true, message: 'Event rule created successfully', data: { rule_id: result.insertId } });
+    } catch (error) {
+        console.error('Create event rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create event rule' });
+    }
+});
+
+router.put('/rules/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [existing] = await pool.query('SELECT * FROM Event_Rules WHERE rule_id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ success: false, message: 'Event rule not found' });
+        }
+
+        const rule = { ...existing[0], ...req.body };
+        const validationError = validateRule(rule);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        await pool.query(
+            `UPDATE Event_Rules SET ${RULE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE rule_id = ?`,
+            [...ruleValues(rule), req.params.id]
+        );
+        invalidateEventRules();
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_EVENT_RULE',
+            entityType: 'Event_Rule',
+            entityId: req.params.id,
+            details: { name: rule.name, source: rule.source, pattern: rule.pattern || null, category: rule.category, priority: rule.priority, is_active: Boolean(rule.is_active) },
+            req
+        });
+
+        res.json({ success: true, message: 'Event rule updated successfully' });
+    } catch (error) {
+        console.error('Update event rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update event rule' });
+    }
+});
+
+// Logged events keep their outcome; only the link to the rule is cleared
+router.delete('/rules/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM Event_Rules WHERE rule_id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Event rule not found' });
+        }
+        invalidateEventRules();
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_EVENT_RULE',
+            entityType: 'Event_Rule',
+            entityId: req.params.id,
+            details: {},
+            req
+        });
+
+        res.json({ success: true, message: 'Event rule deleted successfully' });
+    } catch (error) {
+        console.error('Delete event rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete event rule' });
+    }
+});
+
+// Received events, newest first
+router.get('/events', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { source, outcome, component_id, fault_id } = req.query;
+        if (outcome && !OUTCOMES.includes(outcome)) {
+            return res.status(400).json({ success: false, message: `outcome must be one of ${OUTCOMES.join(', ')}` });
+        }
+
+        let sql = `
+            SELECT ie.*, nc.name as component_name, er.name as rule_name
+            FROM Inbound_Events ie
+            LEFT JOIN Network_Components nc ON ie.component_id = nc.component_id
+            LEFT JOIN Event_Rules er ON ie.rule_id = er.rule_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+        if (source) {
+            sql += ' AND ie.source = ?';
+            params.push(source);
+        }
+        if (outcome) {
+            sql += ' AND ie.outcome = ?';
+            params.push(outcome);
+        }
+        if (component_id) {
+            sql += ' AND ie.component_id = ?';
+            params.push(component_id);
+        }
+        if (fault_id) {
+            sql += ' AND ie.fault_id = ?';
+            params.push(fault_id);
+        }
+        sql += ' ORDER BY ie.event_id DESC LIMIT ?';
+        params.push(Math.min(Number(req.query.limit) || 100, 500));
+
+        const [events] = await pool.query(sql, params);
+        res.json({ success: true, data: events, count: events.length });
+    } catch (error) {
+        console.error('Get inbound events error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch inbound events' });
+    }
+});
+
+// Dry run: what a syslog line or trap from sender_ip would do, without opening anything.
+// Traps are described as { trap_oid, varbinds: [{ oid, name, value }] } rather than raw BER.
+router.post('/test', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const { source = 'syslog', sender_ip, message, trap } = req.body;
+        if (!sender_ip) {
+            return res.status(400).json({ success: false, message: 'sender_ip is required' });
+        }
+
+        let event;
+        if (source === 'snmp') {
+            if (!trap || !trap.trap_oid) {
+                return res.status(400).json({ success: false, message: 'trap.trap_oid is required for an SNMP test' });
+            }
+            event = trapEvent({
+                pdu: 'trap', agent_address: null, varbinds: [], ...trap,
+                trap_name: oidName(trap.trap_oid), severity: trapSeverity(trap.trap_oid)
+            }, sender_ip);
+        } else {
+            const parsed = parseSyslog(message || '');
+            if (!parsed) {
+                return res.status(400).json({ success: false, message: 'message must be a syslog line starting with <PRI>, e.g. <11>' });
+            }
+            event = syslogEvent(parsed, sender_ip);
+        }
+
+        const { component, rule, outcome, fault_id } = await evaluateEvent(event);
+        res.json({
+            success: true,
+            data: {
+                event: { source: event.source, severity: event.severity, hostname: event.hostname, app_name: event.app_name, text: event.text },
+                component: component ? { component_id: component.component_id, name: component.name, status: component.status } : null,
+                rule: rule ? { rule_id: rule.rule_id, name: rule.name, category: rule.category, priority: rule.priority } : null,
+                outcome,
+                fault_id
+            }
+        });
+    } catch (error) {
+        console.error('Test inbound event error:', error);
+        res.status(500).json({ success: false, message: 'Failed to evaluate event' });
+    }
+});
+
+export default router;
@@ -1,37 +1,39 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { INVENTORY_LIST, inventoryQuery } from '../utils/listQueries.js';
+import { fetchPage, parseListOptions, sendPage } from '../utils/pagination.js';
 import { logAction } from '../utils/auditLogger.js';
+import { notifyRoles } from '../utils/notify.js';
+import { emitWebhookEvent } from '../utils/webhooks.js';
 
 const router = express.Router();
 
-// Get all inventory items
+// Webhook events for a stock change; inventory.low_stock also fires when it leaves
+// the item at or below its minimum level
+async function emitStockEvents(item, change) {
+    const data = {
+        item_id: Number(item.item_id), name: item.name, category: item.category, location: item.location,
+        quantity: Number(item.quantity), min_level: Number(item.min_level), ...change
+    };
+    await emitWebhookEvent('inventory.updated', data);
+    if (data.quantity <= data.min_level) await emitWebhookEvent('inventory.low_stock', data);
+}
+
+// Get inventory items with filtering, sorting and optional paging
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const { category } = req.query;
-        let query = 'SELECT * FROM Inventory_Items WHERE 1=1';
-        const params = [];
-
-        if (category) {
-            query += ' AND category = ?';
-            params.push(category);
+        const options = parseListOptions(req.query, INVENTORY_LIST);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
 
-        query += ' ORDER BY item_id ASC';
-
-        const [items] = await pool.query(query, params);
-
         // Add low stock flag
-        const itemsWithFlags = items.map(item => ({
-            ...item,
-            low_stock: item.quantity <= item.min_level
-        }));
-
-        res.json({
-            success: true,
-            data: itemsWithFlags,
-            count: items.length
+        const page = await fetchPage(inventoryQuery(req.query), options, {
+            map: item => ({ ...item, low_stock: item.quantity <= item.min_level })
         });
+
+        sendPage(req, res, page, options);
     } catch (error) {
         console.error('Get inventory error:', error);
         res.status(500).json({
@@ -130,18 +132,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
         // Check for low stock and notify Admins/Managers
         if (quantity <= min_level) {
-            const [admins] = await pool.query("SELECT user_id FROM Users WHERE role IN ('Admin', 'Manager') AND status = 'Active'");
-            for (const admin of admins) {
-                // Avoid duplicate low stock notifications for same item today? 
-                // For simplicity, we just send it. A more robust system would check recent notifications.
-                await pool.query(
-                    `INSERT INTO Notifications(user_id, type, message, link)
-                     VALUES(?, 'low_stock', ?, ?)`,
-                    [admin.user_id, `Low Stock Alert: ${name} is down to ${quantity} units (Min: ${min_level})`, `/inventory`]
-                );
-            }
+            await notifyRoles(['Admin', 'Manager'], 'low_stock', `Low Stock Alert: ${name} is down to ${quantity} units (Min: ${min_level})`, '/inventory');
         }
 
+        await emitStockEvents(
+            { item_id: req.params.id, name, category, location, quantity, min_level },
+            { action: 'edited', by: req.user.id }
+        );
+
         await logAction({
             userId: req.user.id,
             action: 'UPDATE_INVENTORY_ITEM',
@@ -234,16 +232,11 @@ router.post('/:id/use', authenticateToken, async (req, res) => {
 
         // Check for low stock and notify
         if (newQuantity <= item.min_level) {
-            const [admins] = await pool.query("SELECT user_id FROM Users WHERE role IN ('Admin', 'Manager') AND status = 'Active'");
-            for (const admin of admins) {
-                await pool.query(
-                    `INSERT INTO Notifications(user_id, type, message, link)
-                     VALUES(?, 'low_stock', ?, ?)`,
-                    [admin.user_id, `Low Stock Alert: ${item.name} used by ${req.user.username}. Remaining: ${newQuantity}`, `/inventory`]
-                );
-            }
+            await notifyRoles(['Admin', 'Manager'], 'low_stock', `Low Stock Alert: ${item.name} used by ${req.user.username}. Remaining: ${newQuantity}`, '/inventory');
         }
 
+        await emitStockEvents({ ...item, quantity: newQuantity }, { action: 'used', quantity_change: -quantity, reason: reason || null, by: req.user.id });
+
         await logAction({
             userId: req.user.id,
             action: 'USE_INVENTORY_ITEM',
@@ -293,16 +286,13 @@ router.post('/issue', authenticateToken, requireRole('Admin', 'Manager'), async
 
         // Check for low stock and notify
         if (newQuantity <= item.min_level) {
-            const [admins] = await pool.query("SELECT user_id FROM Users WHERE role IN ('Admin', 'Manager') AND status = 'Active'");
-            for (const admin of admins) {
-                await pool.query(
-                    `INSERT INTO Notifications(user_id, type, message, link)
-                     VALUES(?, 'low_stock', ?, ?)`,
-                    [admin.user_id, `Low Stock Alert: ${item.name} issued to technician. Remaining: ${newQuantity}`, `/inventory`]
-                );
-            }
+            await notifyRoles(['Admin', 'Manager'], 'low_stock', `Low Stock Alert: ${item.name} issued to technician. Remaining: ${newQuantity}`, '/inventory');
         }
 
+        await emitStockEvents({ ...item, quantity: newQuantity }, {
+            action: 'issued', quantity_change: -quantity, technician_id, by: req.user.id
+        });
+
         await logAction({
             userId: req.user.id,
             action: 'ISSUE_INVENTORY_ITEM',
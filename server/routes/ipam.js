@@ -0,0 +1,456 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { applyComponentChanges } from '../utils/componentChanges.js';
+import {
+    addressProblem, contains, formatIp, loadComponentAddresses, loadSubnets, MAX_LISTED_ADDRESSES,
+    nextFreeAddress, parseCidr, parseIp, subnetUtilization, usableRange
+} from '../utils/ipam.js';
+import { findActiveFreeze } from '../utils/maintenanceWindows.js';
+import { invalidateSearchIndex } from '../utils/searchIndex.js';
+import { emitWebhookEvent } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+// Drops the BigInt fields, which JSON can't carry
+const serializeSubnet = ({ range, reservations, ...subnet }) => ({
+    ...subnet,
+    first_address: formatIp(range.network, range.version),
+    last_address: formatIp(range.last, range.version),
+    reservations: reservations.map(({ start, end, ...reservation }) => reservation)
+});
+
+async function findSubnet(id) {
+    const subnets = await loadSubnets();
+    return { subnet: subnets.find(s => s.subnet_id === Number(id)) || null, subnets };
+}
+
+// Returns an error message for an invalid subnet body, or null
+async function validateSubnet({ name, vlan_id, department_id, gateway }, range, subnets, subnetId = null) {
+    if (!name) return 'Name is required';
+    if (range.error) return range.error;
+
+    const overlapping = subnets.find(s => s.subnet_id !== subnetId && s.range.version === range.version &&
+        s.range.network <= range.last && range.network <= s.range.last);
+    if (overlapping) return `Overlaps ${overlapping.name} (${overlapping.cidr})`;
+
+    if (vlan_id !== undefined && vlan_id !== null && vlan_id !== '' &&
+        (!Number.isInteger(Number(vlan_id)) || vlan_id < 1 || vlan_id > 4094)) {
+        return 'vlan_id must be between 1 and 4094';
+    }
+    if (gateway) {
+        const ip = parseIp(gateway);
+        const [first, last] = usableRange(range);
+        if (!ip || ip.version !== range.version || ip.value < first || ip.value > last) {
+            return `Gateway must be a usable address in ${range.cidr}`;
+        }
+    }
+    if (department_id) {
+        const [rows] = await pool.query('SELECT department_id FROM Departments WHERE department_id = ?', [department_id]);
+        if (rows.length === 0) return 'Department not found';
+    }
+    return null;
+}
+
+// Get subnets with utilization
+router.get('/subnets', authenticateToken, async (req, res) => {
+    try {
+        const { department_id } = req.query;
+        const [subnets, components] = await Promise.all([loadSubnets(), loadComponentAddresses()]);
+
+        const data = subnets
+            .filter(s => !department_id || s.department_id === Number(department_id))
+            .map(s => ({
+                ...serializeSubnet(s),
+                utilization: subnetUtilization(s, components),
+                next_free: nextFreeAddress(s, components)
+            }));
+
+        res.json({ success: true, data, count: data.length });
+    } catch (error) {
+        console.error('Get subnets error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch subnets' });
+    }
+});
+
+// Create subnet
+router.post('/subnets', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { name, cidr, vlan_id, department_id, gateway, description } = req.body;
+        const range = parseCidr(cidr);
+        const subnets = await loadSubnets();
+
+        const validationError = await validateSubnet(req.body, range, subnets);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO Subnets (name, cidr, ip_version, prefix_length, vlan_id, department_id, gateway, description, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, range.cidr, range.version, range.prefix, vlan_id || null, department_id || null,
+                gateway ? formatIp(parseIp(gateway).value, range.version) : null, description || null, req.user.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_SUBNET',
+            entityType: 'Subnet',
+            entityId: result.insertId,
+            details: { name, cidr: range.cidr, vlan_id, department_id },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Subnet created successfully',
+            data: { id: result.insertId, cidr: range.cidr }
+        });
+    } catch (error) {
+        console.error('Create subnet error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create subnet' });
+    }
+});
+
+// Update subnet (the CIDR itself can't change; create a new subnet instead)
+router.put('/subnets/:id', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { subnet, subnets } = await findSubnet(req.params.id);
+        if (!subnet) {
+            return res.status(404).json({ success: false, message: 'Subnet not found' });
+        }
+
+        const { name = subnet.name, vlan_id, department_id, gateway, description } = req.body;
+        const updated = {
+            name,
+            vlan_id: vlan_id === undefined ? subnet.vlan_id : vlan_id || null,
+            department_id: department_id === undefined ? subnet.department_id : department_id || null,
+            gateway: gateway === undefined ? subnet.gateway : gateway || null,
+            description: description === undefined ? subnet.description : description || null
+        };
+
+        const validationError = await validateSubnet(updated, subnet.range, subnets, subnet.subnet_id);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+        if (updated.gateway) updated.gateway = formatIp(parseIp(updated.gateway).value, subnet.range.version);
+
+        await pool.query('UPDATE Subnets SET ? WHERE subnet_id = ?', [updated, subnet.subnet_id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_SUBNET',
+            entityType: 'Subnet',
+            entityId: subnet.subnet_id,
+            details: { cidr: subnet.cidr, ...updated },
+            req
+        });
+
+        res.json({ success: true, message: 'Subnet updated successfully' });
+    } catch (error) {
+        console.error('Update subnet error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update subnet' });
+    }
+});
+
+// Delete subnet (components keep their addresses)
+router.delete('/subnets/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT name, cidr FROM Subnets WHERE subnet_id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Subnet not found' });
+        }
+
+        await pool.query('DELETE FROM Subnets WHERE subnet_id = ?', [req.params.id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_SUBNET',
+            entityType: 'Subnet',
+            entityId: Number(req.params.id),
+            details: rows[0],
+            req
+        });
+
+        res.json({ success: true, message: 'Subnet deleted successfully' });
+    } catch (error) {
+        console.error('Delete subnet error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete subnet' });
+    }
+});
+
+// Address map of a subnet: one entry per address for small subnets, otherwise just the used ones
+router.get('/subnets/:id/addresses', authenticateToken, async (req, res) => {
+    try {
+        const { subnet } = await findSubnet(req.params.id);
+        if (!subnet) {
+            return res.status(404).json({ success: false, message: 'Subnet not found' });
+        }
+
+        const components = (await loadComponentAddresses()).filter(c => c.ip && contains(subnet.range, c.ip));
+        const byAddress = new Map();
+        for (const c of components) {
+            const key = c.ip.value.toString();
+            byAddress.set(key, [...(byAddress.get(key) || []), { component_id: c.component_id, name: c.name, type: c.type, status: c.status }]);
+        }
+
+        const gateway = parseIp(subnet.gateway);
+        const [first, last] = usableRange(subnet.range);
+        const describe = (value) => {
+            const assigned = byAddress.get(value.toString()) || [];
+            const reservation = subnet.reservations.find(r => value >= r.start && value <= r.end);
+            let state = 'free';
+            if (value < first || value > last) state = value === subnet.range.network ? 'network' : 'broadcast';
+            else if (assigned.length > 0) state = 'used';
+            else if (gateway && gateway.value === value) state = 'gateway';
+            else if (reservation) state = 'reserved';
+
+            return {
+                address: formatIp(value, subnet.range.version),
+                state,
+                components: assigned,
+                reservation_id: reservation ? reservation.reservation_id : null,
+                conflict: assigned.length > 1 || (assigned.length > 0 && (state !== 'used' || Boolean(reservation)))
+            };
+        };
+
+        const complete = subnet.range.size <= BigInt(MAX_LISTED_ADDRESSES);
+        const values = complete
+            ? Array.from({ length: Number(subnet.range.size) }, (_, i) => subnet.range.network + BigInt(i))
+            : [...new Set(components.map(c => c.ip.value))].sort((a, b) => (a < b ? -1 : 1));
+
+        res.json({
+            success: true,
+            data: {
+                subnet: serializeSubnet(subnet),
+                complete,
+                addresses: values.map(describe)
+            }
+        });
+    } catch (error) {
+        console.error('Get subnet addresses error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch subnet addresses' });
+    }
+});
+
+// Next free address in a subnet; a suggestion only, POST .../allocate assigns one
+router.get('/subnets/:id/next-free', authenticateToken, async (req, res) => {
+    try {
+        const { subnet } = await findSubnet(req.params.id);
+        if (!subnet) {
+            return res.status(404).json({ success: false, message: 'Subnet not found' });
+        }
+
+        const address = nextFreeAddress(subnet, await loadComponentAddresses());
+        if (!address) {
+            return res.status(409).json({ success: false, message: `${subnet.cidr} has no free addresses` });
+        }
+        res.json({ success: true, data: { address, subnet_id: subnet.subnet_id, cidr: subnet.cidr } });
+    } catch (error) {
+        console.error('Get next free address error:', error);
+        res.status(500).json({ success: false, message: 'Failed to find a free address' });
+    }
+});
+
+// Give a component the next free address of a subnet. The subnet row is
+// locked while the address is picked and written, so two allocations from the
+// same subnet never get the same address. The address is written as an
+// ordinary component edit, so it is audited and sent as component.updated.
+router.post('/subnets/:id/allocate', authenticateToken, requireRole('Admin', 'Technician'), async (req, res) => {
+    let connection;
+    try {
+        const { component_id } = req.body;
+        if (!component_id) {
+            return res.status(400).json({ success: false, message: 'component_id is required' });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [locked] = await connection.query('SELECT subnet_id FROM Subnets WHERE subnet_id = ? FOR UPDATE', [req.params.id]);
+        const [[component]] = await connection.query(
+            'SELECT component_id, name, ip_address FROM Network_Components WHERE component_id = ? FOR UPDATE',
+            [component_id]
+        );
+        const { subnet } = locked.length > 0 ? await findSubnet(req.params.id) : { subnet: null };
+        if (!subnet || !component) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: subnet ? 'Component not found' : 'Subnet not found' });
+        }
+        // Replacing an address is a controlled change, as in PUT /api/components/:id
+        if (component.ip_address && req.user.role !== 'Admin') {
+            await connection.rollback();
+            return res.status(403).json({ success: false, message: 'Changing ip_address needs an approved change request' });
+        }
+        if (req.user.role !== 'Admin') {
+            const freeze = await findActiveFreeze(component.component_id);
+            if (freeze) {
+                await connection.rollback();
+                return res.status(423).json({
+                    success: false,
+                    message: `Component is under change freeze "${freeze.title}" until ${new Date(freeze.end_time).toLocaleString()}`
+                });
+            }
+        }
+
+        const address = nextFreeAddress(subnet, await loadComponentAddresses(connection));
+        if (!address) {
+            await connection.rollback();
+            return res.status(409).json({ success: false, message: `${subnet.cidr} has no free addresses` });
+        }
+        const changes = await applyComponentChanges(component.component_id, { ip_address: address }, {
+            userId: req.user.id,
+            action: 'ALLOCATE_IP',
+            auditDetails: { subnet_id: subnet.subnet_id, cidr: subnet.cidr },
+            req,
+            db: connection
+        });
+        await connection.commit();
+        // Again after the commit, in case a search rebuilt the index in between
+        invalidateSearchIndex();
+
+        await emitWebhookEvent('component.updated', {
+            component_id: component.component_id, name: component.name, changes, updated_by: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `${address} assigned to ${component.name}`,
+            data: { address, component_id: component.component_id, subnet_id: subnet.subnet_id, cidr: subnet.cidr }
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Allocate address error:', error);
+        res.status(500).json({ success: false, message: 'Failed to allocate an address' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Reserve an address range
+router.post('/subnets/:id/reservations', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { subnet } = await findSubnet(req.params.id);
+        if (!subnet) {
+            return res.status(404).json({ success: false, message: 'Subnet not found' });
+        }
+
+        const { start_address, end_address = start_address, description } = req.body;
+        const start = parseIp(start_address);
+        const end = parseIp(end_address);
+        if (!start || !end || !contains(subnet.range, start) || !contains(subnet.range, end)) {
+            return res.status(400).json({ success: false, message: `Start and end must be addresses in ${subnet.cidr}` });
+        }
+        if (end.value < start.value) {
+            return res.status(400).json({ success: false, message: 'The end address must not come before the start address' });
+        }
+        const overlapping = subnet.reservations.find(r => r.start <= end.value && start.value <= r.end);
+        if (overlapping) {
+            return res.status(400).json({
+                success: false,
+                message: `Overlaps the reservation ${overlapping.start_address} - ${overlapping.end_address}`
+            });
+        }
+
+        const range = [formatIp(start.value, start.version), formatIp(end.value, end.version)];
+        const [result] = await pool.query(
+            'INSERT INTO IP_Reservations (subnet_id, start_address, end_address, description, reserved_by) VALUES (?, ?, ?, ?, ?)',
+            [subnet.subnet_id, ...range, description || null, req.user.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'RESERVE_IP_RANGE',
+            entityType: 'Subnet',
+            entityId: subnet.subnet_id,
+            details: { cidr: subnet.cidr, start_address: range[0], end_address: range[1], description },
+            req
+        });
+
+        res.status(201).json({ success: true, message: 'Address range reserved', data: { id: result.insertId } });
+    } catch (error) {
+        console.error('Create IP reservation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reserve address range' });
+    }
+});
+
+// Release a reserved range
+router.delete('/reservations/:id', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM IP_Reservations WHERE reservation_id = ?', [req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Reservation not found' });
+        }
+
+        await pool.query('DELETE FROM IP_Reservations WHERE reservation_id = ?', [req.params.id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'RELEASE_IP_RANGE',
+            entityType: 'Subnet',
+            entityId: rows[0].subnet_id,
+            details: { start_address: rows[0].start_address, end_address: rows[0].end_address },
+            req
+        });
+
+        res.json({ success: true, message: 'Reservation released' });
+    } catch (error) {
+        console.error('Delete IP reservation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to release reservation' });
+    }
+});
+
+// Address problems across all components
+router.get('/conflicts', authenticateToken, async (req, res) => {
+    try {
+        const [subnets, components] = await Promise.all([loadSubnets(), loadComponentAddresses()]);
+        const conflicts = [];
+        const summary = (c) => ({ component_id: c.component_id, name: c.name, ip_address: c.ip_address });
+
+        // Same address written differently (e.g. before validation existed) still counts as a duplicate
+        const byAddress = new Map();
+        for (const c of components.filter(c => c.ip)) {
+            const key = `${c.ip.version}:${c.ip.value}`;
+            byAddress.set(key, [...(byAddress.get(key) || []), c]);
+        }
+        for (const group of byAddress.values()) {
+            if (group.length > 1) {
+                conflicts.push({
+                    type: 'duplicate',
+                    address: formatIp(group[0].ip.value, group[0].ip.version),
+                    message: `Assigned to ${group.length} components`,
+                    components: group.map(summary)
+                });
+            }
+        }
+
+        for (const c of components) {
+            if (!c.ip) {
+                conflicts.push({ type: 'invalid', address: c.ip_address, message: 'Not a valid IPv4 or IPv6 address', components: [summary(c)] });
+                continue;
+            }
+
+            const address = formatIp(c.ip.value, c.ip.version);
+            const subnet = subnets.find(s => contains(s.range, c.ip));
+            if (!subnet) {
+                if (subnets.length > 0) {
+                    conflicts.push({ type: 'unmanaged', address, message: 'Not in any defined subnet', components: [summary(c)] });
+                }
+                continue;
+            }
+
+            const problem = addressProblem(c.ip, [subnet]);
+            if (problem) {
+                conflicts.push({ type: problem.type, address, subnet: subnet.cidr, message: problem.message, components: [summary(c)] });
+            }
+        }
+
+        res.json({ success: true, data: conflicts, count: conflicts.length });
+    } catch (error) {
+        console.error('Get IP conflicts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to check IP conflicts' });
+    }
+});
+
+export default router;
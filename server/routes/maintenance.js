@@ -1,46 +1,27 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { MAINTENANCE_LIST, maintenanceLogQuery } from '../utils/listQueries.js';
+import { fetchPage, parseListOptions, sendPage } from '../utils/pagination.js';
+import { setComponentStatus } from '../utils/componentStatus.js';
+import { publish } from '../utils/events.js';
+import { invalidateSearchIndex } from '../utils/searchIndex.js';
+import { logAction } from '../utils/auditLogger.js';
+import {
+    canUpload, listAttachments, readUpload, removeStoredFiles, storeAttachments, uploadBody, withCommentAttachments
+} from '../utils/attachments.js';
 
 const router = express.Router();
 
-// Get all maintenance logs
+// Get maintenance logs with filtering, sorting and optional paging
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const { component_id, technician_id } = req.query;
-        const currentUserId = req.user.id;
-        let query = `
-      SELECT ml.*,
-            nc.name as component_name, nc.type as component_type,
-            CONCAT(t.first_name, ' ', t.last_name) as technician_name,
-            (SELECT COUNT(*) FROM Maintenance_Comments mc WHERE mc.log_id = ml.log_id) as comment_count,
-    (SELECT user_id FROM Maintenance_Comments mc WHERE mc.log_id = ml.log_id ORDER BY created_at DESC LIMIT 1) as last_comment_user_id
-      FROM Maintenance_Logs ml
-      LEFT JOIN Network_Components nc ON ml.component_id = nc.component_id
-      LEFT JOIN Users t ON ml.technician_id = t.user_id
-      WHERE 1 = 1
-    `;
-        const params = [];
-
-        if (component_id) {
-            query += ' AND ml.component_id = ?';
-            params.push(component_id);
+        const options = parseListOptions(req.query, MAINTENANCE_LIST);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
 
-        if (technician_id) {
-            query += ' AND ml.technician_id = ?';
-            params.push(technician_id);
-        }
-
-        query += ' ORDER BY ml.log_id ASC';
-
-        const [logs] = await pool.query(query, params);
-
-        res.json({
-            success: true,
-            data: logs,
-            count: logs.length
-        });
+        sendPage(req, res, await fetchPage(maintenanceLogQuery(req.query), options), options);
     } catch (error) {
         console.error('Get maintenance logs error:', error);
         res.status(500).json({
@@ -54,12 +35,16 @@ router.get('/', authenticateToken, async (req, res) => {
 router.post('/', authenticateToken, requireRole('Admin', 'Technician', 'Manager'), async (req, res) => {
     let connection;
     try {
-        const { component_id, action_taken, result, duration_minutes, activity_date, parts_used } = req.body;
+        const { component_id, action_taken, result, duration_minutes, activity_date, parts_used, component_status } = req.body;
 
         if (!component_id || !action_taken) {
             return res.status(400).json({ success: false, message: 'Component ID and action taken are required' });
         }
 
+        if (component_status && !['Active', 'Inactive', 'Maintenance', 'Faulty'].includes(component_status)) {
+            return res.status(400).json({ success: false, message: 'Invalid component status' });
+        }
+
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
@@ -91,6 +76,15 @@ router.post('/', authenticateToken, requireRole('Admin', 'Technician', 'Manager'
 
         await connection.commit();
 
+        // Optionally take the component into or out of Maintenance as part of the log
+        if (component_status) {
+            await setComponentStatus(component_id, component_status, {
+                source: 'maintenance', referenceId: logId, userId: req.user.id
+            });
+        }
+
+        publish('maintenance', { action: 'created', log_id: logId, component_id: Number(component_id) });
+
         res.status(201).json({
             success: true,
             message: 'Maintenance log created successfully',
@@ -113,6 +107,7 @@ router.put('/:id', authenticateToken, requireRole('Admin', 'Manager', 'Technicia
             `UPDATE Maintenance_Logs SET action_taken = ?, result = ?, duration_minutes = ? WHERE log_id = ?`,
             [action_taken, result, duration_minutes, req.params.id]
         );
+        publish('maintenance', { action: 'updated', log_id: Number(req.params.id) });
         res.json({ success: true, message: 'Log updated successfully' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -122,14 +117,18 @@ router.put('/:id', authenticateToken, requireRole('Admin', 'Manager', 'Technicia
 // Delete maintenance log (Admin only)
 router.delete('/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
     try {
+        // Attachment rows go with the log; their stored files are removed here
+        const [files] = await pool.query('SELECT storage_key, thumbnail_key FROM Attachments WHERE log_id = ?', [req.params.id]);
         await pool.query('DELETE FROM Maintenance_Logs WHERE log_id = ?', [req.params.id]);
+        await removeStoredFiles(files);
+        publish('maintenance', { action: 'deleted', log_id: Number(req.params.id) });
         res.json({ success: true, message: 'Log deleted successfully' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Get comments for a maintenance log
+// Get comments for a maintenance log, each with its attachments
 router.get('/:id/comments', authenticateToken, async (req, res) => {
     try {
         const [comments] = await pool.query(`
@@ -139,10 +138,11 @@ router.get('/:id/comments', authenticateToken, async (req, res) => {
             WHERE mc.log_id = ?
     ORDER BY mc.created_at ASC
         `, [req.params.id]);
+        const attachments = await listAttachments({ logId: req.params.id }, req.user);
 
         res.json({
             success: true,
-            data: comments,
+            data: withCommentAttachments(comments, attachments, 'maintenance_comment_id'),
             count: comments.length
         });
     } catch (error) {
@@ -154,14 +154,19 @@ router.get('/:id/comments', authenticateToken, async (req, res) => {
     }
 });
 
-// Add comment to a maintenance log
-router.post('/:id/comments', authenticateToken, async (req, res) => {
+// Add comment to a maintenance log; sent as multipart/form-data it can carry attachments
+router.post('/:id/comments', authenticateToken, uploadBody, async (req, res) => {
+    let connection;
     try {
-        const { comment } = req.body;
+        const upload = readUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ success: false, message: upload.error });
+        }
+        const comment = String(upload.fields.comment || '').trim();
         const logId = req.params.id;
         const userId = req.user.id;
 
-        if (!comment || comment.trim() === '') {
+        if (!comment && upload.uploads.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Comment text is required'
@@ -176,11 +181,28 @@ router.post('/:id/comments', authenticateToken, async (req, res) => {
                 message: 'Maintenance log not found'
             });
         }
+        if (upload.uploads.length && !canUpload(req.user, { log: log[0] })) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only Admins, Managers and Technicians can attach files to maintenance logs'
+            });
+        }
 
-        const [result] = await pool.query(
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        const [result] = await connection.query(
             'INSERT INTO Maintenance_Comments (log_id, user_id, comment) VALUES (?, ?, ?)',
-            [logId, userId, comment.trim()]
+            [logId, userId, comment]
         );
+        const { ids: attachmentIds, stored } = await storeAttachments(upload.uploads,
+            { log_id: Number(logId), maintenance_comment_id: result.insertId }, userId, connection);
+        try {
+            await connection.commit();
+        } catch (error) {
+            await removeStoredFiles(stored);
+            throw error;
+        }
+        invalidateSearchIndex();
 
         // Get the inserted comment with user info
         const [newComment] = await pool.query(`
@@ -190,17 +212,88 @@ router.post('/:id/comments', authenticateToken, async (req, res) => {
             WHERE mc.comment_id = ?
     `, [result.insertId]);
 
+        if (attachmentIds.length) {
+            // Listeners see what everyone may see; each client reloads for its own view
+            publish('comment', { entity: 'maintenance', log_id: Number(logId) });
+            await logAction({
+                userId,
+                action: 'UPLOAD_ATTACHMENT',
+                entityType: 'Maintenance_Log',
+                entityId: Number(logId),
+                details: {
+                    comment_id: result.insertId,
+                    attachment_ids: attachmentIds,
+                    files: upload.uploads.map(u => ({ name: u.name, sha256: u.sha256 }))
+                },
+                req
+            });
+        } else {
+            publish('comment', { entity: 'maintenance', log_id: Number(logId), comment: { ...newComment[0], attachments: [] } });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Comment added successfully',
-            data: newComment[0]
+            data: { ...newComment[0], attachments: await listAttachments({ ids: attachmentIds }, req.user) }
         });
     } catch (error) {
+        if (connection) await connection.rollback();
         console.error('Add maintenance comment error:', error);
         res.status(500).json({
             success: false,
             message: 'Failed to add comment'
         });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Files attached to a maintenance log and its comments
+router.get('/:id/attachments', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const attachments = await listAttachments({ logId: req.params.id }, req.user);
+        res.json({ success: true, data: attachments, count: attachments.length });
+    } catch (error) {
+        console.error('Get maintenance attachments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch attachments' });
+    }
+});
+
+// Attach files to a maintenance log (multipart/form-data `file` parts)
+router.post('/:id/attachments', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), uploadBody, async (req, res) => {
+    try {
+        const upload = readUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ success: false, message: upload.error });
+        }
+        if (upload.uploads.length === 0) {
+            return res.status(400).json({ success: false, message: 'Choose at least one file to attach' });
+        }
+
+        const [[log]] = await pool.query('SELECT log_id FROM Maintenance_Logs WHERE log_id = ?', [req.params.id]);
+        if (!log) {
+            return res.status(404).json({ success: false, message: 'Maintenance log not found' });
+        }
+
+        const { ids } = await storeAttachments(upload.uploads, { log_id: log.log_id }, req.user.id);
+        publish('comment', { entity: 'maintenance', log_id: log.log_id });
+        await logAction({
+            userId: req.user.id,
+            action: 'UPLOAD_ATTACHMENT',
+            entityType: 'Maintenance_Log',
+            entityId: log.log_id,
+            details: { attachment_ids: ids, files: upload.uploads.map(u => ({ name: u.name, sha256: u.sha256 })) },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${ids.length} file${ids.length === 1 ? '' : 's'} attached`,
+            data: await listAttachments({ ids }, req.user)
+        });
+    } catch (error) {
+        console.error('Upload maintenance attachments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to attach files' });
     }
 });
 
@@ -0,0 +1,436 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { describeRecurrence, firstOccurrence, nextOccurrence, validateRecurrence } from '../utils/recurrence.js';
+import { runMaintenanceScheduler, workOrderRef } from '../jobs/maintenanceScheduler.js';
+
+// Preventive maintenance plans and the work orders generated from them.
+// Mounted under /api/maintenance alongside the maintenance log routes.
+const router = express.Router();
+
+const COMPONENT_TYPES = ['Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point'];
+const RESULTS = ['Success', 'Pending', 'Failed'];
+
+const today = () => {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const parseChecklist = (value) => {
+    try {
+        return JSON.parse(value || '[]');
+    } catch {
+        return [];
+    }
+};
+
+// Returns an error message for an invalid plan body, or null
+async function validatePlan(body) {
+    const { name, component_id, component_type, start_date, lead_days, checklist, assigned_technician_id, estimated_minutes } = body;
+
+    if (!name) return 'Plan name is required';
+    if (Boolean(component_id) === Boolean(component_type)) {
+        return 'Provide either component_id or component_type';
+    }
+    if (component_type && !COMPONENT_TYPES.includes(component_type)) {
+        return `component_type must be one of ${COMPONENT_TYPES.join(', ')}`;
+    }
+
+    const recurrenceError = validateRecurrence(body);
+    if (recurrenceError) return recurrenceError;
+
+    if (start_date && (!/^\d{4}-\d{2}-\d{2}$/.test(start_date) || isNaN(new Date(start_date)))) {
+        return 'start_date must be a date in YYYY-MM-DD format';
+    }
+    if (lead_days !== undefined && (!Number.isInteger(Number(lead_days)) || lead_days < 0 || lead_days > 365)) {
+        return 'lead_days must be between 0 and 365';
+    }
+    if (estimated_minutes && (!Number.isInteger(Number(estimated_minutes)) || estimated_minutes <= 0)) {
+        return 'estimated_minutes must be a positive whole number';
+    }
+    if (checklist !== undefined && (!Array.isArray(checklist) || checklist.some(item => typeof item !== 'string' || !item.trim()))) {
+        return 'checklist must be a list of non-empty items';
+    }
+
+    if (component_id) {
+        const [components] = await pool.query('SELECT component_id FROM Network_Components WHERE component_id = ?', [component_id]);
+        if (components.length === 0) return 'Component not found';
+    }
+    if (assigned_technician_id) {
+        const [technicians] = await pool.query("SELECT user_id FROM Users WHERE user_id = ? AND role = 'Technician'", [assigned_technician_id]);
+        if (technicians.length === 0) return 'Technician not found';
+    }
+    return null;
+}
+
+// Normalises a validated body into column values
+function planValues(body) {
+    const startDate = body.start_date || today();
+    const rule = {
+        recurrence_type: body.recurrence_type,
+        recurrence_interval: Number(body.recurrence_interval) || 1,
+        weekday: body.weekday ?? null,
+        week_of_month: body.week_of_month ?? null,
+        day_of_month: body.day_of_month ?? null
+    };
+    // Never schedule the first occurrence in the past
+    const from = startDate > today() ? startDate : today();
+
+    return {
+        name: body.name,
+        description: body.description || null,
+        component_id: body.component_id || null,
+        component_type: body.component_id ? null : body.component_type,
+        ...rule,
+        start_date: startDate,
+        next_due_date: firstOccurrence(rule, from),
+        lead_days: Number(body.lead_days) || 0,
+        checklist: JSON.stringify((body.checklist || []).map(item => item.trim())),
+        estimated_minutes: body.estimated_minutes || null,
+        assigned_technician_id: body.assigned_technician_id || null,
+        is_active: body.is_active ?? true
+    };
+}
+
+// Get all maintenance plans
+router.get('/plans', authenticateToken, async (req, res) => {
+    try {
+        const [plans] = await pool.query(`
+            SELECT mp.*, DATE_FORMAT(mp.next_due_date, '%Y-%m-%d') as next_due_date,
+                   DATE_FORMAT(mp.start_date, '%Y-%m-%d') as start_date,
+                   nc.name as component_name,
+                   CONCAT(t.first_name, ' ', t.last_name) as technician_name,
+                   (SELECT COUNT(*) FROM Work_Orders wo WHERE wo.plan_id = mp.plan_id AND wo.status IN ('Open', 'In Progress')) as open_work_orders
+            FROM Maintenance_Plans mp
+            LEFT JOIN Network_Components nc ON mp.component_id = nc.component_id
+            LEFT JOIN Users t ON mp.assigned_technician_id = t.user_id
+            ORDER BY mp.is_active DESC, mp.next_due_date ASC
+        `);
+
+        res.json({
+            success: true,
+            data: plans.map(plan => ({
+                ...plan,
+                checklist: parseChecklist(plan.checklist),
+                recurrence_description: describeRecurrence(plan)
+            })),
+            count: plans.length
+        });
+    } catch (error) {
+        console.error('Get maintenance plans error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch maintenance plans' });
+    }
+});
+
+// Preview the next occurrences of a plan
+router.get('/plans/:id/preview', authenticateToken, async (req, res) => {
+    try {
+        const [plans] = await pool.query(
+            "SELECT *, DATE_FORMAT(next_due_date, '%Y-%m-%d') as next_due FROM Maintenance_Plans WHERE plan_id = ?",
+            [req.params.id]
+        );
+        if (plans.length === 0) {
+            return res.status(404).json({ success: false, message: 'Maintenance plan not found' });
+        }
+
+        const count = Math.min(Number(req.query.count) || 5, 24);
+        const dates = [plans[0].next_due];
+        while (dates.length < count) dates.push(nextOccurrence(plans[0], dates[dates.length - 1]));
+
+        res.json({ success: true, data: dates });
+    } catch (error) {
+        console.error('Preview maintenance plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview maintenance plan' });
+    }
+});
+
+// Create maintenance plan
+router.post('/plans', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const validationError = await validatePlan(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const values = planValues(req.body);
+        const [result] = await pool.query(
+            'INSERT INTO Maintenance_Plans SET ?',
+            [{ ...values, created_by: req.user.id }]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_MAINTENANCE_PLAN',
+            entityType: 'Maintenance_Plan',
+            entityId: result.insertId,
+            details: { name: values.name, recurrence: describeRecurrence(values), next_due_date: values.next_due_date },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance plan created successfully',
+            data: { id: result.insertId, next_due_date: values.next_due_date }
+        });
+    } catch (error) {
+        console.error('Create maintenance plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create maintenance plan' });
+    }
+});
+
+// Update maintenance plan (full replacement; the next due date is recalculated)
+router.put('/plans/:id', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const validationError = await validatePlan(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const values = planValues(req.body);
+        const [result] = await pool.query('UPDATE Maintenance_Plans SET ? WHERE plan_id = ?', [values, req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Maintenance plan not found' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_MAINTENANCE_PLAN',
+            entityType: 'Maintenance_Plan',
+            entityId: req.params.id,
+            details: { name: values.name, recurrence: describeRecurrence(values), next_due_date: values.next_due_date, is_active: values.is_active },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'Maintenance plan updated successfully',
+            data: { next_due_date: values.next_due_date }
+        });
+    } catch (error) {
+        console.error('Update maintenance plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update maintenance plan' });
+    }
+});
+
+// Delete maintenance plan (its work orders go with it; completed ones remain in the maintenance log)
+router.delete('/plans/:id', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM Maintenance_Plans WHERE plan_id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'Maintenance plan not found' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_MAINTENANCE_PLAN',
+            entityType: 'Maintenance_Plan',
+            entityId: req.params.id,
+            details: {},
+            req
+        });
+
+        res.json({ success: true, message: 'Maintenance plan deleted successfully' });
+    } catch (error) {
+        console.error('Delete maintenance plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete maintenance plan' });
+    }
+});
+
+// Run the scheduler now instead of waiting for the next tick
+router.post('/scheduler/run', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const summary = await runMaintenanceScheduler();
+        res.json({
+            success: true,
+            message: `${summary.generated} work order(s) created, ${summary.overdue_notified} overdue reminder(s) sent`,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Run maintenance scheduler error:', error);
+        res.status(500).json({ success: false, message: 'Failed to run maintenance scheduler' });
+    }
+});
+
+// Get work orders. Technicians see their own unless they ask for all.
+router.get('/work-orders', authenticateToken, async (req, res) => {
+    try {
+        const { status, plan_id, mine } = req.query;
+        let query = `
+            SELECT wo.*, DATE_FORMAT(wo.due_date, '%Y-%m-%d') as due_date,
+                   mp.name as plan_name, mp.estimated_minutes,
+                   nc.name as component_name, nc.type as component_type, nc.location as component_location,
+                   CONCAT(t.first_name, ' ', t.last_name) as technician_name,
+                   (wo.status IN ('Open', 'In Progress') AND wo.due_date < CURDATE()) as is_overdue
+            FROM Work_Orders wo
+            JOIN Maintenance_Plans mp ON wo.plan_id = mp.plan_id
+            JOIN Network_Components nc ON wo.component_id = nc.component_id
+            LEFT JOIN Users t ON wo.assigned_to = t.user_id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            query += ' AND wo.status = ?';
+            params.push(status);
+        }
+        if (plan_id) {
+            query += ' AND wo.plan_id = ?';
+            params.push(plan_id);
+        }
+        if (mine === 'true') {
+            query += ' AND wo.assigned_to = ?';
+            params.push(req.user.id);
+        }
+
+        query += " ORDER BY FIELD(wo.status, 'In Progress', 'Open', 'Completed', 'Skipped'), wo.due_date ASC";
+
+        const [orders] = await pool.query(query, params);
+
+        res.json({
+            success: true,
+            data: orders.map(order => ({
+                ...order,
+                is_overdue: Boolean(order.is_overdue),
+                checklist: parseChecklist(order.checklist)
+            })),
+            count: orders.length
+        });
+    } catch (error) {
+        console.error('Get work orders error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch work orders' });
+    }
+});
+
+// Loads a work order and checks the user may work on it
+async function loadWorkOrder(req, res) {
+    const [orders] = await pool.query(
+        `SELECT wo.*, mp.name as plan_name FROM Work_Orders wo
+         JOIN Maintenance_Plans mp ON wo.plan_id = mp.plan_id
+         WHERE wo.work_order_id = ?`,
+        [req.params.id]
+    );
+    if (orders.length === 0) {
+        res.status(404).json({ success: false, message: 'Work order not found' });
+        return null;
+    }
+    const order = orders[0];
+    if (req.user.role === 'Technician' && order.assigned_to && order.assigned_to !== req.user.id) {
+        res.status(403).json({ success: false, message: 'This work order is assigned to another technician' });
+        return null;
+    }
+    if (order.status === 'Completed') {
+        res.status(400).json({ success: false, message: 'Work order is already completed' });
+        return null;
+    }
+    return order;
+}
+
+// Update a work order: reassign, start, skip, or save checklist progress
+router.put('/work-orders/:id', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const { assigned_to, status, checklist, notes } = req.body;
+
+        if (status && !['Open', 'In Progress', 'Skipped'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Use the complete action to finish a work order' });
+        }
+        if ('assigned_to' in req.body && req.user.role === 'Technician') {
+            return res.status(403).json({ success: false, message: 'Only Admins and Managers can reassign work orders' });
+        }
+
+        const order = await loadWorkOrder(req, res);
+        if (!order) return;
+
+        await pool.query(
+            `UPDATE Work_Orders SET
+             assigned_to = IF(?, ?, assigned_to),
+             status = COALESCE(?, status),
+             checklist = COALESCE(?, checklist),
+             notes = COALESCE(?, notes)
+             WHERE work_order_id = ?`,
+            ['assigned_to' in req.body, assigned_to || null, status,
+                checklist ? JSON.stringify(checklist) : null, notes, req.params.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_WORK_ORDER',
+            entityType: 'Work_Order',
+            entityId: req.params.id,
+            details: { assigned_to, status },
+            req
+        });
+
+        res.json({ success: true, message: 'Work order updated successfully' });
+    } catch (error) {
+        console.error('Update work order error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update work order' });
+    }
+});
+
+// Complete a work order, recording the work in Maintenance_Logs
+router.post('/work-orders/:id/complete', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    let connection;
+    try {
+        const { checklist, notes, result = 'Success', duration_minutes } = req.body;
+
+        if (!RESULTS.includes(result)) {
+            return res.status(400).json({ success: false, message: `result must be one of ${RESULTS.join(', ')}` });
+        }
+
+        const order = await loadWorkOrder(req, res);
+        if (!order) return;
+
+        const items = checklist || parseChecklist(order.checklist);
+        const done = items.filter(i => i.done).length;
+        const summary = [
+            `Preventive maintenance (${workOrderRef(order.work_order_id)}): ${order.plan_name}`,
+            items.length ? `Checklist ${done}/${items.length} done${done < items.length ? `; not done: ${items.filter(i => !i.done).map(i => i.item).join(', ')}` : ''}` : null,
+            notes || order.notes
+        ].filter(Boolean).join('. ');
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [log] = await connection.query(
+            `INSERT INTO Maintenance_Logs (component_id, technician_id, action_taken, result, duration_minutes, type)
+             VALUES (?, ?, ?, ?, ?, 'preventive')`,
+            [order.component_id, req.user.id, summary, result, duration_minutes || null]
+        );
+
+        await connection.query(
+            `UPDATE Work_Orders SET status = 'Completed', checklist = ?, notes = COALESCE(?, notes),
+             completed_at = NOW(), completed_by = ?, maintenance_log_id = ?
+             WHERE work_order_id = ?`,
+            [JSON.stringify(items), notes, req.user.id, log.insertId, order.work_order_id]
+        );
+
+        await connection.commit();
+
+        await logAction({
+            userId: req.user.id,
+            action: 'COMPLETE_WORK_ORDER',
+            entityType: 'Work_Order',
+            entityId: order.work_order_id,
+            details: { maintenance_log_id: log.insertId, result, checklist_done: done, checklist_total: items.length },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'Work order completed and logged',
+            data: { maintenance_log_id: log.insertId }
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Complete work order error:', error);
+        res.status(500).json({ success: false, message: 'Failed to complete work order' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+export default router;
@@ -0,0 +1,270 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { notifyRoles, notifyUser } from '../utils/notify.js';
+import { windowComponents } from '../utils/maintenanceWindows.js';
+import { closeWindow, runMaintenanceWindowCycle } from '../jobs/maintenanceWindows.js';
+
+const router = express.Router();
+
+const WINDOW_TYPES = ['Maintenance', 'Change Freeze'];
+const LINK = '/maintenance?tab=windows';
+
+// Returns an error message for an invalid window body, or null
+async function validateWindow({ title, window_type, component_id, department_id, start_time, end_time }) {
+    if (!title || !start_time || !end_time) return 'Title, start time and end time are required';
+    if (window_type && !WINDOW_TYPES.includes(window_type)) {
+        return `window_type must be one of ${WINDOW_TYPES.join(', ')}`;
+    }
+    if (Boolean(component_id) === Boolean(department_id)) {
+        return 'Provide either component_id or department_id';
+    }
+
+    const start = new Date(start_time);
+    const end = new Date(end_time);
+    if (isNaN(start) || isNaN(end)) return 'start_time and end_time must be valid dates';
+    if (end <= start) return 'end_time must be after start_time';
+    if (end <= new Date()) return 'The window has already ended';
+
+    if (component_id) {
+        const [rows] = await pool.query('SELECT component_id FROM Network_Components WHERE component_id = ?', [component_id]);
+        if (rows.length === 0) return 'Component not found';
+    } else {
+        const [rows] = await pool.query('SELECT department_id FROM Departments WHERE department_id = ?', [department_id]);
+        if (rows.length === 0) return 'Department not found';
+    }
+    return null;
+}
+
+async function loadWindow(id) {
+    const [rows] = await pool.query('SELECT * FROM Maintenance_Windows WHERE window_id = ?', [id]);
+    return rows[0] || null;
+}
+
+const canManage = (user, window) =>
+    user.role === 'Admin' || user.role === 'Manager' || window.requested_by === user.id;
+
+// Get maintenance windows (upcoming and running first)
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { status, component_id, department_id } = req.query;
+        let query = `
+            SELECT mw.*,
+                   nc.name as component_name,
+                   d.name as department_name,
+                   CONCAT(r.first_name, ' ', r.last_name) as requested_by_name,
+                   CONCAT(a.first_name, ' ', a.last_name) as approved_by_name,
+                   (SELECT COUNT(*) FROM Maintenance_Window_Components mwc WHERE mwc.window_id = mw.window_id) as components_moved
+            FROM Maintenance_Windows mw
+            LEFT JOIN Network_Components nc ON mw.component_id = nc.component_id
+            LEFT JOIN Departments d ON mw.department_id = d.department_id
+            LEFT JOIN Users r ON mw.requested_by = r.user_id
+            LEFT JOIN Users a ON mw.approved_by = a.user_id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (status) {
+            query += ' AND mw.status = ?';
+            params.push(status);
+        }
+        if (component_id) {
+            query += ' AND (mw.component_id = ? OR mw.department_id = (SELECT department_id FROM Network_Components WHERE component_id = ?))';
+            params.push(component_id, component_id);
+        }
+        if (department_id) {
+            query += ' AND mw.department_id = ?';
+            params.push(department_id);
+        }
+
+        query += " ORDER BY FIELD(mw.status, 'Active', 'Pending', 'Approved', 'Completed', 'Rejected', 'Cancelled'), mw.start_time DESC";
+
+        const [windows] = await pool.query(query, params);
+        res.json({ success: true, data: windows, count: windows.length });
+    } catch (error) {
+        console.error('Get maintenance windows error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch maintenance windows' });
+    }
+});
+
+// Components a window covers
+router.get('/:id/components', authenticateToken, async (req, res) => {
+    try {
+        const window = await loadWindow(req.params.id);
+        if (!window) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+        res.json({ success: true, data: await windowComponents(window) });
+    } catch (error) {
+        console.error('Get maintenance window components error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch window components' });
+    }
+});
+
+// Request a maintenance window; it takes effect once approved
+router.post('/', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const validationError = await validateWindow(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const { title, description, window_type = 'Maintenance', component_id, department_id, start_time, end_time } = req.body;
+        const [result] = await pool.query(
+            `INSERT INTO Maintenance_Windows (title, description, window_type, component_id, department_id, start_time, end_time, requested_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [title, description || null, window_type, component_id || null, department_id || null, start_time, end_time, req.user.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'REQUEST_MAINTENANCE_WINDOW',
+            entityType: 'Maintenance_Window',
+            entityId: result.insertId,
+            details: { title, window_type, component_id, department_id, start_time, end_time },
+            req
+        });
+
+        await notifyRoles(['Admin', 'Manager'], 'system',
+            `🛠️ ${window_type} window "${title}" needs approval`, LINK, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance window requested; it needs approval before it takes effect',
+            data: { id: result.insertId }
+        });
+    } catch (error) {
+        console.error('Create maintenance window error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create maintenance window' });
+    }
+});
+
+// Update a window that has not started. Changing an approved window sends it back for approval.
+router.put('/:id', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const window = await loadWindow(req.params.id);
+        if (!window) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+        if (!canManage(req.user, window)) {
+            return res.status(403).json({ success: false, message: 'Only the requester, Admins and Managers can change this window' });
+        }
+        if (!['Pending', 'Approved'].includes(window.status)) {
+            return res.status(400).json({ success: false, message: `A ${window.status.toLowerCase()} window cannot be changed` });
+        }
+
+        const validationError = await validateWindow(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const { title, description, window_type = 'Maintenance', component_id, department_id, start_time, end_time } = req.body;
+        await pool.query(
+            `UPDATE Maintenance_Windows SET title = ?, description = ?, window_type = ?, component_id = ?, department_id = ?,
+             start_time = ?, end_time = ?, status = 'Pending', approved_by = NULL, approved_at = NULL
+             WHERE window_id = ?`,
+            [title, description || null, window_type, component_id || null, department_id || null, start_time, end_time, req.params.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_MAINTENANCE_WINDOW',
+            entityType: 'Maintenance_Window',
+            entityId: req.params.id,
+            details: { title, window_type, start_time, end_time, previous_status: window.status },
+            req
+        });
+
+        res.json({ success: true, message: 'Maintenance window updated; it needs approval again' });
+    } catch (error) {
+        console.error('Update maintenance window error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update maintenance window' });
+    }
+});
+
+// Approve or reject a pending window
+router.post('/:id/:decision(approve|reject)', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const approve = req.params.decision === 'approve';
+        const window = await loadWindow(req.params.id);
+        if (!window) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+        if (window.status !== 'Pending') {
+            return res.status(400).json({ success: false, message: 'Only pending windows can be reviewed' });
+        }
+
+        await pool.query(
+            `UPDATE Maintenance_Windows SET status = ?, approved_by = ?, approved_at = NOW(), review_note = ?
+             WHERE window_id = ? AND status = 'Pending'`,
+            [approve ? 'Approved' : 'Rejected', req.user.id, req.body.note || null, req.params.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: approve ? 'APPROVE_MAINTENANCE_WINDOW' : 'REJECT_MAINTENANCE_WINDOW',
+            entityType: 'Maintenance_Window',
+            entityId: req.params.id,
+            details: { title: window.title, note: req.body.note },
+            req
+        });
+
+        if (window.requested_by && window.requested_by !== req.user.id) {
+            await notifyUser(window.requested_by, 'system',
+                `🛠️ Your ${window.window_type.toLowerCase()} window "${window.title}" was ${approve ? 'approved' : 'rejected'}${req.body.note ? `: ${req.body.note}` : ''}`,
+                LINK);
+        }
+
+        // A window approved after its start time takes effect straight away
+        if (approve) await runMaintenanceWindowCycle();
+
+        res.json({ success: true, message: `Maintenance window ${approve ? 'approved' : 'rejected'}` });
+    } catch (error) {
+        console.error('Review maintenance window error:', error);
+        res.status(500).json({ success: false, message: 'Failed to review maintenance window' });
+    }
+});
+
+// Cancel a window. A running window ends now and its components are restored.
+router.post('/:id/cancel', authenticateToken, requireRole('Admin', 'Manager', 'Technician'), async (req, res) => {
+    try {
+        const window = await loadWindow(req.params.id);
+        if (!window) {
+            return res.status(404).json({ success: false, message: 'Maintenance window not found' });
+        }
+        if (!canManage(req.user, window)) {
+            return res.status(403).json({ success: false, message: 'Only the requester, Admins and Managers can cancel this window' });
+        }
+
+        if (window.status === 'Active') {
+            const restored = await closeWindow(window, 'Cancelled', req.user.id);
+            return res.json({
+                success: true,
+                message: `Maintenance window ended early; ${restored} component(s) restored`
+            });
+        }
+
+        if (!['Pending', 'Approved'].includes(window.status)) {
+            return res.status(400).json({ success: false, message: `A ${window.status.toLowerCase()} window cannot be cancelled` });
+        }
+
+        await pool.query("UPDATE Maintenance_Windows SET status = 'Cancelled' WHERE window_id = ?", [req.params.id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CANCEL_MAINTENANCE_WINDOW',
+            entityType: 'Maintenance_Window',
+            entityId: req.params.id,
+            details: { title: window.title, previous_status: window.status },
+            req
+        });
+
+        res.json({ success: true, message: 'Maintenance window cancelled' });
+    } catch (error) {
+        console.error('Cancel maintenance window error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel maintenance window' });
+    }
+});
+
+export default router;
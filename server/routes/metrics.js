@@ -1,9 +1,34 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { getSlaState } from '../utils/sla.js';
+import { computeAvailability } from '../utils/availability.js';
 
 const router = express.Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads ?from=&to= (ISO dates) or ?days= into a window; defaults to the last `defaultDays` days
+function parseWindow(query, defaultDays = 30) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - (Number(query.days) || defaultDays) * DAY_MS);
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from and to must be valid dates' };
+  if (from >= to) return { error: 'from must be before to' };
+  if (to - from > 366 * DAY_MS) return { error: 'Window cannot be longer than 366 days' };
+  return { from, to };
+}
+
+// Overall availability for the last `days`, falling back to the current Active ratio if nothing was in service
+async function currentUptime(stats, days = 1) {
+  const to = new Date();
+  const { overall } = await computeAvailability({ from: new Date(to.getTime() - days * DAY_MS), to });
+  if (overall.availability_percent !== null) return overall.availability_percent;
+  return stats.total > 0 ? parseFloat(((stats.active / stats.total) * 100).toFixed(2)) : 100;
+}
+
 // Get current metrics dashboard
 router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
@@ -49,11 +74,8 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
         AND resolved_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
     `);
 
-    // Calculate uptime percentage
-    const stats = componentStats[0];
-    const uptimePercentage = stats.total > 0
-      ? ((stats.active / stats.total) * 100).toFixed(2)
-      : 100;
+    // Uptime over the last 24 hours from the status timeline
+    const uptimePercentage = await currentUptime(componentStats[0]);
 
     // Technician availability - Note: New Users table doesn't have 'status' column.
     // We will just count total Technicians. Availability feature is deprecated in new schema unless we infer it.
@@ -67,7 +89,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        uptime_percentage: parseFloat(uptimePercentage),
+        uptime_percentage: uptimePercentage,
         components: componentStats[0],
         faults: faultStats[0],
         today: todayFaults[0],
@@ -229,9 +251,7 @@ router.post('/snapshot', authenticateToken, async (req, res) => {
     `);
 
     const stats = componentStats[0];
-    const uptimePercentage = stats.total > 0
-      ? ((stats.active / stats.total) * 100).toFixed(2)
-      : 100;
+    const uptimePercentage = await currentUptime(stats);
 
     await pool.query(`
       INSERT INTO Metrics_Snapshots 
@@ -292,23 +312,50 @@ router.get('/kpi', authenticateToken, async (req, res) => {
       WHERE reported_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
     `, [days]);
 
-    // Component availability (This is a current snapshot, time range applies less here, 
-    // but users might expect "Average availability over X days" which requires snapshots. 
-    // For now, allow it to remain current status or calculate from snapshots if possible.
-    // Component availability (Dynamic Calculation)
-    const [compCountRes] = await pool.query('SELECT COUNT(*) as total FROM Network_Components');
-    const totalComponents = compCountRes[0].total || 1;
+    // Component availability from the status timeline over the same range
+    const now = new Date();
+    const availability = await computeAvailability({ from: new Date(now.getTime() - days * DAY_MS), to: now });
 
-    const [downtimeRes] = await pool.query(`
-      SELECT SUM(response_time_minutes) as total_downtime
-      FROM Faults 
-      WHERE resolved_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    // Average time to first response (assignment, status change or reply)
+    const [firstResponse] = await pool.query(`
+      SELECT AVG(TIMESTAMPDIFF(MINUTE, reported_at, first_response_at)) as avg_minutes
+      FROM Faults
+      WHERE first_response_at IS NOT NULL
+        AND reported_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
     `, [days]);
 
-    const totalDowntime = Number(downtimeRes[0].total_downtime) || 0;
-    const totalPossibleMinutes = days * 24 * 60 * totalComponents;
+    // SLA compliance: only targets that have been met or breached count toward the rate
+    const [slaFaults] = await pool.query(`
+      SELECT f.*, sp.response_minutes, sp.resolution_minutes, sp.at_risk_percent
+      FROM Faults f
+      LEFT JOIN SLA_Policies sp ON f.sla_policy_id = sp.policy_id
+      WHERE (f.response_due_at IS NOT NULL OR f.resolution_due_at IS NOT NULL)
+        AND f.reported_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    `, [days]);
 
-    const availabilityPercent = Math.max(0, ((totalPossibleMinutes - totalDowntime) / totalPossibleMinutes) * 100);
+    const compliance = (results) => {
+      const decided = results.filter(r => r === 'met' || r === 'breached');
+      if (decided.length === 0) return null;
+      return parseFloat(((decided.filter(r => r === 'met').length / decided.length) * 100).toFixed(2));
+    };
+    const slaStates = slaFaults.map(f => ({ priority: f.priority, ...getSlaState(f, now) }));
+
+    const slaSummary = {
+      tracked_faults: slaStates.length,
+      response_compliance_percent: compliance(slaStates.map(s => s.response)),
+      resolution_compliance_percent: compliance(slaStates.map(s => s.resolution)),
+      breached_count: slaStates.filter(s => s.state === 'breached').length,
+      at_risk_count: slaStates.filter(s => s.state === 'at_risk').length,
+      by_priority: ['Critical', 'High', 'Medium', 'Low'].map(priority => {
+        const group = slaStates.filter(s => s.priority === priority);
+        return {
+          priority,
+          tracked_faults: group.length,
+          response_compliance_percent: compliance(group.map(s => s.response)),
+          resolution_compliance_percent: compliance(group.map(s => s.resolution))
+        };
+      })
+    };
 
     // Technician Performance Stats
     const [techPerformance] = await pool.query(`
@@ -330,9 +377,11 @@ router.get('/kpi', authenticateToken, async (req, res) => {
       data: {
         mttr_minutes: Math.round(Number(mttr[0].mttr) || 0),
         fault_frequency_daily: parseFloat((Number(frequency[0].daily_avg) || 0).toFixed(2)),
-        avg_first_response_minutes: 0,
+        avg_first_response_minutes: Math.round(Number(firstResponse[0].avg_minutes) || 0),
         resolution_rate_percent: parseFloat((Number(resolutionRate[0].rate) || 0).toFixed(2)),
-        availability_percent: parseFloat(availabilityPercent.toFixed(2)),
+        availability_percent: availability.overall.availability_percent ?? 100,
+        planned_downtime_minutes: availability.overall.planned_maintenance_minutes,
+        sla: slaSummary,
         technician_performance: techPerformance,
         time_range: time_range
       }
@@ -346,4 +395,73 @@ router.get('/kpi', authenticateToken, async (req, res) => {
   }
 });
 
+// Get availability per component, type and department over a window
+router.get('/availability', authenticateToken, async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, message: window.error });
+    }
+
+    const { component_id, type, department_id } = req.query;
+    const interval = req.query.interval || ((window.to - window.from) <= 62 * DAY_MS ? 'day' : 'week');
+    if (!['day', 'week'].includes(interval)) {
+      return res.status(400).json({ success: false, message: 'interval must be day or week' });
+    }
+
+    const availability = await computeAvailability({
+      ...window,
+      componentId: component_id,
+      type,
+      departmentId: department_id,
+      interval
+    });
+
+    res.json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute availability'
+    });
+  }
+});
+
+// Get the status transitions of one component
+router.get('/availability/components/:id/timeline', authenticateToken, async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, message: window.error });
+    }
+
+    const [transitions] = await pool.query(`
+      SELECT h.*, u.username as changed_by_name
+      FROM Component_Status_History h
+      LEFT JOIN Users u ON h.changed_by = u.user_id
+      WHERE h.component_id = ? AND h.changed_at >= ? AND h.changed_at < ?
+      ORDER BY h.changed_at ASC, h.history_id ASC
+    `, [req.params.id, window.from, window.to]);
+
+    const availability = await computeAvailability({ ...window, componentId: req.params.id });
+
+    res.json({
+      success: true,
+      data: {
+        transitions,
+        summary: availability.by_component[0] || null
+      }
+    });
+  } catch (error) {
+    console.error('Get component timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch component timeline'
+    });
+  }
+});
+
 export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { DEFAULT_PREFERENCES, deliverEmail, getPreferences, NOTIFICATION_TYPES, queueTestEmail } from '../utils/email.js';
+import { emailEnabled } from '../utils/smtp.js';
 
 const router = express.Router();
 
@@ -53,4 +56,168 @@ router.put('/read-all', authenticateToken, async (req, res) => {
     }
 });
 
+// Email preferences of the current user
+router.get('/preferences', authenticateToken, async (req, res) => {
+    try {
+        const { last_digest_at, ...preferences } = await getPreferences(req.user.id);
+        res.json({
+            success: true,
+            data: preferences,
+            types: NOTIFICATION_TYPES,
+            email_available: emailEnabled()
+        });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch notification preferences' });
+    }
+});
+
+router.put('/preferences', authenticateToken, async (req, res) => {
+    try {
+        const current = await getPreferences(req.user.id);
+        const merged = { ...DEFAULT_PREFERENCES, ...current, ...req.body };
+        const isTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+        if (!Array.isArray(merged.email_types) || merged.email_types.some(t => !NOTIFICATION_TYPES.includes(t))) {
+            return res.status(400).json({ success: false, message: `email_types must be a list of ${NOTIFICATION_TYPES.join(', ')}` });
+        }
+        if (!['immediate', 'digest'].includes(merged.delivery)) {
+            return res.status(400).json({ success: false, message: 'delivery must be immediate or digest' });
+        }
+        const digestHour = Number(merged.digest_hour);
+        if (!Number.isInteger(digestHour) || digestHour < 0 || digestHour > 23) {
+            return res.status(400).json({ success: false, message: 'digest_hour must be a whole number from 0 to 23' });
+        }
+        const quietStart = merged.quiet_start || null;
+        const quietEnd = merged.quiet_end || null;
+        if (Boolean(quietStart) !== Boolean(quietEnd)) {
+            return res.status(400).json({ success: false, message: 'Quiet hours need both a start and an end time' });
+        }
+        if ((quietStart && !isTime(quietStart)) || (quietEnd && !isTime(quietEnd))) {
+            return res.status(400).json({ success: false, message: 'Quiet hours must be times in HH:MM format' });
+        }
+
+        const values = {
+            email_enabled: Boolean(merged.email_enabled),
+            email_types: JSON.stringify(merged.email_types),
+            delivery: merged.delivery,
+            digest_hour: digestHour,
+            quiet_start: quietStart,
+            quiet_end: quietEnd
+        };
+        // Switching to digests starts the first digest from now, not from the previous day
+        if (values.delivery === 'digest' && current.delivery !== 'digest') {
+            values.last_digest_at = new Date();
+        }
+        await pool.query(
+            'INSERT INTO Notification_Preferences SET ? ON DUPLICATE KEY UPDATE ?',
+            [{ user_id: req.user.id, ...values }, values]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_NOTIFICATION_PREFERENCES',
+            entityType: 'User',
+            entityId: req.user.id,
+            details: { email_enabled: values.email_enabled, delivery: values.delivery, email_types: merged.email_types },
+            req
+        });
+
+        const { last_digest_at, ...preferences } = await getPreferences(req.user.id);
+        res.json({ success: true, message: 'Notification preferences saved', data: preferences });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save notification preferences' });
+    }
+});
+
+// Sends a test email to the current user straight away
+router.post('/preferences/test', authenticateToken, async (req, res) => {
+    try {
+        if (!emailEnabled()) {
+            return res.status(400).json({ success: false, message: 'Email is not configured on this server' });
+        }
+        const [users] = await pool.query('SELECT user_id, email FROM Users WHERE user_id = ?', [req.user.id]);
+        if (!users[0] || !users[0].email) {
+            return res.status(400).json({ success: false, message: 'Your account has no email address' });
+        }
+
+        const deliveryId = await queueTestEmail(users[0]);
+        const [deliveries] = await pool.query('SELECT * FROM Email_Deliveries WHERE delivery_id = ?', [deliveryId]);
+        const sent = await deliverEmail(deliveries[0]);
+        const [[delivery]] = await pool.query(
+            'SELECT delivery_id, status, attempts, last_error FROM Email_Deliveries WHERE delivery_id = ?',
+            [deliveryId]
+        );
+
+        res.json({
+            success: true,
+            message: sent ? `Test email sent to ${users[0].email}` : `Sending failed (${delivery.last_error}); it will be retried`,
+            data: delivery
+        });
+    } catch (error) {
+        console.error('Send test email error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send test email' });
+    }
+});
+
+// Email delivery log: the current user's emails, or everyone's for Admins with ?all=true
+router.get('/deliveries', authenticateToken, async (req, res) => {
+    try {
+        const all = req.query.all === 'true' && req.user.role === 'Admin';
+        const { status } = req.query;
+        if (status && !['pending', 'sent', 'failed'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'status must be pending, sent or failed' });
+        }
+
+        let sql = `
+            SELECT ed.delivery_id, ed.user_id, ed.notification_id, ed.kind, ed.to_address, ed.subject, ed.status,
+                   ed.attempts, ed.last_error, ed.next_attempt_at, ed.created_at, ed.sent_at,
+                   CONCAT(u.first_name, ' ', u.last_name) as user_name
+            FROM Email_Deliveries ed
+            JOIN Users u ON ed.user_id = u.user_id
+            WHERE 1=1
+        `;
+        const params = [];
+        if (!all) {
+            sql += ' AND ed.user_id = ?';
+            params.push(req.user.id);
+        }
+        if (status) {
+            sql += ' AND ed.status = ?';
+            params.push(status);
+        }
+        sql += ' ORDER BY ed.created_at DESC, ed.delivery_id DESC LIMIT 100';
+
+        const [deliveries] = await pool.query(sql, params);
+        res.json({ success: true, data: deliveries, count: deliveries.length });
+    } catch (error) {
+        console.error('Get email deliveries error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch email deliveries' });
+    }
+});
+
+// Puts a failed email back in the queue (its owner or an Admin)
+router.post('/deliveries/:id/retry', authenticateToken, async (req, res) => {
+    try {
+        const [deliveries] = await pool.query('SELECT * FROM Email_Deliveries WHERE delivery_id = ?', [req.params.id]);
+        const delivery = deliveries[0];
+        if (!delivery || (delivery.user_id !== req.user.id && req.user.role !== 'Admin')) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+        if (delivery.status !== 'failed') {
+            return res.status(400).json({ success: false, message: 'Only failed deliveries can be retried' });
+        }
+
+        await pool.query(
+            "UPDATE Email_Deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW() WHERE delivery_id = ?",
+            [delivery.delivery_id]
+        );
+        res.json({ success: true, message: 'Email queued again' });
+    } catch (error) {
+        console.error('Retry email delivery error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retry delivery' });
+    }
+});
+
 export default router;
@@ -0,0 +1,263 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { DATE_RANGES, FAULT_LIST } from '../utils/listQueries.js';
+import { parseListOptions } from '../utils/pagination.js';
+
+const router = express.Router();
+
+// Lists that can have saved views: the filters a view may hold and the list's sort keys
+const VIEW_RESOURCES = {
+    faults: {
+        list: FAULT_LIST,
+        filters: [
+            'status', 'priority', 'category', 'sla_state', 'component_id', 'department_id',
+            'technician_id', 'reported_by', 'from_date', 'to_date', 'date_range'
+        ]
+    }
+};
+const VISIBILITIES = ['private', 'role', 'department'];
+const ROLES = ['Admin', 'Manager', 'Technician', 'Staff'];
+// Admins and Managers may share with any role or department, others with their own
+const canShareAnywhere = (user) => user.role === 'Admin' || user.role === 'Manager';
+
+const userDepartment = async (userId) => {
+    const [rows] = await pool.query('SELECT department_id FROM Users WHERE user_id = ?', [userId]);
+    return rows[0] ? rows[0].department_id : null;
+};
+
+const loadView = async (id) => {
+    const [rows] = await pool.query(`
+        SELECT sv.*, CONCAT(u.first_name, ' ', u.last_name) as owner_name, d.name as department_name
+        FROM Saved_Views sv
+        LEFT JOIN Users u ON sv.owner_id = u.user_id
+        LEFT JOIN Departments d ON sv.department_id = d.department_id
+        WHERE sv.view_id = ?
+    `, [id]);
+    return rows[0] || null;
+};
+
+const canSee = (view, user, departmentId) =>
+    view.owner_id === user.id ||
+    (view.visibility === 'role' && view.shared_role === user.role) ||
+    (view.visibility === 'department' && departmentId !== null && view.department_id === departmentId);
+
+const canEdit = (view, user) => view.owner_id === user.id || user.role === 'Admin';
+
+const formatView = (view, user) => ({
+    ...view,
+    filters: typeof view.filters === 'string' ? JSON.parse(view.filters) : view.filters,
+    pinned: Boolean(view.pinned),
+    can_edit: canEdit(view, user)
+});
+
+/**
+ * Checks a view body, merged over the existing view on update.
+ *
+ * @returns {Promise<{ values: Object } | { error: string }>} values are ready for INSERT/UPDATE.
+ */
+async function validateView(body, user, existing = null) {
+    const merged = { ...existing, ...body };
+    const name = String(merged.name || '').trim();
+    if (!name) return { error: 'Name is required' };
+    if (name.length > 100) return { error: 'Name cannot be longer than 100 characters' };
+
+    const resource = existing ? existing.resource : (merged.resource || 'faults');
+    const definition = Object.hasOwn(VIEW_RESOURCES, resource) ? VIEW_RESOURCES[resource] : null;
+    if (!definition) return { error: `resource must be one of ${Object.keys(VIEW_RESOURCES).join(', ')}` };
+
+    let raw = merged.filters || {};
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            return { error: 'filters must be an object' };
+        }
+    }
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) return { error: 'filters must be an object' };
+    const filters = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (value === null || value === undefined || value === '') continue;
+        if (!definition.filters.includes(key)) {
+            return { error: `Unknown filter "${key}"; use ${definition.filters.join(', ')}` };
+        }
+        if (typeof value === 'object' || String(value).length > 100) return { error: `Invalid value for ${key}` };
+        filters[key] = String(value);
+    }
+    if (filters.date_range && !Object.hasOwn(DATE_RANGES, filters.date_range)) {
+        return { error: `date_range must be one of ${Object.keys(DATE_RANGES).join(', ')}` };
+    }
+    for (const key of ['from_date', 'to_date']) {
+        if (filters[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) return { error: `${key} must be a date in YYYY-MM-DD format` };
+    }
+    for (const key of ['technician_id', 'reported_by', 'component_id', 'department_id']) {
+        const allowMe = key === 'technician_id' || key === 'reported_by';
+        if (filters[key] && !/^\d+$/.test(filters[key]) && !(allowMe && filters[key] === 'me')) {
+            return { error: `${key} must be an ID${allowMe ? ' or "me"' : ''}` };
+        }
+    }
+
+    const sort = merged.sort ? String(merged.sort) : null;
+    if (sort) {
+        const { error } = parseListOptions({ sort }, definition.list);
+        if (error) return { error };
+    }
+
+    const visibility = merged.visibility || 'private';
+    if (!VISIBILITIES.includes(visibility)) return { error: `visibility must be one of ${VISIBILITIES.join(', ')}` };
+
+    let sharedRole = null;
+    let departmentId = null;
+    if (visibility === 'role') {
+        sharedRole = merged.shared_role || user.role;
+        if (!ROLES.includes(sharedRole)) return { error: `shared_role must be one of ${ROLES.join(', ')}` };
+        if (sharedRole !== user.role && !canShareAnywhere(user)) return { error: 'You can only share views with your own role' };
+    } else if (visibility === 'department') {
+        const own = await userDepartment(user.id);
+        departmentId = merged.department_id ? Number(merged.department_id) : own;
+        if (!departmentId) return { error: 'department_id is required to share with a department' };
+        if (departmentId !== own && !canShareAnywhere(user)) return { error: 'You can only share views with your own department' };
+        const [rows] = await pool.query('SELECT department_id FROM Departments WHERE department_id = ?', [departmentId]);
+        if (rows.length === 0) return { error: 'Department not found' };
+    }
+
+    return {
+        values: {
+            name,
+            resource,
+            filters: JSON.stringify(filters),
+            sort,
+            visibility,
+            shared_role: sharedRole,
+            department_id: departmentId,
+            pinned: Boolean(merged.pinned)
+        }
+    };
+}
+
+// Views the user can use: their own and those shared with their role or department
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { resource = 'faults' } = req.query;
+        const departmentId = await userDepartment(req.user.id);
+        const [views] = await pool.query(`
+            SELECT sv.*, CONCAT(u.first_name, ' ', u.last_name) as owner_name, d.name as department_name
+            FROM Saved_Views sv
+            LEFT JOIN Users u ON sv.owner_id = u.user_id
+            LEFT JOIN Departments d ON sv.department_id = d.department_id
+            WHERE sv.resource = ?
+              AND (sv.owner_id = ?
+                   OR (sv.visibility = 'role' AND sv.shared_role = ?)
+                   OR (sv.visibility = 'department' AND sv.department_id = ?))
+            ORDER BY sv.pinned DESC, sv.name ASC
+        `, [resource, req.user.id, req.user.role, departmentId]);
+
+        res.json({ success: true, data: views.map(v => formatView(v, req.user)) });
+    } catch (error) {
+        console.error('Get saved views error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch saved views' });
+    }
+});
+
+// A single view, e.g. from a shared link
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await loadView(req.params.id);
+        if (!view || !canSee(view, req.user, await userDepartment(req.user.id))) {
+            return res.status(404).json({ success: false, message: 'Saved view not found' });
+        }
+        res.json({ success: true, data: formatView(view, req.user) });
+    } catch (error) {
+        console.error('Get saved view error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch saved view' });
+    }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const result = await validateView(req.body, req.user);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        const [insert] = await pool.query('INSERT INTO Saved_Views SET ?', [{ ...result.values, owner_id: req.user.id }]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_SAVED_VIEW',
+            entityType: 'SavedView',
+            entityId: insert.insertId,
+            details: { name: result.values.name, visibility: result.values.visibility },
+            req
+        });
+
+        res.status(201).json({ success: true, data: formatView(await loadView(insert.insertId), req.user) });
+    } catch (error) {
+        console.error('Create saved view error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save view' });
+    }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await loadView(req.params.id);
+        if (!view || !canSee(view, req.user, await userDepartment(req.user.id))) {
+            return res.status(404).json({ success: false, message: 'Saved view not found' });
+        }
+        if (!canEdit(view, req.user)) {
+            return res.status(403).json({ success: false, message: 'Only the owner of a view can change it' });
+        }
+
+        const result = await validateView(req.body, req.user, view);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        await pool.query('UPDATE Saved_Views SET ? WHERE view_id = ?', [result.values, view.view_id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_SAVED_VIEW',
+            entityType: 'SavedView',
+            entityId: view.view_id,
+            details: { name: result.values.name, visibility: result.values.visibility },
+            req
+        });
+
+        res.json({ success: true, data: formatView(await loadView(view.view_id), req.user) });
+    } catch (error) {
+        console.error('Update saved view error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update view' });
+    }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const view = await loadView(req.params.id);
+        if (!view || !canSee(view, req.user, await userDepartment(req.user.id))) {
+            return res.status(404).json({ success: false, message: 'Saved view not found' });
+        }
+        if (!canEdit(view, req.user)) {
+            return res.status(403).json({ success: false, message: 'Only the owner of a view can delete it' });
+        }
+
+        await pool.query('DELETE FROM Saved_Views WHERE view_id = ?', [view.view_id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_SAVED_VIEW',
+            entityType: 'SavedView',
+            entityId: view.view_id,
+            details: { name: view.name },
+            req
+        });
+
+        res.json({ success: true, message: 'View deleted' });
+    } catch (error) {
+        console.error('Delete saved view error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete view' });
+    }
+});
+
+export default router;
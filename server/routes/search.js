@@ -1,68 +1,47 @@
 import express from 'express';
-import pool from '../database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { MAX_PAGE_SIZE } from '../utils/pagination.js';
+import { search, SEARCH_TYPES } from '../utils/searchIndex.js';
 
 const router = express.Router();
 
-// Global search across faults, components, and technicians
+const SEARCH_PAGE_SIZE = 20;
+
+// Global search across faults, components, maintenance, comments, inventory,
+// incident reports, subnets, technicians and departments.
+// GET /api/search?q=core router status:open ip:192.168.2.*&page=2
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const { q } = req.query;
+        const q = String(req.query.q || '').trim();
+        const types = Object.entries(SEARCH_TYPES)
+            .filter(([, type]) => !type.roles || type.roles.includes(req.user.role))
+            .map(([key, type]) => ({ key, label: type.label }));
 
-        if (!q || q.trim().length < 2) {
+        if (q.length < 2) {
             return res.json({
                 success: true,
-                data: { faults: [], components: [], technicians: [] },
+                data: { results: [], facets: { type: {}, status: {} }, types },
                 message: 'Search query too short'
             });
         }
 
-        const searchTerm = `%${q.trim()}%`;
-
-        // Search faults
-        const [faults] = await pool.query(`
-            SELECT f.fault_id, f.title, f.status, f.priority, 
-                   nc.name as component_name,
-                   'fault' as type
-            FROM Faults f
-            LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
-            WHERE f.title LIKE ? OR f.description LIKE ?
-            ORDER BY f.reported_at DESC
-            LIMIT 5
-        `, [searchTerm, searchTerm]);
-
-        // Search components
-        const [components] = await pool.query(`
-            SELECT component_id, name, type, status, location,
-                   'component' as result_type
-            FROM Network_Components
-            WHERE name LIKE ? OR location LIKE ? OR model_number LIKE ?
-            ORDER BY name ASC
-            LIMIT 5
-        `, [searchTerm, searchTerm, searchTerm]);
+        const page = req.query.page === undefined ? 1 : Number(req.query.page);
+        const limit = req.query.limit === undefined ? SEARCH_PAGE_SIZE : Number(req.query.limit);
+        if (!Number.isInteger(page) || page < 1) {
+            return res.status(400).json({ success: false, message: 'page must be a positive whole number' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return res.status(400).json({ success: false, message: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+        }
 
-        // Search technicians
-        const [technicians] = await pool.query(`
-            SELECT user_id, CONCAT(first_name, ' ', last_name) as name, 
-                   email, phone_number, status,
-                   'technician' as result_type
-            FROM Users
-            WHERE role = 'Technician'
-              AND (first_name LIKE ? OR last_name LIKE ? OR email LIKE ?)
-            ORDER BY first_name ASC
-            LIMIT 5
-        `, [searchTerm, searchTerm, searchTerm]);
+        const { results, total, facets } = await search(q, { role: req.user.role, page, limit });
 
         res.json({
             success: true,
-            data: {
-                faults,
-                components,
-                technicians
-            },
-            total: faults.length + components.length + technicians.length
+            data: { results, facets, types },
+            total,
+            pagination: { page, limit, total, pages: Math.max(1, Math.ceil(total / limit)) }
         });
-
     } catch (error) {
         console.error('Search error:', error);
         res.status(500).json({
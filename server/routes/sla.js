@@ -0,0 +1,190 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+
+const router = express.Router();
+
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+const COMPONENT_TYPES = ['Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point'];
+
+// Returns an error message for invalid policy fields, or null
+function validatePolicy({ priority, component_type, response_minutes, resolution_minutes, at_risk_percent }, partial = false) {
+    if ((!partial || priority !== undefined) && !PRIORITIES.includes(priority)) {
+        return `Priority must be one of ${PRIORITIES.join(', ')}`;
+    }
+    if (component_type && !COMPONENT_TYPES.includes(component_type)) {
+        return `Component type must be one of ${COMPONENT_TYPES.join(', ')}`;
+    }
+    for (const [field, value] of [['response_minutes', response_minutes], ['resolution_minutes', resolution_minutes]]) {
+        if ((!partial || value !== undefined) && (!Number.isInteger(Number(value)) || Number(value) <= 0)) {
+            return `${field} must be a positive whole number of minutes`;
+        }
+    }
+    if (at_risk_percent !== undefined && at_risk_percent !== null &&
+        (!Number.isInteger(Number(at_risk_percent)) || at_risk_percent < 1 || at_risk_percent > 99)) {
+        return 'at_risk_percent must be between 1 and 99';
+    }
+    return null;
+}
+
+// Get all SLA policies
+router.get('/policies', authenticateToken, async (req, res) => {
+    try {
+        const [policies] = await pool.query(`
+            SELECT sp.*, d.name as department_name
+            FROM SLA_Policies sp
+            LEFT JOIN Departments d ON sp.department_id = d.department_id
+            ORDER BY FIELD(sp.priority, 'Critical', 'High', 'Medium', 'Low'), sp.department_id IS NOT NULL, sp.component_type IS NOT NULL, sp.policy_id
+        `);
+
+        res.json({
+            success: true,
+            data: policies,
+            count: policies.length
+        });
+    } catch (error) {
+        console.error('Get SLA policies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SLA policies'
+        });
+    }
+});
+
+// Create SLA policy
+router.post('/policies', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const {
+            name, priority, department_id, component_type,
+            response_minutes, resolution_minutes, at_risk_percent = 80, is_active = true
+        } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Policy name is required' });
+        }
+
+        const validationError = validatePolicy(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const [result] = await pool.query(
+            `INSERT INTO SLA_Policies (name, priority, department_id, component_type, response_minutes, resolution_minutes, at_risk_percent, is_active)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, priority, department_id || null, component_type || null,
+                response_minutes, resolution_minutes, at_risk_percent, is_active]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_SLA_POLICY',
+            entityType: 'SLA_Policy',
+            entityId: result.insertId,
+            details: { name, priority, response_minutes, resolution_minutes },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'SLA policy created successfully',
+            data: { id: result.insertId }
+        });
+    } catch (error) {
+        console.error('Create SLA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create SLA policy'
+        });
+    }
+});
+
+// Update SLA policy. Due dates already computed for existing faults are left as they are.
+router.put('/policies/:id', authenticateToken, requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const {
+            name, priority, department_id, component_type,
+            response_minutes, resolution_minutes, at_risk_percent, is_active
+        } = req.body;
+
+        // Scope fields are only changed when sent, so null can clear them
+        const validationError = validatePolicy(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const [result] = await pool.query(
+            `UPDATE SLA_Policies SET
+             name = COALESCE(?, name),
+             priority = COALESCE(?, priority),
+             department_id = IF(?, ?, department_id),
+             component_type = IF(?, ?, component_type),
+             response_minutes = COALESCE(?, response_minutes),
+             resolution_minutes = COALESCE(?, resolution_minutes),
+             at_risk_percent = COALESCE(?, at_risk_percent),
+             is_active = COALESCE(?, is_active)
+             WHERE policy_id = ?`,
+            [name, priority,
+                'department_id' in req.body, department_id || null,
+                'component_type' in req.body, component_type || null,
+                response_minutes, resolution_minutes, at_risk_percent, is_active, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_SLA_POLICY',
+            entityType: 'SLA_Policy',
+            entityId: req.params.id,
+            details: req.body,
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'SLA policy updated successfully'
+        });
+    } catch (error) {
+        console.error('Update SLA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update SLA policy'
+        });
+    }
+});
+
+// Delete SLA policy (faults using it keep their due dates)
+router.delete('/policies/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [result] = await pool.query('DELETE FROM SLA_Policies WHERE policy_id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_SLA_POLICY',
+            entityType: 'SLA_Policy',
+            entityId: req.params.id,
+            details: {},
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'SLA policy deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete SLA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete SLA policy'
+        });
+    }
+});
+
+export default router;
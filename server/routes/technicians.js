@@ -1,6 +1,8 @@
 import express from 'express';
 import pool from '../database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { TEAM_LIST, teamQuery } from '../utils/listQueries.js';
+import { fetchPage, parseListOptions, sendPage } from '../utils/pagination.js';
 import { logAction } from '../utils/auditLogger.js';
 
 const router = express.Router();
@@ -16,25 +18,12 @@ router.get('/', authenticateToken, async (req, res) => {
         // It DOES NOT have 'status' or 'specialization'.
         // However, the original app used them. I will return basic user info for now.
 
-        let query = `
-      SELECT u.user_id as id, CONCAT(u.first_name, ' ', u.last_name) as name, u.email, u.phone_number as phone, u.role, u.created_at, u.status, u.department_id,
-             d.name as department_name,
-             (SELECT COUNT(*) FROM Faults f WHERE f.assigned_to = u.user_id AND f.status IN ('Open', 'In Progress')) as active_faults
-      FROM Users u
-      LEFT JOIN Departments d ON u.department_id = d.department_id
-      WHERE u.role IN ('Technician', 'Staff', 'Manager')
-    `;
-        const params = [];
-
-        query += ' ORDER BY u.created_at DESC';
-
-        const [technicians] = await pool.query(query, params);
+        const options = parseListOptions(req.query, TEAM_LIST);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
+        }
 
-        res.json({
-            success: true,
-            data: technicians,
-            count: technicians.length
-        });
+        sendPage(req, res, await fetchPage(teamQuery(req.query), options), options);
     } catch (error) {
         console.error('Get technicians error:', error);
         res.status(500).json({
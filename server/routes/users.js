@@ -4,40 +4,20 @@ import bcrypt from 'bcryptjs';
 import pool from '../database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { logAction } from '../utils/auditLogger.js';
+import { USER_LIST, userListQuery } from '../utils/listQueries.js';
+import { fetchPage, parseListOptions, sendPage } from '../utils/pagination.js';
 
 const router = express.Router();
 
 // Get all users (for dropdowns and lists)
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const { role, status } = req.query;
-        let query = `
-            SELECT u.user_id, u.username, u.first_name, u.last_name, u.role, u.email, u.status, u.department_id, d.name as department_name, u.phone_number
-            FROM Users u
-            LEFT JOIN Departments d ON u.department_id = d.department_id
-            WHERE 1=1
-        `;
-        const params = [];
-
-        if (role) {
-            query += ' AND u.role = ?';
-            params.push(role);
-        }
-
-        if (status) {
-            query += ' AND u.status = ?';
-            params.push(status);
+        const options = parseListOptions(req.query, USER_LIST);
+        if (options.error) {
+            return res.status(400).json({ success: false, message: options.error });
         }
 
-        query += ' ORDER BY u.first_name, u.last_name';
-
-        const [users] = await pool.query(query, params);
-
-        res.json({
-            success: true,
-            data: users,
-            count: users.length
-        });
+        sendPage(req, res, await fetchPage(userListQuery(req.query), options), options);
     } catch (error) {
         console.error('Get users error:', error);
         res.status(500).json({
@@ -0,0 +1,267 @@
+import express from 'express';
+import pool from '../database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { logAction } from '../utils/auditLogger.js';
+import { generateSecret, sendTestEvent, WEBHOOK_EVENTS } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+// Secrets are shown in full only when created or rotated
+const maskSecret = (secret) => `${secret.slice(0, 4)}${'•'.repeat(8)}`;
+
+const formatWebhook = (webhook, { showSecret = false } = {}) => ({
+    ...webhook,
+    secret: showSecret ? webhook.secret : maskSecret(webhook.secret),
+    event_types: typeof webhook.event_types === 'string' ? JSON.parse(webhook.event_types) : webhook.event_types,
+    is_active: Boolean(webhook.is_active)
+});
+
+// Returns the error message, or null when the body is valid
+function validateWebhook({ name, url, event_types }) {
+    if (!name || !String(name).trim()) return 'Name is required';
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'url must be a full http:// or https:// address';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be a full http:// or https:// address';
+    if (String(url).length > 500) return 'url cannot be longer than 500 characters';
+    if (!Array.isArray(event_types) || event_types.length === 0) return 'event_types must list at least one event';
+    const unknown = event_types.filter(type => type !== '*' && !WEBHOOK_EVENTS[type]);
+    if (unknown.length > 0) return `Unknown event types: ${unknown.join(', ')}`;
+    return null;
+}
+
+const loadWebhook = async (id) => {
+    const [rows] = await pool.query('SELECT * FROM Webhooks WHERE webhook_id = ?', [id]);
+    return rows[0] || null;
+};
+
+// Event types that can be subscribed to
+router.get('/events', authenticateToken, requireRole('Admin'), (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description }))
+    });
+});
+
+// Webhooks with their latest delivery results
+router.get('/', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [webhooks] = await pool.query(`
+            SELECT w.*,
+                   SUM(wd.status = 'delivered') as delivered_count,
+                   SUM(wd.status = 'pending') as pending_count,
+                   SUM(wd.status = 'failed') as failed_count,
+                   MAX(wd.delivered_at) as last_delivered_at
+            FROM Webhooks w
+            LEFT JOIN Webhook_Deliveries wd ON wd.webhook_id = w.webhook_id
+            GROUP BY w.webhook_id
+            ORDER BY w.name ASC
+        `);
+        const data = webhooks.map(w => ({
+            ...formatWebhook(w),
+            delivered_count: Number(w.delivered_count) || 0,
+            pending_count: Number(w.pending_count) || 0,
+            failed_count: Number(w.failed_count) || 0
+        }));
+        res.json({ success: true, data, count: data.length });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhooks' });
+    }
+});
+
+router.post('/', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const { name, url, event_types, is_active = true } = req.body;
+        const validationError = validateWebhook(req.body);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const secret = req.body.secret ? String(req.body.secret) : generateSecret();
+        if (secret.length < 16 || secret.length > 100) {
+            return res.status(400).json({ success: false, message: 'secret must be 16 to 100 characters' });
+        }
+
+        const [result] = await pool.query(
+            'INSERT INTO Webhooks (name, url, secret, event_types, is_active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [String(name).trim(), url, secret, JSON.stringify(event_types), Boolean(is_active), req.user.id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'CREATE_WEBHOOK',
+            entityType: 'Webhook',
+            entityId: result.insertId,
+            details: { name, url, event_types },
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created. Copy the secret now; it will not be shown again.',
+            data: formatWebhook(await loadWebhook(result.insertId), { showSecret: true })
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create webhook' });
+    }
+});
+
+router.put('/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const merged = { ...formatWebhook(webhook), ...req.body };
+        const validationError = validateWebhook(merged);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        await pool.query(
+            'UPDATE Webhooks SET name = ?, url = ?, event_types = ?, is_active = ? WHERE webhook_id = ?',
+            [String(merged.name).trim(), merged.url, JSON.stringify(merged.event_types), Boolean(merged.is_active), webhook.webhook_id]
+        );
+
+        await logAction({
+            userId: req.user.id,
+            action: 'UPDATE_WEBHOOK',
+            entityType: 'Webhook',
+            entityId: webhook.webhook_id,
+            details: { name: merged.name, url: merged.url, event_types: merged.event_types, is_active: Boolean(merged.is_active) },
+            req
+        });
+
+        res.json({ success: true, message: 'Webhook updated', data: formatWebhook(await loadWebhook(webhook.webhook_id)) });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update webhook' });
+    }
+});
+
+// New secret; the receiver has to be updated before the next event
+router.post('/:id/rotate-secret', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        await pool.query('UPDATE Webhooks SET secret = ? WHERE webhook_id = ?', [generateSecret(), webhook.webhook_id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'ROTATE_WEBHOOK_SECRET',
+            entityType: 'Webhook',
+            entityId: webhook.webhook_id,
+            details: { name: webhook.name },
+            req
+        });
+
+        res.json({
+            success: true,
+            message: 'Secret rotated. Copy it now; it will not be shown again.',
+            data: formatWebhook(await loadWebhook(webhook.webhook_id), { showSecret: true })
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({ success: false, message: 'Failed to rotate secret' });
+    }
+});
+
+router.delete('/:id', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        await pool.query('DELETE FROM Webhooks WHERE webhook_id = ?', [webhook.webhook_id]);
+
+        await logAction({
+            userId: req.user.id,
+            action: 'DELETE_WEBHOOK',
+            entityType: 'Webhook',
+            entityId: webhook.webhook_id,
+            details: { name: webhook.name, url: webhook.url },
+            req
+        });
+
+        res.json({ success: true, message: 'Webhook deleted' });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete webhook' });
+    }
+});
+
+// Sends a webhook.test event now and reports what the receiver answered
+router.post('/:id/test', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const result = await sendTestEvent(webhook, req.user);
+        res.json({
+            success: true,
+            message: result.delivered
+                ? `Test event delivered (HTTP ${result.response_status})`
+                : `Test event failed: ${result.error}`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send test event' });
+    }
+});
+
+// Delivery log for one webhook, newest first
+router.get('/:id/deliveries', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'status must be pending, delivered or failed' });
+        }
+
+        let sql = 'SELECT * FROM Webhook_Deliveries WHERE webhook_id = ?';
+        const params = [req.params.id];
+        if (status) {
+            sql += ' AND status = ?';
+            params.push(status);
+        }
+        sql += ' ORDER BY created_at DESC, delivery_id DESC LIMIT 100';
+
+        const [deliveries] = await pool.query(sql, params);
+        res.json({ success: true, data: deliveries, count: deliveries.length });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Puts a delivery back in the queue, e.g. after the receiver was fixed
+router.post('/deliveries/:id/retry', authenticateToken, requireRole('Admin'), async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            `UPDATE Webhook_Deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+             WHERE delivery_id = ? AND status = 'failed'`,
+            [req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ success: false, message: 'No failed delivery with that ID' });
+        }
+        res.json({ success: true, message: 'Delivery queued again' });
+    } catch (error) {
+        console.error('Retry webhook delivery error:', error);
+        res.status(500).json({ success: false, message: 'Failed to retry delivery' });
+    }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ROOT = path.join(__dirname, '../../uploads/attachments');
+
+const backends = new Map();
+let storage = null;
+
+/**
+ * Stores attachments as files under ATTACHMENTS_DIR (uploads/attachments in
+ * the project by default), one file per key.
+ */
+function localBackend(root = process.env.ATTACHMENTS_DIR || DEFAULT_ROOT) {
+    const fileFor = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid attachment key: ${key}`);
+        return file;
+    };
+
+    return {
+        async put(key, data) {
+            const file = fileFor(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data, { flag: 'wx' });
+        },
+        async open(key) {
+            const handle = await fs.promises.open(fileFor(key), 'r');
+            return handle.createReadStream();
+        },
+        async remove(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+backends.set('local', localBackend);
+
+/**
+ * Makes a storage backend available under a name, for ATTACHMENT_STORAGE to
+ * select. A backend is a factory returning an object with:
+ * - `put(key, data: Buffer)` saving new content under the key,
+ * - `open(key)` resolving to a Readable of the content, rejecting with
+ *   `code: 'ENOENT'` when there is none,
+ * - `remove(key)`, which succeeds when the key is already gone.
+ * Register it before the first upload or download, e.g. at startup.
+ *
+ * @param {string} name
+ * @param {() => { put: Function, open: Function, remove: Function }} factory
+ */
+export function registerStorageBackend(name, factory) {
+    backends.set(name, factory);
+    storage = null;
+}
+
+/**
+ * The backend named by ATTACHMENT_STORAGE ('local' by default).
+ *
+ * @returns {{ put: Function, open: Function, remove: Function }}
+ */
+export function getStorage() {
+    if (storage) return storage;
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = backends.get(name);
+    if (!factory) throw new Error(`Unknown attachment storage "${name}"; registered: ${[...backends.keys()].join(', ')}`);
+    storage = factory();
+    return storage;
+}
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import express from 'express';
+import sharp from 'sharp';
+import pool from '../database.js';
+import { getStorage } from './attachmentStorage.js';
+import { parseMultipart } from './multipart.js';
+
+const MB = 1024 * 1024;
+export const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * MB;
+export const MAX_ATTACHMENTS_PER_UPLOAD = Number(process.env.ATTACHMENT_MAX_FILES) || 5;
+// Image previews are made here from the uploaded file, at most THUMBNAIL_SIZE px
+// on the longer side; an image this small that can't be scaled is its own preview
+const MAX_THUMBNAIL_BYTES = 256 * 1024;
+const THUMBNAIL_SIZE = 240;
+// Packet captures can hold passwords and customer traffic
+const CAPTURE_ROLES = ['Admin', 'Manager', 'Technician'];
+const MAINTENANCE_ROLES = ['Admin', 'Manager', 'Technician'];
+
+const startsWith = (...bytes) => (data) => bytes.every((b, i) => data[i] === b);
+const ascii = (text, offset = 0) => (data) => data.subarray(offset, offset + text.length).toString('latin1') === text;
+// Text files must not contain NUL bytes, which no log or config file has
+const isText = (data) => !data.subarray(0, 8192).includes(0);
+
+// Accepted files by extension. The stored content type comes from here, never
+// from the browser, and the content has to look like that type.
+const FILE_TYPES = {
+    png: { contentType: 'image/png', kind: 'image', check: startsWith(0x89, 0x50, 0x4e, 0x47) },
+    jpg: { contentType: 'image/jpeg', kind: 'image', check: startsWith(0xff, 0xd8, 0xff) },
+    jpeg: { contentType: 'image/jpeg', kind: 'image', check: startsWith(0xff, 0xd8, 0xff) },
+    gif: { contentType: 'image/gif', kind: 'image', check: ascii('GIF8') },
+    webp: { contentType: 'image/webp', kind: 'image', check: (d) => ascii('RIFF')(d) && ascii('WEBP', 8)(d) },
+    txt: { contentType: 'text/plain', kind: 'log', check: isText },
+    log: { contentType: 'text/plain', kind: 'log', check: isText },
+    csv: { contentType: 'text/csv', kind: 'log', check: isText },
+    json: { contentType: 'application/json', kind: 'log', check: isText },
+    cfg: { contentType: 'text/plain', kind: 'config', check: isText },
+    conf: { contentType: 'text/plain', kind: 'config', check: isText },
+    pcap: {
+        contentType: 'application/vnd.tcpdump.pcap', kind: 'capture',
+        check: (d) => [[0xd4, 0xc3, 0xb2, 0xa1], [0xa1, 0xb2, 0xc3, 0xd4], [0x4d, 0x3c, 0xb2, 0xa1], [0xa1, 0xb2, 0x3c, 0x4d]]
+            .some(bytes => startsWith(...bytes)(d))
+    },
+    pcapng: { contentType: 'application/x-pcapng', kind: 'capture', check: startsWith(0x0a, 0x0d, 0x0d, 0x0a) },
+    pdf: { contentType: 'application/pdf', kind: 'document', check: ascii('%PDF-') },
+    zip: { contentType: 'application/zip', kind: 'archive', check: startsWith(0x50, 0x4b, 0x03, 0x04) },
+    gz: { contentType: 'application/gzip', kind: 'archive', check: startsWith(0x1f, 0x8b) }
+};
+FILE_TYPES.cap = FILE_TYPES.pcap;
+
+// ATTACHMENT_TYPES narrows the list, e.g. 'png,jpg,log,pcap'
+const ALLOWED_EXTENSIONS = process.env.ATTACHMENT_TYPES
+    ? process.env.ATTACHMENT_TYPES.split(',').map(t => t.trim().toLowerCase().replace(/^\./, '')).filter(t => FILE_TYPES[t])
+    : Object.keys(FILE_TYPES);
+
+const extensionOf = (filename) => (filename.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+const kindOf = (contentType) => Object.values(FILE_TYPES).find(t => t.contentType === contentType)?.kind || 'file';
+const formatSize = (bytes) => (bytes >= MB ? `${Math.round(bytes / MB * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+/**
+ * Upload limits, for clients to check files before sending them.
+ *
+ * @returns {{ max_bytes: number, max_files: number, extensions: string[] }}
+ */
+export const attachmentLimits = () => ({
+    max_bytes: MAX_ATTACHMENT_BYTES,
+    max_files: MAX_ATTACHMENTS_PER_UPLOAD,
+    extensions: ALLOWED_EXTENSIONS
+});
+
+const rawUpload = express.raw({
+    type: 'multipart/form-data',
+    limit: MAX_ATTACHMENTS_PER_UPLOAD * MAX_ATTACHMENT_BYTES + MB
+});
+
+/**
+ * Buffers a multipart/form-data body for readUpload; other bodies pass through
+ * untouched. A body over the limit is answered with 413 in the usual JSON shape.
+ */
+export const uploadBody = (req, res, next) => rawUpload(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.status || 400).json({
+        success: false,
+        message: error.type === 'entity.too.large'
+            ? `Uploads are limited to ${MAX_ATTACHMENTS_PER_UPLOAD} files of ${formatSize(MAX_ATTACHMENT_BYTES)} each`
+            : 'Could not read the upload'
+    });
+});
+
+/**
+ * Reads the text fields and files of a request. Files are sent in `file` parts;
+ * other file parts are ignored. JSON bodies give their fields and no files.
+ * Every file is checked before any is kept.
+ *
+ * @param {import('express').Request} req - After uploadBody.
+ * @returns {{ fields: Object, uploads: Object[] }|{ error: string, status: number }}
+ */
+export function readUpload(req) {
+    if (!Buffer.isBuffer(req.body)) return { fields: req.body || {}, uploads: [] };
+
+    const parsed = parseMultipart(req.body, req.headers['content-type']);
+    if (!parsed) return { error: 'Malformed multipart/form-data body', status: 400 };
+
+    const files = parsed.files.filter(f => f.field === 'file' && f.data.length > 0);
+    if (files.length > MAX_ATTACHMENTS_PER_UPLOAD) {
+        return { error: `At most ${MAX_ATTACHMENTS_PER_UPLOAD} files can be uploaded at once`, status: 400 };
+    }
+
+    const uploads = [];
+    for (const file of files) {
+        const extension = extensionOf(file.filename);
+        const type = ALLOWED_EXTENSIONS.includes(extension) ? FILE_TYPES[extension] : null;
+        if (!type) {
+            return { error: `${file.filename}: only ${ALLOWED_EXTENSIONS.map(e => `.${e}`).join(', ')} files can be attached`, status: 415 };
+        }
+        if (file.data.length > MAX_ATTACHMENT_BYTES) {
+            return { error: `${file.filename} is larger than ${formatSize(MAX_ATTACHMENT_BYTES)}`, status: 413 };
+        }
+        if (!type.check(file.data)) {
+            return { error: `${file.filename} does not look like a .${extension} file`, status: 415 };
+        }
+
+        uploads.push({
+            name: file.filename.slice(0, 255),
+            contentType: type.contentType,
+            data: file.data,
+            sha256: crypto.createHash('sha256').update(file.data).digest('hex')
+        });
+    }
+    return { fields: parsed.fields, uploads };
+}
+
+// JPEG thumbnail of an image, turned upright by its EXIF orientation; null when
+// the image can't be decoded, so the upload is kept without one
+async function makeThumbnail(data) {
+    try {
+        return await sharp(data, { animated: false })
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+    } catch (error) {
+        console.error('Could not make an attachment thumbnail:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Where an attachment's preview is stored: the thumbnail made from it on
+ * upload, or the image itself when it is small and no thumbnail could be made.
+ *
+ * @param {{ storage_key: string, thumbnail_key: string|null, content_type: string, size_bytes: number }} attachment
+ * @returns {{ key: string, contentType: string }|null}
+ */
+export function previewOf(attachment) {
+    if (attachment.thumbnail_key) return { key: attachment.thumbnail_key, contentType: 'image/jpeg' };
+    if (kindOf(attachment.content_type) === 'image' && attachment.size_bytes <= MAX_THUMBNAIL_BYTES) {
+        return { key: attachment.storage_key, contentType: attachment.content_type };
+    }
+    return null;
+}
+
+/**
+ * Whether a user may attach files to a fault or maintenance log. Staff can
+ * attach to faults they reported; maintenance logs are for Admins, Managers
+ * and Technicians.
+ *
+ * @param {{ id: number, role: string }} user
+ * @param {{ fault?: { reported_by: number }, log?: Object }} target
+ */
+export function canUpload(user, { fault, log }) {
+    if (log) return MAINTENANCE_ROLES.includes(user.role);
+    return user.role !== 'Staff' || fault.reported_by === user.id;
+}
+
+/**
+ * Whether a user may see an attachment: maintenance files and packet captures
+ * only for Admins, Managers and Technicians, other fault files for everyone.
+ *
+ * @param {{ role: string }} user
+ * @param {{ log_id: number|null, content_type: string }} attachment
+ */
+export function canView(user, attachment) {
+    if (attachment.log_id) return MAINTENANCE_ROLES.includes(user.role);
+    if (kindOf(attachment.content_type) === 'capture') return CAPTURE_ROLES.includes(user.role);
+    return true;
+}
+
+// Storage keys group files by month; the name is random so keys cannot be guessed or clash
+const newStorageKey = () => {
+    const now = new Date();
+    return `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}`;
+};
+
+/**
+ * Removes the stored content of attachments whose rows are gone. Failures are
+ * logged, not thrown: an orphaned file is better than a failed delete.
+ *
+ * @param {{ storage_key: string, thumbnail_key: string|null }[]} rows
+ */
+export async function removeStoredFiles(rows) {
+    const storage = getStorage();
+    for (const row of rows) {
+        for (const key of [row.storage_key, row.thumbnail_key].filter(Boolean)) {
+            try {
+                await storage.remove(key);
+            } catch (error) {
+                console.error(`Failed to remove attachment file ${key}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Saves uploads and records them. Runs inside the caller's transaction when
+ * given a connection; if saving fails, files already stored are removed again.
+ * Storage is not part of the transaction, so a caller whose commit fails must
+ * pass the returned `stored` keys to removeStoredFiles.
+ *
+ * @param {Object} uploads - From readUpload.
+ * @param {{ fault_id?: number, fault_comment_id?: number, log_id?: number, maintenance_comment_id?: number }} target
+ * @param {number} userId - Uploader.
+ * @param {Object} [db] - Connection or pool to insert with.
+ * @returns {Promise<{ ids: number[], stored: { storage_key: string, thumbnail_key: string|null }[] }>}
+ *   New attachment ids and the storage keys written for them.
+ */
+export async function storeAttachments(uploads, target, userId, db = pool) {
+    const storage = getStorage();
+    const stored = [];
+    const ids = [];
+    try {
+        for (const upload of uploads) {
+            const row = { storage_key: newStorageKey(), thumbnail_key: null };
+            await storage.put(row.storage_key, upload.data);
+            stored.push(row);
+            const thumbnail = kindOf(upload.contentType) === 'image' ? await makeThumbnail(upload.data) : null;
+            if (thumbnail) {
+                await storage.put(`${row.storage_key}.thumb`, thumbnail);
+                row.thumbnail_key = `${row.storage_key}.thumb`;
+            }
+
+            const [result] = await db.query(
+                `INSERT INTO Attachments (fault_id, fault_comment_id, log_id, maintenance_comment_id, uploaded_by,
+                    original_name, content_type, size_bytes, storage_key, thumbnail_key, sha256)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [target.fault_id || null, target.fault_comment_id || null, target.log_id || null,
+                    target.maintenance_comment_id || null, userId, upload.name, upload.contentType,
+                    upload.data.length, row.storage_key, row.thumbnail_key, upload.sha256]
+            );
+            ids.push(result.insertId);
+        }
+    } catch (error) {
+        await removeStoredFiles(stored);
+        throw error;
+    }
+    return { ids, stored };
+}
+
+/**
+ * Attachments of a fault or maintenance log (comments included) that the user
+ * may see, oldest first, without their storage keys.
+ *
+ * @param {{ faultId?: number, logId?: number, ids?: number[] }} where - One of them.
+ * @param {{ role: string }} user
+ * @returns {Promise<Object[]>}
+ */
+export async function listAttachments({ faultId, logId, ids }, user) {
+    const [column, value] = faultId ? ['a.fault_id', faultId] : logId ? ['a.log_id', logId] : ['a.attachment_id', ids];
+    if (Array.isArray(value) && value.length === 0) return [];
+
+    const [rows] = await pool.query(`
+        SELECT a.*, CONCAT(u.first_name, ' ', u.last_name) as uploaded_by_name
+        FROM Attachments a
+        JOIN Users u ON a.uploaded_by = u.user_id
+        WHERE ${column} IN (?)
+        ORDER BY a.created_at ASC, a.attachment_id ASC
+    `, [value]);
+
+    return rows.filter(row => canView(user, row)).map(({ storage_key, thumbnail_key, ...row }) => ({
+        ...row,
+        kind: kindOf(row.content_type),
+        has_thumbnail: Boolean(previewOf({ storage_key, thumbnail_key, ...row }))
+    }));
+}
+
+/**
+ * Adds each comment's visible attachments to it as `attachments`.
+ *
+ * @param {Object[]} comments - Fault_Comments or Maintenance_Comments rows.
+ * @param {Object[]} attachments - From listAttachments for their fault or log.
+ * @param {'fault_comment_id'|'maintenance_comment_id'} column
+ */
+export const withCommentAttachments = (comments, attachments, column) => comments.map(comment => ({
+    ...comment,
+    attachments: attachments.filter(a => a[column] === comment.comment_id)
+}));
+
+/**
+ * One attachment row, storage keys included.
+ *
+ * @returns {Promise<Object|undefined>}
+ */
+export async function findAttachment(id) {
+    const [[row]] = await pool.query('SELECT * FROM Attachments WHERE attachment_id = ?', [id]);
+    return row;
+}
+
+/**
+ * Sends stored content: 404 when the storage no longer has it.
+ *
+ * @param {import('express').Response} res
+ * @param {string} key
+ * @param {Object} headers - Sent once the content is found.
+ */
+export async function sendStoredFile(res, key, headers) {
+    let stream;
+    try {
+        stream = await getStorage().open(key);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return res.status(404).json({ success: false, message: 'Attachment file is missing from storage' });
+    }
+
+    res.set({ 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'private, max-age=3600', ...headers });
+    stream.on('error', (error) => {
+        console.error('Attachment stream error:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
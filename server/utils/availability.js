@@ -0,0 +1,190 @@
+import pool from '../database.js';
+
+// Faulty time is unplanned downtime and counts against availability, as does
+// Maintenance outside a maintenance window. Maintenance inside a window is
+// planned downtime and, like Inactive time (switched off on purpose), is left
+// out of the calculation entirely.
+const STATUSES = ['Active', 'Faulty', 'Maintenance', 'Inactive', 'Planned'];
+
+const emptyMinutes = () => Object.fromEntries(STATUSES.map(s => [s, 0]));
+
+// Turns a component's transitions into [start, end, status] segments ending at `to`
+function buildSegments(component, events, to) {
+    if (events.length === 0) {
+        // No recorded transitions: the current status has held since creation
+        return [[new Date(component.created_at), to, component.status]];
+    }
+
+    const segments = [];
+    // Transitions recorded after creation imply the earlier status back to created_at
+    if (events[0].old_status && component.created_at && new Date(component.created_at) < new Date(events[0].changed_at)) {
+        segments.push([new Date(component.created_at), new Date(events[0].changed_at), events[0].old_status]);
+    }
+    events.forEach((event, i) => {
+        const start = new Date(event.changed_at);
+        const end = i + 1 < events.length ? new Date(events[i + 1].changed_at) : to;
+        if (end > start) segments.push([start, end, event.new_status]);
+    });
+    return segments;
+}
+
+// Relabels the parts of Maintenance segments that fall inside a window as Planned
+function applyWindows(segments, windows) {
+    if (windows.length === 0) return segments;
+
+    let result = segments;
+    for (const [windowStart, windowEnd] of windows) {
+        const next = [];
+        for (const [start, end, status] of result) {
+            if (status !== 'Maintenance' || end <= windowStart || start >= windowEnd) {
+                next.push([start, end, status]);
+                continue;
+            }
+            if (start < windowStart) next.push([start, windowStart, status]);
+            next.push([new Date(Math.max(start, windowStart)), new Date(Math.min(end, windowEnd)), 'Planned']);
+            if (end > windowEnd) next.push([windowEnd, end, status]);
+        }
+        result = next;
+    }
+    return result;
+}
+
+// Adds each segment's overlap with [from, to) to a per-status minute tally
+function tallyMinutes(segments, from, to, minutes = emptyMinutes()) {
+    for (const [start, end, status] of segments) {
+        const overlap = Math.min(end, to) - Math.max(start, from);
+        if (overlap > 0 && status in minutes) minutes[status] += overlap / 60000;
+    }
+    return minutes;
+}
+
+function summarize(minutes) {
+    const counted = minutes.Active + minutes.Faulty + minutes.Maintenance;
+    const round = (n) => Math.round(n * 100) / 100;
+    return {
+        availability_percent: counted > 0 ? round((minutes.Active / counted) * 100) : null,
+        up_minutes: round(minutes.Active),
+        unplanned_downtime_minutes: round(minutes.Faulty),
+        maintenance_minutes: round(minutes.Maintenance),
+        planned_maintenance_minutes: round(minutes.Planned),
+        inactive_minutes: round(minutes.Inactive)
+    };
+}
+
+function addMinutes(target, source) {
+    for (const status of STATUSES) target[status] += source[status];
+    return target;
+}
+
+/**
+ * Computes availability from Component_Status_History over [from, to).
+ *
+ * @param {Object} params
+ * @param {Date} params.from - Window start.
+ * @param {Date} params.to - Window end.
+ * @param {number} [params.componentId] - Limit to one component.
+ * @param {string} [params.type] - Limit to one component type.
+ * @param {number} [params.departmentId] - Limit to one department.
+ * @param {'day'|'week'|null} [params.interval] - Also return an overall series in buckets of this size.
+ * @returns {Promise<Object>} `{ overall, by_component, by_type, by_department, series }`; each entry
+ *   carries availability_percent (null when nothing was in service) and the minutes behind it.
+ */
+export const computeAvailability = async ({ from, to, componentId, type, departmentId, interval = null }) => {
+    let query = `
+        SELECT nc.component_id, nc.name, nc.type, nc.status, nc.created_at, nc.department_id, d.name as department_name
+        FROM Network_Components nc
+        LEFT JOIN Departments d ON nc.department_id = d.department_id
+        WHERE nc.created_at < ?
+    `;
+    const params = [to];
+    if (componentId) {
+        query += ' AND nc.component_id = ?';
+        params.push(componentId);
+    }
+    if (type) {
+        query += ' AND nc.type = ?';
+        params.push(type);
+    }
+    if (departmentId) {
+        query += ' AND nc.department_id = ?';
+        params.push(departmentId);
+    }
+    const [components] = await pool.query(query, params);
+
+    const eventsByComponent = new Map(components.map(c => [c.component_id, []]));
+    if (components.length > 0) {
+        const [events] = await pool.query(`
+            SELECT component_id, old_status, new_status, changed_at
+            FROM Component_Status_History
+            WHERE component_id IN (?) AND changed_at < ?
+            ORDER BY component_id, changed_at, history_id
+        `, [[...eventsByComponent.keys()], to]);
+        for (const event of events) eventsByComponent.get(event.component_id).push(event);
+    }
+
+    // Maintenance windows that actually ran during the period
+    const [windows] = await pool.query(`
+        SELECT component_id, department_id, activated_at, COALESCE(completed_at, ?) as ended_at
+        FROM Maintenance_Windows
+        WHERE window_type = 'Maintenance' AND activated_at IS NOT NULL
+          AND activated_at < ? AND (completed_at IS NULL OR completed_at > ?)
+    `, [to, to, from]);
+    const windowsFor = (component) => windows
+        .filter(w => w.component_id === component.component_id ||
+            (w.department_id && w.department_id === component.department_id))
+        .map(w => [new Date(w.activated_at), new Date(w.ended_at)]);
+
+    const overall = emptyMinutes();
+    const byType = new Map();
+    const byDepartment = new Map();
+    const allSegments = [];
+
+    const byComponent = components.map(component => {
+        const segments = applyWindows(
+            buildSegments(component, eventsByComponent.get(component.component_id), to),
+            windowsFor(component)
+        );
+        allSegments.push(...segments);
+
+        const minutes = tallyMinutes(segments, from, to);
+        addMinutes(overall, minutes);
+
+        if (!byType.has(component.type)) byType.set(component.type, emptyMinutes());
+        addMinutes(byType.get(component.type), minutes);
+
+        const deptKey = component.department_id || 0;
+        if (!byDepartment.has(deptKey)) {
+            byDepartment.set(deptKey, { name: component.department_name || 'Unassigned', minutes: emptyMinutes() });
+        }
+        addMinutes(byDepartment.get(deptKey).minutes, minutes);
+
+        return {
+            component_id: component.component_id,
+            name: component.name,
+            type: component.type,
+            department_name: component.department_name,
+            current_status: component.status,
+            ...summarize(minutes)
+        };
+    });
+
+    let series = [];
+    if (interval) {
+        const step = (interval === 'week' ? 7 : 1) * 24 * 60 * 60000;
+        for (let start = from.getTime(); start < to.getTime(); start += step) {
+            const bucketStart = new Date(start);
+            const bucketEnd = new Date(Math.min(start + step, to.getTime()));
+            series.push({ start: bucketStart.toISOString(), ...summarize(tallyMinutes(allSegments, bucketStart, bucketEnd)) });
+        }
+    }
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        overall: summarize(overall),
+        by_component: byComponent.sort((a, b) => (a.availability_percent ?? 101) - (b.availability_percent ?? 101)),
+        by_type: [...byType].map(([name, minutes]) => ({ type: name, ...summarize(minutes) })),
+        by_department: [...byDepartment].map(([id, dept]) => ({ department_id: id || null, department_name: dept.name, ...summarize(dept.minutes) })),
+        series
+    };
+};
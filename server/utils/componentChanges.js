@@ -0,0 +1,124 @@
+import pool from '../database.js';
+import { logAction } from './auditLogger.js';
+import { setComponentStatus } from './componentStatus.js';
+import { recordConfigRevision } from './configHistory.js';
+import { invalidateSearchIndex } from './searchIndex.js';
+
+// Columns that can be changed on an existing component
+export const COMPONENT_FIELDS = [
+    'name', 'type', 'model_number', 'ip_address', 'mac_address', 'location', 'status',
+    'config_details', 'install_date', 'latitude', 'longitude', 'department_id',
+    'poll_enabled', 'poll_method', 'poll_port'
+];
+
+// Fields only Admins may change directly; everyone else goes through a change request
+export const CONTROLLED_FIELDS = ['config_details', 'ip_address', 'status'];
+
+export const COMPONENT_STATUSES = ['Active', 'Inactive', 'Maintenance', 'Faulty'];
+
+export const COMPONENT_TYPES = ['Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point'];
+
+// Returns an error message for invalid reachability settings, or null
+export const validatePolling = ({ poll_method, poll_port }) => {
+    if (poll_method !== undefined && !['icmp', 'tcp'].includes(poll_method)) {
+        return 'poll_method must be icmp or tcp';
+    }
+    if (poll_port !== undefined && poll_port !== null && poll_port !== '' &&
+        (!Number.isInteger(Number(poll_port)) || poll_port < 1 || poll_port > 65535)) {
+        return 'poll_port must be between 1 and 65535';
+    }
+    if (poll_method === 'tcp' && !poll_port) {
+        return 'poll_port is required for TCP checks';
+    }
+    return null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Brings DB values and request values to a comparable form
+const normalize = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    return String(value);
+};
+
+const sameValue = (a, b) => {
+    const x = normalize(a);
+    const y = normalize(b);
+    if (x === null || y === null) return x === y;
+    // DECIMAL columns come back as '12.3400000'
+    if (!isNaN(Number(x)) && !isNaN(Number(y))) return Number(x) === Number(y);
+    return x === y;
+};
+
+/**
+ * Compares proposed values with a component row.
+ *
+ * @param {Object} current - Network_Components row.
+ * @param {Object} changes - Field -> new value; fields not in COMPONENT_FIELDS are ignored.
+ * @returns {Object} Field -> `{ from, to }` for every field that would actually change.
+ */
+export const diffComponent = (current, changes) => {
+    const diff = {};
+    for (const field of COMPONENT_FIELDS) {
+        if (!(field in changes) || sameValue(current[field], changes[field])) continue;
+        diff[field] = { from: normalize(current[field]), to: normalize(changes[field]) };
+    }
+    return diff;
+};
+
+/**
+ * Applies field changes to a component and writes the before/after diff to
+ * Audit_Logs. Status changes go through the status timeline and config
+ * changes are kept as a new revision in Config_Revisions.
+ *
+ * @param {number} componentId - Component to change.
+ * @param {Object} changes - Field -> new value.
+ * @param {Object} options
+ * @param {number} [options.userId] - User responsible for the change.
+ * @param {string} [options.action='UPDATE_COMPONENT'] - Audit action.
+ * @param {string} [options.source='manual'] - Status timeline and config revision source.
+ * @param {number} [options.referenceId] - Related record, e.g. the change request.
+ * @param {string} [options.reason] - Why the config changed, kept with the revision.
+ * @param {Object} [options.auditDetails] - Extra details for the audit entry.
+ * @param {Object} [options.req] - Express request, for the audit IP address.
+ * @param {Object} [options.db=pool] - Connection to read and update the component row with,
+ *   e.g. one holding a transaction. Status and config changes are always written through the pool.
+ * @returns {Promise<Object|null>} The diff that was applied, or null if the component does not exist.
+ */
+export const applyComponentChanges = async (componentId, changes, {
+    userId = null, action = 'UPDATE_COMPONENT', source = 'manual', referenceId = null, reason = null, auditDetails = {}, req, db = pool
+} = {}) => {
+    const [rows] = await db.query('SELECT * FROM Network_Components WHERE component_id = ?', [componentId]);
+    if (rows.length === 0) return null;
+
+    const diff = diffComponent(rows[0], changes);
+    const columns = Object.fromEntries(
+        Object.keys(diff).filter(field => field !== 'status').map(field => [field, diff[field].to])
+    );
+
+    if (Object.keys(columns).length > 0) {
+        await db.query('UPDATE Network_Components SET ? WHERE component_id = ?', [columns, componentId]);
+    }
+    if (diff.status) {
+        await setComponentStatus(componentId, diff.status.to, { source, referenceId, userId });
+    }
+    if (diff.config_details) {
+        diff.config_details.revision = await recordConfigRevision(componentId, diff.config_details.to, {
+            authorId: userId, reason, source, referenceId
+        });
+    }
+    if (Object.keys(diff).length > 0) invalidateSearchIndex();
+
+    await logAction({
+        userId,
+        action,
+        entityType: 'Component',
+        entityId: componentId,
+        details: { name: rows[0].name, ...auditDetails, changes: diff },
+        req
+    });
+
+    return diff;
+};
@@ -0,0 +1,276 @@
+import pool from '../database.js';
+import { COMPONENT_STATUSES, COMPONENT_TYPES, validatePolling } from './componentChanges.js';
+import { addressProblem, canonicalIp, loadSubnets, parseIp } from './ipam.js';
+import { normalizeMac, validateMac } from './mac.js';
+import { invalidateSearchIndex } from './searchIndex.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Size of the name, model_number and location columns (VARCHAR(100))
+const MAX_TEXT_LENGTH = 100;
+
+// Columns an import row can set; department is matched by name
+export const IMPORT_COLUMNS = [
+    'name', 'type', 'model_number', 'ip_address', 'mac_address', 'location', 'department', 'status',
+    'config_details', 'install_date', 'latitude', 'longitude', 'poll_enabled', 'poll_method', 'poll_port'
+];
+
+// Other header spellings, including the ones the Infrastructure CSV export uses
+const COLUMN_ALIASES = {
+    model: 'model_number',
+    model_no: 'model_number',
+    ip: 'ip_address',
+    mac: 'mac_address',
+    department_name: 'department',
+    lat: 'latitude',
+    long: 'longitude',
+    lng: 'longitude',
+    lon: 'longitude',
+    config: 'config_details'
+};
+
+const columnKey = (header) => {
+    const key = String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return COLUMN_ALIASES[key] || key;
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and
+ * newlines). The first row is the header.
+ *
+ * @returns {Object[]} One object per data row, keyed by header.
+ */
+export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+    return rows.map(values => Object.fromEntries(header.map((name, i) => [name, values[i] ?? ''])));
+};
+
+const emptyToNull = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = typeof value === 'string' ? value.trim() : value;
+    return text === '' ? null : text;
+};
+
+const parseBoolean = (value) => {
+    if (value === null) return true;
+    if (typeof value === 'boolean') return value;
+    return !['false', '0', 'no', 'off', 'n'].includes(String(value).toLowerCase());
+};
+
+/**
+ * Validates import rows against each other and the database, without writing.
+ *
+ * @param {Object[]} input - Raw rows from CSV or JSON.
+ * @returns {Promise<{ rows: Object[], ignored_columns: string[] }>} Each row is
+ *   `{ row, name, values, errors }`; values are ready to insert when errors is empty.
+ */
+export const validateImportRows = async (input) => {
+    const [departments] = await pool.query('SELECT department_id, name FROM Departments');
+    const [existing] = await pool.query(
+        "SELECT name, ip_address, mac_address FROM Network_Components WHERE (ip_address IS NOT NULL AND ip_address != '') OR (mac_address IS NOT NULL AND mac_address != '')"
+    );
+
+    const subnets = await loadSubnets();
+
+    const departmentIds = new Map(departments.map(d => [d.name.trim().toLowerCase(), d.department_id]));
+    const ipOwners = new Map();
+    const macOwners = new Map();
+    for (const c of existing) {
+        const ip = canonicalIp(c.ip_address);
+        const mac = normalizeMac(c.mac_address);
+        if (ip) ipOwners.set(ip, `existing component ${c.name}`);
+        if (mac) macOwners.set(mac, `existing component ${c.name}`);
+    }
+
+    const ignored = new Set();
+    const rows = input.map((raw, index) => {
+        const row = Object.fromEntries(IMPORT_COLUMNS.map(column => [column, null]));
+        for (const [header, value] of Object.entries(raw || {})) {
+            const key = columnKey(header);
+            if (IMPORT_COLUMNS.includes(key)) row[key] = emptyToNull(value);
+            else if (key !== 'department_id' && key !== 'vendor') ignored.add(header);
+        }
+        // JSON imports may give the department ID instead of its name
+        const departmentId = emptyToNull(raw?.department_id);
+
+        const errors = [];
+        const values = {
+            name: row.name,
+            type: row.type,
+            model_number: row.model_number,
+            ip_address: null,
+            mac_address: null,
+            location: row.location,
+            department_id: null,
+            status: row.status || 'Active',
+            config_details: row.config_details === null || typeof row.config_details === 'string'
+                ? row.config_details
+                : JSON.stringify(row.config_details),
+            install_date: row.install_date,
+            latitude: row.latitude === null ? null : Number(row.latitude),
+            longitude: row.longitude === null ? null : Number(row.longitude),
+            poll_enabled: parseBoolean(row.poll_enabled),
+            poll_method: row.poll_method ? String(row.poll_method).toLowerCase() : 'icmp',
+            poll_port: row.poll_port
+        };
+
+        if (!values.name) errors.push('Name is required');
+        if (!values.type) {
+            errors.push('Type is required');
+        } else if (!COMPONENT_TYPES.includes(values.type)) {
+            errors.push(`Type "${values.type}" must be one of ${COMPONENT_TYPES.join(', ')}`);
+        }
+        if (!COMPONENT_STATUSES.includes(values.status)) {
+            errors.push(`Status "${values.status}" must be one of ${COMPONENT_STATUSES.join(', ')}`);
+        }
+
+        if (row.ip_address) {
+            const ip = canonicalIp(row.ip_address);
+            const problem = ip && addressProblem(parseIp(ip), subnets);
+            if (!ip) {
+                errors.push(`"${row.ip_address}" is not a valid IPv4 or IPv6 address`);
+            } else if (ipOwners.has(ip)) {
+                errors.push(`IP address ${ip} is already used by ${ipOwners.get(ip)}`);
+            } else if (problem) {
+                errors.push(`IP address ${ip} cannot be assigned: ${problem.message}`);
+            } else {
+                values.ip_address = ip;
+                ipOwners.set(ip, `row ${index + 1}`);
+            }
+        }
+        if (row.mac_address) {
+            const result = validateMac(row.mac_address);
+            if (result.error) {
+                errors.push(result.error);
+            } else if (macOwners.has(result.mac)) {
+                errors.push(`MAC address ${result.mac} is already used by ${macOwners.get(result.mac)}`);
+            } else {
+                values.mac_address = result.mac;
+                macOwners.set(result.mac, `row ${index + 1}`);
+            }
+        }
+
+        if (row.department) {
+            values.department_id = departmentIds.get(String(row.department).trim().toLowerCase()) || null;
+            if (!values.department_id) errors.push(`Unknown department "${row.department}"`);
+        } else if (departmentId) {
+            if (!departments.some(d => d.department_id === Number(departmentId))) {
+                errors.push(`Unknown department ID ${departmentId}`);
+            } else {
+                values.department_id = Number(departmentId);
+            }
+        }
+        // Location defaults to the department name, as in the component form
+        if (!values.location && values.department_id) {
+            values.location = departments.find(d => d.department_id === values.department_id).name;
+        }
+        if (!values.location) errors.push('Location is required (or a department to take it from)');
+
+        for (const column of ['name', 'model_number', 'location']) {
+            if (values[column] && String(values[column]).length > MAX_TEXT_LENGTH) {
+                errors.push(`${column} must be at most ${MAX_TEXT_LENGTH} characters`);
+            }
+        }
+
+        if (values.latitude !== null && (isNaN(values.latitude) || values.latitude < -90 || values.latitude > 90)) {
+            errors.push('Latitude must be a number between -90 and 90');
+        }
+        if (values.longitude !== null && (isNaN(values.longitude) || values.longitude < -180 || values.longitude > 180)) {
+            errors.push('Longitude must be a number between -180 and 180');
+        }
+        if (values.install_date && (!/^\d{4}-\d{2}-\d{2}$/.test(values.install_date) || isNaN(new Date(values.install_date)))) {
+            errors.push('install_date must be a date in YYYY-MM-DD format');
+        }
+
+        const pollError = validatePolling(values);
+        if (pollError) errors.push(pollError);
+
+        return { row: index + 1, name: values.name, values, errors };
+    });
+
+    return { rows, ignored_columns: [...ignored] };
+};
+
+/**
+ * Inserts validated rows in one transaction, with their first status and
+ * config revision. Nothing is written if any insert fails.
+ *
+ * @param {Object[]} rows - Rows from validateImportRows, all without errors.
+ * @param {number} userId - Importing user.
+ * @returns {Promise<number[]>} New component IDs, in row order.
+ */
+export const importComponents = async (rows, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const ids = [];
+        for (const { values } of rows) {
+            const [result] = await connection.query('INSERT INTO Network_Components SET ?', [{
+                ...values,
+                poll_port: values.poll_port || null
+            }]);
+            ids.push(result.insertId);
+
+            await connection.query(
+                `INSERT INTO Component_Status_History (component_id, old_status, new_status, source, changed_by)
+                 VALUES (?, NULL, ?, 'import', ?)`,
+                [result.insertId, values.status, userId]
+            );
+            if (values.config_details) {
+                await connection.query(
+                    `INSERT INTO Config_Revisions (component_id, revision_number, config_details, author_id, reason, source)
+                     VALUES (?, 1, ?, ?, 'Imported', 'create')`,
+                    [result.insertId, values.config_details, userId]
+                );
+            }
+        }
+
+        await connection.commit();
+        invalidateSearchIndex();
+        return ids;
+    } catch (error) {
+        if (connection) await connection.rollback();
+        throw error;
+    } finally {
+        if (connection) connection.release();
+    }
+};
@@ -0,0 +1,63 @@
+import pool from '../database.js';
+import { publish } from './events.js';
+import { emitWebhookEvent } from './webhooks.js';
+
+/**
+ * Changes a component's status and records the transition in
+ * Component_Status_History. Every status change should go through here so
+ * availability can be computed from the timeline.
+ *
+ * @param {number} componentId - Component to update.
+ * @param {string} newStatus - Active | Inactive | Maintenance | Faulty.
+ * @param {Object} [options]
+ * @param {string} [options.source='manual'] - What caused the change (manual, fault, fault_resolution, maintenance, poller, ...).
+ * @param {number} [options.referenceId] - Related record, e.g. the fault or maintenance log ID.
+ * @param {number} [options.userId] - User responsible, if any.
+ * @param {string[]} [options.onlyFrom] - Only change if the current status is one of these.
+ * @returns {Promise<{ changed: boolean, oldStatus: string|null }>}
+ */
+export const setComponentStatus = async (componentId, newStatus, { source = 'manual', referenceId = null, userId = null, onlyFrom = null } = {}) => {
+    const [rows] = await pool.query('SELECT status FROM Network_Components WHERE component_id = ?', [componentId]);
+    if (rows.length === 0) return { changed: false, oldStatus: null };
+
+    const oldStatus = rows[0].status;
+    if (oldStatus === newStatus || (onlyFrom && !onlyFrom.includes(oldStatus))) {
+        return { changed: false, oldStatus };
+    }
+
+    // Guard on the status we read so two concurrent changes cannot both record a transition
+    const [result] = await pool.query(
+        'UPDATE Network_Components SET status = ? WHERE component_id = ? AND status = ?',
+        [newStatus, componentId, oldStatus]
+    );
+    if (result.affectedRows === 0) return { changed: false, oldStatus };
+
+    await pool.query(
+        `INSERT INTO Component_Status_History (component_id, old_status, new_status, source, reference_id, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [componentId, oldStatus, newStatus, source, referenceId, userId]
+    );
+
+    publish('component', { action: 'status', component_id: Number(componentId), status: newStatus, old_status: oldStatus, source });
+
+    const componentEvent = async () => {
+        const [components] = await pool.query(
+            'SELECT component_id, name, type, ip_address, location, department_id FROM Network_Components WHERE component_id = ?',
+            [componentId]
+        );
+        return { ...components[0], status: newStatus, old_status: oldStatus, source, reference_id: referenceId, changed_by: userId };
+    };
+    await emitWebhookEvent('component.status_changed', componentEvent);
+    if (newStatus === 'Faulty') await emitWebhookEvent('component.faulty', componentEvent);
+
+    return { changed: true, oldStatus };
+};
+
+// Starts the timeline of a newly created component
+export const recordInitialStatus = async (componentId, status, { source = 'manual', userId = null } = {}) => {
+    await pool.query(
+        `INSERT INTO Component_Status_History (component_id, old_status, new_status, source, changed_by)
+         VALUES (?, NULL, ?, ?, ?)`,
+        [componentId, status, source, userId]
+    );
+};
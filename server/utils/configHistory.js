@@ -0,0 +1,122 @@
+import pool from '../database.js';
+
+// Above this many line pairs the diff falls back to "everything replaced"
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Stores a new revision of a component's config_details. Revision numbers
+ * count up from 1 per component.
+ *
+ * @param {number} componentId
+ * @param {string|null} configDetails - The full new config.
+ * @param {Object} [options]
+ * @param {number} [options.authorId] - User who made the change.
+ * @param {string} [options.reason] - Why it changed.
+ * @param {string} [options.source='manual'] - manual, create, change_request, rollback or baseline.
+ * @param {number} [options.referenceId] - Related record, e.g. the change request.
+ * @returns {Promise<number>} The new revision number.
+ */
+export const recordConfigRevision = async (componentId, configDetails, { authorId = null, reason = null, source = 'manual', referenceId = null } = {}) => {
+    // The unique key on (component_id, revision_number) makes a concurrent writer retry
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            const [result] = await pool.query(`
+                INSERT INTO Config_Revisions (component_id, revision_number, config_details, author_id, reason, source, reference_id)
+                SELECT ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?, ?
+                FROM Config_Revisions WHERE component_id = ?
+            `, [componentId, configDetails, authorId, reason, source, referenceId, componentId]);
+
+            const [rows] = await pool.query('SELECT revision_number FROM Config_Revisions WHERE revision_id = ?', [result.insertId]);
+            return rows[0].revision_number;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY' || attempt === 2) throw error;
+        }
+    }
+};
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ *
+ * @returns {{ lines: Object[], stats: { added: number, removed: number } }} Each line is
+ *   `{ type: 'context'|'added'|'removed', text, old_line, new_line }`.
+ */
+export const diffLines = (before, after) => {
+    const a = before ? String(before).split(/\r?\n/) : [];
+    const b = after ? String(after).split(/\r?\n/) : [];
+    const lines = [];
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        a.forEach((text, i) => lines.push({ type: 'removed', text, old_line: i + 1, new_line: null }));
+        b.forEach((text, j) => lines.push({ type: 'added', text, old_line: null, new_line: j + 1 }));
+    } else {
+        // lcs[i][j] = length of the LCS of a[i..] and b[j..], stored row-major
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                lines.push({ type: 'context', text: a[i], old_line: i + 1, new_line: j + 1 });
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+                lines.push({ type: 'added', text: b[j], old_line: null, new_line: j + 1 });
+                j++;
+            } else {
+                lines.push({ type: 'removed', text: a[i], old_line: i + 1, new_line: null });
+                i++;
+            }
+        }
+    }
+
+    return {
+        lines,
+        stats: {
+            added: lines.filter(l => l.type === 'added').length,
+            removed: lines.filter(l => l.type === 'removed').length
+        }
+    };
+};
+
+/**
+ * Structural diff of two JSON documents.
+ *
+ * @returns {Object[]|null} `{ path, type: 'added'|'removed'|'changed', from, to }` entries,
+ *   or null if either side is not valid JSON.
+ */
+export const diffJson = (before, after) => {
+    let a;
+    let b;
+    try {
+        a = JSON.parse(before || 'null');
+        b = JSON.parse(after || 'null');
+    } catch {
+        return null;
+    }
+
+    const changes = [];
+    const isObject = (v) => v !== null && typeof v === 'object';
+    const walk = (x, y, path) => {
+        if (isObject(x) && isObject(y) && Array.isArray(x) === Array.isArray(y)) {
+            const keys = new Set([...Object.keys(x), ...Object.keys(y)]);
+            for (const key of keys) {
+                const childPath = Array.isArray(x) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+                if (!(key in x)) changes.push({ path: childPath, type: 'added', from: undefined, to: y[key] });
+                else if (!(key in y)) changes.push({ path: childPath, type: 'removed', from: x[key], to: undefined });
+                else walk(x[key], y[key], childPath);
+            }
+        } else if (JSON.stringify(x) !== JSON.stringify(y)) {
+            changes.push({ path: path || '(root)', type: 'changed', from: x, to: y });
+        }
+    };
+    walk(a, b, '');
+    return changes;
+};
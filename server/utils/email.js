@@ -0,0 +1,250 @@
+import pool from '../database.js';
+import { emailEnabled, sendMail } from './smtp.js';
+
+// Notifications.type values, in the order they are offered in preferences
+export const NOTIFICATION_TYPES = ['fault_assigned', 'status_change', 'escalation', 'low_stock', 'maintenance_due', 'system'];
+
+// Retry delays in minutes after the 1st, 2nd, ... failed attempt
+const RETRY_DELAYS_MIN = [1, 5, 15, 60];
+
+export const DEFAULT_PREFERENCES = {
+    email_enabled: true,
+    email_types: NOTIFICATION_TYPES,
+    delivery: 'immediate',
+    digest_hour: 8,
+    quiet_start: null,
+    quiet_end: null
+};
+
+const TEMPLATES = {
+    fault_assigned: { subject: 'Fault assigned to you', heading: 'You have a new fault assignment', action: 'Open the fault' },
+    status_change: { subject: 'Fault status update', heading: 'A fault you follow has changed', action: 'Open the fault' },
+    escalation: { subject: 'Fault escalated', heading: 'A fault has been escalated', action: 'Open the fault' },
+    low_stock: { subject: 'Low stock alert', heading: 'An inventory item is running low', action: 'Open inventory' },
+    maintenance_due: { subject: 'Maintenance due', heading: 'Preventive maintenance is due', action: 'Open maintenance' },
+    system: { subject: 'Notice', heading: 'MnettyWise notice', action: 'Open MnettyWise' }
+};
+
+const TYPE_LABELS = {
+    fault_assigned: 'Assignments',
+    status_change: 'Status changes',
+    escalation: 'Escalations',
+    low_stock: 'Low stock',
+    maintenance_due: 'Maintenance',
+    system: 'System'
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const appUrl = (link) => `${(process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')}${link || '/'}`;
+
+const layout = (heading, content) => `<!DOCTYPE html>
+<html><body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: 0 auto;">
+<h2 style="color: #1d4ed8;">${escapeHtml(heading)}</h2>
+${content}
+<p style="color: #6b7280; font-size: 12px; margin-top: 32px;">Sent by MnettyWise Network Manager. Change what you receive under Notifications &rarr; Preferences.</p>
+</body></html>`;
+
+/**
+ * Renders the email for one notification.
+ *
+ * @param {{ type: string, message: string, link?: string }} notification
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export const renderNotificationEmail = ({ type, message, link }) => {
+    const template = TEMPLATES[type] || TEMPLATES.system;
+    const url = appUrl(link);
+    const summary = message.length > 80 ? `${message.slice(0, 77)}...` : message;
+    return {
+        subject: `[MnettyWise] ${template.subject}: ${summary}`,
+        text: `${template.heading}\n\n${message}\n\n${template.action}: ${url}\n`,
+        html: layout(template.heading, `<p>${escapeHtml(message)}</p>
+<p><a href="${escapeHtml(url)}" style="color: #1d4ed8;">${escapeHtml(template.action)}</a></p>`)
+    };
+};
+
+/**
+ * Renders a digest of several notifications, grouped by type.
+ *
+ * @param {Object[]} notifications - Notifications rows, oldest first.
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export const renderDigestEmail = (notifications) => {
+    const groups = NOTIFICATION_TYPES
+        .map(type => ({ type, items: notifications.filter(n => n.type === type) }))
+        .filter(group => group.items.length > 0);
+    const time = (n) => new Date(n.created_at).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+    const text = groups.map(({ type, items }) =>
+        `${TYPE_LABELS[type]} (${items.length})\n${items.map(n => `- ${time(n)}: ${n.message}\n  ${appUrl(n.link)}`).join('\n')}`
+    ).join('\n\n');
+    const html = groups.map(({ type, items }) => `<h3>${TYPE_LABELS[type]} (${items.length})</h3>
+<ul>${items.map(n => `<li><a href="${escapeHtml(appUrl(n.link))}" style="color: #1d4ed8;">${escapeHtml(n.message)}</a> <span style="color: #6b7280;">${escapeHtml(time(n))}</span></li>`).join('')}</ul>`).join('\n');
+
+    const count = notifications.length;
+    return {
+        subject: `[MnettyWise] Daily digest: ${count} notification${count === 1 ? '' : 's'}`,
+        text: `Your MnettyWise notifications\n\n${text}\n`,
+        html: layout('Your MnettyWise notifications', html)
+    };
+};
+
+// 'HH:MM:SS' from MySQL to 'HH:MM'
+const shortTime = (value) => (value ? String(value).slice(0, 5) : null);
+
+/**
+ * A user's notification preferences, with defaults for anything not set.
+ *
+ * @param {number} userId
+ * @returns {Promise<Object>}
+ */
+export const getPreferences = async (userId) => {
+    const [rows] = await pool.query('SELECT * FROM Notification_Preferences WHERE user_id = ?', [userId]);
+    if (rows.length === 0) return { ...DEFAULT_PREFERENCES };
+
+    const row = rows[0];
+    const types = typeof row.email_types === 'string' ? JSON.parse(row.email_types) : row.email_types;
+    return {
+        email_enabled: Boolean(row.email_enabled),
+        email_types: types || NOTIFICATION_TYPES,
+        delivery: row.delivery,
+        digest_hour: row.digest_hour,
+        quiet_start: shortTime(row.quiet_start),
+        quiet_end: shortTime(row.quiet_end),
+        last_digest_at: row.last_digest_at
+    };
+};
+
+/**
+ * When quiet hours that cover `now` end, or null outside quiet hours. Times are
+ * server local time; a start after the end spans midnight (22:00-07:00).
+ *
+ * @param {{ quiet_start: string|null, quiet_end: string|null }} preferences
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+export const quietUntil = ({ quiet_start, quiet_end }, now = new Date()) => {
+    if (!quiet_start || !quiet_end || quiet_start === quiet_end) return null;
+
+    const toMinutes = (time) => {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + m;
+    };
+    const start = toMinutes(quiet_start);
+    const end = toMinutes(quiet_end);
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    const inside = start < end ? current >= start && current < end : current >= start || current < end;
+    if (!inside) return null;
+
+    const until = new Date(now);
+    until.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (until <= now) until.setDate(until.getDate() + 1);
+    return until;
+};
+
+const queueEmail = async ({ userId, notificationId = null, kind, to, email, sendAt = null }) => {
+    const [result] = await pool.query(
+        `INSERT INTO Email_Deliveries (user_id, notification_id, kind, to_address, subject, body_text, body_html, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()))`,
+        [userId, notificationId, kind, to, email.subject, email.text, email.html, sendAt]
+    );
+    return result.insertId;
+};
+
+/**
+ * Queues the email for a new notification if the recipient wants it now.
+ * Digest users get it in their next digest instead; quiet hours hold it back
+ * until they end. Does nothing unless SMTP is configured.
+ *
+ * @param {{ notificationId: number, userId: number, type: string, message: string, link?: string }} notification
+ */
+export const queueNotificationEmail = async ({ notificationId, userId, type, message, link }) => {
+    if (!emailEnabled()) return;
+
+    const [users] = await pool.query("SELECT email FROM Users WHERE user_id = ? AND status = 'Active'", [userId]);
+    if (users.length === 0 || !users[0].email) return;
+
+    const preferences = await getPreferences(userId);
+    if (!preferences.email_enabled || !preferences.email_types.includes(type) || preferences.delivery !== 'immediate') return;
+
+    await queueEmail({
+        userId,
+        notificationId,
+        kind: 'immediate',
+        to: users[0].email,
+        email: renderNotificationEmail({ type, message, link }),
+        sendAt: quietUntil(preferences)
+    });
+};
+
+/**
+ * Queues a digest of the notifications a user received since their last one.
+ *
+ * @param {Object} user - `{ user_id, email }`.
+ * @param {Object} preferences - From getPreferences.
+ * @param {Date} now
+ * @returns {Promise<number>} Notifications included (0 when nothing was queued).
+ */
+export const queueDigest = async (user, preferences, now = new Date()) => {
+    const since = preferences.last_digest_at || new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const [notifications] = await pool.query(
+        `SELECT * FROM Notifications
+         WHERE user_id = ? AND created_at > ? AND created_at <= ? AND type IN (?)
+         ORDER BY created_at ASC`,
+        [user.user_id, since, now, preferences.email_types.length ? preferences.email_types : ['']]
+    );
+
+    if (notifications.length > 0) {
+        await queueEmail({ userId: user.user_id, kind: 'digest', to: user.email, email: renderDigestEmail(notifications) });
+    }
+    await pool.query('UPDATE Notification_Preferences SET last_digest_at = ? WHERE user_id = ?', [now, user.user_id]);
+    return notifications.length;
+};
+
+/**
+ * Queues a test email to a user, ignoring their preferences.
+ *
+ * @returns {Promise<number>} The delivery ID.
+ */
+export const queueTestEmail = async (user) => queueEmail({
+    userId: user.user_id,
+    kind: 'test',
+    to: user.email,
+    email: renderNotificationEmail({
+        type: 'system',
+        message: 'This is a test email. If you can read it, email notifications are working.',
+        link: '/'
+    })
+});
+
+/**
+ * Attempts one queued delivery and records the outcome. Failures are retried
+ * with a growing delay until EMAIL_MAX_ATTEMPTS (default 5) is reached.
+ *
+ * @param {Object} delivery - Email_Deliveries row.
+ * @returns {Promise<boolean>} Whether the email was accepted by the SMTP server.
+ */
+export const deliverEmail = async (delivery) => {
+    const maxAttempts = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+    const attempts = delivery.attempts + 1;
+    try {
+        await sendMail({ to: delivery.to_address, subject: delivery.subject, text: delivery.body_text, html: delivery.body_html });
+        await pool.query(
+            "UPDATE Email_Deliveries SET status = 'sent', attempts = ?, last_error = NULL, sent_at = NOW() WHERE delivery_id = ?",
+            [attempts, delivery.delivery_id]
+        );
+        return true;
+    } catch (error) {
+        const failed = attempts >= maxAttempts;
+        const delay = RETRY_DELAYS_MIN[Math.min(attempts, RETRY_DELAYS_MIN.length) - 1];
+        await pool.query(
+            `UPDATE Email_Deliveries
+             SET status = ?, attempts = ?, last_error = ?, next_attempt_at = NOW() + INTERVAL ? MINUTE
+             WHERE delivery_id = ?`,
+            [failed ? 'failed' : 'pending', attempts, String(error.message).slice(0, 500), delay, delivery.delivery_id]
+        );
+        return false;
+    }
+};
@@ -0,0 +1,266 @@
+import net from 'net';
+import pool from '../database.js';
+import { createFault, getSystemReporter } from './faults.js';
+import { canonicalIp } from './ipam.js';
+import { activeWindowCondition } from './maintenanceWindows.js';
+import { publish } from './events.js';
+import { invalidateSearchIndex } from './searchIndex.js';
+import { SYSLOG_SEVERITIES } from './syslog.js';
+import { describeTrap } from './snmpTrap.js';
+
+const RULE_CACHE_MS = 30000;
+// A fault kept open by a stream of repeats gets at most one comment per minute
+const COMMENT_INTERVAL_SECONDS = 60;
+const SUMMARY_LENGTH = 120;
+
+let ruleCache = null;
+let ruleCacheLoadedAt = 0;
+
+// Called by the rules API so edits apply to the next event rather than after the cache expires
+export const invalidateEventRules = () => {
+    ruleCache = null;
+};
+
+async function loadRules() {
+    if (ruleCache && Date.now() - ruleCacheLoadedAt < RULE_CACHE_MS) return ruleCache;
+
+    const [rules] = await pool.query('SELECT * FROM Event_Rules WHERE is_active = TRUE ORDER BY position ASC, rule_id ASC');
+    ruleCache = rules.flatMap((rule) => {
+        try {
+            return [{ ...rule, regex: rule.pattern ? new RegExp(rule.pattern, 'i') : null }];
+        } catch (error) {
+            console.error(`Event rule ${rule.rule_id} has an invalid pattern and is skipped:`, error.message);
+            return [];
+        }
+    });
+    ruleCacheLoadedAt = Date.now();
+    return ruleCache;
+}
+
+/**
+ * Inbound event for a parsed syslog message. A HOSTNAME that is an IP address
+ * is kept as `reported_ip` so messages forwarded by a trusted relay still find
+ * their device.
+ *
+ * @param {Object} message - parseSyslog result.
+ * @param {string} senderIp - UDP source address.
+ */
+export const syslogEvent = (message, senderIp) => ({
+    source: 'syslog',
+    sender_ip: senderIp,
+    reported_ip: net.isIP(message.hostname || '') ? message.hostname : null,
+    severity: message.severity,
+    hostname: message.hostname,
+    app_name: message.app_name,
+    message: message.message,
+    text: message.app_name ? `${message.app_name}: ${message.message}` : message.message,
+    details: {
+        format: message.format, facility: message.facility, proc_id: message.proc_id, msg_id: message.msg_id,
+        structured_data: message.structured_data, timestamp: message.timestamp
+    }
+});
+
+/**
+ * Inbound event for a decoded SNMP trap or inform.
+ *
+ * @param {Object} trap - parseTrap result.
+ * @param {string} senderIp - UDP source address.
+ */
+export const trapEvent = (trap, senderIp) => {
+    const text = describeTrap(trap);
+    return {
+        source: 'snmp',
+        sender_ip: senderIp,
+        reported_ip: net.isIP(trap.agent_address || '') ? trap.agent_address : null,
+        severity: trap.severity,
+        hostname: null,
+        app_name: trap.trap_name || trap.trap_oid,
+        message: text,
+        text,
+        details: { pdu: trap.pdu, trap_oid: trap.trap_oid, uptime: trap.uptime, varbinds: trap.varbinds }
+    };
+};
+
+/**
+ * First active rule the event satisfies: same source (or 'any'), at least as
+ * severe as max_severity, and the pattern (case-insensitive) found in the text.
+ *
+ * @param {Object[]} rules - Event_Rules rows with a compiled `regex`.
+ * @param {Object} event - syslogEvent / trapEvent result.
+ * @returns {Object|undefined}
+ */
+export const matchRule = (rules, event) => rules.find(rule =>
+    (rule.source === 'any' || rule.source === event.source)
+    && (event.severity === null || event.severity === undefined || event.severity <= rule.max_severity)
+    && (!rule.regex || rule.regex.test(event.text))
+);
+
+// Senders in INGEST_TRUSTED_RELAYS (comma-separated) may report events for other devices
+const isTrustedRelay = (address) => (process.env.INGEST_TRUSTED_RELAYS || '')
+    .split(',')
+    .some(relay => relay.trim() && canonicalIp(relay.trim()) === canonicalIp(address));
+
+// Events belong to their UDP source. Anyone who can reach the port can put any
+// address in a packet, so the syslog HOSTNAME or snmpTrapAddress.0 is only used,
+// ahead of the source, when the sender is a trusted relay.
+async function findComponent(event) {
+    const addresses = event.reported_ip && isTrustedRelay(event.sender_ip)
+        ? [...new Set([event.reported_ip, event.sender_ip])]
+        : [event.sender_ip];
+    const [rows] = await pool.query(`
+        SELECT nc.component_id, nc.name, nc.ip_address, nc.status,
+               ${activeWindowCondition('nc')} as in_maintenance_window
+        FROM Network_Components nc
+        WHERE nc.ip_address IN (?)
+    `, [addresses]);
+    for (const address of addresses) {
+        const component = rows.find(row => row.ip_address === address);
+        if (component) return component;
+    }
+    return null;
+}
+
+// Open fault this rule raised (or folded into an upstream outage) for the component within the dedup window
+async function findDedupFault(rule, component) {
+    if (rule.dedup_minutes <= 0) return null;
+    const [rows] = await pool.query(`
+        SELECT ie.fault_id
+        FROM Inbound_Events ie
+        JOIN Faults f ON ie.fault_id = f.fault_id
+        WHERE ie.rule_id = ? AND ie.component_id = ?
+          AND ie.outcome IN ('created', 'updated', 'deduplicated', 'suppressed')
+          AND ie.received_at >= NOW() - INTERVAL ? MINUTE
+          AND f.status IN ('Open', 'In Progress', 'Pending')
+        ORDER BY ie.event_id DESC
+        LIMIT 1
+    `, [rule.rule_id, component.component_id, rule.dedup_minutes]);
+    return rows.length ? rows[0].fault_id : null;
+}
+
+const summarize = (event) => {
+    const line = String(event.text || '').split('\n')[0].trim() || `${event.source} event`;
+    return line.length > SUMMARY_LENGTH ? `${line.slice(0, SUMMARY_LENGTH - 3)}...` : line;
+};
+
+function describeEvent(event) {
+    const severity = event.severity === null || event.severity === undefined
+        ? 'unknown'
+        : `${SYSLOG_SEVERITIES[event.severity]} (${event.severity})`;
+    const from = event.hostname && event.hostname !== event.sender_ip ? `${event.sender_ip} (${event.hostname})` : event.sender_ip;
+    return `${event.source === 'snmp' ? 'SNMP trap' : 'Syslog message'} from ${from}, severity ${severity}:\n${event.text}`;
+}
+
+// Adds the repeat to the fault as a comment unless one was added in the last minute
+async function updateFault(faultId, event, reporter) {
+    const [[latest]] = await pool.query(`
+        SELECT MAX(received_at) as last_update,
+               MAX(received_at) >= NOW() - INTERVAL ? SECOND as is_recent
+        FROM Inbound_Events
+        WHERE fault_id = ? AND outcome IN ('created', 'updated', 'suppressed')
+    `, [COMMENT_INTERVAL_SECONDS, faultId]);
+    if (latest.is_recent) return 'deduplicated';
+
+    const [[held]] = await pool.query(
+        "SELECT COUNT(*) as count FROM Inbound_Events WHERE fault_id = ? AND outcome = 'deduplicated' AND received_at >= ?",
+        [faultId, latest.last_update || new Date(0)]
+    );
+    const more = held.count > 0 ? `\n(${held.count} more similar event${held.count === 1 ? '' : 's'} since the last update)` : '';
+
+    await pool.query(
+        'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+        [faultId, reporter, `Repeated: ${describeEvent(event)}${more}`]
+    );
+    invalidateSearchIndex();
+    publish('comment', { entity: 'fault', fault_id: faultId });
+    return 'updated';
+}
+
+async function raiseFault(event, component, rule) {
+    const reporter = await getSystemReporter(process.env.INGEST_REPORTER_USER_ID);
+    if (!reporter) throw new Error(`No active Admin to report a fault for component ${component.component_id}`);
+
+    const dedupFaultId = await findDedupFault(rule, component);
+    if (dedupFaultId) {
+        return { outcome: await updateFault(dedupFaultId, event, reporter), faultId: dedupFaultId };
+    }
+
+    const { faultId, suppressed } = await createFault({
+        componentId: component.component_id,
+        reportedBy: reporter,
+        title: `${component.name}: ${summarize(event)}`.slice(0, 255),
+        description: `${describeEvent(event)}\n\nOpened automatically by event rule "${rule.name}".`,
+        category: rule.category,
+        priority: rule.priority,
+        auditDetails: { source: event.source === 'snmp' ? 'snmp_trap' : 'syslog', event_rule: rule.name, sender_ip: event.sender_ip }
+    });
+    return suppressed ? { outcome: 'suppressed', faultId: suppressed.fault_id } : { outcome: 'created', faultId };
+}
+
+/**
+ * Works out what an event would do without changing anything.
+ *
+ * @param {Object} event - syslogEvent / trapEvent result.
+ * @returns {Promise<{ component: Object|null, rule: Object|null, outcome: string, fault_id: number|null }>}
+ *   outcome is unmatched (no component), ignored (no rule), suppressed (component
+ *   in maintenance), updated (an open fault within the dedup window) or created.
+ */
+export async function evaluateEvent(event) {
+    const component = await findComponent(event);
+    const rule = component ? matchRule(await loadRules(), event) || null : null;
+
+    let outcome = 'created';
+    let faultId = null;
+    if (!component) outcome = 'unmatched';
+    else if (!rule) outcome = 'ignored';
+    else if (['Inactive', 'Maintenance'].includes(component.status) || component.in_maintenance_window) outcome = 'suppressed';
+    else {
+        faultId = await findDedupFault(rule, component);
+        if (faultId) outcome = 'updated';
+    }
+    return { component, rule, outcome, fault_id: faultId };
+}
+
+/**
+ * Applies the rules to one event: opens a fault, adds it to the open fault the
+ * same rule raised within its dedup window, or skips it when the component is
+ * unknown, no rule matches or the component is in maintenance. Events matching
+ * a rule are logged in Inbound_Events; the rest only with INGEST_LOG_UNMATCHED=true.
+ * Events must be ingested one at a time for dedup to hold.
+ *
+ * @param {Object} event - syslogEvent / trapEvent result.
+ * @returns {Promise<{ outcome: string, fault_id: number|null, rule_id: number|null, component_id: number|null }>}
+ */
+export async function ingestEvent(event) {
+    const { component, rule, outcome: evaluated } = await evaluateEvent(event);
+
+    let outcome = evaluated;
+    let faultId = null;
+    if (['created', 'updated'].includes(evaluated)) {
+        ({ outcome, faultId } = await raiseFault(event, component, rule));
+    }
+
+    if (rule || process.env.INGEST_LOG_UNMATCHED === 'true') {
+        await pool.query(
+            `INSERT INTO Inbound_Events
+                (source, sender_ip, component_id, severity, hostname, app_name, message, details, rule_id, fault_id, outcome)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [event.source, event.sender_ip, component ? component.component_id : null, event.severity,
+                event.hostname ? String(event.hostname).slice(0, 255) : null,
+                event.app_name ? String(event.app_name).slice(0, 100) : null,
+                event.message, JSON.stringify(event.details || {}), rule ? rule.rule_id : null, faultId, outcome]
+        );
+    }
+
+    return { outcome, fault_id: faultId, rule_id: rule ? rule.rule_id : null, component_id: component ? component.component_id : null };
+}
+
+/**
+ * Deletes logged events older than the retention period.
+ *
+ * @param {number} days
+ * @returns {Promise<number>} Rows deleted.
+ */
+export async function pruneInboundEvents(days) {
+    const [result] = await pool.query('DELETE FROM Inbound_Events WHERE received_at < NOW() - INTERVAL ? DAY', [days]);
+    return result.affectedRows;
+}
@@ -0,0 +1,71 @@
+// Live updates pushed to signed-in browsers over Server-Sent Events (GET /api/events).
+// Events are small hints ("fault 12 changed"); pages reload what they show from the API.
+
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+let nextEventId = 1;
+let heartbeat = null;
+
+// Ends a stream whose token has expired. The browser's reconnect is then
+// refused like any other call with that token, so it stays closed until the next login.
+const closeIfExpired = (client) => {
+    if (!client.expiresAt || client.expiresAt > Date.now()) return false;
+    client.remove();
+    client.res.end();
+    return true;
+};
+
+/**
+ * Registers an open event stream.
+ *
+ * @param {Object} res - Express response, already sent with text/event-stream headers.
+ * @param {Object} user - req.user of the stream's owner.
+ * @param {number} [expiresAt] - When the owner's token expires (ms since the
+ *   epoch); the heartbeat ends the stream after that.
+ * @returns {Function} Removes the client; call when the connection closes.
+ */
+export const addClient = (res, user, expiresAt = null) => {
+    const client = { res, user, expiresAt };
+    client.remove = () => {
+        clients.delete(client);
+        if (clients.size === 0 && heartbeat) {
+            clearInterval(heartbeat);
+            heartbeat = null;
+        }
+    };
+    clients.add(client);
+
+    // Comments keep proxies from closing an idle stream
+    if (!heartbeat) {
+        heartbeat = setInterval(() => {
+            for (const c of clients) {
+                if (!closeIfExpired(c)) c.res.write(': ping\n\n');
+            }
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+    }
+
+    return client.remove;
+};
+
+/**
+ * Sends an event to the connected clients. With no audience every client gets it.
+ *
+ * @param {string} type - notification | fault | component | comment | maintenance.
+ * @param {Object} data - JSON payload.
+ * @param {Object} [audience]
+ * @param {number[]} [audience.userIds] - Only these users.
+ * @param {string[]} [audience.roles] - Only users holding one of these roles.
+ */
+export const publish = (type, data, { userIds, roles } = {}) => {
+    if (clients.size === 0) return;
+
+    const message = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of clients) {
+        const { res, user } = client;
+        if (userIds && !userIds.includes(user.id)) continue;
+        if (roles && !roles.includes(user.role)) continue;
+        if (!closeIfExpired(client)) res.write(message);
+    }
+};
@@ -0,0 +1,108 @@
+import { once } from 'events';
+import pool from '../database.js';
+import { buildXlsx, MAX_XLSX_ROWS } from './xlsx.js';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Dates are written in server local time, the same clock the DATETIME columns use
+const formatDate = (date, withTime) => {
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return withTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : day;
+};
+
+/**
+ * Value of one export column for a row, in a form every format can carry:
+ * string, finite number, boolean or null.
+ *
+ * @param {Object} column - `{ key, header, type?: 'date'|'datetime'|'number'|'boolean', value?: row => any }`.
+ */
+const columnValue = (column, row) => {
+    const value = column.value ? column.value(row) : row[column.key];
+    if (value === null || value === undefined || value === '') return null;
+
+    if (value instanceof Date) return isNaN(value) ? null : formatDate(value, column.type !== 'date');
+    if (column.type === 'number') {
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+    if (column.type === 'boolean') return value === true || Number(value) === 1;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+const csvField = (value) => {
+    if (value === null) return '';
+    let text = String(value);
+    // Stop spreadsheets from running cell text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Streams the rows of a query to the response as CSV, XLSX or NDJSON.
+ * CSV and NDJSON are written row by row as they come from MySQL; XLSX is
+ * assembled in memory because the archive needs its sizes up front.
+ *
+ * @param {Object} res - Express response.
+ * @param {Object} options
+ * @param {string} options.name - Used for the file and sheet name.
+ * @param {string} options.format - csv, xlsx or ndjson.
+ * @param {Object[]} options.columns - Column definitions (see columnValue).
+ * @param {string} options.sql
+ * @param {Array} options.params
+ * @param {Function} [options.filter] - Drops rows that return false.
+ * @param {Function} [options.map] - Adds computed fields to each row.
+ * @returns {Promise<number>} Rows written. Errors after the headers went out can only
+ *   be handled by closing the response.
+ */
+export const streamExport = async (res, { name, format, columns, sql, params, filter, map }) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const connection = await pool.getConnection();
+    let count = 0;
+    let finished = false;
+
+    try {
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${name}_${formatDate(new Date(), false)}.${extension}"`);
+
+        const write = async (chunk) => {
+            if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        };
+        const xlsxRows = [];
+
+        if (format === 'csv') await write(`${columns.map(c => csvField(c.header)).join(',')}\r\n`);
+
+        // The promise wrapper has no streaming, so use the underlying connection
+        const rows = connection.connection.query(sql, params).stream({ highWaterMark: 100 });
+        for await (const raw of rows) {
+            if (res.destroyed) return count;
+            const row = map ? map(raw) : raw;
+            if (filter && !filter(row)) continue;
+
+            const values = columns.map(c => columnValue(c, row));
+            count++;
+            if (format === 'csv') {
+                await write(`${values.map(csvField).join(',')}\r\n`);
+            } else if (format === 'ndjson') {
+                await write(`${JSON.stringify(Object.fromEntries(columns.map((c, i) => [c.key, values[i]])))}\n`);
+            } else if (xlsxRows.length < MAX_XLSX_ROWS) {
+                xlsxRows.push(values);
+            }
+        }
+
+        if (format === 'xlsx') res.write(buildXlsx(name, columns.map(c => c.header), xlsxRows));
+        res.end();
+        finished = true;
+        return count;
+    } finally {
+        // A query abandoned half way (client gone, error) leaves the connection unusable
+        if (finished) connection.release();
+        else connection.destroy();
+    }
+};
@@ -0,0 +1,513 @@
+import pool from '../database.js';
+import { logAction } from './auditLogger.js';
+import { createFault } from './faults.js';
+import { resumeSla } from './sla.js';
+import { setComponentStatus } from './componentStatus.js';
+import { notifyUser } from './notify.js';
+import { publish } from './events.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { tokenize } from './searchIndex.js';
+
+const OPEN_STATUSES = ['Open', 'In Progress', 'Pending'];
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+// Faults reported longer ago than this are not offered as duplicates, even if still open
+const WINDOW_HOURS = Number(process.env.FAULT_DUPLICATE_WINDOW_HOURS) || 48;
+const THRESHOLD = Number(process.env.FAULT_DUPLICATE_THRESHOLD) || 0.3;
+const MAX_SUGGESTIONS = 5;
+
+const ref = (id) => `FLT-${String(id).padStart(3, '0')}`;
+
+// Words that appear in reports of every kind of fault and say nothing about which one it is
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that',
+    'there', 'has', 'have', 'had', 'not', 'no', 'on', 'in', 'at', 'to', 'of', 'for', 'from', 'with', 'by', 'as',
+    'we', 'i', 'my', 'our', 'can', 'cannot', 'any', 'all', 'some', 'again', 'still', 'please', 'since', 'very',
+    'issue', 'issues', 'problem', 'problems', 'fault', 'faults'
+]);
+
+// Crude stemming so "failing", "failed" and "fails" count as the same word
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+const keyTerms = (text) => new Set(
+    tokenize(text).filter(t => !STOP_WORDS.has(t) && (t.length > 1 || /\d/.test(t))).map(stem)
+);
+
+// Dice coefficient: shared terms over the average number of terms
+const overlap = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) if (b.has(term)) shared++;
+    return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * How alike two fault reports read, from 0 to 1. Titles weigh more than
+ * descriptions, which tend to differ in length and detail.
+ *
+ * @param {{ title: string, description?: string }} a
+ * @param {{ title: string, description?: string }} b
+ * @returns {number}
+ */
+export const similarity = (a, b) => {
+    const title = overlap(keyTerms(a.title), keyTerms(b.title));
+    const full = overlap(keyTerms(`${a.title} ${a.description || ''}`), keyTerms(`${b.title} ${b.description || ''}`));
+    return Math.round((0.6 * title + 0.4 * full) * 100) / 100;
+};
+
+/**
+ * Open faults that a new report probably duplicates: same component, reported
+ * within FAULT_DUPLICATE_WINDOW_HOURS and at least FAULT_DUPLICATE_THRESHOLD
+ * similar. Merged faults are never offered.
+ *
+ * @param {Object} report
+ * @param {number} report.componentId
+ * @param {string} report.title
+ * @param {string} [report.description]
+ * @param {number} [report.excludeId] - The fault being compared, when it already exists.
+ * @returns {Promise<Object[]>} Up to five faults, most similar first, each with a `score`.
+ */
+export const findDuplicateFaults = async ({ componentId, title, description, excludeId = null }) => {
+    if (!componentId || !title) return [];
+
+    const [candidates] = await pool.query(`
+        SELECT f.fault_id, f.title, f.description, f.status, f.priority, f.category, f.reported_at, f.parent_fault_id,
+               u.username as reported_by_name, CONCAT(t.first_name, ' ', t.last_name) as technician_name
+        FROM Faults f
+        LEFT JOIN Users u ON f.reported_by = u.user_id
+        LEFT JOIN Users t ON f.assigned_to = t.user_id
+        WHERE f.component_id = ? AND f.status IN (?) AND f.merged_into_fault_id IS NULL
+          AND f.reported_at >= NOW() - INTERVAL ? HOUR AND f.fault_id != ?
+    `, [componentId, OPEN_STATUSES, WINDOW_HOURS, excludeId || 0]);
+
+    return candidates
+        .map(f => ({ ...f, score: similarity({ title, description }, f) }))
+        .filter(f => f.score >= THRESHOLD)
+        .sort((a, b) => b.score - a.score || b.fault_id - a.fault_id)
+        .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Adds a report to an existing open fault instead of opening a duplicate. The
+ * report is kept in Fault_Reports and shown on the fault as a comment. A fault
+ * that was merged away passes the report on to the fault it was merged into.
+ *
+ * @param {Object} params
+ * @param {number} params.faultId
+ * @param {{ id: number, username: string }} params.user - The reporter.
+ * @param {string} params.title
+ * @param {string} [params.description]
+ * @param {Object} [params.req] - Express request, for the audit IP address.
+ * @returns {Promise<{ faultId: number, reportId: number }|{ error: string, status: number }>}
+ */
+export const attachReport = async ({ faultId, user, title, description, req }) => {
+    let [faults] = await pool.query('SELECT fault_id, status, assigned_to, merged_into_fault_id FROM Faults WHERE fault_id = ?', [faultId]);
+    if (faults.length && faults[0].merged_into_fault_id) {
+        [faults] = await pool.query('SELECT fault_id, status, assigned_to, merged_into_fault_id FROM Faults WHERE fault_id = ?', [faults[0].merged_into_fault_id]);
+    }
+    if (faults.length === 0) return { error: 'Fault not found', status: 404 };
+
+    const fault = faults[0];
+    if (!OPEN_STATUSES.includes(fault.status)) {
+        return { error: `${ref(fault.fault_id)} is already ${fault.status}. Report a new fault if the problem is back.`, status: 409 };
+    }
+
+    const [result] = await pool.query(
+        "INSERT INTO Fault_Reports (fault_id, reported_by, title, description, source) VALUES (?, ?, ?, ?, 'duplicate')",
+        [fault.fault_id, user.id, title, description || null]
+    );
+    await pool.query(
+        'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+        [fault.fault_id, user.id, `Also reported: ${title}${description ? ` - ${description}` : ''}`]
+    );
+
+    if (fault.assigned_to && fault.assigned_to !== user.id) {
+        await notifyUser(fault.assigned_to, 'system', `${ref(fault.fault_id)} was also reported by ${user.username}`, `/faults?highlight=${fault.fault_id}`);
+    }
+
+    publish('comment', { entity: 'fault', fault_id: fault.fault_id });
+    publish('fault', { action: 'reported', fault_id: fault.fault_id });
+
+    await logAction({
+        userId: user.id,
+        action: 'ATTACH_FAULT_REPORT',
+        entityType: 'Fault',
+        entityId: fault.fault_id,
+        details: { title, report_id: result.insertId, requested_fault_id: Number(faultId) },
+        req
+    });
+
+    return { faultId: fault.fault_id, reportId: result.insertId };
+};
+
+/**
+ * Folds duplicate faults into one. Their comments (marked with where they came
+ * from), attachments, extra reports and inbound events move to the target,
+ * their reporters are recorded as reports on it, and each is Closed with
+ * merged_into_fault_id set. Audit entries stay on the merged faults so their history can still be
+ * looked up.
+ *
+ * @param {Object} params
+ * @param {number} params.targetId - Fault that survives.
+ * @param {number[]} params.sourceIds - Faults merged into it.
+ * @param {{ id: number, username: string }} params.user
+ * @param {Object} [params.req]
+ * @returns {Promise<{ faultId: number, merged: number[], comments: number }|{ error: string, status: number }>}
+ */
+export const mergeFaults = async ({ targetId, sourceIds, user, req }) => {
+    const ids = [...new Set((sourceIds || []).map(Number))];
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        return { error: 'fault_ids must list the faults to merge', status: 400 };
+    }
+    if (ids.includes(Number(targetId))) return { error: 'A fault cannot be merged into itself', status: 400 };
+
+    const [faults] = await pool.query('SELECT * FROM Faults WHERE fault_id IN (?)', [[Number(targetId), ...ids]]);
+    const target = faults.find(f => f.fault_id === Number(targetId));
+    if (!target) return { error: 'Fault not found', status: 404 };
+    if (target.merged_into_fault_id) {
+        return { error: `${ref(target.fault_id)} was merged into ${ref(target.merged_into_fault_id)}; merge into that fault instead`, status: 409 };
+    }
+    if (target.status === 'Closed') return { error: `${ref(target.fault_id)} is Closed; reopen it before merging into it`, status: 409 };
+
+    const sources = ids.map(id => faults.find(f => f.fault_id === id));
+    const missing = ids.filter((id, i) => !sources[i]);
+    if (missing.length) return { error: `Fault not found: ${missing.map(ref).join(', ')}`, status: 404 };
+    const alreadyMerged = sources.find(f => f.merged_into_fault_id);
+    if (alreadyMerged) {
+        return { error: `${ref(alreadyMerged.fault_id)} was already merged into ${ref(alreadyMerged.merged_into_fault_id)}`, status: 409 };
+    }
+
+    // Children of a merged incident follow it; grouping stays one level deep, so
+    // they join the target's own incident when the target is itself a child
+    const targetParentMerged = ids.includes(target.parent_fault_id);
+    const newParentId = target.parent_fault_id && !targetParentMerged ? target.parent_fault_id : target.fault_id;
+    const note = `Merged into ${ref(target.fault_id)}`;
+
+    let connection;
+    let movedComments;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // merged_from_fault_id is assigned first so it still sees the original fault_id
+        const [comments] = await connection.query(
+            'UPDATE Fault_Comments SET merged_from_fault_id = COALESCE(merged_from_fault_id, fault_id), fault_id = ? WHERE fault_id IN (?)',
+            [target.fault_id, ids]
+        );
+        movedComments = comments.affectedRows;
+
+        await connection.query('UPDATE Fault_Reports SET fault_id = ? WHERE fault_id IN (?)', [target.fault_id, ids]);
+        await connection.query(
+            `INSERT INTO Fault_Reports (fault_id, reported_by, title, description, source, reported_at)
+             SELECT ?, reported_by, title, description, 'merge', reported_at FROM Faults WHERE fault_id IN (?)`,
+            [target.fault_id, ids]
+        );
+        await connection.query('UPDATE Inbound_Events SET fault_id = ? WHERE fault_id IN (?)', [target.fault_id, ids]);
+        await connection.query('UPDATE Attachments SET fault_id = ? WHERE fault_id IN (?)', [target.fault_id, ids]);
+
+        if (targetParentMerged) {
+            await connection.query('UPDATE Faults SET parent_fault_id = NULL WHERE fault_id = ?', [target.fault_id]);
+        }
+        await connection.query(
+            'UPDATE Faults SET parent_fault_id = ? WHERE parent_fault_id IN (?) AND fault_id != ?',
+            [newParentId, ids, target.fault_id]
+        );
+
+        await connection.query(
+            `UPDATE Faults SET status = 'Closed', closed_at = COALESCE(closed_at, NOW()), merged_into_fault_id = ?, parent_fault_id = NULL,
+                resolution_notes = CONCAT_WS('\\n', resolution_notes, ?)
+             WHERE fault_id IN (?)`,
+            [target.fault_id, note, ids]
+        );
+
+        await connection.query(
+            'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+            [target.fault_id, user.id, `Merged ${ids.map(ref).join(', ')} into this fault (${movedComments} comment${movedComments === 1 ? '' : 's'} moved)`]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) await connection.rollback();
+        throw error;
+    } finally {
+        if (connection) connection.release();
+    }
+
+    for (const source of sources) {
+        if (source.status === 'Pending') await resumeSla(source.fault_id);
+
+        if (source.reported_by !== user.id) {
+            await notifyUser(source.reported_by, 'status_change', `Your fault ${ref(source.fault_id)} was merged into ${ref(target.fault_id)}`, `/faults?highlight=${target.fault_id}`);
+        }
+
+        publish('fault', { action: 'status', fault_id: source.fault_id, status: 'Closed', old_status: source.status, merged_into_fault_id: target.fault_id });
+        if (source.status !== 'Closed') {
+            await emitWebhookEvent('fault.status_changed', {
+                fault_id: source.fault_id, title: source.title, priority: source.priority, component_id: source.component_id,
+                status: 'Closed', old_status: source.status, resolution_notes: note, response_time_minutes: null,
+                changed_by: user.id, merged_into_fault_id: target.fault_id
+            });
+        }
+
+        await logAction({
+            userId: user.id,
+            action: 'MERGE_FAULT',
+            entityType: 'Fault',
+            entityId: source.fault_id,
+            details: { merged_into_fault_id: target.fault_id, old_status: source.status },
+            req
+        });
+    }
+
+    publish('comment', { entity: 'fault', fault_id: target.fault_id });
+    publish('fault', { action: 'merged', fault_id: target.fault_id, merged_fault_ids: ids });
+    await emitWebhookEvent('fault.merged', {
+        fault_id: target.fault_id, title: target.title, component_id: target.component_id, merged_fault_ids: ids, merged_by: user.id
+    });
+
+    await logAction({
+        userId: user.id,
+        action: 'MERGE_FAULT',
+        entityType: 'Fault',
+        entityId: target.fault_id,
+        details: { merged_fault_ids: ids, comments_moved: movedComments },
+        req
+    });
+
+    return { faultId: target.fault_id, merged: ids, comments: movedComments };
+};
+
+// Why `child` cannot be grouped under `parent`, or null. Grouping is one level deep.
+function groupingError(child, parent, childCounts) {
+    if (child.fault_id === parent.fault_id) return 'A fault cannot be grouped under itself';
+    if (child.merged_into_fault_id) return `${ref(child.fault_id)} was merged into ${ref(child.merged_into_fault_id)}`;
+    if (childCounts[child.fault_id]) {
+        return `${ref(child.fault_id)} is itself an incident with ${childCounts[child.fault_id]} grouped fault(s)`;
+    }
+    if (['Resolved', 'Closed'].includes(child.status)) return `${ref(child.fault_id)} is already ${child.status}`;
+    return null;
+}
+
+function parentError(parent) {
+    if (parent.merged_into_fault_id) return `${ref(parent.fault_id)} was merged into ${ref(parent.merged_into_fault_id)}`;
+    if (parent.parent_fault_id) {
+        return `${ref(parent.fault_id)} is grouped under ${ref(parent.parent_fault_id)}; group under that incident instead`;
+    }
+    if (!OPEN_STATUSES.includes(parent.status)) return `${ref(parent.fault_id)} is already ${parent.status}`;
+    return null;
+}
+
+const countChildren = async (ids) => {
+    const [rows] = await pool.query(
+        'SELECT parent_fault_id, COUNT(*) as count FROM Faults WHERE parent_fault_id IN (?) GROUP BY parent_fault_id',
+        [ids]
+    );
+    return Object.fromEntries(rows.map(r => [r.parent_fault_id, r.count]));
+};
+
+const loadChildren = async (childIds) => {
+    const ids = [...new Set((childIds || []).map(Number))];
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        return { error: 'fault_ids must list the faults to group', status: 400 };
+    }
+    const [children] = await pool.query('SELECT * FROM Faults WHERE fault_id IN (?)', [ids]);
+    const missing = ids.filter(id => !children.some(c => c.fault_id === id));
+    if (missing.length) return { error: `Fault not found: ${missing.map(ref).join(', ')}`, status: 404 };
+    return { ids, children, childCounts: await countChildren(ids) };
+};
+
+/**
+ * Groups open faults under a parent incident, so resolving or closing the
+ * parent does the same to them. Faults already under another parent move.
+ *
+ * @param {Object} params
+ * @param {number} params.parentId
+ * @param {number[]} params.childIds
+ * @param {{ id: number }} params.user
+ * @param {Object} [params.req]
+ * @returns {Promise<{ parentId: number, grouped: number[] }|{ error: string, status: number }>}
+ */
+export const groupFaults = async ({ parentId, childIds, user, req }) => {
+    const [parents] = await pool.query('SELECT * FROM Faults WHERE fault_id = ?', [parentId]);
+    if (parents.length === 0) return { error: 'Fault not found', status: 404 };
+    const parent = parents[0];
+    const invalidParent = parentError(parent);
+    if (invalidParent) return { error: invalidParent, status: 409 };
+
+    const loaded = await loadChildren(childIds);
+    if (loaded.error) return loaded;
+    for (const child of loaded.children) {
+        const invalid = groupingError(child, parent, loaded.childCounts);
+        if (invalid) return { error: invalid, status: 409 };
+    }
+
+    const grouped = loaded.children.filter(c => c.parent_fault_id !== parent.fault_id);
+    if (grouped.length === 0) return { parentId: parent.fault_id, grouped: [] };
+
+    await pool.query('UPDATE Faults SET parent_fault_id = ? WHERE fault_id IN (?)', [parent.fault_id, grouped.map(c => c.fault_id)]);
+
+    for (const child of grouped) {
+        await pool.query(
+            'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+            [child.fault_id, user.id, `Grouped under incident ${ref(parent.fault_id)}: ${parent.title}`]
+        );
+        publish('fault', { action: 'grouped', fault_id: child.fault_id, parent_fault_id: parent.fault_id });
+        await logAction({
+            userId: user.id,
+            action: 'GROUP_FAULT',
+            entityType: 'Fault',
+            entityId: child.fault_id,
+            details: { parent_fault_id: parent.fault_id, previous_parent_fault_id: child.parent_fault_id },
+            req
+        });
+    }
+    publish('fault', { action: 'grouped', fault_id: parent.fault_id });
+
+    return { parentId: parent.fault_id, grouped: grouped.map(c => c.fault_id) };
+};
+
+/**
+ * Takes a fault out of its parent incident.
+ *
+ * @returns {Promise<{ faultId: number, parentId: number|null }|{ error: string, status: number }>}
+ */
+export const ungroupFault = async ({ faultId, user, req }) => {
+    const [faults] = await pool.query('SELECT fault_id, parent_fault_id FROM Faults WHERE fault_id = ?', [faultId]);
+    if (faults.length === 0) return { error: 'Fault not found', status: 404 };
+    const { parent_fault_id: parentId } = faults[0];
+    if (!parentId) return { faultId: Number(faultId), parentId: null };
+
+    await pool.query('UPDATE Faults SET parent_fault_id = NULL WHERE fault_id = ?', [faultId]);
+    await pool.query(
+        'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+        [faultId, user.id, `Removed from incident ${ref(parentId)}`]
+    );
+
+    publish('fault', { action: 'ungrouped', fault_id: Number(faultId), parent_fault_id: parentId });
+    publish('fault', { action: 'grouped', fault_id: parentId });
+    await logAction({
+        userId: user.id,
+        action: 'UNGROUP_FAULT',
+        entityType: 'Fault',
+        entityId: faultId,
+        details: { parent_fault_id: parentId },
+        req
+    });
+
+    return { faultId: Number(faultId), parentId };
+};
+
+/**
+ * Opens a new parent incident and groups the given faults under it. Priority
+ * defaults to the highest among them and the component to the first one's.
+ *
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} [params.description]
+ * @param {string} [params.category]
+ * @param {string} [params.priority]
+ * @param {number} [params.componentId]
+ * @param {number[]} params.childIds
+ * @param {{ id: number }} params.user
+ * @param {Object} [params.req]
+ * @returns {Promise<{ faultId: number, grouped: number[] }|{ error: string, status: number }>}
+ */
+export const createIncident = async ({ title, description, category, priority, componentId, childIds, user, req }) => {
+    if (!title || !String(title).trim()) return { error: 'Incident title is required', status: 400 };
+    if (priority && !PRIORITIES.includes(priority)) return { error: `priority must be one of ${PRIORITIES.join(', ')}`, status: 400 };
+
+    const loaded = await loadChildren(childIds);
+    if (loaded.error) return loaded;
+    if (loaded.ids.length < 2) return { error: 'An incident needs at least two faults', status: 400 };
+    const placeholder = { fault_id: 0 };
+    for (const child of loaded.children) {
+        const invalid = groupingError(child, placeholder, loaded.childCounts);
+        if (invalid) return { error: invalid, status: 409 };
+    }
+
+    const first = loaded.children.find(c => c.fault_id === loaded.ids[0]);
+    const highest = loaded.children.reduce((best, c) => (PRIORITIES.indexOf(c.priority) > PRIORITIES.indexOf(best) ? c.priority : best), 'Low');
+
+    // Grouped faults already cover their components, so the incident is never folded into an upstream outage
+    const { faultId } = await createFault({
+        componentId: componentId || first.component_id,
+        reportedBy: user.id,
+        title: String(title).trim(),
+        description: description || `Incident covering ${loaded.ids.map(ref).join(', ')}`,
+        category: category || first.category,
+        priority: priority || highest,
+        auditDetails: { incident_for: loaded.ids },
+        suppressIfUpstreamDown: false,
+        req
+    });
+
+    const result = await groupFaults({ parentId: faultId, childIds: loaded.ids, user, req });
+    if (result.error) return result;
+    return { faultId, grouped: result.grouped };
+};
+
+/**
+ * Carries a parent incident's resolution to its children: Resolved resolves
+ * the open ones, Closed closes everything not yet Closed. Each child gets the
+ * same side effects as a status change made by hand, but as a system change it
+ * is not checked against the fault workflow.
+ *
+ * @param {Object} params
+ * @param {Object} params.parent - Faults row before the change.
+ * @param {string} params.status - The parent's new status.
+ * @param {string} [params.resolutionNotes]
+ * @param {{ id: number }} params.user
+ * @param {Object} [params.req]
+ * @returns {Promise<number[]>} IDs of the children that changed.
+ */
+export const cascadeParentStatus = async ({ parent, status, resolutionNotes, user, req }) => {
+    if (!['Resolved', 'Closed'].includes(status)) return [];
+
+    const fromStatuses = status === 'Resolved' ? OPEN_STATUSES : [...OPEN_STATUSES, 'Resolved'];
+    const [children] = await pool.query(
+        'SELECT * FROM Faults WHERE parent_fault_id = ? AND merged_into_fault_id IS NULL AND status IN (?)',
+        [parent.fault_id, fromStatuses]
+    );
+
+    const notes = `${status} with incident ${ref(parent.fault_id)}${resolutionNotes ? `: ${resolutionNotes}` : ''}`;
+    const link = (id) => `/faults?highlight=${id}`;
+
+    for (const child of children) {
+        const responseTime = child.resolved_at ? null : Math.round((Date.now() - new Date(child.reported_at)) / 60000);
+        if (child.status === 'Pending') await resumeSla(child.fault_id);
+
+        await pool.query(
+            `UPDATE Faults SET status = ?, resolution_notes = COALESCE(resolution_notes, ?),
+                resolved_at = COALESCE(resolved_at, NOW()), response_time_minutes = COALESCE(response_time_minutes, ?),
+                closed_at = CASE WHEN ? = 'Closed' THEN NOW() ELSE closed_at END
+             WHERE fault_id = ?`,
+            [status, notes, responseTime, status, child.fault_id]
+        );
+
+        await setComponentStatus(child.component_id, 'Active', {
+            source: 'fault_resolution', referenceId: child.fault_id, userId: user.id, onlyFrom: ['Faulty']
+        });
+
+        const message = `Fault ${ref(child.fault_id)} is now ${status} (resolved with incident ${ref(parent.fault_id)})`;
+        for (const recipient of new Set([child.reported_by, child.assigned_to])) {
+            if (recipient && recipient !== user.id) await notifyUser(recipient, 'status_change', message, link(child.fault_id));
+        }
+
+        publish('fault', { action: 'status', fault_id: child.fault_id, status, old_status: child.status, parent_fault_id: parent.fault_id });
+        await emitWebhookEvent('fault.status_changed', {
+            fault_id: child.fault_id, title: child.title, priority: child.priority, component_id: child.component_id,
+            status, old_status: child.status, resolution_notes: child.resolution_notes || notes,
+            response_time_minutes: responseTime, changed_by: user.id, parent_fault_id: parent.fault_id
+        });
+
+        await logAction({
+            userId: user.id,
+            action: 'CASCADE_FAULT_STATUS',
+            entityType: 'Fault',
+            entityId: child.fault_id,
+            details: { status, old_status: child.status, parent_fault_id: parent.fault_id },
+            req
+        });
+    }
+
+    return children.map(c => c.fault_id);
+};
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_WORKFLOW_PATH = path.join(__dirname, '../data/faultWorkflow.json');
+
+// Values of the Faults.status column; a workflow can use fewer but not others
+export const FAULT_STATUSES = ['Open', 'In Progress', 'Pending', 'Resolved', 'Closed'];
+const ROLES = ['Admin', 'Manager', 'Technician', 'Staff'];
+// People allowed by their relation to the fault rather than their role
+const ACTORS = ['reporter', 'assignee'];
+// Body fields a transition can require
+export const TRANSITION_FIELDS = {
+    resolution_notes: 'Resolution notes',
+    reason: 'Reason'
+};
+
+let workflow = null;
+
+const isSubset = (values, allowed) => Array.isArray(values) && values.every(v => allowed.includes(v));
+
+/**
+ * Checks a workflow definition: statuses from the Faults.status column
+ * (including Open, which new faults start in), and transitions with a unique
+ * id, known statuses, roles, actors and required fields, someone allowed to
+ * perform them, and at most one transition between any two statuses.
+ *
+ * @param {Object} definition - `{ statuses, transitions: [{ id, label, from, to, roles, actors, requires }] }`.
+ * @returns {string|null} What is wrong, or null when it is valid.
+ */
+export const validateWorkflow = (definition) => {
+    if (!definition || typeof definition !== 'object') return 'Workflow must be an object';
+    const { statuses, transitions } = definition;
+    if (!isSubset(statuses, FAULT_STATUSES) || !statuses.includes('Open')) {
+        return `statuses must include Open and only use ${FAULT_STATUSES.join(', ')}`;
+    }
+    if (!Array.isArray(transitions)) return 'transitions must be a list';
+
+    const ids = new Set();
+    const pairs = new Set();
+    for (const t of transitions) {
+        const name = t && t.id ? `Transition "${t.id}"` : 'A transition';
+        if (!t || !t.id || ids.has(t.id)) return `${name} needs a unique id`;
+        ids.add(t.id);
+        if (!t.label) return `${name} needs a label`;
+        if (!isSubset(t.from, statuses) || t.from.length === 0) return `${name}: from must list statuses of this workflow`;
+        if (!statuses.includes(t.to)) return `${name}: to must be a status of this workflow`;
+        if (t.from.includes(t.to)) return `${name} cannot go from ${t.to} to itself`;
+        if (!isSubset(t.roles || [], ROLES)) return `${name}: roles must be from ${ROLES.join(', ')}`;
+        if (!isSubset(t.actors || [], ACTORS)) return `${name}: actors must be from ${ACTORS.join(', ')}`;
+        if (!(t.roles || []).length && !(t.actors || []).length) return `${name} must allow at least one role or actor`;
+        if (!isSubset(t.requires || [], Object.keys(TRANSITION_FIELDS))) {
+            return `${name}: requires must be from ${Object.keys(TRANSITION_FIELDS).join(', ')}`;
+        }
+        for (const from of t.from) {
+            if (pairs.has(`${from}>${t.to}`)) return `More than one transition from ${from} to ${t.to}`;
+            pairs.add(`${from}>${t.to}`);
+        }
+    }
+    return null;
+};
+
+const normalize = (definition) => ({
+    statuses: definition.statuses,
+    transitions: definition.transitions.map(t => ({
+        id: t.id, label: t.label, from: t.from, to: t.to, roles: t.roles || [], actors: t.actors || [], requires: t.requires || []
+    }))
+});
+
+/**
+ * The fault workflow: the bundled server/data/faultWorkflow.json, or the file
+ * FAULT_WORKFLOW_PATH points at. A custom file that cannot be read or is
+ * invalid is reported and the bundled workflow used instead.
+ *
+ * @returns {{ statuses: string[], transitions: Object[] }}
+ */
+export const getWorkflow = () => {
+    if (workflow) return workflow;
+
+    const bundled = JSON.parse(fs.readFileSync(BUNDLED_WORKFLOW_PATH, 'utf8'));
+    workflow = normalize(bundled);
+    if (process.env.FAULT_WORKFLOW_PATH) {
+        try {
+            const custom = JSON.parse(fs.readFileSync(process.env.FAULT_WORKFLOW_PATH, 'utf8'));
+            const error = validateWorkflow(custom);
+            if (error) throw new Error(error);
+            workflow = normalize(custom);
+        } catch (error) {
+            console.error('Failed to load fault workflow, using the bundled one:', error.message);
+        }
+    }
+    return workflow;
+};
+
+/**
+ * The transition from one status to another, if the workflow has one.
+ *
+ * @returns {Object|undefined}
+ */
+export const findTransition = (from, to) => getWorkflow().transitions.find(t => t.to === to && t.from.includes(from));
+
+// Whether the user may perform the transition on this fault, by role or as its reporter/assignee
+const isAllowed = (transition, fault, user) =>
+    transition.roles.includes(user.role)
+    || (transition.actors.includes('reporter') && fault.reported_by === user.id)
+    || (transition.actors.includes('assignee') && fault.assigned_to === user.id);
+
+/**
+ * Next steps the user can take on a fault, in workflow order. Merged faults have none.
+ *
+ * @param {Object} fault - Faults row (status, reported_by, assigned_to, merged_into_fault_id).
+ * @param {{ id: number, role: string }} user
+ * @returns {{ id: string, label: string, to: string, requires: string[] }[]}
+ */
+export const availableTransitions = (fault, user) => {
+    if (fault.merged_into_fault_id) return [];
+    return getWorkflow().transitions
+        .filter(t => t.from.includes(fault.status) && isAllowed(t, fault, user))
+        .map(({ id, label, to, requires }) => ({ id, label, to, requires }));
+};
+
+/**
+ * Checks a requested status change against the workflow.
+ *
+ * @param {Object} fault - Faults row before the change.
+ * @param {string} status - Requested status.
+ * @param {{ id: number, role: string }} user
+ * @param {Object} fields - Request body; required fields must be non-empty text.
+ * @returns {{ transition: Object }|{ error: string, status: number }}
+ *   400 for an unknown status or a missing field, 409 when the workflow has no
+ *   such step from the current status, 403 when the user may not take it.
+ */
+export const checkTransition = (fault, status, user, fields = {}) => {
+    const { statuses } = getWorkflow();
+    if (!statuses.includes(status)) return { error: `status must be one of ${statuses.join(', ')}`, status: 400 };
+    if (fault.status === status) return { error: `Fault is already ${status}`, status: 409 };
+
+    const transition = findTransition(fault.status, status);
+    if (!transition) {
+        const next = getWorkflow().transitions.filter(t => t.from.includes(fault.status)).map(t => t.to);
+        return {
+            error: `A fault cannot go from ${fault.status} to ${status}${next.length ? `; from ${fault.status} it can go to ${[...new Set(next)].join(', ')}` : ''}`,
+            status: 409
+        };
+    }
+    if (!isAllowed(transition, fault, user)) {
+        const who = [...transition.roles, ...transition.actors.map(a => `the ${a}`)]
+            .join(', ').replace(/, ([^,]*)$/, ' or $1');
+        return { error: `${transition.label} can only be done by ${who}`, status: 403 };
+    }
+
+    const missing = transition.requires.filter(field => !String(fields[field] ?? '').trim());
+    if (missing.length) {
+        return { error: `${transition.label} requires ${missing.map(f => TRANSITION_FIELDS[f].toLowerCase()).join(' and ')}`, status: 400 };
+    }
+    return { transition };
+};
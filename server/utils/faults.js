@@ -0,0 +1,149 @@
+import pool from '../database.js';
+import { logAction } from './auditLogger.js';
+import { applySlaPolicy } from './sla.js';
+import { setComponentStatus } from './componentStatus.js';
+import { findDownUpstream } from './topology.js';
+import { publish } from './events.js';
+import { invalidateSearchIndex } from './searchIndex.js';
+import { emitWebhookEvent } from './webhooks.js';
+
+/**
+ * Opens a new fault. Shared by POST /api/faults and automated sources such as
+ * the reachability poller so every fault gets the same SLA, component status
+ * and audit handling no matter where it came from.
+ *
+ * If a component upstream of this one is already Faulty with an open fault,
+ * no new fault is created: the report is added to that fault as a comment
+ * and `suppressed` is returned instead.
+ *
+ * @param {Object} params
+ * @param {number} params.componentId - Affected component.
+ * @param {number} params.reportedBy - User recorded as the reporter.
+ * @param {string} params.title - Short summary.
+ * @param {string} params.description - Full description.
+ * @param {string} params.category - Fault category (e.g. 'network').
+ * @param {string} [params.priority='Medium'] - Critical | High | Medium | Low.
+ * @param {Object} [params.auditDetails] - Extra fields for the CREATE_FAULT audit entry.
+ * @param {boolean} [params.suppressIfUpstreamDown=true] - Fold the report into an upstream outage.
+ * @param {Object} [params.req] - Express request, for the audit IP address.
+ * @returns {Promise<{ faultId: number|null, slaPolicy: Object|null, suppressed?: Object }>}
+ *   `suppressed` is `{ fault_id, component_id, name }` of the upstream outage when the report was folded in.
+ */
+export const createFault = async ({
+    componentId, reportedBy, title, description, category, priority = 'Medium', auditDetails = {},
+    suppressIfUpstreamDown = true, req
+}) => {
+    if (suppressIfUpstreamDown && componentId) {
+        const upstream = await findDownUpstream(componentId);
+        if (upstream) {
+            await suppressChildFault({ upstream, componentId, reportedBy, title, description, req });
+            return { faultId: null, slaPolicy: null, suppressed: upstream };
+        }
+    }
+
+    const [result] = await pool.query(
+        `INSERT INTO Faults(component_id, reported_by, title, description, category, priority)
+VALUES(?, ?, ?, ?, ?, ?)`,
+        [componentId, reportedBy, title, description, category, priority]
+    );
+
+    const slaPolicy = await applySlaPolicy(result.insertId);
+    invalidateSearchIndex();
+
+    // Update component status if it's a critical fault
+    if (priority === 'Critical' && componentId) {
+        await setComponentStatus(componentId, 'Faulty', { source: 'fault', referenceId: result.insertId, userId: reportedBy });
+    }
+
+    // Log fault creation
+    await logAction({
+        userId: reportedBy,
+        action: 'CREATE_FAULT',
+        entityType: 'Fault',
+        entityId: result.insertId,
+        details: { title, priority, status: 'Open', sla_policy: slaPolicy ? slaPolicy.name : null, ...auditDetails },
+        req
+    });
+
+    publish('fault', { action: 'created', fault_id: result.insertId, component_id: componentId || null, priority });
+
+    const faultEvent = {
+        fault_id: result.insertId, title, description, category, priority, status: 'Open',
+        component_id: componentId || null, reported_by: reportedBy, sla_policy: slaPolicy ? slaPolicy.name : null
+    };
+    await emitWebhookEvent('fault.created', faultEvent);
+    if (priority === 'Critical') await emitWebhookEvent('fault.critical', faultEvent);
+
+    return { faultId: result.insertId, slaPolicy };
+};
+
+/**
+ * Changes a fault's priority and handles it as a fault opened at that priority:
+ * the SLA targets are recalculated, a raise to Critical marks the component
+ * Faulty and fires fault.critical, and open pages are told.
+ *
+ * @param {Object} fault - Faults row before the change.
+ * @param {string} priority - Critical | High | Medium | Low.
+ * @param {Object} [options]
+ * @param {number} [options.userId] - Who changed it; null for automatic changes.
+ * @param {Object} [options.eventDetails] - Extra fields for the fault.critical event.
+ * @returns {Promise<Object|null>} The SLA policy now applied, or null if none
+ *   matches the new priority (the fault then keeps its targets).
+ */
+export const changeFaultPriority = async (fault, priority, { userId = null, eventDetails = {} } = {}) => {
+    await pool.query('UPDATE Faults SET priority = ? WHERE fault_id = ?', [priority, fault.fault_id]);
+    const slaPolicy = await applySlaPolicy(fault.fault_id);
+    invalidateSearchIndex();
+
+    if (priority === 'Critical' && fault.component_id) {
+        await setComponentStatus(fault.component_id, 'Faulty', { source: 'fault', referenceId: fault.fault_id, userId });
+    }
+
+    publish('fault', { action: 'priority', fault_id: fault.fault_id, priority, old_priority: fault.priority });
+    if (priority === 'Critical') {
+        await emitWebhookEvent('fault.critical', {
+            fault_id: fault.fault_id, title: fault.title, priority, previous_priority: fault.priority,
+            status: fault.status, component_id: fault.component_id || null, assigned_to: fault.assigned_to || null,
+            sla_policy: slaPolicy ? slaPolicy.name : null, ...eventDetails
+        });
+    }
+    return slaPolicy;
+};
+
+/**
+ * User recorded as the reporter of automatically opened faults.
+ *
+ * @param {string|number} [preferredUserId] - Configured reporter, e.g. POLLER_REPORTER_USER_ID.
+ * @returns {Promise<number|null>} The preferred user, else the first active Admin.
+ */
+export const getSystemReporter = async (preferredUserId) => {
+    if (preferredUserId) return Number(preferredUserId);
+    const [admins] = await pool.query(
+        "SELECT user_id FROM Users WHERE role = 'Admin' AND status = 'Active' ORDER BY user_id ASC LIMIT 1"
+    );
+    return admins.length ? admins[0].user_id : null;
+};
+
+// Records a child report against the upstream outage instead of opening a duplicate fault
+async function suppressChildFault({ upstream, componentId, reportedBy, title, description, req }) {
+    const [components] = await pool.query('SELECT name FROM Network_Components WHERE component_id = ?', [componentId]);
+    const childName = components.length ? components[0].name : `component ${componentId}`;
+
+    await pool.query(
+        'INSERT INTO Fault_Comments (fault_id, user_id, comment) VALUES (?, ?, ?)',
+        [upstream.fault_id, reportedBy,
+            `Related report on downstream ${childName} (not opened separately because ${upstream.name} is down): ${title}${description ? ` - ${description}` : ''}`]
+    );
+
+    invalidateSearchIndex();
+    publish('comment', { entity: 'fault', fault_id: upstream.fault_id });
+
+    await logAction({
+        userId: reportedBy,
+        action: 'SUPPRESS_CHILD_FAULT',
+        entityType: 'Fault',
+        entityId: upstream.fault_id,
+        details: { component_id: componentId, title, upstream_component_id: upstream.component_id },
+        req
+    });
+}
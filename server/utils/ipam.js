@@ -0,0 +1,259 @@
+import net from 'net';
+import pool from '../database.js';
+
+// Addresses are handled as BigInt so IPv4 and IPv6 share the same arithmetic.
+
+// Subnets with more addresses than this are not listed address by address
+export const MAX_LISTED_ADDRESSES = 1024;
+
+/**
+ * Parses an IPv4 or IPv6 address.
+ *
+ * @param {string} value
+ * @returns {{ version: 4|6, value: bigint }|null} null if the address is invalid.
+ */
+export const parseIp = (value) => {
+    const text = String(value || '').trim();
+    const version = net.isIP(text);
+
+    if (version === 4) {
+        return { version, value: text.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n) };
+    }
+    if (version !== 6) return null;
+
+    let address = text.toLowerCase().split('%')[0];
+    // A trailing dotted quad (::ffff:192.0.2.1) becomes two hex groups
+    const dotted = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const v4 = parseIp(dotted[1]).value;
+        address = address.slice(0, -dotted[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    return { version, value: groups.reduce((acc, group) => (acc << 16n) + BigInt(`0x${group || '0'}`), 0n) };
+};
+
+/**
+ * Formats an address in canonical form (dotted quad, or RFC 5952 for IPv6).
+ */
+export const formatIp = (value, version) => {
+    if (version === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) groups.push(((value >> shift) & 0xffffn).toString(16));
+
+    // Collapse the longest run of two or more zero groups
+    let best = { start: -1, length: 1 };
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== '0') { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === '0') j++;
+        if (j - i > best.length) best = { start: i, length: j - i };
+        i = j;
+    }
+    if (best.start === -1) return groups.join(':');
+    return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+};
+
+// Canonical text of an address, or null if it is invalid
+export const canonicalIp = (value) => {
+    const ip = parseIp(value);
+    return ip ? formatIp(ip.value, ip.version) : null;
+};
+
+/**
+ * Parses CIDR notation such as 192.168.1.0/24 or 2001:db8::/64.
+ *
+ * @returns {{ version, prefix, network: bigint, last: bigint, size: bigint, cidr: string }|{ error: string }}
+ */
+export const parseCidr = (cidr) => {
+    const [address, prefixText, extra] = String(cidr || '').trim().split('/');
+    const ip = parseIp(address);
+    if (!ip || extra !== undefined || !/^\d{1,3}$/.test(prefixText || '')) {
+        return { error: 'Subnet must be in CIDR notation, e.g. 192.168.1.0/24' };
+    }
+
+    const bits = ip.version === 4 ? 32n : 128n;
+    const prefix = Number(prefixText);
+    if (prefix > Number(bits)) return { error: `Prefix length must be 0-${bits} for IPv${ip.version}` };
+
+    const size = 1n << (bits - BigInt(prefix));
+    const network = ip.value & ~(size - 1n) & ((1n << bits) - 1n);
+    if (network !== ip.value) {
+        return { error: `${address} has host bits set; did you mean ${formatIp(network, ip.version)}/${prefix}?` };
+    }
+
+    return { version: ip.version, prefix, network, last: network + size - 1n, size, cidr: `${formatIp(network, ip.version)}/${prefix}` };
+};
+
+// First and last addresses that can be given to hosts
+export const usableRange = (subnet) => {
+    // IPv4 networks keep their network and broadcast addresses, except point-to-point /31 and /32
+    if (subnet.version === 4 && subnet.prefix < 31) return [subnet.network + 1n, subnet.last - 1n];
+    return [subnet.network, subnet.last];
+};
+
+export const contains = (subnet, ip) => ip.version === subnet.version && ip.value >= subnet.network && ip.value <= subnet.last;
+
+/**
+ * Why an address in a managed subnet cannot be given to a component: it is
+ * the network or broadcast address, the gateway, or inside a reserved range.
+ *
+ * @param {{ version: 4|6, value: bigint }} ip - Parsed address.
+ * @param {Object[]} subnets - From loadSubnets.
+ * @returns {{ type: string, subnet: string, message: string, reservation?: Object }|null}
+ */
+export const addressProblem = (ip, subnets) => {
+    const subnet = subnets.find(s => contains(s.range, ip));
+    if (!subnet) return null;
+
+    const [first, last] = usableRange(subnet.range);
+    const gateway = parseIp(subnet.gateway);
+    const reservation = subnet.reservations.find(r => ip.value >= r.start && ip.value <= r.end);
+    if (ip.value < first || ip.value > last) {
+        return { type: 'unusable', subnet: subnet.cidr, message: `Network or broadcast address of ${subnet.cidr}` };
+    }
+    if (gateway && gateway.value === ip.value) {
+        return { type: 'gateway', subnet: subnet.cidr, message: `Gateway address of ${subnet.cidr}` };
+    }
+    if (reservation) {
+        return {
+            type: 'reserved',
+            subnet: subnet.cidr,
+            reservation,
+            message: `Inside reserved range ${reservation.start_address} - ${reservation.end_address}${reservation.description ? ` (${reservation.description})` : ''}`
+        };
+    }
+    return null;
+};
+
+/**
+ * Checks an address for a component: valid IPv4/IPv6, not already used by
+ * another component, and not the network, broadcast or gateway address or a
+ * reserved address of its subnet. A component keeping the address it already
+ * has is not held to the subnet rules, so older assignments can still be edited.
+ *
+ * @param {string} value - Address as entered.
+ * @param {number} [excludeComponentId] - The component being updated.
+ * @returns {Promise<{ address: string }|{ error: string, status: number }>} The canonical address, or why it was rejected.
+ */
+export const checkComponentIp = async (value, excludeComponentId = null) => {
+    const address = canonicalIp(value);
+    if (!address) return { error: `"${value}" is not a valid IPv4 or IPv6 address`, status: 400 };
+
+    const [existing] = await pool.query(
+        'SELECT component_id, name FROM Network_Components WHERE ip_address = ? AND component_id != ?',
+        [address, excludeComponentId || 0]
+    );
+    if (existing.length > 0) {
+        return { error: `${address} is already assigned to ${existing[0].name}`, status: 409 };
+    }
+
+    if (excludeComponentId) {
+        const [[current]] = await pool.query('SELECT ip_address FROM Network_Components WHERE component_id = ?', [excludeComponentId]);
+        if (current && canonicalIp(current.ip_address) === address) return { address };
+    }
+    const problem = addressProblem(parseIp(address), await loadSubnets());
+    if (problem) {
+        return { error: `${address} cannot be assigned: ${problem.message}`, status: 409 };
+    }
+    return { address };
+};
+
+// Loads subnets with their parsed ranges and reservations
+export const loadSubnets = async () => {
+    const [subnets] = await pool.query(`
+        SELECT s.*, d.name as department_name
+        FROM Subnets s
+        LEFT JOIN Departments d ON s.department_id = d.department_id
+    `);
+    const [reservations] = await pool.query('SELECT * FROM IP_Reservations ORDER BY reservation_id');
+
+    return subnets
+        .map(subnet => ({
+            ...subnet,
+            range: parseCidr(subnet.cidr),
+            reservations: reservations
+                .filter(r => r.subnet_id === subnet.subnet_id)
+                .map(r => ({ ...r, start: parseIp(r.start_address).value, end: parseIp(r.end_address).value }))
+        }))
+        // Address order, IPv4 first
+        .sort((a, b) => a.ip_version - b.ip_version
+            || (a.range.network < b.range.network ? -1 : a.range.network > b.range.network ? 1 : a.prefix_length - b.prefix_length));
+};
+
+// Components with a parseable address; db can be a connection inside a transaction
+export const loadComponentAddresses = async (db = pool) => {
+    const [components] = await db.query(
+        "SELECT component_id, name, type, status, ip_address FROM Network_Components WHERE ip_address IS NOT NULL AND ip_address != ''"
+    );
+    return components.map(c => ({ ...c, ip: parseIp(c.ip_address) }));
+};
+
+/**
+ * Usage figures for one subnet. The gateway counts as reserved.
+ *
+ * @returns {{ usable: string, used: number, reserved: string, free: string, utilization_percent: number }}
+ *   Counts that can exceed 2^53 (IPv6) are returned as strings.
+ */
+export const subnetUtilization = (subnet, components) => {
+    const [first, last] = usableRange(subnet.range);
+    const usable = last >= first ? last - first + 1n : 0n;
+
+    const used = components.filter(c => c.ip && contains(subnet.range, c.ip));
+    const inReservation = (value) => subnet.reservations.some(r => value >= r.start && value <= r.end);
+
+    let reserved = subnet.reservations.reduce((sum, r) => sum + (r.end - r.start + 1n), 0n);
+    // Addresses that are both reserved and in use count once, as used
+    reserved -= BigInt(used.filter(c => inReservation(c.ip.value)).length);
+    // A free gateway address is held back like a reservation
+    const gateway = parseIp(subnet.gateway);
+    if (gateway && gateway.value >= first && gateway.value <= last && !inReservation(gateway.value) &&
+        !used.some(c => c.ip.value === gateway.value)) {
+        reserved++;
+    }
+
+    const taken = BigInt(used.length) + reserved;
+    return {
+        usable: String(usable),
+        used: used.length,
+        reserved: String(reserved),
+        free: String(usable - taken),
+        utilization_percent: usable > 0n ? Number((taken * 10000n) / usable) / 100 : 0
+    };
+};
+
+/**
+ * Lowest usable address in a subnet that is not used by a component, reserved
+ * or the gateway.
+ *
+ * @returns {string|null} null when the subnet is full.
+ */
+export const nextFreeAddress = (subnet, components) => {
+    const taken = new Set(
+        components.filter(c => c.ip && contains(subnet.range, c.ip)).map(c => c.ip.value)
+    );
+    const gateway = parseIp(subnet.gateway);
+    if (gateway) taken.add(gateway.value);
+
+    let [candidate, last] = usableRange(subnet.range);
+    while (candidate <= last) {
+        const reservation = subnet.reservations.find(r => candidate >= r.start && candidate <= r.end);
+        if (reservation) {
+            candidate = reservation.end + 1n;
+        } else if (taken.has(candidate)) {
+            candidate++;
+        } else {
+            return formatIp(candidate, subnet.range.version);
+        }
+    }
+    return null;
+};
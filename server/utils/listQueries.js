@@ -0,0 +1,341 @@
+import { componentIdsByVendor } from './mac.js';
+
+// Filtered list queries shared by the list endpoints and the export API, so an
+// export always contains exactly what the list would show (minus paging).
+// Each builder returns `{ sql, params }` without ORDER BY; the matching *_LIST
+// definition says which sort keys the list accepts (see parseListOptions).
+
+const PRIORITY_ORDER = "FIELD(f.priority, 'Low', 'Medium', 'High', 'Critical')";
+
+export const FAULT_LIST = {
+    sorts: {
+        id: 'f.fault_id',
+        title: 'f.title',
+        priority: PRIORITY_ORDER,
+        status: 'f.status',
+        category: 'f.category',
+        component: 'component_name',
+        technician: 'technician_name',
+        reported_at: 'f.reported_at',
+        resolved_at: 'f.resolved_at'
+    },
+    // Sort by ID ascending (starting from FLT-001)
+    defaultSort: 'id',
+    tiebreak: 'f.fault_id',
+    computed: ['sla', 'next_actions']
+};
+
+// Relative reporting periods, so a saved view such as "this week" stays current
+export const DATE_RANGES = {
+    today: 'DATE(f.reported_at) = CURDATE()',
+    yesterday: 'DATE(f.reported_at) = CURDATE() - INTERVAL 1 DAY',
+    this_week: 'YEARWEEK(f.reported_at, 1) = YEARWEEK(CURDATE(), 1)',
+    last_7_days: 'f.reported_at >= NOW() - INTERVAL 7 DAY',
+    this_month: "DATE_FORMAT(f.reported_at, '%Y-%m') = DATE_FORMAT(CURDATE(), '%Y-%m')",
+    last_30_days: 'f.reported_at >= NOW() - INTERVAL 30 DAY'
+};
+
+/**
+ * Faults with component, department, technician, reporter and SLA policy.
+ * The sla_state filter depends on the current time and is applied by the caller.
+ * technician_id and reported_by accept `me` for the requesting user;
+ * parent_fault_id lists the faults grouped under an incident.
+ */
+export const faultListQuery = ({
+    status, priority, category, component_id, department_id, technician_id, from_date, to_date, date_range, reported_by,
+    parent_fault_id
+} = {}, userId = null) => {
+    const me = (value) => (value === 'me' ? userId : value);
+    let sql = `
+      SELECT f.*,
+            nc.name as component_name, nc.type as component_type,
+            d.name as department_name,
+            CONCAT(t.first_name, ' ', t.last_name) as technician_name,
+            u.username as reported_by_name,
+            sp.response_minutes, sp.resolution_minutes, sp.at_risk_percent,
+            (SELECT COUNT(*) FROM Fault_Comments fc WHERE fc.fault_id = f.fault_id) as comment_count,
+    (SELECT user_id FROM Fault_Comments fc WHERE fc.fault_id = f.fault_id ORDER BY created_at DESC LIMIT 1) as last_comment_user_id,
+            (SELECT COUNT(*) FROM Faults cf WHERE cf.parent_fault_id = f.fault_id) as child_count,
+            (SELECT COUNT(*) FROM Fault_Reports fr WHERE fr.fault_id = f.fault_id) as report_count
+      FROM Faults f
+      LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
+      LEFT JOIN Departments d ON nc.department_id = d.department_id
+      LEFT JOIN Users t ON f.assigned_to = t.user_id
+      LEFT JOIN Users u ON f.reported_by = u.user_id
+      LEFT JOIN SLA_Policies sp ON f.sla_policy_id = sp.policy_id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (status) {
+        sql += ' AND f.status = ?';
+        params.push(status);
+    }
+    if (priority) {
+        sql += ' AND f.priority = ?';
+        params.push(priority);
+    }
+    if (category) {
+        sql += ' AND f.category = ?';
+        params.push(category);
+    }
+    if (component_id) {
+        sql += ' AND f.component_id = ?';
+        params.push(component_id);
+    }
+    if (department_id) {
+        sql += ' AND nc.department_id = ?';
+        params.push(department_id);
+    }
+    if (technician_id) {
+        sql += ' AND f.assigned_to = ?';
+        params.push(me(technician_id));
+    }
+    if (reported_by) {
+        sql += ' AND f.reported_by = ?';
+        params.push(me(reported_by));
+    }
+    if (parent_fault_id) {
+        sql += ' AND f.parent_fault_id = ?';
+        params.push(parent_fault_id);
+    }
+    if (from_date) {
+        sql += ' AND DATE(f.reported_at) >= ?';
+        params.push(from_date);
+    }
+    if (to_date) {
+        sql += ' AND DATE(f.reported_at) <= ?';
+        params.push(to_date);
+    }
+    if (Object.hasOwn(DATE_RANGES, date_range)) {
+        sql += ` AND ${DATE_RANGES[date_range]}`;
+    }
+
+    return { sql, params };
+};
+
+export const COMPONENT_LIST = {
+    sorts: {
+        id: 'nc.component_id',
+        name: 'nc.name',
+        type: 'nc.type',
+        status: 'nc.status',
+        location: 'nc.location',
+        department: 'department_name',
+        ip_address: 'INET6_ATON(nc.ip_address)',
+        install_date: 'nc.install_date'
+    },
+    defaultSort: 'type,name',
+    tiebreak: 'nc.component_id',
+    computed: ['mac_vendor', 'mac_duplicate']
+};
+
+// Components with their department; search also matches the MAC vendor
+export const componentListQuery = async ({ type, status, search } = {}) => {
+    let sql = `
+            SELECT nc.*, d.name as department_name
+            FROM Network_Components nc
+            LEFT JOIN Departments d ON nc.department_id = d.department_id
+            WHERE 1=1
+        `;
+    const params = [];
+
+    if (type) {
+        sql += ' AND nc.type = ?';
+        params.push(type);
+    }
+    if (status) {
+        sql += ' AND nc.status = ?';
+        params.push(status);
+    }
+    if (search) {
+        // Vendors come from the OUI table, so match them to component IDs first
+        const vendorMatches = await componentIdsByVendor(search);
+        sql += ` AND (nc.name LIKE ? OR nc.location LIKE ? OR d.name LIKE ? OR nc.mac_address LIKE ?${vendorMatches.length > 0 ? ' OR nc.component_id IN (?)' : ''})`;
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+        if (vendorMatches.length > 0) params.push(vendorMatches);
+    }
+
+    return { sql, params };
+};
+
+export const MAINTENANCE_LIST = {
+    sorts: {
+        id: 'ml.log_id',
+        activity_date: 'ml.activity_date',
+        component: 'component_name',
+        technician: 'technician_name',
+        type: 'ml.type',
+        result: 'ml.result',
+        duration: 'ml.duration_minutes'
+    },
+    defaultSort: 'id',
+    tiebreak: 'ml.log_id'
+};
+
+// Maintenance log entries with component and technician
+export const maintenanceLogQuery = ({ component_id, technician_id } = {}) => {
+    let sql = `
+      SELECT ml.*,
+            nc.name as component_name, nc.type as component_type,
+            CONCAT(t.first_name, ' ', t.last_name) as technician_name,
+            (SELECT COUNT(*) FROM Maintenance_Comments mc WHERE mc.log_id = ml.log_id) as comment_count,
+    (SELECT user_id FROM Maintenance_Comments mc WHERE mc.log_id = ml.log_id ORDER BY created_at DESC LIMIT 1) as last_comment_user_id
+      FROM Maintenance_Logs ml
+      LEFT JOIN Network_Components nc ON ml.component_id = nc.component_id
+      LEFT JOIN Users t ON ml.technician_id = t.user_id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (component_id) {
+        sql += ' AND ml.component_id = ?';
+        params.push(component_id);
+    }
+    if (technician_id) {
+        sql += ' AND ml.technician_id = ?';
+        params.push(technician_id);
+    }
+
+    return { sql, params };
+};
+
+export const INVENTORY_LIST = {
+    sorts: {
+        id: 'item_id',
+        name: 'name',
+        category: 'category',
+        quantity: 'quantity',
+        unit_cost: 'unit_cost',
+        location: 'location'
+    },
+    defaultSort: 'id',
+    tiebreak: 'item_id',
+    computed: ['low_stock']
+};
+
+// Inventory items
+export const inventoryQuery = ({ category } = {}) => {
+    let sql = 'SELECT * FROM Inventory_Items WHERE 1=1';
+    const params = [];
+
+    if (category) {
+        sql += ' AND category = ?';
+        params.push(category);
+    }
+
+    return { sql, params };
+};
+
+export const AUDIT_LIST = {
+    sorts: {
+        created_at: 'al.created_at',
+        action: 'al.action',
+        entity_type: 'al.entity_type',
+        user: 'user_name'
+    },
+    defaultSort: '-created_at',
+    tiebreak: 'al.log_id',
+    // The audit log is too long to return whole
+    defaultLimit: 100
+};
+
+// Audit log entries with the acting user
+export const auditLogQuery = ({ entity_type, action, user_id, from_date, to_date } = {}) => {
+    let sql = `
+            SELECT al.*,
+                   CONCAT(u.first_name, ' ', u.last_name) as user_name,
+                   u.email as user_email
+            FROM Audit_Logs al
+            LEFT JOIN Users u ON al.user_id = u.user_id
+            WHERE 1=1
+        `;
+    const params = [];
+
+    if (entity_type) {
+        sql += ' AND al.entity_type = ?';
+        params.push(entity_type);
+    }
+    if (action) {
+        sql += ' AND al.action = ?';
+        params.push(action);
+    }
+    if (user_id) {
+        sql += ' AND al.user_id = ?';
+        params.push(user_id);
+    }
+    if (from_date) {
+        sql += ' AND DATE(al.created_at) >= ?';
+        params.push(from_date);
+    }
+    if (to_date) {
+        sql += ' AND DATE(al.created_at) <= ?';
+        params.push(to_date);
+    }
+
+    return { sql, params };
+};
+
+export const TEAM_LIST = {
+    sorts: {
+        id: 'u.user_id',
+        name: ['u.first_name', 'u.last_name'],
+        email: 'u.email',
+        role: 'u.role',
+        status: 'u.status',
+        department: 'department_name',
+        active_faults: 'active_faults',
+        created_at: 'u.created_at'
+    },
+    defaultSort: '-created_at',
+    tiebreak: 'u.user_id'
+};
+
+// Technicians, Staff and Managers with their open fault count
+export const teamQuery = () => ({
+    sql: `
+      SELECT u.user_id as id, CONCAT(u.first_name, ' ', u.last_name) as name, u.email, u.phone_number as phone, u.role, u.created_at, u.status, u.department_id,
+             d.name as department_name,
+             (SELECT COUNT(*) FROM Faults f WHERE f.assigned_to = u.user_id AND f.status IN ('Open', 'In Progress')) as active_faults
+      FROM Users u
+      LEFT JOIN Departments d ON u.department_id = d.department_id
+      WHERE u.role IN ('Technician', 'Staff', 'Manager')
+    `,
+    params: []
+});
+
+export const USER_LIST = {
+    sorts: {
+        id: 'u.user_id',
+        name: ['u.first_name', 'u.last_name'],
+        username: 'u.username',
+        email: 'u.email',
+        role: 'u.role',
+        status: 'u.status',
+        department: 'department_name'
+    },
+    defaultSort: 'name',
+    tiebreak: 'u.user_id'
+};
+
+// Users for dropdowns and the user list
+export const userListQuery = ({ role, status } = {}) => {
+    let sql = `
+            SELECT u.user_id, u.username, u.first_name, u.last_name, u.role, u.email, u.status, u.department_id, d.name as department_name, u.phone_number
+            FROM Users u
+            LEFT JOIN Departments d ON u.department_id = d.department_id
+            WHERE 1=1
+        `;
+    const params = [];
+
+    if (role) {
+        sql += ' AND u.role = ?';
+        params.push(role);
+    }
+    if (status) {
+        sql += ' AND u.status = ?';
+        params.push(status);
+    }
+
+    return { sql, params };
+};
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_OUI_PATH = path.join(__dirname, '../data/oui.json');
+
+let ouiTable = null;
+
+// Reads the IEEE MA-L registry export (oui.csv): Registry,Assignment,Organization Name,...
+const parseIeeeCsv = (text) => {
+    const table = {};
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^MA-L,([0-9A-Fa-f]{6}),("(?:[^"]|"")*"|[^,]*)/);
+        if (!match) continue;
+        const assignment = match[1].toUpperCase();
+        const vendor = match[2].replace(/^"|"$/g, '').replace(/""/g, '"').trim();
+        table[`${assignment.slice(0, 2)}:${assignment.slice(2, 4)}:${assignment.slice(4, 6)}`] = vendor;
+    }
+    return table;
+};
+
+/**
+ * OUI prefix ('AA:BB:CC') -> vendor name. Uses the bundled table, plus the
+ * full IEEE registry if OUI_DATABASE_PATH points at a downloaded oui.csv.
+ */
+export const loadOuiTable = () => {
+    if (ouiTable) return ouiTable;
+
+    ouiTable = JSON.parse(fs.readFileSync(BUNDLED_OUI_PATH, 'utf8'));
+    if (process.env.OUI_DATABASE_PATH) {
+        try {
+            Object.assign(ouiTable, parseIeeeCsv(fs.readFileSync(process.env.OUI_DATABASE_PATH, 'utf8')));
+        } catch (error) {
+            console.error('Failed to load OUI database:', error.message);
+        }
+    }
+    return ouiTable;
+};
+
+/**
+ * Normalizes a MAC address written as AA:BB:CC:DD:EE:FF, AA-BB-CC-DD-EE-FF,
+ * AABB.CCDD.EEFF or AABBCCDDEEFF.
+ *
+ * @returns {string|null} Upper-case, colon separated, or null if the format is not recognised.
+ */
+export const normalizeMac = (value) => {
+    const text = String(value || '').trim();
+    if (!/^([0-9A-Fa-f]{2}([:-])){5}[0-9A-Fa-f]{2}$/.test(text) &&
+        !/^([0-9A-Fa-f]{4}\.){2}[0-9A-Fa-f]{4}$/.test(text) &&
+        !/^[0-9A-Fa-f]{12}$/.test(text)) {
+        return null;
+    }
+    // A mix of : and - is not a valid format
+    if (text.includes(':') && text.includes('-')) return null;
+
+    const hex = text.replace(/[^0-9A-Fa-f]/g, '').toUpperCase();
+    return hex.match(/.{2}/g).join(':');
+};
+
+/**
+ * Validates a MAC address for a component's interface.
+ *
+ * @returns {{ mac: string }|{ error: string }}
+ */
+export const validateMac = (value) => {
+    const mac = normalizeMac(value);
+    if (!mac) return { error: `"${value}" is not a valid MAC address (e.g. 00:1A:2B:3C:4D:5E)` };
+    if (mac === '00:00:00:00:00:00') return { error: 'MAC address cannot be all zeros' };
+    // The I/G bit marks group (multicast/broadcast) addresses, which no interface owns
+    if (parseInt(mac.slice(0, 2), 16) & 1) return { error: `${mac} is a multicast or broadcast address` };
+    return { mac };
+};
+
+/**
+ * Hardware vendor of a MAC address.
+ *
+ * @returns {string|null} Vendor name, 'Locally administered' for random/virtual
+ *   addresses not in the table, or null if unknown or invalid.
+ */
+export const lookupVendor = (value) => {
+    const mac = normalizeMac(value);
+    if (!mac) return null;
+
+    const vendor = loadOuiTable()[mac.slice(0, 8)];
+    if (vendor) return vendor;
+    return parseInt(mac.slice(0, 2), 16) & 2 ? 'Locally administered' : null;
+};
+
+// Adds mac_vendor to component rows
+export const withVendor = (component) => ({ ...component, mac_vendor: lookupVendor(component.mac_address) });
+
+/**
+ * Groups components that share a MAC address. Stored values are compared in
+ * normalized form, so older rows in other formats are caught too.
+ *
+ * @param {Object[]} components - Rows with component_id, name and mac_address.
+ * @returns {Object[]} `{ mac_address, vendor, components: [{ component_id, name }] }` per duplicate.
+ */
+export const findDuplicateMacs = (components) => {
+    const byMac = new Map();
+    for (const c of components) {
+        const mac = normalizeMac(c.mac_address);
+        if (!mac) continue;
+        byMac.set(mac, [...(byMac.get(mac) || []), { component_id: c.component_id, name: c.name }]);
+    }
+    return [...byMac.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([mac, group]) => ({ mac_address: mac, vendor: lookupVendor(mac), components: group }));
+};
+
+/**
+ * Checks a MAC address for a component: valid, and not already used by
+ * another component.
+ *
+ * @param {string} value - Address as entered.
+ * @param {number} [excludeComponentId] - The component being updated.
+ * @returns {Promise<{ mac: string }|{ error: string, status: number }>} The normalized address, or why it was rejected.
+ */
+export const checkComponentMac = async (value, excludeComponentId = null) => {
+    const result = validateMac(value);
+    if (result.error) return { ...result, status: 400 };
+
+    const [rows] = await pool.query(
+        "SELECT component_id, name, mac_address FROM Network_Components WHERE mac_address IS NOT NULL AND mac_address != '' AND component_id != ?",
+        [excludeComponentId || 0]
+    );
+    const existing = rows.find(c => normalizeMac(c.mac_address) === result.mac);
+    if (existing) {
+        return { error: `${result.mac} is already assigned to ${existing.name}`, status: 409 };
+    }
+    return result;
+};
+
+/**
+ * IDs of components whose MAC vendor contains the search term.
+ *
+ * @returns {Promise<number[]>}
+ */
+export const componentIdsByVendor = async (term) => {
+    const needle = String(term || '').trim().toLowerCase();
+    if (!needle) return [];
+
+    const [rows] = await pool.query(
+        "SELECT component_id, mac_address FROM Network_Components WHERE mac_address IS NOT NULL AND mac_address != ''"
+    );
+    return rows
+        .filter(c => (lookupVendor(c.mac_address) || '').toLowerCase().includes(needle))
+        .map(c => c.component_id);
+};
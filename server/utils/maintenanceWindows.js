@@ -0,0 +1,50 @@
+import pool from '../database.js';
+
+/**
+ * SQL condition that is true while an approved window of `type` covers the
+ * component row aliased `alias`. Goes by the clock rather than the window's
+ * status so suppression starts on time even before the scheduler has run.
+ *
+ * @param {string} alias - Alias (or table name) of a row with component_id and department_id.
+ * @param {'Maintenance'|'Change Freeze'} [type='Maintenance']
+ * @returns {string}
+ */
+export const activeWindowCondition = (alias, type = 'Maintenance') => `EXISTS (
+    SELECT 1 FROM Maintenance_Windows mw
+    WHERE mw.window_type = '${type}'
+      AND mw.status IN ('Approved', 'Active')
+      AND mw.start_time <= NOW() AND mw.end_time > NOW()
+      AND (mw.component_id = ${alias}.component_id OR mw.department_id = ${alias}.department_id)
+)`;
+
+// Components a window covers: its component, or every in-service component in its department
+export const windowComponents = async (window) => {
+    const [rows] = window.component_id
+        ? await pool.query('SELECT component_id, name, status FROM Network_Components WHERE component_id = ?', [window.component_id])
+        : await pool.query(
+            "SELECT component_id, name, status FROM Network_Components WHERE department_id = ? AND status != 'Inactive'",
+            [window.department_id]
+        );
+    return rows;
+};
+
+/**
+ * The change freeze currently covering a component, if any.
+ *
+ * @param {number} componentId
+ * @returns {Promise<Object|null>} `{ window_id, title, end_time }` or null.
+ */
+export const findActiveFreeze = async (componentId) => {
+    const [rows] = await pool.query(`
+        SELECT mw.window_id, mw.title, mw.end_time
+        FROM Network_Components nc
+        JOIN Maintenance_Windows mw ON mw.window_type = 'Change Freeze'
+          AND mw.status IN ('Approved', 'Active')
+          AND mw.start_time <= NOW() AND mw.end_time > NOW()
+          AND (mw.component_id = nc.component_id OR mw.department_id = nc.department_id)
+        WHERE nc.component_id = ?
+        ORDER BY mw.end_time DESC
+        LIMIT 1
+    `, [componentId]);
+    return rows[0] || null;
+};
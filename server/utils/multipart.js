@@ -0,0 +1,72 @@
+// multipart/form-data bodies (RFC 7578) as buffered by express.raw(); enough
+// for browser FormData uploads, which never nest parts or use transfer encodings.
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Value of a `name="value"` (or unquoted) parameter in a header
+function headerParam(header, name) {
+    const match = header.match(new RegExp(`;\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i'))
+        || header.match(new RegExp(`;\\s*${name}=([^;\\s]+)`, 'i'));
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+function parseHeaders(text) {
+    const headers = {};
+    for (const line of text.split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Splits a multipart/form-data body into its text fields and files.
+ *
+ * @param {Buffer} body - Raw request body.
+ * @param {string} contentType - The request's Content-Type header, which carries the boundary.
+ * @returns {{ fields: Object<string, string>, files: { field: string, filename: string, contentType: string, data: Buffer }[] }|null}
+ *   null when the body is not well-formed multipart/form-data.
+ */
+export function parseMultipart(body, contentType) {
+    const boundary = headerParam(`;${String(contentType || '').replace(/^[^;]*/, '')}`, 'boundary');
+    if (!Buffer.isBuffer(body) || !boundary) return null;
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+
+    let start = body.indexOf(delimiter);
+    if (start === -1) return null;
+    while (true) {
+        start += delimiter.length;
+        // The closing delimiter is followed by '--'
+        if (body[start] === 0x2d && body[start + 1] === 0x2d) return { fields, files };
+        if (!body.subarray(start, start + 2).equals(CRLF)) return null;
+        start += 2;
+
+        const headerEnd = body.indexOf(HEADER_END, start);
+        if (headerEnd === -1) return null;
+        const end = body.indexOf(Buffer.concat([CRLF, delimiter]), headerEnd);
+        if (end === -1) return null;
+
+        const headers = parseHeaders(body.subarray(start, headerEnd).toString('utf8'));
+        const disposition = headers['content-disposition'] || '';
+        const name = headerParam(disposition, 'name');
+        const data = body.subarray(headerEnd + HEADER_END.length, end);
+        if (name !== null) {
+            const filename = headerParam(disposition, 'filename');
+            if (filename !== null) {
+                files.push({
+                    field: name,
+                    filename: filename.split(/[\\/]/).pop(),
+                    contentType: (headers['content-type'] || 'application/octet-stream').toLowerCase(),
+                    data
+                });
+            } else {
+                fields[name] = data.toString('utf8');
+            }
+        }
+        start = end + CRLF.length;
+    }
+}
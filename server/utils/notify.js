@@ -0,0 +1,55 @@
+import pool from '../database.js';
+import { publish } from './events.js';
+import { queueNotificationEmail } from './email.js';
+
+/**
+ * Creates an in-app notification for one user, pushes it to their open sessions
+ * and queues an email if their preferences ask for one.
+ *
+ * @param {number} userId - Recipient.
+ * @param {string} type - One of the Notifications.type enum values.
+ * @param {string} message - Text shown in the notification dropdown.
+ * @param {string} [link] - Client route to open when clicked.
+ */
+export const notifyUser = async (userId, type, message, link = null) => {
+    const [result] = await pool.query(
+        'INSERT INTO Notifications(user_id, type, message, link) VALUES(?, ?, ?, ?)',
+        [userId, type, message, link]
+    );
+
+    publish('notification', {
+        notification_id: result.insertId, user_id: userId, type, message, link, is_read: false, created_at: new Date()
+    }, { userIds: [userId] });
+
+    // Email is best effort: the in-app notification stands even if queueing fails
+    try {
+        await queueNotificationEmail({ notificationId: result.insertId, userId, type, message, link });
+    } catch (error) {
+        console.error('Queue notification email error:', error);
+    }
+};
+
+/**
+ * Notifies every active user holding one of the given roles.
+ *
+ * @param {string[]} roles - e.g. ['Admin', 'Manager'].
+ * @param {string} type - One of the Notifications.type enum values.
+ * @param {string} message - Text shown in the notification dropdown.
+ * @param {string} [link] - Client route to open when clicked.
+ * @param {number} [excludeUserId] - Skip this user (usually whoever caused the event).
+ * @returns {Promise<number[]>} The user IDs notified.
+ */
+export const notifyRoles = async (roles, type, message, link = null, excludeUserId = null) => {
+    const [recipients] = await pool.query(
+        "SELECT user_id FROM Users WHERE role IN (?) AND status = 'Active'",
+        [roles]
+    );
+
+    const notified = [];
+    for (const recipient of recipients) {
+        if (recipient.user_id === excludeUserId) continue;
+        await notifyUser(recipient.user_id, type, message, link);
+        notified.push(recipient.user_id);
+    }
+    return notified;
+};
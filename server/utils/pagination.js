@@ -0,0 +1,131 @@
+import pool from '../database.js';
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 200;
+
+const positiveInt = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+/**
+ * Reads the paging, sort and projection options shared by the list endpoints:
+ * `page`, `limit`, `sort` (comma separated, `-` prefix for descending, e.g.
+ * `sort=-priority,reported_at`) and `fields` (comma separated).
+ *
+ * @param {Object} query - req.query.
+ * @param {Object} list - List definition from listQueries.js:
+ *   `{ sorts: { key: sqlExpr | sqlExpr[] }, defaultSort, tiebreak, defaultLimit?, computed? }`,
+ *   where computed names the fields the route adds to each row.
+ *   Lists without a defaultLimit return every row unless `page` or `limit` is given.
+ * @returns {{ page: number, limit: number|null, offset: number, orderBy: string, fields: string[]|null, computed: string[] } | { error: string }}
+ */
+export const parseListOptions = (query, list) => {
+    const terms = String(query.sort || list.defaultSort).split(',').map(t => t.trim()).filter(Boolean);
+    const order = [];
+    for (const term of terms) {
+        const descending = term.startsWith('-');
+        const key = descending ? term.slice(1) : term;
+        if (!Object.hasOwn(list.sorts, key)) {
+            return { error: `Cannot sort by "${key}"; use one of ${Object.keys(list.sorts).join(', ')}` };
+        }
+        for (const expr of [].concat(list.sorts[key])) order.push(`${expr} ${descending ? 'DESC' : 'ASC'}`);
+    }
+    // A unique last key keeps rows from moving between pages when sort values tie
+    if (!order.some(o => o.startsWith(`${list.tiebreak} `))) order.push(`${list.tiebreak} ASC`);
+
+    let page = 1;
+    let limit = list.defaultLimit || null;
+    if (query.page !== undefined) {
+        page = positiveInt(query.page);
+        if (!page) return { error: 'page must be a positive whole number' };
+        limit = limit || DEFAULT_PAGE_SIZE;
+    }
+    if (query.limit !== undefined) {
+        limit = positiveInt(query.limit);
+        if (!limit || limit > MAX_PAGE_SIZE) return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+
+    const fields = query.fields ? String(query.fields).split(',').map(f => f.trim()).filter(Boolean) : null;
+
+    return {
+        page,
+        limit,
+        offset: limit ? (page - 1) * limit : 0,
+        orderBy: order.join(', '),
+        fields,
+        computed: list.computed || []
+    };
+};
+
+/**
+ * Runs a list query for one page. Rows are filtered in SQL where possible; a
+ * `filter` that needs computed values (such as SLA state) makes the page be cut
+ * in memory instead, after filtering, so totals stay right.
+ *
+ * @param {{ sql: string, params: Array }} query - From a listQueries.js builder (no ORDER BY).
+ * @param {Object} options - From parseListOptions.
+ * @param {Object} [extra]
+ * @param {Function} [extra.map] - Adds computed fields to each row.
+ * @param {Function} [extra.filter] - Drops rows that return false.
+ * @returns {Promise<{ rows: Object[], total: number, columns: string[] }>} columns are the
+ *   selected column names, for validating `fields`.
+ */
+export const fetchPage = async ({ sql, params }, options, { map, filter } = {}) => {
+    const ordered = `${sql} ORDER BY ${options.orderBy}`;
+
+    if (!options.limit || filter) {
+        const [all, columns] = await pool.query(ordered, params);
+        let rows = map ? all.map(map) : all;
+        if (filter) rows = rows.filter(filter);
+        const total = rows.length;
+        if (options.limit) rows = rows.slice(options.offset, options.offset + options.limit);
+        return { rows, total, columns: columns.map(c => c.name) };
+    }
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM (${sql}) as list`, params);
+    const [page, columns] = await pool.query(`${ordered} LIMIT ? OFFSET ?`, [...params, options.limit, options.offset]);
+    return { rows: map ? page.map(map) : page, total, columns: columns.map(c => c.name) };
+};
+
+/**
+ * Sends a page of rows as `{ success, data, count, pagination }`, keeping only
+ * the requested fields, and sets a Link header with the next and previous pages.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {{ rows: Object[], total: number, columns: string[] }} result - From fetchPage.
+ * @param {Object} options - From parseListOptions.
+ */
+export const sendPage = (req, res, { rows, total, columns }, options) => {
+    let data = rows;
+    if (options.fields) {
+        const available = new Set([...columns, ...options.computed]);
+        const unknown = options.fields.filter(f => !available.has(f));
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown fields: ${unknown.join(', ')}` });
+        }
+        data = rows.map(row => Object.fromEntries(options.fields.map(f => [f, row[f]])));
+    }
+
+    const pages = options.limit ? Math.max(1, Math.ceil(total / options.limit)) : 1;
+    const link = (page) => {
+        const query = new URLSearchParams(req.query);
+        query.set('page', page);
+        query.set('limit', options.limit);
+        return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${query}`;
+    };
+    const next = options.limit && options.page < pages ? link(options.page + 1) : null;
+    const prev = options.limit && options.page > 1 ? link(Math.min(options.page - 1, pages)) : null;
+
+    const links = [next && `<${next}>; rel="next"`, prev && `<${prev}>; rel="prev"`].filter(Boolean);
+    if (links.length > 0) res.set('Link', links.join(', '));
+    res.set('X-Total-Count', String(total));
+
+    res.json({
+        success: true,
+        data,
+        count: data.length,
+        pagination: { page: options.page, limit: options.limit, total, pages, next, prev }
+    });
+};
@@ -0,0 +1,124 @@
+// Recurrence rules for maintenance plans. Dates are handled as 'YYYY-MM-DD'
+// strings and computed in UTC so server time zone and DST never shift a day.
+//
+//   days             every `interval` days                       (every 90 days)
+//   weekly           every `interval` weeks on `weekday`         (every other Friday)
+//   monthly_day      every `interval` months on `day_of_month`   (the 15th of each quarter)
+//   monthly_weekday  every `interval` months on the `week_of_month`-th `weekday`
+//                    (first Monday monthly); week_of_month 5 means the last one
+
+export const RECURRENCE_TYPES = ['days', 'weekly', 'monthly_day', 'monthly_weekday'];
+
+const parse = (date) => {
+    const [y, m, d] = String(date).slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+};
+
+const format = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The date within a month that a monthly rule lands on
+function dateInMonth(rule, year, month) {
+    if (rule.recurrence_type === 'monthly_day') {
+        return new Date(Date.UTC(year, month, Math.min(rule.day_of_month, daysInMonth(year, month))));
+    }
+
+    const weekday = Number(rule.weekday);
+    if (Number(rule.week_of_month) === 5) {
+        const last = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+        return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+    }
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return addDays(first, offset + (rule.week_of_month - 1) * 7);
+}
+
+/**
+ * Returns an error message for an invalid rule, or null.
+ */
+export function validateRecurrence(rule) {
+    const { recurrence_type, recurrence_interval = 1, weekday, week_of_month, day_of_month } = rule;
+    const isInt = (v, min, max) => Number.isInteger(Number(v)) && Number(v) >= min && Number(v) <= max;
+
+    if (!RECURRENCE_TYPES.includes(recurrence_type)) {
+        return `recurrence_type must be one of ${RECURRENCE_TYPES.join(', ')}`;
+    }
+    if (!isInt(recurrence_interval, 1, 3650)) {
+        return 'recurrence_interval must be a whole number from 1 to 3650';
+    }
+    if ((recurrence_type === 'weekly' || recurrence_type === 'monthly_weekday') && !isInt(weekday, 0, 6)) {
+        return 'weekday must be 0 (Sunday) to 6 (Saturday)';
+    }
+    if (recurrence_type === 'monthly_weekday' && !isInt(week_of_month, 1, 5)) {
+        return 'week_of_month must be 1 to 4, or 5 for the last week';
+    }
+    if (recurrence_type === 'monthly_day' && !isInt(day_of_month, 1, 31)) {
+        return 'day_of_month must be 1 to 31';
+    }
+    return null;
+}
+
+/**
+ * First occurrence on or after the plan's start date.
+ *
+ * @param {Object} rule - Plan row with the recurrence columns.
+ * @param {string} startDate - 'YYYY-MM-DD'.
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function firstOccurrence(rule, startDate) {
+    const start = parse(startDate);
+
+    if (rule.recurrence_type === 'days') return format(start);
+
+    if (rule.recurrence_type === 'weekly') {
+        return format(addDays(start, (Number(rule.weekday) - start.getUTCDay() + 7) % 7));
+    }
+
+    const candidate = dateInMonth(rule, start.getUTCFullYear(), start.getUTCMonth());
+    if (candidate >= start) return format(candidate);
+    const next = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    return format(dateInMonth(rule, next.getUTCFullYear(), next.getUTCMonth()));
+}
+
+/**
+ * The occurrence following `previous`.
+ *
+ * @param {Object} rule - Plan row with the recurrence columns.
+ * @param {string} previous - 'YYYY-MM-DD' of the last occurrence.
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function nextOccurrence(rule, previous) {
+    const date = parse(previous);
+    const interval = Number(rule.recurrence_interval) || 1;
+
+    if (rule.recurrence_type === 'days') return format(addDays(date, interval));
+    if (rule.recurrence_type === 'weekly') return format(addDays(date, interval * 7));
+
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + interval, 1));
+    return format(dateInMonth(rule, target.getUTCFullYear(), target.getUTCMonth()));
+}
+
+// Plain-English description, e.g. "First Monday every month"
+export function describeRecurrence(rule) {
+    const interval = Number(rule.recurrence_interval) || 1;
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const every = (unit) => (interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`);
+
+    switch (rule.recurrence_type) {
+        case 'days':
+            return interval === 1 ? 'Every day' : `Every ${interval} days`;
+        case 'weekly':
+            return `${days[rule.weekday]} ${every('week')}`;
+        case 'monthly_day':
+            return `Day ${rule.day_of_month} ${every('month')}`;
+        case 'monthly_weekday': {
+            const ordinal = ['First', 'Second', 'Third', 'Fourth', 'Last'][rule.week_of_month - 1];
+            return `${ordinal} ${days[rule.weekday]} ${every('month')}`;
+        }
+        default:
+            return rule.recurrence_type;
+    }
+}
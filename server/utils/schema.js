@@ -0,0 +1,61 @@
+/**
+ * Idempotent DDL helpers for migrations.
+ *
+ * MySQL has no `ADD COLUMN IF NOT EXISTS`, so these check INFORMATION_SCHEMA
+ * first instead of swallowing the duplicate-column error.
+ */
+
+export async function columnExists(connection, table, column) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+export async function indexExists(connection, table, indexName) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, indexName]
+    );
+    return rows.length > 0;
+}
+
+export async function addColumnIfMissing(connection, table, column, definition) {
+    if (await columnExists(connection, table, column)) return false;
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+export async function dropColumnIfExists(connection, table, column) {
+    if (!(await columnExists(connection, table, column))) return false;
+    await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+}
+
+// kind is 'INDEX', 'UNIQUE INDEX' or 'FULLTEXT INDEX'
+export async function addIndexIfMissing(connection, table, indexName, columns, kind = 'INDEX') {
+    if (await indexExists(connection, table, indexName)) return false;
+    await connection.query(`ALTER TABLE ${table} ADD ${kind} ${indexName} (${columns})`);
+    return true;
+}
+
+/**
+ * Adds a foreign key on `column` unless one already references another table,
+ * whatever it was named (CREATE TABLE generates names like users_ibfk_1).
+ */
+export async function addForeignKeyIfMissing(connection, table, column, constraintName, references) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+           AND REFERENCED_TABLE_NAME IS NOT NULL`,
+        [table, column]
+    );
+    if (rows.length > 0) return false;
+    await connection.query(
+        `ALTER TABLE ${table} ADD CONSTRAINT ${constraintName} FOREIGN KEY (${column}) REFERENCES ${references}`
+    );
+    return true;
+}
@@ -0,0 +1,469 @@
+import pool from '../database.js';
+import { lookupVendor, normalizeMac } from './mac.js';
+
+// The index is rebuilt from the database when a search finds it older than this
+const INDEX_TTL_MS = Number(process.env.SEARCH_INDEX_TTL_MS) || 60000;
+
+const OPERATIONS = ['Admin', 'Manager', 'Technician'];
+const ref = (prefix, id) => `${prefix}-${String(id).padStart(3, '0')}`;
+
+// Result types, in the order they are listed when scores tie. roles limits who
+// sees them, matching the pages the results link to.
+export const SEARCH_TYPES = {
+    fault: { label: 'Faults', roles: null },
+    component: { label: 'Components', roles: OPERATIONS },
+    maintenance: { label: 'Maintenance Logs', roles: OPERATIONS },
+    comment: { label: 'Comments', roles: null },
+    inventory: { label: 'Inventory', roles: OPERATIONS },
+    report: { label: 'Incident Reports', roles: ['Admin', 'Manager'] },
+    subnet: { label: 'Subnets', roles: OPERATIONS },
+    technician: { label: 'Technicians', roles: null },
+    department: { label: 'Departments', roles: null }
+};
+
+// Field filters (`status:open`) and the document field each reads
+const FIELD_FILTERS = {
+    type: 'type',
+    status: 'status',
+    priority: 'priority',
+    category: 'category',
+    role: 'role',
+    ip: 'ip',
+    mac: 'mac',
+    vendor: 'vendor',
+    department: 'department',
+    dept: 'department',
+    location: 'location',
+    assignee: 'assignee',
+    technician: 'assignee',
+    component: 'component'
+};
+// Compared whole; the rest match anywhere in the value
+const EXACT_FIELDS = ['type', 'status', 'priority', 'category', 'role', 'ip', 'mac'];
+
+// Field weights for ranking: a hit in a title counts more than one in a description
+const WEIGHT = { title: 3, key: 3, name: 2, body: 1 };
+
+/**
+ * Splits text into index tokens: lower-case words, plus whole tokens for
+ * addresses and references such as 10.0.0.1, 00:1a:2b:3c:4d:5e or flt-012.
+ */
+export const tokenize = (text) => {
+    const tokens = [];
+    for (const chunk of String(text ?? '').toLowerCase().split(/\s+/)) {
+        const trimmed = chunk.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}*]+$/gu, '');
+        if (!trimmed) continue;
+        if (/[.:/-]/.test(trimmed)) tokens.push(trimmed);
+        for (const word of trimmed.split(/[^\p{L}\p{N}]+/u)) if (word) tokens.push(word);
+    }
+    return tokens;
+};
+
+// Edit distance counting swapped neighbours as one edit (so "ruoter" is one
+// typo from "router"), giving up (returns max + 1) once it exceeds max
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], before[j - 2] + 1);
+            }
+            best = Math.min(best, current[j]);
+        }
+        if (best > max) return max + 1;
+        before = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Query words; an address or reference is kept whole rather than split
+const queryTerms = (text) => text.split(/\s+/).flatMap(chunk => {
+    const tokens = tokenize(chunk);
+    return tokens.length > 0 && /[.:/-]/.test(tokens[0]) ? [tokens[0]] : tokens;
+});
+
+// Typos allowed in a word: none for short words, numbers and addresses
+const allowedEdits = (term) => {
+    if (/[\d.:/-]/.test(term)) return 0;
+    return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+};
+
+const searchDoc = (type, id, { title, subtitle = null, link = null, fields = {}, text = [] }) => ({
+    type,
+    id,
+    title,
+    subtitle,
+    link,
+    fields: { type, ...fields },
+    text
+});
+
+// Each loader turns one table into search documents
+const LOADERS = [
+    async () => {
+        const [rows] = await pool.query(`
+            SELECT f.fault_id, f.title, f.description, f.status, f.priority, f.category, f.resolution_notes,
+                   nc.name as component_name, nc.ip_address, d.name as department_name,
+                   CONCAT(t.first_name, ' ', t.last_name) as technician_name
+            FROM Faults f
+            LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
+            LEFT JOIN Departments d ON nc.department_id = d.department_id
+            LEFT JOIN Users t ON f.assigned_to = t.user_id
+        `);
+        return rows.map(f => searchDoc('fault', f.fault_id, {
+            title: `${ref('FLT', f.fault_id)} ${f.title}`,
+            subtitle: [f.status, f.priority, f.component_name].filter(Boolean).join(' · '),
+            link: `/faults?highlight=${f.fault_id}`,
+            fields: {
+                status: f.status,
+                priority: f.priority,
+                category: f.category,
+                department: f.department_name,
+                assignee: f.technician_name,
+                component: f.component_name,
+                ip: f.ip_address
+            },
+            text: [
+                [`${ref('FLT', f.fault_id)} ${f.title}`, WEIGHT.title],
+                [f.component_name, WEIGHT.name],
+                [`${f.description || ''} ${f.resolution_notes || ''} ${f.category || ''} ${f.technician_name || ''}`, WEIGHT.body]
+            ]
+        }));
+    },
+    async () => {
+        const [rows] = await pool.query(`
+            SELECT nc.component_id, nc.name, nc.type, nc.model_number, nc.ip_address, nc.mac_address,
+                   nc.location, nc.status, d.name as department_name
+            FROM Network_Components nc
+            LEFT JOIN Departments d ON nc.department_id = d.department_id
+        `);
+        return rows.map(c => {
+            const vendor = lookupVendor(c.mac_address);
+            const mac = normalizeMac(c.mac_address);
+            return searchDoc('component', c.component_id, {
+                title: c.name,
+                subtitle: [c.type, c.ip_address, c.location].filter(Boolean).join(' · '),
+                link: '/infrastructure',
+                fields: {
+                    status: c.status,
+                    category: c.type,
+                    ip: c.ip_address,
+                    mac,
+                    vendor,
+                    department: c.department_name,
+                    location: c.location
+                },
+                text: [
+                    [c.name, WEIGHT.title],
+                    [`${c.ip_address || ''} ${mac || ''}`, WEIGHT.key],
+                    [`${c.type} ${c.model_number || ''} ${c.location || ''} ${c.department_name || ''} ${vendor || ''}`, WEIGHT.body]
+                ]
+            });
+        });
+    },
+    async () => {
+        const [rows] = await pool.query(`
+            SELECT ml.log_id, ml.action_taken, ml.result, ml.type, ml.activity_date,
+                   nc.name as component_name, CONCAT(t.first_name, ' ', t.last_name) as technician_name
+            FROM Maintenance_Logs ml
+            LEFT JOIN Network_Components nc ON ml.component_id = nc.component_id
+            LEFT JOIN Users t ON ml.technician_id = t.user_id
+        `);
+        return rows.map(l => searchDoc('maintenance', l.log_id, {
+            title: `${ref('ML', l.log_id)} ${l.component_name || ''}`.trim(),
+            subtitle: String(l.action_taken).slice(0, 120),
+            link: '/maintenance',
+            fields: { status: l.result, category: l.type, assignee: l.technician_name, component: l.component_name },
+            text: [
+                [ref('ML', l.log_id), WEIGHT.key],
+                [l.component_name, WEIGHT.name],
+                [`${l.action_taken} ${l.result || ''} ${l.technician_name || ''}`, WEIGHT.body]
+            ]
+        }));
+    },
+    async () => {
+        const [faultComments] = await pool.query(`
+            SELECT fc.comment_id, fc.fault_id, fc.comment, CONCAT(u.first_name, ' ', u.last_name) as author
+            FROM Fault_Comments fc
+            LEFT JOIN Users u ON fc.user_id = u.user_id
+        `);
+        const [logComments] = await pool.query(`
+            SELECT mc.comment_id, mc.log_id, mc.comment, CONCAT(u.first_name, ' ', u.last_name) as author
+            FROM Maintenance_Comments mc
+            LEFT JOIN Users u ON mc.user_id = u.user_id
+        `);
+        return [
+            ...faultComments.map(c => searchDoc('comment', `fault-${c.comment_id}`, {
+                title: `Comment on ${ref('FLT', c.fault_id)}`,
+                subtitle: `${c.author || 'Unknown'}: ${String(c.comment).slice(0, 120)}`,
+                link: `/faults?highlight=${c.fault_id}`,
+                fields: { category: 'fault' },
+                text: [[c.comment, WEIGHT.body], [c.author, WEIGHT.body]]
+            })),
+            // Maintenance comments are only for the roles that see the logs
+            ...logComments.map(c => ({
+                ...searchDoc('comment', `maintenance-${c.comment_id}`, {
+                    title: `Comment on ${ref('ML', c.log_id)}`,
+                    subtitle: `${c.author || 'Unknown'}: ${String(c.comment).slice(0, 120)}`,
+                    link: '/maintenance',
+                    fields: { category: 'maintenance' },
+                    text: [[c.comment, WEIGHT.body], [c.author, WEIGHT.body]]
+                }),
+                roles: OPERATIONS
+            }))
+        ];
+    },
+    async () => {
+        const [rows] = await pool.query('SELECT item_id, name, category, quantity, location FROM Inventory_Items');
+        return rows.map(i => searchDoc('inventory', i.item_id, {
+            title: `${ref('INV', i.item_id)} ${i.name}`,
+            subtitle: `${i.category} · ${i.quantity} in stock${i.location ? ` · ${i.location}` : ''}`,
+            link: '/inventory',
+            fields: { category: i.category, location: i.location },
+            text: [[`${ref('INV', i.item_id)} ${i.name}`, WEIGHT.title], [`${i.category} ${i.location || ''}`, WEIGHT.body]]
+        }));
+    },
+    async () => {
+        const [rows] = await pool.query('SELECT report_id, title, summary, impact_level FROM Incident_Reports');
+        return rows.map(r => searchDoc('report', r.report_id, {
+            title: r.title,
+            subtitle: [r.impact_level, r.summary && String(r.summary).slice(0, 120)].filter(Boolean).join(' · '),
+            link: '/reports',
+            fields: { priority: r.impact_level },
+            text: [[r.title, WEIGHT.title], [r.summary, WEIGHT.body]]
+        }));
+    },
+    async () => {
+        const [subnets] = await pool.query(`
+            SELECT s.subnet_id, s.name, s.cidr, s.vlan_id, s.gateway, s.description, d.name as department_name
+            FROM Subnets s
+            LEFT JOIN Departments d ON s.department_id = d.department_id
+        `);
+        const [reservations] = await pool.query('SELECT subnet_id, start_address, end_address, description FROM IP_Reservations');
+        return subnets.map(s => {
+            const reserved = reservations.filter(r => r.subnet_id === s.subnet_id);
+            return searchDoc('subnet', s.subnet_id, {
+                title: `${s.name} (${s.cidr})`,
+                subtitle: [s.vlan_id && `VLAN ${s.vlan_id}`, s.department_name, s.description].filter(Boolean).join(' · '),
+                link: '/ipam',
+                fields: { ip: s.gateway, department: s.department_name },
+                text: [
+                    [s.name, WEIGHT.title],
+                    [`${s.cidr} ${s.gateway || ''} ${reserved.map(r => `${r.start_address} ${r.end_address}`).join(' ')}`, WEIGHT.key],
+                    [`${s.description || ''} ${s.department_name || ''} ${s.vlan_id ? `vlan ${s.vlan_id}` : ''} ${reserved.map(r => r.description || '').join(' ')}`, WEIGHT.body]
+                ]
+            });
+        });
+    },
+    async () => {
+        const [rows] = await pool.query(`
+            SELECT u.user_id, CONCAT(u.first_name, ' ', u.last_name) as name, u.email, u.phone_number, u.status,
+                   d.name as department_name
+            FROM Users u
+            LEFT JOIN Departments d ON u.department_id = d.department_id
+            WHERE u.role = 'Technician'
+        `);
+        return rows.map(u => searchDoc('technician', u.user_id, {
+            title: u.name,
+            subtitle: [u.email, u.phone_number, u.department_name].filter(Boolean).join(' · '),
+            link: null,
+            fields: { status: u.status, role: 'Technician', department: u.department_name },
+            text: [[u.name, WEIGHT.title], [`${u.email || ''} ${u.phone_number || ''} ${u.department_name || ''}`, WEIGHT.body]]
+        }));
+    },
+    async () => {
+        const [rows] = await pool.query('SELECT department_id, name, location FROM Departments');
+        return rows.map(d => searchDoc('department', d.department_id, {
+            title: d.name,
+            subtitle: d.location,
+            link: null,
+            fields: { location: d.location, department: d.name },
+            text: [[d.name, WEIGHT.title], [d.location, WEIGHT.body]]
+        }));
+    }
+];
+
+let index = null;
+let building = null;
+
+const buildIndex = async () => {
+    const docs = (await Promise.all(LOADERS.map(load => load()))).flat();
+    // token -> Map(document position -> best field weight)
+    const postings = new Map();
+    docs.forEach((doc, position) => {
+        for (const [text, weight] of doc.text) {
+            for (const token of tokenize(text)) {
+                if (!postings.has(token)) postings.set(token, new Map());
+                const entry = postings.get(token);
+                if ((entry.get(position) || 0) < weight) entry.set(position, weight);
+            }
+        }
+    });
+    return { docs, postings, builtAt: Date.now() };
+};
+
+/**
+ * Returns the in-process search index, rebuilding it when older than
+ * SEARCH_INDEX_TTL_MS. Concurrent searches share one rebuild.
+ */
+export const getSearchIndex = async () => {
+    if (index && Date.now() - index.builtAt < INDEX_TTL_MS) return index;
+    if (!building) {
+        building = buildIndex()
+            .then(built => { index = built; return built; })
+            .finally(() => { building = null; });
+    }
+    // A stale index still answers while the new one is built
+    return index || building;
+};
+
+// Forces the next search to rebuild; called after writes users expect to find
+// straight away (new faults and comments, component edits and imports)
+export const invalidateSearchIndex = () => {
+    if (index) index.builtAt = 0;
+};
+
+/**
+ * Parses a query such as `router status:open ip:192.168.2.* -"core switch"`.
+ * Unknown `name:value` pairs are searched as ordinary words.
+ *
+ * @returns {{ terms: string[], excluded: string[], filters: { field: string, value: string, negate: boolean }[] }}
+ */
+export const parseSearchQuery = (q) => {
+    const terms = [];
+    const excluded = [];
+    const filters = [];
+    const pattern = /(-)?(?:([a-z_]+):)?(?:"([^"]*)"|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(String(q))) !== null) {
+        const [, negate, name, quoted, bare] = match;
+        const value = (quoted ?? bare ?? '').trim();
+        if (!value) continue;
+        const field = name && FIELD_FILTERS[name.toLowerCase()];
+        if (field) {
+            filters.push({ field, value: value.toLowerCase().replace(/_/g, ' '), negate: Boolean(negate) });
+        } else {
+            (negate ? excluded : terms).push(...queryTerms(name ? `${name}:${value}` : value));
+        }
+    }
+    return { terms: [...new Set(terms)], excluded: [...new Set(excluded)], filters };
+};
+
+const globToRegExp = (glob) => new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+const fieldMatches = (doc, { field, value }) => {
+    const actual = doc.fields[field];
+    if (actual === null || actual === undefined || actual === '') return false;
+    const text = String(actual).toLowerCase();
+    if (value.includes('*')) return globToRegExp(value).test(text);
+    return EXACT_FIELDS.includes(field) ? text === value : text.includes(value);
+};
+
+// Document positions a term matches, with the strength of the best match
+const matchTerm = (postings, term) => {
+    const edits = allowedEdits(term);
+    const glob = term.includes('*') ? globToRegExp(term) : null;
+    const scores = new Map();
+    for (const [token, entry] of postings) {
+        let quality = 0;
+        if (glob) {
+            quality = glob.test(token) ? 1 : 0;
+        } else if (token === term) {
+            quality = 1;
+        } else if (term.length >= 2 && token.startsWith(term)) {
+            quality = 0.7;
+        } else if (edits > 0) {
+            const distance = editDistance(term, token, edits);
+            if (distance <= edits) quality = 0.5 / distance;
+        }
+        if (!quality) continue;
+        for (const [position, weight] of entry) {
+            const score = quality * weight;
+            if ((scores.get(position) || 0) < score) scores.set(position, score);
+        }
+    }
+    return scores;
+};
+
+/**
+ * Searches every entity type the user may see.
+ *
+ * @param {string} q - Query text, see parseSearchQuery.
+ * @param {Object} options
+ * @param {string} options.role - Role of the searching user.
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<{ results: Object[], total: number, facets: { type: Object, status: Object } }>}
+ *   Results are ranked by score; facets count the matches per type (ignoring
+ *   any type: filter, so other types stay one click away) and per status.
+ */
+export const search = async (q, { role, page, limit }) => {
+    const { docs, postings } = await getSearchIndex();
+    const { terms, excluded, filters } = parseSearchQuery(q);
+
+    const visible = (doc) => {
+        const roles = doc.roles || SEARCH_TYPES[doc.type].roles;
+        return !roles || roles.includes(role);
+    };
+
+    let scores = null;
+    for (const term of terms) {
+        const matches = matchTerm(postings, term);
+        if (scores === null) {
+            scores = matches;
+        } else {
+            // Every word has to match
+            const combined = new Map();
+            for (const [position, score] of scores) {
+                if (matches.has(position)) combined.set(position, score + matches.get(position));
+            }
+            scores = combined;
+        }
+    }
+    if (scores === null) {
+        // Filters alone: everything that passes them, unranked
+        scores = new Map(docs.map((_, position) => [position, 0]));
+    }
+    for (const term of excluded) {
+        for (const position of postings.get(term)?.keys() || []) scores.delete(position);
+    }
+
+    const typeFilters = filters.filter(f => f.field === 'type');
+    const otherFilters = filters.filter(f => f.field !== 'type');
+    const passes = (doc, list) => list.every(f => fieldMatches(doc, f) !== f.negate);
+
+    const candidates = [];
+    for (const [position, score] of scores) {
+        const doc = docs[position];
+        if (visible(doc) && passes(doc, otherFilters)) candidates.push({ doc, score });
+    }
+
+    const facets = { type: {}, status: {} };
+    for (const { doc } of candidates) facets.type[doc.type] = (facets.type[doc.type] || 0) + 1;
+
+    const typeOrder = Object.keys(SEARCH_TYPES);
+    const matches = candidates
+        .filter(({ doc }) => passes(doc, typeFilters))
+        .sort((a, b) => b.score - a.score || typeOrder.indexOf(a.doc.type) - typeOrder.indexOf(b.doc.type) || String(b.doc.id).localeCompare(String(a.doc.id), undefined, { numeric: true }));
+    for (const { doc } of matches) {
+        if (doc.fields.status) facets.status[doc.fields.status] = (facets.status[doc.fields.status] || 0) + 1;
+    }
+
+    const results = matches.slice((page - 1) * limit, page * limit).map(({ doc, score }) => ({
+        type: doc.type,
+        id: doc.id,
+        title: doc.title,
+        subtitle: doc.subtitle,
+        link: doc.link,
+        fields: doc.fields,
+        score: Math.round(score * 100) / 100
+    }));
+
+    return { results, total: matches.length, facets };
+};
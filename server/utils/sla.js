@@ -0,0 +1,168 @@
+import pool from '../database.js';
+
+const STATE_RANK = { breached: 3, at_risk: 2, on_track: 1, met: 0 };
+
+/**
+ * Finds the most specific active SLA policy for a fault.
+ * A policy matching both department and component type beats one matching
+ * either, which beats the priority-only default.
+ *
+ * @param {Object} params
+ * @param {string} params.priority - Fault priority.
+ * @param {number} [params.departmentId] - Department of the affected component.
+ * @param {string} [params.componentType] - Type of the affected component.
+ * @returns {Promise<Object|null>} The matching policy row, or null.
+ */
+export const findSlaPolicy = async ({ priority, departmentId, componentType }) => {
+    const [policies] = await pool.query(`
+        SELECT * FROM SLA_Policies
+        WHERE is_active = TRUE
+          AND priority = ?
+          AND (department_id IS NULL OR department_id = ?)
+          AND (component_type IS NULL OR component_type = ?)
+        ORDER BY (department_id IS NOT NULL) + (component_type IS NOT NULL) DESC,
+                 department_id IS NOT NULL DESC,
+                 policy_id ASC
+        LIMIT 1
+    `, [priority, departmentId || null, componentType || null]);
+
+    return policies[0] || null;
+};
+
+/**
+ * Attaches the matching SLA policy to a fault and computes its due-at
+ * timestamps from reported_at. Called when a fault is created; does nothing
+ * if no policy matches.
+ *
+ * @param {number} faultId - The fault to update.
+ * @returns {Promise<Object|null>} The policy applied, or null.
+ */
+export const applySlaPolicy = async (faultId) => {
+    const [rows] = await pool.query(`
+        SELECT f.priority, nc.department_id, nc.type as component_type
+        FROM Faults f
+        LEFT JOIN Network_Components nc ON f.component_id = nc.component_id
+        WHERE f.fault_id = ?
+    `, [faultId]);
+
+    if (rows.length === 0) return null;
+
+    const policy = await findSlaPolicy({
+        priority: rows[0].priority,
+        departmentId: rows[0].department_id,
+        componentType: rows[0].component_type
+    });
+
+    if (!policy) return null;
+
+    // Time already spent paused still extends the deadlines
+    await pool.query(`
+        UPDATE Faults SET
+            sla_policy_id = ?,
+            response_due_at = DATE_ADD(reported_at, INTERVAL (? + sla_paused_minutes) MINUTE),
+            resolution_due_at = DATE_ADD(reported_at, INTERVAL (? + sla_paused_minutes) MINUTE)
+        WHERE fault_id = ?
+    `, [policy.policy_id, policy.response_minutes, policy.resolution_minutes, faultId]);
+
+    return policy;
+};
+
+/**
+ * Stamps first_response_at the first time someone other than the reporter
+ * acts on a fault (assignment, status change or comment).
+ */
+export const recordFirstResponse = async (faultId) => {
+    await pool.query(
+        'UPDATE Faults SET first_response_at = NOW() WHERE fault_id = ? AND first_response_at IS NULL',
+        [faultId]
+    );
+};
+
+/**
+ * Stops the SLA clock. Faults in Pending are waiting on something outside
+ * the team's control (parts, access, the reporter), so time spent there
+ * does not count toward either target.
+ */
+export const pauseSla = async (faultId) => {
+    await pool.query(
+        'UPDATE Faults SET sla_paused_at = NOW() WHERE fault_id = ? AND sla_paused_at IS NULL',
+        [faultId]
+    );
+};
+
+// Restarts the SLA clock, pushing any unmet deadline back by the time spent paused
+export const resumeSla = async (faultId) => {
+    await pool.query(`
+        UPDATE Faults SET
+            response_due_at = CASE
+                WHEN first_response_at IS NULL AND response_due_at IS NOT NULL
+                THEN DATE_ADD(response_due_at, INTERVAL TIMESTAMPDIFF(MINUTE, sla_paused_at, NOW()) MINUTE)
+                ELSE response_due_at END,
+            resolution_due_at = CASE
+                WHEN resolved_at IS NULL AND resolution_due_at IS NOT NULL
+                THEN DATE_ADD(resolution_due_at, INTERVAL TIMESTAMPDIFF(MINUTE, sla_paused_at, NOW()) MINUTE)
+                ELSE resolution_due_at END,
+            sla_paused_minutes = sla_paused_minutes + TIMESTAMPDIFF(MINUTE, sla_paused_at, NOW()),
+            sla_paused_at = NULL
+        WHERE fault_id = ? AND sla_paused_at IS NOT NULL
+    `, [faultId]);
+};
+
+// Evaluates one target: met/breached once completed, otherwise on_track/at_risk/breached against the clock
+function evaluateTarget(dueAt, completedAt, windowMinutes, atRiskPercent, clock) {
+    if (!dueAt) return null;
+    const due = new Date(dueAt);
+
+    if (completedAt) {
+        return new Date(completedAt) <= due ? 'met' : 'breached';
+    }
+
+    if (clock > due) return 'breached';
+
+    const remainingMinutes = (due - clock) / 60000;
+    const riskThreshold = windowMinutes * (1 - atRiskPercent / 100);
+    return remainingMinutes <= riskThreshold ? 'at_risk' : 'on_track';
+}
+
+/**
+ * Computes the SLA state of a fault row. The row must include the SLA columns
+ * plus response_minutes, resolution_minutes and at_risk_percent from the
+ * joined policy.
+ *
+ * @param {Object} fault - Fault row.
+ * @param {Date} [now] - Evaluation time; defaults to the current time.
+ * @returns {Object|null} `{ response, resolution, state, paused, response_due_at, resolution_due_at }`
+ *   where each target is 'met' | 'on_track' | 'at_risk' | 'breached', or null if no policy applies.
+ */
+export const getSlaState = (fault, now = new Date()) => {
+    if (!fault.response_due_at && !fault.resolution_due_at) return null;
+
+    // While paused the clock is frozen at the moment the fault went Pending
+    const clock = fault.sla_paused_at ? new Date(fault.sla_paused_at) : now;
+    const atRiskPercent = fault.at_risk_percent ?? 80;
+    // A fault closed without a fix stops its targets when it was closed
+    const resolvedAt = fault.resolved_at || (fault.status === 'Closed' ? fault.closed_at || clock : null);
+    const respondedAt = fault.first_response_at || (fault.status === 'Closed' ? resolvedAt : null);
+
+    const response = evaluateTarget(
+        fault.response_due_at, respondedAt,
+        fault.response_minutes, atRiskPercent, clock
+    );
+    const resolution = evaluateTarget(
+        fault.resolution_due_at, resolvedAt,
+        fault.resolution_minutes, atRiskPercent, clock
+    );
+
+    const state = [response, resolution]
+        .filter(Boolean)
+        .reduce((worst, s) => (STATE_RANK[s] > STATE_RANK[worst] ? s : worst), 'met');
+
+    return {
+        response,
+        resolution,
+        state,
+        paused: Boolean(fault.sla_paused_at),
+        response_due_at: fault.response_due_at,
+        resolution_due_at: fault.resolution_due_at
+    };
+};
@@ -0,0 +1,185 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+const TIMEOUT_MS = 15000;
+
+// SMTP settings from the environment; email is off unless SMTP_HOST is set
+export const smtpConfig = () => ({
+    host: process.env.SMTP_HOST || null,
+    port: Number(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    startTls: process.env.SMTP_STARTTLS !== 'false',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || 'MnettyWise <no-reply@localhost>'
+});
+
+export const emailEnabled = () => Boolean(process.env.SMTP_HOST);
+
+// RFC 2047 encoding for header values that are not plain ASCII (emoji in subjects),
+// split into words of at most 75 characters without breaking a character apart
+const encodeHeader = (value) => {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    const chunks = [''];
+    for (const char of value) {
+        if (Buffer.byteLength(chunks[chunks.length - 1] + char) > 45) chunks.push('');
+        chunks[chunks.length - 1] += char;
+    }
+    return chunks.map(chunk => `=?UTF-8?B?${Buffer.from(chunk).toString('base64')}?=`).join('\r\n ');
+};
+
+const base64Lines = (text) => Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+const addressOf = (mailbox) => (mailbox.match(/<([^>]+)>/) || [null, mailbox])[1].trim();
+
+/**
+ * Builds a multipart/alternative message with text and HTML parts.
+ *
+ * @returns {string} The message, with CRLF line endings.
+ */
+export const buildMessage = ({ from, to, subject, text, html }) => {
+    const boundary = `mw-${crypto.randomBytes(12).toString('hex')}`;
+    const domain = addressOf(from).split('@')[1] || 'localhost';
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+};
+
+// Line-based SMTP conversation over a socket that can be upgraded with STARTTLS
+class SmtpConnection {
+    constructor(socket) {
+        this.buffer = '';
+        this.waiting = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+        socket.on('data', (chunk) => {
+            this.buffer += chunk;
+            this.flush();
+        });
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    // Resolves with { code, lines } once a complete (possibly multi-line) reply arrives
+    flush() {
+        if (!this.waiting) return;
+        const lines = this.buffer.split('\r\n');
+        const last = lines.findIndex(line => /^\d{3}( |$)/.test(line));
+        if (last === -1) return;
+        const reply = lines.slice(0, last + 1);
+        this.buffer = lines.slice(last + 1).join('\r\n');
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code: Number(reply[last].slice(0, 3)), lines: reply.map(l => l.slice(4)) });
+    }
+
+    fail(error) {
+        if (!this.waiting) return;
+        const { reject } = this.waiting;
+        this.waiting = null;
+        reject(error);
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    async command(line, expect) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expect.includes(reply.code)) {
+            const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+            throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+const connect = (config) => new Promise((resolve, reject) => {
+    const socket = config.secure
+        ? tls.connect({ host: config.host, port: config.port, servername: config.host }, () => resolve(socket))
+        : net.connect({ host: config.host, port: config.port }, () => resolve(socket));
+    socket.once('error', reject);
+});
+
+/**
+ * Sends one email over SMTP, using STARTTLS when the server offers it and
+ * AUTH PLAIN when SMTP_USER is set.
+ *
+ * @param {Object} mail
+ * @param {string} mail.to - Recipient address.
+ * @param {string} mail.subject
+ * @param {string} mail.text - Plain text body.
+ * @param {string} mail.html - HTML body.
+ * @param {Object} [config] - Defaults to smtpConfig().
+ * @returns {Promise<string>} The server's reply to the message, e.g. its queue ID.
+ */
+export async function sendMail({ to, subject, text, html }, config = smtpConfig()) {
+    if (!config.host) throw new Error('SMTP_HOST is not set');
+
+    const smtp = new SmtpConnection(await connect(config));
+    try {
+        await smtp.command(null, [220]);
+        const ehlo = await smtp.command(`EHLO ${os.hostname()}`, [250]);
+
+        if (!config.secure && config.startTls && ehlo.lines.some(l => /^STARTTLS/i.test(l))) {
+            await smtp.command('STARTTLS', [220]);
+            const plain = smtp.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            const secured = await new Promise((resolve, reject) => {
+                const socket = tls.connect({ socket: plain, servername: config.host }, () => resolve(socket));
+                socket.once('error', reject);
+            });
+            smtp.attach(secured);
+            await smtp.command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (config.user) {
+            const token = Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64');
+            await smtp.command(`AUTH PLAIN ${token}`, [235]);
+        }
+
+        await smtp.command(`MAIL FROM:<${addressOf(config.from)}>`, [250]);
+        await smtp.command(`RCPT TO:<${addressOf(to)}>`, [250, 251]);
+        await smtp.command('DATA', [354]);
+
+        // Lines starting with a dot are doubled so they cannot end the message early
+        const message = buildMessage({ from: config.from, to, subject, text, html }).replace(/^\./gm, '..');
+        const accepted = await smtp.command(`${message}.`, [250]);
+
+        await smtp.command('QUIT', [221]).catch(() => { });
+        return accepted.lines.join(' ');
+    } finally {
+        smtp.socket.destroy();
+    }
+}
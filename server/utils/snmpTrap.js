@@ -0,0 +1,275 @@
+// Decoding (and, for test senders, encoding) of SNMPv2c traps and informs.
+// Only the BER subset SNMP uses is handled: definite lengths and the SMIv2 value types.
+
+const TAG = {
+    INTEGER: 0x02, OCTET_STRING: 0x04, NULL: 0x05, OID: 0x06, SEQUENCE: 0x30,
+    IP_ADDRESS: 0x40, COUNTER32: 0x41, GAUGE32: 0x42, TIMETICKS: 0x43, OPAQUE: 0x44, COUNTER64: 0x46,
+    NO_SUCH_OBJECT: 0x80, NO_SUCH_INSTANCE: 0x81, END_OF_MIB_VIEW: 0x82,
+    RESPONSE: 0xa2, INFORM: 0xa6, TRAP_V2: 0xa7
+};
+
+const SNMP_V2C = 1;
+const SYS_UPTIME = '1.3.6.1.2.1.1.3.0';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+const SNMP_TRAP_ADDRESS = '1.3.6.1.6.3.18.1.3.0';
+// Added by relays, not by the device; left out of the summary
+const RELAY_OIDS = [SNMP_TRAP_ADDRESS, '1.3.6.1.6.3.18.1.4.0'];
+
+// Names for the generic traps (RFC 3418) and the varbinds that usually come with them
+const OID_NAMES = {
+    '1.3.6.1.6.3.1.1.5.1': 'coldStart',
+    '1.3.6.1.6.3.1.1.5.2': 'warmStart',
+    '1.3.6.1.6.3.1.1.5.3': 'linkDown',
+    '1.3.6.1.6.3.1.1.5.4': 'linkUp',
+    '1.3.6.1.6.3.1.1.5.5': 'authenticationFailure',
+    '1.3.6.1.2.1.1.3': 'sysUpTime',
+    '1.3.6.1.2.1.1.5': 'sysName',
+    '1.3.6.1.2.1.2.2.1.1': 'ifIndex',
+    '1.3.6.1.2.1.2.2.1.2': 'ifDescr',
+    '1.3.6.1.2.1.2.2.1.7': 'ifAdminStatus',
+    '1.3.6.1.2.1.2.2.1.8': 'ifOperStatus',
+    '1.3.6.1.2.1.31.1.1.1.1': 'ifName',
+    '1.3.6.1.2.1.31.1.1.1.18': 'ifAlias',
+    '1.3.6.1.6.3.1.1.4.1': 'snmpTrapOID',
+    '1.3.6.1.6.3.18.1.3': 'snmpTrapAddress',
+    '1.3.6.1.6.3.18.1.4': 'snmpTrapCommunity'
+};
+
+// Traps carry no severity, so the generic ones get the syslog severity they usually deserve.
+// Anything else counts as a Warning (4).
+const TRAP_SEVERITIES = {
+    '1.3.6.1.6.3.1.1.5.1': 5,
+    '1.3.6.1.6.3.1.1.5.2': 5,
+    '1.3.6.1.6.3.1.1.5.3': 3,
+    '1.3.6.1.6.3.1.1.5.4': 5,
+    '1.3.6.1.6.3.1.1.5.5': 4
+};
+const DEFAULT_TRAP_SEVERITY = 4;
+
+export const trapSeverity = (trapOid) => TRAP_SEVERITIES[trapOid] ?? DEFAULT_TRAP_SEVERITY;
+
+// Longest known prefix, so ifDescr.3 reads as 'ifDescr.3'
+export function oidName(oid) {
+    if (OID_NAMES[oid]) return OID_NAMES[oid];
+    const parts = oid.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+        const name = OID_NAMES[parts.slice(0, i).join('.')];
+        if (name) return `${name}.${parts.slice(i).join('.')}`;
+    }
+    return null;
+}
+
+function readElement(buffer, offset) {
+    if (offset + 2 > buffer.length) throw new Error('Truncated BER element');
+    const tag = buffer[offset];
+    let length = buffer[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const bytes = length & 0x7f;
+        if (bytes === 0 || bytes > 4) throw new Error('Unsupported BER length');
+        length = 0;
+        for (let i = 0; i < bytes; i++) length = length * 256 + buffer[start + i];
+        start += bytes;
+    }
+    const end = start + length;
+    if (end > buffer.length) throw new Error('Truncated BER element');
+    return { tag, offset, start, end, value: buffer.subarray(start, end) };
+}
+
+function readChildren(buffer, element) {
+    const children = [];
+    for (let offset = element.start; offset < element.end;) {
+        const child = readElement(buffer, offset);
+        children.push(child);
+        offset = child.end;
+    }
+    return children;
+}
+
+const readInteger = (bytes) => bytes.length === 0 ? 0 : Number(bytes.readIntBE(0, Math.min(bytes.length, 6)));
+const readUnsigned = (bytes) => bytes.reduce((total, byte) => total * 256 + byte, 0);
+
+function readOid(bytes) {
+    if (bytes.length === 0) return '';
+    const first = Math.min(Math.floor(bytes[0] / 40), 2);
+    const parts = [first, bytes[0] - first * 40];
+    let value = 0;
+    for (let i = 1; i < bytes.length; i++) {
+        value = value * 128 + (bytes[i] & 0x7f);
+        if (!(bytes[i] & 0x80)) {
+            parts.push(value);
+            value = 0;
+        }
+    }
+    return parts.join('.');
+}
+
+// Text when it looks like text, otherwise hex (MAC addresses, bit strings)
+function readOctetString(bytes) {
+    const text = bytes.toString('utf8');
+    return /^[^\x00-\x08\x0e-\x1f\x7f\uFFFD]*$/.test(text) ? text : bytes.toString('hex').replace(/(..)(?=.)/g, '$1:');
+}
+
+function readValue({ tag, value }) {
+    switch (tag) {
+        case TAG.INTEGER: return { type: 'integer', value: readInteger(value) };
+        case TAG.OCTET_STRING: return { type: 'string', value: readOctetString(value) };
+        case TAG.NULL: return { type: 'null', value: null };
+        case TAG.OID: return { type: 'oid', value: readOid(value) };
+        case TAG.IP_ADDRESS: return { type: 'ip', value: [...value].join('.') };
+        case TAG.COUNTER32: return { type: 'counter', value: readUnsigned(value) };
+        case TAG.GAUGE32: return { type: 'gauge', value: readUnsigned(value) };
+        case TAG.TIMETICKS: return { type: 'timeticks', value: readUnsigned(value) };
+        case TAG.COUNTER64: return { type: 'counter64', value: value.reduce((total, byte) => total * 256n + BigInt(byte), 0n).toString() };
+        case TAG.OPAQUE: return { type: 'opaque', value: value.toString('hex') };
+        case TAG.NO_SUCH_OBJECT: return { type: 'noSuchObject', value: null };
+        case TAG.NO_SUCH_INSTANCE: return { type: 'noSuchInstance', value: null };
+        case TAG.END_OF_MIB_VIEW: return { type: 'endOfMibView', value: null };
+        default: return { type: `0x${tag.toString(16)}`, value: value.toString('hex') };
+    }
+}
+
+/**
+ * Decodes an SNMPv2c Trap or InformRequest. Other versions and PDU types
+ * (v1 traps, v3, get/set requests) return null.
+ *
+ * @param {Buffer} packet
+ * @returns {Object|null} `{ version, community, pdu: 'trap'|'inform', request_id, uptime,
+ *   trap_oid, trap_name, severity, agent_address, varbinds: [{ oid, name, type, value }], raw_varbinds }`.
+ *   agent_address is the snmpTrapAddress.0 varbind that relays add, if present.
+ * @throws {Error} When the packet is not valid BER.
+ */
+export function parseTrap(packet) {
+    const message = readElement(packet, 0);
+    if (message.tag !== TAG.SEQUENCE) throw new Error('Not an SNMP message');
+    const [version, community, pdu] = readChildren(packet, message);
+    if (!pdu || version.tag !== TAG.INTEGER || readInteger(version.value) !== SNMP_V2C) return null;
+    if (pdu.tag !== TAG.TRAP_V2 && pdu.tag !== TAG.INFORM) return null;
+
+    const [requestId, , , varbindList] = readChildren(packet, pdu);
+    if (!varbindList || varbindList.tag !== TAG.SEQUENCE) throw new Error('Missing variable bindings');
+
+    const varbinds = readChildren(packet, varbindList).map((varbind) => {
+        const [oid, value] = readChildren(packet, varbind);
+        const name = readOid(oid.value);
+        return { oid: name, name: oidName(name), ...readValue(value) };
+    });
+
+    const find = (oid) => varbinds.find(v => v.oid === oid);
+    const trapOid = find(SNMP_TRAP_OID)?.value || null;
+    return {
+        version: 'v2c',
+        community: community.value.toString('utf8'),
+        pdu: pdu.tag === TAG.INFORM ? 'inform' : 'trap',
+        request_id: readInteger(requestId.value),
+        uptime: find(SYS_UPTIME)?.value ?? null,
+        trap_oid: trapOid,
+        trap_name: trapOid ? oidName(trapOid) : null,
+        severity: trapSeverity(trapOid),
+        agent_address: find(SNMP_TRAP_ADDRESS)?.value || null,
+        varbinds: varbinds.filter(v => v.oid !== SYS_UPTIME && v.oid !== SNMP_TRAP_OID),
+        raw_varbinds: packet.subarray(varbindList.offset, varbindList.end)
+    };
+}
+
+/**
+ * One-line summary used as the fault text and matched by rule patterns,
+ * e.g. `linkDown ifIndex.2=2 ifDescr.2=GigabitEthernet0/2`.
+ */
+export const describeTrap = (trap) => [
+    trap.trap_name || trap.trap_oid || 'trap',
+    ...trap.varbinds.filter(v => !RELAY_OIDS.includes(v.oid)).map(v => `${v.name || v.oid}=${v.value}`)
+].join(' ');
+
+function encodeLength(length) {
+    if (length < 0x80) return Buffer.from([length]);
+    const bytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) bytes.unshift(n & 0xff);
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const encode = (tag, value) => Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+const sequence = (tag, children) => encode(tag, Buffer.concat(children));
+
+function encodeInteger(value) {
+    const bytes = [];
+    let n = BigInt(value);
+    do {
+        bytes.unshift(Number(n & 0xffn));
+        n >>= 8n;
+    } while (!(n === 0n && !(bytes[0] & 0x80)) && !(n === -1n && bytes[0] & 0x80));
+    return Buffer.from(bytes);
+}
+
+function encodeOid(oid) {
+    const [first, second, ...rest] = oid.split('.').map(Number);
+    const bytes = [first * 40 + second];
+    for (const part of rest) {
+        const group = [part & 0x7f];
+        for (let n = Math.floor(part / 128); n > 0; n = Math.floor(n / 128)) group.unshift((n & 0x7f) | 0x80);
+        bytes.push(...group);
+    }
+    return Buffer.from(bytes);
+}
+
+function encodeValue({ type, value }) {
+    switch (type) {
+        case 'integer': return encode(TAG.INTEGER, encodeInteger(value));
+        case 'oid': return encode(TAG.OID, encodeOid(value));
+        case 'ip': return encode(TAG.IP_ADDRESS, Buffer.from(String(value).split('.').map(Number)));
+        case 'counter': return encode(TAG.COUNTER32, encodeInteger(value));
+        case 'gauge': return encode(TAG.GAUGE32, encodeInteger(value));
+        case 'timeticks': return encode(TAG.TIMETICKS, encodeInteger(value));
+        case 'null': return encode(TAG.NULL, Buffer.alloc(0));
+        default: return encode(TAG.OCTET_STRING, Buffer.from(String(value), 'utf8'));
+    }
+}
+
+/**
+ * Builds an SNMPv2c trap (or inform), for test senders and the inform acknowledgement.
+ *
+ * @param {Object} params
+ * @param {string} params.trapOid - snmpTrapOID.0, e.g. '1.3.6.1.6.3.1.1.5.3' for linkDown.
+ * @param {Array<{ oid: string, type: string, value: * }>} [params.varbinds] - type is one of
+ *   integer, string, oid, ip, counter, gauge, timeticks, null.
+ * @param {string} [params.community='public']
+ * @param {number} [params.uptime=0] - sysUpTime.0 in hundredths of a second.
+ * @param {number} [params.requestId]
+ * @param {boolean} [params.inform=false] - Send an InformRequest, which receivers acknowledge.
+ * @returns {Buffer}
+ */
+export function encodeTrap({ trapOid, varbinds = [], community = 'public', uptime = 0, requestId = Math.floor(Math.random() * 2 ** 31), inform = false }) {
+    const bindings = [
+        { oid: SYS_UPTIME, type: 'timeticks', value: uptime },
+        { oid: SNMP_TRAP_OID, type: 'oid', value: trapOid },
+        ...varbinds
+    ].map(v => sequence(TAG.SEQUENCE, [encode(TAG.OID, encodeOid(v.oid)), encodeValue(v)]));
+
+    return sequence(TAG.SEQUENCE, [
+        encode(TAG.INTEGER, encodeInteger(SNMP_V2C)),
+        encode(TAG.OCTET_STRING, Buffer.from(community, 'utf8')),
+        sequence(inform ? TAG.INFORM : TAG.TRAP_V2, [
+            encode(TAG.INTEGER, encodeInteger(requestId)),
+            encode(TAG.INTEGER, encodeInteger(0)),
+            encode(TAG.INTEGER, encodeInteger(0)),
+            sequence(TAG.SEQUENCE, bindings)
+        ])
+    ]);
+}
+
+/**
+ * The Response PDU that acknowledges an inform: same request ID and variable bindings.
+ *
+ * @param {Object} inform - parseTrap result with pdu 'inform'.
+ * @returns {Buffer}
+ */
+export const encodeInformResponse = (inform) => sequence(TAG.SEQUENCE, [
+    encode(TAG.INTEGER, encodeInteger(SNMP_V2C)),
+    encode(TAG.OCTET_STRING, Buffer.from(inform.community, 'utf8')),
+    sequence(TAG.RESPONSE, [
+        encode(TAG.INTEGER, encodeInteger(inform.request_id)),
+        encode(TAG.INTEGER, encodeInteger(0)),
+        encode(TAG.INTEGER, encodeInteger(0)),
+        inform.raw_varbinds
+    ])
+]);
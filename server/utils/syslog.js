@@ -0,0 +1,112 @@
+// Syslog severities, RFC 5424 section 6.2.1; lower is more severe
+export const SYSLOG_SEVERITIES = ['Emergency', 'Alert', 'Critical', 'Error', 'Warning', 'Notice', 'Informational', 'Debug'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const BSD_TIMESTAMP = /^([A-Z][a-z]{2}) +(\d{1,2}) (\d{2}):(\d{2}):(\d{2}) /;
+const BSD_TAG = /^([^\s:[\]]{1,48})(?:\[([^\]]*)\])?: ?/;
+// Cisco IOS: optional sequence number and its own timestamp, e.g. '123: *Mar  1 00:00:00.000 UTC: %LINK-3-UPDOWN: ...'
+const IOS_PREFIX = /^(?:\d+: )?[*.]?[A-Z][a-z]{2} +\d{1,2}(?: \d{4})? \d{2}:\d{2}:\d{2}(?:\.\d+)?(?: [A-Z]{3,4})?: /;
+
+const nil = (value) => (value === '-' ? null : value);
+
+// RFC 3164 timestamps have no year or zone; take the server's, stepping back a year around New Year
+function bsdDate([, month, day, hours, minutes, seconds], now) {
+    const date = new Date(now.getFullYear(), MONTHS.indexOf(month), Number(day), Number(hours), Number(minutes), Number(seconds));
+    if (date - now > 24 * 60 * 60 * 1000) date.setFullYear(date.getFullYear() - 1);
+    return date;
+}
+
+// Skips the STRUCTURED-DATA field: '-' or one or more [id param="value"] elements
+function skipStructuredData(text) {
+    if (text.startsWith('-')) return { structuredData: null, rest: text.slice(1) };
+    let i = 0;
+    while (text[i] === '[') {
+        let quoted = false;
+        for (i++; i < text.length; i++) {
+            if (text[i] === '\\') i++;
+            else if (text[i] === '"') quoted = !quoted;
+            else if (text[i] === ']' && !quoted) break;
+        }
+        i++;
+    }
+    return { structuredData: text.slice(0, i) || null, rest: text.slice(i) };
+}
+
+function parse5424(header, body) {
+    const parts = body.split(' ');
+    if (parts.length < 6) return null;
+    const [timestamp, hostname, appName, procId, msgId] = parts;
+    const { structuredData, rest } = skipStructuredData(parts.slice(5).join(' '));
+    const time = nil(timestamp) ? new Date(timestamp) : null;
+    return {
+        ...header,
+        format: 'rfc5424',
+        timestamp: time && !Number.isNaN(time.getTime()) ? time : null,
+        hostname: nil(hostname),
+        app_name: nil(appName),
+        proc_id: nil(procId),
+        msg_id: nil(msgId),
+        structured_data: structuredData,
+        message: rest.replace(/^ /, '').replace(/^\uFEFF/, '')
+    };
+}
+
+function parse3164(header, body, now) {
+    let rest = body;
+    let timestamp = null;
+    let hostname = null;
+
+    const time = BSD_TIMESTAMP.exec(rest);
+    if (time) {
+        timestamp = bsdDate(time, now);
+        rest = rest.slice(time[0].length);
+        // The host is only present after a timestamp, and never ends in ':' (that would be the tag)
+        const host = /^(\S+) /.exec(rest);
+        if (host && !host[1].endsWith(':') && !host[1].includes('[')) {
+            hostname = host[1];
+            rest = rest.slice(host[0].length);
+        }
+    }
+
+    const ios = IOS_PREFIX.exec(rest);
+    if (ios) rest = rest.slice(ios[0].length);
+
+    const tag = BSD_TAG.exec(rest);
+    return {
+        ...header,
+        format: 'rfc3164',
+        timestamp,
+        hostname,
+        app_name: tag ? tag[1] : null,
+        proc_id: tag && tag[2] ? tag[2] : null,
+        msg_id: null,
+        structured_data: null,
+        message: tag ? rest.slice(tag[0].length) : rest
+    };
+}
+
+/**
+ * Parses one syslog datagram in RFC 5424 or RFC 3164 (BSD) format. BSD messages
+ * are parsed leniently because devices rarely follow it exactly: whatever is
+ * not a recognisable timestamp, host or tag stays in `message`.
+ *
+ * @param {Buffer|string} packet
+ * @param {Date} [now=new Date()] - Used to fill in the year of BSD timestamps.
+ * @returns {Object|null} `{ format, facility, severity, timestamp, hostname, app_name,
+ *   proc_id, msg_id, structured_data, message }`, or null when there is no valid PRI.
+ */
+export function parseSyslog(packet, now = new Date()) {
+    const text = (Buffer.isBuffer(packet) ? packet.toString('utf8') : String(packet)).replace(/[\r\n\0]+$/, '');
+    const pri = /^<(\d{1,3})>/.exec(text);
+    if (!pri || Number(pri[1]) > 191) return null;
+
+    const header = { facility: Math.floor(Number(pri[1]) / 8), severity: Number(pri[1]) % 8 };
+    const body = text.slice(pri[0].length);
+
+    const version = /^1 /.exec(body);
+    if (version) {
+        const parsed = parse5424(header, body.slice(version[0].length));
+        if (parsed) return parsed;
+    }
+    return parse3164(header, body, now);
+}
@@ -0,0 +1,124 @@
+import pool from '../database.js';
+
+const OPEN_FAULT_STATUSES = ['Open', 'In Progress', 'Pending'];
+
+/**
+ * Loads every link into adjacency maps.
+ *
+ * @returns {Promise<{ children: Map<number, number[]>, parents: Map<number, number[]> }>}
+ */
+export const loadTopology = async () => {
+    const [links] = await pool.query('SELECT upstream_component_id, downstream_component_id FROM Component_Links');
+
+    const children = new Map();
+    const parents = new Map();
+    for (const { upstream_component_id: up, downstream_component_id: down } of links) {
+        if (!children.has(up)) children.set(up, []);
+        if (!parents.has(down)) parents.set(down, []);
+        children.get(up).push(down);
+        parents.get(down).push(up);
+    }
+    return { children, parents };
+};
+
+// Breadth-first walk returning Map(componentId -> depth), excluding the start node
+function walk(adjacency, startId) {
+    const depths = new Map();
+    const queue = [[startId, 0]];
+    while (queue.length > 0) {
+        const [id, depth] = queue.shift();
+        for (const next of adjacency.get(id) || []) {
+            if (next === startId || depths.has(next)) continue;
+            depths.set(next, depth + 1);
+            queue.push([next, depth + 1]);
+        }
+    }
+    return depths;
+}
+
+// The down components plus every candidate that loses all of its parents to them
+function isolatedBy(topology, downIds, candidates) {
+    const down = new Set(downIds);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const node of candidates) {
+            if (down.has(node)) continue;
+            const parents = topology.parents.get(node) || [];
+            if (parents.length > 0 && parents.every(parent => down.has(parent))) {
+                down.add(node);
+                grew = true;
+            }
+        }
+    }
+    return down;
+}
+
+// True if linking upstream -> downstream would close a loop
+export const wouldCreateCycle = (topology, upstreamId, downstreamId) =>
+    upstreamId === downstreamId || walk(topology.children, downstreamId).has(upstreamId);
+
+/**
+ * Lists every component downstream of one that has gone down.
+ * 'isolated' components lose all their feeds; 'degraded' ones still have an
+ * upstream path that does not pass through the failed component.
+ *
+ * @param {number} componentId - The failed component.
+ * @returns {Promise<Object[]>} Downstream components with depth and impact, nearest first.
+ */
+export const getDownstreamImpact = async (componentId) => {
+    const topology = await loadTopology();
+    const id = Number(componentId);
+    const depths = walk(topology.children, id);
+    if (depths.size === 0) return [];
+
+    const down = isolatedBy(topology, [id], depths.keys());
+
+    const [components] = await pool.query(`
+        SELECT nc.component_id, nc.name, nc.type, nc.status, nc.location, d.name as department_name,
+               (SELECT COUNT(*) FROM Faults f WHERE f.component_id = nc.component_id AND f.status IN (?)) as open_faults
+        FROM Network_Components nc
+        LEFT JOIN Departments d ON nc.department_id = d.department_id
+        WHERE nc.component_id IN (?)
+    `, [OPEN_FAULT_STATUSES, [...depths.keys()]]);
+
+    return components
+        .map(c => ({
+            ...c,
+            depth: depths.get(c.component_id),
+            impact: down.has(c.component_id) ? 'isolated' : 'degraded'
+        }))
+        .sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name));
+};
+
+/**
+ * Finds the nearest upstream component that is Faulty with an open fault,
+ * i.e. an outage that already explains a problem on this component. Only
+ * applies when the Faulty components upstream cut this one off entirely; a
+ * component with a working path left (degraded) has a problem of its own.
+ *
+ * @param {number} componentId - Component a new fault is about to be opened for.
+ * @returns {Promise<Object|null>} `{ component_id, name, fault_id }` or null.
+ */
+export const findDownUpstream = async (componentId) => {
+    const topology = await loadTopology();
+    const depths = walk(topology.parents, Number(componentId));
+    if (depths.size === 0) return null;
+
+    const [ancestors] = await pool.query(`
+        SELECT nc.component_id, nc.name,
+               (SELECT f.fault_id FROM Faults f
+                WHERE f.component_id = nc.component_id AND f.status IN (?)
+                ORDER BY f.reported_at ASC LIMIT 1) as fault_id
+        FROM Network_Components nc
+        WHERE nc.component_id IN (?) AND nc.status = 'Faulty'
+    `, [OPEN_FAULT_STATUSES, [...depths.keys()]]);
+
+    const isolated = isolatedBy(topology, ancestors.map(a => a.component_id), [...depths.keys(), Number(componentId)]);
+    if (!isolated.has(Number(componentId))) return null;
+
+    const down = ancestors
+        .filter(a => a.fault_id)
+        .sort((a, b) => depths.get(a.component_id) - depths.get(b.component_id));
+    return down[0] || null;
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import pool from '../database.js';
+
+// Event types a webhook can subscribe to; '*' subscribes to all of them
+export const WEBHOOK_EVENTS = {
+    'fault.created': 'A fault was reported',
+    'fault.critical': 'A fault was opened as or raised to Critical',
+    'fault.assigned': 'A fault was assigned or unassigned',
+    'fault.status_changed': 'A fault changed status',
+    'fault.merged': 'Duplicate faults were merged into one',
+    'component.created': 'A component was added',
+    'component.updated': 'A component was edited',
+    'component.deleted': 'A component was deleted',
+    'component.status_changed': 'A component changed status',
+    'component.faulty': 'A component went Faulty',
+    'inventory.updated': 'An inventory item was edited, used or issued',
+    'inventory.low_stock': 'Stock dropped to or below its minimum level',
+    'webhook.test': 'Test event sent from the webhook settings'
+};
+
+const RESPONSE_BODY_LIMIT = 1000;
+// First retry after 30 seconds, doubling up to 6 hours
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+export const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Signature sent in X-MnettyWise-Signature: `sha256=` and the hex HMAC-SHA256 of
+ * `<timestamp>.<body>` keyed with the webhook secret. Receivers should recompute
+ * it and reject old timestamps to stop replays.
+ *
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds, also sent in X-MnettyWise-Timestamp.
+ * @param {string} body - The raw JSON body.
+ * @returns {string}
+ */
+export const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const subscribed = (webhook, type) => {
+    const types = typeof webhook.event_types === 'string' ? JSON.parse(webhook.event_types) : webhook.event_types;
+    return types.includes('*') || types.includes(type);
+};
+
+/**
+ * Sends one delivery and records the response. Non-2xx answers and network
+ * errors are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS
+ * (default 8) is reached.
+ *
+ * @param {Object} delivery - Webhook_Deliveries row.
+ * @param {Object} webhook - Webhooks row.
+ * @returns {Promise<Object>} `{ delivered, status, response_status, error }`.
+ */
+export async function deliverWebhook(delivery, webhook) {
+    const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    const timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'MnettyWise-Webhooks/1.0',
+                'X-MnettyWise-Event': delivery.event_type,
+                'X-MnettyWise-Delivery': delivery.event_id,
+                'X-MnettyWise-Timestamp': String(timestamp),
+                'X-MnettyWise-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+            },
+            body: delivery.payload,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        responseStatus = response.status;
+        responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+        if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `No response within ${timeoutMs} ms` : (err.cause?.message || err.message);
+    }
+
+    const durationMs = Date.now() - started;
+    let status = 'delivered';
+    if (error) status = attempts >= maxAttempts ? 'failed' : 'pending';
+    const retryIn = Math.min(BASE_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+    await pool.query(
+        `UPDATE Webhook_Deliveries
+         SET status = ?, attempts = ?, response_status = ?, response_body = ?, last_error = ?, duration_ms = ?,
+             next_attempt_at = NOW() + INTERVAL ? SECOND,
+             delivered_at = CASE WHEN ? = 'delivered' THEN NOW() ELSE delivered_at END
+         WHERE delivery_id = ?`,
+        [status, attempts, responseStatus, responseBody, error ? String(error).slice(0, 500) : null, durationMs,
+            retryIn, status, delivery.delivery_id]
+    );
+
+    return { delivered: !error, status, response_status: responseStatus, error };
+}
+
+const queueDelivery = async (webhook, event) => {
+    const payload = JSON.stringify(event);
+    // The first attempt is made right away; the queue only picks the row up if that never finishes
+    const [result] = await pool.query(
+        `INSERT INTO Webhook_Deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+         VALUES (?, ?, ?, ?, NOW() + INTERVAL 1 MINUTE)`,
+        [webhook.webhook_id, event.id, event.type, payload]
+    );
+    return { delivery_id: result.insertId, event_id: event.id, event_type: event.type, payload, attempts: 0 };
+};
+
+const buildEvent = (type, data) => ({ id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data });
+
+/**
+ * Sends an event to every active webhook subscribed to its type. Returns once
+ * the deliveries are queued; the HTTP calls run in the background so a slow
+ * receiver never holds up the request that caused the event. Never throws.
+ *
+ * @param {string} type - A WEBHOOK_EVENTS key.
+ * @param {Object|Function} data - Event body, e.g. the fault or component, or an
+ *   async function returning it, called only when some webhook wants the event.
+ */
+export async function emitWebhookEvent(type, data) {
+    try {
+        const [webhooks] = await pool.query('SELECT * FROM Webhooks WHERE is_active = TRUE');
+        const targets = webhooks.filter(webhook => subscribed(webhook, type));
+        if (targets.length === 0) return;
+
+        const event = buildEvent(type, typeof data === 'function' ? await data() : data);
+        for (const webhook of targets) {
+            const delivery = await queueDelivery(webhook, event);
+            deliverWebhook(delivery, webhook).catch(error => console.error('Webhook delivery error:', error));
+        }
+    } catch (error) {
+        console.error(`Webhook event ${type} error:`, error);
+    }
+}
+
+/**
+ * Sends a webhook.test event to one webhook and waits for the answer.
+ *
+ * @param {Object} webhook - Webhooks row.
+ * @param {Object} user - req.user of whoever asked for the test.
+ * @returns {Promise<Object>} deliverWebhook's result plus the delivery_id.
+ */
+export async function sendTestEvent(webhook, user) {
+    const event = buildEvent('webhook.test', {
+        webhook_id: webhook.webhook_id,
+        name: webhook.name,
+        message: 'Test event from MnettyWise',
+        requested_by: user.username
+    });
+    const delivery = await queueDelivery(webhook, event);
+    return { delivery_id: delivery.delivery_id, ...await deliverWebhook(delivery, webhook) };
+}
@@ -34,7 +34,7 @@ if [ $? -eq 0 ]; then
     echo ""
     echo "✅ MySQL setup completed successfully!"
     echo ""
-    echo "You can now run: cd server && node database.js"
+    echo "You can now run: npm run migrate"
 else
     echo ""
     echo "❌ MySQL setup failed. Please check the error messages above."
@@ -1,8 +1,8 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
 import { BrowserRouter, Routes, Route, Navigate, Link, useLocation, useNavigate } from 'react-router-dom';
 import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, BarElement, ArcElement, Title, Tooltip, Legend } from 'chart.js';
 import { Doughnut, Bar } from 'react-chartjs-2';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import {
@@ -10,7 +10,7 @@ import {
     ClipboardList, Wrench, Package, Users, Shield,
     Bell, Search, Menu, X, CheckCircle, Clock,
     AlertCircle, DollarSign, Activity, FileText, Coins, MapPin,
-    Printer, Download
+    Printer, Download, Network, GitPullRequest, Globe, Webhook, RadioTower, Paperclip, Trash2
 } from 'lucide-react';
 
 // Fix Leaflet marker icons
@@ -37,8 +37,9 @@ export function useAuth() {
 // API Helper
 async function fetchAPI(endpoint, options = {}) {
     const token = localStorage.getItem('token');
+    // FormData bodies (file uploads) get their multipart Content-Type from the browser
     const headers = {
-        'Content-Type': 'application/json',
+        ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
         ...(token && { Authorization: `Bearer ${token}` }),
         ...options.headers,
     };
@@ -51,12 +52,264 @@ async function fetchAPI(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-        throw new Error(data.message || 'API request failed');
+        // status and data let callers act on specific refusals (e.g. 409 with duplicates)
+        const error = new Error(data.message || 'API request failed');
+        error.status = response.status;
+        error.data = data.data;
+        throw error;
     }
 
     return data;
 }
 
+// Downloads a server-side export (full filtered list) as CSV, XLSX or NDJSON
+async function downloadExport(resource, params = {}, format = 'csv') {
+    const query = new URLSearchParams({ ...Object.fromEntries(Object.entries(params).filter(([, v]) => v)), format });
+    const response = await fetch(`${API_URL}/export/${resource}?${query}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Export failed');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${resource}.${format}`;
+    const url = window.URL.createObjectURL(await response.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+// Fetches an attachment (or its preview) as a Blob; the file routes need the JWT header
+async function fetchAttachment(attachment, preview = false) {
+    const response = await fetch(`${API_URL}/attachments/${attachment.attachment_id}${preview ? '/thumbnail' : ''}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to load attachment');
+    }
+    return response.blob();
+}
+
+async function downloadAttachment(attachment) {
+    const url = window.URL.createObjectURL(await fetchAttachment(attachment));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = attachment.original_name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+// Live updates from GET /api/events (Server-Sent Events). One stream is shared by all
+// subscribers and reconnects with backoff; after a reconnect a 'reconnected' event lets
+// pages catch up on anything they missed. Read with fetch so the JWT goes in a header.
+const liveListeners = new Map();
+let liveController = null;
+
+function subscribeLive(type, listener) {
+    if (!liveListeners.has(type)) liveListeners.set(type, new Set());
+    liveListeners.get(type).add(listener);
+    if (!liveController) {
+        liveController = new AbortController();
+        runLiveStream(liveController.signal);
+    }
+
+    return () => {
+        liveListeners.get(type).delete(listener);
+        if ([...liveListeners.values()].every(set => set.size === 0) && liveController) {
+            liveController.abort();
+            liveController = null;
+        }
+    };
+}
+
+function dispatchLive(type, data) {
+    for (const listener of liveListeners.get(type) || []) listener(data);
+}
+
+async function runLiveStream(signal) {
+    let delay = 1000;
+    let connected = false;
+    while (!signal.aborted) {
+        const token = localStorage.getItem('token');
+        if (!token) return;
+        try {
+            const response = await fetch(`${API_URL}/events`, {
+                headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+                signal
+            });
+            // An expired session stays closed until the next login
+            if (response.status === 401 || response.status === 403) return;
+            if (!response.ok) throw new Error(`Event stream failed (${response.status})`);
+
+            if (connected) dispatchLive('reconnected', {});
+            connected = true;
+            delay = 1000;
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (; ;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const type = block.match(/^event: (.*)$/m)?.[1];
+                    const data = block.match(/^data: (.*)$/m)?.[1];
+                    if (type && data) dispatchLive(type, JSON.parse(data));
+                }
+            }
+        } catch (error) {
+            if (signal.aborted) return;
+            console.error('Live updates disconnected:', error);
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, 30000);
+    }
+}
+
+// Calls onEvent(type, data) for the given live event types while mounted
+function useLiveEvents(types, onEvent) {
+    const handler = useRef(onEvent);
+    handler.current = onEvent;
+
+    useEffect(() => {
+        const unsubscribe = types.map(type => subscribeLive(type, data => handler.current(type, data)));
+        return () => unsubscribe.forEach(fn => fn());
+    }, [types.join()]);
+}
+
+// Reloads a page when any of the given live events arrive, once per burst
+function useLiveRefresh(types, reload, delay = 500) {
+    const timer = useRef(null);
+    useLiveEvents([...types, 'reconnected'], () => {
+        clearTimeout(timer.current);
+        timer.current = setTimeout(() => reload(), delay);
+    });
+    useEffect(() => () => clearTimeout(timer.current), []);
+}
+
+function ExportButton({ resource, params }) {
+    const [format, setFormat] = useState('csv');
+    const [busy, setBusy] = useState(false);
+
+    const handleExport = async () => {
+        setBusy(true);
+        try {
+            await downloadExport(resource, params, format);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="d-flex gap-1">
+            <select className="filter-select" value={format} onChange={(e) => setFormat(e.target.value)} title="Export format">
+                <option value="csv">CSV</option>
+                <option value="xlsx">Excel</option>
+                <option value="ndjson">NDJSON</option>
+            </select>
+            <button className="btn btn-secondary" onClick={handleExport} disabled={busy}>
+                <Download size={16} /> {busy ? 'Exporting...' : 'Export'}
+            </button>
+        </div>
+    );
+}
+
+// Page, page size and sort of a server-paged list. Changing resetOn (usually
+// the filters), the page size or the sort goes back to the first page.
+function usePaging({ sort: defaultSort = '', limit: defaultLimit = 25, resetOn = [] } = {}) {
+    const [paging, setPaging] = useState({ page: 1, limit: defaultLimit, sort: defaultSort });
+    const [pagination, setPagination] = useState(null);
+    const resetKey = JSON.stringify(resetOn);
+    const [lastResetKey, setLastResetKey] = useState(resetKey);
+    if (resetKey !== lastResetKey) {
+        setLastResetKey(resetKey);
+        setPaging(p => ({ ...p, page: 1 }));
+    }
+
+    return {
+        ...paging,
+        pagination,
+        setPagination,
+        setPage: (page) => setPaging(p => ({ ...p, page })),
+        setLimit: (limit) => setPaging(p => ({ ...p, limit, page: 1 })),
+        setSort: (sort) => setPaging(p => ({ ...p, sort, page: 1 })),
+        // Adds page, limit and sort to a URLSearchParams of filters
+        apply: (params) => {
+            params.set('page', paging.page);
+            params.set('limit', paging.limit);
+            if (paging.sort) params.set('sort', paging.sort);
+            return params;
+        }
+    };
+}
+
+// Column header that sorts a paged list. Click sorts by the column (again to
+// reverse); shift-click adds it as a further sort key.
+function SortHeader({ label, field, paging, style }) {
+    const keys = paging.sort ? paging.sort.split(',') : [];
+    const index = keys.findIndex(k => k.replace(/^-/, '') === field);
+    const descending = index >= 0 && keys[index].startsWith('-');
+
+    const handleClick = (e) => {
+        const next = descending || index < 0 ? field : `-${field}`;
+        if (!e.shiftKey) {
+            paging.setSort(index === 0 ? next : field);
+        } else if (index >= 0) {
+            paging.setSort(keys.map((k, i) => (i === index ? next : k)).join(','));
+        } else {
+            paging.setSort([...keys, field].join(','));
+        }
+    };
+
+    return (
+        <th style={{ cursor: 'pointer', userSelect: 'none', ...style }} onClick={handleClick} title="Click to sort, shift-click to add to the sort">
+            {label}
+            {index >= 0 && (
+                <span className="text-muted" style={{ marginLeft: '0.25rem', fontSize: '0.75rem' }}>
+                    {descending ? '▼' : '▲'}{keys.length > 1 ? index + 1 : ''}
+                </span>
+            )}
+        </th>
+    );
+}
+
+function Pagination({ paging }) {
+    const { pagination } = paging;
+    if (!pagination || !pagination.limit) return null;
+    const { page, pages, total, limit } = pagination;
+    const first = total === 0 ? 0 : (page - 1) * limit + 1;
+
+    return (
+        <div className="d-flex gap-2" style={{ justifyContent: 'space-between', alignItems: 'center', padding: '0.75rem 1rem' }}>
+            <span className="text-muted" style={{ fontSize: '0.85rem' }}>
+                {first}–{Math.min(page * limit, total)} of {total}
+            </span>
+            <div className="d-flex gap-1" style={{ alignItems: 'center' }}>
+                <select className="filter-select" value={limit} onChange={(e) => paging.setLimit(Number(e.target.value))} title="Rows per page">
+                    {[...new Set([25, 50, 100, 200, limit])].sort((a, b) => a - b).map(n => <option key={n} value={n}>{n} per page</option>)}
+                </select>
+                <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => paging.setPage(page - 1)}>Previous</button>
+                <span style={{ fontSize: '0.85rem' }}>Page {page} of {pages}</span>
+                <button className="btn btn-secondary btn-sm" disabled={page >= pages} onClick={() => paging.setPage(page + 1)}>Next</button>
+            </div>
+        </div>
+    );
+}
+
 // Login Component
 function Login({ onLogin }) {
     const [username, setUsername] = useState('');
@@ -145,6 +398,7 @@ function Sidebar({ user, onLogout, isOpen, onClose }) {
     const [notifications, setNotifications] = useState([]);
     const [unreadCount, setUnreadCount] = useState(0);
     const [showNotifications, setShowNotifications] = useState(false);
+    const [showPreferences, setShowPreferences] = useState(false);
 
     const fetchNotifications = async () => {
         try {
@@ -160,21 +414,35 @@ function Sidebar({ user, onLogout, isOpen, onClose }) {
 
     useEffect(() => {
         fetchNotifications();
-        const interval = setInterval(fetchNotifications, 10000); // Poll every 10s
-        return () => clearInterval(interval);
     }, []);
 
+    // New notifications are pushed; after a dropped connection the list is fetched again
+    useLiveEvents(['notification', 'reconnected'], (type, notification) => {
+        if (type === 'reconnected') {
+            fetchNotifications();
+            return;
+        }
+        setNotifications(prev => [notification, ...prev].slice(0, 50));
+        setUnreadCount(prev => prev + 1);
+    });
+
     const navItems = [
         { path: '/', icon: <LayoutDashboard size={20} />, label: 'Dashboard', roles: ['Admin', 'Manager', 'Technician'] },
+        { path: '/search', icon: <Search size={20} />, label: 'Search', roles: ['Admin', 'Manager', 'Technician', 'Staff'] },
         { path: '/infrastructure', icon: <Server size={20} />, label: 'Infrastructure', roles: ['Admin', 'Manager', 'Technician'] },
         { path: '/map', icon: <MapPin size={20} />, label: 'Device Map', roles: ['Admin', 'Manager', 'Technician'] },
+        { path: '/topology', icon: <Network size={20} />, label: 'Topology', roles: ['Admin', 'Manager', 'Technician'] },
+        { path: '/ipam', icon: <Globe size={20} />, label: 'IP Addresses', roles: ['Admin', 'Manager', 'Technician'] },
         { path: '/faults', icon: <AlertTriangle size={20} />, label: 'Fault Reporting', roles: ['Admin', 'Manager', 'Technician', 'Staff'] },
         { path: '/metrics', icon: <BarChart size={20} />, label: 'Quality Metrics', roles: ['Admin', 'Manager', 'Technician'] },
         { path: '/reports', icon: <ClipboardList size={20} />, label: 'Incident Reports', roles: ['Admin', 'Manager'] },
         { path: '/maintenance', icon: <Wrench size={20} />, label: 'Maintenance Logs', roles: ['Admin', 'Manager', 'Technician'] },
+        { path: '/changes', icon: <GitPullRequest size={20} />, label: 'Change Requests', roles: ['Admin', 'Manager', 'Technician'] },
         { path: '/inventory', icon: <Package size={20} />, label: 'Inventory', roles: ['Admin', 'Manager', 'Technician'] },
         { path: '/technicians', icon: <Users size={20} />, label: 'Team Management', roles: ['Admin', 'Manager'] },
         { path: '/team', icon: <Users size={20} />, label: 'Team', roles: ['Technician', 'Staff'] },
+        { path: '/device-events', icon: <RadioTower size={20} />, label: 'Device Events', roles: ['Admin', 'Manager'] },
+        { path: '/webhooks', icon: <Webhook size={20} />, label: 'Webhooks', roles: ['Admin'] },
         { path: '/audit', icon: <Shield size={20} />, label: 'Audit Trail', roles: ['Admin'] },
     ];
 
@@ -237,8 +505,8 @@ function Sidebar({ user, onLogout, isOpen, onClose }) {
                                 maxHeight: '350px',
                                 overflowY: 'auto'
                             }}>
-                                <div style={{ padding: '0.75rem', borderBottom: '1px solid #eee', fontWeight: 600, display: 'flex', justifyContent: 'space-between' }}>
-                                    <span>Notifications</span>
+                                <div style={{ padding: '0.75rem', borderBottom: '1px solid #eee', fontWeight: 600, display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+                                    <span style={{ marginRight: 'auto' }}>Notifications</span>
                                     {unreadCount > 0 && (
                                         <span
                                             style={{ fontSize: '0.75rem', color: '#3182CE', cursor: 'pointer' }}
@@ -251,6 +519,12 @@ function Sidebar({ user, onLogout, isOpen, onClose }) {
                                             Mark all read
                                         </span>
                                     )}
+                                    <span
+                                        style={{ fontSize: '0.75rem', color: '#3182CE', cursor: 'pointer' }}
+                                        onClick={() => setShowPreferences(true)}
+                                    >
+                                        Preferences
+                                    </span>
                                 </div>
                                 {notifications.length === 0 ? (
                                     <div style={{ padding: '1rem', textAlign: 'center', color: '#888', fontSize: '0.9rem' }}>
@@ -323,10 +597,200 @@ function Sidebar({ user, onLogout, isOpen, onClose }) {
                     </button>
                 </div>
             </aside>
+
+            {showPreferences && <NotificationPreferencesModal onClose={() => setShowPreferences(false)} />}
         </>
     );
 }
 
+const NOTIFICATION_TYPE_LABELS = {
+    fault_assigned: 'Fault assigned to me',
+    status_change: 'Fault status changes',
+    escalation: 'Escalations',
+    low_stock: 'Low stock alerts',
+    maintenance_due: 'Maintenance due',
+    system: 'System notices'
+};
+
+const EMAIL_STATUS_BADGES = { sent: 'badge-success', pending: 'badge-warning', failed: 'badge-danger' };
+
+// Email channel settings: which notifications to email, immediate or digest, quiet hours
+function NotificationPreferencesModal({ onClose }) {
+    const [form, setForm] = useState(null);
+    const [types, setTypes] = useState([]);
+    const [emailAvailable, setEmailAvailable] = useState(false);
+    const [deliveries, setDeliveries] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        fetchAPI('/notifications/preferences')
+            .then(res => {
+                setForm({ ...res.data, quiet_start: res.data.quiet_start || '', quiet_end: res.data.quiet_end || '' });
+                setTypes(res.types);
+                setEmailAvailable(res.email_available);
+            })
+            .catch(error => alert(error.message));
+        loadDeliveries();
+    }, []);
+
+    const loadDeliveries = async () => {
+        try {
+            const response = await fetchAPI('/notifications/deliveries');
+            setDeliveries(response.data);
+        } catch (error) {
+            console.error('Failed to load email deliveries:', error);
+        }
+    };
+
+    const toggleType = (type) => {
+        const selected = form.email_types.includes(type)
+            ? form.email_types.filter(t => t !== type)
+            : [...form.email_types, type];
+        setForm({ ...form, email_types: selected });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await fetchAPI('/notifications/preferences', { method: 'PUT', body: JSON.stringify(form) });
+            onClose();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleTest = async () => {
+        try {
+            const response = await fetchAPI('/notifications/preferences/test', { method: 'POST' });
+            alert(response.message);
+            loadDeliveries();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleRetry = async (id) => {
+        try {
+            await fetchAPI(`/notifications/deliveries/${id}/retry`, { method: 'POST' });
+            loadDeliveries();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    if (!form) return null;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: '640px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Notification Preferences</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        {!emailAvailable && (
+                            <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                Email is not configured on this server yet. Your choices are saved and apply once it is.
+                            </p>
+                        )}
+                        <div className="form-group">
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <input type="checkbox" checked={form.email_enabled} onChange={(e) => setForm({ ...form, email_enabled: e.target.checked })} />
+                                Email me notifications (they always appear here as well)
+                            </label>
+                        </div>
+                        {form.email_enabled && (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Email these notifications</label>
+                                    {types.map(type => (
+                                        <label key={type} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                            <input type="checkbox" checked={form.email_types.includes(type)} onChange={() => toggleType(type)} />
+                                            {NOTIFICATION_TYPE_LABELS[type] || type}
+                                        </label>
+                                    ))}
+                                </div>
+                                <div className="grid-2">
+                                    <div className="form-group">
+                                        <label className="form-label">Delivery</label>
+                                        <select className="form-select" value={form.delivery} onChange={(e) => setForm({ ...form, delivery: e.target.value })}>
+                                            <option value="immediate">As they happen</option>
+                                            <option value="digest">Daily digest</option>
+                                        </select>
+                                    </div>
+                                    {form.delivery === 'digest' && (
+                                        <div className="form-group">
+                                            <label className="form-label">Send digest at</label>
+                                            <select className="form-select" value={form.digest_hour} onChange={(e) => setForm({ ...form, digest_hour: Number(e.target.value) })}>
+                                                {Array.from({ length: 24 }, (_, h) => (
+                                                    <option key={h} value={h}>{String(h).padStart(2, '0')}:00</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    )}
+                                </div>
+                                {form.delivery === 'immediate' && (
+                                    <div className="grid-2">
+                                        <div className="form-group">
+                                            <label className="form-label">Quiet hours from</label>
+                                            <input type="time" className="form-input" value={form.quiet_start} onChange={(e) => setForm({ ...form, quiet_start: e.target.value })} />
+                                        </div>
+                                        <div className="form-group">
+                                            <label className="form-label">Until</label>
+                                            <input type="time" className="form-input" value={form.quiet_end} onChange={(e) => setForm({ ...form, quiet_end: e.target.value })} />
+                                        </div>
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                        <h4 style={{ margin: '1rem 0 0.5rem' }}>Recent emails</h4>
+                        {deliveries.length === 0 ? (
+                            <p className="text-muted" style={{ fontSize: '0.85rem' }}>No emails sent yet.</p>
+                        ) : (
+                            <div className="table-container" style={{ maxHeight: '220px', overflowY: 'auto' }}>
+                                <table className="table">
+                                    <thead>
+                                        <tr><th>Subject</th><th>Status</th><th>Time</th><th></th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {deliveries.map(d => (
+                                            <tr key={d.delivery_id}>
+                                                <td style={{ fontSize: '0.85rem' }}>{d.subject}</td>
+                                                <td>
+                                                    <span className={`badge ${EMAIL_STATUS_BADGES[d.status]}`} title={d.last_error || ''}>{d.status}</span>
+                                                    {d.attempts > 1 && <span className="text-muted" style={{ fontSize: '0.75rem' }}> {d.attempts} tries</span>}
+                                                </td>
+                                                <td style={{ fontSize: '0.8rem' }}>{new Date(d.sent_at || d.created_at).toLocaleString()}</td>
+                                                <td>
+                                                    {d.status === 'failed' && (
+                                                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleRetry(d.delivery_id)}>Retry</button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        {emailAvailable && (
+                            <button type="button" className="btn btn-secondary" style={{ marginRight: 'auto' }} onClick={handleTest}>Send test email</button>
+                        )}
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
 // Dashboard Component
 function Dashboard() {
     const [metrics, setMetrics] = useState(null);
@@ -336,6 +800,8 @@ function Dashboard() {
         loadMetrics();
     }, []);
 
+    useLiveRefresh(['fault', 'component', 'maintenance'], () => loadMetrics(), 2000);
+
     const loadMetrics = async () => {
         try {
             const response = await fetchAPI('/metrics/dashboard');
@@ -543,27 +1009,171 @@ function Dashboard() {
     );
 }
 
+const SEARCH_TYPE_BADGES = {
+    fault: 'badge-danger',
+    component: 'badge-info',
+    maintenance: 'badge-warning',
+    comment: 'badge-secondary',
+    inventory: 'badge-success',
+    report: 'badge-warning',
+    subnet: 'badge-info',
+    technician: 'badge-success',
+    department: 'badge-secondary'
+};
+
+// Global search across every entity type, with field filters and facets
+function GlobalSearch() {
+    const { role } = useAuth();
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [debounced, setDebounced] = useState('');
+    const [type, setType] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [showHelp, setShowHelp] = useState(false);
+    const paging = usePaging({ limit: 20, resetOn: [debounced, type] });
+
+    // Search once typing pauses
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(query.trim()), 300);
+        return () => clearTimeout(timer);
+    }, [query]);
+
+    useEffect(() => {
+        runSearch();
+    }, [debounced, type, paging.page, paging.limit]);
+
+    const runSearch = async () => {
+        if (debounced.length < 2) {
+            setResult(null);
+            paging.setPagination(null);
+            return;
+        }
+        setLoading(true);
+        try {
+            const params = new URLSearchParams({ q: type ? `${debounced} type:${type}` : debounced });
+            params.set('page', paging.page);
+            params.set('limit', paging.limit);
+            const response = await fetchAPI(`/search?${params}`);
+            setResult(response.data);
+            paging.setPagination(response.pagination);
+        } catch (error) {
+            console.error('Search failed:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openResult = (item) => {
+        if (item.link) navigate(item.link);
+        else if (item.type === 'technician') navigate(['Admin', 'Manager'].includes(role) ? '/technicians' : '/team');
+    };
+
+    const typeLabel = (key) => result?.types.find(t => t.key === key)?.label || key;
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">Search</h1>
+                <p className="page-subtitle">Faults, components, maintenance, comments, inventory, reports, subnets and people</p>
+            </div>
+
+            <div className="card mb-3" style={{ padding: '1rem' }}>
+                <div className="d-flex gap-1" style={{ alignItems: 'center' }}>
+                    <Search size={18} className="text-muted" />
+                    <input
+                        className="form-input"
+                        autoFocus
+                        placeholder='e.g. core router status:open priority:critical ip:192.168.2.*'
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                    />
+                    <button className="btn btn-secondary btn-sm" onClick={() => setShowHelp(!showHelp)}>{showHelp ? 'Hide syntax' : 'Syntax'}</button>
+                </div>
+                {showHelp && (
+                    <div className="text-muted mt-3" style={{ fontSize: '0.85rem', lineHeight: 1.6 }}>
+                        Words must all match; small typos and word beginnings are allowed. Quote a phrase to keep it together and put <code>-</code> in front of a word to leave it out.
+                        Filter with <code>type:</code> <code>status:</code> <code>priority:</code> <code>category:</code> <code>department:</code> <code>location:</code> <code>assignee:</code> <code>component:</code> <code>vendor:</code> <code>ip:</code> <code>mac:</code> <code>role:</code>;
+                        use <code>*</code> as a wildcard (<code>ip:10.0.*</code>) and <code>_</code> for spaces (<code>status:in_progress</code>).
+                    </div>
+                )}
+            </div>
+
+            {result && (
+                <div className="d-flex gap-1 mb-3" style={{ flexWrap: 'wrap' }}>
+                    <button className={`btn btn-sm ${!type ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setType('')}>
+                        All ({Object.values(result.facets.type).reduce((sum, n) => sum + n, 0)})
+                    </button>
+                    {result.types.filter(t => result.facets.type[t.key] || type === t.key).map(t => (
+                        <button key={t.key} className={`btn btn-sm ${type === t.key ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setType(type === t.key ? '' : t.key)}>
+                            {t.label} ({result.facets.type[t.key] || 0})
+                        </button>
+                    ))}
+                    {Object.keys(result.facets.status).length > 0 && (
+                        <span className="text-muted" style={{ fontSize: '0.85rem', alignSelf: 'center', marginLeft: '0.5rem' }}>
+                            {Object.entries(result.facets.status).map(([status, n]) => `${status} ${n}`).join(' · ')}
+                        </span>
+                    )}
+                </div>
+            )}
+
+            {loading && !result ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : result ? (
+                <div className="card">
+                    {result.results.length === 0 ? (
+                        <p className="text-muted text-center" style={{ padding: '1.5rem' }}>No matches for "{debounced}"</p>
+                    ) : result.results.map(item => (
+                        <div
+                            key={`${item.type}-${item.id}`}
+                            onClick={() => openResult(item)}
+                            style={{ padding: '0.75rem 1rem', borderBottom: '1px solid var(--border-color)', cursor: 'pointer' }}
+                        >
+                            <div className="d-flex gap-1" style={{ alignItems: 'center' }}>
+                                <span className={`badge ${SEARCH_TYPE_BADGES[item.type] || ''}`}>{typeLabel(item.type)}</span>
+                                <span style={{ fontWeight: 500 }}>{item.title}</span>
+                            </div>
+                            {item.subtitle && <div className="text-muted" style={{ fontSize: '0.85rem', marginTop: '0.25rem' }}>{item.subtitle}</div>}
+                        </div>
+                    ))}
+                    <Pagination paging={paging} />
+                </div>
+            ) : (
+                <p className="text-muted">Type at least two characters to search.</p>
+            )}
+        </div>
+    );
+}
+
 // Infrastructure Component
 function Infrastructure() {
     const { role } = useAuth(); // Get user role
     const [components, setComponents] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [filter, setFilter] = useState({ type: '', status: '' });
+    const [filter, setFilter] = useState({ type: '', status: '', search: '' });
     const [showModal, setShowModal] = useState(false);
     const [editingComponent, setEditingComponent] = useState(null);
+    const [changeComponent, setChangeComponent] = useState(null);
+    const [historyComponent, setHistoryComponent] = useState(null);
+    const [showImport, setShowImport] = useState(false);
+    const paging = usePaging({ sort: 'type,name', resetOn: [filter] });
 
     useEffect(() => {
         loadComponents();
-    }, [filter]);
+    }, [filter, paging.page, paging.limit, paging.sort]);
+
+    useLiveRefresh(['component'], () => loadComponents());
 
     const loadComponents = async () => {
         try {
             const params = new URLSearchParams();
             if (filter.type) params.append('type', filter.type);
             if (filter.status) params.append('status', filter.status);
+            if (filter.search) params.append('search', filter.search);
 
-            const response = await fetchAPI(`/components?${params}`);
+            const response = await fetchAPI(`/components?${paging.apply(params)}`);
             setComponents(response.data);
+            paging.setPagination(response.pagination);
         } catch (error) {
             console.error('Failed to load components:', error);
         } finally {
@@ -571,18 +1181,34 @@ function Infrastructure() {
         }
     };
 
-    const handleSave = async (data) => {
+    const handleSave = async ({ allocate_subnet_id, suggested_ip, ...data }) => {
         try {
+            let componentId = editingComponent?.component_id;
             if (editingComponent) {
                 await fetchAPI(`/components/${editingComponent.component_id}`, {
                     method: 'PUT',
                     body: JSON.stringify(data),
                 });
             } else {
-                await fetchAPI('/components', {
+                const response = await fetchAPI('/components', {
                     method: 'POST',
                     body: JSON.stringify(data),
                 });
+                componentId = response.data.id;
+            }
+            // The address is taken from the subnet only now, so nobody else can get it in between
+            if (allocate_subnet_id) {
+                try {
+                    const response = await fetchAPI(`/ipam/subnets/${allocate_subnet_id}/allocate`, {
+                        method: 'POST',
+                        body: JSON.stringify({ component_id: componentId }),
+                    });
+                    if (response.data.address !== suggested_ip) {
+                        alert(`${suggested_ip} was taken in the meantime; ${response.data.address} was assigned instead.`);
+                    }
+                } catch (error) {
+                    alert(`The component was saved, but no address was assigned: ${error.message}`);
+                }
             }
             setShowModal(false);
             setEditingComponent(null);
@@ -592,6 +1218,19 @@ function Infrastructure() {
         }
     };
 
+    const handleProbe = async (comp) => {
+        try {
+            const response = await fetchAPI(`/components/${comp.component_id}/probe`, { method: 'POST' });
+            const result = response.data;
+            alert(result.reachable
+                ? `${comp.name} is reachable (${result.method.toUpperCase()} ${result.target}, ${result.latencyMs} ms)`
+                : `${comp.name} is unreachable (${result.error}). ${result.consecutive_failures} failed check(s) in a row.`);
+            loadComponents();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
     const handleDelete = async (id) => {
         if (!confirm('Are you sure you want to delete this component?')) return;
         try {
@@ -603,25 +1242,10 @@ function Infrastructure() {
     };
 
     const canEdit = role === 'Admin' || role === 'Manager';
+    const canRequestChange = ['Admin', 'Manager', 'Technician'].includes(role);
 
     const handlePrint = () => { window.print(); };
 
-    const handleExport = () => {
-        const csv = [
-            ['Name', 'Type', 'Model', 'IP Address', 'Location', 'Latitude', 'Longitude', 'Status'],
-            ...components.map(c => [
-                c.name, c.type, c.model_number || '', c.ip_address || '',
-                c.location || '', c.latitude || '', c.longitude || '', c.status
-            ])
-        ].map(e => e.join(',')).join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'infrastructure_report.csv';
-        a.click();
-    };
-
     return (
         <div>
             <div className="page-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -631,7 +1255,7 @@ function Infrastructure() {
                 </div>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
                     <button className="btn btn-secondary" onClick={handlePrint}><Printer size={16} /> Print</button>
-                    <button className="btn btn-secondary" onClick={handleExport}><Download size={16} /> Export</button>
+                    <ExportButton resource="components" params={{ ...filter, sort: paging.sort }} />
                 </div>
             </div>
 
@@ -653,11 +1277,21 @@ function Infrastructure() {
                         <option value="Maintenance">Maintenance</option>
                         <option value="Faulty">Faulty</option>
                     </select>
+                    <input
+                        className="form-input"
+                        style={{ width: '240px' }}
+                        placeholder="Search name, location, MAC or vendor"
+                        value={filter.search}
+                        onChange={(e) => setFilter({ ...filter, search: e.target.value })}
+                    />
                 </div>
                 {canEdit && (
-                    <button className="btn btn-primary" onClick={() => { setEditingComponent(null); setShowModal(true); }}>
-                        + Add Component
-                    </button>
+                    <div className="d-flex gap-1">
+                        <button className="btn btn-secondary" onClick={() => setShowImport(true)}>Import</button>
+                        <button className="btn btn-primary" onClick={() => { setEditingComponent(null); setShowModal(true); }}>
+                            + Add Component
+                        </button>
+                    </div>
                 )}
             </div>
 
@@ -668,14 +1302,14 @@ function Infrastructure() {
                     <table className="table">
                         <thead>
                             <tr>
-                                <th>Name</th>
-                                <th>Type</th>
+                                <SortHeader label="Name" field="name" paging={paging} />
+                                <SortHeader label="Type" field="type" paging={paging} />
                                 <th>Model No.</th>
-                                <th>IP Address</th>
-                                <th>Department</th>
+                                <SortHeader label="IP Address" field="ip_address" paging={paging} />
+                                <SortHeader label="Department" field="department" paging={paging} />
                                 <th>Latitude</th>
                                 <th>Longitude</th>
-                                <th>Status</th>
+                                <SortHeader label="Status" field="status" paging={paging} />
                                 <th>Actions</th>
                             </tr>
                         </thead>
@@ -684,16 +1318,43 @@ function Infrastructure() {
                                 <tr key={comp.component_id}>
                                     <td style={{ fontWeight: 500 }}>{comp.name}</td>
                                     <td><span className="badge badge-info">{comp.type}</span></td>
-                                    <td>{comp.model_number || '-'}</td>
-                                    <td><code style={{ fontSize: '0.8rem' }}>{comp.ip_address || '-'}</code></td>
+                                    <td>
+                                        {comp.model_number || '-'}
+                                        {comp.mac_address && (
+                                            <div style={{ fontSize: '0.75rem' }} className="text-muted" title={comp.mac_address}>
+                                                {comp.mac_vendor || 'Unknown vendor'}
+                                                {comp.mac_duplicate && <span className="badge badge-danger" style={{ marginLeft: '0.25rem' }}>Duplicate MAC</span>}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <code style={{ fontSize: '0.8rem' }}>{comp.ip_address || '-'}</code>
+                                        {comp.ip_address && comp.last_polled_at && (
+                                            <div style={{ fontSize: '0.75rem', color: comp.consecutive_failures > 0 ? 'var(--accent-danger)' : 'var(--accent-success)' }}
+                                                title={`Last checked ${new Date(comp.last_polled_at).toLocaleString()}`}>
+                                                {comp.consecutive_failures > 0 ? `${comp.consecutive_failures} missed check(s)` : 'Reachable'}
+                                            </div>
+                                        )}
+                                    </td>
                                     <td>{comp.department_name || '-'}</td>
                                     <td>{comp.latitude || '-'}</td>
                                     <td>{comp.longitude || '-'}</td>
                                     <td><span className={`badge status-${comp.status.toLowerCase()}`}>{comp.status}</span></td>
                                     <td>
-                                        {canEdit ? (
+                                        {canEdit || canRequestChange ? (
                                             <div className="d-flex gap-1">
-                                                <button className="btn btn-secondary btn-sm" onClick={() => { setEditingComponent(comp); setShowModal(true); }}>Edit</button>
+                                                {canEdit && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => { setEditingComponent(comp); setShowModal(true); }}>Edit</button>
+                                                )}
+                                                {canEdit && comp.ip_address && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => handleProbe(comp)}>Probe</button>
+                                                )}
+                                                {!canEdit && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => setHistoryComponent(comp)}>Config History</button>
+                                                )}
+                                                {canRequestChange && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => setChangeComponent(comp)}>Request Change</button>
+                                                )}
                                                 {role === 'Admin' && (
                                                     <button className="btn btn-danger btn-sm" onClick={() => handleDelete(comp.component_id)}>Delete</button>
                                                 )}
@@ -706,11 +1367,12 @@ function Infrastructure() {
                             ))}
                             {components.length === 0 && (
                                 <tr>
-                                    <td colSpan="7" className="text-center text-muted">No components found</td>
+                                    <td colSpan="9" className="text-center text-muted">No components found</td>
                                 </tr>
                             )}
                         </tbody>
                     </table>
+                    <Pagination paging={paging} />
                 </div>
             )}
 
@@ -721,16 +1383,226 @@ function Infrastructure() {
                     onSave={handleSave}
                 />
             )}
+
+            {historyComponent && (
+                <ConfigHistoryModal component={historyComponent} onClose={() => setHistoryComponent(null)} />
+            )}
+
+            {showImport && (
+                <ImportComponentsModal onClose={() => setShowImport(false)} onImported={loadComponents} />
+            )}
+
+            {changeComponent && (
+                <ChangeRequestModal
+                    component={changeComponent}
+                    onClose={() => setChangeComponent(null)}
+                    onSave={() => { setChangeComponent(null); alert('Change request submitted for approval'); }}
+                />
+            )}
         </div>
     );
 }
 
-function ComponentModal({ component, onClose, onSave }) {
-    const [departments, setDepartments] = useState([]);
-    const [form, setForm] = useState({
-        name: component?.name || '',
-        type: component?.type || 'Router',
-        model_number: component?.model_number || '',
+const IMPORT_TEMPLATE = 'name,type,model_number,ip_address,mac_address,department,location,status,latitude,longitude,install_date,config_details\n' +
+    'Floor 2 Switch,Switch,Catalyst 9200,192.168.2.30,00:1B:54:AA:BB:01,Admin Block,Floor 2 - Comms Room,Active,-1.2900,36.8219,2024-06-01,"{""ports"": 24}"\n';
+
+function ImportComponentsModal({ onClose, onImported }) {
+    const [step, setStep] = useState('upload');
+    const [fileName, setFileName] = useState('');
+    const [text, setText] = useState('');
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const isJson = (value) => /^\s*[[{]/.test(value);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            setFileName(file.name);
+            setText(reader.result);
+        };
+        reader.readAsText(file);
+    };
+
+    const downloadTemplate = () => {
+        const blob = new Blob([IMPORT_TEMPLATE], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'components_import_template.csv';
+        a.click();
+    };
+
+    const send = async (dryRun) => {
+        let options;
+        if (isJson(text)) {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                alert(`The JSON could not be read: ${error.message}`);
+                return null;
+            }
+            options = { method: 'POST', body: JSON.stringify({ rows: Array.isArray(parsed) ? parsed : parsed.rows || [] }) };
+        } else {
+            options = { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: text };
+        }
+        return fetchAPI(`/components/import${dryRun ? '?dry_run=true' : ''}`, options);
+    };
+
+    const validate = async () => {
+        setBusy(true);
+        try {
+            const res = await send(true);
+            if (res) {
+                setReport(res.data);
+                setStep('review');
+            }
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const runImport = async () => {
+        setBusy(true);
+        try {
+            const res = await send(false);
+            if (res) {
+                setReport(res.data);
+                setStep('done');
+                onImported();
+            }
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: '800px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Import Components</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <div className="tabs" style={{ marginBottom: 0 }}>
+                    {[['upload', '1. Upload'], ['review', '2. Review'], ['done', '3. Import']].map(([key, label]) => (
+                        <span key={key} className={`tab ${step === key ? 'active' : ''}`}>{label}</span>
+                    ))}
+                </div>
+                <div className="modal-body">
+                    {step === 'upload' && (
+                        <>
+                            <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                Upload a CSV or JSON file with one component per row. Columns match the component fields;
+                                give the department by name. Nothing is created until every row is valid.
+                            </p>
+                            <div className="form-group">
+                                <label className="form-label">File</label>
+                                <input type="file" className="form-input" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">...or paste CSV / JSON</label>
+                                <textarea
+                                    className="form-textarea"
+                                    rows="8"
+                                    style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}
+                                    value={text}
+                                    onChange={(e) => { setText(e.target.value); setFileName(''); }}
+                                />
+                            </div>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={downloadTemplate}>
+                                <Download size={14} /> CSV template
+                            </button>
+                        </>
+                    )}
+
+                    {step !== 'upload' && report && (
+                        <>
+                            <div className="d-flex gap-2 mb-3">
+                                <span className="badge badge-info">{report.total} rows</span>
+                                <span className="badge badge-success">{report.valid} valid</span>
+                                {report.invalid > 0 && <span className="badge badge-danger">{report.invalid} with errors</span>}
+                                {fileName && <span className="text-muted" style={{ fontSize: '0.85rem' }}>{fileName}</span>}
+                            </div>
+                            {step === 'done' ? (
+                                <p>{report.created.length} components were imported.</p>
+                            ) : report.invalid > 0 ? (
+                                <p style={{ fontSize: '0.85rem', color: 'var(--accent-danger)' }}>Fix the rows below and validate again.</p>
+                            ) : (
+                                <p style={{ fontSize: '0.85rem' }}>Every row is valid and ready to import.</p>
+                            )}
+                            {report.ignored_columns.length > 0 && (
+                                <p className="text-muted" style={{ fontSize: '0.8rem' }}>Ignored columns: {report.ignored_columns.join(', ')}</p>
+                            )}
+                            <div className="table-container" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+                                <table className="table">
+                                    <thead>
+                                        <tr><th>Row</th><th>Name</th><th>Result</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {report.rows.map(r => (
+                                            <tr key={r.row}>
+                                                <td>{r.row}</td>
+                                                <td>{r.name || '-'}</td>
+                                                <td>
+                                                    {r.errors.length === 0 ? (
+                                                        <span className="badge badge-success">OK</span>
+                                                    ) : (
+                                                        r.errors.map(err => (
+                                                            <div key={err} style={{ fontSize: '0.8rem', color: 'var(--accent-danger)' }}>{err}</div>
+                                                        ))
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </div>
+                <div className="modal-footer">
+                    {step === 'upload' && (
+                        <>
+                            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                            <button type="button" className="btn btn-primary" disabled={!text.trim() || busy} onClick={validate}>
+                                {busy ? 'Validating...' : 'Validate'}
+                            </button>
+                        </>
+                    )}
+                    {step === 'review' && (
+                        <>
+                            <button type="button" className="btn btn-secondary" onClick={() => setStep('upload')}>Back</button>
+                            <button type="button" className="btn btn-primary" disabled={report.invalid > 0 || busy} onClick={runImport}>
+                                {busy ? 'Importing...' : `Import ${report.valid} components`}
+                            </button>
+                        </>
+                    )}
+                    {step === 'done' && (
+                        <button type="button" className="btn btn-primary" onClick={onClose}>Close</button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ComponentModal({ component, onClose, onSave }) {
+    const [departments, setDepartments] = useState([]);
+    const [subnets, setSubnets] = useState([]);
+    // Subnet whose next free address was picked; it is allocated on save, when it may have changed
+    const [allocateFrom, setAllocateFrom] = useState(null);
+    const [tab, setTab] = useState('details');
+    const [form, setForm] = useState({
+        name: component?.name || '',
+        type: component?.type || 'Router',
+        model_number: component?.model_number || '',
         ip_address: component?.ip_address || '',
         mac_address: component?.mac_address || '',
         location: component?.location || '',
@@ -740,12 +1612,22 @@ function ComponentModal({ component, onClose, onSave }) {
         latitude: component?.latitude || '',
         longitude: component?.longitude || '',
         install_date: component?.install_date ? component.install_date.split('T')[0] : '',
+        poll_enabled: component ? Boolean(component.poll_enabled ?? true) : true,
+        poll_method: component?.poll_method || 'icmp',
+        poll_port: component?.poll_port || '',
+        config_reason: '',
     });
 
     useEffect(() => {
         fetchAPI('/departments').then(res => setDepartments(res.data));
+        fetchAPI('/ipam/subnets').then(res => setSubnets(res.data || [])).catch(() => setSubnets([]));
     }, []);
 
+    // Subnets of the chosen department first, then the rest
+    const allocatable = subnets
+        .filter(s => s.next_free)
+        .sort((a, b) => (String(b.department_id) === String(form.department_id)) - (String(a.department_id) === String(form.department_id)));
+
     const handleSubmit = (e) => {
         e.preventDefault();
         // If location is empty but department is selected, use department name + location as default
@@ -756,7 +1638,11 @@ function ComponentModal({ component, onClose, onSave }) {
                 finalLocation = dept.name; // Simple valid location string
             }
         }
-        onSave({ ...form, location: finalLocation });
+        if (allocateFrom) {
+            onSave({ ...form, location: finalLocation, ip_address: component?.ip_address || '', allocate_subnet_id: allocateFrom, suggested_ip: form.ip_address });
+        } else {
+            onSave({ ...form, location: finalLocation });
+        }
     };
 
     return (
@@ -766,6 +1652,17 @@ function ComponentModal({ component, onClose, onSave }) {
                     <h3 className="modal-title">{component ? 'Edit Component' : 'Add Component'}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
+                {component && (
+                    <div className="tabs" style={{ marginBottom: 0 }}>
+                        <button type="button" className={`tab ${tab === 'details' ? 'active' : ''}`} onClick={() => setTab('details')}>Details</button>
+                        <button type="button" className={`tab ${tab === 'history' ? 'active' : ''}`} onClick={() => setTab('history')}>Config History</button>
+                    </div>
+                )}
+                {tab === 'history' ? (
+                    <div className="modal-body">
+                        <ConfigHistory component={component} />
+                    </div>
+                ) : (
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
                         <div className="form-group">
@@ -840,13 +1737,57 @@ function ComponentModal({ component, onClose, onSave }) {
                         <div className="grid-2">
                             <div className="form-group">
                                 <label className="form-label">IP Address</label>
-                                <input className="form-input" value={form.ip_address} onChange={(e) => setForm({ ...form, ip_address: e.target.value })} placeholder="192.168.1.1" />
+                                <input className="form-input" value={form.ip_address} onChange={(e) => { setAllocateFrom(null); setForm({ ...form, ip_address: e.target.value }); }} placeholder="192.168.1.1" />
+                                {allocatable.length > 0 && (
+                                    <select
+                                        className="form-select mt-3"
+                                        value=""
+                                        onChange={(e) => {
+                                            const subnet = allocatable.find(s => String(s.subnet_id) === e.target.value);
+                                            if (!subnet) return;
+                                            setAllocateFrom(subnet.subnet_id);
+                                            setForm({ ...form, ip_address: subnet.next_free });
+                                        }}
+                                    >
+                                        <option value="">Use next free address from...</option>
+                                        {allocatable.map(s => (
+                                            <option key={s.subnet_id} value={s.subnet_id}>{s.name} ({s.cidr}) → {s.next_free}</option>
+                                        ))}
+                                    </select>
+                                )}
                             </div>
                             <div className="form-group">
                                 <label className="form-label">MAC Address</label>
-                                <input className="form-input" value={form.mac_address} onChange={(e) => setForm({ ...form, mac_address: e.target.value })} />
+                                <input className="form-input" value={form.mac_address} onChange={(e) => setForm({ ...form, mac_address: e.target.value })} placeholder="00:1A:2B:3C:4D:5E" />
+                                {component?.mac_vendor && form.mac_address === component.mac_address && (
+                                    <small className="text-muted">Vendor: {component.mac_vendor}</small>
+                                )}
                             </div>
                         </div>
+                        {form.ip_address && (
+                            <div className="grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Reachability Check</label>
+                                    <select
+                                        className="form-select"
+                                        value={form.poll_enabled ? form.poll_method : 'off'}
+                                        onChange={(e) => setForm(e.target.value === 'off'
+                                            ? { ...form, poll_enabled: false }
+                                            : { ...form, poll_enabled: true, poll_method: e.target.value })}
+                                    >
+                                        <option value="icmp">ICMP ping</option>
+                                        <option value="tcp">TCP connect</option>
+                                        <option value="off">Disabled</option>
+                                    </select>
+                                </div>
+                                {form.poll_enabled && form.poll_method === 'tcp' && (
+                                    <div className="form-group">
+                                        <label className="form-label">TCP Port *</label>
+                                        <input className="form-input" type="number" min="1" max="65535" value={form.poll_port} onChange={(e) => setForm({ ...form, poll_port: e.target.value })} placeholder="22" required />
+                                    </div>
+                                )}
+                            </div>
+                        )}
                         <div className="grid-2">
                             <div className="form-group">
                                 <label className="form-label">Latitude</label>
@@ -867,120 +1808,273 @@ function ComponentModal({ component, onClose, onSave }) {
                                 rows={3}
                             />
                         </div>
+                        {component && form.config_details !== (component.config_details || '') && (
+                            <div className="form-group">
+                                <label className="form-label">Reason for Config Change</label>
+                                <input className="form-input" value={form.config_reason} onChange={(e) => setForm({ ...form, config_reason: e.target.value })} placeholder="Saved with the new config revision" />
+                            </div>
+                        )}
                     </div>
                     <div className="modal-footer">
                         <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
                         <button type="submit" className="btn btn-primary">Save</button>
                     </div>
                 </form>
+                )}
             </div>
         </div>
     );
 }
 
-// Fault Reporting Wrapper - Routes Staff to simplified UI
-function FaultReportingWrapper() {
-    const { role } = useContext(AuthContext) || {};
-    if (role === 'Staff') {
-        return <StaffFaultReport />;
-    }
-    return <FaultReporting />;
-}
-
-// Staff Fault Report - Simplified, beautiful fault reporting for office workers
-function StaffFaultReport() {
-    const user = useContext(AuthContext) || {};
-    const [loading, setLoading] = useState(false);
-    const [submitted, setSubmitted] = useState(false);
-    const [myReports, setMyReports] = useState([]);
-    const [showForm, setShowForm] = useState(true);
-    const [components, setComponents] = useState([]);
-    const [departments, setDepartments] = useState([]);
-    const [filteredComponents, setFilteredComponents] = useState([]);
-    const [form, setForm] = useState({
-        title: '',
-        description: '',
-        priority: 'Medium',
-        department_id: '',
-        component_id: '',
-        location_description: '',
-        latitude: null,
-        longitude: null
-    });
+// Config revisions of one component with diffs between any two and rollback
+function ConfigHistory({ component }) {
+    const { role } = useAuth();
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [compare, setCompare] = useState({ from: '', to: '', format: 'line' });
+    const [diff, setDiff] = useState(null);
+    const [viewing, setViewing] = useState(null);
 
     useEffect(() => {
-        loadComponents();
-        loadDepartments();
-        loadMyReports();
-    }, []);
+        loadRevisions();
+    }, [component.component_id]);
 
-    // Auto-refresh components when switching back to the form tab
-    useEffect(() => {
-        if (showForm) {
-            loadComponents();
+    const loadRevisions = async () => {
+        try {
+            const res = await fetchAPI(`/components/${component.component_id}/config/revisions`);
+            const list = res.data || [];
+            setRevisions(list);
+            // Default to comparing the two latest revisions
+            if (list.length >= 2) setCompare(c => ({ ...c, from: list[1].revision_number, to: list[0].revision_number }));
+        } catch (error) {
+            console.error('Failed to load config revisions:', error);
+        } finally {
+            setLoading(false);
         }
-    }, [showForm]);
+    };
 
     useEffect(() => {
-        if (form.department_id) {
-            const selectedDept = departments.find(d => String(d.department_id) === String(form.department_id));
-            setFilteredComponents(components.filter(c =>
-                String(c.department_id) === String(form.department_id) ||
-                (selectedDept && c.location === selectedDept.name)
-            ));
-        } else {
-            setFilteredComponents(components);
-        }
-    }, [form.department_id, components, departments]);
+        if (!compare.from || !compare.to) return;
+        fetchAPI(`/components/${component.component_id}/config/diff?from=${compare.from}&to=${compare.to}&format=${compare.format}`)
+            .then(res => setDiff(res.data))
+            .catch(error => setDiff({ error: error.message }));
+    }, [compare]);
 
-    const loadDepartments = async () => {
+    const viewRevision = async (number) => {
         try {
-            const response = await fetchAPI('/departments');
-            setDepartments(response.data);
+            const res = await fetchAPI(`/components/${component.component_id}/config/revisions/${number}`);
+            setViewing(res.data);
         } catch (error) {
-            console.error('Failed to load departments:', error);
+            alert(error.message);
         }
     };
 
-    const loadComponents = async () => {
-        try {
-            const response = await fetchAPI('/components');
-            setComponents(response.data);
-            setFilteredComponents(response.data);
-        } catch (error) {
-            console.error('Failed to load components:', error);
+    const rollback = async (number) => {
+        const latest = revisions[0].revision_number;
+        if (role === 'Admin') {
+            const reason = window.prompt(`Roll back to revision ${number}? Reason:`, `Rolled back to revision ${number}`);
+            if (reason === null) return;
+            try {
+                const res = await fetchAPI(`/components/${component.component_id}/config/rollback`, {
+                    method: 'POST',
+                    body: JSON.stringify({ revision: number, reason })
+                });
+                alert(res.message);
+                loadRevisions();
+            } catch (error) {
+                alert(error.message);
+            }
+            return;
         }
-    };
 
-    const loadMyReports = async () => {
+        // Everyone else asks for the rollback through a change request
+        if (!window.confirm(`Submit a change request to roll back to revision ${number}?`)) return;
         try {
-            const response = await fetchAPI(`/faults?reported_by=${user.user_id}`);
-            setMyReports(response.data || []);
+            const res = await fetchAPI(`/components/${component.component_id}/config/revisions/${number}`);
+            await fetchAPI('/change-requests', {
+                method: 'POST',
+                body: JSON.stringify({
+                    component_id: component.component_id,
+                    title: `Roll back config to revision ${number}`,
+                    proposed_changes: { config_details: res.data.config_details },
+                    risk_level: 'Medium',
+                    rollback_plan: `Restore revision ${latest}`
+                })
+            });
+            alert('Change request submitted for approval');
         } catch (error) {
-            console.error('Failed to load reports:', error);
+            alert(error.message);
         }
     };
 
+    const lineStyle = {
+        added: { background: 'rgba(40, 167, 69, 0.15)' },
+        removed: { background: 'rgba(220, 53, 69, 0.15)' },
+        context: {}
+    };
+
+    if (loading) return <div className="loading-container"><div className="spinner"></div></div>;
+    if (revisions.length === 0) return <p className="text-muted">No configuration has been recorded for this component yet.</p>;
+
+    return (
+        <div>
+            <div className="table-container mb-3">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>Rev</th>
+                            <th>When</th>
+                            <th>Author</th>
+                            <th>Reason</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {revisions.map((rev, index) => (
+                            <tr key={rev.revision_id}>
+                                <td style={{ fontWeight: 500 }}>r{rev.revision_number}{index === 0 && <span className="badge badge-success" style={{ marginLeft: '6px' }}>current</span>}</td>
+                                <td>{new Date(rev.created_at).toLocaleString()}</td>
+                                <td>{rev.author_name || <span className="text-muted">{rev.source}</span>}</td>
+                                <td>{rev.reason || '-'}</td>
+                                <td>
+                                    <div className="d-flex gap-1">
+                                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => viewRevision(rev.revision_number)}>View</button>
+                                        {index > 0 && (
+                                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => rollback(rev.revision_number)}>
+                                                {role === 'Admin' ? 'Roll Back' : 'Request Rollback'}
+                                            </button>
+                                        )}
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {viewing && (
+                <div className="mb-3">
+                    <div className="d-flex gap-2" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+                        <strong>Revision {viewing.revision_number}</strong>
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setViewing(null)}>Close</button>
+                    </div>
+                    <pre style={{ maxHeight: 200, overflow: 'auto', background: 'rgba(0,0,0,0.03)', padding: '0.75rem', borderRadius: '6px', fontSize: '0.8rem' }}>
+                        {viewing.config_details || '(empty)'}
+                    </pre>
+                </div>
+            )}
+
+            {revisions.length >= 2 && (
+                <div>
+                    <div className="d-flex gap-2 mb-3" style={{ alignItems: 'center' }}>
+                        <span>Compare</span>
+                        <select className="form-select" style={{ width: 'auto' }} value={compare.from} onChange={e => setCompare({ ...compare, from: e.target.value })}>
+                            {revisions.map(r => <option key={r.revision_id} value={r.revision_number}>r{r.revision_number}</option>)}
+                        </select>
+                        <span>with</span>
+                        <select className="form-select" style={{ width: 'auto' }} value={compare.to} onChange={e => setCompare({ ...compare, to: e.target.value })}>
+                            {revisions.map(r => <option key={r.revision_id} value={r.revision_number}>r{r.revision_number}</option>)}
+                        </select>
+                        <select className="form-select" style={{ width: 'auto' }} value={compare.format} onChange={e => setCompare({ ...compare, format: e.target.value })}>
+                            <option value="line">Line diff</option>
+                            <option value="json">JSON diff</option>
+                        </select>
+                    </div>
+
+                    {diff?.error && <p className="text-muted">{diff.error}</p>}
+                    {diff?.format === 'line' && (
+                        <pre style={{ maxHeight: 300, overflow: 'auto', background: 'rgba(0,0,0,0.03)', padding: '0.5rem', borderRadius: '6px', fontSize: '0.8rem' }}>
+                            <div className="text-muted">+{diff.stats.added} / -{diff.stats.removed}</div>
+                            {diff.lines.map((line, i) => (
+                                <div key={i} style={lineStyle[line.type]}>
+                                    {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                                </div>
+                            ))}
+                        </pre>
+                    )}
+                    {diff?.format === 'json' && (
+                        diff.changes.length === 0 ? <p className="text-muted">No differences</p> : (
+                            <table className="table">
+                                <thead>
+                                    <tr><th>Path</th><th>Before</th><th>After</th></tr>
+                                </thead>
+                                <tbody>
+                                    {diff.changes.map(change => (
+                                        <tr key={change.path}>
+                                            <td style={{ fontFamily: 'monospace' }}>{change.path}</td>
+                                            <td style={lineStyle.removed}>{change.type === 'added' ? '-' : JSON.stringify(change.from)}</td>
+                                            <td style={lineStyle.added}>{change.type === 'removed' ? '-' : JSON.stringify(change.to)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Read-only config history for users who cannot edit components
+function ConfigHistoryModal({ component, onClose }) {
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: 800 }} onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Config History: {component.name}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <div className="modal-body">
+                    <ConfigHistory component={component} />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Request For Change: proposes new values for a component's controlled fields
+function ChangeRequestModal({ component, onClose, onSave }) {
+    const [form, setForm] = useState({
+        title: '',
+        reason: '',
+        ip_address: component.ip_address || '',
+        status: component.status,
+        config_details: component.config_details || '',
+        risk_level: 'Medium',
+        rollback_plan: '',
+        scheduled_for: ''
+    });
+    const [loading, setLoading] = useState(false);
+
+    const set = (field, value) => setForm({ ...form, [field]: value });
+
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!form.title || !form.description || !form.component_id) {
-            alert('Please fill in all required fields');
+        const proposed_changes = {};
+        for (const field of ['ip_address', 'status', 'config_details']) {
+            if ((form[field] || '') !== (component[field] || '')) proposed_changes[field] = form[field];
+        }
+        if (Object.keys(proposed_changes).length === 0) {
+            alert('Change at least one value');
             return;
         }
 
         setLoading(true);
         try {
-            await fetchAPI('/faults', {
+            await fetchAPI('/change-requests', {
                 method: 'POST',
                 body: JSON.stringify({
-                    ...form,
-                    category: 'staff_report'
+                    component_id: component.component_id,
+                    title: form.title,
+                    reason: form.reason,
+                    proposed_changes,
+                    risk_level: form.risk_level,
+                    rollback_plan: form.rollback_plan,
+                    scheduled_for: form.scheduled_for || null
                 })
             });
-            setSubmitted(true);
-            setForm({ title: '', description: '', priority: 'Medium', department_id: '', component_id: '', location_description: '', latitude: null, longitude: null });
-            loadMyReports();
-            setTimeout(() => setSubmitted(false), 3000);
+            onSave();
         } catch (error) {
             alert(error.message);
         } finally {
@@ -988,7 +2082,238 @@ function StaffFaultReport() {
         }
     };
 
-    const getStatusBadge = (status) => {
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Request Change: {component.name}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label className="form-label">Title *</label>
+                            <input className="form-input" placeholder="e.g. Move core router to new management subnet" value={form.title} onChange={e => set('title', e.target.value)} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Reason</label>
+                            <textarea className="form-textarea" rows={2} value={form.reason} onChange={e => set('reason', e.target.value)} />
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">IP Address</label>
+                                <input className="form-input" value={form.ip_address} onChange={e => set('ip_address', e.target.value)} />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Status</label>
+                                <select className="form-select" value={form.status} onChange={e => set('status', e.target.value)}>
+                                    <option value="Active">Active</option>
+                                    <option value="Inactive">Inactive</option>
+                                    <option value="Maintenance">Maintenance</option>
+                                    <option value="Faulty">Faulty</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Configuration Details</label>
+                            <textarea className="form-textarea" rows={4} style={{ fontFamily: 'monospace' }} value={form.config_details} onChange={e => set('config_details', e.target.value)} />
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Risk Level</label>
+                                <select className="form-select" value={form.risk_level} onChange={e => set('risk_level', e.target.value)}>
+                                    <option value="Low">Low</option>
+                                    <option value="Medium">Medium</option>
+                                    <option value="High">High</option>
+                                    <option value="Critical">Critical</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Apply At</label>
+                                <input type="datetime-local" className="form-input" value={form.scheduled_for} onChange={e => set('scheduled_for', e.target.value)} />
+                                <small className="text-muted">Leave empty to apply as soon as it is approved</small>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Rollback Plan *</label>
+                            <textarea className="form-textarea" rows={2} value={form.rollback_plan} onChange={e => set('rollback_plan', e.target.value)} required />
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Submitting...' : 'Submit for Approval'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// Fault Reporting Wrapper - Routes Staff to simplified UI
+function FaultReportingWrapper() {
+    const { role } = useContext(AuthContext) || {};
+    if (role === 'Staff') {
+        return <StaffFaultReport />;
+    }
+    return <FaultReporting />;
+}
+
+// Staff Fault Report - Simplified, beautiful fault reporting for office workers
+function StaffFaultReport() {
+    const user = useContext(AuthContext) || {};
+    const [loading, setLoading] = useState(false);
+    const [submitted, setSubmitted] = useState(false);
+    const [myReports, setMyReports] = useState([]);
+    const [showForm, setShowForm] = useState(true);
+    const [duplicates, setDuplicates] = useState(null);
+    const [files, setFiles] = useState([]);
+    const [pendingTransition, setPendingTransition] = useState(null);
+    const [components, setComponents] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [filteredComponents, setFilteredComponents] = useState([]);
+    const [form, setForm] = useState({
+        title: '',
+        description: '',
+        priority: 'Medium',
+        department_id: '',
+        component_id: '',
+        location_description: '',
+        latitude: null,
+        longitude: null
+    });
+
+    useEffect(() => {
+        loadComponents();
+        loadDepartments();
+        loadMyReports();
+    }, []);
+
+    // Status changes on the user's own reports show up without a reload
+    useLiveRefresh(['fault'], () => loadMyReports());
+
+    // Auto-refresh components when switching back to the form tab
+    useEffect(() => {
+        if (showForm) {
+            loadComponents();
+        }
+    }, [showForm]);
+
+    useEffect(() => {
+        if (form.department_id) {
+            const selectedDept = departments.find(d => String(d.department_id) === String(form.department_id));
+            setFilteredComponents(components.filter(c =>
+                String(c.department_id) === String(form.department_id) ||
+                (selectedDept && c.location === selectedDept.name)
+            ));
+        } else {
+            setFilteredComponents(components);
+        }
+    }, [form.department_id, components, departments]);
+
+    const loadDepartments = async () => {
+        try {
+            const response = await fetchAPI('/departments');
+            setDepartments(response.data);
+        } catch (error) {
+            console.error('Failed to load departments:', error);
+        }
+    };
+
+    const loadComponents = async () => {
+        try {
+            const response = await fetchAPI('/components');
+            setComponents(response.data);
+            setFilteredComponents(response.data);
+        } catch (error) {
+            console.error('Failed to load components:', error);
+        }
+    };
+
+    const loadMyReports = async () => {
+        try {
+            const response = await fetchAPI(`/faults?reported_by=${user.user_id}`);
+            setMyReports(response.data || []);
+        } catch (error) {
+            console.error('Failed to load reports:', error);
+        }
+    };
+
+    const reportDone = () => {
+        setDuplicates(null);
+        setSubmitted(true);
+        setForm({ title: '', description: '', priority: 'Medium', department_id: '', component_id: '', location_description: '', latitude: null, longitude: null });
+        setFiles([]);
+        loadMyReports();
+        setTimeout(() => setSubmitted(false), 3000);
+    };
+
+    // The first attempt asks the server for likely duplicates; "report anyway" skips the check
+    const submitReport = async (checkDuplicates) => {
+        setLoading(true);
+        try {
+            const response = await fetchAPI('/faults', {
+                method: 'POST',
+                body: JSON.stringify({
+                    ...form,
+                    category: 'staff_report',
+                    check_duplicates: checkDuplicates
+                })
+            });
+            if (response.data?.suppressed) {
+                alert(response.message);
+            } else if (files.length) {
+                // The report is in even if its files fail
+                try {
+                    await fetchAPI(`/faults/${response.data.id}/attachments`, { method: 'POST', body: attachmentForm({}, files) });
+                } catch (error) {
+                    alert(`Your report was sent, but the files were not attached: ${error.message}`);
+                }
+            }
+            reportDone();
+        } catch (error) {
+            if (error.status === 409 && error.data?.duplicates) setDuplicates(error.data.duplicates);
+            else alert(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.title || !form.description || !form.component_id) {
+            alert('Please fill in all required fields');
+            return;
+        }
+        submitReport(true);
+    };
+
+    const attachToFault = async (faultId) => {
+        try {
+            await fetchAPI(`/faults/${faultId}/reports`, {
+                method: 'POST',
+                body: JSON.stringify({ title: form.title, description: form.description })
+            });
+            reportDone();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    // "Not Resolved" asks why before reopening
+    const answerResolution = async (report, action) => {
+        if (action.requires.length > 0) {
+            setPendingTransition({ fault: report, action });
+            return;
+        }
+        try {
+            await fetchAPI(`/faults/${report.fault_id}/status`, { method: 'PUT', body: JSON.stringify({ status: action.to }) });
+            loadMyReports();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const getStatusBadge = (status) => {
         const colors = {
             'Open': '#E53E3E',
             'In Progress': '#ED8936',
@@ -1078,6 +2403,13 @@ function StaffFaultReport() {
                             />
                         </div>
 
+                        <div className="form-group" style={{ marginBottom: '1.5rem' }}>
+                            <label className="form-label" style={{ fontWeight: 600 }}>Photos or files (optional)</label>
+                            <div className="d-flex align-center gap-1" style={{ flexWrap: 'wrap' }}>
+                                <AttachmentPicker files={files} onChange={setFiles} disabled={loading} />
+                            </div>
+                        </div>
+
                         <div className="grid-2" style={{ marginBottom: '1.5rem' }}>
                             <div className="form-group">
                                 <label className="form-label" style={{ fontWeight: 600 }}>Department *</label>
@@ -1208,31 +2540,31 @@ function StaffFaultReport() {
                                         <span>📅 {new Date(report.reported_at).toLocaleDateString()}</span>
                                         {report.assigned_technician && <span>👷 Assigned to: {report.assigned_technician}</span>}
                                     </div>
-                                    {/* Confirmation buttons for resolved issues */}
-                                    {report.status === 'Resolved' && (
+                                    {/* Confirmation buttons for resolved issues, where the workflow lets the reporter answer */}
+                                    {report.status === 'Resolved' && (report.next_actions || []).length > 0 && (
                                         <div style={{ marginTop: '0.75rem', padding: '0.75rem', background: 'rgba(72, 187, 120, 0.1)', borderRadius: '6px' }}>
                                             <p style={{ margin: 0, fontSize: '0.9rem', marginBottom: '0.5rem' }}>✅ Is this issue fully resolved?</p>
                                             <div style={{ display: 'flex', gap: '0.5rem' }}>
-                                                <button
-                                                    className="btn btn-sm"
-                                                    style={{ background: '#48BB78', color: 'white', border: 'none' }}
-                                                    onClick={async () => {
-                                                        await fetchAPI(`/faults/${report.fault_id}/status`, { method: 'PUT', body: JSON.stringify({ status: 'Closed' }) });
-                                                        loadMyReports();
-                                                    }}
-                                                >
-                                                    ✓ Yes, Confirmed
-                                                </button>
-                                                <button
-                                                    className="btn btn-sm"
-                                                    style={{ background: '#E53E3E', color: 'white', border: 'none' }}
-                                                    onClick={async () => {
-                                                        await fetchAPI(`/faults/${report.fault_id}/status`, { method: 'PUT', body: JSON.stringify({ status: 'Open' }) });
-                                                        loadMyReports();
-                                                    }}
-                                                >
-                                                    ✗ Not Resolved
-                                                </button>
+                                                {report.next_actions.filter(a => a.to === 'Closed').map(action => (
+                                                    <button
+                                                        key={action.id}
+                                                        className="btn btn-sm"
+                                                        style={{ background: '#48BB78', color: 'white', border: 'none' }}
+                                                        onClick={() => answerResolution(report, action)}
+                                                    >
+                                                        ✓ Yes, Confirmed
+                                                    </button>
+                                                ))}
+                                                {report.next_actions.filter(a => a.to === 'Open').map(action => (
+                                                    <button
+                                                        key={action.id}
+                                                        className="btn btn-sm"
+                                                        style={{ background: '#E53E3E', color: 'white', border: 'none' }}
+                                                        onClick={() => answerResolution(report, action)}
+                                                    >
+                                                        ✗ Not Resolved
+                                                    </button>
+                                                ))}
                                             </div>
                                         </div>
                                     )}
@@ -1242,95 +2574,397 @@ function StaffFaultReport() {
                     )}
                 </div>
             )}
+
+            {duplicates && (
+                <DuplicateFaultsPrompt
+                    duplicates={duplicates}
+                    onAttach={attachToFault}
+                    onReportAnyway={() => { setDuplicates(null); submitReport(false); }}
+                    onClose={() => setDuplicates(null)}
+                />
+            )}
+            {pendingTransition && (
+                <FaultTransitionModal
+                    fault={pendingTransition.fault}
+                    action={pendingTransition.action}
+                    onClose={() => setPendingTransition(null)}
+                    onSave={() => { setPendingTransition(null); loadMyReports(); }}
+                />
+            )}
         </div>
     );
 }
 
-// Fault Reporting Component
-function FaultReporting() {
-    const { user_id, role } = useContext(AuthContext) || {};
-    const [faults, setFaults] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [filter, setFilter] = useState({ status: '', priority: '', dateFrom: '', dateTo: '' });
-    // View mode: 'my' for My Assignments, 'all' for All Faults
-    const [viewMode, setViewMode] = useState(role === 'Technician' ? 'my' : 'all');
-    const [showModal, setShowModal] = useState(false);
-    const [showAssignModal, setShowAssignModal] = useState(null);
-    const [showScheduleModal, setShowScheduleModal] = useState(null);
-    const [showCommentsModal, setShowCommentsModal] = useState(null);
+// Saved filter presets for a list page: pick, pin, save, share and update views
+function SavedViews({ resource, filters, sort, onApply, departments = [] }) {
+    const { role } = useAuth();
+    const [views, setViews] = useState([]);
+    const [active, setActive] = useState(null);
+    const [editing, setEditing] = useState(null);
 
     useEffect(() => {
-        loadFaults();
-    }, [filter, viewMode]);
+        loadViews();
+    }, []);
 
-    const loadFaults = async () => {
+    const loadViews = async () => {
         try {
-            const params = new URLSearchParams();
-            if (filter.status) params.append('status', filter.status);
-            if (filter.priority) params.append('priority', filter.priority);
-            if (filter.dateFrom) params.append('from_date', filter.dateFrom);
-            if (filter.dateTo) params.append('to_date', filter.dateTo);
-            if (viewMode === 'my' && user_id) params.append('technician_id', user_id);
-
-            const response = await fetchAPI(`/faults?${params}`);
-            setFaults(response.data);
+            const response = await fetchAPI(`/saved-views?resource=${resource}`);
+            setViews(response.data);
         } catch (error) {
-            console.error('Failed to load faults:', error);
-        } finally {
-            setLoading(false);
+            console.error('Failed to load saved views:', error);
         }
     };
 
-    const handleStatusChange = async (id, newStatus) => {
+    const selectView = (view) => {
+        setActive(view);
+        if (view) onApply(view);
+    };
+
+    const handleSaved = (view) => {
+        setEditing(null);
+        setActive(view);
+        loadViews();
+    };
+
+    const handleUpdateFilters = async () => {
         try {
-            await fetchAPI(`/faults/${id}/status`, {
+            const response = await fetchAPI(`/saved-views/${active.view_id}`, {
                 method: 'PUT',
-                body: JSON.stringify({ status: newStatus }),
+                body: JSON.stringify({ filters, sort })
             });
-            loadFaults();
+            handleSaved(response.data);
         } catch (error) {
             alert(error.message);
         }
     };
 
-    const handlePrint = () => { window.print(); };
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the view "${active.name}"?`)) return;
+        try {
+            await fetchAPI(`/saved-views/${active.view_id}`, { method: 'DELETE' });
+            setActive(null);
+            loadViews();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
 
-    const handleExport = () => {
-        const csv = [
-            ['ID', 'Title', 'Department', 'Component', 'Priority', 'Status', 'Assigned', 'Reported'],
-            ...faults.map(f => [
-                f.fault_id, f.title, f.department_name || 'N/A', f.component_name, f.priority, f.status,
-                f.technician_name || 'Unassigned', f.reported_at
-            ])
-        ].map(e => e.join(',')).join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `faults_${new Date().toISOString().slice(0, 10)}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+    const copyLink = async () => {
+        const url = `${window.location.origin}/${resource}?view=${active.view_id}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Link copied');
+        } catch {
+            window.prompt('Copy this link', url);
+        }
+    };
+
+    const sharedWith = (view) => {
+        if (view.visibility === 'role') return `Shared with ${view.shared_role}s`;
+        if (view.visibility === 'department') return `Shared with ${view.department_name}`;
+        return 'Only you';
     };
 
     return (
-        <div>
-            <div className="page-header">
-                <h1 className="page-title">Fault Reporting</h1>
-                <p className="page-subtitle">Log and track network faults</p>
-            </div>
+        <div className="d-flex gap-1 mb-3" style={{ alignItems: 'center', flexWrap: 'wrap' }}>
+            <select
+                className="filter-select"
+                value={active ? active.view_id : ''}
+                onChange={(e) => selectView(views.find(v => v.view_id === Number(e.target.value)) || null)}
+            >
+                <option value="">Saved views...</option>
+                {views.map(v => (
+                    <option key={v.view_id} value={v.view_id}>
+                        {v.pinned ? '★ ' : ''}{v.name}{v.visibility !== 'private' ? ` (${sharedWith(v)})` : ''}
+                    </option>
+                ))}
+            </select>
+            {views.filter(v => v.pinned).map(v => (
+                <button
+                    key={v.view_id}
+                    className={`btn btn-sm ${active?.view_id === v.view_id ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => selectView(v)}
+                    title={`${sharedWith(v)} · by ${v.owner_name}`}
+                >
+                    {v.name}
+                </button>
+            ))}
+            <button className="btn btn-secondary btn-sm" onClick={() => setEditing({})}>Save view</button>
+            {active && active.can_edit && (
+                <>
+                    <button className="btn btn-secondary btn-sm" onClick={handleUpdateFilters} title="Save the current filters and sort into this view">Update</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setEditing(active)}>Edit</button>
+                    <button className="btn btn-danger btn-sm" onClick={handleDelete}>Delete</button>
+                </>
+            )}
+            {active && active.visibility !== 'private' && (
+                <button className="btn btn-secondary btn-sm" onClick={copyLink}>Copy link</button>
+            )}
 
-            <div className="action-bar">
-                {/* Tab-based view selector for Technicians */}
-                {role === 'Technician' && (
-                    <div style={{ display: 'flex', gap: '0.5rem', marginRight: '1rem' }}>
-                        <button
-                            className={`btn ${viewMode === 'my' ? 'btn-primary' : 'btn-secondary'}`}
-                            onClick={() => setViewMode('my')}
-                            style={{ position: 'relative', paddingRight: '2.5rem' }}
-                        >
-                            My Assignments
-                            {faults.filter(f => f.assigned_to === user_id).length > 0 && (
+            {editing && (
+                <SavedViewModal
+                    view={editing.view_id ? editing : null}
+                    resource={resource}
+                    filters={filters}
+                    sort={sort}
+                    role={role}
+                    departments={departments}
+                    onClose={() => setEditing(null)}
+                    onSave={handleSaved}
+                />
+            )}
+        </div>
+    );
+}
+
+function SavedViewModal({ view, resource, filters, sort, role, departments, onClose, onSave }) {
+    const canShareAnywhere = role === 'Admin' || role === 'Manager';
+    const [form, setForm] = useState({
+        name: view?.name || '',
+        visibility: view?.visibility || 'private',
+        shared_role: view?.shared_role || role,
+        department_id: view?.department_id || '',
+        pinned: view ? view.pinned : false
+    });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const body = {
+            ...form,
+            shared_role: form.visibility === 'role' ? form.shared_role : null,
+            department_id: form.visibility === 'department' ? form.department_id || null : null
+        };
+        try {
+            // Editing changes the name and sharing; new views capture the current filters
+            const response = view
+                ? await fetchAPI(`/saved-views/${view.view_id}`, { method: 'PUT', body: JSON.stringify(body) })
+                : await fetchAPI('/saved-views', { method: 'POST', body: JSON.stringify({ ...body, resource, filters, sort }) });
+            onSave(response.data);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{view ? 'Edit View' : 'Save View'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label className="form-label">Name *</label>
+                            <input
+                                className="form-input"
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                placeholder="e.g. My critical open faults"
+                                maxLength={100}
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Visible to</label>
+                            <select className="form-select" value={form.visibility} onChange={(e) => setForm({ ...form, visibility: e.target.value })}>
+                                <option value="private">Only me</option>
+                                <option value="role">{canShareAnywhere ? 'A role' : `All ${role}s`}</option>
+                                <option value="department">{canShareAnywhere ? 'A department' : 'My department'}</option>
+                            </select>
+                        </div>
+                        {form.visibility === 'role' && canShareAnywhere && (
+                            <div className="form-group">
+                                <label className="form-label">Role</label>
+                                <select className="form-select" value={form.shared_role} onChange={(e) => setForm({ ...form, shared_role: e.target.value })}>
+                                    {['Admin', 'Manager', 'Technician', 'Staff'].map(r => <option key={r} value={r}>{r}</option>)}
+                                </select>
+                            </div>
+                        )}
+                        {form.visibility === 'department' && canShareAnywhere && (
+                            <div className="form-group">
+                                <label className="form-label">Department</label>
+                                <select className="form-select" value={form.department_id} onChange={(e) => setForm({ ...form, department_id: e.target.value })}>
+                                    <option value="">My department</option>
+                                    {departments.map(d => <option key={d.department_id} value={d.department_id}>{d.name}</option>)}
+                                </select>
+                            </div>
+                        )}
+                        <div className="form-group">
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <input type="checkbox" checked={form.pinned} onChange={(e) => setForm({ ...form, pinned: e.target.checked })} />
+                                Pin as a quick button
+                            </label>
+                        </div>
+                        {!view && (
+                            <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                Saves the current filters{sort ? ' and sort order' : ''}. Relative dates such as "This week" stay relative.
+                            </p>
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// Fault Reporting Component
+const EMPTY_FAULT_FILTER = {
+    status: '', priority: '', slaState: '', dateFrom: '', dateTo: '', dateRange: '', departmentId: '',
+    category: '', componentId: '', technicianId: '', reportedBy: ''
+};
+
+// Fault page filter fields and the GET /api/faults parameters they map to
+const FAULT_FILTER_PARAMS = {
+    status: 'status',
+    priority: 'priority',
+    slaState: 'sla_state',
+    dateFrom: 'from_date',
+    dateTo: 'to_date',
+    dateRange: 'date_range',
+    departmentId: 'department_id',
+    category: 'category',
+    componentId: 'component_id',
+    technicianId: 'technician_id',
+    reportedBy: 'reported_by'
+};
+
+const DATE_RANGE_LABELS = {
+    today: 'Today',
+    yesterday: 'Yesterday',
+    this_week: 'This week',
+    last_7_days: 'Last 7 days',
+    this_month: 'This month',
+    last_30_days: 'Last 30 days'
+};
+
+function FaultReporting() {
+    const { user_id, role } = useContext(AuthContext) || {};
+    const location = useLocation();
+    const [faults, setFaults] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filter, setFilter] = useState(EMPTY_FAULT_FILTER);
+    // View mode: 'my' for My Assignments, 'all' for All Faults
+    const [viewMode, setViewMode] = useState(role === 'Technician' ? 'my' : 'all');
+    const [departments, setDepartments] = useState([]);
+    const [showModal, setShowModal] = useState(false);
+    const [showAssignModal, setShowAssignModal] = useState(null);
+    const [showScheduleModal, setShowScheduleModal] = useState(null);
+    const [showCommentsModal, setShowCommentsModal] = useState(null);
+    const [showRelationsModal, setShowRelationsModal] = useState(null);
+    const [pendingTransition, setPendingTransition] = useState(null);
+    const paging = usePaging({ sort: 'id', resetOn: [filter, viewMode] });
+
+    // The filters as API parameters; "me" stands for the current user, so saved views work for anyone
+    const faultParams = Object.fromEntries(
+        Object.entries(FAULT_FILTER_PARAMS)
+            .map(([key, param]) => [param, key === 'technicianId' && viewMode === 'my' ? 'me' : filter[key]])
+            .filter(([, value]) => value)
+    );
+
+    useEffect(() => {
+        fetchAPI('/departments').then(res => setDepartments(res.data || [])).catch(() => { });
+    }, []);
+
+    // Shared links open a saved view: /faults?view=12
+    useEffect(() => {
+        const viewId = new URLSearchParams(location.search).get('view');
+        if (viewId) {
+            fetchAPI(`/saved-views/${viewId}`)
+                .then(res => applyView(res.data))
+                .catch(error => alert(error.message));
+        }
+    }, [location.search]);
+
+    useEffect(() => {
+        loadFaults();
+    }, [filter, viewMode, paging.page, paging.limit, paging.sort]);
+
+    useLiveRefresh(['fault'], () => loadFaults());
+
+    const applyView = (view) => {
+        const next = { ...EMPTY_FAULT_FILTER };
+        for (const [key, param] of Object.entries(FAULT_FILTER_PARAMS)) {
+            if (view.filters[param]) next[key] = view.filters[param];
+        }
+        // For technicians "assigned to me" is the My Assignments tab
+        if (role === 'Technician') {
+            setViewMode(next.technicianId === 'me' ? 'my' : 'all');
+            if (next.technicianId === 'me') next.technicianId = '';
+        }
+        setFilter(next);
+        paging.setSort(view.sort || 'id');
+    };
+
+    const loadFaults = async () => {
+        try {
+            const params = new URLSearchParams(faultParams);
+            const response = await fetchAPI(`/faults?${paging.apply(params)}`);
+            setFaults(response.data);
+            paging.setPagination(response.pagination);
+        } catch (error) {
+            console.error('Failed to load faults:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Steps that need notes or a reason ask for them first
+    const handleTransition = async (fault, action) => {
+        if (action.requires.length > 0) {
+            setPendingTransition({ fault, action });
+            return;
+        }
+        try {
+            const response = await fetchAPI(`/faults/${fault.fault_id}/status`, {
+                method: 'PUT',
+                body: JSON.stringify({ status: action.to }),
+            });
+            // Resolving an incident also resolves the faults grouped under it
+            if (response.data?.cascaded_fault_ids?.length) alert(response.message);
+            loadFaults();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handlePrint = () => { window.print(); };
+
+    // Matching faults across all pages, for the view badges
+    const faultTotal = paging.pagination ? paging.pagination.total : faults.length;
+
+    // Filters a saved view can set that have no control on this page
+    const extraFilters = [
+        filter.category && `Category: ${filter.category}`,
+        filter.componentId && `Component #${filter.componentId}`,
+        filter.technicianId && `Assigned to: ${filter.technicianId === 'me' ? 'me' : `#${filter.technicianId}`}`,
+        filter.reportedBy && `Reported by: ${filter.reportedBy === 'me' ? 'me' : `#${filter.reportedBy}`}`
+    ].filter(Boolean);
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">Fault Reporting</h1>
+                <p className="page-subtitle">Log and track network faults</p>
+            </div>
+
+            <SavedViews resource="faults" filters={faultParams} sort={paging.sort} onApply={applyView} departments={departments} />
+
+            <div className="action-bar">
+                {/* Tab-based view selector for Technicians */}
+                {role === 'Technician' && (
+                    <div style={{ display: 'flex', gap: '0.5rem', marginRight: '1rem' }}>
+                        <button
+                            className={`btn ${viewMode === 'my' ? 'btn-primary' : 'btn-secondary'}`}
+                            onClick={() => setViewMode('my')}
+                            style={{ position: 'relative', paddingRight: '2.5rem' }}
+                        >
+                            My Assignments
+                            {viewMode === 'my' && faultTotal > 0 && (
                                 <span style={{
                                     position: 'absolute',
                                     top: '-8px',
@@ -1346,7 +2980,7 @@ function FaultReporting() {
                                     fontSize: '0.75rem',
                                     fontWeight: 'bold',
                                     boxShadow: '0 2px 4px rgba(0,0,0,0.2)'
-                                }}>{faults.filter(f => f.assigned_to === user_id).length}</span>
+                                }}>{faultTotal}</span>
                             )}
                         </button>
                         <button
@@ -1361,7 +2995,7 @@ function FaultReporting() {
                                 borderRadius: '12px',
                                 fontSize: '0.75rem',
                                 fontWeight: 'bold'
-                            }}>{faults.length}</span>
+                            }}>{faultTotal}</span>
                         </button>
                     </div>
                 )}
@@ -1381,6 +3015,21 @@ function FaultReporting() {
                         <option value="Medium">Medium</option>
                         <option value="Low">Low</option>
                     </select>
+                    <select className="filter-select" value={filter.slaState} onChange={(e) => setFilter({ ...filter, slaState: e.target.value })}>
+                        <option value="">All SLA States</option>
+                        <option value="breached">Breached</option>
+                        <option value="at_risk">At Risk</option>
+                        <option value="on_track">On Track</option>
+                        <option value="met">Met</option>
+                    </select>
+                    <select className="filter-select" value={filter.departmentId} onChange={(e) => setFilter({ ...filter, departmentId: e.target.value })}>
+                        <option value="">All Departments</option>
+                        {departments.map(d => <option key={d.department_id} value={d.department_id}>{d.name}</option>)}
+                    </select>
+                    <select className="filter-select" value={filter.dateRange} onChange={(e) => setFilter({ ...filter, dateRange: e.target.value })}>
+                        <option value="">Any Time</option>
+                        {Object.entries(DATE_RANGE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
                     <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
                         <span style={{ fontSize: '0.85rem', color: 'var(--text-muted)' }}>From:</span>
                         <input
@@ -1411,13 +3060,26 @@ function FaultReporting() {
                 </div>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
                     <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
-                    <button className="btn btn-secondary" onClick={handleExport}>Export CSV</button>
+                    <ExportButton resource="faults" params={{ ...faultParams, sort: paging.sort }} />
                     <button className="btn btn-primary" onClick={() => setShowModal(true)}>
                         + Report Fault
                     </button>
                 </div>
             </div>
 
+            {extraFilters.length > 0 && (
+                <div className="d-flex gap-1 mb-3" style={{ alignItems: 'center', flexWrap: 'wrap' }}>
+                    <span className="text-muted" style={{ fontSize: '0.85rem' }}>Also filtered by:</span>
+                    {extraFilters.map(label => <span key={label} className="badge badge-secondary">{label}</span>)}
+                    <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => setFilter({ ...filter, category: '', componentId: '', technicianId: '', reportedBy: '' })}
+                    >
+                        Clear
+                    </button>
+                </div>
+            )}
+
             {loading ? (
                 <div className="loading-container"><div className="spinner"></div></div>
             ) : (
@@ -1425,13 +3087,14 @@ function FaultReporting() {
                     <table className="table">
                         <thead>
                             <tr>
-                                <th>ID</th>
-                                <th>Title / Component</th>
+                                <SortHeader label="ID" field="id" paging={paging} />
+                                <SortHeader label="Title / Component" field="title" paging={paging} />
                                 <th>Department</th>
-                                <th>Priority</th>
-                                <th>Status</th>
-                                <th>Assigned To</th>
-                                <th>Reported</th>
+                                <SortHeader label="Priority" field="priority" paging={paging} />
+                                <SortHeader label="Status" field="status" paging={paging} />
+                                <th>SLA</th>
+                                <SortHeader label="Assigned To" field="technician" paging={paging} />
+                                <SortHeader label="Reported" field="reported_at" paging={paging} />
                                 <th>Scheduled For</th>
                                 <th>Actions</th>
                             </tr>
@@ -1443,10 +3106,12 @@ function FaultReporting() {
                                     <td>
                                         <div style={{ fontWeight: 500 }}>{fault.title}</div>
                                         <div className="text-secondary" style={{ fontSize: '0.85rem' }}>{fault.component_name || '-'}</div>
+                                        <FaultRelationBadges fault={fault} />
                                     </td>
                                     <td>{fault.department_name || '-'}</td>
                                     <td><span className={`badge priority-${fault.priority.toLowerCase()}`}>{fault.priority}</span></td>
                                     <td><span className={`badge status-${fault.status.toLowerCase().replace(' ', '_')}`}>{fault.status}</span></td>
+                                    <td><SlaBadge sla={fault.sla} /></td>
                                     <td>{fault.technician_name || <span className="text-muted">Unassigned</span>}</td>
                                     <td>{new Date(fault.reported_at).toLocaleString('en-US', { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
                                     <td>{fault.scheduled_for ? new Date(fault.scheduled_for).toLocaleDateString() : '-'}</td>
@@ -1483,22 +3148,28 @@ function FaultReporting() {
                                                 </button>
                                             )}
 
-                                            {/* Start Work Button for Assigned Technician */}
-                                            {['Open', 'Pending'].includes(fault.status) && fault.assigned_to === user_id && (
-                                                <button className="btn btn-warning btn-sm" onClick={() => handleStatusChange(fault.fault_id, 'In Progress')}>Start Work</button>
-                                            )}
+                                            {/* Status steps the workflow allows this user */}
+                                            {(fault.next_actions || []).map(action => (
+                                                <button
+                                                    key={action.id}
+                                                    className={`btn ${TRANSITION_BUTTON_CLASSES[action.to] || 'btn-secondary'} btn-sm`}
+                                                    onClick={() => handleTransition(fault, action)}
+                                                >
+                                                    {action.label}
+                                                </button>
+                                            ))}
 
                                             {/* Schedule Button */}
                                             {['Open', 'Pending'].includes(fault.status) && !fault.scheduled_for && (role === 'Admin' || role === 'Manager' || fault.assigned_to === user_id) && (
                                                 <button className="btn btn-info btn-sm" style={{ background: 'var(--accent-info)', color: 'white' }} onClick={() => setShowScheduleModal(fault)}>Schedule</button>
                                             )}
 
-                                            {/* Mark Fixed Button */}
-                                            {fault.status === 'In Progress' && (role === 'Admin' || role === 'Manager' || fault.assigned_to === user_id) && (
-                                                <button className="btn btn-success btn-sm" onClick={() => handleStatusChange(fault.fault_id, 'Resolved')}>Mark Fixed</button>
+                                            {/* Duplicates and parent incidents */}
+                                            {(role === 'Admin' || role === 'Manager') && (
+                                                <button className="btn btn-secondary btn-sm" onClick={() => setShowRelationsModal(fault)}>Related</button>
                                             )}
 
-                                            {['Resolved', 'Closed'].includes(fault.status) && (
+                                            {['Resolved', 'Closed'].includes(fault.status) && !fault.next_actions?.length && role !== 'Admin' && role !== 'Manager' && (
                                                 <span className="text-muted" style={{ fontSize: '0.85rem', fontStyle: 'italic' }}>No actions</span>
                                             )}
                                         </div>
@@ -1507,11 +3178,12 @@ function FaultReporting() {
                             ))}
                             {faults.length === 0 && (
                                 <tr>
-                                    <td colSpan="9" className="text-center text-muted">No faults found</td>
+                                    <td colSpan="10" className="text-center text-muted">No faults found</td>
                                 </tr>
                             )}
                         </tbody>
                     </table>
+                    <Pagination paging={paging} />
                 </div>
             )}
 
@@ -1519,25 +3191,41 @@ function FaultReporting() {
             {showAssignModal && <AssignModal fault={showAssignModal} onClose={() => setShowAssignModal(null)} onSave={() => { setShowAssignModal(null); loadFaults(); }} />}
             {showScheduleModal && <ScheduleModal fault={showScheduleModal} onClose={() => setShowScheduleModal(null)} onSave={() => { setShowScheduleModal(null); loadFaults(); }} />}
             {showCommentsModal && <CommentsModal fault={showCommentsModal} onClose={() => setShowCommentsModal(null)} />}
+            {showRelationsModal && <FaultRelationsModal fault={showRelationsModal} onClose={() => setShowRelationsModal(null)} onSave={loadFaults} />}
+            {pendingTransition && (
+                <FaultTransitionModal
+                    fault={pendingTransition.fault}
+                    action={pendingTransition.action}
+                    onClose={() => setPendingTransition(null)}
+                    onSave={() => { setPendingTransition(null); loadFaults(); }}
+                />
+            )}
         </div>
     );
 }
 
-function ScheduleModal({ fault, onClose, onSave }) {
-    const [date, setDate] = useState('');
-    const [time, setTime] = useState('');
+const TRANSITION_BUTTON_CLASSES = { 'In Progress': 'btn-warning', Resolved: 'btn-success' };
+const TRANSITION_FIELD_LABELS = { resolution_notes: 'Resolution notes', reason: 'Reason' };
+
+// Collects the fields a workflow step requires (e.g. resolution notes, a reason for reopening)
+function FaultTransitionModal({ fault, action, onClose, onSave }) {
+    const [fields, setFields] = useState(Object.fromEntries(action.requires.map(f => [f, ''])));
+    const [saving, setSaving] = useState(false);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        setSaving(true);
         try {
-            const scheduledFor = `${date} ${time}:00`;
-            await fetchAPI(`/faults/${fault.fault_id}/schedule`, {
+            const response = await fetchAPI(`/faults/${fault.fault_id}/status`, {
                 method: 'PUT',
-                body: JSON.stringify({ scheduled_for: scheduledFor }),
+                body: JSON.stringify({ status: action.to, ...fields }),
             });
+            if (response.data?.cascaded_fault_ids?.length) alert(response.message);
             onSave();
         } catch (error) {
             alert(error.message);
+        } finally {
+            setSaving(false);
         }
     };
 
@@ -1545,23 +3233,27 @@ function ScheduleModal({ fault, onClose, onSave }) {
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">Schedule Fault Repair</h3>
+                    <h3 className="modal-title">{action.label} · FLT-{String(fault.fault_id).padStart(3, '0')}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
-                        <div className="form-group">
-                            <label className="form-label">Date *</label>
-                            <input type="date" className="form-input" value={date} onChange={(e) => setDate(e.target.value)} required />
-                        </div>
-                        <div className="form-group">
-                            <label className="form-label">Time *</label>
-                            <input type="time" className="form-input" value={time} onChange={(e) => setTime(e.target.value)} required />
-                        </div>
+                        <p className="text-muted mb-3">{fault.title}: {fault.status} → {action.to}</p>
+                        {action.requires.map(field => (
+                            <div className="form-group" key={field}>
+                                <label className="form-label">{TRANSITION_FIELD_LABELS[field] || field} *</label>
+                                <textarea
+                                    className="form-textarea"
+                                    value={fields[field]}
+                                    onChange={(e) => setFields({ ...fields, [field]: e.target.value })}
+                                    required
+                                />
+                            </div>
+                        ))}
                     </div>
                     <div className="modal-footer">
                         <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-                        <button type="submit" className="btn btn-primary">Schedule</button>
+                        <button type="submit" className="btn btn-primary" disabled={saving}>{action.label}</button>
                     </div>
                 </form>
             </div>
@@ -1569,167 +3261,275 @@ function ScheduleModal({ fault, onClose, onSave }) {
     );
 }
 
-// Comments Modal for fault communication
-function CommentsModal({ fault, onClose }) {
-    const { user_id } = useContext(AuthContext) || {};
-    const [comments, setComments] = useState([]);
-    const [newComment, setNewComment] = useState('');
-    const [loading, setLoading] = useState(true);
-    const [submitting, setSubmitting] = useState(false);
+const faultRef = (id) => `FLT-${String(id).padStart(3, '0')}`;
+
+// Incident, grouping, merge and extra-report markers under a fault's title
+function FaultRelationBadges({ fault }) {
+    if (!fault.child_count && !fault.parent_fault_id && !fault.merged_into_fault_id && !fault.report_count) return null;
+
+    return (
+        <div className="d-flex gap-1" style={{ flexWrap: 'wrap', marginTop: '0.25rem', fontSize: '0.8rem' }}>
+            {fault.child_count > 0 && <span className="badge badge-primary">Incident · {fault.child_count} grouped</span>}
+            {fault.parent_fault_id && (
+                <Link to={`/faults?highlight=${fault.parent_fault_id}`} className="badge badge-secondary">↳ part of {faultRef(fault.parent_fault_id)}</Link>
+            )}
+            {fault.merged_into_fault_id && (
+                <Link to={`/faults?highlight=${fault.merged_into_fault_id}`} className="badge badge-secondary">Merged into {faultRef(fault.merged_into_fault_id)}</Link>
+            )}
+            {fault.report_count > 0 && (
+                <span className="badge badge-info" title="People who added their report to this fault">
+                    +{fault.report_count} report{fault.report_count === 1 ? '' : 's'}
+                </span>
+            )}
+        </div>
+    );
+}
+
+// Fault IDs typed as "12, FLT-015 17"
+const parseFaultIds = (text) => [...new Set((String(text).match(/\d+/g) || []).map(Number))];
+
+// Merge duplicates into a fault and group related faults under a parent incident
+function FaultRelationsModal({ fault, onClose, onSave }) {
+    const { role } = useContext(AuthContext) || {};
+    const [details, setDetails] = useState(null);
+    const [similar, setSimilar] = useState([]);
+    const [selected, setSelected] = useState([]);
+    const [typedIds, setTypedIds] = useState('');
+    const [parentId, setParentId] = useState('');
+    const [incidentTitle, setIncidentTitle] = useState('');
+    const [busy, setBusy] = useState(false);
 
     useEffect(() => {
-        loadComments();
-    }, []);
+        load();
+    }, [fault.fault_id]);
 
-    const loadComments = async () => {
+    const load = async () => {
         try {
-            const response = await fetchAPI(`/faults/${fault.fault_id}/comments`);
-            setComments(response.data);
+            const response = await fetchAPI(`/faults/${fault.fault_id}`);
+            setDetails(response.data);
+            const params = new URLSearchParams({
+                component_id: response.data.component_id, title: response.data.title,
+                description: response.data.description || '', exclude_id: fault.fault_id
+            });
+            const matches = await fetchAPI(`/faults/similar?${params}`);
+            setSimilar(matches.data.filter(f => f.parent_fault_id !== fault.fault_id));
         } catch (error) {
-            console.error('Failed to load comments:', error);
-        } finally {
-            setLoading(false);
+            alert(error.message);
         }
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        if (!newComment.trim()) return;
+    const chosenIds = [...new Set([...selected, ...parseFaultIds(typedIds)])].filter(id => id !== fault.fault_id);
 
-        setSubmitting(true);
+    const run = async (request, { confirmText } = {}) => {
+        if (confirmText && !window.confirm(confirmText)) return;
+        setBusy(true);
         try {
-            await fetchAPI(`/faults/${fault.fault_id}/comments`, {
-                method: 'POST',
-                body: JSON.stringify({ comment: newComment }),
-            });
-            setNewComment('');
-            loadComments();
+            const response = await request();
+            alert(response.message);
+            setSelected([]);
+            setTypedIds('');
+            setParentId('');
+            setIncidentTitle('');
+            onSave();
+            await load();
         } catch (error) {
             alert(error.message);
         } finally {
-            setSubmitting(false);
+            setBusy(false);
         }
     };
 
-    const formatDate = (dateStr) => {
-        const date = new Date(dateStr);
-        return date.toLocaleString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    };
+    const post = (endpoint, body, method = 'POST') => () => fetchAPI(endpoint, { method, body: JSON.stringify(body) });
+
+    const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+
+    if (!details) {
+        return (
+            <div className="modal-overlay" onClick={onClose}>
+                <div className="modal" onClick={(e) => e.stopPropagation()}>
+                    <div className="loading-container"><div className="spinner"></div></div>
+                </div>
+            </div>
+        );
+    }
+
+    const isOpen = ['Open', 'In Progress', 'Pending'].includes(details.status);
+    const canGroupChildren = isOpen && !details.parent_fault_id && !details.merged_into_fault_id;
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 600, maxHeight: '80vh', display: 'flex', flexDirection: 'column' }}>
+            <div className="modal" style={{ maxWidth: '760px' }} onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">💬 Comments - {fault.title}</h3>
+                    <h3 className="modal-title">Related faults · {faultRef(details.fault_id)}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
-                <div className="modal-body" style={{ flex: 1, overflowY: 'auto', maxHeight: 400 }}>
-                    {loading ? (
-                        <div className="text-center text-muted">Loading comments...</div>
-                    ) : comments.length === 0 ? (
-                        <div className="text-center text-muted" style={{ padding: '2rem' }}>
-                            No comments yet. Start the conversation!
+                <div className="modal-body">
+                    <p className="text-muted mb-3">{details.title} · {details.component_name || '-'} · {details.status}</p>
+
+                    {details.merged_into && (
+                        <div className="card mb-3" style={{ padding: '0.75rem' }}>
+                            Merged into <Link to={`/faults?highlight=${details.merged_into.fault_id}`}>{faultRef(details.merged_into.fault_id)}</Link> {details.merged_into.title} ({details.merged_into.status}).
+                            Its comments and reports are there now.
                         </div>
-                    ) : (
-                        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-                            {comments.map((c) => {
-                                const isMyMessage = Number(c.user_id) === Number(user_id);
-                                return (
-                                    <div key={c.comment_id} style={{
-                                        background: isMyMessage ? 'rgba(96, 108, 56, 0.15)' : 'rgba(221, 161, 94, 0.15)',
-                                        borderRadius: 8,
-                                        padding: '0.75rem 1rem',
-                                        borderLeft: `4px solid ${isMyMessage ? 'var(--primary)' : '#DDA15E'}`,
-                                        marginLeft: isMyMessage ? '1.5rem' : 0,
-                                        marginRight: isMyMessage ? 0 : '1.5rem'
-                                    }}>
-                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
-                                            <strong style={{ fontSize: '0.9rem' }}>
-                                                {isMyMessage ? 'You' : c.user_name}
-                                                <span className="badge" style={{
-                                                    marginLeft: 8,
-                                                    fontSize: '0.7rem',
-                                                    background: c.user_role === 'Admin' ? 'var(--primary)' : '#DDA15E',
-                                                    color: 'white'
-                                                }}>
-                                                    {c.user_role}
-                                                </span>
-                                            </strong>
-                                            <span className="text-muted" style={{ fontSize: '0.75rem' }}>{formatDate(c.created_at)}</span>
+                    )}
+
+                    {details.parent && (
+                        <div className="card mb-3 d-flex gap-2" style={{ padding: '0.75rem', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <span>
+                                Part of incident <Link to={`/faults?highlight=${details.parent.fault_id}`}>{faultRef(details.parent.fault_id)}</Link> {details.parent.title} ({details.parent.status})
+                            </span>
+                            <button className="btn btn-secondary btn-sm" disabled={busy}
+                                onClick={() => run(post(`/faults/${details.fault_id}/parent`, { parent_fault_id: null }, 'PUT'))}>
+                                Remove from incident
+                            </button>
+                        </div>
+                    )}
+
+                    {details.children.length > 0 && (
+                        <div className="mb-3">
+                            <h4 style={{ margin: '0 0 0.5rem' }}>Grouped under this incident ({details.children.length})</h4>
+                            <p className="text-muted" style={{ fontSize: '0.85rem', margin: '0 0 0.5rem' }}>Resolving or closing this fault does the same to these.</p>
+                            <table className="table">
+                                <tbody>
+                                    {details.children.map(c => (
+                                        <tr key={c.fault_id}>
+                                            <td><Link to={`/faults?highlight=${c.fault_id}`}>{faultRef(c.fault_id)}</Link></td>
+                                            <td>{c.title}</td>
+                                            <td><span className={`badge status-${c.status.toLowerCase().replace(' ', '_')}`}>{c.status}</span></td>
+                                            <td>
+                                                <button className="btn btn-secondary btn-sm" disabled={busy}
+                                                    onClick={() => run(post(`/faults/${c.fault_id}/parent`, { parent_fault_id: null }, 'PUT'))}>
+                                                    Remove
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {(details.merged_from.length > 0 || details.reports.length > 0) && (
+                        <div className="mb-3">
+                            <h4 style={{ margin: '0 0 0.5rem' }}>Also reported</h4>
+                            {details.merged_from.length > 0 && (
+                                <p style={{ fontSize: '0.85rem', margin: '0 0 0.5rem' }}>
+                                    Merged in: {details.merged_from.map(m => faultRef(m.fault_id)).join(', ')}
+                                </p>
+                            )}
+                            {details.reports.map(r => (
+                                <div key={r.report_id} style={{ fontSize: '0.85rem', marginBottom: '0.25rem' }}>
+                                    <strong>{r.reported_by_name}</strong> · {new Date(r.reported_at).toLocaleString()}
+                                    {r.source === 'merge' && <span className="badge badge-secondary" style={{ marginLeft: '0.5rem' }}>merged</span>}
+                                    <div>{r.title}</div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {isOpen && !details.merged_into_fault_id && (
+                        <>
+                            <h4 style={{ margin: '0 0 0.5rem' }}>Likely duplicates</h4>
+                            {similar.length === 0 ? (
+                                <p className="text-muted" style={{ fontSize: '0.85rem' }}>No similar open faults on this component.</p>
+                            ) : similar.map(f => (
+                                <label key={f.fault_id} className="d-flex gap-1" style={{ alignItems: 'center', fontSize: '0.9rem', marginBottom: '0.25rem' }}>
+                                    <input type="checkbox" checked={selected.includes(f.fault_id)} onChange={() => toggle(f.fault_id)} />
+                                    <strong>{faultRef(f.fault_id)}</strong> {f.title}
+                                    <span className="text-muted">· {f.status} · {Math.round(f.score * 100)}% similar</span>
+                                </label>
+                            ))}
+
+                            <div className="form-group" style={{ marginTop: '0.75rem' }}>
+                                <label className="form-label">Other faults (IDs, e.g. 12, FLT-015)</label>
+                                <input className="form-input" value={typedIds} onChange={(e) => setTypedIds(e.target.value)} />
+                            </div>
+
+                            <div className="d-flex gap-1" style={{ flexWrap: 'wrap' }}>
+                                {role === 'Admin' && (
+                                    <button className="btn btn-primary btn-sm" disabled={busy || chosenIds.length === 0}
+                                        onClick={() => run(post(`/faults/${details.fault_id}/merge`, { fault_ids: chosenIds }), {
+                                            confirmText: `Merge ${chosenIds.map(faultRef).join(', ')} into ${faultRef(details.fault_id)}? Their comments and reports move here and they are closed.`
+                                        })}>
+                                        Merge into this fault
+                                    </button>
+                                )}
+                                {canGroupChildren && (
+                                    <button className="btn btn-secondary btn-sm" disabled={busy || chosenIds.length === 0}
+                                        onClick={() => run(post(`/faults/${details.fault_id}/children`, { fault_ids: chosenIds }))}>
+                                        Group under this fault
+                                    </button>
+                                )}
+                            </div>
+
+                            {!details.parent_fault_id && details.children.length === 0 && (
+                                <div className="grid-2" style={{ marginTop: '1rem' }}>
+                                    <div className="form-group">
+                                        <label className="form-label">Group this fault under incident</label>
+                                        <div className="d-flex gap-1">
+                                            <input className="form-input" placeholder="Incident ID" value={parentId} onChange={(e) => setParentId(e.target.value)} />
+                                            <button className="btn btn-secondary btn-sm" disabled={busy || parseFaultIds(parentId).length !== 1}
+                                                onClick={() => run(post(`/faults/${details.fault_id}/parent`, { parent_fault_id: parseFaultIds(parentId)[0] }, 'PUT'))}>
+                                                Group
+                                            </button>
                                         </div>
-                                        <p style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{c.comment}</p>
                                     </div>
-                                );
-                            })}
-                        </div>
+                                    <div className="form-group">
+                                        <label className="form-label">Or open a new incident over this and the selected faults</label>
+                                        <div className="d-flex gap-1">
+                                            <input className="form-input" placeholder="Incident title" value={incidentTitle} onChange={(e) => setIncidentTitle(e.target.value)} />
+                                            <button className="btn btn-secondary btn-sm" disabled={busy || !incidentTitle.trim() || chosenIds.length === 0}
+                                                onClick={() => run(post('/faults/incidents', {
+                                                    title: incidentTitle, component_id: details.component_id, fault_ids: [details.fault_id, ...chosenIds]
+                                                }))}>
+                                                Create
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                        </>
                     )}
                 </div>
-                <form onSubmit={handleSubmit}>
-                    <div style={{ borderTop: '1px solid var(--border)', padding: '1rem', display: 'flex', gap: '0.5rem' }}>
-                        <input
-                            type="text"
-                            className="form-input"
-                            placeholder="Type your comment..."
-                            value={newComment}
-                            onChange={(e) => setNewComment(e.target.value)}
-                            style={{ flex: 1 }}
-                            disabled={submitting}
-                        />
-                        <button type="submit" className="btn btn-primary" disabled={submitting || !newComment.trim()}>
-                            {submitting ? 'Sending...' : 'Send'}
-                        </button>
-                    </div>
-                </form>
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>Close</button>
+                </div>
             </div>
         </div>
     );
 }
 
-function FaultModal({ onClose, onSave }) {
-    const [form, setForm] = useState({
-        title: '',
-        description: '',
-        category: 'Connectivity', // Default capitalized
-        priority: 'Medium',
-        component_id: '',
-        department_id: '',
-    });
-    const [components, setComponents] = useState([]);
-    const [departments, setDepartments] = useState([]);
-    const [filteredComponents, setFilteredComponents] = useState([]);
+// SLA state badge with the relevant deadline as a tooltip
+function SlaBadge({ sla }) {
+    if (!sla) return <span className="text-muted">-</span>;
 
-    useEffect(() => {
-        fetchAPI('/components').then((res) => {
-            setComponents(res.data);
-            setFilteredComponents(res.data);
-        });
-        fetchAPI('/departments').then((res) => setDepartments(res.data));
-    }, []);
+    const labels = { met: 'Met', on_track: 'On Track', at_risk: 'At Risk', breached: 'Breached' };
+    const due = sla.response !== 'met' && sla.response_due_at ? sla.response_due_at : sla.resolution_due_at;
+    const title = [
+        `Response: ${labels[sla.response] || '-'}`,
+        `Resolution: ${labels[sla.resolution] || '-'}`,
+        due ? `Due: ${new Date(due).toLocaleString()}` : null,
+        sla.paused ? 'Clock paused while Pending' : null
+    ].filter(Boolean).join('\n');
 
-    // Filter components when department changes
-    useEffect(() => {
-        if (form.department_id) {
-            const selectedDept = departments.find(d => String(d.department_id) === String(form.department_id));
-            setFilteredComponents(components.filter(c =>
-                String(c.department_id) === String(form.department_id) ||
-                (selectedDept && c.location === selectedDept.name)
-            ));
-        } else {
-            setFilteredComponents(components);
-        }
-    }, [form.department_id, components, departments]);
+    return (
+        <span className={`badge sla-${sla.state}`} title={title}>
+            {sla.paused ? '⏸ ' : ''}{labels[sla.state]}
+        </span>
+    );
+}
+
+function ScheduleModal({ fault, onClose, onSave }) {
+    const [date, setDate] = useState('');
+    const [time, setTime] = useState('');
 
     const handleSubmit = async (e) => {
         e.preventDefault();
         try {
-            await fetchAPI('/faults', {
-                method: 'POST',
-                body: JSON.stringify(form),
+            const scheduledFor = `${date} ${time}:00`;
+            await fetchAPI(`/faults/${fault.fault_id}/schedule`, {
+                method: 'PUT',
+                body: JSON.stringify({ scheduled_for: scheduledFor }),
             });
             onSave();
         } catch (error) {
@@ -1741,67 +3541,23 @@ function FaultModal({ onClose, onSave }) {
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">Report New Fault</h3>
+                    <h3 className="modal-title">Schedule Fault Repair</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
                         <div className="form-group">
-                            <label className="form-label">Title *</label>
-                            <input className="form-input" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} required />
-                        </div>
-                        <div className="form-group">
-                            <label className="form-label">Description</label>
-                            <textarea className="form-textarea" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
-                        </div>
-                        <div className="form-group">
-                            <label className="form-label">Department</label>
-                            <select
-                                className="form-select"
-                                value={form.department_id}
-                                onChange={(e) => setForm({ ...form, department_id: e.target.value, component_id: '' })}
-                            >
-                                <option value="">All Departments</option>
-                                {departments.map((dept) => (
-                                    <option key={dept.department_id} value={dept.department_id}>{dept.name}</option>
-                                ))}
-                            </select>
+                            <label className="form-label">Date *</label>
+                            <input type="date" className="form-input" value={date} onChange={(e) => setDate(e.target.value)} required />
                         </div>
                         <div className="form-group">
-                            <label className="form-label">Affected Component</label>
-                            <select className="form-select" value={form.component_id} onChange={(e) => setForm({ ...form, component_id: e.target.value })}>
-                                <option value="">Select component...</option>
-                                {filteredComponents.map((comp) => (
-                                    <option key={comp.component_id} value={comp.component_id}>{comp.name}</option>
-                                ))}
-                            </select>
-                        </div>
-                        <div className="grid-2">
-                            <div className="form-group">
-                                <label className="form-label">Category *</label>
-                                <select className="form-select" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
-                                    <option value="Hardware">Hardware</option>
-                                    <option value="Software">Software</option>
-                                    <option value="Connectivity">Connectivity</option>
-                                    <option value="Power">Power</option>
-                                    <option value="Security">Security</option>
-                                    <option value="Performance">Performance</option>
-                                </select>
-                            </div>
-                            <div className="form-group">
-                                <label className="form-label">Priority *</label>
-                                <select className="form-select" value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
-                                    <option value="Critical">Critical</option>
-                                    <option value="High">High</option>
-                                    <option value="Medium">Medium</option>
-                                    <option value="Low">Low</option>
-                                </select>
-                            </div>
+                            <label className="form-label">Time *</label>
+                            <input type="time" className="form-input" value={time} onChange={(e) => setTime(e.target.value)} required />
                         </div>
                     </div>
                     <div className="modal-footer">
                         <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-                        <button type="submit" className="btn btn-primary">Report Fault</button>
+                        <button type="submit" className="btn btn-primary">Schedule</button>
                     </div>
                 </form>
             </div>
@@ -1809,1223 +3565,2942 @@ function FaultModal({ onClose, onSave }) {
     );
 }
 
-function AssignModal({ fault, onClose, onSave }) {
-    const [technicians, setTechnicians] = useState([]);
-    const [selectedTech, setSelectedTech] = useState(fault.assigned_to || '');
+// Upload limits from the server, fetched once
+let attachmentLimitsRequest = null;
+function loadAttachmentLimits() {
+    if (!attachmentLimitsRequest) {
+        attachmentLimitsRequest = fetchAPI('/attachments/limits')
+            .then(response => response.data)
+            .catch(() => { attachmentLimitsRequest = null; return null; });
+    }
+    return attachmentLimitsRequest;
+}
+
+const formatFileSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Multipart body for an upload: the fields and each file (the server makes image previews)
+function attachmentForm(fields, files) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    files.forEach(file => form.append('file', file));
+    return form;
+}
+
+// Paperclip button and the files chosen so far, checked against the server's limits
+function AttachmentPicker({ files, onChange, disabled }) {
+    const inputRef = useRef(null);
+    const [limits, setLimits] = useState(null);
 
     useEffect(() => {
-        // Fetch all technicians (status filter removed as it's not in Users table)
-        fetchAPI('/technicians').then((res) => setTechnicians(res.data));
+        loadAttachmentLimits().then(setLimits);
     }, []);
 
-    const handleAssign = async () => {
-        if (!selectedTech) return;
+    const addFiles = (chosen) => {
+        const next = [...files];
+        for (const file of chosen) {
+            const extension = (file.name.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+            if (limits && !limits.extensions.includes(extension)) {
+                alert(`${file.name}: only ${limits.extensions.map(e => `.${e}`).join(', ')} files can be attached`);
+            } else if (limits && file.size > limits.max_bytes) {
+                alert(`${file.name} is larger than ${formatFileSize(limits.max_bytes)}`);
+            } else if (limits && next.length >= limits.max_files) {
+                alert(`At most ${limits.max_files} files can be attached at once`);
+                break;
+            } else {
+                next.push(file);
+            }
+        }
+        onChange(next);
+    };
+
+    return (
+        <>
+            <input
+                ref={inputRef}
+                type="file"
+                multiple
+                hidden
+                accept={limits ? limits.extensions.map(e => `.${e}`).join(',') : undefined}
+                onChange={(e) => { addFiles([...e.target.files]); e.target.value = ''; }}
+            />
+            <button type="button" className="btn btn-secondary" onClick={() => inputRef.current.click()} disabled={disabled} title="Attach files">
+                <Paperclip size={16} />
+            </button>
+            {files.length > 0 && (
+                <div className="attachment-list" style={{ width: '100%' }}>
+                    {files.map((file, index) => (
+                        <span key={`${file.name}-${index}`} className="attachment-chip">
+                            {file.name} <span className="text-muted">{formatFileSize(file.size)}</span>
+                            <button type="button" className="attachment-remove" onClick={() => onChange(files.filter((_, i) => i !== index))} disabled={disabled}>&times;</button>
+                        </span>
+                    ))}
+                </div>
+            )}
+        </>
+    );
+}
+
+// Image preview loaded with the JWT; click to open the full image
+function AttachmentThumbnail({ attachment }) {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        let objectUrl = null;
+        let cancelled = false;
+        fetchAttachment(attachment, true)
+            .then(blob => {
+                if (cancelled) return;
+                objectUrl = window.URL.createObjectURL(blob);
+                setUrl(objectUrl);
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+            if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+        };
+    }, [attachment.attachment_id]);
+
+    const openFull = async () => {
         try {
-            await fetchAPI(`/faults/${fault.fault_id}/assign`, {
-                method: 'PUT',
-                body: JSON.stringify({ technician_id: selectedTech }),
-            });
-            onSave();
+            const full = window.URL.createObjectURL(await fetchAttachment(attachment));
+            window.open(full, '_blank');
+            setTimeout(() => window.URL.revokeObjectURL(full), 60000);
         } catch (error) {
             alert(error.message);
         }
     };
 
-    const handleUnassign = async () => {
-        if (!window.confirm('Are you sure you want to unassign the current technician?')) return;
+    return url
+        ? <img src={url} alt={attachment.original_name} className="attachment-thumbnail" onClick={openFull} />
+        : <span className="attachment-thumbnail"><Paperclip size={16} /></span>;
+}
+
+// Files of a fault, maintenance log or comment; the uploader or an Admin can delete them
+function AttachmentList({ attachments, onDeleted }) {
+    const { user_id, role } = useContext(AuthContext) || {};
+    if (!attachments || attachments.length === 0) return null;
+
+    const handleDownload = async (attachment) => {
         try {
-            await fetchAPI(`/faults/${fault.fault_id}/assign`, {
-                method: 'PUT',
-                body: JSON.stringify({ technician_id: null }),
-            });
-            onSave();
+            await downloadAttachment(attachment);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleDelete = async (attachment) => {
+        if (!window.confirm(`Delete ${attachment.original_name}?`)) return;
+        try {
+            await fetchAPI(`/attachments/${attachment.attachment_id}`, { method: 'DELETE' });
+            if (onDeleted) onDeleted(attachment);
         } catch (error) {
             alert(error.message);
         }
     };
 
     return (
-        <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 400 }}>
-                <div className="modal-header">
-                    <h3 className="modal-title">Assign Technician</h3>
-                    <button className="modal-close" onClick={onClose}>&times;</button>
-                </div>
-                <div className="modal-body">
-                    <p className="mb-2">Assign a technician to: <strong>{fault.title}</strong></p>
-                    <div className="form-group">
-                        <label className="form-label">Select Technician</label>
-                        <select className="form-select" value={selectedTech} onChange={(e) => setSelectedTech(e.target.value)}>
-                            <option value="">Choose technician...</option>
-                            {technicians.map((tech) => (
-                                <option key={tech.user_id} value={tech.user_id}>{tech.first_name} {tech.last_name} ({tech.email})</option>
-                            ))}
-                        </select>
-                    </div>
-                </div>
-                <div className="modal-footer" style={{ justifyContent: 'space-between' }}>
-                    <div>
-                        {fault.assigned_to && (
-                            <button type="button" className="btn btn-secondary" style={{ color: '#DC3545', borderColor: '#DC3545', background: 'transparent' }} onClick={handleUnassign}>Unassign</button>
-                        )}
-                    </div>
-                    <div style={{ display: 'flex', gap: '0.5rem' }}>
-                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-                        <button className="btn btn-primary" onClick={handleAssign} disabled={!selectedTech || Number(selectedTech) === Number(fault.assigned_to)}>
-                            {fault.assigned_to ? 'Reassign' : 'Assign'}
+        <div className="attachment-list">
+            {attachments.map(a => (
+                <div key={a.attachment_id} className="attachment-chip">
+                    {a.has_thumbnail ? <AttachmentThumbnail attachment={a} /> : <FileText size={16} />}
+                    <button type="button" className="attachment-name" onClick={() => handleDownload(a)} title={`Download (uploaded by ${a.uploaded_by_name})`}>
+                        {a.original_name}
+                    </button>
+                    <span className="text-muted">{formatFileSize(a.size_bytes)}</span>
+                    {(Number(a.uploaded_by) === Number(user_id) || role === 'Admin') && (
+                        <button type="button" className="attachment-remove" onClick={() => handleDelete(a)} title="Delete">
+                            <Trash2 size={14} />
                         </button>
-                    </div>
+                    )}
                 </div>
-            </div>
+            ))}
         </div>
     );
 }
 
-// Quality Metrics Component
-function QualityMetrics() {
-    const [kpis, setKpis] = useState(null);
-    const [health, setHealth] = useState([]);
+// Comments Modal for fault communication
+function CommentsModal({ fault, onClose }) {
+    const { user_id, role } = useContext(AuthContext) || {};
+    // Staff attach files only to faults they reported
+    const canAttach = role !== 'Staff' || Number(fault.reported_by) === Number(user_id);
+    const [comments, setComments] = useState([]);
+    const [newComment, setNewComment] = useState('');
+    const [files, setFiles] = useState([]);
+    const [faultAttachments, setFaultAttachments] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [timeRange, setTimeRange] = useState('monthly');
+    const [submitting, setSubmitting] = useState(false);
 
     useEffect(() => {
-        loadData();
-    }, [timeRange]);
+        loadComments();
+    }, []);
 
-    const loadData = async () => {
-        try {
-            const [kpiRes, healthRes] = await Promise.all([
-                fetchAPI(`/metrics/kpi?time_range=${timeRange}`),
-                fetchAPI('/metrics/health'),
+    // Comments from other users appear as they are posted
+    useLiveEvents(['comment', 'reconnected'], (type, data) => {
+        if (type === 'reconnected' || (data.entity === 'fault' && data.fault_id === fault.fault_id && !data.comment)) {
+            loadComments();
+        } else if (data.entity === 'fault' && data.fault_id === fault.fault_id) {
+            setComments(prev => prev.some(c => c.comment_id === data.comment.comment_id) ? prev : [...prev, data.comment]);
+        }
+    });
+
+    const loadComments = async () => {
+        try {
+            const [response, attachments] = await Promise.all([
+                fetchAPI(`/faults/${fault.fault_id}/comments`),
+                fetchAPI(`/faults/${fault.fault_id}/attachments`)
             ]);
-            setKpis(kpiRes.data);
-            setHealth(healthRes.data);
+            setComments(response.data);
+            // Files on comments are shown with their comment
+            setFaultAttachments(attachments.data.filter(a => !a.fault_comment_id));
         } catch (error) {
-            console.error('Failed to load metrics:', error);
+            console.error('Failed to load comments:', error);
         } finally {
             setLoading(false);
         }
     };
 
-    const handlePrint = () => {
-        window.print();
-    };
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!newComment.trim() && files.length === 0) return;
 
-    const getHealthClass = (score) => {
-        if (score >= 90) return 'excellent';
-        if (score >= 70) return 'good';
-        if (score >= 50) return 'fair';
-        return 'poor';
+        setSubmitting(true);
+        try {
+            await fetchAPI(`/faults/${fault.fault_id}/comments`, {
+                method: 'POST',
+                body: files.length ? attachmentForm({ comment: newComment }, files) : JSON.stringify({ comment: newComment }),
+            });
+            setNewComment('');
+            setFiles([]);
+            loadComments();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setSubmitting(false);
+        }
     };
 
-    if (loading) {
-        return <div className="loading-container"><div className="spinner"></div></div>;
-    }
+    const formatDate = (dateStr) => {
+        const date = new Date(dateStr);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
 
     return (
-        <div>
-            <div className="page-header">
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                    <div>
-                        <h1 className="page-title">Quality Metrics</h1>
-                        <p className="page-subtitle">Network performance KPIs and health scores</p>
-                    </div>
-                    <div className="action-bar" style={{ marginTop: 0 }}>
-                        <div className="filter-group">
-                            <select
-                                className="filter-select"
-                                value={timeRange}
-                                onChange={(e) => setTimeRange(e.target.value)}
-                            >
-                                <option value="daily">Daily View</option>
-                                <option value="weekly">Weekly View</option>
-                                <option value="monthly">Monthly View</option>
-                            </select>
-                        </div>
-                        <button className="btn btn-secondary" onClick={handlePrint}>Print / Save PDF</button>
-                    </div>
-                </div>
-            </div>
-
-            <div className="stats-grid">
-                <div className="stat-card">
-                    <div className="stat-icon primary"><Activity size={24} /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{kpis?.availability_percent || 0}%</div>
-                        <div className="stat-label">Availability</div>
-                    </div>
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 600, maxHeight: '80vh', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h3 className="modal-title">💬 Comments - {fault.title}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
-
-                <div className="stat-card">
-                    <div className="stat-icon warning"><Clock size={24} /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{kpis?.mttr_minutes || 0}m</div>
-                        <div className="stat-label">MTTR (Mean Time To Repair)</div>
+                {faultAttachments.length > 0 && (
+                    <div style={{ padding: '0.5rem 1rem', borderBottom: '1px solid var(--border)' }}>
+                        <AttachmentList attachments={faultAttachments} onDeleted={loadComments} />
                     </div>
-                </div>
-
-                <div className="stat-card">
-                    <div className="stat-icon danger"><AlertCircle size={24} /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{kpis?.fault_frequency_daily || 0}</div>
-                        <div className="stat-label">
-                            {timeRange === 'daily' ? 'Total Faults (Today)' : 'Avg Faults / Day'}
+                )}
+                <div className="modal-body" style={{ flex: 1, overflowY: 'auto', maxHeight: 400 }}>
+                    {loading ? (
+                        <div className="text-center text-muted">Loading comments...</div>
+                    ) : comments.length === 0 ? (
+                        <div className="text-center text-muted" style={{ padding: '2rem' }}>
+                            No comments yet. Start the conversation!
                         </div>
-                    </div>
-                </div>
-
-                <div className="stat-card">
-                    <div className="stat-icon success"><CheckCircle size={24} /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{kpis?.resolution_rate_percent || 0}%</div>
-                        <div className="stat-label">Resolution Rate</div>
-                    </div>
-                </div>
-            </div>
-
-            <div className="card">
-                <div className="card-header">
-                    <h3 className="card-title">Component Health Scores</h3>
-                </div>
-                <div className="table-container" style={{ border: 'none' }}>
-                    <table className="table">
-                        <thead>
-                            <tr>
-                                <th>Component</th>
-                                <th>Type</th>
-                                <th>Status</th>
-                                <th>Active Faults</th>
-                                <th>Avg Resolution</th>
-                                <th>Health Score</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {health.map((comp) => (
-                                <tr key={comp.id}>
-                                    <td style={{ fontWeight: 500 }}>{comp.name}</td>
-                                    <td><span className="badge badge-info">{comp.type}</span></td>
-                                    <td><span className={`badge status-${comp.status}`}>{comp.status}</span></td>
-                                    <td>{comp.open_faults || 0}</td>
-                                    <td>{comp.avg_resolution_time ? Math.round(comp.avg_resolution_time) + 'm' : '-'}</td>
-                                    <td style={{ width: 200 }}>
-                                        <div className="d-flex align-center gap-2">
-                                            <div className="health-bar flex-1">
-                                                <div
-                                                    className={`health-bar-fill ${getHealthClass(comp.health_score)}`}
-                                                    style={{ width: `${comp.health_score}%` }}
-                                                ></div>
-                                            </div>
-                                            <span style={{ fontWeight: 600, minWidth: 40 }}>{comp.health_score}%</span>
-                                        </div>
-                                    </td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-
-            <div className="card mt-3">
-                <div className="card-header">
-                    <h3 className="card-title">Technician Performance</h3>
-                </div>
-                <div className="table-container" style={{ border: 'none' }}>
-                    <table className="table">
-                        <thead>
-                            <tr>
-                                <th>Technician</th>
-                                <th>Resolved Faults</th>
-                                <th>Resolution Score</th>
-                                <th>Avg Resolution Time</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {kpis?.technician_performance?.map((tech) => {
-                                const efficiency = tech.assigned_count > 0 ? (tech.resolved_count / tech.assigned_count) * 100 : 0;
+                    ) : (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                            {comments.map((c) => {
+                                const isMyMessage = Number(c.user_id) === Number(user_id);
                                 return (
-                                    <tr key={tech.user_id}>
-                                        <td style={{ fontWeight: 500 }}>{tech.name}</td>
-                                        <td>
-                                            <div className="d-flex align-center gap-2">
-                                                <span className="badge badge-success" style={{ fontSize: '0.9rem' }}>
-                                                    {tech.resolved_count}
+                                    <div key={c.comment_id} style={{
+                                        background: isMyMessage ? 'rgba(96, 108, 56, 0.15)' : 'rgba(221, 161, 94, 0.15)',
+                                        borderRadius: 8,
+                                        padding: '0.75rem 1rem',
+                                        borderLeft: `4px solid ${isMyMessage ? 'var(--primary)' : '#DDA15E'}`,
+                                        marginLeft: isMyMessage ? '1.5rem' : 0,
+                                        marginRight: isMyMessage ? 0 : '1.5rem'
+                                    }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
+                                            <strong style={{ fontSize: '0.9rem' }}>
+                                                {isMyMessage ? 'You' : c.user_name}
+                                                <span className="badge" style={{
+                                                    marginLeft: 8,
+                                                    fontSize: '0.7rem',
+                                                    background: c.user_role === 'Admin' ? 'var(--primary)' : '#DDA15E',
+                                                    color: 'white'
+                                                }}>
+                                                    {c.user_role}
                                                 </span>
-                                                <span className="text-muted" style={{ fontSize: '0.8rem' }}>/ {tech.assigned_count || 0} assigned</span>
-                                            </div>
-                                        </td>
-                                        <td>
-                                            <div style={{ width: '100%', maxWidth: '140px' }}>
-                                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px', fontSize: '0.75rem' }}>
-                                                    <span>{Math.round(efficiency)}%</span>
-                                                </div>
-                                                <div style={{ height: '6px', width: '100%', background: '#E2E8F0', borderRadius: '3px', overflow: 'hidden' }}>
-                                                    <div style={{
-                                                        height: '100%',
-                                                        width: `${efficiency}%`,
-                                                        background: efficiency >= 75 ? 'var(--accent-success)' : efficiency >= 40 ? 'var(--accent-warning)' : 'var(--accent-danger)',
-                                                        transition: 'width 0.3s ease'
-                                                    }}></div>
-                                                </div>
-                                            </div>
-                                        </td>
-                                        <td>
-                                            {tech.avg_resolution_time
-                                                ? Math.round(tech.avg_resolution_time) + 'm'
-                                                : <span className="text-muted">-</span>
-                                            }
-                                        </td>
-                                    </tr>
+                                            </strong>
+                                            <span className="text-muted" style={{ fontSize: '0.75rem' }}>{formatDate(c.created_at)}</span>
+                                        </div>
+                                        {c.comment && <p style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{c.comment}</p>}
+                                        <AttachmentList attachments={c.attachments} onDeleted={loadComments} />
+                                    </div>
                                 );
                             })}
-                            {(!kpis?.technician_performance || kpis.technician_performance.length === 0) && (
-                                <tr>
-                                    <td colSpan="3" className="text-center text-muted">No resolution data for this period</td>
-                                </tr>
-                            )}
-                        </tbody>
-                    </table>
+                        </div>
+                    )}
                 </div>
+                <form onSubmit={handleSubmit}>
+                    <div style={{ borderTop: '1px solid var(--border)', padding: '1rem', display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="Type your comment..."
+                            value={newComment}
+                            onChange={(e) => setNewComment(e.target.value)}
+                            style={{ flex: 1 }}
+                            disabled={submitting}
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={submitting || (!newComment.trim() && files.length === 0)}>
+                            {submitting ? 'Sending...' : 'Send'}
+                        </button>
+                        {canAttach && <AttachmentPicker files={files} onChange={setFiles} disabled={submitting} />}
+                    </div>
+                </form>
             </div>
         </div>
     );
 }
 
-// Incident Reports Component
-function IncidentReports() {
-    const [reports, setReports] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [showModal, setShowModal] = useState(false);
-    const [selectedReport, setSelectedReport] = useState(null);
-    const [editReport, setEditReport] = useState(null);
-    const user = useContext(AuthContext);
-
-    useEffect(() => {
-        loadReports();
-    }, []);
+// Shown when a new report looks like a fault that is already open on the same component
+function DuplicateFaultsPrompt({ duplicates, onAttach, onReportAnyway, onClose }) {
+    const [busy, setBusy] = useState(false);
 
-    const loadReports = async () => {
+    const attach = async (faultId) => {
+        setBusy(true);
         try {
-            const response = await fetchAPI('/reports');
-            setReports(response.data);
-        } catch (error) {
-            console.error('Failed to load reports:', error);
+            await onAttach(faultId);
         } finally {
-            setLoading(false);
-        }
-    };
-
-    const downloadPDF = async (reportId, title) => {
-        try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(`http://localhost:3000/api/reports/${reportId}/pdf`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-
-            if (!response.ok) throw new Error('Failed to generate PDF');
-
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `incident_report_${reportId}.pdf`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
-        } catch (error) {
-            alert('Failed to download PDF: ' + error.message);
-        }
-    };
-
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this report?')) return;
-        try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(`http://localhost:3000/api/reports/${id}`, {
-                method: 'DELETE',
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-
-            if (!response.ok) throw new Error('Failed to delete report');
-            loadReports();
-        } catch (error) {
-            alert(error.message);
+            setBusy(false);
         }
     };
 
     return (
-        <div>
-            <div className="page-header">
-                <h1 className="page-title">Incident Reports</h1>
-                <p className="page-subtitle">Generate and view incident reports</p>
-            </div>
-
-            <div className="action-bar">
-                <div></div>
-                <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-                    + Generate Report
-                </button>
-            </div>
-
-            {loading ? (
-                <div className="loading-container"><div className="spinner"></div></div>
-            ) : (
-                <div className="table-container">
-                    <table className="table">
-                        <thead>
-                            <tr>
-                                <th>ID</th>
-                                <th>Title</th>
-                                <th>Period</th>
-                                <th>Total Faults</th>
-                                <th>Impact</th>
-                                <th>Avg Resolution</th>
-                                <th>Generated</th>
-                                <th>Actions</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {reports.map((report) => (
-                                <tr key={report.report_id}>
-                                    <td>#{report.report_id}</td>
-                                    <td style={{ fontWeight: 500 }}>{report.title}</td>
-                                    <td>{new Date(report.start_time).toLocaleDateString()} - {new Date(report.end_time).toLocaleDateString()}</td>
-                                    <td>{report.total_faults}</td>
-                                    <td><span className={`badge priority-${report.impact_level}`}>{report.impact_level}</span></td>
-                                    <td>{report.avg_resolution_time ? Math.round(report.avg_resolution_time) + 'm' : '-'}</td>
-                                    <td>{new Date(report.generated_at).toLocaleDateString()}</td>
-                                    <td>
-                                        <div className="d-flex gap-1">
-                                            <button className="btn btn-secondary btn-sm" onClick={() => setSelectedReport(report)}>View</button>
-                                            <button className="btn btn-primary btn-sm" onClick={() => { setEditReport(report); setShowModal(true); }}>Edit</button>
-                                            <button className="btn btn-primary btn-sm" onClick={() => downloadPDF(report.report_id, report.title)} title="Download PDF">
-                                                📄 PDF
-                                            </button>
-                                            {user && user.role === 'Admin' && (
-                                                <button className="btn btn-danger btn-sm" onClick={() => handleDelete(report.report_id)}>Delete</button>
-                                            )}
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Already reported?</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <div className="modal-body">
+                    <p className="text-muted mb-3">
+                        {duplicates.length === 1 ? 'This open fault' : 'These open faults'} on the same equipment look like the same problem.
+                        Adding your report to one keeps everything in one place and lets the technician know more people are affected.
+                    </p>
+                    {duplicates.map(d => (
+                        <div key={d.fault_id} className="card" style={{ padding: '0.75rem', marginBottom: '0.75rem' }}>
+                            <div className="d-flex gap-2" style={{ justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                                <div>
+                                    <strong>FLT-{String(d.fault_id).padStart(3, '0')}</strong> {d.title}
+                                    <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                        {d.status} · {d.priority} · reported {new Date(d.reported_at).toLocaleString()}
+                                        {d.reported_by_name && ` by ${d.reported_by_name}`}
+                                        {d.technician_name && ` · ${d.technician_name} assigned`}
+                                    </div>
+                                    {d.description && (
+                                        <div style={{ fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                                            {d.description.length > 160 ? `${d.description.slice(0, 157)}...` : d.description}
                                         </div>
-                                    </td>
-                                </tr>
-                            ))}
-                            {reports.length === 0 && (
-                                <tr>
-                                    <td colSpan="8" className="text-center text-muted">No reports found</td>
-                                </tr>
-                            )}
-                        </tbody>
-                    </table>
+                                    )}
+                                </div>
+                                <button type="button" className="btn btn-primary btn-sm" disabled={busy} onClick={() => attach(d.fault_id)}>
+                                    Add my report
+                                </button>
+                            </div>
+                        </div>
+                    ))}
                 </div>
-            )}
-
-            {showModal && (
-                <GenerateReportModal
-                    onClose={() => { setShowModal(false); setEditReport(null); }}
-                    onSave={() => { setShowModal(false); setEditReport(null); loadReports(); }}
-                    initialData={editReport}
-                />
-            )}
-            {selectedReport && <ReportDetailModal report={selectedReport} onClose={() => setSelectedReport(null)} />}
+                <div className="modal-footer">
+                    <button type="button" className="btn btn-secondary" onClick={onClose}>Back</button>
+                    <button type="button" className="btn btn-secondary" disabled={busy} onClick={onReportAnyway}>Report as new fault anyway</button>
+                </div>
+            </div>
         </div>
     );
 }
 
-function GenerateReportModal({ onClose, onSave, initialData }) {
+function FaultModal({ onClose, onSave }) {
     const [form, setForm] = useState({
         title: '',
-        start_time: '',
-        end_time: '',
-        impact_level: 'minor',
-        total_faults: 0,
-        affected_components: 0,
-        avg_resolution_time: 0,
-        summary: '',
+        description: '',
+        category: 'Connectivity', // Default capitalized
+        priority: 'Medium',
+        component_id: '',
+        department_id: '',
     });
-    const [loading, setLoading] = useState(false);
-    const [reportType, setReportType] = useState('Custom');
-    const [users, setUsers] = useState([]);
-    const [selectedUser, setSelectedUser] = useState('');
+    const [components, setComponents] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [filteredComponents, setFilteredComponents] = useState([]);
+    const [duplicates, setDuplicates] = useState(null);
 
     useEffect(() => {
-        // Fetch users for filtering
-        const loadUsers = async () => {
-            try {
-                const response = await fetchAPI('/users');
-                setUsers(response.data);
-            } catch (error) {
-                console.error('Failed to load users:', error);
-            }
-        };
-        loadUsers();
-
-        if (initialData) {
-            setForm({
-                title: initialData.title,
-                start_time: new Date(initialData.start_time).toISOString().slice(0, 16),
-                end_time: new Date(initialData.end_time).toISOString().slice(0, 16),
-                impact_level: initialData.impact_level,
-                total_faults: initialData.total_faults || 0,
-                affected_components: initialData.affected_components_count || 0,
-                avg_resolution_time: Math.round(initialData.avg_resolution_time || 0),
-                summary: initialData.summary || '',
-            });
-            // If editing, we might want to check if it filters by user, but initialData might not have that info easily accessible unless we returned it.
-            // For now, simpler to leave user filter empty on edit unless we update backend to return it.
-        }
-    }, [initialData]);
-
-    const handleReportTypeChange = (type) => {
-        setReportType(type);
-        const now = new Date();
-        const start = new Date(now);
+        fetchAPI('/components').then((res) => {
+            setComponents(res.data);
+            setFilteredComponents(res.data);
+        });
+        fetchAPI('/departments').then((res) => setDepartments(res.data));
+    }, []);
 
-        if (type === 'Daily') {
-            start.setHours(0, 0, 0, 0); // Start of today
-        } else if (type === 'Weekly') {
-            start.setDate(now.getDate() - 7);
-        } else if (type === 'Monthly') {
-            start.setMonth(now.getMonth() - 1);
+    // Filter components when department changes
+    useEffect(() => {
+        if (form.department_id) {
+            const selectedDept = departments.find(d => String(d.department_id) === String(form.department_id));
+            setFilteredComponents(components.filter(c =>
+                String(c.department_id) === String(form.department_id) ||
+                (selectedDept && c.location === selectedDept.name)
+            ));
+        } else {
+            setFilteredComponents(components);
         }
+    }, [form.department_id, components, departments]);
 
-        if (type !== 'Custom') {
-            setForm(prev => ({
-                ...prev,
-                start_time: start.toISOString().slice(0, 16),
-                end_time: now.toISOString().slice(0, 16),
-                title: `${type} Incident Report - ${now.toLocaleDateString()}`
-            }));
+    const submitFault = async (checkDuplicates) => {
+        try {
+            const response = await fetchAPI('/faults', {
+                method: 'POST',
+                body: JSON.stringify({ ...form, check_duplicates: checkDuplicates }),
+            });
+            // Reports behind an upstream outage are added to the existing fault instead
+            if (response.data?.suppressed) alert(response.message);
+            onSave();
+        } catch (error) {
+            if (error.status === 409 && error.data?.duplicates) setDuplicates(error.data.duplicates);
+            else alert(error.message);
         }
     };
 
-    const handleSubmit = async (e) => {
+    const handleSubmit = (e) => {
         e.preventDefault();
-        setLoading(true);
-        try {
-            const url = initialData ? `/reports/${initialData.report_id}` : '/reports/generate';
-            const method = initialData ? 'PUT' : 'POST';
-
-            const payload = {
-                ...form,
-                reported_by: selectedUser || undefined // Only send if selected
-            };
+        submitFault(true);
+    };
 
-            await fetchAPI(url, {
-                method,
-                body: JSON.stringify(payload),
+    const attachToFault = async (faultId) => {
+        try {
+            const response = await fetchAPI(`/faults/${faultId}/reports`, {
+                method: 'POST',
+                body: JSON.stringify({ title: form.title, description: form.description })
             });
+            alert(response.message);
             onSave();
         } catch (error) {
             alert(error.message);
-        } finally {
-            setLoading(false);
         }
     };
 
     return (
-        <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()}>
-                <div className="modal-header">
-                    <h3 className="modal-title">{initialData ? 'Edit Incident Report' : 'Generate Incident Report'}</h3>
-                    <button className="modal-close" onClick={onClose}>&times;</button>
-                </div>
-                <form onSubmit={handleSubmit}>
-                    <div className="modal-body">
-                        {!initialData && (
-                            <div className="form-group">
-                                <label className="form-label">Report Type</label>
-                                <div className="grid-4" style={{ gap: '10px' }}>
-                                    {['Custom', 'Daily', 'Weekly', 'Monthly'].map(type => (
-                                        <button
-                                            key={type}
-                                            type="button"
-                                            className={`btn ${reportType === type ? 'btn-primary' : 'btn-secondary'}`}
-                                            onClick={() => handleReportTypeChange(type)}
-                                            style={{ width: '100%', fontSize: '0.9rem' }}
-                                        >
-                                            {type}
-                                        </button>
-                                    ))}
-                                </div>
-                            </div>
-                        )}
-
-                        <div className="form-group">
-                            <label className="form-label">Report Title *</label>
-                            <input className="form-input" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} placeholder="e.g., Weekly Incident Report" required />
-                        </div>
-
-                        {!initialData && (
-                            <div className="form-group">
-                                <label className="form-label">Filter by Reporter (Optional)</label>
-                                <select className="form-select" value={selectedUser} onChange={(e) => setSelectedUser(e.target.value)}>
-                                    <option value="">All Users</option>
-                                    {users.map(u => (
-                                        <option key={u.user_id} value={u.user_id}>{u.username} ({u.first_name} {u.last_name})</option>
-                                    ))}
-                                </select>
-                            </div>
-                        )}
-
-                        <div className="grid-2">
+        <>
+            <div className="modal-overlay" onClick={onClose}>
+                <div className="modal" onClick={(e) => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h3 className="modal-title">Report New Fault</h3>
+                        <button className="modal-close" onClick={onClose}>&times;</button>
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <div className="modal-body">
                             <div className="form-group">
-                                <label className="form-label">Start Date *</label>
-                                <input type="datetime-local" className="form-input" value={form.start_time} onChange={(e) => { setForm({ ...form, start_time: e.target.value }); setReportType('Custom'); }} required />
+                                <label className="form-label">Title *</label>
+                                <input className="form-input" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} required />
                             </div>
                             <div className="form-group">
-                                <label className="form-label">End Date *</label>
-                                <input type="datetime-local" className="form-input" value={form.end_time} onChange={(e) => { setForm({ ...form, end_time: e.target.value }); setReportType('Custom'); }} required />
+                                <label className="form-label">Description</label>
+                                <textarea className="form-textarea" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
                             </div>
-                        </div>
-
-                        <div className="grid-2">
                             <div className="form-group">
-                                <label className="form-label">Impact Level *</label>
-                                <select className="form-select" value={form.impact_level} onChange={(e) => setForm({ ...form, impact_level: e.target.value })} required>
-                                    <option value="minor">Minor</option>
-                                    <option value="major">Major</option>
-                                    <option value="critical">Critical</option>
+                                <label className="form-label">Department</label>
+                                <select
+                                    className="form-select"
+                                    value={form.department_id}
+                                    onChange={(e) => setForm({ ...form, department_id: e.target.value, component_id: '' })}
+                                >
+                                    <option value="">All Departments</option>
+                                    {departments.map((dept) => (
+                                        <option key={dept.department_id} value={dept.department_id}>{dept.name}</option>
+                                    ))}
                                 </select>
                             </div>
                             <div className="form-group">
-                                <label className="form-label">Total Faults (Auto)</label>
-                                <input type="number" min="0" className="form-input" value={form.total_faults} onChange={(e) => setForm({ ...form, total_faults: parseInt(e.target.value) || 0 })} disabled={!initialData} />
-                            </div>
-                        </div>
-
-                        <div className="grid-2">
-                            <div className="form-group">
-                                <label className="form-label">Components Affected (Auto)</label>
-                                <input type="number" min="0" className="form-input" value={form.affected_components} onChange={(e) => setForm({ ...form, affected_components: parseInt(e.target.value) || 0 })} disabled={!initialData} />
+                                <label className="form-label">Affected Component</label>
+                                <select className="form-select" value={form.component_id} onChange={(e) => setForm({ ...form, component_id: e.target.value })}>
+                                    <option value="">Select component...</option>
+                                    {filteredComponents.map((comp) => (
+                                        <option key={comp.component_id} value={comp.component_id}>{comp.name}</option>
+                                    ))}
+                                </select>
                             </div>
-                            <div className="form-group">
-                                <label className="form-label">Avg Resolution (min) (Auto)</label>
-                                <input type="number" min="0" className="form-input" value={form.avg_resolution_time} onChange={(e) => setForm({ ...form, avg_resolution_time: parseInt(e.target.value) || 0 })} disabled={!initialData} />
+                            <div className="grid-2">
+                                <div className="form-group">
+                                    <label className="form-label">Category *</label>
+                                    <select className="form-select" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
+                                        <option value="Hardware">Hardware</option>
+                                        <option value="Software">Software</option>
+                                        <option value="Connectivity">Connectivity</option>
+                                        <option value="Power">Power</option>
+                                        <option value="Security">Security</option>
+                                        <option value="Performance">Performance</option>
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Priority *</label>
+                                    <select className="form-select" value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
+                                        <option value="Critical">Critical</option>
+                                        <option value="High">High</option>
+                                        <option value="Medium">Medium</option>
+                                        <option value="Low">Low</option>
+                                    </select>
+                                </div>
                             </div>
                         </div>
-
-                        <div className="form-group">
-                            <label className="form-label">Summary / Notes</label>
-                            <textarea className="form-input" rows="3" value={form.summary} onChange={(e) => setForm({ ...form, summary: e.target.value })}></textarea>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                            <button type="submit" className="btn btn-primary">Report Fault</button>
                         </div>
-                    </div>
-                    <div className="modal-footer">
-                        <button type="button" className="btn btn-text" onClick={onClose}>Cancel</button>
-                        <button type="submit" className="btn btn-primary" disabled={loading}>
-                            {loading ? 'Processing...' : (initialData ? 'Update Report' : 'Generate Report')}
-                        </button>
-                    </div>
-                </form>
+                    </form>
+                </div>
             </div>
-        </div>
+            {duplicates && (
+                <DuplicateFaultsPrompt
+                    duplicates={duplicates}
+                    onAttach={attachToFault}
+                    onReportAnyway={() => { setDuplicates(null); submitFault(false); }}
+                    onClose={() => setDuplicates(null)}
+                />
+            )}
+        </>
     );
 }
 
-function ReportDetailModal({ report, onClose }) {
-    const details = report.details ? (typeof report.details === 'string' ? JSON.parse(report.details) : report.details) : {};
+function AssignModal({ fault, onClose, onSave }) {
+    const [technicians, setTechnicians] = useState([]);
+    const [selectedTech, setSelectedTech] = useState(fault.assigned_to || '');
 
-    // Function to download PDF (reused logic or passed down could be better but duplicating for simplicity here as context isn't fully exposed)
-    const handleDownload = async () => {
+    useEffect(() => {
+        // Fetch all technicians (status filter removed as it's not in Users table)
+        fetchAPI('/technicians').then((res) => setTechnicians(res.data));
+    }, []);
+
+    const handleAssign = async () => {
+        if (!selectedTech) return;
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(`http://localhost:3000/api/reports/${report.report_id}/pdf`, {
-                headers: { 'Authorization': `Bearer ${token}` }
+            await fetchAPI(`/faults/${fault.fault_id}/assign`, {
+                method: 'PUT',
+                body: JSON.stringify({ technician_id: selectedTech }),
             });
-            if (!response.ok) throw new Error('Failed to generate PDF');
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `incident_report_${report.report_id}.pdf`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
+            onSave();
         } catch (error) {
-            alert('Failed to download PDF: ' + error.message);
+            alert(error.message);
+        }
+    };
+
+    const handleUnassign = async () => {
+        if (!window.confirm('Are you sure you want to unassign the current technician?')) return;
+        try {
+            await fetchAPI(`/faults/${fault.fault_id}/assign`, {
+                method: 'PUT',
+                body: JSON.stringify({ technician_id: null }),
+            });
+            onSave();
+        } catch (error) {
+            alert(error.message);
         }
     };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 800 }}>
+            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 400 }}>
                 <div className="modal-header">
-                    <h3 className="modal-title">{report.title}</h3>
-                    <div style={{ display: 'flex', gap: '8px' }}>
-                        <button className="btn btn-secondary btn-sm" onClick={handleDownload} title="Download PDF">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="feather feather-download"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg> PDF
-                        </button>
-                        <button className="modal-close" onClick={onClose}>&times;</button>
-                    </div>
+                    <h3 className="modal-title">Assign Technician</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <div className="modal-body">
-                    <div className="stats-grid mb-3">
-                        <div className="text-center">
-                            <div style={{ fontSize: '1.5rem', fontWeight: 700 }}>{report.total_faults}</div>
-                            <div className="text-muted">Total Faults</div>
-                        </div>
-                        <div className="text-center">
-                            <div style={{ fontSize: '1.5rem', fontWeight: 700 }}>{report.affected_components_count}</div>
-                            <div className="text-muted">Components Affected</div>
-                        </div>
-                        <div className="text-center">
-                            <div style={{ fontSize: '1.5rem', fontWeight: 700 }}>{Math.round(report.avg_resolution_time || 0)}m</div>
-                            <div className="text-muted">Avg Resolution</div>
-                        </div>
+                    <p className="mb-2">Assign a technician to: <strong>{fault.title}</strong></p>
+                    <div className="form-group">
+                        <label className="form-label">Select Technician</label>
+                        <select className="form-select" value={selectedTech} onChange={(e) => setSelectedTech(e.target.value)}>
+                            <option value="">Choose technician...</option>
+                            {technicians.map((tech) => (
+                                <option key={tech.user_id} value={tech.user_id}>{tech.first_name} {tech.last_name} ({tech.email})</option>
+                            ))}
+                        </select>
                     </div>
-
-                    <div className="grid-2 mb-3">
-                        <p><strong>Period:</strong> {new Date(report.start_time).toLocaleString()} - {new Date(report.end_time).toLocaleString()}</p>
-                        <p><strong>Impact Level:</strong> <span className={`badge priority-${report.impact_level}`}>{report.impact_level}</span></p>
-                        {details.filter?.reported_by && details.filter.reported_by !== 'All Users' && (
-                            <p><strong>Filtered By User ID:</strong> {details.filter.reported_by}</p>
+                </div>
+                <div className="modal-footer" style={{ justifyContent: 'space-between' }}>
+                    <div>
+                        {fault.assigned_to && (
+                            <button type="button" className="btn btn-secondary" style={{ color: '#DC3545', borderColor: '#DC3545', background: 'transparent' }} onClick={handleUnassign}>Unassign</button>
                         )}
                     </div>
-
-                    <div className="card mb-3" style={{ background: 'var(--bg-tertiary)' }}>
-                        <h4 style={{ marginBottom: '0.5rem' }}>Summary</h4>
-                        <p>{report.summary}</p>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button className="btn btn-primary" onClick={handleAssign} disabled={!selectedTech || Number(selectedTech) === Number(fault.assigned_to)}>
+                            {fault.assigned_to ? 'Reassign' : 'Assign'}
+                        </button>
                     </div>
-
-                    {details.statistics && (
-                        <div className="grid-2 mb-3">
-                            <div className="card" style={{ background: 'var(--bg-card)' }}>
-                                <h5 className="mb-2">By Priority</h5>
-                                <ul className="list-unstyled">
-                                    {Object.entries(details.statistics.by_priority || {}).map(([k, v]) => (
-                                        <li key={k} className="d-flex justify-content-between">
-                                            <span style={{ textTransform: 'capitalize' }}>{k}</span>
-                                            <span style={{ fontWeight: 600 }}>{v}</span>
-                                        </li>
-                                    ))}
-                                </ul>
-                            </div>
-                            <div className="card" style={{ background: 'var(--bg-card)' }}>
-                                <h5 className="mb-2">By Status</h5>
-                                <ul className="list-unstyled">
-                                    {Object.entries(details.statistics.by_status || {}).map(([k, v]) => (
-                                        <li key={k} className="d-flex justify-content-between">
-                                            <span style={{ textTransform: 'capitalize' }}>{k.replace('_', ' ')}</span>
-                                            <span style={{ fontWeight: 600 }}>{v}</span>
-                                        </li>
-                                    ))}
-                                </ul>
-                            </div>
-                        </div>
-                    )}
-
-                    {/* Detailed Faults List with Descriptions */}
-                    {details.faults && details.faults.length > 0 && (
-                        <div>
-                            <h4 style={{ marginBottom: '1rem', borderBottom: '1px solid var(--border-color)', paddingBottom: '0.5rem' }}>Fault Details</h4>
-                            <div className="report-faults-list" style={{ maxHeight: '300px', overflowY: 'auto' }}>
-                                {details.faults.map((fault, idx) => (
-                                    <div key={idx} style={{ marginBottom: '1rem', paddingBottom: '1rem', borderBottom: '1px solid #eee' }}>
-                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
-                                            <strong>{idx + 1}. {fault.title}</strong>
-                                            <span className={`badge priority-${fault.priority}`}>{fault.priority}</span>
-                                        </div>
-                                        <div style={{ fontSize: '0.9rem', color: '#555', marginBottom: '0.25rem' }}>
-                                            <span style={{ marginRight: '1rem' }}>📦 {fault.component}</span>
-                                            <span style={{ marginRight: '1rem' }}>👤 Reported by: {fault.reporter || 'Unknown'}</span>
-                                            <span>📅 {new Date(fault.reported_at).toLocaleDateString()}</span>
-                                        </div>
-                                        <div style={{ background: '#f9f9f9', padding: '0.5rem', borderRadius: '4px', borderLeft: '3px solid #ccc' }}>
-                                            <em style={{ fontSize: '0.9rem' }}>"{fault.description}"</em>
-                                        </div>
-                                    </div>
-                                ))}
-                            </div>
-                        </div>
-                    )}
-                </div>
-                <div className="modal-footer">
-                    <button className="btn btn-secondary" onClick={onClose}>Close</button>
-                    <button className="btn btn-primary" onClick={handleDownload}>Download PDF</button>
                 </div>
             </div>
         </div>
     );
 }
 
-// Technicians Component
-function Technicians() {
-    const { role, user_id } = useContext(AuthContext) || {};
-    const [technicians, setTechnicians] = useState([]);
+// Quality Metrics Component
+// Shared options for the availability bar charts (0-100% scale)
+const availabilityChartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+        legend: { display: false }
+    },
+    scales: {
+        y: {
+            min: 0,
+            max: 100,
+            ticks: { color: '#283618', callback: (value) => `${value}%` },
+            grid: { color: 'rgba(40, 54, 24, 0.1)' }
+        },
+        x: {
+            ticks: { color: '#283618' },
+            grid: { display: false }
+        }
+    }
+};
+
+function QualityMetrics() {
+    const [kpis, setKpis] = useState(null);
+    const [health, setHealth] = useState([]);
+    const [availability, setAvailability] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [showModal, setShowModal] = useState(false);
-    const [showPasswordModal, setShowPasswordModal] = useState(null);
-    const [editingTech, setEditingTech] = useState(null);
-    const [confirmDelete, setConfirmDelete] = useState(null); // For custom confirmation modal
-    const [statusChangeUser, setStatusChangeUser] = useState(null); // For status change modal
-    const [statusChangeTarget, setStatusChangeTarget] = useState(''); // 'Active' or 'Inactive'
-    const [statusChangeReason, setStatusChangeReason] = useState('');
+    const [timeRange, setTimeRange] = useState('monthly');
 
     useEffect(() => {
-        loadTechnicians();
-    }, []);
+        loadData();
+    }, [timeRange]);
 
-    const loadTechnicians = async () => {
+    const loadData = async () => {
         try {
-            const response = await fetchAPI('/technicians');
-            let data = response.data;
-            // Sorting Logic
-            if (role === 'Admin') {
-                data.sort((a, b) => (a.role === 'Manager' ? -1 : 1));
-            } else if (role === 'Manager') {
-                data.sort((a, b) => (Number(a.id) === Number(user_id) ? -1 : 1));
-            }
-            setTechnicians(data);
+            const days = { daily: 1, weekly: 7, monthly: 30 }[timeRange];
+            const [kpiRes, healthRes, availabilityRes] = await Promise.all([
+                fetchAPI(`/metrics/kpi?time_range=${timeRange}`),
+                fetchAPI('/metrics/health'),
+                fetchAPI(`/metrics/availability?days=${days}`),
+            ]);
+            setKpis(kpiRes.data);
+            setHealth(healthRes.data);
+            setAvailability(availabilityRes.data);
         } catch (error) {
-            console.error('Failed to load technicians:', error);
+            console.error('Failed to load metrics:', error);
         } finally {
             setLoading(false);
         }
     };
 
-    const handleDelete = async (id) => {
-        try {
-            await fetchAPI(`/technicians/${id}`, { method: 'DELETE' });
-            setConfirmDelete(null);
-            loadTechnicians();
-        } catch (error) {
-            alert(error.message);
-            setConfirmDelete(null);
-        }
+    const handlePrint = () => {
+        window.print();
     };
 
-    const handleStatusChange = (user, newStatus) => {
-        setStatusChangeUser(user);
-        setStatusChangeTarget(newStatus);
-        setStatusChangeReason('');
+    const getHealthClass = (score) => {
+        if (score >= 90) return 'excellent';
+        if (score >= 70) return 'good';
+        if (score >= 50) return 'fair';
+        return 'poor';
     };
 
-    const handleConfirmStatusChange = async () => {
-        if (!statusChangeUser) return;
-        try {
-            await fetchAPI(`/technicians/${statusChangeUser.id}/status`, {
-                method: 'PUT',
-                body: JSON.stringify({ status: statusChangeTarget, reason: statusChangeReason || 'No reason provided' })
-            });
-            setStatusChangeUser(null);
-            setStatusChangeTarget('');
-            setStatusChangeReason('');
-            loadTechnicians();
-        } catch (error) {
-            alert(error.message);
-        }
-    };
+    if (loading) {
+        return <div className="loading-container"><div className="spinner"></div></div>;
+    }
 
-    const handleSave = async (data) => {
-        try {
-            if (editingTech) {
-                await fetchAPI(`/technicians/${editingTech.id}`, {
-                    method: 'PUT',
-                    body: JSON.stringify(data),
-                });
-            } else {
-                await fetchAPI('/technicians', {
-                    method: 'POST',
-                    body: JSON.stringify(data),
-                });
-            }
-            setShowModal(false);
-            setEditingTech(null);
-            loadTechnicians();
-        } catch (error) {
-            alert(error.message);
-        }
-    };
+    return (
+        <div>
+            <div className="page-header">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <div>
+                        <h1 className="page-title">Quality Metrics</h1>
+                        <p className="page-subtitle">Network performance KPIs and health scores</p>
+                    </div>
+                    <div className="action-bar" style={{ marginTop: 0 }}>
+                        <div className="filter-group">
+                            <select
+                                className="filter-select"
+                                value={timeRange}
+                                onChange={(e) => setTimeRange(e.target.value)}
+                            >
+                                <option value="daily">Daily View</option>
+                                <option value="weekly">Weekly View</option>
+                                <option value="monthly">Monthly View</option>
+                            </select>
+                        </div>
+                        <button className="btn btn-secondary" onClick={handlePrint}>Print / Save PDF</button>
+                    </div>
+                </div>
+            </div>
 
-    const handlePrint = () => { window.print(); };
+            <div className="stats-grid">
+                <div className="stat-card">
+                    <div className="stat-icon primary"><Activity size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.availability_percent || 0}%</div>
+                        <div className="stat-label">Availability</div>
+                    </div>
+                </div>
 
-    const handleExport = () => {
-        const csv = [
-            ['ID', 'Name', 'Email', 'Role', 'Status', 'Phone', 'Created At'],
-            ...technicians.map(t => [
-                t.id, t.name, t.email, t.role, t.status, t.phone || '', t.created_at
-            ])
-        ].map(e => e.join(',')).join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `team_${new Date().toISOString().slice(0, 10)}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-    };
+                <div className="stat-card">
+                    <div className="stat-icon warning"><Clock size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.mttr_minutes || 0}m</div>
+                        <div className="stat-label">MTTR (Mean Time To Repair)</div>
+                    </div>
+                </div>
 
-    const handleResetPassword = (userId) => {
-        setShowPasswordModal(userId);
-    };
+                <div className="stat-card">
+                    <div className="stat-icon danger"><AlertCircle size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.fault_frequency_daily || 0}</div>
+                        <div className="stat-label">
+                            {timeRange === 'daily' ? 'Total Faults (Today)' : 'Avg Faults / Day'}
+                        </div>
+                    </div>
+                </div>
 
-    return (
-        <div>
-            <div className="page-header">
-                <h1 className="page-title">Team Management</h1>
-                <p className="page-subtitle">Manage technicians and staff members</p>
+                <div className="stat-card">
+                    <div className="stat-icon success"><CheckCircle size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.resolution_rate_percent || 0}%</div>
+                        <div className="stat-label">Resolution Rate</div>
+                    </div>
+                </div>
             </div>
 
-            <div className="action-bar">
-                <div style={{ display: 'flex', gap: '0.5rem' }}>
-                    <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
-                    <button className="btn btn-secondary" onClick={handleExport}>Export CSV</button>
+            <div className="stats-grid">
+                <div className="stat-card">
+                    <div className="stat-icon primary"><Clock size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.avg_first_response_minutes || 0}m</div>
+                        <div className="stat-label">Avg First Response</div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon success"><CheckCircle size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.sla?.response_compliance_percent ?? '-'}{kpis?.sla?.response_compliance_percent != null && '%'}</div>
+                        <div className="stat-label">Response SLA Met</div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon success"><CheckCircle size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.sla?.resolution_compliance_percent ?? '-'}{kpis?.sla?.resolution_compliance_percent != null && '%'}</div>
+                        <div className="stat-label">Resolution SLA Met</div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon danger"><AlertTriangle size={24} /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{kpis?.sla?.breached_count || 0}</div>
+                        <div className="stat-label">SLA Breaches</div>
+                        <div className="stat-trend">{kpis?.sla?.at_risk_count || 0} at risk</div>
+                    </div>
                 </div>
-                {(role === 'Admin' || role === 'Manager') && (
-                    <button className="btn btn-primary" onClick={() => { setEditingTech(null); setShowModal(true); }}>
-                        + Add Team Member
-                    </button>
-                )}
             </div>
 
-            {loading ? (
-                <div className="loading-container"><div className="spinner"></div></div>
-            ) : (
+            {availability && (
                 <>
-                    {/* Manager Section */}
-                    {technicians.filter(t => t.role === 'Manager').length > 0 && (
-                        <div style={{ marginBottom: '2rem' }}>
-                            <h3 style={{ marginBottom: '1rem', color: 'var(--primary)' }}>👨‍💼 Management</h3>
-                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
-                                {technicians.filter(t => t.role === 'Manager').map((tech) => (
-                                    <div key={tech.id} className="card" style={{ borderLeft: '4px solid var(--primary)', width: '100%', maxWidth: '350px' }}>
-                                        <div className="d-flex align-center gap-2 mb-2">
-                                            <div style={{ width: 48, height: 48, borderRadius: '50%', background: 'linear-gradient(135deg, #2D3748 0%, #1A202C 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem', color: 'white' }}>
-                                                {tech.name[0]}
-                                            </div>
-                                            <div className="flex-1">
-                                                <div style={{ fontWeight: 600 }}>
-                                                    {tech.name}
-                                                    {Number(tech.id) === Number(user_id) &&
-                                                        <span className="badge badge-primary" style={{ fontSize: '0.7em', padding: '2px 6px', marginLeft: '6px' }}>You</span>
-                                                    }
-                                                </div>
-                                                <div className="text-muted" style={{ fontSize: '0.875rem' }}>Network Manager</div>
-                                            </div>
-                                        </div>
-                                        <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
-                                            <div>📧 {tech.email}</div>
-                                            {tech.phone && <div>📞 {tech.phone}</div>}
-                                            {tech.created_at && (
-                                                <div>📅 Joined: {(() => {
-                                                    const created = new Date(tech.created_at);
-                                                    const now = new Date();
-                                                    const diffMs = now - created;
-                                                    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-                                                    if (diffDays > 365) return `${Math.floor(diffDays / 365)}y ${Math.floor((diffDays % 365) / 30)}m ago`;
-                                                    if (diffDays > 30) return `${Math.floor(diffDays / 30)}m ago`;
-                                                    return `${diffDays} days ago`;
-                                                })()}</div>
-                                            )}
-                                        </div>
-                                        {/* Manager Actions (Self Edit or Admin Control) */}
-                                        {(Number(tech.id) === Number(user_id) || role === 'Admin') && (
-                                            <div className="d-flex gap-2 mt-auto">
-                                                <button className="btn btn-sm btn-secondary flex-1" onClick={() => { setEditingTech(tech); setShowModal(true); }}>Edit</button>
-                                                <button className="btn btn-sm btn-secondary flex-1" onClick={() => handleResetPassword(tech.id)}>Pass</button>
-                                                {role === 'Admin' && Number(tech.id) !== Number(user_id) && (
-                                                    <button className="btn btn-sm btn-danger flex-1" onClick={() => handleStatusChange(tech, 'Inactive')}>Inactivate</button>
-                                                )}
-                                            </div>
-                                        )}
-                                    </div>
-                                ))}
+                    <div className="grid-2 mt-3">
+                        <div className="card">
+                            <div className="card-header">
+                                <h3 className="card-title">Availability by Type</h3>
+                            </div>
+                            <div style={{ padding: '1rem', height: '260px' }}>
+                                <Bar
+                                    data={{
+                                        labels: availability.by_type.map(t => t.type),
+                                        datasets: [{
+                                            label: 'Availability %',
+                                            data: availability.by_type.map(t => t.availability_percent),
+                                            backgroundColor: '#606C38',
+                                            borderRadius: 6
+                                        }]
+                                    }}
+                                    options={availabilityChartOptions}
+                                />
                             </div>
                         </div>
-                    )}
-
-                    {/* Active Technicians */}
-                    <h3 style={{ marginBottom: '1rem', color: 'var(--primary)' }}>👷 Technicians ({technicians.filter(t => t.status === 'Active' && t.role === 'Technician').length})</h3>
-                    <div className="stats-grid">
-                        {technicians.filter(t => t.status === 'Active' && t.role === 'Technician').map((tech) => (
-                            <div key={tech.id} className="card">
-                                <div className="d-flex align-center gap-2 mb-2">
-                                    <div style={{ width: 48, height: 48, borderRadius: '50%', background: 'var(--gradient-primary)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem' }}>
-                                        {tech.name[0]}
-                                    </div>
-                                    <div className="flex-1">
-                                        <div style={{ fontWeight: 600 }}>
-                                            {tech.name}
-                                            {Number(tech.id) === Number(user_id) &&
-                                                <span className="badge badge-primary" style={{ fontSize: '0.7em', padding: '2px 6px', marginLeft: '6px' }}>You</span>
-                                            }
-                                        </div>
-                                        <div className="text-muted" style={{ fontSize: '0.875rem' }}>{tech.role}</div>
-                                    </div>
-                                </div>
-                                <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
-                                    <div>📧 {tech.email}</div>
-                                    {tech.phone && <div>📞 {tech.phone}</div>}
-                                    {tech.created_at && (
-                                        <div>📅 Joined: {(() => {
-                                            const created = new Date(tech.created_at);
-                                            const now = new Date();
-                                            const diffMs = now - created;
-                                            const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-                                            if (diffDays > 365) return `${Math.floor(diffDays / 365)}y ${Math.floor((diffDays % 365) / 30)}m ago`;
-                                            if (diffDays > 30) return `${Math.floor(diffDays / 30)}m ago`;
-                                            return `${diffDays} days ago`;
-                                        })()}</div>
-                                    )}
-                                </div>
-                                <div style={{ fontSize: '0.875rem', marginBottom: '1rem' }}>
-                                    <strong>{tech.active_faults || 0}</strong> active faults
-                                </div>
-                                <div className="d-flex gap-2 mt-auto">
-                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => { setEditingTech(tech); setShowModal(true); }}>Edit</button>
-                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => handleResetPassword(tech.id)}>Pass</button>
-                                    <button className="btn btn-sm btn-danger flex-1" onClick={() => handleStatusChange(tech, 'Inactive')}>Inactivate</button>
-                                </div>
+                        <div className="card">
+                            <div className="card-header">
+                                <h3 className="card-title">Availability by Department</h3>
                             </div>
-                        ))}
+                            <div style={{ padding: '1rem', height: '260px' }}>
+                                <Bar
+                                    data={{
+                                        labels: availability.by_department.map(d => d.department_name),
+                                        datasets: [{
+                                            label: 'Availability %',
+                                            data: availability.by_department.map(d => d.availability_percent),
+                                            backgroundColor: '#DDA15E',
+                                            borderRadius: 6
+                                        }]
+                                    }}
+                                    options={availabilityChartOptions}
+                                />
+                            </div>
+                        </div>
                     </div>
 
-                    {/* Active Staff */}
-                    <h3 style={{ marginBottom: '1rem', marginTop: '2rem', color: 'var(--primary)' }}>🏢 Staff Members ({technicians.filter(t => t.status === 'Active' && t.role === 'Staff').length})</h3>
-                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
-                        {technicians.filter(t => t.status === 'Active' && t.role === 'Staff').map((staff) => (
-                            <div key={staff.id} className="card" style={{ width: '100%', maxWidth: '350px' }}>
-                                <div className="d-flex align-center gap-2 mb-2">
-                                    <div style={{ width: 48, height: 48, borderRadius: '50%', background: 'linear-gradient(135deg, #4299E1 0%, #2B6CB0 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem', color: 'white' }}>
-                                        {staff.name[0]}
-                                    </div>
-                                    <div className="flex-1">
-                                        <div style={{ fontWeight: 600 }}>
-                                            {staff.name}
-                                            {Number(staff.id) === Number(user_id) &&
-                                                <span className="badge badge-primary" style={{ fontSize: '0.7em', padding: '2px 6px', marginLeft: '6px' }}>You</span>
-                                            }
-                                        </div>
-                                        <div className="text-muted" style={{ fontSize: '0.875rem' }}>
-                                            <div>{staff.role}</div>
-                                            {staff.department_name && <div className="text-primary" style={{ fontSize: '0.8rem', marginTop: '2px' }}>📍 {staff.department_name}</div>}
-                                        </div>
-                                    </div>
-                                </div>
-                                <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
-                                    <div>📧 {staff.email}</div>
-                                    {staff.phone && <div>📞 {staff.phone}</div>}
-                                    {staff.created_at && (
-                                        <div>📅 Joined: {(() => {
-                                            const created = new Date(staff.created_at);
-                                            const now = new Date();
-                                            const diffMs = now - created;
-                                            const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-                                            if (diffDays > 365) return `${Math.floor(diffDays / 365)}y ${Math.floor((diffDays % 365) / 30)}m ago`;
-                                            if (diffDays > 30) return `${Math.floor(diffDays / 30)}m ago`;
-                                            return `${diffDays} days ago`;
-                                        })()}</div>
-                                    )}
-                                </div>
-                                <div className="d-flex gap-2 mt-auto">
-                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => { setEditingTech(staff); setShowModal(true); }}>Edit</button>
-                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => handleResetPassword(staff.id)}>Pass</button>
-                                    <button className="btn btn-sm btn-danger flex-1" onClick={() => handleStatusChange(staff, 'Inactive')}>Inactivate</button>
-                                </div>
+                    <div className="grid-2 mt-3 mb-3">
+                        <div className="card">
+                            <div className="card-header">
+                                <h3 className="card-title">Availability Over Time</h3>
                             </div>
-                        ))}
+                            <div style={{ padding: '1rem', height: '260px' }}>
+                                <Bar
+                                    data={{
+                                        labels: availability.series.map(b => new Date(b.start).toLocaleDateString()),
+                                        datasets: [{
+                                            label: 'Availability %',
+                                            data: availability.series.map(b => b.availability_percent),
+                                            backgroundColor: '#283618',
+                                            borderRadius: 6
+                                        }]
+                                    }}
+                                    options={availabilityChartOptions}
+                                />
+                            </div>
+                        </div>
+                        <div className="card">
+                            <div className="card-header">
+                                <h3 className="card-title">Least Available Components</h3>
+                            </div>
+                            <div className="table-container" style={{ border: 'none' }}>
+                                <table className="table">
+                                    <thead>
+                                        <tr>
+                                            <th>Component</th>
+                                            <th>Availability</th>
+                                            <th>Faulty</th>
+                                            <th>Maintenance</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {availability.by_component.filter(c => c.availability_percent !== null).slice(0, 8).map(c => (
+                                            <tr key={c.component_id}>
+                                                <td style={{ fontWeight: 500 }}>{c.name}</td>
+                                                <td>{c.availability_percent}%</td>
+                                                <td>{Math.round(c.unplanned_downtime_minutes)}m</td>
+                                                <td>{Math.round(c.maintenance_minutes)}m</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
                     </div>
+                </>
+            )}
 
-                    {/* Inactive Team */}
-                    {technicians.filter(t => t.status === 'Inactive').length > 0 && (
-                        <>
-                            <h3 style={{ marginTop: '2rem', marginBottom: '1rem', color: '#888' }}>Inactive Team ({technicians.filter(t => t.status === 'Inactive').length})</h3>
-                            <div className="stats-grid">
-                                {technicians.filter(t => t.status === 'Inactive').map((tech) => (
-                                    <div key={tech.id} className="card" style={{ opacity: 0.5, filter: 'grayscale(50%)', maxWidth: '350px' }}>
-                                        <div className="d-flex align-center gap-2 mb-2">
-                                            <div style={{ width: 48, height: 48, borderRadius: '50%', background: '#888', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem', color: 'white' }}>
-                                                {tech.name[0]}
-                                            </div>
-                                            <div className="flex-1">
-                                                <div style={{ fontWeight: 600 }}>{tech.name}</div>
-                                                <div className="text-muted" style={{ fontSize: '0.875rem' }}>{tech.role} <span style={{ color: '#DC3545' }}>(Inactive)</span></div>
+            <div className="card">
+                <div className="card-header">
+                    <h3 className="card-title">Component Health Scores</h3>
+                </div>
+                <div className="table-container" style={{ border: 'none' }}>
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Component</th>
+                                <th>Type</th>
+                                <th>Status</th>
+                                <th>Active Faults</th>
+                                <th>Avg Resolution</th>
+                                <th>Health Score</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {health.map((comp) => (
+                                <tr key={comp.id}>
+                                    <td style={{ fontWeight: 500 }}>{comp.name}</td>
+                                    <td><span className="badge badge-info">{comp.type}</span></td>
+                                    <td><span className={`badge status-${comp.status}`}>{comp.status}</span></td>
+                                    <td>{comp.open_faults || 0}</td>
+                                    <td>{comp.avg_resolution_time ? Math.round(comp.avg_resolution_time) + 'm' : '-'}</td>
+                                    <td style={{ width: 200 }}>
+                                        <div className="d-flex align-center gap-2">
+                                            <div className="health-bar flex-1">
+                                                <div
+                                                    className={`health-bar-fill ${getHealthClass(comp.health_score)}`}
+                                                    style={{ width: `${comp.health_score}%` }}
+                                                ></div>
                                             </div>
+                                            <span style={{ fontWeight: 600, minWidth: 40 }}>{comp.health_score}%</span>
                                         </div>
-                                        <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
-                                            <div>📧 {tech.email}</div>
-                                            {tech.phone && <div>📞 {tech.phone}</div>}
-                                        </div>
-                                        <div className="d-flex gap-2 mt-3" style={{ flexWrap: 'wrap' }}>
-                                            <button className="btn btn-primary btn-sm" onClick={() => handleStatusChange(tech, 'Active')}>Reactivate</button>
-                                            <button className="btn btn-danger btn-sm" style={{ backgroundColor: '#DC3545', color: 'white' }} onClick={() => setConfirmDelete(tech)}>Delete</button>
-                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="card mt-3">
+                <div className="card-header">
+                    <h3 className="card-title">Technician Performance</h3>
+                </div>
+                <div className="table-container" style={{ border: 'none' }}>
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Technician</th>
+                                <th>Resolved Faults</th>
+                                <th>Resolution Score</th>
+                                <th>Avg Resolution Time</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {kpis?.technician_performance?.map((tech) => {
+                                const efficiency = tech.assigned_count > 0 ? (tech.resolved_count / tech.assigned_count) * 100 : 0;
+                                return (
+                                    <tr key={tech.user_id}>
+                                        <td style={{ fontWeight: 500 }}>{tech.name}</td>
+                                        <td>
+                                            <div className="d-flex align-center gap-2">
+                                                <span className="badge badge-success" style={{ fontSize: '0.9rem' }}>
+                                                    {tech.resolved_count}
+                                                </span>
+                                                <span className="text-muted" style={{ fontSize: '0.8rem' }}>/ {tech.assigned_count || 0} assigned</span>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <div style={{ width: '100%', maxWidth: '140px' }}>
+                                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px', fontSize: '0.75rem' }}>
+                                                    <span>{Math.round(efficiency)}%</span>
+                                                </div>
+                                                <div style={{ height: '6px', width: '100%', background: '#E2E8F0', borderRadius: '3px', overflow: 'hidden' }}>
+                                                    <div style={{
+                                                        height: '100%',
+                                                        width: `${efficiency}%`,
+                                                        background: efficiency >= 75 ? 'var(--accent-success)' : efficiency >= 40 ? 'var(--accent-warning)' : 'var(--accent-danger)',
+                                                        transition: 'width 0.3s ease'
+                                                    }}></div>
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            {tech.avg_resolution_time
+                                                ? Math.round(tech.avg_resolution_time) + 'm'
+                                                : <span className="text-muted">-</span>
+                                            }
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                            {(!kpis?.technician_performance || kpis.technician_performance.length === 0) && (
+                                <tr>
+                                    <td colSpan="3" className="text-center text-muted">No resolution data for this period</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Incident Reports Component
+function IncidentReports() {
+    const [reports, setReports] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [selectedReport, setSelectedReport] = useState(null);
+    const [editReport, setEditReport] = useState(null);
+    const user = useContext(AuthContext);
+
+    useEffect(() => {
+        loadReports();
+    }, []);
+
+    const loadReports = async () => {
+        try {
+            const response = await fetchAPI('/reports');
+            setReports(response.data);
+        } catch (error) {
+            console.error('Failed to load reports:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const downloadPDF = async (reportId, title) => {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`http://localhost:3000/api/reports/${reportId}/pdf`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (!response.ok) throw new Error('Failed to generate PDF');
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `incident_report_${reportId}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            alert('Failed to download PDF: ' + error.message);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Are you sure you want to delete this report?')) return;
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`http://localhost:3000/api/reports/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+
+            if (!response.ok) throw new Error('Failed to delete report');
+            loadReports();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">Incident Reports</h1>
+                <p className="page-subtitle">Generate and view incident reports</p>
+            </div>
+
+            <div className="action-bar">
+                <div></div>
+                <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+                    + Generate Report
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>ID</th>
+                                <th>Title</th>
+                                <th>Period</th>
+                                <th>Total Faults</th>
+                                <th>Impact</th>
+                                <th>Avg Resolution</th>
+                                <th>Generated</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {reports.map((report) => (
+                                <tr key={report.report_id}>
+                                    <td>#{report.report_id}</td>
+                                    <td style={{ fontWeight: 500 }}>{report.title}</td>
+                                    <td>{new Date(report.start_time).toLocaleDateString()} - {new Date(report.end_time).toLocaleDateString()}</td>
+                                    <td>{report.total_faults}</td>
+                                    <td><span className={`badge priority-${report.impact_level}`}>{report.impact_level}</span></td>
+                                    <td>{report.avg_resolution_time ? Math.round(report.avg_resolution_time) + 'm' : '-'}</td>
+                                    <td>{new Date(report.generated_at).toLocaleDateString()}</td>
+                                    <td>
+                                        <div className="d-flex gap-1">
+                                            <button className="btn btn-secondary btn-sm" onClick={() => setSelectedReport(report)}>View</button>
+                                            <button className="btn btn-primary btn-sm" onClick={() => { setEditReport(report); setShowModal(true); }}>Edit</button>
+                                            <button className="btn btn-primary btn-sm" onClick={() => downloadPDF(report.report_id, report.title)} title="Download PDF">
+                                                📄 PDF
+                                            </button>
+                                            {user && user.role === 'Admin' && (
+                                                <button className="btn btn-danger btn-sm" onClick={() => handleDelete(report.report_id)}>Delete</button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {reports.length === 0 && (
+                                <tr>
+                                    <td colSpan="8" className="text-center text-muted">No reports found</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <GenerateReportModal
+                    onClose={() => { setShowModal(false); setEditReport(null); }}
+                    onSave={() => { setShowModal(false); setEditReport(null); loadReports(); }}
+                    initialData={editReport}
+                />
+            )}
+            {selectedReport && <ReportDetailModal report={selectedReport} onClose={() => setSelectedReport(null)} />}
+        </div>
+    );
+}
+
+function GenerateReportModal({ onClose, onSave, initialData }) {
+    const [form, setForm] = useState({
+        title: '',
+        start_time: '',
+        end_time: '',
+        impact_level: 'minor',
+        total_faults: 0,
+        affected_components: 0,
+        avg_resolution_time: 0,
+        summary: '',
+    });
+    const [loading, setLoading] = useState(false);
+    const [reportType, setReportType] = useState('Custom');
+    const [users, setUsers] = useState([]);
+    const [selectedUser, setSelectedUser] = useState('');
+
+    useEffect(() => {
+        // Fetch users for filtering
+        const loadUsers = async () => {
+            try {
+                const response = await fetchAPI('/users');
+                setUsers(response.data);
+            } catch (error) {
+                console.error('Failed to load users:', error);
+            }
+        };
+        loadUsers();
+
+        if (initialData) {
+            setForm({
+                title: initialData.title,
+                start_time: new Date(initialData.start_time).toISOString().slice(0, 16),
+                end_time: new Date(initialData.end_time).toISOString().slice(0, 16),
+                impact_level: initialData.impact_level,
+                total_faults: initialData.total_faults || 0,
+                affected_components: initialData.affected_components_count || 0,
+                avg_resolution_time: Math.round(initialData.avg_resolution_time || 0),
+                summary: initialData.summary || '',
+            });
+            // If editing, we might want to check if it filters by user, but initialData might not have that info easily accessible unless we returned it.
+            // For now, simpler to leave user filter empty on edit unless we update backend to return it.
+        }
+    }, [initialData]);
+
+    const handleReportTypeChange = (type) => {
+        setReportType(type);
+        const now = new Date();
+        const start = new Date(now);
+
+        if (type === 'Daily') {
+            start.setHours(0, 0, 0, 0); // Start of today
+        } else if (type === 'Weekly') {
+            start.setDate(now.getDate() - 7);
+        } else if (type === 'Monthly') {
+            start.setMonth(now.getMonth() - 1);
+        }
+
+        if (type !== 'Custom') {
+            setForm(prev => ({
+                ...prev,
+                start_time: start.toISOString().slice(0, 16),
+                end_time: now.toISOString().slice(0, 16),
+                title: `${type} Incident Report - ${now.toLocaleDateString()}`
+            }));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const url = initialData ? `/reports/${initialData.report_id}` : '/reports/generate';
+            const method = initialData ? 'PUT' : 'POST';
+
+            const payload = {
+                ...form,
+                reported_by: selectedUser || undefined // Only send if selected
+            };
+
+            await fetchAPI(url, {
+                method,
+                body: JSON.stringify(payload),
+            });
+            onSave();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{initialData ? 'Edit Incident Report' : 'Generate Incident Report'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        {!initialData && (
+                            <div className="form-group">
+                                <label className="form-label">Report Type</label>
+                                <div className="grid-4" style={{ gap: '10px' }}>
+                                    {['Custom', 'Daily', 'Weekly', 'Monthly'].map(type => (
+                                        <button
+                                            key={type}
+                                            type="button"
+                                            className={`btn ${reportType === type ? 'btn-primary' : 'btn-secondary'}`}
+                                            onClick={() => handleReportTypeChange(type)}
+                                            style={{ width: '100%', fontSize: '0.9rem' }}
+                                        >
+                                            {type}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label className="form-label">Report Title *</label>
+                            <input className="form-input" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} placeholder="e.g., Weekly Incident Report" required />
+                        </div>
+
+                        {!initialData && (
+                            <div className="form-group">
+                                <label className="form-label">Filter by Reporter (Optional)</label>
+                                <select className="form-select" value={selectedUser} onChange={(e) => setSelectedUser(e.target.value)}>
+                                    <option value="">All Users</option>
+                                    {users.map(u => (
+                                        <option key={u.user_id} value={u.user_id}>{u.username} ({u.first_name} {u.last_name})</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Start Date *</label>
+                                <input type="datetime-local" className="form-input" value={form.start_time} onChange={(e) => { setForm({ ...form, start_time: e.target.value }); setReportType('Custom'); }} required />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">End Date *</label>
+                                <input type="datetime-local" className="form-input" value={form.end_time} onChange={(e) => { setForm({ ...form, end_time: e.target.value }); setReportType('Custom'); }} required />
+                            </div>
+                        </div>
+
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Impact Level *</label>
+                                <select className="form-select" value={form.impact_level} onChange={(e) => setForm({ ...form, impact_level: e.target.value })} required>
+                                    <option value="minor">Minor</option>
+                                    <option value="major">Major</option>
+                                    <option value="critical">Critical</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Total Faults (Auto)</label>
+                                <input type="number" min="0" className="form-input" value={form.total_faults} onChange={(e) => setForm({ ...form, total_faults: parseInt(e.target.value) || 0 })} disabled={!initialData} />
+                            </div>
+                        </div>
+
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Components Affected (Auto)</label>
+                                <input type="number" min="0" className="form-input" value={form.affected_components} onChange={(e) => setForm({ ...form, affected_components: parseInt(e.target.value) || 0 })} disabled={!initialData} />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Avg Resolution (min) (Auto)</label>
+                                <input type="number" min="0" className="form-input" value={form.avg_resolution_time} onChange={(e) => setForm({ ...form, avg_resolution_time: parseInt(e.target.value) || 0 })} disabled={!initialData} />
+                            </div>
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Summary / Notes</label>
+                            <textarea className="form-input" rows="3" value={form.summary} onChange={(e) => setForm({ ...form, summary: e.target.value })}></textarea>
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-text" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            {loading ? 'Processing...' : (initialData ? 'Update Report' : 'Generate Report')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+function ReportDetailModal({ report, onClose }) {
+    const details = report.details ? (typeof report.details === 'string' ? JSON.parse(report.details) : report.details) : {};
+
+    // Function to download PDF (reused logic or passed down could be better but duplicating for simplicity here as context isn't fully exposed)
+    const handleDownload = async () => {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`http://localhost:3000/api/reports/${report.report_id}/pdf`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) throw new Error('Failed to generate PDF');
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `incident_report_${report.report_id}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            alert('Failed to download PDF: ' + error.message);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 800 }}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{report.title}</h3>
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                        <button className="btn btn-secondary btn-sm" onClick={handleDownload} title="Download PDF">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="feather feather-download"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg> PDF
+                        </button>
+                        <button className="modal-close" onClick={onClose}>&times;</button>
+                    </div>
+                </div>
+                <div className="modal-body">
+                    <div className="stats-grid mb-3">
+                        <div className="text-center">
+                            <div style={{ fontSize: '1.5rem', fontWeight: 700 }}>{report.total_faults}</div>
+                            <div className="text-muted">Total Faults</div>
+                        </div>
+                        <div className="text-center">
+                            <div style={{ fontSize: '1.5rem', fontWeight: 700 }}>{report.affected_components_count}</div>
+                            <div className="text-muted">Components Affected</div>
+                        </div>
+                        <div className="text-center">
+                            <div style={{ fontSize: '1.5rem', fontWeight: 700 }}>{Math.round(report.avg_resolution_time || 0)}m</div>
+                            <div className="text-muted">Avg Resolution</div>
+                        </div>
+                    </div>
+
+                    <div className="grid-2 mb-3">
+                        <p><strong>Period:</strong> {new Date(report.start_time).toLocaleString()} - {new Date(report.end_time).toLocaleString()}</p>
+                        <p><strong>Impact Level:</strong> <span className={`badge priority-${report.impact_level}`}>{report.impact_level}</span></p>
+                        {details.filter?.reported_by && details.filter.reported_by !== 'All Users' && (
+                            <p><strong>Filtered By User ID:</strong> {details.filter.reported_by}</p>
+                        )}
+                    </div>
+
+                    <div className="card mb-3" style={{ background: 'var(--bg-tertiary)' }}>
+                        <h4 style={{ marginBottom: '0.5rem' }}>Summary</h4>
+                        <p>{report.summary}</p>
+                    </div>
+
+                    {details.statistics && (
+                        <div className="grid-2 mb-3">
+                            <div className="card" style={{ background: 'var(--bg-card)' }}>
+                                <h5 className="mb-2">By Priority</h5>
+                                <ul className="list-unstyled">
+                                    {Object.entries(details.statistics.by_priority || {}).map(([k, v]) => (
+                                        <li key={k} className="d-flex justify-content-between">
+                                            <span style={{ textTransform: 'capitalize' }}>{k}</span>
+                                            <span style={{ fontWeight: 600 }}>{v}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                            <div className="card" style={{ background: 'var(--bg-card)' }}>
+                                <h5 className="mb-2">By Status</h5>
+                                <ul className="list-unstyled">
+                                    {Object.entries(details.statistics.by_status || {}).map(([k, v]) => (
+                                        <li key={k} className="d-flex justify-content-between">
+                                            <span style={{ textTransform: 'capitalize' }}>{k.replace('_', ' ')}</span>
+                                            <span style={{ fontWeight: 600 }}>{v}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Detailed Faults List with Descriptions */}
+                    {details.faults && details.faults.length > 0 && (
+                        <div>
+                            <h4 style={{ marginBottom: '1rem', borderBottom: '1px solid var(--border-color)', paddingBottom: '0.5rem' }}>Fault Details</h4>
+                            <div className="report-faults-list" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                                {details.faults.map((fault, idx) => (
+                                    <div key={idx} style={{ marginBottom: '1rem', paddingBottom: '1rem', borderBottom: '1px solid #eee' }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
+                                            <strong>{idx + 1}. {fault.title}</strong>
+                                            <span className={`badge priority-${fault.priority}`}>{fault.priority}</span>
+                                        </div>
+                                        <div style={{ fontSize: '0.9rem', color: '#555', marginBottom: '0.25rem' }}>
+                                            <span style={{ marginRight: '1rem' }}>📦 {fault.component}</span>
+                                            <span style={{ marginRight: '1rem' }}>👤 Reported by: {fault.reporter || 'Unknown'}</span>
+                                            <span>📅 {new Date(fault.reported_at).toLocaleDateString()}</span>
+                                        </div>
+                                        <div style={{ background: '#f9f9f9', padding: '0.5rem', borderRadius: '4px', borderLeft: '3px solid #ccc' }}>
+                                            <em style={{ fontSize: '0.9rem' }}>"{fault.description}"</em>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>Close</button>
+                    <button className="btn btn-primary" onClick={handleDownload}>Download PDF</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Technicians Component
+function Technicians() {
+    const { role, user_id } = useContext(AuthContext) || {};
+    const [technicians, setTechnicians] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [showPasswordModal, setShowPasswordModal] = useState(null);
+    const [editingTech, setEditingTech] = useState(null);
+    const [confirmDelete, setConfirmDelete] = useState(null); // For custom confirmation modal
+    const [statusChangeUser, setStatusChangeUser] = useState(null); // For status change modal
+    const [statusChangeTarget, setStatusChangeTarget] = useState(''); // 'Active' or 'Inactive'
+    const [statusChangeReason, setStatusChangeReason] = useState('');
+
+    useEffect(() => {
+        loadTechnicians();
+    }, []);
+
+    const loadTechnicians = async () => {
+        try {
+            const response = await fetchAPI('/technicians');
+            let data = response.data;
+            // Sorting Logic
+            if (role === 'Admin') {
+                data.sort((a, b) => (a.role === 'Manager' ? -1 : 1));
+            } else if (role === 'Manager') {
+                data.sort((a, b) => (Number(a.id) === Number(user_id) ? -1 : 1));
+            }
+            setTechnicians(data);
+        } catch (error) {
+            console.error('Failed to load technicians:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await fetchAPI(`/technicians/${id}`, { method: 'DELETE' });
+            setConfirmDelete(null);
+            loadTechnicians();
+        } catch (error) {
+            alert(error.message);
+            setConfirmDelete(null);
+        }
+    };
+
+    const handleStatusChange = (user, newStatus) => {
+        setStatusChangeUser(user);
+        setStatusChangeTarget(newStatus);
+        setStatusChangeReason('');
+    };
+
+    const handleConfirmStatusChange = async () => {
+        if (!statusChangeUser) return;
+        try {
+            await fetchAPI(`/technicians/${statusChangeUser.id}/status`, {
+                method: 'PUT',
+                body: JSON.stringify({ status: statusChangeTarget, reason: statusChangeReason || 'No reason provided' })
+            });
+            setStatusChangeUser(null);
+            setStatusChangeTarget('');
+            setStatusChangeReason('');
+            loadTechnicians();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleSave = async (data) => {
+        try {
+            if (editingTech) {
+                await fetchAPI(`/technicians/${editingTech.id}`, {
+                    method: 'PUT',
+                    body: JSON.stringify(data),
+                });
+            } else {
+                await fetchAPI('/technicians', {
+                    method: 'POST',
+                    body: JSON.stringify(data),
+                });
+            }
+            setShowModal(false);
+            setEditingTech(null);
+            loadTechnicians();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handlePrint = () => { window.print(); };
+
+    const handleResetPassword = (userId) => {
+        setShowPasswordModal(userId);
+    };
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">Team Management</h1>
+                <p className="page-subtitle">Manage technicians and staff members</p>
+            </div>
+
+            <div className="action-bar">
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
+                    <ExportButton resource="team" />
+                </div>
+                {(role === 'Admin' || role === 'Manager') && (
+                    <button className="btn btn-primary" onClick={() => { setEditingTech(null); setShowModal(true); }}>
+                        + Add Team Member
+                    </button>
+                )}
+            </div>
+
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <>
+                    {/* Manager Section */}
+                    {technicians.filter(t => t.role === 'Manager').length > 0 && (
+                        <div style={{ marginBottom: '2rem' }}>
+                            <h3 style={{ marginBottom: '1rem', color: 'var(--primary)' }}>👨‍💼 Management</h3>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                                {technicians.filter(t => t.role === 'Manager').map((tech) => (
+                                    <div key={tech.id} className="card" style={{ borderLeft: '4px solid var(--primary)', width: '100%', maxWidth: '350px' }}>
+                                        <div className="d-flex align-center gap-2 mb-2">
+                                            <div style={{ width: 48, height: 48, borderRadius: '50%', background: 'linear-gradient(135deg, #2D3748 0%, #1A202C 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem', color: 'white' }}>
+                                                {tech.name[0]}
+                                            </div>
+                                            <div className="flex-1">
+                                                <div style={{ fontWeight: 600 }}>
+                                                    {tech.name}
+                                                    {Number(tech.id) === Number(user_id) &&
+                                                        <span className="badge badge-primary" style={{ fontSize: '0.7em', padding: '2px 6px', marginLeft: '6px' }}>You</span>
+                                                    }
+                                                </div>
+                                                <div className="text-muted" style={{ fontSize: '0.875rem' }}>Network Manager</div>
+                                            </div>
+                                        </div>
+                                        <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
+                                            <div>📧 {tech.email}</div>
+                                            {tech.phone && <div>📞 {tech.phone}</div>}
+                                            {tech.created_at && (
+                                                <div>📅 Joined: {(() => {
+                                                    const created = new Date(tech.created_at);
+                                                    const now = new Date();
+                                                    const diffMs = now - created;
+                                                    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+                                                    if (diffDays > 365) return `${Math.floor(diffDays / 365)}y ${Math.floor((diffDays % 365) / 30)}m ago`;
+                                                    if (diffDays > 30) return `${Math.floor(diffDays / 30)}m ago`;
+                                                    return `${diffDays} days ago`;
+                                                })()}</div>
+                                            )}
+                                        </div>
+                                        {/* Manager Actions (Self Edit or Admin Control) */}
+                                        {(Number(tech.id) === Number(user_id) || role === 'Admin') && (
+                                            <div className="d-flex gap-2 mt-auto">
+                                                <button className="btn btn-sm btn-secondary flex-1" onClick={() => { setEditingTech(tech); setShowModal(true); }}>Edit</button>
+                                                <button className="btn btn-sm btn-secondary flex-1" onClick={() => handleResetPassword(tech.id)}>Pass</button>
+                                                {role === 'Admin' && Number(tech.id) !== Number(user_id) && (
+                                                    <button className="btn btn-sm btn-danger flex-1" onClick={() => handleStatusChange(tech, 'Inactive')}>Inactivate</button>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Active Technicians */}
+                    <h3 style={{ marginBottom: '1rem', color: 'var(--primary)' }}>👷 Technicians ({technicians.filter(t => t.status === 'Active' && t.role === 'Technician').length})</h3>
+                    <div className="stats-grid">
+                        {technicians.filter(t => t.status === 'Active' && t.role === 'Technician').map((tech) => (
+                            <div key={tech.id} className="card">
+                                <div className="d-flex align-center gap-2 mb-2">
+                                    <div style={{ width: 48, height: 48, borderRadius: '50%', background: 'var(--gradient-primary)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem' }}>
+                                        {tech.name[0]}
+                                    </div>
+                                    <div className="flex-1">
+                                        <div style={{ fontWeight: 600 }}>
+                                            {tech.name}
+                                            {Number(tech.id) === Number(user_id) &&
+                                                <span className="badge badge-primary" style={{ fontSize: '0.7em', padding: '2px 6px', marginLeft: '6px' }}>You</span>
+                                            }
+                                        </div>
+                                        <div className="text-muted" style={{ fontSize: '0.875rem' }}>{tech.role}</div>
+                                    </div>
+                                </div>
+                                <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
+                                    <div>📧 {tech.email}</div>
+                                    {tech.phone && <div>📞 {tech.phone}</div>}
+                                    {tech.created_at && (
+                                        <div>📅 Joined: {(() => {
+                                            const created = new Date(tech.created_at);
+                                            const now = new Date();
+                                            const diffMs = now - created;
+                                            const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+                                            if (diffDays > 365) return `${Math.floor(diffDays / 365)}y ${Math.floor((diffDays % 365) / 30)}m ago`;
+                                            if (diffDays > 30) return `${Math.floor(diffDays / 30)}m ago`;
+                                            return `${diffDays} days ago`;
+                                        })()}</div>
+                                    )}
+                                </div>
+                                <div style={{ fontSize: '0.875rem', marginBottom: '1rem' }}>
+                                    <strong>{tech.active_faults || 0}</strong> active faults
+                                </div>
+                                <div className="d-flex gap-2 mt-auto">
+                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => { setEditingTech(tech); setShowModal(true); }}>Edit</button>
+                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => handleResetPassword(tech.id)}>Pass</button>
+                                    <button className="btn btn-sm btn-danger flex-1" onClick={() => handleStatusChange(tech, 'Inactive')}>Inactivate</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Active Staff */}
+                    <h3 style={{ marginBottom: '1rem', marginTop: '2rem', color: 'var(--primary)' }}>🏢 Staff Members ({technicians.filter(t => t.status === 'Active' && t.role === 'Staff').length})</h3>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                        {technicians.filter(t => t.status === 'Active' && t.role === 'Staff').map((staff) => (
+                            <div key={staff.id} className="card" style={{ width: '100%', maxWidth: '350px' }}>
+                                <div className="d-flex align-center gap-2 mb-2">
+                                    <div style={{ width: 48, height: 48, borderRadius: '50%', background: 'linear-gradient(135deg, #4299E1 0%, #2B6CB0 100%)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem', color: 'white' }}>
+                                        {staff.name[0]}
+                                    </div>
+                                    <div className="flex-1">
+                                        <div style={{ fontWeight: 600 }}>
+                                            {staff.name}
+                                            {Number(staff.id) === Number(user_id) &&
+                                                <span className="badge badge-primary" style={{ fontSize: '0.7em', padding: '2px 6px', marginLeft: '6px' }}>You</span>
+                                            }
+                                        </div>
+                                        <div className="text-muted" style={{ fontSize: '0.875rem' }}>
+                                            <div>{staff.role}</div>
+                                            {staff.department_name && <div className="text-primary" style={{ fontSize: '0.8rem', marginTop: '2px' }}>📍 {staff.department_name}</div>}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
+                                    <div>📧 {staff.email}</div>
+                                    {staff.phone && <div>📞 {staff.phone}</div>}
+                                    {staff.created_at && (
+                                        <div>📅 Joined: {(() => {
+                                            const created = new Date(staff.created_at);
+                                            const now = new Date();
+                                            const diffMs = now - created;
+                                            const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+                                            if (diffDays > 365) return `${Math.floor(diffDays / 365)}y ${Math.floor((diffDays % 365) / 30)}m ago`;
+                                            if (diffDays > 30) return `${Math.floor(diffDays / 30)}m ago`;
+                                            return `${diffDays} days ago`;
+                                        })()}</div>
+                                    )}
+                                </div>
+                                <div className="d-flex gap-2 mt-auto">
+                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => { setEditingTech(staff); setShowModal(true); }}>Edit</button>
+                                    <button className="btn btn-sm btn-secondary flex-1" onClick={() => handleResetPassword(staff.id)}>Pass</button>
+                                    <button className="btn btn-sm btn-danger flex-1" onClick={() => handleStatusChange(staff, 'Inactive')}>Inactivate</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Inactive Team */}
+                    {technicians.filter(t => t.status === 'Inactive').length > 0 && (
+                        <>
+                            <h3 style={{ marginTop: '2rem', marginBottom: '1rem', color: '#888' }}>Inactive Team ({technicians.filter(t => t.status === 'Inactive').length})</h3>
+                            <div className="stats-grid">
+                                {technicians.filter(t => t.status === 'Inactive').map((tech) => (
+                                    <div key={tech.id} className="card" style={{ opacity: 0.5, filter: 'grayscale(50%)', maxWidth: '350px' }}>
+                                        <div className="d-flex align-center gap-2 mb-2">
+                                            <div style={{ width: 48, height: 48, borderRadius: '50%', background: '#888', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '1.25rem', color: 'white' }}>
+                                                {tech.name[0]}
+                                            </div>
+                                            <div className="flex-1">
+                                                <div style={{ fontWeight: 600 }}>{tech.name}</div>
+                                                <div className="text-muted" style={{ fontSize: '0.875rem' }}>{tech.role} <span style={{ color: '#DC3545' }}>(Inactive)</span></div>
+                                            </div>
+                                        </div>
+                                        <div className="text-muted mb-2" style={{ fontSize: '0.875rem' }}>
+                                            <div>📧 {tech.email}</div>
+                                            {tech.phone && <div>📞 {tech.phone}</div>}
+                                        </div>
+                                        <div className="d-flex gap-2 mt-3" style={{ flexWrap: 'wrap' }}>
+                                            <button className="btn btn-primary btn-sm" onClick={() => handleStatusChange(tech, 'Active')}>Reactivate</button>
+                                            <button className="btn btn-danger btn-sm" style={{ backgroundColor: '#DC3545', color: 'white' }} onClick={() => setConfirmDelete(tech)}>Delete</button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+
+            {showModal && (
+                <TechnicianModal
+                    technician={editingTech}
+                    onClose={() => { setShowModal(false); setEditingTech(null); }}
+                    onSave={handleSave}
+                />
+            )}
+
+            {showPasswordModal && (
+                <PasswordResetModal
+                    technician={showPasswordModal}
+                    onClose={() => setShowPasswordModal(null)}
+                />
+            )}
+
+            {confirmDelete && (
+                <div className="modal-overlay" onClick={() => setConfirmDelete(null)}>
+                    <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 400 }}>
+                        <div className="modal-header">
+                            <h3 className="modal-title" style={{ color: '#DC3545', display: 'flex', alignItems: 'center' }}>
+                                <AlertTriangle size={24} style={{ marginRight: '8px' }} /> Confirm Deletion
+                            </h3>
+                            <button className="modal-close" onClick={() => setConfirmDelete(null)}>&times;</button>
+                        </div>
+                        <div className="modal-body">
+                            <p style={{ marginBottom: '1rem' }}>
+                                Are you sure you want to <strong>permanently delete</strong> <strong>{confirmDelete.name}</strong>?
+                            </p>
+                            <p style={{ color: '#DC3545', fontSize: '0.875rem' }}>
+                                This action cannot be undone. All their data will be permanently removed.
+                            </p>
+                        </div>
+                        <div className="modal-footer">
+                            <button className="btn btn-secondary" onClick={() => setConfirmDelete(null)}>Cancel</button>
+                            <button className="btn btn-danger" style={{ backgroundColor: '#DC3545', color: 'white' }} onClick={() => handleDelete(confirmDelete.id)}>Delete Permanently</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {statusChangeUser && (
+                <div className="modal-overlay" onClick={() => setStatusChangeUser(null)}>
+                    <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 400 }}>
+                        <div className="modal-header">
+                            <h3 className="modal-title">
+                                {statusChangeTarget === 'Active' ? 'Reactivate User' : 'Deactivate User'}
+                            </h3>
+                            <button className="modal-close" onClick={() => setStatusChangeUser(null)}>&times;</button>
+                        </div>
+                        <div className="modal-body">
+                            <p style={{ marginBottom: '1rem' }}>
+                                Please provide a reason for {statusChangeTarget === 'Active' ? 'reactivating' : 'deactivating'} <strong>{statusChangeUser.name}</strong>.
+                            </p>
+                            <div className="form-group">
+                                <label className="form-label">Reason</label>
+                                <textarea
+                                    className="form-input"
+                                    rows="3"
+                                    value={statusChangeReason}
+                                    onChange={(e) => setStatusChangeReason(e.target.value)}
+                                    placeholder={statusChangeTarget === 'Active' ? "e.g., Returned from leave" : "e.g., Resigned, On leave"}
+                                ></textarea>
+                            </div>
+                        </div>
+                        <div className="modal-footer">
+                            <button className="btn btn-secondary" onClick={() => setStatusChangeUser(null)}>Cancel</button>
+                            <button
+                                className={`btn ${statusChangeTarget === 'Active' ? 'btn-primary' : 'btn-danger'}`}
+                                onClick={handleConfirmStatusChange}
+                            >
+                                {statusChangeTarget === 'Active' ? 'Reactivate' : 'Deactivate'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function PasswordResetModal({ technician: technicianId, onClose }) {
+    const [password, setPassword] = useState('');
+    const [technician, setTechnician] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const loadTechnician = async () => {
+            try {
+                const response = await fetchAPI('/technicians');
+                const tech = response.data.find(t => t.id === technicianId);
+                setTechnician(tech);
+            } catch (error) {
+                console.error('Failed to load technician:', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadTechnician();
+    }, [technicianId]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!confirm(`Are you sure you want to reset the password for ${technician.name}?`)) return;
+
+        try {
+            await fetchAPI(`/technicians/${technician.id}/password`, {
+                method: 'PUT',
+                body: JSON.stringify({ password }),
+            });
+            alert('Password updated successfully');
+            onClose();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="modal-overlay" onClick={onClose}>
+                <div className="modal" onClick={(e) => e.stopPropagation()}>
+                    <div className="spinner"></div>
+                </div>
+            </div>
+        );
+    }
+
+    if (!technician) {
+        return (
+            <div className="modal-overlay" onClick={onClose}>
+                <div className="modal" onClick={(e) => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h3 className="modal-title">Error</h3>
+                        <button className="modal-close" onClick={onClose}>&times;</button>
+                    </div>
+                    <div className="modal-body">
+                        <p>Technician not found.</p>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">Reset Password</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <p style={{ marginBottom: '1rem' }}>Resetting password for <strong>{technician.name}</strong></p>
+                        <div className="form-group">
+                            <label className="form-label">New Password *</label>
+                            <input
+                                type="password"
+                                className="form-input"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="Enter new password"
+                                required
+                                minLength={6}
+                            />
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-danger">Reset Password</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+function TechnicianModal({ technician, onClose, onSave }) {
+    const [departments, setDepartments] = useState([]);
+    const [form, setForm] = useState({
+        username: '',
+        password: '',
+        role: 'Technician',
+        first_name: technician?.name?.split(' ')[0] || '',
+        last_name: technician?.name?.split(' ')[1] || '',
+        email: technician?.email || '',
+        phone_number: technician?.phone || '',
+        department_id: technician?.department_id || '',
+    });
+
+    useEffect(() => {
+        fetchAPI('/departments').then(res => setDepartments(res.data));
+    }, []);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(form);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{technician ? 'Edit Team Member' : 'Add Team Member'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        {!technician && (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Role *</label>
+                                    <select className="form-input" value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
+                                        <option value="Technician">Technician (Field Agent)</option>
+                                        <option value="Staff">Staff (Office Worker)</option>
+                                    </select>
+                                </div>
+                                {(form.role === 'Technician' || form.role === 'Staff') && (
+                                    <div className="form-group">
+                                        <label className="form-label">Department</label>
+                                        <select className="form-select" value={form.department_id} onChange={(e) => setForm({ ...form, department_id: e.target.value })}>
+                                            <option value="">Select Department</option>
+                                            {departments.map((dept) => (
+                                                <option key={dept.department_id} value={dept.department_id}>{dept.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                <div className="form-group">
+                                    <label className="form-label">Username *</label>
+                                    <input className="form-input" value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} required />
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Password *</label>
+                                    <input type="password" className="form-input" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required />
+                                </div>
+                            </>
+                        )}
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">First Name *</label>
+                                <input className="form-input" value={form.first_name} onChange={(e) => setForm({ ...form, first_name: e.target.value })} required />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Last Name *</label>
+                                <input className="form-input" value={form.last_name} onChange={(e) => setForm({ ...form, last_name: e.target.value })} required />
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Email *</label>
+                            <input type="email" className="form-input" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Phone</label>
+                            <input className="form-input" value={form.phone_number} onChange={(e) => setForm({ ...form, phone_number: e.target.value })} placeholder="+1-555-0100" />
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// Protected Route Component
+function ProtectedRoute({ children, roles }) {
+    const user = useContext(AuthContext);
+
+    if (!user) return <Navigate to="/" replace />;
+
+    if (roles && !roles.includes(user.role)) {
+        return <Navigate to="/" replace />;
+    }
+
+    return children;
+}
+
+// Main App Component
+export default function App() {
+    const [user, setUser] = useState(() => {
+        const saved = localStorage.getItem('user');
+        return saved ? JSON.parse(saved) : null;
+    });
+    const [sidebarOpen, setSidebarOpen] = useState(false);
+
+    const handleLogout = async () => {
+        try {
+            if (user) await fetchAPI('/auth/logout', { method: 'POST' });
+        } catch (err) {
+            console.error('Logout log failed:', err);
+        }
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        setUser(null);
+    };
+
+    if (!user) {
+        return <Login onLogin={setUser} />;
+    }
+
+    return (
+        <AuthContext.Provider value={user}>
+            <BrowserRouter>
+                <div className="app-container">
+                    <button className="mobile-menu-toggle" onClick={() => setSidebarOpen(!sidebarOpen)}>
+                        <Menu size={24} />
+                    </button>
+                    <div
+                        className={`sidebar-backdrop ${sidebarOpen ? 'active' : ''}`}
+                        onClick={() => setSidebarOpen(false)}
+                    />
+                    <Sidebar user={user} onLogout={handleLogout} isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
+                    <main className="main-content">
+                        <Routes>
+                            <Route path="/" element={<Dashboard />} />
+                            <Route path="/infrastructure" element={<Infrastructure />} />
+                            <Route path="/faults" element={<FaultReportingWrapper />} />
+                            <Route path="/metrics" element={<QualityMetrics />} />
+                            <Route path="/reports" element={<IncidentReports />} />
+                            <Route path="/maintenance" element={<MaintenanceLogs />} />
+                            <Route path="/changes" element={<ChangeRequests />} />
+                            <Route path="/inventory" element={<Inventory />} />
+                            <Route path="/map" element={<NetworkMap />} />
+                            <Route path="/topology" element={<NetworkTopology />} />
+                            <Route path="/ipam" element={<Ipam />} />
+                            <Route path="/search" element={<GlobalSearch />} />
+                            {(user?.role === 'Technician' || user?.role === 'Staff') && <Route path="/team" element={<TeamDirectory />} />}
+                            <Route path="/technicians" element={<Technicians />} />
+                            <Route path="/device-events" element={<ProtectedRoute roles={['Admin', 'Manager']}><DeviceEvents /></ProtectedRoute>} />
+                            <Route path="/webhooks" element={<ProtectedRoute roles={['Admin']}><Webhooks /></ProtectedRoute>} />
+                            <Route path="/audit" element={<ProtectedRoute roles={['Admin']}><AuditLogs /></ProtectedRoute>} />
+                            <Route path="*" element={<Navigate to="/" replace />} />
+                        </Routes>
+                    </main>
+                </div>
+            </BrowserRouter>
+        </AuthContext.Provider>
+    );
+}
+
+function MaintenanceLogs() {
+    const { role, user_id } = useContext(AuthContext) || {};
+    const location = useLocation();
+    const [tab, setTab] = useState(new URLSearchParams(location.search).get('tab') || 'logs');
+    const [logs, setLogs] = useState([]);
+    const [components, setComponents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showCommentsModal, setShowCommentsModal] = useState(null);
+    const [showAddModal, setShowAddModal] = useState(false);
+    const [editLog, setEditLog] = useState(null);
+    const paging = usePaging({ sort: 'id' });
+
+    useEffect(() => {
+        loadComponents();
+    }, []);
+
+    useEffect(() => {
+        loadData();
+    }, [paging.page, paging.limit, paging.sort]);
+
+    useLiveRefresh(['maintenance'], () => loadData());
+
+    // Notification links open a specific tab, e.g. /maintenance?tab=work-orders
+    useEffect(() => {
+        const requested = new URLSearchParams(location.search).get('tab');
+        if (requested) setTab(requested);
+    }, [location.search]);
+
+    const loadData = async () => {
+        try {
+            const response = await fetchAPI(`/maintenance?${paging.apply(new URLSearchParams())}`);
+            setLogs(response.data);
+            paging.setPagination(response.pagination);
+        } catch (error) {
+            console.error('Failed to load data:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadComponents = async () => {
+        try {
+            const response = await fetchAPI('/components');
+            setComponents(response.data || []);
+        } catch (error) {
+            console.error('Failed to load components:', error);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Are you sure you want to delete this log?')) return;
+        try {
+            await fetchAPI(`/maintenance/${id}`, { method: 'DELETE' });
+            loadData();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handlePrint = () => {
+        window.print();
+    };
+
+
+    return (
+        <div>
+            <div className="page-header">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <div>
+                        <h1 className="page-title">Maintenance Logs</h1>
+                        <p className="page-subtitle">History of maintenance activities and repairs</p>
+                    </div>
+                    {tab === 'logs' && <div className="action-bar" style={{ marginTop: 0 }}>
+                        <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
+                        <ExportButton resource="maintenance" params={{ sort: paging.sort }} />
+                        {(role === 'Admin' || role === 'Manager' || role === 'Technician') && (
+                            <button className="btn btn-primary" onClick={() => { setEditLog(null); setShowAddModal(true); }}>
+                                + Add Log
+                            </button>
+                        )}
+                    </div>}
+                </div>
+            </div>
+
+            <div className="tabs">
+                <button className={`tab ${tab === 'logs' ? 'active' : ''}`} onClick={() => setTab('logs')}>Logs</button>
+                <button className={`tab ${tab === 'work-orders' ? 'active' : ''}`} onClick={() => setTab('work-orders')}>Work Orders</button>
+                <button className={`tab ${tab === 'plans' ? 'active' : ''}`} onClick={() => setTab('plans')}>Plans</button>
+                <button className={`tab ${tab === 'windows' ? 'active' : ''}`} onClick={() => setTab('windows')}>Windows</button>
+            </div>
+
+            {tab === 'work-orders' && <WorkOrders onCompleted={loadData} />}
+            {tab === 'plans' && <MaintenancePlans components={components} />}
+            {tab === 'windows' && <MaintenanceWindows components={components} />}
+
+            {tab === 'logs' && (loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <SortHeader label="ID" field="id" paging={paging} />
+                                <SortHeader label="Date" field="activity_date" paging={paging} />
+                                <SortHeader label="Component" field="component" paging={paging} />
+                                <SortHeader label="Technician" field="technician" paging={paging} />
+                                <th>Action Taken</th>
+                                <SortHeader label="Result" field="result" paging={paging} />
+                                <SortHeader label="Duration" field="duration" paging={paging} />
+                                <th>Notes</th>
+                                {['Admin', 'Manager', 'Technician'].includes(role) && <th>Actions</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {logs.map((log) => (
+                                <tr key={log.log_id}>
+                                    <td style={{ fontWeight: 500 }}>{`ML-${log.log_id.toString().padStart(3, '0')}`}</td>
+                                    <td>{log.activity_date ? new Date(log.activity_date).toLocaleString('en-US', { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '-'}</td>
+                                    <td>{log.component_name || '-'}</td>
+                                    <td>{log.technician_name || '-'}</td>
+                                    <td>{log.action_taken || '-'}</td>
+                                    <td><span className={`badge status-${(log.result || '').toLowerCase()}`}>{log.result || '-'}</span></td>
+                                    <td>{log.duration_minutes ? `${log.duration_minutes}m` : '-'}</td>
+                                    <td>
+                                        <button className="btn btn-secondary btn-sm" onClick={() => setShowCommentsModal(log)} style={{ position: 'relative' }}>
+                                            💬 {log.comment_count > 0 && <span style={{ marginLeft: '4px', fontSize: '0.8rem' }}>{log.comment_count === 1 ? '1 NOTE' : `${log.comment_count} NOTES`}</span>}
+                                            {log.comment_count === 0 && 'Add Note'}
+                                            {log.comment_count > 0 && (
+                                                <span style={{
+                                                    position: 'absolute',
+                                                    top: -6,
+                                                    right: -6,
+                                                    background: Number(log.last_comment_user_id) === Number(user_id) ? '#28A745' : '#DC3545',
+                                                    color: 'white',
+                                                    borderRadius: '50%',
+                                                    width: 18,
+                                                    height: 18,
+                                                    fontSize: '0.7rem',
+                                                    display: 'flex',
+                                                    alignItems: 'center',
+                                                    justifyContent: 'center',
+                                                    fontWeight: 'bold'
+                                                }}>
+                                                    {log.comment_count}
+                                                </span>
+                                            )}
+                                        </button>
+                                    </td>
+                                    {['Admin', 'Manager', 'Technician'].includes(role) && (
+                                        <td>
+                                            <div className="d-flex gap-1">
+                                                <button className="btn btn-secondary btn-sm" onClick={() => { setEditLog(log); setShowAddModal(true); }}>Edit</button>
+                                                {role === 'Admin' && (
+                                                    <button className="btn btn-danger btn-sm" style={{ backgroundColor: '#DC3545', color: 'white' }} onClick={() => handleDelete(log.log_id)}>Delete</button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                            {logs.length === 0 && (
+                                <tr>
+                                    <td colSpan={role === 'Admin' || role === 'Manager' ? 8 : 7} className="text-center text-muted">No maintenance logs found</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                    <Pagination paging={paging} />
+                </div>
+            ))}
+
+            {showCommentsModal && (
+                <MaintenanceCommentsModal log={showCommentsModal} onClose={() => { setShowCommentsModal(null); loadData(); }} />
+            )}
+
+            {showAddModal && (
+                <AddMaintenanceLogModal
+                    onClose={() => { setShowAddModal(false); setEditLog(null); }}
+                    onSave={() => { setShowAddModal(false); setEditLog(null); loadData(); }}
+                    initialData={editLog}
+                />
+            )}
+        </div>
+    );
+}
+
+function AddMaintenanceLogModal({ onClose, onSave, initialData }) {
+    const [form, setForm] = useState({
+        component_id: '',
+        activity_date: new Date().toISOString().slice(0, 16),
+        action_taken: '',
+        result: 'Success',
+        duration_minutes: 30,
+        component_status: '',
+        parts_used: [] // { inventory_id, quantity }
+    });
+    const [components, setComponents] = useState([]);
+    const [inventory, setInventory] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [fetchingData, setFetchingData] = useState(true);
+
+    useEffect(() => {
+        const loadData = async () => {
+            try {
+                const [compsRes, invRes] = await Promise.all([
+                    fetchAPI('/components'),
+                    fetchAPI('/inventory')
+                ]);
+                setComponents(compsRes.data || []);
+                setInventory(invRes.data || []);
+
+                if (initialData) {
+                    setForm({
+                        component_id: initialData.component_id,
+                        activity_date: new Date(initialData.activity_date).toISOString().slice(0, 16),
+                        action_taken: initialData.action_taken,
+                        result: initialData.result,
+                        duration_minutes: initialData.duration_minutes || 0,
+                        parts_used: [] // Editing parts used is complex, skipping for now
+                    });
+                }
+            } catch (error) {
+                console.error('Failed to load form data:', error);
+            } finally {
+                setFetchingData(false);
+            }
+        };
+        loadData();
+    }, [initialData]);
+
+    const handleAddPart = () => {
+        setForm({ ...form, parts_used: [...form.parts_used, { inventory_id: '', quantity: 1 }] });
+    };
+
+    const handlePartChange = (index, field, value) => {
+        const newParts = [...form.parts_used];
+        newParts[index][field] = value;
+        setForm({ ...form, parts_used: newParts });
+    };
+
+    const handleRemovePart = (index) => {
+        const newParts = [...form.parts_used];
+        newParts.splice(index, 1);
+        setForm({ ...form, parts_used: newParts });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const url = initialData ? `/maintenance/${initialData.log_id}` : '/maintenance';
+            const method = initialData ? 'PUT' : 'POST';
+
+            // Validate parts
+            const parts = form.parts_used.filter(p => p.inventory_id && p.quantity > 0);
+
+            await fetchAPI(url, {
+                method,
+                body: JSON.stringify({ ...form, parts_used: parts }),
+            });
+            onSave();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (fetchingData) return <div className="modal-overlay"><div className="spinner"></div></div>;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{initialData ? 'Edit Maintenance Log' : 'Add Maintenance Log'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label className="form-label">Component *</label>
+                            <select
+                                className="form-select"
+                                value={form.component_id}
+                                onChange={e => setForm({ ...form, component_id: e.target.value })}
+                                required
+                                disabled={!!initialData}
+                            >
+                                <option value="">-- Select Component --</option>
+                                {components.map(c => <option key={c.component_id} value={c.component_id}>{c.name} - {c.location}</option>)}
+                            </select>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Date *</label>
+                                <input type="datetime-local" className="form-input" value={form.activity_date} onChange={e => setForm({ ...form, activity_date: e.target.value })} required />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Duration (mins)</label>
+                                <input type="number" className="form-input" value={form.duration_minutes} onChange={e => setForm({ ...form, duration_minutes: e.target.value })} />
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Action Taken *</label>
+                            <textarea className="form-textarea" value={form.action_taken} onChange={e => setForm({ ...form, action_taken: e.target.value })} required rows={3} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Result</label>
+                            <select className="form-select" value={form.result} onChange={e => setForm({ ...form, result: e.target.value })}>
+                                <option value="Success">Success</option>
+                                <option value="Pending">Pending</option>
+                                <option value="Failed">Failed</option>
+                            </select>
+                        </div>
+                        {!initialData && (
+                            <div className="form-group">
+                                <label className="form-label">Set Component Status</label>
+                                <select className="form-select" value={form.component_status} onChange={e => setForm({ ...form, component_status: e.target.value })}>
+                                    <option value="">Leave unchanged</option>
+                                    <option value="Maintenance">Maintenance (work in progress)</option>
+                                    <option value="Active">Active (back in service)</option>
+                                </select>
+                            </div>
+                        )}
+
+                        {!initialData && (
+                            <div style={{ marginTop: '1rem', padding: '1rem', background: 'rgba(0,0,0,0.03)', borderRadius: '8px' }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                                    <label className="form-label" style={{ marginBottom: 0 }}>Parts/Inventory Used</label>
+                                    <button type="button" className="btn btn-sm btn-secondary" onClick={handleAddPart}>+ Add Part</button>
+                                </div>
+                                {form.parts_used.map((part, index) => (
+                                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                                        <select
+                                            className="form-select"
+                                            style={{ flex: 2 }}
+                                            value={part.inventory_id}
+                                            onChange={e => handlePartChange(index, 'inventory_id', e.target.value)}
+                                            required
+                                        >
+                                            <option value="">Select Item</option>
+                                            {inventory.map(i => <option key={i.item_id} value={i.item_id}>{i.name} (Stock: {i.quantity})</option>)}
+                                        </select>
+                                        <input
+                                            type="number"
+                                            className="form-input"
+                                            style={{ flex: 1 }}
+                                            placeholder="Qty"
+                                            value={part.quantity}
+                                            onChange={e => handlePartChange(index, 'quantity', Number(e.target.value))}
+                                            min="1"
+                                            required
+                                        />
+                                        <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRemovePart(index)}>✕</button>
                                     </div>
                                 ))}
+                                {form.parts_used.length === 0 && <small className="text-muted">No parts used</small>}
                             </div>
-                        </>
-                    )}
-                </>
-            )}
+                        )}
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Saving...' : 'Save Log'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
 
-            {showModal && (
-                <TechnicianModal
-                    technician={editingTech}
-                    onClose={() => { setShowModal(false); setEditingTech(null); }}
-                    onSave={handleSave}
-                />
+const WORK_ORDER_BADGES = {
+    'Open': 'badge-info',
+    'In Progress': 'badge-warning',
+    'Completed': 'badge-success',
+    'Skipped': 'badge-secondary'
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Work orders generated from preventive maintenance plans
+function WorkOrders({ onCompleted }) {
+    const { role } = useContext(AuthContext) || {};
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [status, setStatus] = useState('');
+    const [mineOnly, setMineOnly] = useState(role === 'Technician');
+    const [activeOrder, setActiveOrder] = useState(null);
+
+    useEffect(() => {
+        loadOrders();
+    }, [status, mineOnly]);
+
+    const loadOrders = async () => {
+        try {
+            const params = new URLSearchParams();
+            if (status) params.set('status', status);
+            if (mineOnly) params.set('mine', 'true');
+            const res = await fetchAPI(`/maintenance/work-orders?${params}`);
+            setOrders(res.data || []);
+        } catch (error) {
+            console.error('Failed to load work orders:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const updateStatus = async (order, newStatus) => {
+        if (newStatus === 'Skipped' && !window.confirm(`Skip WO-${String(order.work_order_id).padStart(3, '0')}?`)) return;
+        try {
+            await fetchAPI(`/maintenance/work-orders/${order.work_order_id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ status: newStatus })
+            });
+            loadOrders();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const canWork = ['Admin', 'Manager', 'Technician'].includes(role);
+
+    return (
+        <div>
+            <div className="d-flex gap-2 mb-3" style={{ alignItems: 'center' }}>
+                <select className="form-select" style={{ width: 'auto' }} value={status} onChange={e => setStatus(e.target.value)}>
+                    <option value="">All statuses</option>
+                    {Object.keys(WORK_ORDER_BADGES).map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <label className="d-flex gap-1" style={{ alignItems: 'center', fontSize: '0.875rem' }}>
+                    <input type="checkbox" checked={mineOnly} onChange={e => setMineOnly(e.target.checked)} />
+                    Assigned to me
+                </label>
+            </div>
+
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>ID</th>
+                                <th>Plan</th>
+                                <th>Component</th>
+                                <th>Due</th>
+                                <th>Assigned To</th>
+                                <th>Checklist</th>
+                                <th>Status</th>
+                                {canWork && <th>Actions</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {orders.map(order => {
+                                const open = order.status === 'Open' || order.status === 'In Progress';
+                                return (
+                                    <tr key={order.work_order_id}>
+                                        <td style={{ fontWeight: 500 }}>{`WO-${String(order.work_order_id).padStart(3, '0')}`}</td>
+                                        <td>{order.plan_name}</td>
+                                        <td>{order.component_name}<div className="text-muted" style={{ fontSize: '0.75rem' }}>{order.component_location}</div></td>
+                                        <td>
+                                            {order.due_date}
+                                            {order.is_overdue && <span className="badge badge-danger" style={{ marginLeft: '6px' }}>Overdue</span>}
+                                        </td>
+                                        <td>{order.technician_name || <span className="text-muted">Unassigned</span>}</td>
+                                        <td>{order.checklist.length ? `${order.checklist.filter(i => i.done).length}/${order.checklist.length}` : '-'}</td>
+                                        <td><span className={`badge ${WORK_ORDER_BADGES[order.status]}`}>{order.status}</span></td>
+                                        {canWork && (
+                                            <td>
+                                                {open && (
+                                                    <div className="d-flex gap-1">
+                                                        {order.status === 'Open' && (
+                                                            <button className="btn btn-secondary btn-sm" onClick={() => updateStatus(order, 'In Progress')}>Start</button>
+                                                        )}
+                                                        <button className="btn btn-primary btn-sm" onClick={() => setActiveOrder(order)}>Checklist</button>
+                                                        {(role === 'Admin' || role === 'Manager') && (
+                                                            <button className="btn btn-secondary btn-sm" onClick={() => updateStatus(order, 'Skipped')}>Skip</button>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </td>
+                                        )}
+                                    </tr>
+                                );
+                            })}
+                            {orders.length === 0 && (
+                                <tr>
+                                    <td colSpan={canWork ? 8 : 7} className="text-center text-muted">No work orders found</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
             )}
 
-            {showPasswordModal && (
-                <PasswordResetModal
-                    technician={showPasswordModal}
-                    onClose={() => setShowPasswordModal(null)}
+            {activeOrder && (
+                <WorkOrderModal
+                    order={activeOrder}
+                    onClose={() => setActiveOrder(null)}
+                    onSave={(completed) => {
+                        setActiveOrder(null);
+                        loadOrders();
+                        if (completed) onCompleted();
+                    }}
                 />
             )}
+        </div>
+    );
+}
 
-            {confirmDelete && (
-                <div className="modal-overlay" onClick={() => setConfirmDelete(null)}>
-                    <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 400 }}>
-                        <div className="modal-header">
-                            <h3 className="modal-title" style={{ color: '#DC3545', display: 'flex', alignItems: 'center' }}>
-                                <AlertTriangle size={24} style={{ marginRight: '8px' }} /> Confirm Deletion
-                            </h3>
-                            <button className="modal-close" onClick={() => setConfirmDelete(null)}>&times;</button>
-                        </div>
-                        <div className="modal-body">
-                            <p style={{ marginBottom: '1rem' }}>
-                                Are you sure you want to <strong>permanently delete</strong> <strong>{confirmDelete.name}</strong>?
-                            </p>
-                            <p style={{ color: '#DC3545', fontSize: '0.875rem' }}>
-                                This action cannot be undone. All their data will be permanently removed.
-                            </p>
+function WorkOrderModal({ order, onClose, onSave }) {
+    const [checklist, setChecklist] = useState(order.checklist);
+    const [notes, setNotes] = useState(order.notes || '');
+    const [result, setResult] = useState('Success');
+    const [duration, setDuration] = useState(order.estimated_minutes || '');
+    const [loading, setLoading] = useState(false);
+
+    const toggle = (index) => {
+        setChecklist(checklist.map((entry, i) => (i === index ? { ...entry, done: !entry.done } : entry)));
+    };
+
+    const save = async (complete) => {
+        const remaining = checklist.filter(i => !i.done).length;
+        if (complete && remaining > 0 && !window.confirm(`${remaining} checklist item(s) are not done. Complete anyway?`)) return;
+
+        setLoading(true);
+        try {
+            if (complete) {
+                await fetchAPI(`/maintenance/work-orders/${order.work_order_id}/complete`, {
+                    method: 'POST',
+                    body: JSON.stringify({ checklist, notes: notes || null, result, duration_minutes: duration || null })
+                });
+            } else {
+                await fetchAPI(`/maintenance/work-orders/${order.work_order_id}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ checklist, notes: notes || null })
+                });
+            }
+            onSave(complete);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{`WO-${String(order.work_order_id).padStart(3, '0')}`}: {order.plan_name}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <div className="modal-body">
+                    <p className="text-muted mb-3">{order.component_name} · due {order.due_date}</p>
+                    <div className="form-group">
+                        <label className="form-label">Checklist</label>
+                        {checklist.map((entry, index) => (
+                            <label key={index} className="d-flex gap-1" style={{ alignItems: 'center', marginBottom: '6px' }}>
+                                <input type="checkbox" checked={entry.done} onChange={() => toggle(index)} />
+                                <span style={{ textDecoration: entry.done ? 'line-through' : 'none' }}>{entry.item}</span>
+                            </label>
+                        ))}
+                        {checklist.length === 0 && <small className="text-muted">This plan has no checklist</small>}
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Notes</label>
+                        <textarea className="form-textarea" rows={3} value={notes} onChange={e => setNotes(e.target.value)} />
+                    </div>
+                    <div className="grid-2">
+                        <div className="form-group">
+                            <label className="form-label">Result</label>
+                            <select className="form-select" value={result} onChange={e => setResult(e.target.value)}>
+                                <option value="Success">Success</option>
+                                <option value="Pending">Pending</option>
+                                <option value="Failed">Failed</option>
+                            </select>
                         </div>
-                        <div className="modal-footer">
-                            <button className="btn btn-secondary" onClick={() => setConfirmDelete(null)}>Cancel</button>
-                            <button className="btn btn-danger" style={{ backgroundColor: '#DC3545', color: 'white' }} onClick={() => handleDelete(confirmDelete.id)}>Delete Permanently</button>
+                        <div className="form-group">
+                            <label className="form-label">Duration (mins)</label>
+                            <input type="number" className="form-input" min="1" value={duration} onChange={e => setDuration(e.target.value)} />
                         </div>
                     </div>
                 </div>
+                <div className="modal-footer">
+                    <button type="button" className="btn btn-secondary" onClick={() => save(false)} disabled={loading}>Save Progress</button>
+                    <button type="button" className="btn btn-primary" onClick={() => save(true)} disabled={loading}>{loading ? 'Saving...' : 'Complete'}</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Preventive maintenance plans
+function MaintenancePlans({ components }) {
+    const { role } = useContext(AuthContext) || {};
+    const [plans, setPlans] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editPlan, setEditPlan] = useState(null);
+    const [showModal, setShowModal] = useState(false);
+    const canManage = role === 'Admin' || role === 'Manager';
+
+    useEffect(() => {
+        loadPlans();
+    }, []);
+
+    const loadPlans = async () => {
+        try {
+            const res = await fetchAPI('/maintenance/plans');
+            setPlans(res.data || []);
+        } catch (error) {
+            console.error('Failed to load maintenance plans:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDelete = async (plan) => {
+        if (!window.confirm(`Delete plan "${plan.name}"? Its open work orders will be removed.`)) return;
+        try {
+            await fetchAPI(`/maintenance/plans/${plan.plan_id}`, { method: 'DELETE' });
+            loadPlans();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const runScheduler = async () => {
+        try {
+            const res = await fetchAPI('/maintenance/scheduler/run', { method: 'POST' });
+            alert(res.message);
+            loadPlans();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div>
+            {canManage && (
+                <div className="d-flex gap-2 mb-3" style={{ justifyContent: 'flex-end' }}>
+                    <button className="btn btn-secondary" onClick={runScheduler}>Generate Due Work Orders</button>
+                    <button className="btn btn-primary" onClick={() => { setEditPlan(null); setShowModal(true); }}>+ New Plan</button>
+                </div>
             )}
 
-            {statusChangeUser && (
-                <div className="modal-overlay" onClick={() => setStatusChangeUser(null)}>
-                    <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 400 }}>
-                        <div className="modal-header">
-                            <h3 className="modal-title">
-                                {statusChangeTarget === 'Active' ? 'Reactivate User' : 'Deactivate User'}
-                            </h3>
-                            <button className="modal-close" onClick={() => setStatusChangeUser(null)}>&times;</button>
-                        </div>
-                        <div className="modal-body">
-                            <p style={{ marginBottom: '1rem' }}>
-                                Please provide a reason for {statusChangeTarget === 'Active' ? 'reactivating' : 'deactivating'} <strong>{statusChangeUser.name}</strong>.
-                            </p>
-                            <div className="form-group">
-                                <label className="form-label">Reason</label>
-                                <textarea
-                                    className="form-input"
-                                    rows="3"
-                                    value={statusChangeReason}
-                                    onChange={(e) => setStatusChangeReason(e.target.value)}
-                                    placeholder={statusChangeTarget === 'Active' ? "e.g., Returned from leave" : "e.g., Resigned, On leave"}
-                                ></textarea>
-                            </div>
-                        </div>
-                        <div className="modal-footer">
-                            <button className="btn btn-secondary" onClick={() => setStatusChangeUser(null)}>Cancel</button>
-                            <button
-                                className={`btn ${statusChangeTarget === 'Active' ? 'btn-primary' : 'btn-danger'}`}
-                                onClick={handleConfirmStatusChange}
-                            >
-                                {statusChangeTarget === 'Active' ? 'Reactivate' : 'Deactivate'}
-                            </button>
-                        </div>
-                    </div>
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Plan</th>
+                                <th>Applies To</th>
+                                <th>Schedule</th>
+                                <th>Next Due</th>
+                                <th>Technician</th>
+                                <th>Open Orders</th>
+                                <th>Status</th>
+                                {canManage && <th>Actions</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {plans.map(plan => (
+                                <tr key={plan.plan_id}>
+                                    <td style={{ fontWeight: 500 }}>
+                                        {plan.name}
+                                        {plan.checklist.length > 0 && <div className="text-muted" style={{ fontSize: '0.75rem' }}>{plan.checklist.length} checklist item(s)</div>}
+                                    </td>
+                                    <td>{plan.component_name || `All ${plan.component_type} components`}</td>
+                                    <td>{plan.recurrence_description}{plan.lead_days > 0 && <div className="text-muted" style={{ fontSize: '0.75rem' }}>{plan.lead_days} day(s) lead time</div>}</td>
+                                    <td>{plan.next_due_date}</td>
+                                    <td>{plan.technician_name || <span className="text-muted">Auto-assign</span>}</td>
+                                    <td>{plan.open_work_orders}</td>
+                                    <td><span className={`badge ${plan.is_active ? 'badge-success' : 'badge-secondary'}`}>{plan.is_active ? 'Active' : 'Paused'}</span></td>
+                                    {canManage && (
+                                        <td>
+                                            <div className="d-flex gap-1">
+                                                <button className="btn btn-secondary btn-sm" onClick={() => { setEditPlan(plan); setShowModal(true); }}>Edit</button>
+                                                <button className="btn btn-danger btn-sm" onClick={() => handleDelete(plan)}>Delete</button>
+                                            </div>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                            {plans.length === 0 && (
+                                <tr>
+                                    <td colSpan={canManage ? 8 : 7} className="text-center text-muted">No maintenance plans yet</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
                 </div>
             )}
+
+            {showModal && (
+                <MaintenancePlanModal
+                    plan={editPlan}
+                    components={components}
+                    onClose={() => { setShowModal(false); setEditPlan(null); }}
+                    onSave={() => { setShowModal(false); setEditPlan(null); loadPlans(); }}
+                />
+            )}
         </div>
     );
 }
 
-function PasswordResetModal({ technician: technicianId, onClose }) {
-    const [password, setPassword] = useState('');
-    const [technician, setTechnician] = useState(null);
-    const [loading, setLoading] = useState(true);
+function MaintenancePlanModal({ plan, components, onClose, onSave }) {
+    const [form, setForm] = useState({
+        name: plan?.name || '',
+        description: plan?.description || '',
+        target: plan?.component_type ? 'type' : 'component',
+        component_id: plan?.component_id || '',
+        component_type: plan?.component_type || 'Router',
+        recurrence_type: plan?.recurrence_type || 'monthly_weekday',
+        recurrence_interval: plan?.recurrence_interval || 1,
+        weekday: plan?.weekday ?? 1,
+        week_of_month: plan?.week_of_month ?? 1,
+        day_of_month: plan?.day_of_month ?? 1,
+        start_date: plan?.start_date || new Date().toISOString().slice(0, 10),
+        lead_days: plan?.lead_days ?? 0,
+        estimated_minutes: plan?.estimated_minutes || '',
+        assigned_technician_id: plan?.assigned_technician_id || '',
+        checklist: plan?.checklist?.length ? plan.checklist : [''],
+        is_active: plan ? Boolean(plan.is_active) : true
+    });
+    const [technicians, setTechnicians] = useState([]);
+    const [loading, setLoading] = useState(false);
 
     useEffect(() => {
-        const loadTechnician = async () => {
-            try {
-                const response = await fetchAPI('/technicians');
-                const tech = response.data.find(t => t.id === technicianId);
-                setTechnician(tech);
-            } catch (error) {
-                console.error('Failed to load technician:', error);
-            } finally {
-                setLoading(false);
-            }
-        };
-        loadTechnician();
-    }, [technicianId]);
+        fetchAPI('/users?role=Technician')
+            .then(res => setTechnicians(res.data || []))
+            .catch(error => console.error('Failed to load technicians:', error));
+    }, []);
+
+    const set = (field, value) => setForm({ ...form, [field]: value });
+
+    const setItem = (index, value) => set('checklist', form.checklist.map((item, i) => (i === index ? value : item)));
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!confirm(`Are you sure you want to reset the password for ${technician.name}?`)) return;
-
+        setLoading(true);
         try {
-            await fetchAPI(`/technicians/${technician.id}/password`, {
-                method: 'PUT',
-                body: JSON.stringify({ password }),
+            const { target, ...body } = form;
+            const payload = {
+                ...body,
+                component_id: target === 'component' ? body.component_id : null,
+                component_type: target === 'type' ? body.component_type : null,
+                recurrence_interval: Number(body.recurrence_interval),
+                weekday: Number(body.weekday),
+                week_of_month: Number(body.week_of_month),
+                day_of_month: Number(body.day_of_month),
+                lead_days: Number(body.lead_days),
+                estimated_minutes: body.estimated_minutes ? Number(body.estimated_minutes) : null,
+                assigned_technician_id: body.assigned_technician_id || null,
+                checklist: body.checklist.map(item => item.trim()).filter(Boolean)
+            };
+            await fetchAPI(plan ? `/maintenance/plans/${plan.plan_id}` : '/maintenance/plans', {
+                method: plan ? 'PUT' : 'POST',
+                body: JSON.stringify(payload)
             });
-            alert('Password updated successfully');
-            onClose();
+            onSave();
         } catch (error) {
             alert(error.message);
+        } finally {
+            setLoading(false);
         }
     };
 
-    if (loading) {
-        return (
-            <div className="modal-overlay" onClick={onClose}>
-                <div className="modal" onClick={(e) => e.stopPropagation()}>
-                    <div className="spinner"></div>
-                </div>
-            </div>
-        );
-    }
-
-    if (!technician) {
-        return (
-            <div className="modal-overlay" onClick={onClose}>
-                <div className="modal" onClick={(e) => e.stopPropagation()}>
-                    <div className="modal-header">
-                        <h3 className="modal-title">Error</h3>
-                        <button className="modal-close" onClick={onClose}>&times;</button>
-                    </div>
-                    <div className="modal-body">
-                        <p>Technician not found.</p>
-                    </div>
-                </div>
-            </div>
-        );
-    }
+    const unit = { days: 'day(s)', weekly: 'week(s)' }[form.recurrence_type] || 'month(s)';
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">Reset Password</h3>
+                    <h3 className="modal-title">{plan ? 'Edit Maintenance Plan' : 'New Maintenance Plan'}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
-                        <p style={{ marginBottom: '1rem' }}>Resetting password for <strong>{technician.name}</strong></p>
                         <div className="form-group">
-                            <label className="form-label">New Password *</label>
-                            <input
-                                type="password"
-                                className="form-input"
-                                value={password}
-                                onChange={(e) => setPassword(e.target.value)}
-                                placeholder="Enter new password"
-                                required
-                                minLength={6}
-                            />
+                            <label className="form-label">Name *</label>
+                            <input className="form-input" value={form.name} onChange={e => set('name', e.target.value)} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Description</label>
+                            <textarea className="form-textarea" rows={2} value={form.description} onChange={e => set('description', e.target.value)} />
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Applies To</label>
+                                <select className="form-select" value={form.target} onChange={e => set('target', e.target.value)}>
+                                    <option value="component">One component</option>
+                                    <option value="type">Every component of a type</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                {form.target === 'component' ? (
+                                    <>
+                                        <label className="form-label">Component *</label>
+                                        <select className="form-select" value={form.component_id} onChange={e => set('component_id', e.target.value)} required>
+                                            <option value="">-- Select Component --</option>
+                                            {components.map(c => <option key={c.component_id} value={c.component_id}>{c.name} - {c.location}</option>)}
+                                        </select>
+                                    </>
+                                ) : (
+                                    <>
+                                        <label className="form-label">Component Type *</label>
+                                        <select className="form-select" value={form.component_type} onChange={e => set('component_type', e.target.value)}>
+                                            {['Router', 'Switch', 'Cable', 'Server', 'Antenna', 'Firewall', 'Access Point'].map(t => <option key={t} value={t}>{t}</option>)}
+                                        </select>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Repeats</label>
+                                <select className="form-select" value={form.recurrence_type} onChange={e => set('recurrence_type', e.target.value)}>
+                                    <option value="days">Every N days</option>
+                                    <option value="weekly">Weekly on a weekday</option>
+                                    <option value="monthly_day">Monthly on a day of the month</option>
+                                    <option value="monthly_weekday">Monthly on a weekday (e.g. first Monday)</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Every ({unit})</label>
+                                <input type="number" className="form-input" min="1" value={form.recurrence_interval} onChange={e => set('recurrence_interval', e.target.value)} required />
+                            </div>
+                        </div>
+                        {form.recurrence_type !== 'days' && (
+                            <div className="grid-2">
+                                {form.recurrence_type === 'monthly_day' ? (
+                                    <div className="form-group">
+                                        <label className="form-label">Day of Month</label>
+                                        <input type="number" className="form-input" min="1" max="31" value={form.day_of_month} onChange={e => set('day_of_month', e.target.value)} />
+                                    </div>
+                                ) : (
+                                    <div className="form-group">
+                                        <label className="form-label">Weekday</label>
+                                        <select className="form-select" value={form.weekday} onChange={e => set('weekday', e.target.value)}>
+                                            {WEEKDAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+                                        </select>
+                                    </div>
+                                )}
+                                {form.recurrence_type === 'monthly_weekday' && (
+                                    <div className="form-group">
+                                        <label className="form-label">Week</label>
+                                        <select className="form-select" value={form.week_of_month} onChange={e => set('week_of_month', e.target.value)}>
+                                            {['First', 'Second', 'Third', 'Fourth', 'Last'].map((label, i) => <option key={label} value={i + 1}>{label}</option>)}
+                                        </select>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Starting From</label>
+                                <input type="date" className="form-input" value={form.start_date} onChange={e => set('start_date', e.target.value)} />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Create Work Orders (days ahead)</label>
+                                <input type="number" className="form-input" min="0" value={form.lead_days} onChange={e => set('lead_days', e.target.value)} />
+                            </div>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Technician</label>
+                                <select className="form-select" value={form.assigned_technician_id} onChange={e => set('assigned_technician_id', e.target.value)}>
+                                    <option value="">Auto-assign (least busy)</option>
+                                    {technicians.map(t => <option key={t.user_id} value={t.user_id}>{t.first_name} {t.last_name}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Estimated Duration (mins)</label>
+                                <input type="number" className="form-input" min="1" value={form.estimated_minutes} onChange={e => set('estimated_minutes', e.target.value)} />
+                            </div>
+                        </div>
+
+                        <div style={{ marginTop: '1rem', padding: '1rem', background: 'rgba(0,0,0,0.03)', borderRadius: '8px' }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                                <label className="form-label" style={{ marginBottom: 0 }}>Checklist</label>
+                                <button type="button" className="btn btn-sm btn-secondary" onClick={() => set('checklist', [...form.checklist, ''])}>+ Add Item</button>
+                            </div>
+                            {form.checklist.map((item, index) => (
+                                <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                                    <input className="form-input" placeholder="e.g. Clean air filters" value={item} onChange={e => setItem(index, e.target.value)} />
+                                    <button type="button" className="btn btn-danger btn-sm" onClick={() => set('checklist', form.checklist.filter((_, i) => i !== index))}>✕</button>
+                                </div>
+                            ))}
                         </div>
+
+                        {plan && (
+                            <label className="d-flex gap-1 mt-3" style={{ alignItems: 'center' }}>
+                                <input type="checkbox" checked={form.is_active} onChange={e => set('is_active', e.target.checked)} />
+                                Plan is active
+                            </label>
+                        )}
                     </div>
                     <div className="modal-footer">
-                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-                        <button type="submit" className="btn btn-danger">Reset Password</button>
+                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Saving...' : 'Save Plan'}</button>
                     </div>
                 </form>
             </div>
@@ -3033,89 +6508,262 @@ function PasswordResetModal({ technician: technicianId, onClose }) {
     );
 }
 
-function TechnicianModal({ technician, onClose, onSave }) {
-    const [departments, setDepartments] = useState([]);
+const WINDOW_BADGES = {
+    'Pending': 'badge-warning',
+    'Approved': 'badge-info',
+    'Active': 'badge-primary',
+    'Completed': 'badge-success',
+    'Rejected': 'badge-danger',
+    'Cancelled': 'badge-secondary'
+};
+
+// Scheduled maintenance windows and change freezes
+function MaintenanceWindows({ components }) {
+    const { role, user_id } = useContext(AuthContext) || {};
+    const [windows, setWindows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editWindow, setEditWindow] = useState(null);
+    const [showModal, setShowModal] = useState(false);
+    const isReviewer = role === 'Admin' || role === 'Manager';
+
+    useEffect(() => {
+        loadWindows();
+    }, []);
+
+    const loadWindows = async () => {
+        try {
+            const res = await fetchAPI('/maintenance-windows');
+            setWindows(res.data || []);
+        } catch (error) {
+            console.error('Failed to load maintenance windows:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const act = async (item, action) => {
+        let body = {};
+        if (action === 'reject') {
+            body = { note: window.prompt('Reason for rejecting (optional):') || null };
+        } else if (action === 'cancel' && !window.confirm(`${item.status === 'Active' ? 'End' : 'Cancel'} "${item.title}"?`)) {
+            return;
+        }
+        try {
+            const res = await fetchAPI(`/maintenance-windows/${item.window_id}/${action}`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+            if (action === 'cancel') alert(res.message);
+            loadWindows();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const formatTime = (value) => new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+    return (
+        <div>
+            {['Admin', 'Manager', 'Technician'].includes(role) && (
+                <div className="d-flex gap-2 mb-3" style={{ justifyContent: 'flex-end' }}>
+                    <button className="btn btn-primary" onClick={() => { setEditWindow(null); setShowModal(true); }}>+ Schedule Window</button>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Window</th>
+                                <th>Type</th>
+                                <th>Covers</th>
+                                <th>When</th>
+                                <th>Requested By</th>
+                                <th>Approved By</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {windows.map(w => {
+                                const mine = Number(w.requested_by) === Number(user_id);
+                                return (
+                                    <tr key={w.window_id}>
+                                        <td style={{ fontWeight: 500 }}>
+                                            {w.title}
+                                            {w.description && <div className="text-muted" style={{ fontSize: '0.75rem' }}>{w.description}</div>}
+                                        </td>
+                                        <td>{w.window_type}</td>
+                                        <td>{w.component_name || `${w.department_name} (department)`}</td>
+                                        <td>{formatTime(w.start_time)} – {formatTime(w.end_time)}</td>
+                                        <td>{w.requested_by_name || '-'}</td>
+                                        <td>
+                                            {w.approved_by_name || '-'}
+                                            {w.review_note && <div className="text-muted" style={{ fontSize: '0.75rem' }}>{w.review_note}</div>}
+                                        </td>
+                                        <td><span className={`badge ${WINDOW_BADGES[w.status]}`}>{w.status}</span></td>
+                                        <td>
+                                            <div className="d-flex gap-1">
+                                                {isReviewer && w.status === 'Pending' && (
+                                                    <>
+                                                        <button className="btn btn-primary btn-sm" onClick={() => act(w, 'approve')}>Approve</button>
+                                                        <button className="btn btn-secondary btn-sm" onClick={() => act(w, 'reject')}>Reject</button>
+                                                    </>
+                                                )}
+                                                {(isReviewer || mine) && ['Pending', 'Approved'].includes(w.status) && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => { setEditWindow(w); setShowModal(true); }}>Edit</button>
+                                                )}
+                                                {(isReviewer || mine) && ['Pending', 'Approved', 'Active'].includes(w.status) && (
+                                                    <button className="btn btn-danger btn-sm" onClick={() => act(w, 'cancel')}>{w.status === 'Active' ? 'End Now' : 'Cancel'}</button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                            {windows.length === 0 && (
+                                <tr>
+                                    <td colSpan="8" className="text-center text-muted">No maintenance windows scheduled</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <MaintenanceWindowModal
+                    existing={editWindow}
+                    components={components}
+                    onClose={() => { setShowModal(false); setEditWindow(null); }}
+                    onSave={() => { setShowModal(false); setEditWindow(null); loadWindows(); }}
+                />
+            )}
+        </div>
+    );
+}
+
+function MaintenanceWindowModal({ existing, components, onClose, onSave }) {
+    // datetime-local wants local 'YYYY-MM-DDTHH:mm'
+    const toLocalInput = (value) => {
+        const date = new Date(value);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+
     const [form, setForm] = useState({
-        username: '',
-        password: '',
-        role: 'Technician',
-        first_name: technician?.name?.split(' ')[0] || '',
-        last_name: technician?.name?.split(' ')[1] || '',
-        email: technician?.email || '',
-        phone_number: technician?.phone || '',
-        department_id: technician?.department_id || '',
+        title: existing?.title || '',
+        description: existing?.description || '',
+        window_type: existing?.window_type || 'Maintenance',
+        scope: existing?.department_id ? 'department' : 'component',
+        component_id: existing?.component_id || '',
+        department_id: existing?.department_id || '',
+        start_time: existing ? toLocalInput(existing.start_time) : '',
+        end_time: existing ? toLocalInput(existing.end_time) : ''
     });
+    const [departments, setDepartments] = useState([]);
+    const [loading, setLoading] = useState(false);
 
     useEffect(() => {
-        fetchAPI('/departments').then(res => setDepartments(res.data));
+        fetchAPI('/departments')
+            .then(res => setDepartments(res.data || []))
+            .catch(error => console.error('Failed to load departments:', error));
     }, []);
 
-    const handleSubmit = (e) => {
+    const set = (field, value) => setForm({ ...form, [field]: value });
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        onSave(form);
+        setLoading(true);
+        try {
+            const { scope, ...body } = form;
+            await fetchAPI(existing ? `/maintenance-windows/${existing.window_id}` : '/maintenance-windows', {
+                method: existing ? 'PUT' : 'POST',
+                body: JSON.stringify({
+                    ...body,
+                    component_id: scope === 'component' ? body.component_id : null,
+                    department_id: scope === 'department' ? body.department_id : null
+                })
+            });
+            onSave();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setLoading(false);
+        }
     };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">{technician ? 'Edit Team Member' : 'Add Team Member'}</h3>
+                    <h3 className="modal-title">{existing ? 'Edit Maintenance Window' : 'Schedule Maintenance Window'}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
-                        {!technician && (
-                            <>
-                                <div className="form-group">
-                                    <label className="form-label">Role *</label>
-                                    <select className="form-input" value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
-                                        <option value="Technician">Technician (Field Agent)</option>
-                                        <option value="Staff">Staff (Office Worker)</option>
-                                    </select>
-                                </div>
-                                {(form.role === 'Technician' || form.role === 'Staff') && (
-                                    <div className="form-group">
-                                        <label className="form-label">Department</label>
-                                        <select className="form-select" value={form.department_id} onChange={(e) => setForm({ ...form, department_id: e.target.value })}>
-                                            <option value="">Select Department</option>
-                                            {departments.map((dept) => (
-                                                <option key={dept.department_id} value={dept.department_id}>{dept.name}</option>
-                                            ))}
+                        <div className="form-group">
+                            <label className="form-label">Title *</label>
+                            <input className="form-input" placeholder="e.g. Data Center A switch replacement" value={form.title} onChange={e => set('title', e.target.value)} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Description</label>
+                            <textarea className="form-textarea" rows={2} value={form.description} onChange={e => set('description', e.target.value)} />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Type</label>
+                            <select className="form-select" value={form.window_type} onChange={e => set('window_type', e.target.value)}>
+                                <option value="Maintenance">Maintenance (components go offline, alerts suppressed)</option>
+                                <option value="Change Freeze">Change Freeze (no edits to components)</option>
+                            </select>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Covers</label>
+                                <select className="form-select" value={form.scope} onChange={e => set('scope', e.target.value)}>
+                                    <option value="component">One component</option>
+                                    <option value="department">A whole department</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                {form.scope === 'component' ? (
+                                    <>
+                                        <label className="form-label">Component *</label>
+                                        <select className="form-select" value={form.component_id} onChange={e => set('component_id', e.target.value)} required>
+                                            <option value="">-- Select Component --</option>
+                                            {components.map(c => <option key={c.component_id} value={c.component_id}>{c.name} - {c.location}</option>)}
                                         </select>
-                                    </div>
+                                    </>
+                                ) : (
+                                    <>
+                                        <label className="form-label">Department *</label>
+                                        <select className="form-select" value={form.department_id} onChange={e => set('department_id', e.target.value)} required>
+                                            <option value="">-- Select Department --</option>
+                                            {departments.map(d => <option key={d.department_id} value={d.department_id}>{d.name}</option>)}
+                                        </select>
+                                    </>
                                 )}
-                                <div className="form-group">
-                                    <label className="form-label">Username *</label>
-                                    <input className="form-input" value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} required />
-                                </div>
-                                <div className="form-group">
-                                    <label className="form-label">Password *</label>
-                                    <input type="password" className="form-input" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required />
-                                </div>
-                            </>
-                        )}
+                            </div>
+                        </div>
                         <div className="grid-2">
                             <div className="form-group">
-                                <label className="form-label">First Name *</label>
-                                <input className="form-input" value={form.first_name} onChange={(e) => setForm({ ...form, first_name: e.target.value })} required />
+                                <label className="form-label">Starts *</label>
+                                <input type="datetime-local" className="form-input" value={form.start_time} onChange={e => set('start_time', e.target.value)} required />
                             </div>
                             <div className="form-group">
-                                <label className="form-label">Last Name *</label>
-                                <input className="form-input" value={form.last_name} onChange={(e) => setForm({ ...form, last_name: e.target.value })} required />
+                                <label className="form-label">Ends *</label>
+                                <input type="datetime-local" className="form-input" value={form.end_time} onChange={e => set('end_time', e.target.value)} required />
                             </div>
                         </div>
-                        <div className="form-group">
-                            <label className="form-label">Email *</label>
-                            <input type="email" className="form-input" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} required />
-                        </div>
-                        <div className="form-group">
-                            <label className="form-label">Phone</label>
-                            <input className="form-input" value={form.phone_number} onChange={(e) => setForm({ ...form, phone_number: e.target.value })} placeholder="+1-555-0100" />
-                        </div>
+                        {existing?.status === 'Approved' && (
+                            <small className="text-muted">Saving changes sends this window back for approval.</small>
+                        )}
                     </div>
                     <div className="modal-footer">
-                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-                        <button type="submit" className="btn btn-primary">Save</button>
+                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Saving...' : existing ? 'Save Window' : 'Request Window'}</button>
                     </div>
                 </form>
             </div>
@@ -3123,418 +6771,576 @@ function TechnicianModal({ technician, onClose, onSave }) {
     );
 }
 
-// Protected Route Component
-function ProtectedRoute({ children, roles }) {
-    const user = useContext(AuthContext);
+// Maintenance Comments Modal
+function MaintenanceCommentsModal({ log, onClose }) {
+    const { user_id, role } = useContext(AuthContext) || {};
+    // Maintenance files are for Admins, Managers and Technicians
+    const canAttach = role !== 'Staff';
+    const [comments, setComments] = useState([]);
+    const [newComment, setNewComment] = useState('');
+    const [files, setFiles] = useState([]);
+    const [logAttachments, setLogAttachments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
 
-    if (!user) return <Navigate to="/" replace />;
+    useEffect(() => {
+        loadComments();
+    }, []);
 
-    if (roles && !roles.includes(user.role)) {
-        return <Navigate to="/" replace />;
-    }
+    // Comments from other users appear as they are posted
+    useLiveEvents(['comment', 'reconnected'], (type, data) => {
+        if (type === 'reconnected' || (data.entity === 'maintenance' && data.log_id === log.log_id && !data.comment)) {
+            loadComments();
+        } else if (data.entity === 'maintenance' && data.log_id === log.log_id) {
+            setComments(prev => prev.some(c => c.comment_id === data.comment.comment_id) ? prev : [...prev, data.comment]);
+        }
+    });
 
-    return children;
-}
+    const loadComments = async () => {
+        try {
+            const [response, attachments] = await Promise.all([
+                fetchAPI(`/maintenance/${log.log_id}/comments`),
+                canAttach ? fetchAPI(`/maintenance/${log.log_id}/attachments`) : { data: [] }
+            ]);
+            setComments(response.data);
+            // Files on notes are shown with their note
+            setLogAttachments(attachments.data.filter(a => !a.maintenance_comment_id));
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
 
-// Main App Component
-export default function App() {
-    const [user, setUser] = useState(() => {
-        const saved = localStorage.getItem('user');
-        return saved ? JSON.parse(saved) : null;
-    });
-    const [sidebarOpen, setSidebarOpen] = useState(false);
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!newComment.trim() && files.length === 0) return;
 
-    const handleLogout = async () => {
+        setSubmitting(true);
         try {
-            if (user) await fetchAPI('/auth/logout', { method: 'POST' });
-        } catch (err) {
-            console.error('Logout log failed:', err);
+            await fetchAPI(`/maintenance/${log.log_id}/comments`, {
+                method: 'POST',
+                body: files.length ? attachmentForm({ comment: newComment }, files) : JSON.stringify({ comment: newComment }),
+            });
+            setNewComment('');
+            setFiles([]);
+            loadComments();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setSubmitting(false);
         }
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        setUser(null);
     };
 
-    if (!user) {
-        return <Login onLogin={setUser} />;
-    }
+    const formatDate = (dateStr) => {
+        const date = new Date(dateStr);
+        return date.toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const getRoleBadgeColor = (role) => {
+        switch (role) {
+            case 'Admin': return 'var(--primary)'; // Green
+            case 'Manager': return '#2B6CB0'; // Blue
+            case 'Technician': return '#DDA15E'; // Orange/Tan
+            case 'Staff': return '#718096'; // Grey
+            default: return '#DDA15E';
+        }
+    };
 
     return (
-        <AuthContext.Provider value={user}>
-            <BrowserRouter>
-                <div className="app-container">
-                    <button className="mobile-menu-toggle" onClick={() => setSidebarOpen(!sidebarOpen)}>
-                        <Menu size={24} />
-                    </button>
-                    <div
-                        className={`sidebar-backdrop ${sidebarOpen ? 'active' : ''}`}
-                        onClick={() => setSidebarOpen(false)}
-                    />
-                    <Sidebar user={user} onLogout={handleLogout} isOpen={sidebarOpen} onClose={() => setSidebarOpen(false)} />
-                    <main className="main-content">
-                        <Routes>
-                            <Route path="/" element={<Dashboard />} />
-                            <Route path="/infrastructure" element={<Infrastructure />} />
-                            <Route path="/faults" element={<FaultReportingWrapper />} />
-                            <Route path="/metrics" element={<QualityMetrics />} />
-                            <Route path="/reports" element={<IncidentReports />} />
-                            <Route path="/maintenance" element={<MaintenanceLogs />} />
-                            <Route path="/inventory" element={<Inventory />} />
-                            <Route path="/map" element={<NetworkMap />} />
-                            {(user?.role === 'Technician' || user?.role === 'Staff') && <Route path="/team" element={<TeamDirectory />} />}
-                            <Route path="/technicians" element={<Technicians />} />
-                            <Route path="/audit" element={<ProtectedRoute roles={['Admin']}><AuditLogs /></ProtectedRoute>} />
-                            <Route path="*" element={<Navigate to="/" replace />} />
-                        </Routes>
-                    </main>
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 600, maxHeight: '80vh', display: 'flex', flexDirection: 'column' }}>
+                <div className="modal-header">
+                    <h3 className="modal-title">📝 Notes - {log.component_name}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
-            </BrowserRouter>
-        </AuthContext.Provider>
+                <div style={{ padding: '0.5rem 1rem', borderBottom: '1px solid var(--border)', background: 'rgba(96, 108, 56, 0.1)' }}>
+                    <small className="text-muted">Action: {log.action_taken}</small>
+                    <AttachmentList attachments={logAttachments} onDeleted={loadComments} />
+                </div>
+                <div className="modal-body" style={{ flex: 1, overflowY: 'auto', maxHeight: 350 }}>
+                    {loading ? (
+                        <div className="text-center text-muted">Loading notes...</div>
+                    ) : comments.length === 0 ? (
+                        <div className="text-center text-muted" style={{ padding: '2rem' }}>
+                            No notes yet. Add notes about supplies needed, issues found, etc.
+                        </div>
+                    ) : (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                            {comments.map((c) => {
+                                const isMyMessage = Number(c.user_id) === Number(user_id);
+                                return (
+                                    <div key={c.comment_id} style={{
+                                        background: isMyMessage ? 'rgba(96, 108, 56, 0.15)' : 'rgba(221, 161, 94, 0.15)',
+                                        borderRadius: 8,
+                                        padding: '0.75rem 1rem',
+                                        borderLeft: `4px solid ${isMyMessage ? 'var(--primary)' : '#DDA15E'}`,
+                                        marginLeft: isMyMessage ? '1.5rem' : 0,
+                                        marginRight: isMyMessage ? 0 : '1.5rem'
+                                    }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
+                                            <strong style={{ fontSize: '0.9rem' }}>
+                                                {isMyMessage ? 'You' : c.user_name}
+                                                <span className="badge" style={{
+                                                    marginLeft: 8,
+                                                    fontSize: '0.7rem',
+                                                    background: getRoleBadgeColor(c.user_role),
+                                                    color: 'white'
+                                                }}>
+                                                    {c.user_role}
+                                                </span>
+                                            </strong>
+                                            <span className="text-muted" style={{ fontSize: '0.75rem' }}>{formatDate(c.created_at)}</span>
+                                        </div>
+                                        {c.comment && <p style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{c.comment}</p>}
+                                        <AttachmentList attachments={c.attachments} onDeleted={loadComments} />
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div style={{ borderTop: '1px solid var(--border)', padding: '1rem', display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                        <input
+                            type="text"
+                            className="form-input"
+                            placeholder="Add a note (supplies needed, issues, etc.)"
+                            value={newComment}
+                            onChange={(e) => setNewComment(e.target.value)}
+                            style={{ flex: 1 }}
+                            disabled={submitting}
+                        />
+                        <button type="submit" className="btn btn-primary" disabled={submitting || (!newComment.trim() && files.length === 0)}>
+                            {submitting ? 'Sending...' : 'Send'}
+                        </button>
+                        {canAttach && <AttachmentPicker files={files} onChange={setFiles} disabled={submitting} />}
+                    </div>
+                </form>
+            </div>
+        </div>
     );
 }
 
-function MaintenanceLogs() {
-    const { role, user_id } = useContext(AuthContext) || {};
-    const [logs, setLogs] = useState([]);
-    const [components, setComponents] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [showCommentsModal, setShowCommentsModal] = useState(null);
-    const [showAddModal, setShowAddModal] = useState(false);
-    const [editLog, setEditLog] = useState(null);
+const SYSLOG_SEVERITY_NAMES = ['Emergency', 'Alert', 'Critical', 'Error', 'Warning', 'Notice', 'Informational', 'Debug'];
+const EVENT_OUTCOME_BADGES = {
+    created: 'badge-danger', updated: 'badge-warning', deduplicated: 'badge-secondary',
+    suppressed: 'badge-info', ignored: 'badge-secondary', unmatched: 'badge-secondary'
+};
+const EVENT_SOURCE_LABELS = { any: 'Any', syslog: 'Syslog', snmp: 'SNMP trap' };
+
+// Device Events Component: syslog/SNMP trap rules and the inbound event log
+function DeviceEvents() {
+    const { role } = useContext(AuthContext) || {};
+    const isAdmin = role === 'Admin';
+    const [status, setStatus] = useState(null);
+    const [rules, setRules] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [outcome, setOutcome] = useState('');
+    const [editRule, setEditRule] = useState(null);
+    const [showModal, setShowModal] = useState(false);
+    const [showTest, setShowTest] = useState(false);
 
     useEffect(() => {
-        loadData();
+        loadRules();
+        fetchAPI('/ingest/status')
+            .then(res => setStatus(res.data))
+            .catch(error => console.error('Failed to load listener status:', error));
     }, []);
 
-    const loadData = async () => {
+    useEffect(() => {
+        loadEvents();
+    }, [outcome]);
+
+    useLiveRefresh(['fault'], () => loadEvents(), 2000);
+
+    const loadRules = async () => {
         try {
-            const [logsRes, compsRes] = await Promise.all([
-                fetchAPI('/maintenance'),
-                fetchAPI('/components')
-            ]);
-            setLogs(logsRes.data);
-            setComponents(compsRes.data || []);
+            const res = await fetchAPI('/ingest/rules');
+            setRules(res.data || []);
         } catch (error) {
-            console.error('Failed to load data:', error);
-        } finally {
-            setLoading(false);
+            console.error('Failed to load event rules:', error);
         }
     };
 
-    const handleDelete = async (id) => {
-        if (!window.confirm('Are you sure you want to delete this log?')) return;
+    const loadEvents = async () => {
         try {
-            await fetchAPI(`/maintenance/${id}`, { method: 'DELETE' });
-            loadLogs();
+            const res = await fetchAPI(`/ingest/events${outcome ? `?outcome=${outcome}` : ''}`);
+            setEvents(res.data || []);
         } catch (error) {
-            alert(error.message);
+            console.error('Failed to load inbound events:', error);
         }
     };
 
-    const handlePrint = () => {
-        window.print();
+    const handleToggle = async (rule) => {
+        try {
+            await fetchAPI(`/ingest/rules/${rule.rule_id}`, { method: 'PUT', body: JSON.stringify({ is_active: !rule.is_active }) });
+            loadRules();
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
-    const handleExport = () => {
-        const csv = [
-            ['ID', 'Date', 'Component', 'Technician', 'Action', 'Result', 'Duration'],
-            ...logs.map(log => [
-                log.log_id,
-                log.activity_date,
-                log.component_name,
-                log.technician_name,
-                log.action_taken,
-                log.result,
-                log.duration_minutes
-            ])
-        ].map(e => e.join(',')).join('\n');
-
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `maintenance_logs_${new Date().toISOString().slice(0, 10)}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+        try {
+            await fetchAPI(`/ingest/rules/${rule.rule_id}`, { method: 'DELETE' });
+            loadRules();
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
     return (
         <div>
             <div className="page-header">
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                    <div>
-                        <h1 className="page-title">Maintenance Logs</h1>
-                        <p className="page-subtitle">History of maintenance activities and repairs</p>
+                <h1 className="page-title">Device Events</h1>
+                <p className="page-subtitle">Faults opened from syslog messages and SNMP traps</p>
+            </div>
+
+            <div className="card mb-3">
+                {status && status.running ? (
+                    <div className="d-flex gap-2" style={{ flexWrap: 'wrap', alignItems: 'center', fontSize: '0.85rem' }}>
+                        <span className="badge badge-success">Listening</span>
+                        {status.ports.syslog && <span>Syslog UDP {status.ports.syslog}</span>}
+                        {status.ports.snmp && <span>SNMP traps UDP {status.ports.snmp}</span>}
+                        <span className="text-muted">
+                            since {new Date(status.started_at).toLocaleString()}: {status.received.syslog + status.received.snmp} received,{' '}
+                            {status.outcomes.created} faults opened, {status.outcomes.updated + status.outcomes.deduplicated} repeats,{' '}
+                            {status.outcomes.unmatched} from unknown senders, {status.malformed + status.rejected} rejected
+                        </span>
                     </div>
-                    <div className="action-bar" style={{ marginTop: 0 }}>
-                        <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
-                        <button className="btn btn-secondary" onClick={handleExport}>Export CSV</button>
-                        {(role === 'Admin' || role === 'Manager' || role === 'Technician') && (
-                            <button className="btn btn-primary" onClick={() => { setEditLog(null); setShowAddModal(true); }}>
-                                + Add Log
-                            </button>
-                        )}
+                ) : (
+                    <div className="text-muted" style={{ fontSize: '0.85rem' }}>
+                        The listener is not running. Set <code>INGEST_ENABLED=true</code> on the server to receive syslog and SNMP traps.
                     </div>
-                </div>
+                )}
             </div>
 
-            {loading ? (
-                <div className="loading-container"><div className="spinner"></div></div>
-            ) : (
-                <div className="table-container">
-                    <table className="table">
-                        <thead>
-                            <tr>
-                                <th>ID</th>
-                                <th>Date</th>
-                                <th>Component</th>
-                                <th>Technician</th>
-                                <th>Action Taken</th>
-                                <th>Result</th>
-                                <th>Duration</th>
-                                <th>Notes</th>
-                                {['Admin', 'Manager', 'Technician'].includes(role) && <th>Actions</th>}
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {logs.map((log) => (
-                                <tr key={log.log_id}>
-                                    <td style={{ fontWeight: 500 }}>{`ML-${log.log_id.toString().padStart(3, '0')}`}</td>
-                                    <td>{log.activity_date ? new Date(log.activity_date).toLocaleString('en-US', { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '-'}</td>
-                                    <td>{log.component_name || '-'}</td>
-                                    <td>{log.technician_name || '-'}</td>
-                                    <td>{log.action_taken || '-'}</td>
-                                    <td><span className={`badge status-${(log.result || '').toLowerCase()}`}>{log.result || '-'}</span></td>
-                                    <td>{log.duration_minutes ? `${log.duration_minutes}m` : '-'}</td>
+            <div className="d-flex gap-2 mb-3" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>Rules</h3>
+                {isAdmin && (
+                    <div className="d-flex gap-2">
+                        <button className="btn btn-secondary" onClick={() => setShowTest(true)}>Test a Message</button>
+                        <button className="btn btn-primary" onClick={() => { setEditRule(null); setShowModal(true); }}>+ Add Rule</button>
+                    </div>
+                )}
+            </div>
+            <p className="text-muted" style={{ fontSize: '0.8rem' }}>
+                Rules are tried in order and the first match decides. Repeats within the dedup window are added to the open fault instead of opening another.
+            </p>
+            <div className="table-container mb-3">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Rule</th>
+                            <th>Source</th>
+                            <th>Severity</th>
+                            <th>Pattern</th>
+                            <th>Opens</th>
+                            <th>Dedup</th>
+                            <th>Last 24h</th>
+                            <th>Status</th>
+                            {isAdmin && <th>Actions</th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rules.map(r => (
+                            <tr key={r.rule_id}>
+                                <td>{r.position}</td>
+                                <td style={{ fontWeight: 500 }}>{r.name}</td>
+                                <td>{EVENT_SOURCE_LABELS[r.source]}</td>
+                                <td style={{ fontSize: '0.8rem' }}>{SYSLOG_SEVERITY_NAMES[r.max_severity]} or worse</td>
+                                <td>{r.pattern ? <code style={{ fontSize: '0.75rem' }}>{r.pattern}</code> : <span className="text-muted">any text</span>}</td>
+                                <td style={{ fontSize: '0.8rem' }}>{r.priority} · {r.category}</td>
+                                <td>{r.dedup_minutes > 0 ? `${r.dedup_minutes} min` : 'Off'}</td>
+                                <td>{r.matched_last_day}</td>
+                                <td><span className={`badge ${r.is_active ? 'badge-success' : 'badge-secondary'}`}>{r.is_active ? 'Active' : 'Off'}</span></td>
+                                {isAdmin && (
                                     <td>
-                                        <button className="btn btn-secondary btn-sm" onClick={() => setShowCommentsModal(log)} style={{ position: 'relative' }}>
-                                            💬 {log.comment_count > 0 && <span style={{ marginLeft: '4px', fontSize: '0.8rem' }}>{log.comment_count === 1 ? '1 NOTE' : `${log.comment_count} NOTES`}</span>}
-                                            {log.comment_count === 0 && 'Add Note'}
-                                            {log.comment_count > 0 && (
-                                                <span style={{
-                                                    position: 'absolute',
-                                                    top: -6,
-                                                    right: -6,
-                                                    background: Number(log.last_comment_user_id) === Number(user_id) ? '#28A745' : '#DC3545',
-                                                    color: 'white',
-                                                    borderRadius: '50%',
-                                                    width: 18,
-                                                    height: 18,
-                                                    fontSize: '0.7rem',
-                                                    display: 'flex',
-                                                    alignItems: 'center',
-                                                    justifyContent: 'center',
-                                                    fontWeight: 'bold'
-                                                }}>
-                                                    {log.comment_count}
-                                                </span>
-                                            )}
-                                        </button>
+                                        <div className="d-flex gap-1">
+                                            <button className="btn btn-secondary btn-sm" onClick={() => { setEditRule(r); setShowModal(true); }}>Edit</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleToggle(r)}>{r.is_active ? 'Turn Off' : 'Turn On'}</button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => handleDelete(r)}>Delete</button>
+                                        </div>
                                     </td>
-                                    {['Admin', 'Manager', 'Technician'].includes(role) && (
-                                        <td>
-                                            <div className="d-flex gap-1">
-                                                <button className="btn btn-secondary btn-sm" onClick={() => { setEditLog(log); setShowAddModal(true); }}>Edit</button>
-                                                {role === 'Admin' && (
-                                                    <button className="btn btn-danger btn-sm" style={{ backgroundColor: '#DC3545', color: 'white' }} onClick={() => handleDelete(log.log_id)}>Delete</button>
-                                                )}
-                                            </div>
-                                        </td>
-                                    )}
-                                </tr>
-                            ))}
-                            {logs.length === 0 && (
-                                <tr>
-                                    <td colSpan={role === 'Admin' || role === 'Manager' ? 8 : 7} className="text-center text-muted">No maintenance logs found</td>
-                                </tr>
-                            )}
-                        </tbody>
-                    </table>
-                </div>
-            )}
+                                )}
+                            </tr>
+                        ))}
+                        {rules.length === 0 && (
+                            <tr>
+                                <td colSpan={isAdmin ? 10 : 9} className="text-center text-muted">No rules; every event is ignored</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
 
-            {showCommentsModal && (
-                <MaintenanceCommentsModal log={showCommentsModal} onClose={() => { setShowCommentsModal(null); loadLogs(); }} />
-            )}
+            <div className="d-flex gap-2 mb-3" style={{ justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>Recent Events</h3>
+                <select className="filter-select" value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+                    <option value="">All outcomes</option>
+                    {Object.keys(EVENT_OUTCOME_BADGES).map(o => <option key={o} value={o}>{o}</option>)}
+                </select>
+            </div>
+            <div className="table-container">
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>Received</th>
+                            <th>From</th>
+                            <th>Severity</th>
+                            <th>Message</th>
+                            <th>Rule</th>
+                            <th>Outcome</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {events.map(e => (
+                            <tr key={e.event_id}>
+                                <td style={{ fontSize: '0.8rem', whiteSpace: 'nowrap' }}>{new Date(e.received_at).toLocaleString()}</td>
+                                <td style={{ fontSize: '0.8rem' }}>
+                                    {e.component_name || <span className="text-muted">unknown</span>}
+                                    <div className="text-muted">{EVENT_SOURCE_LABELS[e.source]} · {e.sender_ip}</div>
+                                </td>
+                                <td style={{ fontSize: '0.8rem' }}>{e.severity !== null ? SYSLOG_SEVERITY_NAMES[e.severity] : '-'}</td>
+                                <td style={{ fontSize: '0.8rem', maxWidth: '420px', wordBreak: 'break-word' }}>
+                                    {e.app_name && <strong>{e.app_name}: </strong>}{e.source === 'snmp' ? e.message.replace(`${e.app_name} `, '') : e.message}
+                                </td>
+                                <td style={{ fontSize: '0.8rem' }}>{e.rule_name || '-'}</td>
+                                <td>
+                                    <span className={`badge ${EVENT_OUTCOME_BADGES[e.outcome]}`}>{e.outcome}</span>
+                                    {e.fault_id && (
+                                        <div style={{ fontSize: '0.8rem' }}>
+                                            <Link to={`/faults?highlight=${e.fault_id}`}>FLT-{String(e.fault_id).padStart(3, '0')}</Link>
+                                        </div>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                        {events.length === 0 && (
+                            <tr>
+                                <td colSpan="6" className="text-center text-muted">No events received</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
 
-            {showAddModal && (
-                <AddMaintenanceLogModal
-                    onClose={() => { setShowAddModal(false); setEditLog(null); }}
-                    onSave={() => { setShowAddModal(false); setEditLog(null); loadLogs(); }}
-                    initialData={editLog}
+            {showModal && (
+                <EventRuleModal
+                    existing={editRule}
+                    onClose={() => { setShowModal(false); setEditRule(null); }}
+                    onSave={() => { setShowModal(false); setEditRule(null); loadRules(); }}
                 />
             )}
+
+            {showTest && <EventTestModal onClose={() => setShowTest(false)} />}
         </div>
     );
 }
 
-function AddMaintenanceLogModal({ onClose, onSave, initialData }) {
+function EventRuleModal({ existing, onClose, onSave }) {
     const [form, setForm] = useState({
-        component_id: '',
-        activity_date: new Date().toISOString().slice(0, 16),
-        action_taken: '',
-        result: 'Success',
-        duration_minutes: 30,
-        parts_used: [] // { inventory_id, quantity }
+        name: existing?.name || '',
+        source: existing?.source || 'any',
+        max_severity: existing?.max_severity ?? 3,
+        pattern: existing?.pattern || '',
+        category: existing?.category || 'Connectivity',
+        priority: existing?.priority || 'Medium',
+        dedup_minutes: existing?.dedup_minutes ?? 30,
+        position: existing?.position ?? 0,
+        is_active: existing ? Boolean(existing.is_active) : true
     });
-    const [components, setComponents] = useState([]);
-    const [inventory, setInventory] = useState([]);
-    const [loading, setLoading] = useState(false);
-    const [fetchingData, setFetchingData] = useState(true);
-
-    useEffect(() => {
-        const loadData = async () => {
-            try {
-                const [compsRes, invRes] = await Promise.all([
-                    fetchAPI('/components'),
-                    fetchAPI('/inventory')
-                ]);
-                setComponents(compsRes.data || []);
-                setInventory(invRes.data || []);
-
-                if (initialData) {
-                    setForm({
-                        component_id: initialData.component_id,
-                        activity_date: new Date(initialData.activity_date).toISOString().slice(0, 16),
-                        action_taken: initialData.action_taken,
-                        result: initialData.result,
-                        duration_minutes: initialData.duration_minutes || 0,
-                        parts_used: [] // Editing parts used is complex, skipping for now
-                    });
-                }
-            } catch (error) {
-                console.error('Failed to load form data:', error);
-            } finally {
-                setFetchingData(false);
-            }
-        };
-        loadData();
-    }, [initialData]);
+    const [saving, setSaving] = useState(false);
 
-    const handleAddPart = () => {
-        setForm({ ...form, parts_used: [...form.parts_used, { inventory_id: '', quantity: 1 }] });
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await fetchAPI(existing ? `/ingest/rules/${existing.rule_id}` : '/ingest/rules', {
+                method: existing ? 'PUT' : 'POST',
+                body: JSON.stringify(form)
+            });
+            onSave();
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setSaving(false);
+        }
     };
 
-    const handlePartChange = (index, field, value) => {
-        const newParts = [...form.parts_used];
-        newParts[index][field] = value;
-        setForm({ ...form, parts_used: newParts });
-    };
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: '600px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{existing ? 'Edit Rule' : 'Add Rule'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Name *</label>
+                                <input className="form-input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} maxLength={100} required />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Order</label>
+                                <input type="number" className="form-input" value={form.position} onChange={(e) => setForm({ ...form, position: e.target.value })} />
+                            </div>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Source</label>
+                                <select className="form-select" value={form.source} onChange={(e) => setForm({ ...form, source: e.target.value })}>
+                                    {Object.entries(EVENT_SOURCE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Severity at least</label>
+                                <select className="form-select" value={form.max_severity} onChange={(e) => setForm({ ...form, max_severity: Number(e.target.value) })}>
+                                    {SYSLOG_SEVERITY_NAMES.map((name, level) => <option key={name} value={level}>{level} {name}</option>)}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Pattern (regular expression, case-insensitive)</label>
+                            <input className="form-input" value={form.pattern} onChange={(e) => setForm({ ...form, pattern: e.target.value })} placeholder="e.g. LINK-\d-UPDOWN.*down" maxLength={500} style={{ fontFamily: 'monospace' }} />
+                            <small className="text-muted">
+                                Matched against "tag: message" for syslog and "trapName var=value ..." for traps, e.g. "linkDown ifIndex.2=2". Empty matches everything.
+                            </small>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Fault Category</label>
+                                <select className="form-select" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
+                                    <option value="Hardware">Hardware</option>
+                                    <option value="Software">Software</option>
+                                    <option value="Connectivity">Connectivity</option>
+                                    <option value="Power">Power</option>
+                                    <option value="Security">Security</option>
+                                    <option value="Performance">Performance</option>
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Fault Priority</label>
+                                <select className="form-select" value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })}>
+                                    <option value="Critical">Critical</option>
+                                    <option value="High">High</option>
+                                    <option value="Medium">Medium</option>
+                                    <option value="Low">Low</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Dedup window (minutes, 0 = off)</label>
+                                <input type="number" className="form-input" min="0" max="10080" value={form.dedup_minutes} onChange={(e) => setForm({ ...form, dedup_minutes: e.target.value })} />
+                            </div>
+                            <div className="form-group" style={{ display: 'flex', alignItems: 'flex-end' }}>
+                                <label className="d-flex gap-1" style={{ alignItems: 'center', fontSize: '0.85rem' }}>
+                                    <input type="checkbox" checked={form.is_active} onChange={(e) => setForm({ ...form, is_active: e.target.checked })} />
+                                    Active
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : existing ? 'Save Changes' : 'Add Rule'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
 
-    const handleRemovePart = (index) => {
-        const newParts = [...form.parts_used];
-        newParts.splice(index, 1);
-        setForm({ ...form, parts_used: newParts });
-    };
+function EventTestModal({ onClose }) {
+    const [form, setForm] = useState({
+        source: 'syslog',
+        sender_ip: '',
+        message: '<11>Oct 19 10:00:00 router1 %LINK-3-UPDOWN: Interface GigabitEthernet0/1, changed state to down',
+        trap_oid: '1.3.6.1.6.3.1.1.5.3'
+    });
+    const [result, setResult] = useState(null);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        setLoading(true);
         try {
-            const url = initialData ? `/maintenance/${initialData.log_id}` : '/maintenance';
-            const method = initialData ? 'PUT' : 'POST';
-
-            // Validate parts
-            const parts = form.parts_used.filter(p => p.inventory_id && p.quantity > 0);
-
-            await fetchAPI(url, {
-                method,
-                body: JSON.stringify({ ...form, parts_used: parts }),
-            });
-            onSave();
+            const body = form.source === 'snmp'
+                ? { source: 'snmp', sender_ip: form.sender_ip, trap: { trap_oid: form.trap_oid } }
+                : { source: 'syslog', sender_ip: form.sender_ip, message: form.message };
+            const res = await fetchAPI('/ingest/test', { method: 'POST', body: JSON.stringify(body) });
+            setResult(res.data);
         } catch (error) {
             alert(error.message);
-        } finally {
-            setLoading(false);
         }
     };
 
-    if (fetchingData) return <div className="modal-overlay"><div className="spinner"></div></div>;
+    const outcomeText = {
+        unmatched: 'Ignored: no component has this IP address.',
+        ignored: 'Ignored: no active rule matches.',
+        suppressed: 'Logged only: the component is in maintenance or inactive.',
+        updated: 'Added to the open fault',
+        created: 'Opens a new fault.'
+    };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={e => e.stopPropagation()}>
+            <div className="modal" style={{ maxWidth: '600px' }} onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">{initialData ? 'Edit Maintenance Log' : 'Add Maintenance Log'}</h3>
+                    <h3 className="modal-title">Test a Message</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
-                        <div className="form-group">
-                            <label className="form-label">Component *</label>
-                            <select
-                                className="form-select"
-                                value={form.component_id}
-                                onChange={e => setForm({ ...form, component_id: e.target.value })}
-                                required
-                                disabled={!!initialData}
-                            >
-                                <option value="">-- Select Component --</option>
-                                {components.map(c => <option key={c.component_id} value={c.component_id}>{c.name} - {c.location}</option>)}
-                            </select>
-                        </div>
+                        <p className="text-muted" style={{ fontSize: '0.8rem' }}>Shows what the rules would do. Nothing is logged and no fault is opened.</p>
                         <div className="grid-2">
                             <div className="form-group">
-                                <label className="form-label">Date *</label>
-                                <input type="datetime-local" className="form-input" value={form.activity_date} onChange={e => setForm({ ...form, activity_date: e.target.value })} required />
+                                <label className="form-label">Source</label>
+                                <select className="form-select" value={form.source} onChange={(e) => setForm({ ...form, source: e.target.value })}>
+                                    <option value="syslog">Syslog</option>
+                                    <option value="snmp">SNMP trap</option>
+                                </select>
                             </div>
                             <div className="form-group">
-                                <label className="form-label">Duration (mins)</label>
-                                <input type="number" className="form-input" value={form.duration_minutes} onChange={e => setForm({ ...form, duration_minutes: e.target.value })} />
+                                <label className="form-label">Sender IP *</label>
+                                <input className="form-input" value={form.sender_ip} onChange={(e) => setForm({ ...form, sender_ip: e.target.value })} placeholder="10.0.0.1" required />
                             </div>
                         </div>
-                        <div className="form-group">
-                            <label className="form-label">Action Taken *</label>
-                            <textarea className="form-textarea" value={form.action_taken} onChange={e => setForm({ ...form, action_taken: e.target.value })} required rows={3} />
-                        </div>
-                        <div className="form-group">
-                            <label className="form-label">Result</label>
-                            <select className="form-select" value={form.result} onChange={e => setForm({ ...form, result: e.target.value })}>
-                                <option value="Success">Success</option>
-                                <option value="Pending">Pending</option>
-                                <option value="Failed">Failed</option>
-                            </select>
-                        </div>
-
-                        {!initialData && (
-                            <div style={{ marginTop: '1rem', padding: '1rem', background: 'rgba(0,0,0,0.03)', borderRadius: '8px' }}>
-                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-                                    <label className="form-label" style={{ marginBottom: 0 }}>Parts/Inventory Used</label>
-                                    <button type="button" className="btn btn-sm btn-secondary" onClick={handleAddPart}>+ Add Part</button>
+                        {form.source === 'snmp' ? (
+                            <div className="form-group">
+                                <label className="form-label">Trap OID</label>
+                                <input className="form-input" value={form.trap_oid} onChange={(e) => setForm({ ...form, trap_oid: e.target.value })} style={{ fontFamily: 'monospace' }} />
+                            </div>
+                        ) : (
+                            <div className="form-group">
+                                <label className="form-label">Syslog line</label>
+                                <textarea className="form-input" rows="3" value={form.message} onChange={(e) => setForm({ ...form, message: e.target.value })} style={{ fontFamily: 'monospace' }} />
+                            </div>
+                        )}
+                        {result && (
+                            <div className="card" style={{ fontSize: '0.85rem' }}>
+                                <div><strong>Parsed:</strong> {result.event.severity !== null ? SYSLOG_SEVERITY_NAMES[result.event.severity] : 'no severity'} · {result.event.text}</div>
+                                <div><strong>Component:</strong> {result.component ? `${result.component.name} (${result.component.status})` : 'none'}</div>
+                                <div><strong>Rule:</strong> {result.rule ? `${result.rule.name} → ${result.rule.priority} ${result.rule.category} fault` : 'none'}</div>
+                                <div style={{ marginTop: '0.5rem' }}>
+                                    <span className={`badge ${EVENT_OUTCOME_BADGES[result.outcome]}`}>{result.outcome}</span>{' '}
+                                    {outcomeText[result.outcome]}
+                                    {result.fault_id && <> <Link to={`/faults?highlight=${result.fault_id}`} onClick={onClose}>FLT-{String(result.fault_id).padStart(3, '0')}</Link>.</>}
                                 </div>
-                                {form.parts_used.map((part, index) => (
-                                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
-                                        <select
-                                            className="form-select"
-                                            style={{ flex: 2 }}
-                                            value={part.inventory_id}
-                                            onChange={e => handlePartChange(index, 'inventory_id', e.target.value)}
-                                            required
-                                        >
-                                            <option value="">Select Item</option>
-                                            {inventory.map(i => <option key={i.item_id} value={i.item_id}>{i.name} (Stock: {i.quantity})</option>)}
-                                        </select>
-                                        <input
-                                            type="number"
-                                            className="form-input"
-                                            style={{ flex: 1 }}
-                                            placeholder="Qty"
-                                            value={part.quantity}
-                                            onChange={e => handlePartChange(index, 'quantity', Number(e.target.value))}
-                                            min="1"
-                                            required
-                                        />
-                                        <button type="button" className="btn btn-danger btn-sm" onClick={() => handleRemovePart(index)}>✕</button>
-                                    </div>
-                                ))}
-                                {form.parts_used.length === 0 && <small className="text-muted">No parts used</small>}
                             </div>
                         )}
                     </div>
                     <div className="modal-footer">
-                        <button type="button" className="btn btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
-                        <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Saving...' : 'Save Log'}</button>
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+                        <button type="submit" className="btn btn-primary">Evaluate</button>
                     </div>
                 </form>
             </div>
@@ -3542,135 +7348,381 @@ function AddMaintenanceLogModal({ onClose, onSave, initialData }) {
     );
 }
 
-// Maintenance Comments Modal
-function MaintenanceCommentsModal({ log, onClose }) {
-    const { user_id } = useContext(AuthContext) || {};
-    const [comments, setComments] = useState([]);
-    const [newComment, setNewComment] = useState('');
+const WEBHOOK_STATUS_BADGES = { delivered: 'badge-success', pending: 'badge-warning', failed: 'badge-danger' };
+
+// Webhooks Component (Admin)
+function Webhooks() {
+    const [webhooks, setWebhooks] = useState([]);
+    const [eventTypes, setEventTypes] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [submitting, setSubmitting] = useState(false);
+    const [editWebhook, setEditWebhook] = useState(null);
+    const [showModal, setShowModal] = useState(false);
+    const [deliveriesFor, setDeliveriesFor] = useState(null);
+    const [revealed, setRevealed] = useState(null);
 
     useEffect(() => {
-        loadComments();
+        loadWebhooks();
+        fetchAPI('/webhooks/events')
+            .then(res => setEventTypes(res.data))
+            .catch(error => console.error('Failed to load webhook events:', error));
     }, []);
 
-    const loadComments = async () => {
+    const loadWebhooks = async () => {
         try {
-            const response = await fetchAPI(`/maintenance/${log.log_id}/comments`);
-            setComments(response.data);
+            const res = await fetchAPI('/webhooks');
+            setWebhooks(res.data || []);
         } catch (error) {
-            console.error('Failed to load comments:', error);
+            console.error('Failed to load webhooks:', error);
         } finally {
             setLoading(false);
         }
     };
 
+    const handleTest = async (webhook) => {
+        try {
+            const res = await fetchAPI(`/webhooks/${webhook.webhook_id}/test`, { method: 'POST' });
+            alert(res.message);
+            loadWebhooks();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleRotate = async (webhook) => {
+        if (!window.confirm(`Rotate the secret for "${webhook.name}"? The receiver must be updated with the new secret.`)) return;
+        try {
+            const res = await fetchAPI(`/webhooks/${webhook.webhook_id}/rotate-secret`, { method: 'POST' });
+            setRevealed(res.data);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleToggle = async (webhook) => {
+        try {
+            await fetchAPI(`/webhooks/${webhook.webhook_id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ is_active: !webhook.is_active })
+            });
+            loadWebhooks();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleDelete = async (webhook) => {
+        if (!window.confirm(`Delete webhook "${webhook.name}" and its delivery log?`)) return;
+        try {
+            await fetchAPI(`/webhooks/${webhook.webhook_id}`, { method: 'DELETE' });
+            loadWebhooks();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">Webhooks</h1>
+                <p className="page-subtitle">Send signed event notifications to outside systems</p>
+            </div>
+
+            <div className="d-flex gap-2 mb-3" style={{ justifyContent: 'flex-end' }}>
+                <button className="btn btn-primary" onClick={() => { setEditWebhook(null); setShowModal(true); }}>+ Add Webhook</button>
+            </div>
+
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Events</th>
+                                <th>Secret</th>
+                                <th>Deliveries</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {webhooks.map(w => (
+                                <tr key={w.webhook_id}>
+                                    <td style={{ fontWeight: 500 }}>
+                                        {w.name}
+                                        <div className="text-muted" style={{ fontSize: '0.75rem', wordBreak: 'break-all' }}>{w.url}</div>
+                                    </td>
+                                    <td style={{ fontSize: '0.8rem' }}>{w.event_types.includes('*') ? 'All events' : w.event_types.join(', ')}</td>
+                                    <td><code>{w.secret}</code></td>
+                                    <td style={{ fontSize: '0.8rem' }}>
+                                        <span style={{ color: 'var(--accent-success)' }}>{w.delivered_count} delivered</span>
+                                        {w.pending_count > 0 && <span> · {w.pending_count} pending</span>}
+                                        {w.failed_count > 0 && <span style={{ color: 'var(--accent-danger)' }}> · {w.failed_count} failed</span>}
+                                        {w.last_delivered_at && <div className="text-muted">Last: {new Date(w.last_delivered_at).toLocaleString()}</div>}
+                                    </td>
+                                    <td>
+                                        <span className={`badge ${w.is_active ? 'badge-success' : 'badge-secondary'}`}>{w.is_active ? 'Active' : 'Paused'}</span>
+                                    </td>
+                                    <td>
+                                        <div className="d-flex gap-1" style={{ flexWrap: 'wrap' }}>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleTest(w)}>Test</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => setDeliveriesFor(w)}>Deliveries</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => { setEditWebhook(w); setShowModal(true); }}>Edit</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleToggle(w)}>{w.is_active ? 'Pause' : 'Resume'}</button>
+                                            <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(w)}>Rotate Secret</button>
+                                            <button className="btn btn-danger btn-sm" onClick={() => handleDelete(w)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {webhooks.length === 0 && (
+                                <tr>
+                                    <td colSpan="6" className="text-center text-muted">No webhooks configured</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {showModal && (
+                <WebhookModal
+                    existing={editWebhook}
+                    eventTypes={eventTypes}
+                    onClose={() => { setShowModal(false); setEditWebhook(null); }}
+                    onSave={(created) => {
+                        setShowModal(false);
+                        setEditWebhook(null);
+                        if (created) setRevealed(created);
+                        loadWebhooks();
+                    }}
+                />
+            )}
+
+            {deliveriesFor && (
+                <WebhookDeliveriesModal webhook={deliveriesFor} onClose={() => { setDeliveriesFor(null); loadWebhooks(); }} />
+            )}
+
+            {revealed && (
+                <div className="modal-overlay" onClick={() => setRevealed(null)}>
+                    <div className="modal" style={{ maxWidth: '520px' }} onClick={(e) => e.stopPropagation()}>
+                        <div className="modal-header">
+                            <h3 className="modal-title">Signing Secret for {revealed.name}</h3>
+                            <button className="modal-close" onClick={() => setRevealed(null)}>&times;</button>
+                        </div>
+                        <div className="modal-body">
+                            <p style={{ fontSize: '0.85rem' }}>
+                                Copy this secret into the receiving system now. It will not be shown again.
+                            </p>
+                            <input className="form-input" readOnly value={revealed.secret} onFocus={(e) => e.target.select()} style={{ fontFamily: 'monospace' }} />
+                            <p className="text-muted" style={{ fontSize: '0.8rem', marginTop: '0.75rem' }}>
+                                Each request carries X-MnettyWise-Timestamp and X-MnettyWise-Signature. The signature is
+                                sha256= followed by the hex HMAC-SHA256 of "timestamp.body" keyed with this secret.
+                            </p>
+                        </div>
+                        <div className="modal-footer">
+                            <button className="btn btn-primary" onClick={() => setRevealed(null)}>Done</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function WebhookModal({ existing, eventTypes, onClose, onSave }) {
+    const [form, setForm] = useState({
+        name: existing?.name || '',
+        url: existing?.url || '',
+        event_types: existing?.event_types || ['*'],
+        is_active: existing ? existing.is_active : true
+    });
+    const [saving, setSaving] = useState(false);
+    const allEvents = form.event_types.includes('*');
+
+    const toggleType = (type) => {
+        const selected = form.event_types.includes(type)
+            ? form.event_types.filter(t => t !== type)
+            : [...form.event_types.filter(t => t !== '*'), type];
+        setForm({ ...form, event_types: selected });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!newComment.trim()) return;
-
-        setSubmitting(true);
+        setSaving(true);
         try {
-            await fetchAPI(`/maintenance/${log.log_id}/comments`, {
-                method: 'POST',
-                body: JSON.stringify({ comment: newComment }),
+            const res = await fetchAPI(existing ? `/webhooks/${existing.webhook_id}` : '/webhooks', {
+                method: existing ? 'PUT' : 'POST',
+                body: JSON.stringify(form)
             });
-            setNewComment('');
-            loadComments();
+            onSave(existing ? null : res.data);
         } catch (error) {
             alert(error.message);
         } finally {
-            setSubmitting(false);
+            setSaving(false);
         }
     };
 
-    const formatDate = (dateStr) => {
-        const date = new Date(dateStr);
-        return date.toLocaleString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: '600px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{existing ? 'Edit Webhook' : 'Add Webhook'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label className="form-label">Name *</label>
+                            <input className="form-input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} maxLength={100} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Payload URL *</label>
+                            <input className="form-input" type="url" value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} placeholder="https://example.com/hooks/mnettywise" maxLength={500} required />
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Events</label>
+                            <label className="d-flex gap-1" style={{ alignItems: 'center', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+                                <input type="checkbox" checked={allEvents} onChange={() => setForm({ ...form, event_types: allEvents ? [] : ['*'] })} />
+                                <strong>All events</strong>, including ones added later
+                            </label>
+                            {!allEvents && (
+                                <div className="grid-2" style={{ gap: '0.25rem 1rem' }}>
+                                    {eventTypes.filter(t => t.type !== 'webhook.test').map(t => (
+                                        <label key={t.type} className="d-flex gap-1" style={{ alignItems: 'flex-start', fontSize: '0.8rem' }} title={t.description}>
+                                            <input type="checkbox" checked={form.event_types.includes(t.type)} onChange={() => toggleType(t.type)} />
+                                            <span>
+                                                <code>{t.type}</code>
+                                                <div className="text-muted">{t.description}</div>
+                                            </span>
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        <label className="d-flex gap-1" style={{ alignItems: 'center', fontSize: '0.85rem' }}>
+                            <input type="checkbox" checked={form.is_active} onChange={(e) => setForm({ ...form, is_active: e.target.checked })} />
+                            Active
+                        </label>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary" disabled={saving || form.event_types.length === 0}>
+                            {saving ? 'Saving...' : existing ? 'Save Changes' : 'Create Webhook'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+function WebhookDeliveriesModal({ webhook, onClose }) {
+    const [deliveries, setDeliveries] = useState([]);
+    const [status, setStatus] = useState('');
+    const [selected, setSelected] = useState(null);
+
+    useEffect(() => {
+        loadDeliveries();
+    }, [status]);
+
+    const loadDeliveries = async () => {
+        try {
+            const res = await fetchAPI(`/webhooks/${webhook.webhook_id}/deliveries${status ? `?status=${status}` : ''}`);
+            setDeliveries(res.data);
+        } catch (error) {
+            console.error('Failed to load webhook deliveries:', error);
+        }
     };
 
-    const getRoleBadgeColor = (role) => {
-        switch (role) {
-            case 'Admin': return 'var(--primary)'; // Green
-            case 'Manager': return '#2B6CB0'; // Blue
-            case 'Technician': return '#DDA15E'; // Orange/Tan
-            case 'Staff': return '#718096'; // Grey
-            default: return '#DDA15E';
+    const handleRetry = async (id) => {
+        try {
+            await fetchAPI(`/webhooks/deliveries/${id}/retry`, { method: 'POST' });
+            loadDeliveries();
+        } catch (error) {
+            alert(error.message);
         }
     };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal" onClick={(e) => e.stopPropagation()} style={{ maxWidth: 600, maxHeight: '80vh', display: 'flex', flexDirection: 'column' }}>
+            <div className="modal" style={{ maxWidth: '860px' }} onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">📝 Notes - {log.component_name}</h3>
+                    <h3 className="modal-title">Deliveries: {webhook.name}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
-                <div style={{ padding: '0.5rem 1rem', borderBottom: '1px solid var(--border)', background: 'rgba(96, 108, 56, 0.1)' }}>
-                    <small className="text-muted">Action: {log.action_taken}</small>
+                <div className="modal-body">
+                    <div className="d-flex gap-2 mb-3">
+                        <select className="filter-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+                            <option value="">All statuses</option>
+                            <option value="delivered">Delivered</option>
+                            <option value="pending">Pending</option>
+                            <option value="failed">Failed</option>
+                        </select>
+                        <button className="btn btn-secondary btn-sm" onClick={loadDeliveries}>Refresh</button>
+                    </div>
+                    <div className="table-container">
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Event</th>
+                                    <th>Status</th>
+                                    <th>Response</th>
+                                    <th>Attempts</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {deliveries.map(d => (
+                                    <React.Fragment key={d.delivery_id}>
+                                        <tr style={{ cursor: 'pointer' }} onClick={() => setSelected(selected === d.delivery_id ? null : d.delivery_id)}>
+                                            <td style={{ fontSize: '0.8rem' }}>{new Date(d.created_at).toLocaleString()}</td>
+                                            <td><code>{d.event_type}</code></td>
+                                            <td><span className={`badge ${WEBHOOK_STATUS_BADGES[d.status]}`}>{d.status}</span></td>
+                                            <td style={{ fontSize: '0.8rem' }}>
+                                                {d.response_status || '-'}
+                                                {d.duration_ms != null && <span className="text-muted"> · {d.duration_ms} ms</span>}
+                                                {d.last_error && <div style={{ color: 'var(--accent-danger)' }}>{d.last_error}</div>}
+                                            </td>
+                                            <td>{d.attempts}</td>
+                                            <td>
+                                                {d.status === 'failed' && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={(e) => { e.stopPropagation(); handleRetry(d.delivery_id); }}>Retry</button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        {selected === d.delivery_id && (
+                                            <tr>
+                                                <td colSpan="6">
+                                                    <div className="text-muted" style={{ fontSize: '0.75rem' }}>Delivery {d.event_id}</div>
+                                                    <pre style={{ fontSize: '0.75rem', whiteSpace: 'pre-wrap', wordBreak: 'break-all', maxHeight: '200px', overflow: 'auto' }}>
+                                                        {JSON.stringify(JSON.parse(d.payload), null, 2)}
+                                                    </pre>
+                                                    {d.response_body && (
+                                                        <>
+                                                            <div className="text-muted" style={{ fontSize: '0.75rem' }}>Response body</div>
+                                                            <pre style={{ fontSize: '0.75rem', whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{d.response_body}</pre>
+                                                        </>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                                {deliveries.length === 0 && (
+                                    <tr>
+                                        <td colSpan="6" className="text-center text-muted">No deliveries yet</td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
                 </div>
-                <div className="modal-body" style={{ flex: 1, overflowY: 'auto', maxHeight: 350 }}>
-                    {loading ? (
-                        <div className="text-center text-muted">Loading notes...</div>
-                    ) : comments.length === 0 ? (
-                        <div className="text-center text-muted" style={{ padding: '2rem' }}>
-                            No notes yet. Add notes about supplies needed, issues found, etc.
-                        </div>
-                    ) : (
-                        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-                            {comments.map((c) => {
-                                const isMyMessage = Number(c.user_id) === Number(user_id);
-                                return (
-                                    <div key={c.comment_id} style={{
-                                        background: isMyMessage ? 'rgba(96, 108, 56, 0.15)' : 'rgba(221, 161, 94, 0.15)',
-                                        borderRadius: 8,
-                                        padding: '0.75rem 1rem',
-                                        borderLeft: `4px solid ${isMyMessage ? 'var(--primary)' : '#DDA15E'}`,
-                                        marginLeft: isMyMessage ? '1.5rem' : 0,
-                                        marginRight: isMyMessage ? 0 : '1.5rem'
-                                    }}>
-                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
-                                            <strong style={{ fontSize: '0.9rem' }}>
-                                                {isMyMessage ? 'You' : c.user_name}
-                                                <span className="badge" style={{
-                                                    marginLeft: 8,
-                                                    fontSize: '0.7rem',
-                                                    background: getRoleBadgeColor(c.user_role),
-                                                    color: 'white'
-                                                }}>
-                                                    {c.user_role}
-                                                </span>
-                                            </strong>
-                                            <span className="text-muted" style={{ fontSize: '0.75rem' }}>{formatDate(c.created_at)}</span>
-                                        </div>
-                                        <p style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{c.comment}</p>
-                                    </div>
-                                );
-                            })}
-                        </div>
-                    )}
+                <div className="modal-footer">
+                    <button className="btn btn-secondary" onClick={onClose}>Close</button>
                 </div>
-                <form onSubmit={handleSubmit}>
-                    <div style={{ borderTop: '1px solid var(--border)', padding: '1rem', display: 'flex', gap: '0.5rem' }}>
-                        <input
-                            type="text"
-                            className="form-input"
-                            placeholder="Add a note (supplies needed, issues, etc.)"
-                            value={newComment}
-                            onChange={(e) => setNewComment(e.target.value)}
-                            style={{ flex: 1 }}
-                            disabled={submitting}
-                        />
-                        <button type="submit" className="btn btn-primary" disabled={submitting || !newComment.trim()}>
-                            {submitting ? 'Sending...' : 'Send'}
-                        </button>
-                    </div>
-                </form>
             </div>
         </div>
     );
@@ -3682,10 +7734,11 @@ function AuditLogs() {
     const [logs, setLogs] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filter, setFilter] = useState({ entity_type: '', action: '' });
+    const paging = usePaging({ sort: '-created_at', limit: 100, resetOn: [filter] });
 
     useEffect(() => {
         loadLogs();
-    }, [filter]);
+    }, [filter, paging.page, paging.limit, paging.sort]);
 
     const loadLogs = async () => {
         setLoading(true);
@@ -3694,8 +7747,9 @@ function AuditLogs() {
             if (filter.entity_type) queryParams.append('entity_type', filter.entity_type);
             if (filter.action) queryParams.append('action', filter.action);
 
-            const response = await fetchAPI(`/audit?${queryParams.toString()}`);
-            setLogs(response);
+            const response = await fetchAPI(`/audit?${paging.apply(queryParams)}`);
+            setLogs(response.data);
+            paging.setPagination(response.pagination);
         } catch (error) {
             console.error('Failed to load audit logs:', error);
         } finally {
@@ -3733,470 +7787,1212 @@ function AuditLogs() {
         if (lowerAction.includes('password') || lowerAction.includes('reset')) {
             return { background: '#E9D8FD', borderLeft: '4px solid #805AD5', color: '#322659' }; // Purple
         }
-        return {}; // Default style
+        return {}; // Default style
+    };
+
+    const getActionBadgeStyle = (action) => {
+        const lowerAction = action.toLowerCase();
+        if (lowerAction.includes('delete') || lowerAction.includes('remove')) {
+            return { background: '#E53E3E', color: 'white' };
+        }
+        if (lowerAction.includes('deactivate') || lowerAction.includes('inactive')) {
+            return { background: '#ED8936', color: 'white' };
+        }
+        if (lowerAction.includes('reactivate')) {
+            return { background: '#48BB78', color: 'white' };
+        }
+        if (lowerAction.includes('password') || lowerAction.includes('reset')) {
+            return { background: '#805AD5', color: 'white' };
+        }
+        if (lowerAction.includes('create')) {
+            return { background: '#3182CE', color: 'white' };
+        }
+        if (lowerAction.includes('update') || lowerAction.includes('edit')) {
+            return { background: '#319795', color: 'white' };
+        }
+        if (lowerAction.includes('login')) {
+            return { background: '#38A169', color: 'white' };
+        }
+        if (lowerAction.includes('logout')) {
+            return { background: '#718096', color: 'white' };
+        }
+        return { background: '#A0AEC0', color: 'white' };
+    };
+
+    const handlePrint = () => { window.print(); };
+
+
+    return (
+        <div>
+            <div className="page-header">
+                <h1 className="page-title">Audit Trail</h1>
+                <p className="page-subtitle">Track all system activity</p>
+            </div>
+
+            <div className="action-bar">
+                <div className="filter-group">
+                    <select className="filter-select" value={filter.entity_type} onChange={(e) => setFilter({ ...filter, entity_type: e.target.value })}>
+                        <option value="">All Entities</option>
+                        <option value="Fault">Faults</option>
+                        <option value="Report">Reports</option>
+                        <option value="User">Users</option>
+                        <option value="Component">Components</option>
+                        <option value="Inventory">Inventory</option>
+                        <option value="Maintenance">Maintenance</option>
+                        <option value="Webhook">Webhooks</option>
+                        <option value="Event_Rule">Event Rules</option>
+                    </select>
+                    <select className="filter-select" value={filter.action} onChange={(e) => setFilter({ ...filter, action: e.target.value })}>
+                        <option value="">All Actions</option>
+                        <option value="LOGIN">Login</option>
+                        <option value="LOGOUT">Logout</option>
+                        <option value="CREATE">Creates</option>
+                        <option value="UPDATE">Updates</option>
+                        <option value="DELETE">Deletes</option>
+                        <option value="DEACTIVATE">Deactivations</option>
+                        <option value="PASSWORD">Password Resets</option>
+                    </select>
+                </div>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
+                    <ExportButton resource="audit" params={{ ...filter, sort: paging.sort }} />
+                    <button className="btn btn-secondary" onClick={loadLogs}>Refresh</button>
+                </div>
+            </div>
+
+            {/* Legend */}
+            <div className="card mb-3" style={{ padding: '0.75rem 1rem', display: 'flex', flexWrap: 'wrap', gap: '1rem', fontSize: '0.85rem' }}>
+                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#E53E3E', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Deletion</span>
+                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#ED8936', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Deactivation</span>
+                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#48BB78', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Reactivation</span>
+                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#805AD5', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Password Reset</span>
+                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#3182CE', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Creation</span>
+            </div>
+
+            <div className="card">
+                <div className="table-responsive">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <SortHeader label="Timestamp" field="created_at" paging={paging} />
+                                <SortHeader label="User" field="user" paging={paging} />
+                                <SortHeader label="Action" field="action" paging={paging} />
+                                <SortHeader label="Entity" field="entity_type" paging={paging} />
+                                <th>Details</th>
+                                <th>IP</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {loading ? (
+                                <tr><td colSpan="6" className="text-center">Loading...</td></tr>
+                            ) : logs.length > 0 ? (
+                                logs.map(log => (
+                                    <tr key={log.log_id} style={getActionStyle(log.action)}>
+                                        <td>{new Date(log.created_at).toLocaleString()}</td>
+                                        <td>
+                                            <div style={{ fontWeight: 500 }}>{log.user_name}</div>
+                                            <div className="text-muted" style={{ fontSize: '0.75rem' }}>{log.user_email}</div>
+                                        </td>
+                                        <td><span className="badge" style={getActionBadgeStyle(log.action)}>{log.action}</span></td>
+                                        <td>{log.entity_type} {log.entity_id ? `#${log.entity_id}` : ''}</td>
+                                        <td style={{ maxWidth: '300px', overflow: 'hidden', textOverflow: 'ellipsis' }} title={typeof log.details === 'string' ? log.details : JSON.stringify(log.details)}>{formatDetails(log.details)}</td>
+                                        <td className="text-muted">{log.ip_address}</td>
+                                    </tr>
+                                ))
+                            ) : (
+                                <tr><td colSpan="6" className="text-center text-muted">No logs found</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <Pagination paging={paging} />
+            </div>
+        </div>
+    );
+}
+
+// Inventory Component
+function Inventory() {
+    const user = useContext(AuthContext);
+    const [items, setItems] = useState([]);
+    const [stats, setStats] = useState({ total_items: 0, total_stock: 0, total_value: 0, low_stock_count: 0 });
+    const [loading, setLoading] = useState(true);
+    const [showModal, setShowModal] = useState(false);
+    const [showUseModal, setShowUseModal] = useState(false);
+    const [issueItem, setIssueItem] = useState(null);
+    const [editItem, setEditItem] = useState(null);
+    const [filter, setFilter] = useState('');
+    const paging = usePaging({ sort: 'id', resetOn: [filter] });
+
+    useEffect(() => {
+        loadStats();
+    }, []);
+
+    useEffect(() => {
+        loadInventory();
+    }, [filter, paging.page, paging.limit, paging.sort]);
+
+    const loadInventory = async () => {
+        try {
+            const params = new URLSearchParams();
+            if (filter) params.append('category', filter);
+
+            const response = await fetchAPI(`/inventory?${paging.apply(params)}`);
+            setItems(response.data);
+            paging.setPagination(response.pagination);
+        } catch (error) {
+            console.error('Failed to load inventory:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadStats = async () => {
+        try {
+            const response = await fetchAPI('/inventory/stats');
+            setStats(response.data);
+        } catch (error) {
+            console.error('Failed to load stats:', error);
+        }
+    };
+
+    const handleSave = async (form) => {
+        try {
+            if (editItem) {
+                await fetchAPI(`/inventory/${editItem.item_id}`, { method: 'PUT', body: JSON.stringify(form) });
+            } else {
+                await fetchAPI('/inventory', { method: 'POST', body: JSON.stringify(form) });
+            }
+            setShowModal(false);
+            setEditItem(null);
+            loadInventory();
+            loadStats();
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
-    const getActionBadgeStyle = (action) => {
-        const lowerAction = action.toLowerCase();
-        if (lowerAction.includes('delete') || lowerAction.includes('remove')) {
-            return { background: '#E53E3E', color: 'white' };
-        }
-        if (lowerAction.includes('deactivate') || lowerAction.includes('inactive')) {
-            return { background: '#ED8936', color: 'white' };
-        }
-        if (lowerAction.includes('reactivate')) {
-            return { background: '#48BB78', color: 'white' };
-        }
-        if (lowerAction.includes('password') || lowerAction.includes('reset')) {
-            return { background: '#805AD5', color: 'white' };
-        }
-        if (lowerAction.includes('create')) {
-            return { background: '#3182CE', color: 'white' };
-        }
-        if (lowerAction.includes('update') || lowerAction.includes('edit')) {
-            return { background: '#319795', color: 'white' };
+    const handleDelete = async (id) => {
+        if (!window.confirm('Delete this item?')) return;
+        try {
+            await fetchAPI(`/inventory/${id}`, { method: 'DELETE' });
+            loadInventory();
+            loadStats();
+        } catch (error) {
+            alert(error.message);
         }
-        if (lowerAction.includes('login')) {
-            return { background: '#38A169', color: 'white' };
+    };
+
+    const handleUseItem = async (form) => {
+        try {
+            await fetchAPI(`/inventory/${editItem.item_id}/use`, {
+                method: 'POST',
+                body: JSON.stringify(form)
+            });
+            setShowUseModal(false);
+            setEditItem(null);
+            loadInventory();
+            loadStats();
+        } catch (error) {
+            alert(error.message);
         }
-        if (lowerAction.includes('logout')) {
-            return { background: '#718096', color: 'white' };
+    };
+
+    const categories = ['Routers', 'Switches', 'Cables', 'Fiber Optics', 'Antennas', 'Network Cards', 'Tools'];
+
+    const handleIssue = async (data) => {
+        try {
+            await fetchAPI('/inventory/issue', {
+                method: 'POST',
+                body: JSON.stringify({
+                    item_id: data.itemId,
+                    technician_id: data.technicianId,
+                    quantity: parseInt(data.quantity),
+                    notes: data.notes
+                }),
+            });
+            setIssueItem(null);
+            loadInventory();
+            loadStats();
+            alert('Item issued successfully');
+        } catch (error) {
+            alert(error.message);
         }
-        return { background: '#A0AEC0', color: 'white' };
     };
 
     const handlePrint = () => { window.print(); };
 
-    const handleExport = () => {
-        const csv = [
-            ['Timestamp', 'User', 'Role', 'Action', 'Entity Type', 'Entity ID', 'Details', 'IP Address'],
-            ...logs.map(log => [
-                log.created_at,
-                log.user_name,
-                log.user_email,
-                log.action,
-                log.entity_type,
-                log.entity_id,
-                `"${String(log.details).replace(/"/g, '""')}"`,
-                log.ip_address
-            ])
-        ].map(e => e.join(',')).join('\n');
-
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `audit_logs_${new Date().toISOString().slice(0, 10)}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-    };
 
     return (
         <div>
             <div className="page-header">
-                <h1 className="page-title">Audit Trail</h1>
-                <p className="page-subtitle">Track all system activity</p>
+                <h1 className="page-title">Inventory Management</h1>
+                <p className="page-subtitle">Track parts, equipment, and stock levels</p>
+            </div>
+
+            <div className="stats-grid" style={{ marginBottom: '2rem' }}>
+                <div className="stat-card">
+                    <div className="stat-icon primary"><Package size={24} color="white" /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{stats.total_items}</div>
+                        <div className="stat-label">Total Items</div>
+                    </div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon success"><BarChart2 size={24} color="white" /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{stats.total_stock}</div>
+                        <div className="stat-label">Total Stock</div>
+                    </div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon danger"><AlertTriangle size={24} color="white" /></div>
+                    <div className="stat-content">
+                        <div className="stat-value">{stats.low_stock_count}</div>
+                        <div className="stat-label">Low Stock Items</div>
+                    </div>
+                </div>
+                {user?.role !== 'Technician' && (
+                    <div className="stat-card">
+                        <div className="stat-icon warning"><Coins size={24} color="white" /></div>
+                        <div className="stat-content">
+                            <div className="stat-value">Ksh {stats.total_value.toLocaleString()}</div>
+                            <div className="stat-label">Total Value</div>
+                        </div>
+                    </div>
+                )}
             </div>
 
             <div className="action-bar">
                 <div className="filter-group">
-                    <select className="filter-select" value={filter.entity_type} onChange={(e) => setFilter({ ...filter, entity_type: e.target.value })}>
-                        <option value="">All Entities</option>
-                        <option value="Fault">Faults</option>
-                        <option value="Report">Reports</option>
-                        <option value="User">Users</option>
-                        <option value="Component">Components</option>
-                        <option value="Inventory">Inventory</option>
-                        <option value="Maintenance">Maintenance</option>
-                    </select>
-                    <select className="filter-select" value={filter.action} onChange={(e) => setFilter({ ...filter, action: e.target.value })}>
-                        <option value="">All Actions</option>
-                        <option value="LOGIN">Login</option>
-                        <option value="LOGOUT">Logout</option>
-                        <option value="CREATE">Creates</option>
-                        <option value="UPDATE">Updates</option>
-                        <option value="DELETE">Deletes</option>
-                        <option value="DEACTIVATE">Deactivations</option>
-                        <option value="PASSWORD">Password Resets</option>
-                    </select>
+                    <span style={{ marginRight: '0.5rem' }}>Stock by Category:</span>
+                    <button className={`btn btn-sm ${!filter ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setFilter('')}>All</button>
+                    {categories.map(cat => (
+                        <button key={cat} className={`btn btn-sm ${filter === cat ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setFilter(cat)}>{cat}</button>
+                    ))}
                 </div>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
                     <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
-                    <button className="btn btn-secondary" onClick={handleExport}>Export CSV</button>
-                    <button className="btn btn-secondary" onClick={loadLogs}>Refresh</button>
+                    <ExportButton resource="inventory" params={{ category: filter, sort: paging.sort }} />
+                    {user?.role === 'Admin' && (
+                        <button className="btn btn-primary" onClick={() => { setEditItem(null); setShowModal(true); }}>+ Add Item</button>
+                    )}
                 </div>
             </div>
 
-            {/* Legend */}
-            <div className="card mb-3" style={{ padding: '0.75rem 1rem', display: 'flex', flexWrap: 'wrap', gap: '1rem', fontSize: '0.85rem' }}>
-                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#E53E3E', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Deletion</span>
-                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#ED8936', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Deactivation</span>
-                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#48BB78', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Reactivation</span>
-                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#805AD5', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Password Reset</span>
-                <span><span style={{ display: 'inline-block', width: 16, height: 16, background: '#3182CE', borderRadius: 3, marginRight: 6, verticalAlign: 'middle' }}></span>Creation</span>
-            </div>
-
-            <div className="card">
-                <div className="table-responsive">
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
                     <table className="table">
                         <thead>
                             <tr>
-                                <th>Timestamp</th>
-                                <th>User</th>
-                                <th>Action</th>
-                                <th>Entity</th>
-                                <th>Details</th>
-                                <th>IP</th>
+                                <SortHeader label="Code" field="id" paging={paging} />
+                                <SortHeader label="Item" field="name" paging={paging} />
+                                <SortHeader label="Type" field="category" paging={paging} />
+                                <SortHeader label="Stock" field="quantity" paging={paging} />
+                                <th>Min Level</th>
+                                {user?.role !== 'Technician' && <SortHeader label="Unit Cost" field="unit_cost" paging={paging} />}
+                                <SortHeader label="Location" field="location" paging={paging} />
+                                <th>Actions</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {loading ? (
-                                <tr><td colSpan="6" className="text-center">Loading...</td></tr>
-                            ) : logs.length > 0 ? (
-                                logs.map(log => (
-                                    <tr key={log.log_id} style={getActionStyle(log.action)}>
-                                        <td>{new Date(log.created_at).toLocaleString()}</td>
-                                        <td>
-                                            <div style={{ fontWeight: 500 }}>{log.user_name}</div>
-                                            <div className="text-muted" style={{ fontSize: '0.75rem' }}>{log.user_email}</div>
-                                        </td>
-                                        <td><span className="badge" style={getActionBadgeStyle(log.action)}>{log.action}</span></td>
-                                        <td>{log.entity_type} {log.entity_id ? `#${log.entity_id}` : ''}</td>
-                                        <td style={{ maxWidth: '300px', overflow: 'hidden', textOverflow: 'ellipsis' }} title={typeof log.details === 'string' ? log.details : JSON.stringify(log.details)}>{formatDetails(log.details)}</td>
-                                        <td className="text-muted">{log.ip_address}</td>
-                                    </tr>
-                                ))
-                            ) : (
-                                <tr><td colSpan="6" className="text-center text-muted">No logs found</td></tr>
+                            {items.map(item => (
+                                <tr key={item.item_id} style={item.low_stock ? { background: 'rgba(237, 137, 54, 0.1)' } : {}}>
+                                    <td>INV-{String(item.item_id).padStart(3, '0')}</td>
+                                    <td style={{ fontWeight: 500 }}>{item.name}</td>
+                                    <td><span className="badge">{item.category}</span></td>
+                                    <td style={{ color: item.low_stock ? '#ED8936' : 'inherit', fontWeight: item.low_stock ? 'bold' : 'normal' }}>{item.quantity}</td>
+                                    <td>{item.min_level}</td>
+                                    {user?.role !== 'Technician' && <td>Ksh {parseFloat(item.unit_cost).toLocaleString()}</td>}
+                                    <td>{item.location || '-'}</td>
+                                    <td>
+                                        <div className="d-flex gap-1">
+                                            {user?.role === 'Technician' && (
+                                                <button className="btn btn-primary btn-sm" onClick={() => { setEditItem(item); setShowUseModal(true); }}>Use</button>
+                                            )}
+                                            {user?.role !== 'Technician' && (
+                                                <>
+                                                    <button className="btn btn-secondary btn-sm" style={{ color: 'var(--primary)', borderColor: 'var(--primary)' }} onClick={() => setIssueItem(item)}>Issue</button>
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => { setEditItem(item); setShowModal(true); }}>Edit</button>
+                                                </>
+                                            )}
+                                            {user?.role === 'Admin' && (
+                                                <button className="btn btn-danger btn-sm" onClick={() => handleDelete(item.item_id)}>Delete</button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {items.length === 0 && (
+                                <tr><td colSpan="8" className="text-center text-muted">No items found</td></tr>
                             )}
                         </tbody>
                     </table>
+                    <Pagination paging={paging} />
+                </div>
+            )}
+
+            {showModal && (
+                <InventoryModal
+                    item={editItem}
+                    categories={categories}
+                    onClose={() => { setShowModal(false); setEditItem(null); }}
+                    onSave={handleSave}
+                />
+            )}
+
+            {showUseModal && (
+                <UseInventoryModal
+                    item={editItem}
+                    onClose={() => { setShowUseModal(false); setEditItem(null); }}
+                    onUse={handleUseItem}
+                />
+            )}
+            {issueItem && (
+                <IssueItemModal
+                    item={issueItem}
+                    onClose={() => setIssueItem(null)}
+                    onSave={handleIssue}
+                />
+            )}
+        </div>
+    );
+}
+
+function InventoryModal({ item, categories, onClose, onSave }) {
+    const [form, setForm] = useState({
+        name: item?.name || '',
+        category: item?.category || 'Spare Parts',
+        quantity: item?.quantity || 0,
+        min_level: item?.min_level || 5,
+        unit_cost: item?.unit_cost || 0,
+        location: item?.location || ''
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(form);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{item ? 'Edit Item' : 'Add Inventory Item'}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-body">
+                        <div className="form-group">
+                            <label className="form-label">Item Name *</label>
+                            <input className="form-input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Category *</label>
+                                <select className="form-input" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
+                                    {categories.map(c => <option key={c} value={c}>{c}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Quantity</label>
+                                <input type="number" min="0" className="form-input" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: parseInt(e.target.value) || 0 })} />
+                            </div>
+                        </div>
+                        <div className="grid-2">
+                            <div className="form-group">
+                                <label className="form-label">Min Stock Level</label>
+                                <input type="number" min="0" className="form-input" value={form.min_level} onChange={(e) => setForm({ ...form, min_level: parseInt(e.target.value) || 0 })} />
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Unit Cost (Ksh)</label>
+                                <input type="number" min="0" step="0.01" className="form-input" value={form.unit_cost} onChange={(e) => setForm({ ...form, unit_cost: parseFloat(e.target.value) || 0 })} />
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Warehouse Location</label>
+                            <input className="form-input" value={form.location} onChange={(e) => setForm({ ...form, location: e.target.value })} placeholder="e.g., Warehouse A, Shelf 3" />
+                        </div>
+                    </div>
+                    <div className="modal-footer">
+                        <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="btn btn-primary">{item ? 'Update' : 'Add Item'}</button>
+                    </div>
+                </form>
             </div>
         </div>
     );
 }
 
-// Inventory Component
-function Inventory() {
-    const user = useContext(AuthContext);
-    const [items, setItems] = useState([]);
-    const [stats, setStats] = useState({ total_items: 0, total_stock: 0, total_value: 0, low_stock_count: 0 });
+// Status colours shared by the topology diagram and the map link lines
+const TOPOLOGY_COLORS = {
+    Active: '#48BB78',
+    Maintenance: '#805AD5',
+    Faulty: '#E53E3E',
+    Inactive: '#A0AEC0'
+};
+
+// Assigns each linked node a layer (longest path from a root) and an order within it
+function layoutTopology(nodes, links) {
+    const parents = new Map();
+    const children = new Map();
+    links.forEach(l => {
+        if (!children.has(l.upstream_component_id)) children.set(l.upstream_component_id, []);
+        if (!parents.has(l.downstream_component_id)) parents.set(l.downstream_component_id, []);
+        children.get(l.upstream_component_id).push(l.downstream_component_id);
+        parents.get(l.downstream_component_id).push(l.upstream_component_id);
+    });
+
+    const depth = new Map();
+    const remaining = new Map(nodes.map(n => [n.component_id, (parents.get(n.component_id) || []).length]));
+    const queue = nodes.filter(n => remaining.get(n.component_id) === 0).map(n => n.component_id);
+    queue.forEach(id => depth.set(id, 0));
+    while (queue.length > 0) {
+        const id = queue.shift();
+        (children.get(id) || []).forEach(child => {
+            depth.set(child, Math.max(depth.get(child) || 0, depth.get(id) + 1));
+            remaining.set(child, remaining.get(child) - 1);
+            if (remaining.get(child) === 0) queue.push(child);
+        });
+    }
+
+    const layers = [];
+    nodes.forEach(n => {
+        const d = depth.get(n.component_id) || 0;
+        if (!layers[d]) layers[d] = [];
+        layers[d].push(n);
+    });
+
+    // Order each layer by the average position of its parents to keep edges from crossing
+    const position = new Map();
+    layers.forEach(layer => {
+        layer.sort((a, b) => {
+            const avg = (n) => {
+                const p = (parents.get(n.component_id) || []).filter(id => position.has(id));
+                return p.length ? p.reduce((sum, id) => sum + position.get(id), 0) / p.length : 0;
+            };
+            return avg(a) - avg(b) || a.name.localeCompare(b.name);
+        });
+        layer.forEach((n, i) => position.set(n.component_id, i - (layer.length - 1) / 2));
+    });
+
+    return layers;
+}
+
+function NetworkTopology() {
+    const { role } = useContext(AuthContext) || {};
+    const [graph, setGraph] = useState({ nodes: [], links: [] });
     const [loading, setLoading] = useState(true);
-    const [showModal, setShowModal] = useState(false);
-    const [showUseModal, setShowUseModal] = useState(false);
-    const [issueItem, setIssueItem] = useState(null);
-    const [editItem, setEditItem] = useState(null);
-    const [filter, setFilter] = useState('');
+    const [showUnlinked, setShowUnlinked] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [impact, setImpact] = useState(null);
+    const [detail, setDetail] = useState(null);
+    const [linkForm, setLinkForm] = useState({ peer_id: '', direction: 'downstream', medium: 'Copper', capacity_mbps: '', upstream_port: '', downstream_port: '' });
+
+    const canEdit = role === 'Admin' || role === 'Manager' || role === 'Technician';
 
     useEffect(() => {
-        loadInventory();
-        loadStats();
+        loadGraph();
     }, []);
 
-    const loadInventory = async () => {
+    const loadGraph = async () => {
         try {
-            const response = await fetchAPI('/inventory');
-            setItems(response.data);
+            const response = await fetchAPI('/components/topology/graph');
+            setGraph(response.data);
         } catch (error) {
-            console.error('Failed to load inventory:', error);
+            console.error('Failed to load topology:', error);
         } finally {
             setLoading(false);
         }
     };
 
-    const loadStats = async () => {
+    const selectNode = (componentId) => {
+        if (selected === componentId) {
+            setSelected(null);
+            setImpact(null);
+            setDetail(null);
+            return;
+        }
+        setSelected(componentId);
+        loadDetail(componentId);
+    };
+
+    const loadDetail = async (componentId) => {
         try {
-            const response = await fetchAPI('/inventory/stats');
-            setStats(response.data);
+            const [componentRes, impactRes, linksRes] = await Promise.all([
+                fetchAPI(`/components/${componentId}`),
+                fetchAPI(`/components/${componentId}/impact`),
+                fetchAPI(`/components/${componentId}/links`)
+            ]);
+            setDetail({ ...componentRes.data, links: linksRes.data });
+            setImpact(impactRes.data);
         } catch (error) {
-            console.error('Failed to load stats:', error);
+            console.error('Failed to load component detail:', error);
         }
     };
 
-    const handleSave = async (form) => {
+    const refreshSelected = async () => {
+        await loadGraph();
+        if (selected) loadDetail(selected);
+    };
+
+    const handleAddLink = async (e) => {
+        e.preventDefault();
+        const key = linkForm.direction === 'downstream' ? 'downstream_component_id' : 'upstream_component_id';
         try {
-            if (editItem) {
-                await fetchAPI(`/inventory/${editItem.item_id}`, { method: 'PUT', body: JSON.stringify(form) });
-            } else {
-                await fetchAPI('/inventory', { method: 'POST', body: JSON.stringify(form) });
-            }
-            setShowModal(false);
-            setEditItem(null);
-            loadInventory();
-            loadStats();
+            await fetchAPI(`/components/${selected}/links`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    [key]: Number(linkForm.peer_id),
+                    medium: linkForm.medium,
+                    capacity_mbps: linkForm.capacity_mbps || null,
+                    upstream_port: linkForm.upstream_port,
+                    downstream_port: linkForm.downstream_port
+                })
+            });
+            setLinkForm({ ...linkForm, peer_id: '', capacity_mbps: '', upstream_port: '', downstream_port: '' });
+            refreshSelected();
         } catch (error) {
             alert(error.message);
         }
     };
 
-    const handleDelete = async (id) => {
-        if (!window.confirm('Delete this item?')) return;
+    const handleDeleteLink = async (linkId) => {
+        if (!confirm('Remove this link?')) return;
         try {
-            await fetchAPI(`/inventory/${id}`, { method: 'DELETE' });
-            loadInventory();
-            loadStats();
+            await fetchAPI(`/components/${selected}/links/${linkId}`, { method: 'DELETE' });
+            refreshSelected();
         } catch (error) {
             alert(error.message);
         }
     };
 
-    const handleUseItem = async (form) => {
+    if (loading) {
+        return <div className="loading-container"><div className="spinner"></div></div>;
+    }
+
+    const linkedIds = new Set(graph.links.flatMap(l => [l.upstream_component_id, l.downstream_component_id]));
+    const visibleNodes = graph.nodes.filter(n => showUnlinked || linkedIds.has(n.component_id));
+    const layers = layoutTopology(visibleNodes, graph.links);
+
+    const NODE_W = 150, NODE_H = 46, GAP_X = 30, GAP_Y = 70, PAD = 20;
+    const widest = Math.max(1, ...layers.map(l => l.length));
+    const width = PAD * 2 + widest * NODE_W + (widest - 1) * GAP_X;
+    const height = PAD * 2 + layers.length * NODE_H + Math.max(0, layers.length - 1) * GAP_Y;
+
+    const coords = new Map();
+    layers.forEach((layer, depth) => {
+        const rowWidth = layer.length * NODE_W + (layer.length - 1) * GAP_X;
+        const startX = (width - rowWidth) / 2;
+        layer.forEach((n, i) => coords.set(n.component_id, {
+            x: startX + i * (NODE_W + GAP_X),
+            y: PAD + depth * (NODE_H + GAP_Y)
+        }));
+    });
+
+    // Blast radius of the selected node
+    const blast = new Map((impact?.downstream || []).map(c => [c.component_id, c.impact]));
+    const inBlast = (id) => id === selected || blast.has(id);
+
+    return (
+        <div>
+            <div className="page-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap' }}>
+                <div>
+                    <h1 className="page-title">Network Topology</h1>
+                    <p className="page-subtitle">How components feed each other. Select a node to see what depends on it.</p>
+                </div>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem' }}>
+                    <input type="checkbox" checked={showUnlinked} onChange={(e) => setShowUnlinked(e.target.checked)} />
+                    Show unlinked components
+                </label>
+            </div>
+
+            <div className="d-flex gap-2 mb-3" style={{ flexWrap: 'wrap', fontSize: '0.85rem' }}>
+                {Object.entries(TOPOLOGY_COLORS).map(([status, color]) => (
+                    <span key={status} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                        <span style={{ width: 12, height: 12, borderRadius: 3, background: color, display: 'inline-block' }}></span> {status}
+                    </span>
+                ))}
+                <span className="text-muted">Red count = open faults</span>
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: selected ? '1fr 340px' : '1fr', gap: '1rem', alignItems: 'start' }}>
+                <div className="card" style={{ padding: 0, overflow: 'auto', maxHeight: '70vh' }}>
+                    {visibleNodes.length === 0 ? (
+                        <div style={{ padding: '2rem', textAlign: 'center' }}>
+                            <p className="text-muted">No links have been defined yet.</p>
+                            <button className="btn btn-secondary" onClick={() => setShowUnlinked(true)}>Show all components</button>
+                        </div>
+                    ) : (
+                        <svg width={width} height={height} style={{ display: 'block', margin: '0 auto' }}>
+                            <defs>
+                                <marker id="topology-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                                    <path d="M 0 0 L 10 5 L 0 10 z" fill="#6b7c4a" />
+                                </marker>
+                            </defs>
+                            {graph.links.map(l => {
+                                const from = coords.get(l.upstream_component_id);
+                                const to = coords.get(l.downstream_component_id);
+                                if (!from || !to) return null;
+                                const highlighted = selected && inBlast(l.upstream_component_id) && blast.has(l.downstream_component_id);
+                                return (
+                                    <line
+                                        key={l.link_id}
+                                        x1={from.x + NODE_W / 2} y1={from.y + NODE_H}
+                                        x2={to.x + NODE_W / 2} y2={to.y}
+                                        stroke={highlighted ? '#E53E3E' : '#6b7c4a'}
+                                        strokeWidth={highlighted ? 3 : 1.5}
+                                        strokeDasharray={l.medium === 'Wireless' ? '6 4' : undefined}
+                                        opacity={selected && !highlighted ? 0.35 : 1}
+                                        markerEnd="url(#topology-arrow)"
+                                    >
+                                        <title>{`${l.medium}${l.capacity_mbps ? `, ${l.capacity_mbps} Mbps` : ''}${l.upstream_port ? `, ${l.upstream_port} → ${l.downstream_port || '?'}` : ''}`}</title>
+                                    </line>
+                                );
+                            })}
+                            {visibleNodes.map(n => {
+                                const { x, y } = coords.get(n.component_id);
+                                const dimmed = selected && !inBlast(n.component_id);
+                                const ring = n.component_id === selected ? '#283618' : blast.get(n.component_id) === 'isolated' ? '#E53E3E' : blast.get(n.component_id) === 'degraded' ? '#DDA15E' : 'transparent';
+                                return (
+                                    <g key={n.component_id} transform={`translate(${x}, ${y})`} onClick={() => selectNode(n.component_id)} style={{ cursor: 'pointer' }} opacity={dimmed ? 0.35 : 1}>
+                                        <rect width={NODE_W} height={NODE_H} rx="8" fill="#FEFAE0" stroke={ring === 'transparent' ? TOPOLOGY_COLORS[n.status] : ring} strokeWidth={ring === 'transparent' ? 2 : 4} />
+                                        <rect width="8" height={NODE_H} rx="4" fill={TOPOLOGY_COLORS[n.status]} />
+                                        <text x="16" y="19" fontSize="12" fontWeight="600" fill="#283618">{n.name.length > 18 ? `${n.name.slice(0, 17)}…` : n.name}</text>
+                                        <text x="16" y="35" fontSize="11" fill="#6b7c4a">{n.type} · {n.status}</text>
+                                        {n.open_faults > 0 && (
+                                            <g transform={`translate(${NODE_W - 12}, 0)`}>
+                                                <circle r="10" fill="#E53E3E" />
+                                                <text textAnchor="middle" y="4" fontSize="11" fontWeight="700" fill="white">{n.open_faults}</text>
+                                            </g>
+                                        )}
+                                        <title>{`${n.name} (${n.status})${n.ip_address ? ` ${n.ip_address}` : ''}`}</title>
+                                    </g>
+                                );
+                            })}
+                        </svg>
+                    )}
+                </div>
+
+                {selected && detail && (
+                    <div className="card">
+                        <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <h3 className="card-title">{detail.name}</h3>
+                            <button className="modal-close" onClick={() => selectNode(selected)}>&times;</button>
+                        </div>
+                        <div style={{ padding: '1rem', fontSize: '0.9rem' }}>
+                            <div className="mb-3">
+                                <span className={`badge status-${detail.status.toLowerCase()}`}>{detail.status}</span>{' '}
+                                <span className="badge badge-info">{detail.type}</span>
+                                <div className="text-muted" style={{ marginTop: '0.5rem' }}>
+                                    {detail.location}{detail.ip_address ? ` · ${detail.ip_address}` : ''}
+                                </div>
+                            </div>
+
+                            <h4 style={{ fontSize: '0.95rem', marginBottom: '0.25rem' }}>Blast radius</h4>
+                            {impact && impact.downstream.length > 0 ? (
+                                <>
+                                    <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                        If {detail.name} fails, {impact.isolated_count} component(s) lose service and {impact.degraded_count} lose redundancy.
+                                    </p>
+                                    <ul style={{ paddingLeft: '1.2rem', marginBottom: '1rem' }}>
+                                        {impact.downstream.map(c => (
+                                            <li key={c.component_id}>
+                                                {c.name} <span style={{ color: c.impact === 'isolated' ? '#E53E3E' : '#BC6C25', fontSize: '0.8rem' }}>({c.impact})</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            ) : (
+                                <p className="text-muted" style={{ fontSize: '0.85rem' }}>Nothing downstream depends on this component.</p>
+                            )}
+
+                            <h4 style={{ fontSize: '0.95rem', marginBottom: '0.25rem' }}>Open faults</h4>
+                            {detail.active_faults.filter(f => f.status !== 'Resolved').length > 0 ? (
+                                <ul style={{ paddingLeft: '1.2rem', marginBottom: '1rem' }}>
+                                    {detail.active_faults.filter(f => f.status !== 'Resolved').map(f => (
+                                        <li key={f.fault_id}>
+                                            <Link to={`/faults?highlight=${f.fault_id}`}>FLT-{String(f.fault_id).padStart(3, '0')}</Link> {f.title} ({f.status})
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className="text-muted" style={{ fontSize: '0.85rem' }}>None</p>
+                            )}
+
+                            <h4 style={{ fontSize: '0.95rem', marginBottom: '0.25rem' }}>Links</h4>
+                            <ul style={{ paddingLeft: '1.2rem', marginBottom: '1rem' }}>
+                                {detail.links.map(l => (
+                                    <li key={l.link_id}>
+                                        {l.direction === 'downstream' ? `Feeds ${l.downstream_name}` : `Fed by ${l.upstream_name}`}
+                                        <span className="text-muted" style={{ fontSize: '0.8rem' }}> · {l.medium}{l.capacity_mbps ? ` ${l.capacity_mbps} Mbps` : ''}</span>
+                                        {canEdit && (
+                                            <button className="btn btn-sm btn-secondary" style={{ marginLeft: 6, padding: '0 6px' }} onClick={() => handleDeleteLink(l.link_id)}>&times;</button>
+                                        )}
+                                    </li>
+                                ))}
+                                {detail.links.length === 0 && <li className="text-muted">No links</li>}
+                            </ul>
+
+                            {canEdit && (
+                                <form onSubmit={handleAddLink} style={{ padding: '0.75rem', background: 'rgba(0,0,0,0.03)', borderRadius: '8px' }}>
+                                    <div className="form-group">
+                                        <label className="form-label">Add link</label>
+                                        <div className="d-flex gap-1">
+                                            <select className="form-select" style={{ flex: 1 }} value={linkForm.direction} onChange={(e) => setLinkForm({ ...linkForm, direction: e.target.value })}>
+                                                <option value="downstream">Feeds</option>
+                                                <option value="upstream">Fed by</option>
+                                            </select>
+                                            <select className="form-select" style={{ flex: 2 }} value={linkForm.peer_id} onChange={(e) => setLinkForm({ ...linkForm, peer_id: e.target.value })} required>
+                                                <option value="">Select component</option>
+                                                {graph.nodes.filter(n => n.component_id !== selected).map(n => (
+                                                    <option key={n.component_id} value={n.component_id}>{n.name}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    </div>
+                                    <div className="grid-2">
+                                        <div className="form-group">
+                                            <label className="form-label">Medium</label>
+                                            <select className="form-select" value={linkForm.medium} onChange={(e) => setLinkForm({ ...linkForm, medium: e.target.value })}>
+                                                <option value="Copper">Copper</option>
+                                                <option value="Fiber">Fiber</option>
+                                                <option value="Wireless">Wireless</option>
+                                                <option value="Virtual">Virtual</option>
+                                            </select>
+                                        </div>
+                                        <div className="form-group">
+                                            <label className="form-label">Capacity (Mbps)</label>
+                                            <input type="number" min="1" className="form-input" value={linkForm.capacity_mbps} onChange={(e) => setLinkForm({ ...linkForm, capacity_mbps: e.target.value })} />
+                                        </div>
+                                    </div>
+                                    <div className="grid-2">
+                                        <div className="form-group">
+                                            <label className="form-label">Upstream port</label>
+                                            <input className="form-input" value={linkForm.upstream_port} onChange={(e) => setLinkForm({ ...linkForm, upstream_port: e.target.value })} placeholder="Gi0/1" />
+                                        </div>
+                                        <div className="form-group">
+                                            <label className="form-label">Downstream port</label>
+                                            <input className="form-input" value={linkForm.downstream_port} onChange={(e) => setLinkForm({ ...linkForm, downstream_port: e.target.value })} placeholder="uplink" />
+                                        </div>
+                                    </div>
+                                    <button type="submit" className="btn btn-primary btn-sm">Add Link</button>
+                                </form>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const RISK_BADGES = {
+    'Low': 'badge-secondary',
+    'Medium': 'badge-info',
+    'High': 'badge-warning',
+    'Critical': 'badge-danger'
+};
+
+const CHANGE_BADGES = {
+    'Pending': 'badge-warning',
+    'Approved': 'badge-info',
+    'Applied': 'badge-success',
+    'Failed': 'badge-danger',
+    'Rejected': 'badge-danger',
+    'Cancelled': 'badge-secondary'
+};
+
+function ChangeRequests() {
+    const { role, user_id } = useContext(AuthContext) || {};
+    const [changes, setChanges] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [status, setStatus] = useState('');
+    const isReviewer = role === 'Admin' || role === 'Manager';
+
+    useEffect(() => {
+        loadChanges();
+    }, [status]);
+
+    const loadChanges = async () => {
         try {
-            await fetchAPI(`/inventory/${editItem.item_id}/use`, {
+            const res = await fetchAPI(`/change-requests${status ? `?status=${status}` : ''}`);
+            setChanges(res.data || []);
+        } catch (error) {
+            console.error('Failed to load change requests:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const act = async (change, action) => {
+        let body = {};
+        if (action === 'reject') {
+            body = { note: window.prompt('Reason for rejecting (optional):') || null };
+        } else if (action === 'approve' && !window.confirm(`Approve CHG-${String(change.change_id).padStart(3, '0')}?`)) {
+            return;
+        } else if (action === 'cancel' && !window.confirm('Cancel this change request?')) {
+            return;
+        }
+        try {
+            const res = await fetchAPI(`/change-requests/${change.change_id}/${action}`, {
                 method: 'POST',
-                body: JSON.stringify(form)
+                body: JSON.stringify(body)
             });
-            setShowUseModal(false);
-            setEditItem(null);
-            loadInventory();
-            loadStats();
+            alert(res.message);
+            loadChanges();
         } catch (error) {
             alert(error.message);
         }
     };
 
-    const categories = ['Routers', 'Switches', 'Cables', 'Fiber Optics', 'Antennas', 'Network Cards', 'Tools'];
+    const show = (value) => (value === null || value === '' ? '(empty)' : value);
+
+    return (
+        <div>
+            <div className="page-header">
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <div>
+                        <h1 className="page-title">Change Requests</h1>
+                        <p className="page-subtitle">Reviewed changes to component addresses, status and configuration</p>
+                    </div>
+                    <select className="form-select" style={{ width: 'auto' }} value={status} onChange={e => setStatus(e.target.value)}>
+                        <option value="">All statuses</option>
+                        {Object.keys(CHANGE_BADGES).map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="loading-container"><div className="spinner"></div></div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>ID</th>
+                                <th>Change</th>
+                                <th>Proposed Values</th>
+                                <th>Risk</th>
+                                <th>Apply At</th>
+                                <th>Requested By</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {changes.map(change => {
+                                const mine = Number(change.requested_by) === Number(user_id);
+                                const open = change.status === 'Pending' || change.status === 'Approved';
+                                return (
+                                    <tr key={change.change_id}>
+                                        <td style={{ fontWeight: 500 }}>{`CHG-${String(change.change_id).padStart(3, '0')}`}</td>
+                                        <td>
+                                            <div style={{ fontWeight: 500 }}>{change.title}</div>
+                                            <div className="text-muted" style={{ fontSize: '0.75rem' }}>{change.component_name}</div>
+                                            {change.reason && <div style={{ fontSize: '0.8rem' }}>{change.reason}</div>}
+                                            <div className="text-muted" style={{ fontSize: '0.75rem' }}>Rollback: {change.rollback_plan}</div>
+                                        </td>
+                                        <td style={{ fontSize: '0.8rem' }}>
+                                            {Object.entries(change.proposed_changes).map(([field, value]) => (
+                                                <div key={field}>
+                                                    <strong>{field}</strong>: <span style={{ color: 'var(--accent-danger)', textDecoration: 'line-through' }}>{show(change.original_values[field])}</span>
+                                                    {' → '}<span style={{ color: 'var(--accent-success)' }}>{show(value)}</span>
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td><span className={`badge ${RISK_BADGES[change.risk_level]}`}>{change.risk_level}</span></td>
+                                        <td>{change.scheduled_for ? new Date(change.scheduled_for).toLocaleString() : 'On approval'}</td>
+                                        <td>{change.requested_by_name || '-'}</td>
+                                        <td>
+                                            <span className={`badge ${CHANGE_BADGES[change.status]}`}>{change.status}</span>
+                                            {change.reviewed_by_name && <div className="text-muted" style={{ fontSize: '0.75rem' }}>by {change.reviewed_by_name}</div>}
+                                            {change.review_note && <div className="text-muted" style={{ fontSize: '0.75rem' }}>{change.review_note}</div>}
+                                            {change.apply_result?.error && <div style={{ fontSize: '0.75rem', color: 'var(--accent-danger)' }}>{change.apply_result.error}</div>}
+                                        </td>
+                                        <td>
+                                            <div className="d-flex gap-1">
+                                                {isReviewer && !mine && change.status === 'Pending' && (
+                                                    <>
+                                                        <button className="btn btn-primary btn-sm" onClick={() => act(change, 'approve')}>Approve</button>
+                                                        <button className="btn btn-secondary btn-sm" onClick={() => act(change, 'reject')}>Reject</button>
+                                                    </>
+                                                )}
+                                                {open && (isReviewer || mine) && (
+                                                    <button className="btn btn-danger btn-sm" onClick={() => act(change, 'cancel')}>Cancel</button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                            {changes.length === 0 && (
+                                <tr>
+                                    <td colSpan="8" className="text-center text-muted">No change requests found</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
 
-    const filteredItems = filter ? items.filter(i => i.category === filter) : items;
+const ADDRESS_COLORS = {
+    free: 'var(--bg-tertiary)',
+    used: 'var(--accent-success)',
+    reserved: 'var(--accent-warning)',
+    gateway: 'var(--accent-info)',
+    network: 'var(--border-color)',
+    broadcast: 'var(--border-color)'
+};
 
-    const handleIssue = async (data) => {
+function Ipam() {
+    const { role } = useContext(AuthContext) || {};
+    const [tab, setTab] = useState('subnets');
+    const [subnets, setSubnets] = useState([]);
+    const [conflicts, setConflicts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editing, setEditing] = useState(null);
+    const [mapSubnet, setMapSubnet] = useState(null);
+    const canManage = role === 'Admin' || role === 'Manager';
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    const loadData = async () => {
         try {
-            await fetchAPI('/inventory/issue', {
-                method: 'POST',
-                body: JSON.stringify({
-                    item_id: data.itemId,
-                    technician_id: data.technicianId,
-                    quantity: parseInt(data.quantity),
-                    notes: data.notes
-                }),
-            });
-            setIssueItem(null);
-            loadInventory();
-            loadStats();
-            alert('Item issued successfully');
+            const [subnetRes, conflictRes] = await Promise.all([fetchAPI('/ipam/subnets'), fetchAPI('/ipam/conflicts')]);
+            setSubnets(subnetRes.data || []);
+            setConflicts(conflictRes.data || []);
         } catch (error) {
-            alert(error.message);
+            console.error('Failed to load IPAM data:', error);
+        } finally {
+            setLoading(false);
         }
     };
 
-    const handlePrint = () => { window.print(); };
-
-    const handleExport = () => {
-        const csv = [
-            ['Code', 'Item', 'Category', 'Stock', 'Min Level', 'Unit Cost', 'Location'],
-            ...filteredItems.map(i => [
-                'INV-' + String(i.item_id).padStart(3, '0'),
-                i.name, i.category, i.quantity, i.min_level,
-                i.unit_cost, i.location
-            ])
-        ].map(e => e.join(',')).join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `inventory_${new Date().toISOString().slice(0, 10)}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+    const handleDelete = async (subnet) => {
+        if (!window.confirm(`Delete subnet ${subnet.cidr}? Components keep their addresses.`)) return;
+        try {
+            await fetchAPI(`/ipam/subnets/${subnet.subnet_id}`, { method: 'DELETE' });
+            loadData();
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
     return (
         <div>
             <div className="page-header">
-                <h1 className="page-title">Inventory Management</h1>
-                <p className="page-subtitle">Track parts, equipment, and stock levels</p>
-            </div>
-
-            <div className="stats-grid" style={{ marginBottom: '2rem' }}>
-                <div className="stat-card">
-                    <div className="stat-icon primary"><Package size={24} color="white" /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{stats.total_items}</div>
-                        <div className="stat-label">Total Items</div>
-                    </div>
-                </div>
-                <div className="stat-card">
-                    <div className="stat-icon success"><BarChart2 size={24} color="white" /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{stats.total_stock}</div>
-                        <div className="stat-label">Total Stock</div>
-                    </div>
-                </div>
-                <div className="stat-card">
-                    <div className="stat-icon danger"><AlertTriangle size={24} color="white" /></div>
-                    <div className="stat-content">
-                        <div className="stat-value">{stats.low_stock_count}</div>
-                        <div className="stat-label">Low Stock Items</div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <div>
+                        <h1 className="page-title">IP Address Management</h1>
+                        <p className="page-subtitle">Subnets, VLANs and address allocation</p>
                     </div>
+                    {canManage && (
+                        <button className="btn btn-primary" onClick={() => setEditing({})}>+ Add Subnet</button>
+                    )}
                 </div>
-                {user?.role !== 'Technician' && (
-                    <div className="stat-card">
-                        <div className="stat-icon warning"><Coins size={24} color="white" /></div>
-                        <div className="stat-content">
-                            <div className="stat-value">Ksh {stats.total_value.toLocaleString()}</div>
-                            <div className="stat-label">Total Value</div>
-                        </div>
-                    </div>
-                )}
             </div>
 
-            <div className="action-bar">
-                <div className="filter-group">
-                    <span style={{ marginRight: '0.5rem' }}>Stock by Category:</span>
-                    <button className={`btn btn-sm ${!filter ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setFilter('')}>All</button>
-                    {categories.map(cat => (
-                        <button key={cat} className={`btn btn-sm ${filter === cat ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setFilter(cat)}>{cat}</button>
-                    ))}
-                </div>
-                <div style={{ display: 'flex', gap: '0.5rem' }}>
-                    <button className="btn btn-secondary" onClick={handlePrint}>Print</button>
-                    <button className="btn btn-secondary" onClick={handleExport}>Export CSV</button>
-                    {user?.role === 'Admin' && (
-                        <button className="btn btn-primary" onClick={() => { setEditItem(null); setShowModal(true); }}>+ Add Item</button>
-                    )}
-                </div>
+            <div className="tabs">
+                <button className={`tab ${tab === 'subnets' ? 'active' : ''}`} onClick={() => setTab('subnets')}>Subnets</button>
+                <button className={`tab ${tab === 'conflicts' ? 'active' : ''}`} onClick={() => setTab('conflicts')}>
+                    Conflicts {conflicts.length > 0 && <span className="badge badge-danger">{conflicts.length}</span>}
+                </button>
             </div>
 
             {loading ? (
                 <div className="loading-container"><div className="spinner"></div></div>
-            ) : (
+            ) : tab === 'subnets' ? (
                 <div className="table-container">
                     <table className="table">
                         <thead>
                             <tr>
-                                <th>Code</th>
-                                <th>Item</th>
-                                <th>Type</th>
-                                <th>Stock</th>
-                                <th>Min Level</th>
-                                {user?.role !== 'Technician' && <th>Unit Cost</th>}
-                                <th>Location</th>
+                                <th>Subnet</th>
+                                <th>VLAN</th>
+                                <th>Department</th>
+                                <th>Gateway</th>
+                                <th>Utilization</th>
+                                <th>Next Free</th>
                                 <th>Actions</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {filteredItems.map(item => (
-                                <tr key={item.item_id} style={item.low_stock ? { background: 'rgba(237, 137, 54, 0.1)' } : {}}>
-                                    <td>INV-{String(item.item_id).padStart(3, '0')}</td>
-                                    <td style={{ fontWeight: 500 }}>{item.name}</td>
-                                    <td><span className="badge">{item.category}</span></td>
-                                    <td style={{ color: item.low_stock ? '#ED8936' : 'inherit', fontWeight: item.low_stock ? 'bold' : 'normal' }}>{item.quantity}</td>
-                                    <td>{item.min_level}</td>
-                                    {user?.role !== 'Technician' && <td>Ksh {parseFloat(item.unit_cost).toLocaleString()}</td>}
-                                    <td>{item.location || '-'}</td>
+                            {subnets.map(subnet => {
+                                const { utilization } = subnet;
+                                const percent = utilization.utilization_percent;
+                                return (
+                                    <tr key={subnet.subnet_id}>
+                                        <td>
+                                            <div style={{ fontWeight: 500 }}>{subnet.name}</div>
+                                            <code style={{ fontSize: '0.8rem' }}>{subnet.cidr}</code>
+                                        </td>
+                                        <td>{subnet.vlan_id || '-'}</td>
+                                        <td>{subnet.department_name || '-'}</td>
+                                        <td><code style={{ fontSize: '0.8rem' }}>{subnet.gateway || '-'}</code></td>
+                                        <td style={{ minWidth: '160px' }}>
+                                            <div style={{ height: '8px', background: 'var(--bg-tertiary)', borderRadius: '4px', overflow: 'hidden' }}>
+                                                <div style={{
+                                                    width: `${Math.min(percent, 100)}%`,
+                                                    height: '100%',
+                                                    background: percent >= 90 ? 'var(--accent-danger)' : percent >= 75 ? 'var(--accent-warning)' : 'var(--accent-success)'
+                                                }} />
+                                            </div>
+                                            <div className="text-muted" style={{ fontSize: '0.75rem' }}>
+                                                {percent}% · {utilization.used} used, {utilization.reserved} reserved, {utilization.free} free
+                                            </div>
+                                        </td>
+                                        <td><code style={{ fontSize: '0.8rem' }}>{subnet.next_free || 'Full'}</code></td>
+                                        <td>
+                                            <div className="d-flex gap-1">
+                                                <button className="btn btn-secondary btn-sm" onClick={() => setMapSubnet(subnet)}>Map</button>
+                                                {canManage && (
+                                                    <button className="btn btn-secondary btn-sm" onClick={() => setEditing(subnet)}>Edit</button>
+                                                )}
+                                                {role === 'Admin' && (
+                                                    <button className="btn btn-danger btn-sm" onClick={() => handleDelete(subnet)}>Delete</button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                            {subnets.length === 0 && (
+                                <tr>
+                                    <td colSpan="7" className="text-center text-muted">No subnets defined</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <div className="table-container">
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Address</th>
+                                <th>Problem</th>
+                                <th>Components</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {conflicts.map((conflict, i) => (
+                                <tr key={`${conflict.type}-${conflict.address}-${i}`}>
+                                    <td><code style={{ fontSize: '0.8rem' }}>{conflict.address}</code></td>
                                     <td>
-                                        <div className="d-flex gap-1">
-                                            {user?.role === 'Technician' && (
-                                                <button className="btn btn-primary btn-sm" onClick={() => { setEditItem(item); setShowUseModal(true); }}>Use</button>
-                                            )}
-                                            {user?.role !== 'Technician' && (
-                                                <>
-                                                    <button className="btn btn-secondary btn-sm" style={{ color: 'var(--primary)', borderColor: 'var(--primary)' }} onClick={() => setIssueItem(item)}>Issue</button>
-                                                    <button className="btn btn-secondary btn-sm" onClick={() => { setEditItem(item); setShowModal(true); }}>Edit</button>
-                                                </>
-                                            )}
-                                            {user?.role === 'Admin' && (
-                                                <button className="btn btn-danger btn-sm" onClick={() => handleDelete(item.item_id)}>Delete</button>
-                                            )}
-                                        </div>
+                                        <span className={`badge ${conflict.type === 'duplicate' || conflict.type === 'invalid' ? 'badge-danger' : 'badge-warning'}`}>{conflict.type}</span>
+                                        <div style={{ fontSize: '0.8rem' }}>{conflict.message}</div>
                                     </td>
+                                    <td>{conflict.components.map(c => c.name).join(', ')}</td>
                                 </tr>
                             ))}
-                            {filteredItems.length === 0 && (
-                                <tr><td colSpan="8" className="text-center text-muted">No items found</td></tr>
+                            {conflicts.length === 0 && (
+                                <tr>
+                                    <td colSpan="3" className="text-center text-muted">No address conflicts</td>
+                                </tr>
                             )}
                         </tbody>
                     </table>
                 </div>
             )}
 
-            {showModal && (
-                <InventoryModal
-                    item={editItem}
-                    categories={categories}
-                    onClose={() => { setShowModal(false); setEditItem(null); }}
-                    onSave={handleSave}
-                />
-            )}
-
-            {showUseModal && (
-                <UseInventoryModal
-                    item={editItem}
-                    onClose={() => { setShowUseModal(false); setEditItem(null); }}
-                    onUse={handleUseItem}
+            {editing && (
+                <SubnetModal
+                    subnet={editing.subnet_id ? editing : null}
+                    onClose={() => setEditing(null)}
+                    onSave={() => { setEditing(null); loadData(); }}
                 />
             )}
-            {issueItem && (
-                <IssueItemModal
-                    item={issueItem}
-                    onClose={() => setIssueItem(null)}
-                    onSave={handleIssue}
+            {mapSubnet && (
+                <SubnetMapModal
+                    subnet={mapSubnet}
+                    canManage={canManage}
+                    onClose={() => setMapSubnet(null)}
+                    onChange={loadData}
                 />
             )}
         </div>
     );
 }
 
-function InventoryModal({ item, categories, onClose, onSave }) {
+function SubnetModal({ subnet, onClose, onSave }) {
+    const [departments, setDepartments] = useState([]);
     const [form, setForm] = useState({
-        name: item?.name || '',
-        category: item?.category || 'Spare Parts',
-        quantity: item?.quantity || 0,
-        min_level: item?.min_level || 5,
-        unit_cost: item?.unit_cost || 0,
-        location: item?.location || ''
+        name: subnet?.name || '',
+        cidr: subnet?.cidr || '',
+        vlan_id: subnet?.vlan_id || '',
+        department_id: subnet?.department_id || '',
+        gateway: subnet?.gateway || '',
+        description: subnet?.description || ''
     });
 
-    const handleSubmit = (e) => {
+    useEffect(() => {
+        fetchAPI('/departments').then(res => setDepartments(res.data));
+    }, []);
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        onSave(form);
+        try {
+            await fetchAPI(subnet ? `/ipam/subnets/${subnet.subnet_id}` : '/ipam/subnets', {
+                method: subnet ? 'PUT' : 'POST',
+                body: JSON.stringify(form)
+            });
+            onSave();
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal" onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h3 className="modal-title">{item ? 'Edit Item' : 'Add Inventory Item'}</h3>
+                    <h3 className="modal-title">{subnet ? `Edit ${subnet.cidr}` : 'Add Subnet'}</h3>
                     <button className="modal-close" onClick={onClose}>&times;</button>
                 </div>
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
-                        <div className="form-group">
-                            <label className="form-label">Item Name *</label>
-                            <input className="form-input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
-                        </div>
                         <div className="grid-2">
                             <div className="form-group">
-                                <label className="form-label">Category *</label>
-                                <select className="form-input" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
-                                    {categories.map(c => <option key={c} value={c}>{c}</option>)}
-                                </select>
+                                <label className="form-label">Name *</label>
+                                <input className="form-input" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} required />
                             </div>
                             <div className="form-group">
-                                <label className="form-label">Quantity</label>
-                                <input type="number" min="0" className="form-input" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: parseInt(e.target.value) || 0 })} />
+                                <label className="form-label">Subnet (CIDR) *</label>
+                                <input className="form-input" value={form.cidr} onChange={e => setForm({ ...form, cidr: e.target.value })} placeholder="192.168.1.0/24" disabled={Boolean(subnet)} required />
                             </div>
                         </div>
                         <div className="grid-2">
                             <div className="form-group">
-                                <label className="form-label">Min Stock Level</label>
-                                <input type="number" min="0" className="form-input" value={form.min_level} onChange={(e) => setForm({ ...form, min_level: parseInt(e.target.value) || 0 })} />
+                                <label className="form-label">VLAN ID</label>
+                                <input type="number" min="1" max="4094" className="form-input" value={form.vlan_id} onChange={e => setForm({ ...form, vlan_id: e.target.value })} />
                             </div>
                             <div className="form-group">
-                                <label className="form-label">Unit Cost (Ksh)</label>
-                                <input type="number" min="0" step="0.01" className="form-input" value={form.unit_cost} onChange={(e) => setForm({ ...form, unit_cost: parseFloat(e.target.value) || 0 })} />
+                                <label className="form-label">Gateway</label>
+                                <input className="form-input" value={form.gateway} onChange={e => setForm({ ...form, gateway: e.target.value })} placeholder="192.168.1.1" />
                             </div>
                         </div>
                         <div className="form-group">
-                            <label className="form-label">Warehouse Location</label>
-                            <input className="form-input" value={form.location} onChange={(e) => setForm({ ...form, location: e.target.value })} placeholder="e.g., Warehouse A, Shelf 3" />
+                            <label className="form-label">Department</label>
+                            <select className="form-select" value={form.department_id} onChange={e => setForm({ ...form, department_id: e.target.value })}>
+                                <option value="">None</option>
+                                {departments.map(d => <option key={d.department_id} value={d.department_id}>{d.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label">Description</label>
+                            <textarea className="form-textarea" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
                         </div>
                     </div>
                     <div className="modal-footer">
                         <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
-                        <button type="submit" className="btn btn-primary">{item ? 'Update' : 'Add Item'}</button>
+                        <button type="submit" className="btn btn-primary">Save</button>
                     </div>
                 </form>
             </div>
@@ -4204,11 +9000,156 @@ function InventoryModal({ item, categories, onClose, onSave }) {
     );
 }
 
+function SubnetMapModal({ subnet, canManage, onClose, onChange }) {
+    const [map, setMap] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [reservation, setReservation] = useState({ start_address: '', end_address: '', description: '' });
+
+    useEffect(() => {
+        loadMap();
+    }, [subnet.subnet_id]);
+
+    const loadMap = async () => {
+        try {
+            const res = await fetchAPI(`/ipam/subnets/${subnet.subnet_id}/addresses`);
+            setMap(res.data);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const reserve = async (e) => {
+        e.preventDefault();
+        try {
+            await fetchAPI(`/ipam/subnets/${subnet.subnet_id}/reservations`, {
+                method: 'POST',
+                body: JSON.stringify({ ...reservation, end_address: reservation.end_address || reservation.start_address })
+            });
+            setReservation({ start_address: '', end_address: '', description: '' });
+            loadMap();
+            onChange();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const release = async (id) => {
+        if (!window.confirm('Release this reserved range?')) return;
+        try {
+            await fetchAPI(`/ipam/reservations/${id}`, { method: 'DELETE' });
+            loadMap();
+            onChange();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" style={{ maxWidth: '900px' }} onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3 className="modal-title">{subnet.name} · {subnet.cidr}</h3>
+                    <button className="modal-close" onClick={onClose}>&times;</button>
+                </div>
+                <div className="modal-body">
+                    {!map ? (
+                        <div className="loading-container"><div className="spinner"></div></div>
+                    ) : (
+                        <>
+                            <div className="d-flex gap-2 mb-3" style={{ flexWrap: 'wrap', fontSize: '0.75rem' }}>
+                                {Object.entries(ADDRESS_COLORS).filter(([state]) => state !== 'broadcast').map(([state, color]) => (
+                                    <span key={state} className="d-flex gap-1" style={{ alignItems: 'center' }}>
+                                        <span style={{ width: '12px', height: '12px', background: color, borderRadius: '2px' }} />
+                                        {state === 'network' ? 'network / broadcast' : state}
+                                    </span>
+                                ))}
+                                <span className="d-flex gap-1" style={{ alignItems: 'center' }}>
+                                    <span style={{ width: '12px', height: '12px', border: '2px solid var(--accent-danger)', borderRadius: '2px' }} />
+                                    conflict
+                                </span>
+                            </div>
+
+                            {map.complete ? (
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(18px, 1fr))', gap: '3px' }}>
+                                    {map.addresses.map(a => (
+                                        <div
+                                            key={a.address}
+                                            title={`${a.address} · ${a.state}${a.components.length ? ` · ${a.components.map(c => c.name).join(', ')}` : ''}`}
+                                            onClick={() => setSelected(a)}
+                                            style={{
+                                                height: '18px',
+                                                borderRadius: '2px',
+                                                cursor: 'pointer',
+                                                background: ADDRESS_COLORS[a.state],
+                                                border: a.conflict ? '2px solid var(--accent-danger)' : selected?.address === a.address ? '2px solid var(--text-primary)' : 'none'
+                                            }}
+                                        />
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-muted" style={{ fontSize: '0.85rem' }}>
+                                    This subnet is too large to draw; showing the addresses in use.
+                                </p>
+                            )}
+
+                            {(selected || !map.complete) && (
+                                <div className="table-container mt-3">
+                                    <table className="table">
+                                        <thead>
+                                            <tr><th>Address</th><th>State</th><th>Components</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            {(map.complete ? [selected] : map.addresses).map(a => (
+                                                <tr key={a.address}>
+                                                    <td><code style={{ fontSize: '0.8rem' }}>{a.address}</code></td>
+                                                    <td>
+                                                        {a.state}
+                                                        {a.conflict && <span className="badge badge-danger" style={{ marginLeft: '0.5rem' }}>conflict</span>}
+                                                    </td>
+                                                    <td>{a.components.map(c => `${c.name} (${c.type})`).join(', ') || '-'}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            <h4 className="mt-3 mb-3">Reserved Ranges</h4>
+                            {map.subnet.reservations.length === 0 ? (
+                                <p className="text-muted" style={{ fontSize: '0.85rem' }}>No reserved ranges</p>
+                            ) : (
+                                map.subnet.reservations.map(r => (
+                                    <div key={r.reservation_id} className="d-flex gap-2 mb-3" style={{ alignItems: 'center', fontSize: '0.85rem' }}>
+                                        <code>{r.start_address === r.end_address ? r.start_address : `${r.start_address} - ${r.end_address}`}</code>
+                                        <span className="text-muted">{r.description}</span>
+                                        {canManage && (
+                                            <button className="btn btn-secondary btn-sm" onClick={() => release(r.reservation_id)}>Release</button>
+                                        )}
+                                    </div>
+                                ))
+                            )}
+                            {canManage && (
+                                <form onSubmit={reserve} className="d-flex gap-1" style={{ alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                                    <input className="form-input" style={{ width: 'auto' }} placeholder="Start address" value={reservation.start_address} onChange={e => setReservation({ ...reservation, start_address: e.target.value })} required />
+                                    <input className="form-input" style={{ width: 'auto' }} placeholder="End address (optional)" value={reservation.end_address} onChange={e => setReservation({ ...reservation, end_address: e.target.value })} />
+                                    <input className="form-input" style={{ width: 'auto' }} placeholder="Purpose, e.g. DHCP pool" value={reservation.description} onChange={e => setReservation({ ...reservation, description: e.target.value })} />
+                                    <button type="submit" className="btn btn-primary btn-sm">Reserve</button>
+                                </form>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
 // Network Map Component - Enhanced with stat cards
 function NetworkMap() {
     const { role, user_id } = useContext(AuthContext) || {};
     const [components, setComponents] = useState([]);
     const [faults, setFaults] = useState([]);
+    const [links, setLinks] = useState([]);
     const [loading, setLoading] = useState(true);
     const [filter, setFilter] = useState('all'); // all, faults, maintenance, active
 
@@ -4218,12 +9159,14 @@ function NetworkMap() {
 
     const loadData = async () => {
         try {
-            const [compRes, faultRes] = await Promise.all([
+            const [compRes, faultRes, topologyRes] = await Promise.all([
                 fetchAPI('/components'),
-                fetchAPI('/faults')
+                fetchAPI('/faults'),
+                fetchAPI('/components/topology/graph')
             ]);
             setComponents(compRes.data.filter(c => c.latitude && c.longitude && !isNaN(parseFloat(c.latitude)) && !isNaN(parseFloat(c.longitude))));
             setFaults(faultRes.data || []);
+            setLinks(topologyRes.data.links || []);
         } catch (error) {
             console.error('Failed to load data:', error);
         } finally {
@@ -4339,6 +9282,25 @@ function NetworkMap() {
                             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                         />
+                        {/* Link lines between connected components that are both on the map */}
+                        {links.map(l => {
+                            const from = filteredComponents.find(c => c.component_id === l.upstream_component_id);
+                            const to = filteredComponents.find(c => c.component_id === l.downstream_component_id);
+                            if (!from || !to) return null;
+                            const down = from.status === 'Faulty' || to.status === 'Faulty';
+                            return (
+                                <Polyline
+                                    key={`link-${l.link_id}`}
+                                    positions={[[parseFloat(from.latitude), parseFloat(from.longitude)], [parseFloat(to.latitude), parseFloat(to.longitude)]]}
+                                    pathOptions={{ color: down ? TOPOLOGY_COLORS.Faulty : '#606C38', weight: 3, opacity: 0.7, dashArray: l.medium === 'Wireless' ? '6 6' : null }}
+                                >
+                                    <Popup>
+                                        <strong>{from.name} → {to.name}</strong>
+                                        <div style={{ fontSize: '0.9em' }}>{l.medium}{l.capacity_mbps ? ` · ${l.capacity_mbps} Mbps` : ''}</div>
+                                    </Popup>
+                                </Polyline>
+                            );
+                        })}
                         {filteredComponents.map(c => {
                             const markerColor = getMarkerColor(c);
                             const icon = L.divIcon({